@@ -0,0 +1,80 @@
+-- Central Match Bridge: operator command types beyond PREPARE_MATCH.
+--
+-- An assignment may now carry several commands of the same type over its
+-- lifetime (PAUSE_MATCH / UNPAUSE_MATCH), so uniqueness moves from
+-- (assignment_id, command_type) to:
+--   * a single PREPARE_MATCH per assignment;
+--   * a single outstanding (PENDING/CLAIMED) command per assignment.
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'match_server_commands'
+      AND INDEX_NAME = 'idx_match_server_commands_assignment_created'
+  ) THEN
+    ALTER TABLE match_server_commands
+      ADD KEY idx_match_server_commands_assignment_created (assignment_id, created_at);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'match_server_commands'
+      AND COLUMN_NAME = 'prepare_assignment_id'
+  ) THEN
+    ALTER TABLE match_server_commands
+      ADD COLUMN prepare_assignment_id CHAR(36)
+        GENERATED ALWAYS AS (
+          CASE
+            WHEN command_type = 'PREPARE_MATCH' THEN RTRIM(assignment_id)
+            ELSE NULL
+          END
+        ) STORED,
+      ADD COLUMN outstanding_assignment_id CHAR(36)
+        GENERATED ALWAYS AS (
+          CASE
+            WHEN status IN ('PENDING', 'CLAIMED') THEN RTRIM(assignment_id)
+            ELSE NULL
+          END
+        ) STORED,
+      ADD UNIQUE KEY uniq_match_server_commands_prepare_assignment (prepare_assignment_id),
+      ADD UNIQUE KEY uniq_match_server_commands_outstanding_assignment (outstanding_assignment_id);
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'match_server_commands'
+      AND INDEX_NAME = 'uniq_match_server_commands_assignment_type'
+  ) THEN
+    ALTER TABLE match_server_commands
+      DROP INDEX uniq_match_server_commands_assignment_type;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.CHECK_CONSTRAINTS
+    WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = 'match_server_commands'
+      AND CONSTRAINT_NAME = 'chk_match_server_commands_type'
+      AND CHECK_CLAUSE LIKE '%RELEASE_SERVER%'
+  ) THEN
+    ALTER TABLE match_server_commands
+      DROP CONSTRAINT IF EXISTS chk_match_server_commands_type;
+    ALTER TABLE match_server_commands
+      ADD CONSTRAINT chk_match_server_commands_type
+        CHECK (command_type IN (
+          'PREPARE_MATCH',
+          'ABORT_MATCH',
+          'RESTART_MATCH',
+          'PAUSE_MATCH',
+          'UNPAUSE_MATCH',
+          'RELEASE_SERVER'
+        ));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'match_rooms'
+      AND COLUMN_NAME = 'paused_at'
+  ) THEN
+    ALTER TABLE match_rooms
+      ADD COLUMN paused_at DATETIME(6) NULL AFTER completed_at;
+  END IF;
+END;
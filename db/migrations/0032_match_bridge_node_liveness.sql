@@ -0,0 +1,16 @@
+-- Central Match Bridge: stale node detection.
+--
+-- marked_stale_at is set by the bridge sweeper when a node stops heartbeating
+-- and cleared by the next heartbeat. Resources of a stale node are skipped by
+-- the allocator without touching the operator-managed enabled flag.
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'match_bridge_nodes'
+      AND COLUMN_NAME = 'marked_stale_at'
+  ) THEN
+    ALTER TABLE match_bridge_nodes
+      ADD COLUMN marked_stale_at DATETIME(6) NULL AFTER last_seen_at;
+  END IF;
+END;
@@ -0,0 +1,60 @@
+-- CompetitiveMatch results projected from MatchZy series_end/map_result ingress.
+
+CREATE TABLE IF NOT EXISTS competitive_match_results (
+  competitive_match_id CHAR(36) NOT NULL,
+  winner_team VARCHAR(2) NULL,
+  team_a_series_score INT UNSIGNED NULL,
+  team_b_series_score INT UNSIGNED NULL,
+  team_a_score INT UNSIGNED NULL,
+  team_b_score INT UNSIGNED NULL,
+  started_at DATETIME(6) NULL,
+  ended_at DATETIME(6) NOT NULL,
+  duration_seconds INT UNSIGNED NULL,
+  series_end_ingress_event_id BIGINT UNSIGNED NULL,
+  map_result_ingress_event_id BIGINT UNSIGNED NULL,
+  created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+  PRIMARY KEY (competitive_match_id),
+
+  CONSTRAINT fk_competitive_match_results_match
+    FOREIGN KEY (competitive_match_id)
+    REFERENCES competitive_matches(id)
+    ON DELETE RESTRICT,
+
+  CONSTRAINT chk_competitive_match_results_winner_team
+    CHECK (winner_team IS NULL OR winner_team IN ('A', 'B'))
+) ENGINE=InnoDB
+  DEFAULT CHARSET=utf8mb4
+  COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS competitive_match_result_players (
+  competitive_match_id CHAR(36) NOT NULL,
+  player_account_id CHAR(36) NOT NULL,
+  team VARCHAR(2) NOT NULL,
+  kills INT UNSIGNED NOT NULL DEFAULT 0,
+  deaths INT UNSIGNED NOT NULL DEFAULT 0,
+  assists INT UNSIGNED NOT NULL DEFAULT 0,
+  headshot_kills INT UNSIGNED NOT NULL DEFAULT 0,
+  damage INT UNSIGNED NOT NULL DEFAULT 0,
+  mvps INT UNSIGNED NOT NULL DEFAULT 0,
+  score INT NOT NULL DEFAULT 0,
+  rounds_played INT UNSIGNED NOT NULL DEFAULT 0,
+  created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+  PRIMARY KEY (competitive_match_id, player_account_id),
+  KEY idx_competitive_match_result_players_player (player_account_id, competitive_match_id),
+
+  CONSTRAINT fk_competitive_match_result_players_result
+    FOREIGN KEY (competitive_match_id)
+    REFERENCES competitive_match_results(competitive_match_id)
+    ON DELETE RESTRICT,
+  CONSTRAINT fk_competitive_match_result_players_roster
+    FOREIGN KEY (competitive_match_id, player_account_id)
+    REFERENCES competitive_match_roster(competitive_match_id, player_account_id)
+    ON DELETE RESTRICT,
+
+  CONSTRAINT chk_competitive_match_result_players_team
+    CHECK (team IN ('A', 'B'))
+) ENGINE=InnoDB
+  DEFAULT CHARSET=utf8mb4
+  COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,31 @@
+-- Per-room team selection mode: captain draft (default) or rating auto-balance.
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'match_rooms'
+      AND COLUMN_NAME = 'team_selection_mode'
+  ) THEN
+    ALTER TABLE match_rooms
+      ADD COLUMN team_selection_mode VARCHAR(32) NOT NULL DEFAULT 'CAPTAIN_DRAFT' AFTER creator_player_account_id;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.CHECK_CONSTRAINTS
+    WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = 'match_rooms'
+      AND CONSTRAINT_NAME = 'chk_match_rooms_team_selection_mode'
+  ) THEN
+    ALTER TABLE match_rooms
+      ADD CONSTRAINT chk_match_rooms_team_selection_mode
+        CHECK (team_selection_mode IN ('CAPTAIN_DRAFT', 'AUTO_BALANCE'));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'match_room_draft_assignments'
+      AND COLUMN_NAME = 'balance_rating'
+  ) THEN
+    ALTER TABLE match_room_draft_assignments
+      ADD COLUMN balance_rating DECIMAL(8,2) NULL AFTER picker_player_account_id;
+  END IF;
+END;
@@ -0,0 +1,72 @@
+-- Internal Elo rating for mix matches, updated when a CompetitiveMatch result
+-- is projected, with a per-player history and season-scoped resets.
+
+CREATE TABLE IF NOT EXISTS player_match_ratings (
+  player_account_id CHAR(36) NOT NULL,
+  rating INT NOT NULL,
+  matches_played INT UNSIGNED NOT NULL DEFAULT 0,
+  wins INT UNSIGNED NOT NULL DEFAULT 0,
+  losses INT UNSIGNED NOT NULL DEFAULT 0,
+  season_id INT NULL,
+  last_competitive_match_id CHAR(36) NULL,
+  created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+  updated_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6)
+    ON UPDATE CURRENT_TIMESTAMP(6),
+
+  PRIMARY KEY (player_account_id),
+  KEY idx_player_match_ratings_rating (rating),
+
+  CONSTRAINT fk_player_match_ratings_player_account
+    FOREIGN KEY (player_account_id)
+    REFERENCES player_accounts(id)
+    ON DELETE RESTRICT,
+  CONSTRAINT fk_player_match_ratings_season
+    FOREIGN KEY (season_id)
+    REFERENCES seasons(id)
+    ON DELETE RESTRICT,
+  CONSTRAINT fk_player_match_ratings_last_match
+    FOREIGN KEY (last_competitive_match_id)
+    REFERENCES competitive_matches(id)
+    ON DELETE RESTRICT
+) ENGINE=InnoDB
+  DEFAULT CHARSET=utf8mb4
+  COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS player_match_rating_history (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  player_account_id CHAR(36) NOT NULL,
+  reason VARCHAR(32) NOT NULL,
+  competitive_match_id CHAR(36) NULL,
+  season_id INT NULL,
+  rating_before INT NOT NULL,
+  rating_after INT NOT NULL,
+  rating_delta INT NOT NULL,
+  created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_player_match_rating_history_match_player (competitive_match_id, player_account_id),
+  KEY idx_player_match_rating_history_player (player_account_id, created_at),
+
+  CONSTRAINT fk_player_match_rating_history_player_account
+    FOREIGN KEY (player_account_id)
+    REFERENCES player_accounts(id)
+    ON DELETE RESTRICT,
+  CONSTRAINT fk_player_match_rating_history_match
+    FOREIGN KEY (competitive_match_id)
+    REFERENCES competitive_matches(id)
+    ON DELETE RESTRICT,
+  CONSTRAINT fk_player_match_rating_history_season
+    FOREIGN KEY (season_id)
+    REFERENCES seasons(id)
+    ON DELETE RESTRICT,
+
+  CONSTRAINT chk_player_match_rating_history_reason
+    CHECK (reason IN ('MATCH_RESULT', 'SEASON_RESET')),
+  CONSTRAINT chk_player_match_rating_history_match
+    CHECK (
+      (reason = 'MATCH_RESULT' AND competitive_match_id IS NOT NULL)
+      OR (reason = 'SEASON_RESET' AND competitive_match_id IS NULL AND season_id IS NOT NULL)
+    )
+) ENGINE=InnoDB
+  DEFAULT CHARSET=utf8mb4
+  COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,39 @@
+-- Matchmaking queue: eligible players wait here until 10 are present, then a
+-- room is formed automatically and handed straight into CONFIRMING.
+
+CREATE TABLE IF NOT EXISTS match_matchmaking_queue_entries (
+  id CHAR(36) PRIMARY KEY,
+  player_account_id CHAR(36) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'QUEUED',
+  queued_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+  resolved_at DATETIME(6) NULL,
+  room_id CHAR(36) NULL,
+  removal_reason VARCHAR(64) NULL,
+  active_player_account_id CHAR(36)
+    GENERATED ALWAYS AS (
+      CASE
+        WHEN status = 'QUEUED' THEN RTRIM(player_account_id)
+        ELSE NULL
+      END
+    ) STORED,
+
+  UNIQUE KEY uniq_match_matchmaking_queue_active_player (active_player_account_id),
+  KEY idx_match_matchmaking_queue_status_queued (status, queued_at, id),
+  KEY idx_match_matchmaking_queue_player_history (player_account_id, queued_at),
+
+  CONSTRAINT fk_match_matchmaking_queue_player_account
+    FOREIGN KEY (player_account_id)
+    REFERENCES player_accounts(id)
+    ON DELETE RESTRICT,
+  CONSTRAINT fk_match_matchmaking_queue_room
+    FOREIGN KEY (room_id)
+    REFERENCES match_rooms(id)
+    ON DELETE RESTRICT,
+
+  CONSTRAINT chk_match_matchmaking_queue_status
+    CHECK (status IN ('QUEUED', 'MATCHED', 'LEFT', 'REMOVED')),
+  CONSTRAINT chk_match_matchmaking_queue_room
+    CHECK ((status = 'MATCHED') = (room_id IS NOT NULL))
+) ENGINE=InnoDB
+  DEFAULT CHARSET=utf8mb4
+  COLLATE=utf8mb4_unicode_ci;
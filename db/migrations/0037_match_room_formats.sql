@@ -0,0 +1,67 @@
+-- Per-room format (capacity, team size, draft/veto order, map pool). Format
+-- definitions live in code; rooms persist only the key. Seeds the wingman pool.
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'match_rooms'
+      AND COLUMN_NAME = 'format_key'
+  ) THEN
+    ALTER TABLE match_rooms
+      ADD COLUMN format_key VARCHAR(32) NOT NULL DEFAULT 'mix_5v5' AFTER creator_player_account_id;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.CHECK_CONSTRAINTS
+    WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = 'match_rooms'
+      AND CONSTRAINT_NAME = 'chk_match_rooms_format_key'
+  ) THEN
+    ALTER TABLE match_rooms
+      ADD CONSTRAINT chk_match_rooms_format_key
+        CHECK (format_key IN ('mix_5v5', 'wingman_2v2', 'duel_1v1'));
+  END IF;
+END;
+
+-- Seed: wingman_2v2 v1 (ACTIVE)
+INSERT INTO match_map_pools (
+  id,
+  pool_key,
+  version,
+  status,
+  activated_at
+)
+SELECT
+  UUID(),
+  'wingman_2v2',
+  1,
+  'ACTIVE',
+  CURRENT_TIMESTAMP(6)
+FROM DUAL
+WHERE NOT EXISTS (
+  SELECT 1 FROM match_map_pools
+  WHERE pool_key = 'wingman_2v2' AND version = 1
+);
+
+INSERT INTO match_map_pool_entries (
+  pool_id,
+  map_key,
+  display_name,
+  position
+)
+SELECT
+  p.id,
+  e.map_key,
+  e.display_name,
+  e.position
+FROM match_map_pools p
+CROSS JOIN (
+  SELECT 'de_inferno' AS map_key, 'Inferno' AS display_name, 1 AS position
+  UNION ALL SELECT 'de_nuke',     'Nuke',     2
+  UNION ALL SELECT 'de_overpass', 'Overpass', 3
+  UNION ALL SELECT 'de_vertigo',  'Vertigo',  4
+) e
+WHERE p.pool_key = 'wingman_2v2' AND p.version = 1
+  AND NOT EXISTS (
+    SELECT 1 FROM match_map_pool_entries mpe
+    WHERE mpe.pool_id = p.id AND mpe.map_key = e.map_key
+  );
@@ -0,0 +1,53 @@
+-- Named, scoped admin API keys. Only the SHA-256 of the raw key is stored;
+-- key_prefix is the non-secret head shown in listings. Scopes are a JSON array
+-- of admin permissions. Audit rows written with a key record its id.
+
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+  id CHAR(36) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes TEXT NOT NULL,
+  expires_at DATETIME NULL,
+  last_used_at DATETIME NULL,
+  created_by_user_id INT NULL,
+  rotated_from_id CHAR(36) NULL,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  revoked_at DATETIME NULL,
+
+  UNIQUE KEY uniq_admin_api_keys_key_hash (key_hash),
+  KEY idx_admin_api_keys_created_at (created_at),
+  KEY idx_admin_api_keys_rotated_from (rotated_from_id),
+
+  CONSTRAINT fk_admin_api_keys_created_by_user
+    FOREIGN KEY (created_by_user_id)
+    REFERENCES users(id)
+    ON DELETE SET NULL,
+  CONSTRAINT fk_admin_api_keys_rotated_from
+    FOREIGN KEY (rotated_from_id)
+    REFERENCES admin_api_keys(id)
+    ON DELETE SET NULL,
+
+  CONSTRAINT chk_admin_api_keys_scopes
+    CHECK (JSON_VALID(scopes) AND JSON_TYPE(scopes) = 'ARRAY')
+) ENGINE=InnoDB
+  DEFAULT CHARSET=utf8mb4
+  COLLATE=utf8mb4_unicode_ci;
+
+BEGIN NOT ATOMIC
+  ALTER TABLE admin_audit_log
+    MODIFY COLUMN via ENUM('session','admin-key','api-key','system') NOT NULL;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'admin_audit_log'
+      AND COLUMN_NAME = 'api_key_id'
+  ) THEN
+    ALTER TABLE admin_audit_log
+      ADD COLUMN api_key_id CHAR(36) NULL AFTER via,
+      ADD KEY idx_admin_audit_log_api_key_id (api_key_id),
+      ADD CONSTRAINT fk_admin_audit_log_api_key
+        FOREIGN KEY (api_key_id) REFERENCES admin_api_keys(id)
+        ON DELETE SET NULL;
+  END IF;
+END;
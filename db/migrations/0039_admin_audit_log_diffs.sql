@@ -0,0 +1,24 @@
+-- Before/after JSON diff per audited mutation, plus indexes for the
+-- GET /admin/audit-log filters (entity, actor, action, time) paginated by id.
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'admin_audit_log'
+      AND COLUMN_NAME = 'diff_json'
+  ) THEN
+    ALTER TABLE admin_audit_log
+      ADD COLUMN diff_json MEDIUMTEXT NULL AFTER entity_key,
+      ADD CONSTRAINT chk_admin_audit_log_diff_json
+        CHECK (diff_json IS NULL OR JSON_VALID(diff_json));
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'admin_audit_log'
+      AND INDEX_NAME = 'idx_admin_audit_log_entity'
+  ) THEN
+    ALTER TABLE admin_audit_log
+      ADD KEY idx_admin_audit_log_entity (entity_type, entity_key, id);
+  END IF;
+END;
@@ -0,0 +1,24 @@
+-- Device metadata for player sessions: creation IP, user agent and a coarse
+-- last-seen stamp, so players and admins can tell sessions apart and revoke them.
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'player_sessions'
+      AND COLUMN_NAME = 'created_ip'
+  ) THEN
+    ALTER TABLE player_sessions
+      ADD COLUMN created_ip VARCHAR(45) NULL AFTER token_hash,
+      ADD COLUMN user_agent VARCHAR(255) NULL AFTER created_ip,
+      ADD COLUMN last_seen_at DATETIME NULL AFTER created_at;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'player_sessions'
+      AND INDEX_NAME = 'idx_player_sessions_account_active'
+  ) THEN
+    ALTER TABLE player_sessions
+      ADD KEY idx_player_sessions_account_active (player_account_id, revoked_at, expires_at);
+  END IF;
+END;
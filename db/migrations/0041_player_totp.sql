@@ -0,0 +1,53 @@
+-- Optional TOTP second factor for Player Email Auth.
+-- The shared secret is stored sealed with TOTP_SECRET_KEY (AES-256-GCM);
+-- recovery codes and pending login tokens are stored only as SHA-256 hashes.
+
+CREATE TABLE IF NOT EXISTS player_totp_credentials (
+  player_account_id CHAR(36) PRIMARY KEY,
+  secret_sealed VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  enabled_at DATETIME NULL,
+  last_used_step BIGINT NULL,
+
+  CONSTRAINT fk_player_totp_credentials_player_account
+    FOREIGN KEY (player_account_id) REFERENCES player_accounts(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS player_totp_recovery_codes (
+  id CHAR(36) PRIMARY KEY,
+  player_account_id CHAR(36) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  used_at DATETIME NULL,
+
+  UNIQUE KEY uniq_player_totp_recovery_codes_account_hash (player_account_id, code_hash),
+
+  CONSTRAINT fk_player_totp_recovery_codes_player_account
+    FOREIGN KEY (player_account_id) REFERENCES player_accounts(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Password accepted, second factor pending: short-lived, single-use and
+-- limited to a few wrong codes before the player must log in again.
+CREATE TABLE IF NOT EXISTS player_login_challenges (
+  id CHAR(36) PRIMARY KEY,
+  player_account_id CHAR(36) NOT NULL,
+  player_email_identity_id CHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  failed_attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+
+  UNIQUE KEY uniq_player_login_challenges_token_hash (token_hash),
+  KEY idx_player_login_challenges_player_account_id (player_account_id),
+  KEY idx_player_login_challenges_expires_at (expires_at),
+
+  CONSTRAINT fk_player_login_challenges_player_account
+    FOREIGN KEY (player_account_id) REFERENCES player_accounts(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_player_login_challenges_identity
+    FOREIGN KEY (player_email_identity_id) REFERENCES player_email_identities(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,50 @@
+-- Mandatory second factor for backoffice users with role `admin`.
+-- One row per enrolled authenticator. `kind` selects the verifier: TOTP uses
+-- secret_sealed (AES-256-GCM with TOTP_SECRET_KEY) and keeps the last accepted
+-- time step in `counter`; WebAuthn will use external_id (credential id),
+-- public_key and the authenticator sign count in the same `counter`.
+-- Rows with confirmed_at NULL are enrollments that were never verified.
+
+CREATE TABLE IF NOT EXISTS admin_second_factor_credentials (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  kind VARCHAR(16) NOT NULL,
+  label VARCHAR(100) NULL,
+  secret_sealed VARCHAR(255) NULL,
+  external_id VARCHAR(255) NULL,
+  public_key TEXT NULL,
+  counter BIGINT NULL,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  confirmed_at DATETIME NULL,
+  last_used_at DATETIME NULL,
+
+  UNIQUE KEY uniq_admin_second_factor_credentials_external (kind, external_id),
+  KEY idx_admin_second_factor_credentials_user (user_id, confirmed_at),
+
+  CONSTRAINT fk_admin_second_factor_credentials_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Magic link accepted, second factor pending. The raw token only lives in a
+-- short-lived HttpOnly cookie; a few wrong codes burn the challenge and the
+-- admin has to request a new link.
+CREATE TABLE IF NOT EXISTS admin_login_challenges (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  failed_attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+
+  UNIQUE KEY uniq_admin_login_challenges_token_hash (token_hash),
+  KEY idx_admin_login_challenges_user (user_id),
+  KEY idx_admin_login_challenges_expires_at (expires_at),
+
+  CONSTRAINT fk_admin_login_challenges_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
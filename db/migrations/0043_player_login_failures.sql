@@ -0,0 +1,26 @@
+-- Persistent failed email-login tracking for lockout and credential stuffing
+-- defense. One row per subject: scope 'account' keys by player account id,
+-- scope 'ip' by the SHA-256 of the client IP (the IP is never stored).
+-- next_attempt_at holds the progressive delay, locked_until the lockout;
+-- lockout_count grows the next lockout until a successful login or an admin
+-- unlock clears the account row.
+
+CREATE TABLE IF NOT EXISTS player_login_failures (
+  scope ENUM('account', 'ip') NOT NULL,
+  subject_key VARCHAR(64) NOT NULL,
+  player_account_id CHAR(36) NULL,
+  failed_attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  window_started_at DATETIME NOT NULL,
+  last_failed_at DATETIME NOT NULL,
+  next_attempt_at DATETIME NULL,
+  locked_until DATETIME NULL,
+  lockout_count INT UNSIGNED NOT NULL DEFAULT 0,
+
+  PRIMARY KEY (scope, subject_key),
+  KEY idx_player_login_failures_player_account_id (player_account_id),
+  KEY idx_player_login_failures_last_failed_at (last_failed_at),
+
+  CONSTRAINT fk_player_login_failures_player_account
+    FOREIGN KEY (player_account_id) REFERENCES player_accounts(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
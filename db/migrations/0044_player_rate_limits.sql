@@ -0,0 +1,16 @@
+-- Shared storage for the player throttler guards (@nestjs/throttler), so
+-- limits survive restarts and hold across API instances. One row per
+-- throttler and tracker key: a fixed window of hits starting at the first hit
+-- and, once the limit is exceeded, a block that outlives the window.
+-- Rows whose window and block have both ended are swept periodically.
+
+CREATE TABLE IF NOT EXISTS player_rate_limits (
+  throttler_name VARCHAR(64) NOT NULL,
+  throttler_key VARCHAR(128) NOT NULL,
+  hits INT UNSIGNED NOT NULL DEFAULT 0,
+  expires_at DATETIME(3) NOT NULL,
+  blocked_until DATETIME(3) NULL,
+
+  PRIMARY KEY (throttler_name, throttler_key),
+  KEY idx_player_rate_limits_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
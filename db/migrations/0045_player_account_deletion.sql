@@ -0,0 +1,45 @@
+-- Self-service player account deletion. A request is confirmed through an
+-- emailed token (only its SHA-256 is stored) and carried out once
+-- scheduled_for passes, unless the player cancels first. Match history keeps
+-- referencing the account, so deletion keeps the player_accounts row as a
+-- disabled tombstone (deleted_at) and removes or anonymizes everything else.
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'player_accounts'
+      AND COLUMN_NAME = 'deleted_at'
+  ) THEN
+    ALTER TABLE player_accounts
+      ADD COLUMN deleted_at DATETIME NULL AFTER disabled_at;
+  END IF;
+END;
+
+CREATE TABLE IF NOT EXISTS player_account_deletion_requests (
+  id CHAR(36) PRIMARY KEY,
+  player_account_id CHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  confirmation_expires_at DATETIME NOT NULL,
+  confirmed_at DATETIME NULL,
+  scheduled_for DATETIME NULL,
+  cancelled_at DATETIME NULL,
+  completed_at DATETIME NULL,
+  open_player_account_id CHAR(36)
+    GENERATED ALWAYS AS (
+      CASE
+        WHEN cancelled_at IS NULL AND completed_at IS NULL
+          THEN RTRIM(player_account_id)
+        ELSE NULL
+      END
+    ) STORED,
+
+  UNIQUE KEY uniq_player_account_deletion_requests_token_hash (token_hash),
+  UNIQUE KEY uniq_player_account_deletion_requests_open (open_player_account_id),
+  KEY idx_player_account_deletion_requests_player_account_id (player_account_id),
+  KEY idx_player_account_deletion_requests_due (completed_at, cancelled_at, scheduled_for),
+
+  CONSTRAINT fk_player_account_deletion_requests_player_account
+    FOREIGN KEY (player_account_id) REFERENCES player_accounts(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,22 @@
+-- Security-relevant account events (logins, identity links, password
+-- changes), listed to the player newest first and paginated by id. Client IP
+-- and user agent follow the player_sessions limits.
+
+CREATE TABLE IF NOT EXISTS player_security_events (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  player_account_id CHAR(36) NOT NULL,
+  event_type VARCHAR(32) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  ip VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  metadata_json TEXT NULL,
+
+  KEY idx_player_security_events_account (player_account_id, id),
+  KEY idx_player_security_events_account_type (player_account_id, event_type, user_agent),
+
+  CONSTRAINT chk_player_security_events_metadata_json
+    CHECK (metadata_json IS NULL OR JSON_VALID(metadata_json)),
+  CONSTRAINT fk_player_security_events_player_account
+    FOREIGN KEY (player_account_id) REFERENCES player_accounts(id)
+    ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
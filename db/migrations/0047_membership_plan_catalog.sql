@@ -0,0 +1,38 @@
+-- Membership plans and entitlements become admin-managed.
+--
+-- Plans are never deleted: retired_at stops new grants while existing
+-- memberships keep their plan and its entitlements. player_memberships.plan_code
+-- now references the catalogue; plan codes already in use but missing from it
+-- are registered first (named after the code) so the constraint can be added.
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'membership_plans'
+      AND COLUMN_NAME = 'retired_at'
+  ) THEN
+    ALTER TABLE membership_plans
+      ADD COLUMN retired_at DATETIME NULL AFTER description;
+  END IF;
+END;
+
+INSERT IGNORE INTO membership_plans (plan_code, name)
+SELECT DISTINCT m.plan_code, m.plan_code
+FROM player_memberships m
+LEFT JOIN membership_plans p ON p.plan_code = m.plan_code
+WHERE p.plan_code IS NULL;
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.TABLE_CONSTRAINTS
+    WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = 'player_memberships'
+      AND CONSTRAINT_NAME = 'fk_player_memberships_plan'
+  ) THEN
+    ALTER TABLE player_memberships
+      ADD CONSTRAINT fk_player_memberships_plan
+        FOREIGN KEY (plan_code)
+        REFERENCES membership_plans(plan_code)
+        ON UPDATE RESTRICT
+        ON DELETE RESTRICT;
+  END IF;
+END;
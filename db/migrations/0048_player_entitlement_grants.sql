@@ -0,0 +1,27 @@
+-- Entitlements granted to a player outside their membership plan (promos,
+-- staff grants). A player may hold several grants of the same key; a grant
+-- counts while it is not revoked and expires_at is NULL or in the future.
+-- Revoked and expired rows are kept as the grant history.
+
+CREATE TABLE IF NOT EXISTS player_entitlement_grants (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  player_account_id CHAR(36) NOT NULL,
+  entitlement_key VARCHAR(64) NOT NULL,
+  reason VARCHAR(255) NULL,
+  expires_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  updated_at DATETIME NOT NULL
+    DEFAULT UTC_TIMESTAMP()
+    ON UPDATE CURRENT_TIMESTAMP,
+
+  KEY idx_player_entitlement_grants_account (player_account_id, entitlement_key),
+  KEY idx_player_entitlement_grants_entitlement (entitlement_key),
+
+  CONSTRAINT fk_player_entitlement_grants_player_account
+    FOREIGN KEY (player_account_id) REFERENCES player_accounts(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_player_entitlement_grants_entitlement
+    FOREIGN KEY (entitlement_key) REFERENCES entitlements(entitlement_key)
+    ON DELETE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
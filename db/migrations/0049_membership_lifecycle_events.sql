@@ -0,0 +1,48 @@
+-- Membership lifecycle history and scheduler bookkeeping.
+--
+-- player_membership_events is append-only: one row per lifecycle transition
+-- or notification (e.g. the scheduler materializing `expired`). actor_type is
+-- 'system' for scripts/membership-lifecycle.js; actor_user_id is only set for
+-- Backoffice users.
+--
+-- player_memberships.expiry_reminder_sent_for holds the expires_at the last
+-- expiry reminder was sent for, so moving expires_at schedules a new one.
+
+CREATE TABLE IF NOT EXISTS player_membership_events (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  membership_id CHAR(36) NOT NULL,
+  player_account_id CHAR(36) NOT NULL,
+  event_type VARCHAR(32) NOT NULL,
+  previous_status VARCHAR(16) NULL,
+  new_status VARCHAR(16) NULL,
+  previous_expires_at DATETIME NULL,
+  new_expires_at DATETIME NULL,
+  actor_type VARCHAR(16) NOT NULL,
+  actor_user_id INT NULL,
+  reason VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+
+  KEY idx_player_membership_events_membership (membership_id, id),
+  KEY idx_player_membership_events_account (player_account_id, id),
+
+  CONSTRAINT fk_player_membership_events_membership
+    FOREIGN KEY (membership_id) REFERENCES player_memberships(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_player_membership_events_player_account
+    FOREIGN KEY (player_account_id) REFERENCES player_accounts(id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_player_membership_events_actor_user
+    FOREIGN KEY (actor_user_id) REFERENCES users(id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'player_memberships'
+      AND COLUMN_NAME = 'expiry_reminder_sent_for'
+  ) THEN
+    ALTER TABLE player_memberships
+      ADD COLUMN expiry_reminder_sent_for DATETIME NULL AFTER expires_at;
+  END IF;
+END;
@@ -0,0 +1,103 @@
+-- Room formats become data. match_room_formats holds team size, game mode,
+-- draft pick order, veto order and map pool; a new format is a row, not a
+-- code change. The CHECK from 0037 that listed the keys is replaced by a
+-- foreign key to the catalogue.
+--
+-- Every CompetitiveMatch freezes the format it was played with so the Match
+-- Spec no longer depends on the room.
+
+CREATE TABLE IF NOT EXISTS match_room_formats (
+  format_key VARCHAR(32) PRIMARY KEY,
+  display_name VARCHAR(64) NOT NULL,
+  team_size TINYINT UNSIGNED NOT NULL,
+  game_mode VARCHAR(16) NOT NULL,
+  draft_pick_order JSON NOT NULL,
+  map_veto_order JSON NOT NULL,
+  map_pool_key VARCHAR(64) NOT NULL,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  position SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  created_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6),
+  updated_at DATETIME(6) NOT NULL DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+
+  CONSTRAINT chk_match_room_formats_format_key
+    CHECK (format_key REGEXP '^[a-z0-9_]{1,32}$'),
+  CONSTRAINT chk_match_room_formats_team_size
+    CHECK (team_size >= 1),
+  CONSTRAINT chk_match_room_formats_game_mode
+    CHECK (game_mode IN ('competitive', 'wingman')),
+  CONSTRAINT chk_match_room_formats_draft_pick_order
+    CHECK (JSON_VALID(draft_pick_order) AND JSON_TYPE(draft_pick_order) = 'ARRAY'),
+  CONSTRAINT chk_match_room_formats_map_veto_order
+    CHECK (JSON_VALID(map_veto_order) AND JSON_TYPE(map_veto_order) = 'ARRAY'),
+  CONSTRAINT chk_match_room_formats_enabled
+    CHECK (enabled IN (0, 1))
+) ENGINE=InnoDB
+  DEFAULT CHARSET=utf8mb4
+  COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO match_room_formats (
+  format_key, display_name, team_size, game_mode,
+  draft_pick_order, map_veto_order, map_pool_key, position
+) VALUES
+  (
+    'mix_5v5', 'Mix 5v5', 5, 'competitive',
+    '["FIRST","SECOND","FIRST","SECOND","FIRST","SECOND","FIRST","SECOND"]',
+    '["FIRST","SECOND","FIRST","SECOND","FIRST","SECOND"]',
+    'mix_5v5', 10
+  ),
+  (
+    'wingman_2v2', 'Wingman 2v2', 2, 'wingman',
+    '["FIRST","SECOND"]',
+    '["FIRST","SECOND","FIRST"]',
+    'wingman_2v2', 20
+  ),
+  (
+    'duel_1v1', 'Duel 1v1', 1, 'competitive',
+    '[]',
+    '["FIRST","SECOND","FIRST","SECOND","FIRST","SECOND"]',
+    'mix_5v5', 30
+  );
+
+BEGIN NOT ATOMIC
+  IF EXISTS (
+    SELECT 1 FROM information_schema.CHECK_CONSTRAINTS
+    WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = 'match_rooms'
+      AND CONSTRAINT_NAME = 'chk_match_rooms_format_key'
+  ) THEN
+    ALTER TABLE match_rooms
+      DROP CONSTRAINT chk_match_rooms_format_key;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.TABLE_CONSTRAINTS
+    WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = 'match_rooms'
+      AND CONSTRAINT_NAME = 'fk_match_rooms_format'
+  ) THEN
+    ALTER TABLE match_rooms
+      ADD CONSTRAINT fk_match_rooms_format
+        FOREIGN KEY (format_key)
+        REFERENCES match_room_formats(format_key)
+        ON UPDATE RESTRICT
+        ON DELETE RESTRICT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'competitive_matches'
+      AND COLUMN_NAME = 'format_key'
+  ) THEN
+    ALTER TABLE competitive_matches
+      ADD COLUMN format_key VARCHAR(32) NOT NULL DEFAULT 'mix_5v5' AFTER room_id,
+      ADD COLUMN team_size TINYINT UNSIGNED NOT NULL DEFAULT 5 AFTER format_key,
+      ADD COLUMN game_mode VARCHAR(16) NOT NULL DEFAULT 'competitive' AFTER team_size;
+
+    -- Matches created since 0037 were played with their room's format.
+    UPDATE competitive_matches cm
+    JOIN match_rooms r ON r.id = cm.room_id
+    JOIN match_room_formats f ON f.format_key = r.format_key
+    SET
+      cm.format_key = f.format_key,
+      cm.team_size = f.team_size,
+      cm.game_mode = f.game_mode;
+  END IF;
+END;
@@ -0,0 +1,51 @@
+-- A pending magic-link challenge is not enough to enroll an admin's first
+-- second factor: whoever controls the mailbox would bind their own
+-- authenticator. Enrollment also needs a single-use invite issued by another
+-- admin or, while no admin has a confirmed factor yet, the out-of-band
+-- ADMIN_2FA_BOOTSTRAP_TOKEN. The raw invite token is shown once to the
+-- issuing admin; only its hash is stored.
+
+CREATE TABLE IF NOT EXISTS admin_second_factor_enrollment_invites (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  created_by_user_id INT NULL,
+  created_at DATETIME NOT NULL DEFAULT UTC_TIMESTAMP(),
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+
+  UNIQUE KEY uniq_admin_second_factor_enrollment_invites_token_hash (token_hash),
+  KEY idx_admin_second_factor_enrollment_invites_user (user_id, used_at),
+
+  CONSTRAINT fk_admin_second_factor_enrollment_invites_user
+    FOREIGN KEY (user_id)
+    REFERENCES users(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT fk_admin_second_factor_enrollment_invites_created_by
+    FOREIGN KEY (created_by_user_id)
+    REFERENCES users(id)
+    ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- How a pending enrollment was authorized (`invite` or `bootstrap`), kept so
+-- the confirmation can be audited with its origin.
+BEGIN NOT ATOMIC
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'admin_second_factor_credentials'
+      AND COLUMN_NAME = 'enrolled_via'
+  ) THEN
+    ALTER TABLE admin_second_factor_credentials
+      ADD COLUMN enrolled_via VARCHAR(16) NULL AFTER counter;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'admin_second_factor_credentials'
+      AND COLUMN_NAME = 'enrollment_invite_id'
+  ) THEN
+    ALTER TABLE admin_second_factor_credentials
+      ADD COLUMN enrollment_invite_id CHAR(36) NULL AFTER enrolled_via;
+  END IF;
+END;
@@ -0,0 +1,256 @@
+import { insertAdminAudit, runInTx as defaultRunInTx } from "./src/db/adminTx.js";
+import { runWithAdvisoryLockTx as defaultRunWithAdvisoryLockTx } from "./src/db/advisoryTx.js";
+
+const MEMBERSHIP_LIFECYCLE_LOCK_NAME = "hsc:memberships:lifecycle:v1";
+const MEMBERSHIP_RECONCILE_LOCK_TIMEOUT_SECONDS = 0;
+const STABLE_RECONCILE_ERRORS = new Set([
+  "membership_auto_expire_failed",
+]);
+
+function createReconcileError(code) {
+  const error = new Error("Membership lifecycle reconciliation failed.");
+  error.code = code;
+  return error;
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Repo layer: Memberships (scheduler side)
+ * - Effective status already treats an active row past expires_at as
+ *   expired; this module materializes that status once the grace period
+ *   has passed and records each transition in player_membership_events.
+ * - Reminder emails are sent by the caller after commit. Reconcile only
+ *   lists the due ones; the caller records each one after it was delivered,
+ *   so a failed send stays due and is retried on the next run.
+ */
+export function createMembershipsRepo(dbConfig, {
+  runWithAdvisoryLockTx = defaultRunWithAdvisoryLockTx,
+  runInTx = defaultRunInTx,
+} = {}) {
+  async function expireLapsedMemberships(conn, { gracePeriodHours, batchSize }) {
+    const [rows] = await conn.execute(
+      `
+      SELECT id, player_account_id, expires_at
+      FROM player_memberships
+      WHERE status = 'active'
+        AND expires_at IS NOT NULL
+        AND expires_at <= UTC_TIMESTAMP() - INTERVAL ? HOUR
+      ORDER BY expires_at ASC, id ASC
+      LIMIT ?
+      FOR UPDATE
+      `,
+      [gracePeriodHours, batchSize],
+    );
+
+    for (const row of rows) {
+      const [updateResult] = await conn.execute(
+        `
+        UPDATE player_memberships
+        SET status = 'expired'
+        WHERE id = ?
+          AND status = 'active'
+        `,
+        [row.id],
+      );
+
+      if (updateResult.affectedRows !== 1) {
+        throw createReconcileError("membership_auto_expire_failed");
+      }
+
+      await conn.execute(
+        `
+        INSERT INTO player_membership_events (
+          membership_id,
+          player_account_id,
+          event_type,
+          previous_status,
+          new_status,
+          previous_expires_at,
+          new_expires_at,
+          actor_type
+        )
+        VALUES (?, ?, 'expired', 'active', 'expired', ?, ?, 'system')
+        `,
+        [row.id, row.player_account_id, row.expires_at, row.expires_at],
+      );
+
+      await insertAdminAudit(conn, {
+        userId: null,
+        route: "scripts/membership-lifecycle",
+        method: "SYSTEM",
+        action: "membership.auto_expire",
+        via: "system",
+        entityType: "membership",
+        entityKey: row.id,
+      });
+    }
+
+    return rows.length;
+  }
+
+  async function listDueExpiryReminders(conn, { reminderDays, batchSize }) {
+    const [rows] = await conn.execute(
+      `
+      SELECT
+        m.id,
+        m.player_account_id,
+        m.expires_at,
+        p.name AS plan_name,
+        e.email
+      FROM player_memberships m
+      INNER JOIN membership_plans p
+        ON p.plan_code = m.plan_code
+      INNER JOIN player_email_identities e
+        ON e.player_account_id = m.player_account_id
+        AND e.verified_at IS NOT NULL
+      WHERE m.status = 'active'
+        AND m.expires_at > UTC_TIMESTAMP()
+        AND m.expires_at <= UTC_TIMESTAMP() + INTERVAL ? DAY
+        AND (
+          m.expiry_reminder_sent_for IS NULL
+          OR m.expiry_reminder_sent_for <> m.expires_at
+        )
+      ORDER BY m.expires_at ASC, m.id ASC
+      LIMIT ?
+      `,
+      [reminderDays, batchSize],
+    );
+
+    return rows.map((row) => ({
+      membershipId: row.id,
+      playerAccountId: row.player_account_id,
+      email: row.email,
+      planName: row.plan_name,
+      expiresAt: row.expires_at,
+    }));
+  }
+
+  /**
+   * Marks a delivered reminder. Returns false without writing when the
+   * membership changed since it was listed (renewed, expired, or already
+   * recorded), so a reminder is recorded once per expires_at.
+   */
+  async function recordExpiryReminderSent({
+    membershipId,
+    playerAccountId,
+    expiresAt,
+  }) {
+    return runInTx(dbConfig, async (conn) => {
+      const [updateResult] = await conn.execute(
+        `
+        UPDATE player_memberships
+        SET expiry_reminder_sent_for = expires_at
+        WHERE id = ?
+          AND status = 'active'
+          AND expires_at = ?
+          AND (
+            expiry_reminder_sent_for IS NULL
+            OR expiry_reminder_sent_for <> expires_at
+          )
+        `,
+        [membershipId, expiresAt],
+      );
+
+      if (updateResult.affectedRows !== 1) {
+        return false;
+      }
+
+      await conn.execute(
+        `
+        INSERT INTO player_membership_events (
+          membership_id,
+          player_account_id,
+          event_type,
+          previous_status,
+          new_status,
+          previous_expires_at,
+          new_expires_at,
+          actor_type
+        )
+        VALUES (?, ?, 'expiry_reminder', 'active', 'active', ?, ?, 'system')
+        `,
+        [membershipId, playerAccountId, expiresAt, expiresAt],
+      );
+
+      return true;
+    });
+  }
+
+  async function reconcileMembershipLifecycle({
+    gracePeriodHours,
+    reminderDays = null,
+    batchSize,
+  }) {
+    if (
+      !isNonNegativeInteger(gracePeriodHours)
+      || !isPositiveInteger(batchSize)
+      || (reminderDays !== null && !isPositiveInteger(reminderDays))
+    ) {
+      throw new TypeError("Membership lifecycle options are invalid.");
+    }
+
+    try {
+      const lockedResult = await runWithAdvisoryLockTx({
+        dbConfig,
+        lockName: MEMBERSHIP_LIFECYCLE_LOCK_NAME,
+        timeoutSeconds: MEMBERSHIP_RECONCILE_LOCK_TIMEOUT_SECONDS,
+        work: async (conn) => {
+          const expired = await expireLapsedMemberships(conn, {
+            gracePeriodHours,
+            batchSize,
+          });
+
+          const reminders = reminderDays === null
+            ? []
+            : await listDueExpiryReminders(conn, { reminderDays, batchSize });
+
+          return {
+            ok: true,
+            outcome: "reconciled",
+            expired,
+            reminders,
+          };
+        },
+      });
+
+      if (!lockedResult.acquired) {
+        return {
+          ok: true,
+          outcome: "skipped_busy",
+          cleanupWarnings: lockedResult.cleanupWarnings,
+        };
+      }
+
+      return {
+        ...lockedResult.value,
+        cleanupWarnings: lockedResult.cleanupWarnings,
+      };
+    } catch (err) {
+      const cleanupWarnings = Array.isArray(err?.cleanupWarnings)
+        ? err.cleanupWarnings
+        : [];
+
+      if (STABLE_RECONCILE_ERRORS.has(err?.code)) {
+        return { ok: false, error: err.code, cleanupWarnings };
+      }
+
+      return {
+        ok: false,
+        error: "tx_failed",
+        cleanupWarnings,
+      };
+    }
+  }
+
+  return {
+    reconcileMembershipLifecycle,
+    recordExpiryReminderSent,
+  };
+}
@@ -0,0 +1,356 @@
+import { pathToFileURL } from "node:url";
+import nodemailer from "nodemailer";
+
+import { loadEnv } from "../src/config/env.js";
+import { buildAppConfig } from "../src/config/appConfig.js";
+import { buildDbConfig } from "../src/config/db.js";
+import { createMembershipsRepo } from "../memberships.repo.js";
+
+const SUCCESS_OUTCOMES = new Set([
+  "reconciled",
+  "skipped_busy",
+]);
+const STABLE_RECONCILE_ERRORS = new Set([
+  "membership_auto_expire_failed",
+  "tx_failed",
+]);
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function isObjectContainer(value) {
+  return value !== null
+    && typeof value === "object"
+    && !Array.isArray(value);
+}
+
+function isWritableStream(stream) {
+  try {
+    return stream !== null
+      && (typeof stream === "object" || typeof stream === "function")
+      && typeof stream.write === "function";
+  } catch {
+    return false;
+  }
+}
+
+function isValidDbConfig(dbConfig) {
+  return isObjectContainer(dbConfig)
+    && isNonEmptyString(dbConfig.host)
+    && isNonEmptyString(dbConfig.user)
+    && isNonEmptyString(dbConfig.database)
+    && Number.isInteger(dbConfig.port)
+    && dbConfig.port >= 1
+    && dbConfig.port <= 65535;
+}
+
+function tryWriteJsonLine(stream, payload) {
+  try {
+    if (!isWritableStream(stream)) return false;
+    stream.write(`${JSON.stringify(payload)}\n`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function emitResult(stream, payload, intendedExitCode) {
+  return tryWriteJsonLine(stream, payload) ? intendedExitCode : 1;
+}
+
+function formatUtc(value) {
+  const date = value instanceof Date ? value : new Date(`${value}Z`);
+
+  if (!Number.isFinite(date.getTime())) {
+    return String(value);
+  }
+
+  return `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+function createSendMail(appConfig) {
+  const mail = appConfig.mailTransport;
+  const transporter = nodemailer.createTransport({
+    host: mail.host,
+    port: mail.port,
+    secure: mail.secure,
+    auth: {
+      user: mail.user,
+      pass: mail.pass,
+    },
+  });
+
+  return (message) => transporter.sendMail({
+    from: appConfig.playerEmailAuth.fromEmail,
+    ...message,
+  });
+}
+
+function buildReminderMessage(reminder, subject) {
+  return {
+    to: reminder.email,
+    subject,
+    text: [
+      "HSC",
+      "",
+      `Sua membership ${reminder.planName} expira em ${formatUtc(reminder.expiresAt)}.`,
+      "",
+      "Depois dessa data o acesso a salas, servidores e recursos do plano é encerrado.",
+      "Fale com a staff para renovar.",
+    ].join("\n"),
+  };
+}
+
+function normalizeDependencies(dependencies) {
+  let errorStream = process.stderr;
+
+  if (!isObjectContainer(dependencies)) {
+    return { ok: false, errorStream };
+  }
+
+  try {
+    const hasStderr = Object.hasOwn(dependencies, "stderr");
+    const stderr = hasStderr ? dependencies.stderr : process.stderr;
+    if (isWritableStream(stderr)) errorStream = stderr;
+
+    const loadEnvFn = Object.hasOwn(dependencies, "loadEnvFn")
+      ? dependencies.loadEnvFn
+      : loadEnv;
+    const buildDbConfigFn = Object.hasOwn(dependencies, "buildDbConfigFn")
+      ? dependencies.buildDbConfigFn
+      : buildDbConfig;
+    const buildAppConfigFn = Object.hasOwn(dependencies, "buildAppConfigFn")
+      ? dependencies.buildAppConfigFn
+      : buildAppConfig;
+    const createMembershipsRepoFn = Object.hasOwn(
+      dependencies,
+      "createMembershipsRepoFn",
+    )
+      ? dependencies.createMembershipsRepoFn
+      : createMembershipsRepo;
+    const createSendMailFn = Object.hasOwn(dependencies, "createSendMailFn")
+      ? dependencies.createSendMailFn
+      : createSendMail;
+    const stdout = Object.hasOwn(dependencies, "stdout")
+      ? dependencies.stdout
+      : process.stdout;
+
+    if (
+      typeof loadEnvFn !== "function"
+      || typeof buildDbConfigFn !== "function"
+      || typeof buildAppConfigFn !== "function"
+      || typeof createMembershipsRepoFn !== "function"
+      || typeof createSendMailFn !== "function"
+      || !isWritableStream(stdout)
+      || !isWritableStream(stderr)
+    ) {
+      return { ok: false, errorStream };
+    }
+
+    return {
+      ok: true,
+      value: {
+        loadEnvFn,
+        buildDbConfigFn,
+        buildAppConfigFn,
+        createMembershipsRepoFn,
+        createSendMailFn,
+        stdout,
+        stderr,
+      },
+    };
+  } catch {
+    return { ok: false, errorStream };
+  }
+}
+
+function cleanupWarningCount(result) {
+  return Array.isArray(result?.cleanupWarnings)
+    ? result.cleanupWarnings.length
+    : 0;
+}
+
+function internalError(warningCount) {
+  return {
+    exitCode: 1,
+    stream: "stderr",
+    payload: {
+      ok: false,
+      error: "internal_error",
+      cleanupWarningCount: warningCount,
+    },
+  };
+}
+
+/**
+ * A reminder is recorded only after it was delivered; a failed send is
+ * counted and stays due, so the next run retries it. It never fails the run
+ * because the status changes are already committed.
+ */
+async function deliverReminders(reminders, sendMail, subject, membershipsRepo) {
+  let sent = 0;
+  let failed = 0;
+
+  for (const reminder of reminders) {
+    try {
+      await sendMail(buildReminderMessage(reminder, subject));
+    } catch {
+      failed += 1;
+      continue;
+    }
+
+    await membershipsRepo.recordExpiryReminderSent(reminder);
+    sent += 1;
+  }
+
+  return { sent, failed };
+}
+
+export async function main(dependencies = {}) {
+  const normalizedDependencies = normalizeDependencies(dependencies);
+  if (!normalizedDependencies.ok) {
+    return emitResult(normalizedDependencies.errorStream, {
+      ok: false,
+      error: "internal_error",
+      cleanupWarningCount: 0,
+    }, 1);
+  }
+
+  const {
+    loadEnvFn,
+    buildDbConfigFn,
+    buildAppConfigFn,
+    createMembershipsRepoFn,
+    createSendMailFn,
+    stdout,
+    stderr,
+  } = normalizedDependencies.value;
+  let dbConfig;
+  let appConfig;
+
+  try {
+    await loadEnvFn();
+    dbConfig = await buildDbConfigFn();
+    appConfig = await buildAppConfigFn();
+  } catch {
+    return emitResult(stderr, {
+      ok: false,
+      error: "invalid_configuration",
+      cleanupWarningCount: 0,
+    }, 2);
+  }
+
+  if (
+    !isValidDbConfig(dbConfig)
+    || !isObjectContainer(appConfig?.membershipLifecycle)
+  ) {
+    return emitResult(stderr, {
+      ok: false,
+      error: "invalid_configuration",
+      cleanupWarningCount: 0,
+    }, 2);
+  }
+
+  const lifecycle = appConfig.membershipLifecycle;
+  const remindersEnabled = lifecycle.remindersEnabled === true
+    && appConfig.playerEmailAuth?.enabled === true;
+
+  let sanitized;
+  try {
+    const membershipsRepo = createMembershipsRepoFn(dbConfig);
+
+    if (
+      typeof membershipsRepo?.reconcileMembershipLifecycle !== "function"
+      || typeof membershipsRepo.recordExpiryReminderSent !== "function"
+    ) {
+      throw new TypeError("Membership lifecycle reconciler is unavailable.");
+    }
+
+    const result = await membershipsRepo.reconcileMembershipLifecycle({
+      gracePeriodHours: lifecycle.gracePeriodHours,
+      reminderDays: remindersEnabled ? lifecycle.reminderDays : null,
+      batchSize: lifecycle.batchSize,
+    });
+    const warningCount = cleanupWarningCount(result);
+
+    if (result?.ok === true && SUCCESS_OUTCOMES.has(result.outcome)) {
+      if (result.outcome === "skipped_busy") {
+        sanitized = {
+          exitCode: 0,
+          stream: "stdout",
+          payload: {
+            ok: true,
+            outcome: "skipped_busy",
+            cleanupWarningCount: warningCount,
+          },
+        };
+      } else if (
+        !Number.isInteger(result.expired)
+        || !Array.isArray(result.reminders)
+      ) {
+        sanitized = internalError(warningCount);
+      } else {
+        const delivery = result.reminders.length > 0
+          ? await deliverReminders(
+            result.reminders,
+            createSendMailFn(appConfig),
+            lifecycle.reminderSubject,
+            membershipsRepo,
+          )
+          : { sent: 0, failed: 0 };
+
+        sanitized = {
+          exitCode: 0,
+          stream: "stdout",
+          payload: {
+            ok: true,
+            outcome: "reconciled",
+            expired: result.expired,
+            remindersSent: delivery.sent,
+            reminderFailures: delivery.failed,
+            cleanupWarningCount: warningCount,
+          },
+        };
+      }
+    } else if (result?.ok === false) {
+      sanitized = {
+        exitCode: 1,
+        stream: "stderr",
+        payload: {
+          ok: false,
+          error: STABLE_RECONCILE_ERRORS.has(result.error)
+            ? result.error
+            : "tx_failed",
+          cleanupWarningCount: warningCount,
+        },
+      };
+    } else {
+      sanitized = internalError(warningCount);
+    }
+  } catch {
+    sanitized = internalError(0);
+  }
+
+  const stream = sanitized.stream === "stdout" ? stdout : stderr;
+  return emitResult(stream, sanitized.payload, sanitized.exitCode);
+}
+
+const calledDirectly =
+  Boolean(process.argv[1]) &&
+  import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (calledDirectly) {
+  main()
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch(() => {
+      tryWriteJsonLine(process.stderr, {
+        ok: false,
+        error: "internal_error",
+        cleanupWarningCount: 0,
+      });
+      process.exitCode = 1;
+    });
+}
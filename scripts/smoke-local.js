@@ -1,4 +1,5 @@
 import {
+  createHash,
   randomBytes,
 } from "node:crypto";
 
@@ -18,6 +19,10 @@ import {
   startApplication,
 } from "../dist/nest/startApplication.js";
 
+import {
+  DatabaseService,
+} from "../dist/nest/database/database.service.js";
+
 
 const ENV_FILE =
   String(
@@ -31,8 +36,18 @@ const TRUSTED_ORIGIN =
 const SMOKE_STEAMID64 =
   "99999999999999999";
 
+/*
+ * Rate limits are stored in the database and outlive the process, so each
+ * run throttles a fresh synthetic address.
+ */
 const LOGIN_EMAIL =
-  "smoke-never-login@invalid.invalid";
+  `smoke-never-login-${randomBytes(6).toString("hex")}@invalid.invalid`;
+
+const LOOPBACK_IPS = [
+  "127.0.0.1",
+  "::1",
+  "::ffff:127.0.0.1",
+];
 
 const LOGIN_PASSWORD =
   "SmokePassword!123456";
@@ -134,6 +149,34 @@ async function check(
 }
 
 
+/*
+ * The smoke's wrong-password attempts count against the loopback IP in
+ * player_login_failures; clearing them keeps reruns from starting delayed.
+ */
+async function clearLoopbackLoginFailures(
+  app,
+) {
+  const subjectKeys =
+    LOOPBACK_IPS.map((ip) =>
+      createHash("sha256")
+        .update(ip, "utf8")
+        .digest("hex"),
+    );
+
+  await app
+    .get(DatabaseService)
+    .getPool()
+    .query(
+      `
+        DELETE FROM player_login_failures
+        WHERE scope = 'ip'
+          AND subject_key IN (?)
+      `,
+      [subjectKeys],
+    );
+}
+
+
 function assertLocalDatabase(
   config,
 ) {
@@ -451,6 +494,10 @@ async function main() {
     await check(
       "email login rate limit",
       async () => {
+        await clearLoopbackLoginFailures(
+          app,
+        );
+
         let lastResult = null;
 
         for (
@@ -14,6 +14,13 @@ import { buildUploadsConfig } from "./uploads.js";
 import { buildPlayerAnalyticsConfig } from "./playerAnalytics.js";
 import { buildRabbitMqConfig } from "./rabbitMq.js";
 import { buildMatchIngressConfig } from "./matchIngress.js";
+import { buildMatchProvisioningConfig } from "./matchProvisioning.js";
+import { buildMatchRatingConfig } from "./matchRating.js";
+import { buildMatchBridgeConfig } from "./matchBridge.js";
+import { buildTotpConfig } from "./totp.js";
+import { buildPlayerAccountDeletionConfig } from "./playerAccountDeletion.js";
+import { buildPlayerSecurityNotificationsConfig } from "./playerSecurityNotifications.js";
+import { buildMembershipLifecycleConfig } from "./membershipLifecycle.js";
 
 export function buildRuntimeConfig(env = process.env) {
   const port = parsePort(env.PORT, 3000, "PORT");
@@ -48,6 +55,14 @@ export function buildAppConfig(env = process.env) {
   const playerAnalytics = buildPlayerAnalyticsConfig(env);
   const rabbitMq = buildRabbitMqConfig(env);
   const matchIngress = buildMatchIngressConfig(env);
+  const matchProvisioning = buildMatchProvisioningConfig(env);
+  const matchRating = buildMatchRatingConfig(env);
+  const matchBridge = buildMatchBridgeConfig(env);
+  const totp = buildTotpConfig(env);
+  const playerAccountDeletion = buildPlayerAccountDeletionConfig(env);
+  const playerSecurityNotifications =
+    buildPlayerSecurityNotificationsConfig(env);
+  const membershipLifecycle = buildMembershipLifecycleConfig(env);
 
   return Object.freeze({
     runtime,
@@ -65,5 +80,12 @@ export function buildAppConfig(env = process.env) {
     playerAnalytics,
     rabbitMq,
     matchIngress,
+    matchProvisioning,
+    matchRating,
+    matchBridge,
+    totp,
+    playerAccountDeletion,
+    playerSecurityNotifications,
+    membershipLifecycle,
   });
 }
@@ -55,5 +55,8 @@ export function buildAuthConfig(env = process.env, runtimeConfig = {}) {
       env.MAGIC_LINK_SUBJECT,
       "Your HSC Backoffice sign-in link",
     ),
+    // Out-of-band token that authorizes the first admin 2FA enrollment while
+    // no admin has a confirmed second factor yet. Empty disables it.
+    secondFactorBootstrapToken: parseString(env.ADMIN_2FA_BOOTSTRAP_TOKEN, ""),
   };
 }
\ No newline at end of file
@@ -30,6 +30,19 @@ export function parsePositiveInt(value, defaultVal, key) {
   return num;
 }
 
+export function parseNonNegativeInt(value, defaultVal, key) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return defaultVal;
+  }
+
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0) {
+    throw new ConfigError(key, "must be a non-negative integer");
+  }
+
+  return num;
+}
+
 export function parsePort(value, defaultVal, key) {
   if (value === undefined || value === null || String(value).trim() === "") {
     return defaultVal;
@@ -0,0 +1,27 @@
+// src/config/matchBridge.js
+import { parseBoolean, parsePositiveInt } from "./helpers.js";
+
+export function buildMatchBridgeConfig(env = process.env) {
+  return {
+    sweeperEnabled: parseBoolean(
+      env.MATCH_BRIDGE_SWEEPER_ENABLED,
+      false,
+      "MATCH_BRIDGE_SWEEPER_ENABLED",
+    ),
+    sweepIntervalMs: parsePositiveInt(
+      env.MATCH_BRIDGE_SWEEP_INTERVAL_MS,
+      15000,
+      "MATCH_BRIDGE_SWEEP_INTERVAL_MS",
+    ),
+    nodeStaleAfterSeconds: parsePositiveInt(
+      env.MATCH_BRIDGE_NODE_STALE_SECONDS,
+      90,
+      "MATCH_BRIDGE_NODE_STALE_SECONDS",
+    ),
+    maxLeaseAttempts: parsePositiveInt(
+      env.MATCH_BRIDGE_MAX_LEASE_ATTEMPTS,
+      3,
+      "MATCH_BRIDGE_MAX_LEASE_ATTEMPTS",
+    ),
+  };
+}
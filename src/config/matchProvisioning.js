@@ -0,0 +1,12 @@
+// src/config/matchProvisioning.js
+import { parsePositiveInt } from "./helpers.js";
+
+export function buildMatchProvisioningConfig(env = process.env) {
+  return {
+    prepareMatchMaxAttempts: parsePositiveInt(
+      env.MATCH_PREPARE_MAX_ATTEMPTS,
+      3,
+      "MATCH_PREPARE_MAX_ATTEMPTS",
+    ),
+  };
+}
@@ -0,0 +1,17 @@
+// src/config/matchRating.js
+import { parsePositiveInt } from "./helpers.js";
+
+export function buildMatchRatingConfig(env = process.env) {
+  return {
+    initialRating: parsePositiveInt(
+      env.MATCH_RATING_INITIAL,
+      1000,
+      "MATCH_RATING_INITIAL",
+    ),
+    kFactor: parsePositiveInt(
+      env.MATCH_RATING_K_FACTOR,
+      32,
+      "MATCH_RATING_K_FACTOR",
+    ),
+  };
+}
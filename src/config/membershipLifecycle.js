@@ -0,0 +1,40 @@
+// src/config/membershipLifecycle.js
+import {
+  parseBoolean,
+  parseNonNegativeInt,
+  parsePositiveInt,
+  parseString,
+} from "./helpers.js";
+
+// Read by scripts/membership-lifecycle.js. Access already ends at expires_at
+// (effective status); the grace period only delays writing the terminal
+// `expired` status, so extending expires_at within it revives the membership.
+// Reminder delivery reuses the Player Email Auth sender and SMTP transport.
+export function buildMembershipLifecycleConfig(env = process.env) {
+  return {
+    gracePeriodHours: parseNonNegativeInt(
+      env.MEMBERSHIP_EXPIRY_GRACE_HOURS,
+      0,
+      "MEMBERSHIP_EXPIRY_GRACE_HOURS",
+    ),
+    remindersEnabled: parseBoolean(
+      env.MEMBERSHIP_EXPIRY_REMINDERS_ENABLED,
+      false,
+      "MEMBERSHIP_EXPIRY_REMINDERS_ENABLED",
+    ),
+    reminderDays: parsePositiveInt(
+      env.MEMBERSHIP_EXPIRY_REMINDER_DAYS,
+      7,
+      "MEMBERSHIP_EXPIRY_REMINDER_DAYS",
+    ),
+    reminderSubject: parseString(
+      env.MEMBERSHIP_EXPIRY_REMINDER_SUBJECT,
+      "Your HSC membership is about to expire",
+    ),
+    batchSize: parsePositiveInt(
+      env.MEMBERSHIP_LIFECYCLE_BATCH_SIZE,
+      200,
+      "MEMBERSHIP_LIFECYCLE_BATCH_SIZE",
+    ),
+  };
+}
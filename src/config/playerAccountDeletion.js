@@ -0,0 +1,44 @@
+// src/config/playerAccountDeletion.js
+import {
+  parseBoolean,
+  parsePositiveInt,
+  parseRedirectUrl,
+  parseString,
+} from "./helpers.js";
+
+// Self-service deletion is confirmed by email and only carried out after the
+// grace period, so the player can still cancel it. Delivery reuses the
+// Player Email Auth sender and SMTP transport.
+export function buildPlayerAccountDeletionConfig(env = process.env) {
+  return {
+    confirmationTtlMinutes: parsePositiveInt(
+      env.PLAYER_ACCOUNT_DELETION_CONFIRMATION_TTL_MINUTES,
+      60,
+      "PLAYER_ACCOUNT_DELETION_CONFIRMATION_TTL_MINUTES",
+    ),
+    confirmationUrl: parseRedirectUrl(
+      env.PLAYER_ACCOUNT_DELETION_CONFIRMATION_URL,
+      "/portal/cs2-next/confirm-account-deletion",
+      "PLAYER_ACCOUNT_DELETION_CONFIRMATION_URL",
+    ),
+    confirmationSubject: parseString(
+      env.PLAYER_ACCOUNT_DELETION_SUBJECT,
+      "Confirm your HSC account deletion",
+    ),
+    gracePeriodDays: parsePositiveInt(
+      env.PLAYER_ACCOUNT_DELETION_GRACE_DAYS,
+      14,
+      "PLAYER_ACCOUNT_DELETION_GRACE_DAYS",
+    ),
+    sweeperEnabled: parseBoolean(
+      env.PLAYER_ACCOUNT_DELETION_SWEEPER_ENABLED,
+      true,
+      "PLAYER_ACCOUNT_DELETION_SWEEPER_ENABLED",
+    ),
+    sweepIntervalMs: parsePositiveInt(
+      env.PLAYER_ACCOUNT_DELETION_SWEEP_INTERVAL_MS,
+      10 * 60 * 1000,
+      "PLAYER_ACCOUNT_DELETION_SWEEP_INTERVAL_MS",
+    ),
+  };
+}
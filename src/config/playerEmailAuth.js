@@ -65,6 +65,10 @@ export function buildPlayerEmailAuthConfig(
       env.PLAYER_EMAIL_LINK_SUBJECT,
       "Link your email to HSC",
     ),
+    lockoutSubject: parseString(
+      env.PLAYER_EMAIL_LOCKOUT_SUBJECT,
+      "Your HSC login was temporarily locked",
+    ),
   };
 
   if (!enabled) {
@@ -0,0 +1,27 @@
+// src/config/playerSecurityNotifications.js
+import { parseBoolean, parseString } from "./helpers.js";
+
+// Security events are always recorded; mailing them to the player's verified
+// email is opt-in. Delivery reuses the Player Email Auth sender and SMTP
+// transport, so it also needs PLAYER_EMAIL_AUTH_ENABLED.
+export function buildPlayerSecurityNotificationsConfig(env = process.env) {
+  return {
+    enabled: parseBoolean(
+      env.PLAYER_SECURITY_NOTIFICATIONS_ENABLED,
+      false,
+      "PLAYER_SECURITY_NOTIFICATIONS_ENABLED",
+    ),
+    newLoginSubject: parseString(
+      env.PLAYER_SECURITY_NEW_LOGIN_SUBJECT,
+      "New sign-in to your HSC account",
+    ),
+    steamLinkedSubject: parseString(
+      env.PLAYER_SECURITY_STEAM_LINKED_SUBJECT,
+      "Steam account linked to your HSC account",
+    ),
+    passwordChangedSubject: parseString(
+      env.PLAYER_SECURITY_PASSWORD_CHANGED_SUBJECT,
+      "Your HSC password was changed",
+    ),
+  };
+}
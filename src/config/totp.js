@@ -0,0 +1,27 @@
+// src/config/totp.js
+import { ConfigError, parsePositiveInt, parseString } from "./helpers.js";
+
+// TOTP shared secrets must be readable to verify codes, so they are stored
+// encrypted (AES-256-GCM) with this key instead of hashed. Without it, 2FA
+// enrollment is unavailable.
+export function buildTotpConfig(env = process.env) {
+  const secretKey = parseString(env.TOTP_SECRET_KEY, "");
+
+  if (secretKey && Buffer.from(secretKey, "base64").length !== 32) {
+    throw new ConfigError(
+      "TOTP_SECRET_KEY",
+      "must be 32 bytes encoded as base64",
+    );
+  }
+
+  return {
+    configured: secretKey !== "",
+    secretKey,
+    issuer: parseString(env.TOTP_ISSUER, "HSC") || "HSC",
+    challengeTtlMinutes: parsePositiveInt(
+      env.TOTP_CHALLENGE_TTL_MINUTES,
+      5,
+      "TOTP_CHALLENGE_TTL_MINUTES",
+    ),
+  };
+}
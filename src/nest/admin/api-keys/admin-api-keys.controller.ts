@@ -0,0 +1,297 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Delete,
+  Param,
+  Body,
+  Req,
+  UseGuards,
+  HttpException,
+  HttpStatus,
+  HttpCode,
+} from "@nestjs/common";
+import { DatabaseService } from "../../database/database.service.js";
+import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+import { AdminIdentity } from "../auth/admin-auth.service.js";
+import { ADMIN_PERMISSIONS, AdminPermission } from "../auth/admin-permissions.js";
+import { AdminAuditEntry } from "../common/admin-audit.service.js";
+import {
+  AdminApiKeysRepository,
+  AdminApiKeyNotFoundError,
+  AdminApiKeyInactiveError,
+} from "./admin-api-keys.repository.js";
+
+interface RequestWithAdmin {
+  admin?: AdminIdentity;
+}
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const NAME_MAX_LENGTH = 100;
+
+function normalizeUuid(value: unknown): string | null {
+  const clean = String(value ?? "").trim().toLowerCase();
+  return UUID_RE.test(clean) ? clean : null;
+}
+
+function formatUtcDatetime(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, "0");
+
+  return (
+    `${date.getUTCFullYear()}-` +
+    `${pad(date.getUTCMonth() + 1)}-` +
+    `${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:` +
+    `${pad(date.getUTCMinutes())}:` +
+    `${pad(date.getUTCSeconds())}`
+  );
+}
+
+function parseOptionalExpiry(
+  value: unknown,
+  now: Date,
+):
+  | { ok: true; value: string | null }
+  | { ok: false; error: string } {
+  if (value === undefined || value === null) {
+    return { ok: true, value: null };
+  }
+
+  const clean = String(value).trim();
+
+  if (!clean) {
+    return { ok: false, error: "invalid_expires_at" };
+  }
+
+  if (!clean.endsWith("Z")) {
+    return { ok: false, error: "expires_at_must_be_utc_z" };
+  }
+
+  const date = new Date(clean);
+
+  if (Number.isNaN(date.getTime())) {
+    return { ok: false, error: "invalid_expires_at" };
+  }
+
+  if (date.getTime() <= now.getTime()) {
+    return { ok: false, error: "expires_at_in_past" };
+  }
+
+  return {
+    ok: true,
+    value: formatUtcDatetime(date),
+  };
+}
+
+function parseScopes(value: unknown): AdminPermission[] | null {
+  if (!Array.isArray(value) || value.length === 0) {
+    return null;
+  }
+
+  const known = ADMIN_PERMISSIONS as readonly unknown[];
+  if (!value.every((scope) => known.includes(scope))) {
+    return null;
+  }
+
+  return ADMIN_PERMISSIONS.filter((permission) => value.includes(permission));
+}
+
+/**
+ * Keys are managed by admin sessions (or the legacy configured key) only: the
+ * controller declares no permissions, so a scoped API key can never mint or
+ * rotate keys for itself.
+ */
+@Controller("admin/api-keys")
+@UseGuards(AdminAuthGuard)
+export class AdminApiKeysController {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly repository: AdminApiKeysRepository,
+  ) {}
+
+  private assertDbReady(): void {
+    if (this.databaseService.getStatus().ready !== true) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+  }
+
+  private readBodyRecord(body: unknown): Record<string, unknown> {
+    if (body !== null && typeof body === "object" && !Array.isArray(body)) {
+      return body as Record<string, unknown>;
+    }
+    return {};
+  }
+
+  private readUserId(admin: AdminIdentity | undefined): number | null {
+    return typeof admin?.userId === "number" && Number.isInteger(admin.userId)
+      ? admin.userId
+      : null;
+  }
+
+  private buildAudit(
+    admin: AdminIdentity | undefined,
+    route: string,
+    method: string,
+    action: string,
+  ): AdminAuditEntry {
+    return {
+      userId: this.readUserId(admin),
+      route,
+      method,
+      action,
+      via: admin?.via ?? "admin-key",
+      apiKeyId: admin?.apiKeyId ?? null,
+    };
+  }
+
+  private readId(rawId: string): string {
+    const id = normalizeUuid(rawId);
+    if (!id) {
+      throw new HttpException(
+        { ok: false, error: "invalid_id" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+    return id;
+  }
+
+  private readExpiry(value: unknown): string | null {
+    const expiry = parseOptionalExpiry(value, new Date());
+    if (!expiry.ok) {
+      throw new HttpException(
+        { ok: false, error: expiry.error, field: "expires_at" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+    return expiry.value;
+  }
+
+  private mapError(err: unknown): HttpException {
+    if (err instanceof AdminApiKeyNotFoundError) {
+      return new HttpException(
+        { ok: false, error: "not_found" },
+        HttpStatus.NOT_FOUND,
+      );
+    }
+
+    if (err instanceof AdminApiKeyInactiveError) {
+      return new HttpException(
+        { ok: false, error: err.message },
+        HttpStatus.CONFLICT,
+      );
+    }
+
+    return new HttpException(
+      { ok: false, error: "db_error" },
+      HttpStatus.INTERNAL_SERVER_ERROR,
+    );
+  }
+
+  @Get()
+  async list() {
+    this.assertDbReady();
+
+    try {
+      const items = await this.repository.list();
+      return { ok: true, count: items.length, items };
+    } catch (err) {
+      throw this.mapError(err);
+    }
+  }
+
+  @Post()
+  @HttpCode(HttpStatus.CREATED)
+  async create(
+    @Req() req: RequestWithAdmin,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+
+    const payload = this.readBodyRecord(body);
+    const name = String(payload.name ?? "").trim();
+
+    if (!name || name.length > NAME_MAX_LENGTH) {
+      throw new HttpException(
+        { ok: false, error: "invalid_name" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    const scopes = parseScopes(payload.scopes);
+    if (!scopes) {
+      throw new HttpException(
+        { ok: false, error: "invalid_scopes", allowed: ADMIN_PERMISSIONS },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    const expiresAt = this.readExpiry(payload.expires_at);
+    const audit = this.buildAudit(req.admin, "/admin/api-keys", "POST", "api_key.create");
+
+    try {
+      const created = await this.repository.create(
+        {
+          name,
+          scopes,
+          expiresAt,
+          createdByUserId: this.readUserId(req.admin),
+        },
+        audit,
+      );
+      return { ok: true, item: created.item, key: created.rawKey };
+    } catch (err) {
+      throw this.mapError(err);
+    }
+  }
+
+  @Post(":id/rotate")
+  async rotate(
+    @Req() req: RequestWithAdmin,
+    @Param("id") rawId: string,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+
+    const id = this.readId(rawId);
+    const payload = this.readBodyRecord(body);
+    const expiresAt = "expires_at" in payload
+      ? this.readExpiry(payload.expires_at)
+      : undefined;
+    const audit = this.buildAudit(req.admin, "/admin/api-keys/:id/rotate", "POST", "api_key.rotate");
+
+    try {
+      const created = await this.repository.rotate(
+        id,
+        expiresAt,
+        this.readUserId(req.admin),
+        audit,
+      );
+      return { ok: true, item: created.item, key: created.rawKey };
+    } catch (err) {
+      throw this.mapError(err);
+    }
+  }
+
+  @Delete(":id")
+  async revoke(
+    @Req() req: RequestWithAdmin,
+    @Param("id") rawId: string,
+  ) {
+    this.assertDbReady();
+
+    const id = this.readId(rawId);
+    const audit = this.buildAudit(req.admin, "/admin/api-keys/:id", "DELETE", "api_key.revoke");
+
+    try {
+      const item = await this.repository.revoke(id, audit);
+      return { ok: true, item };
+    } catch (err) {
+      throw this.mapError(err);
+    }
+  }
+}
@@ -0,0 +1,12 @@
+import { Module } from "@nestjs/common";
+import { AdminAuthModule } from "../auth/admin-auth.module.js";
+import { AdminCommonModule } from "../common/admin-common.module.js";
+import { AdminApiKeysController } from "./admin-api-keys.controller.js";
+import { AdminApiKeysRepository } from "./admin-api-keys.repository.js";
+
+@Module({
+  imports: [AdminAuthModule, AdminCommonModule],
+  controllers: [AdminApiKeysController],
+  providers: [AdminApiKeysRepository],
+})
+export class AdminApiKeysModule {}
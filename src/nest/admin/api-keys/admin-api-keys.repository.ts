@@ -0,0 +1,326 @@
+import { Injectable } from "@nestjs/common";
+import { randomUUID } from "node:crypto";
+import type { PoolConnection, RowDataPacket, ResultSetHeader } from "mysql2/promise";
+import { DatabaseService } from "../../database/database.service.js";
+import { AdminAuditService, AdminAuditEntry } from "../common/admin-audit.service.js";
+import {
+  generateAdminApiKey,
+  parseAdminApiKeyScopes,
+} from "../auth/admin-api-key.repository.js";
+import type { AdminPermission } from "../auth/admin-permissions.js";
+
+export type AdminApiKeyStatus = "active" | "expired" | "revoked";
+
+export interface AdminApiKeyItem {
+  id: string;
+  name: string;
+  key_prefix: string;
+  scopes: AdminPermission[];
+  status: AdminApiKeyStatus;
+  expires_at: Date | string | null;
+  last_used_at: Date | string | null;
+  created_by_user_id: number | null;
+  rotated_from_id: string | null;
+  created_at: Date | string;
+  revoked_at: Date | string | null;
+}
+
+export interface CreatedAdminApiKey {
+  item: AdminApiKeyItem;
+  rawKey: string;
+}
+
+export interface CreateAdminApiKeyInput {
+  name: string;
+  scopes: AdminPermission[];
+  expiresAt: string | null;
+  createdByUserId: number | null;
+}
+
+interface RawAdminApiKeyRow extends RowDataPacket {
+  id: string;
+  name: string;
+  key_prefix: string;
+  scopes: string;
+  status: AdminApiKeyStatus;
+  expires_at: Date | string | null;
+  last_used_at: Date | string | null;
+  created_by_user_id: number | null;
+  rotated_from_id: string | null;
+  created_at: Date | string;
+  revoked_at: Date | string | null;
+}
+
+export class AdminApiKeyNotFoundError extends Error {
+  readonly code = "NOT_FOUND";
+
+  constructor() {
+    super("api_key_not_found");
+    this.name = "AdminApiKeyNotFoundError";
+  }
+}
+
+export class AdminApiKeyInactiveError extends Error {
+  constructor(readonly status: Exclude<AdminApiKeyStatus, "active">) {
+    super(`api_key_${status}`);
+    this.name = "AdminApiKeyInactiveError";
+  }
+}
+
+const SELECT_KEY_SQL = `
+  SELECT
+    id,
+    name,
+    key_prefix,
+    scopes,
+    CASE
+      WHEN revoked_at IS NOT NULL THEN 'revoked'
+      WHEN expires_at IS NOT NULL AND expires_at <= UTC_TIMESTAMP() THEN 'expired'
+      ELSE 'active'
+    END AS status,
+    expires_at,
+    last_used_at,
+    created_by_user_id,
+    rotated_from_id,
+    created_at,
+    revoked_at
+  FROM admin_api_keys
+`;
+
+function toItem(row: RawAdminApiKeyRow): AdminApiKeyItem {
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: parseAdminApiKeyScopes(row.scopes),
+    status: row.status,
+    expires_at: row.expires_at,
+    last_used_at: row.last_used_at,
+    created_by_user_id: row.created_by_user_id,
+    rotated_from_id: row.rotated_from_id,
+    created_at: row.created_at,
+    revoked_at: row.revoked_at,
+  };
+}
+
+@Injectable()
+export class AdminApiKeysRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly adminAuditService: AdminAuditService,
+  ) {}
+
+  async list(): Promise<AdminApiKeyItem[]> {
+    const [rows] = await this.databaseService.getPool().execute<RawAdminApiKeyRow[]>(
+      `
+        ${SELECT_KEY_SQL}
+        ORDER BY created_at DESC, id DESC
+        LIMIT 100
+      `,
+    );
+    return rows.map(toItem);
+  }
+
+  async create(
+    input: CreateAdminApiKeyInput,
+    audit: AdminAuditEntry,
+  ): Promise<CreatedAdminApiKey> {
+    return this.inTransaction(async (connection) => {
+      const created = await this.insertKey(connection, {
+        ...input,
+        rotatedFromId: null,
+      });
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        entityType: "admin_api_key",
+        entityKey: created.item.id,
+      });
+
+      return created;
+    });
+  }
+
+  /**
+   * Issues a fresh secret with the same name and scopes and revokes the old
+   * key in the same transaction. The expiry is kept unless a new one is given.
+   */
+  async rotate(
+    id: string,
+    expiresAt: string | null | undefined,
+    createdByUserId: number | null,
+    audit: AdminAuditEntry,
+  ): Promise<CreatedAdminApiKey> {
+    return this.inTransaction(async (connection) => {
+      const current = await this.findForUpdate(connection, id);
+      if (current.status === "revoked") {
+        throw new AdminApiKeyInactiveError("revoked");
+      }
+      if (current.status === "expired" && expiresAt === undefined) {
+        throw new AdminApiKeyInactiveError("expired");
+      }
+
+      await connection.execute(
+        `
+          UPDATE admin_api_keys
+          SET revoked_at = UTC_TIMESTAMP()
+          WHERE id = ?
+        `,
+        [id],
+      );
+
+      const created = await this.insertKey(connection, {
+        name: current.name,
+        scopes: parseAdminApiKeyScopes(current.scopes),
+        expiresAt: expiresAt === undefined ? current.expires_at_utc : expiresAt,
+        createdByUserId,
+        rotatedFromId: id,
+      });
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        entityType: "admin_api_key",
+        entityKey: created.item.id,
+      });
+
+      return created;
+    });
+  }
+
+  async revoke(id: string, audit: AdminAuditEntry): Promise<AdminApiKeyItem> {
+    return this.inTransaction(async (connection) => {
+      const current = await this.findForUpdate(connection, id);
+      if (current.status === "revoked") {
+        throw new AdminApiKeyInactiveError("revoked");
+      }
+
+      await connection.execute(
+        `
+          UPDATE admin_api_keys
+          SET revoked_at = UTC_TIMESTAMP()
+          WHERE id = ?
+        `,
+        [id],
+      );
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        entityType: "admin_api_key",
+        entityKey: id,
+      });
+
+      return this.findItem(connection, id);
+    });
+  }
+
+  private async findForUpdate(
+    connection: PoolConnection,
+    id: string,
+  ): Promise<RawAdminApiKeyRow & { expires_at_utc: string | null }> {
+    const [rows] = await connection.execute<Array<RawAdminApiKeyRow & { expires_at_utc: string | null }>>(
+      `
+        SELECT
+          id,
+          name,
+          key_prefix,
+          scopes,
+          CASE
+            WHEN revoked_at IS NOT NULL THEN 'revoked'
+            WHEN expires_at IS NOT NULL AND expires_at <= UTC_TIMESTAMP() THEN 'expired'
+            ELSE 'active'
+          END AS status,
+          DATE_FORMAT(expires_at, '%Y-%m-%d %H:%i:%s') AS expires_at_utc
+        FROM admin_api_keys
+        WHERE id = ?
+        LIMIT 1
+        FOR UPDATE
+      `,
+      [id],
+    );
+
+    const row = rows[0];
+    if (!row) {
+      throw new AdminApiKeyNotFoundError();
+    }
+    return row;
+  }
+
+  private async findItem(connection: PoolConnection, id: string): Promise<AdminApiKeyItem> {
+    const [rows] = await connection.execute<RawAdminApiKeyRow[]>(
+      `
+        ${SELECT_KEY_SQL}
+        WHERE id = ?
+        LIMIT 1
+      `,
+      [id],
+    );
+
+    const row = rows[0];
+    if (!row) {
+      throw new AdminApiKeyNotFoundError();
+    }
+    return toItem(row);
+  }
+
+  private async insertKey(
+    connection: PoolConnection,
+    input: CreateAdminApiKeyInput & { rotatedFromId: string | null },
+  ): Promise<CreatedAdminApiKey> {
+    const id = randomUUID();
+    const generated = generateAdminApiKey();
+
+    await connection.execute<ResultSetHeader>(
+      `
+        INSERT INTO admin_api_keys (
+          id,
+          name,
+          key_prefix,
+          key_hash,
+          scopes,
+          expires_at,
+          created_by_user_id,
+          rotated_from_id
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        id,
+        input.name,
+        generated.keyPrefix,
+        generated.keyHash,
+        JSON.stringify(input.scopes),
+        input.expiresAt,
+        input.createdByUserId,
+        input.rotatedFromId,
+      ],
+    );
+
+    return {
+      item: await this.findItem(connection, id),
+      rawKey: generated.rawKey,
+    };
+  }
+
+  private async inTransaction<T>(
+    work: (connection: PoolConnection) => Promise<T>,
+  ): Promise<T> {
+    const connection = await this.databaseService.getPool().getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+      } catch (err) {
+        try {
+          await connection.rollback();
+        } catch {}
+        throw err;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+}
@@ -0,0 +1,167 @@
+import {
+  Controller,
+  Get,
+  Query,
+  UseGuards,
+  HttpException,
+  HttpStatus,
+} from "@nestjs/common";
+import { DatabaseService } from "../../database/database.service.js";
+import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+import {
+  AdminAuditLogRepository,
+  AdminAuditVia,
+} from "./admin-audit-log.repository.js";
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const AUDIT_VIAS: readonly AdminAuditVia[] = ["session", "admin-key", "api-key", "system"];
+
+function formatUtcDatetime(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, "0");
+
+  return (
+    `${date.getUTCFullYear()}-` +
+    `${pad(date.getUTCMonth() + 1)}-` +
+    `${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:` +
+    `${pad(date.getUTCMinutes())}:` +
+    `${pad(date.getUTCSeconds())}`
+  );
+}
+
+function badRequest(error: string): never {
+  throw new HttpException(
+    { ok: false, error },
+    HttpStatus.BAD_REQUEST,
+  );
+}
+
+function isBlank(value: unknown): boolean {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+function normalizePositiveInteger(value: unknown, error: string): number | null {
+  if (isBlank(value)) return null;
+
+  const clean = String(value).trim();
+  const parsed = Number(clean);
+
+  return /^\d+$/.test(clean) && Number.isSafeInteger(parsed) && parsed > 0
+    ? parsed
+    : badRequest(error);
+}
+
+function normalizeToken(value: unknown, maxLength: number, error: string): string | null {
+  if (isBlank(value)) return null;
+
+  const clean = String(value).trim();
+
+  return clean.length <= maxLength ? clean : badRequest(error);
+}
+
+function normalizeApiKeyId(value: unknown): string | null {
+  if (isBlank(value)) return null;
+
+  const clean = String(value).trim().toLowerCase();
+
+  return UUID_RE.test(clean) ? clean : badRequest("invalid_api_key_id");
+}
+
+function normalizeVia(value: unknown): AdminAuditVia | null {
+  if (isBlank(value)) return null;
+
+  const via = AUDIT_VIAS.find((item) => item === String(value).trim());
+
+  return via ?? badRequest("invalid_via");
+}
+
+function normalizeUtcBoundary(value: unknown, error: string): string | null {
+  if (isBlank(value)) return null;
+
+  const clean = String(value).trim();
+
+  if (!clean.endsWith("Z")) {
+    return badRequest(error);
+  }
+
+  const date = new Date(clean);
+
+  if (Number.isNaN(date.getTime())) {
+    return badRequest(error);
+  }
+
+  return formatUtcDatetime(date);
+}
+
+function normalizeLimit(value: unknown): number {
+  if (isBlank(value)) return 50;
+
+  const limit = normalizePositiveInteger(value, "invalid_limit")!;
+
+  return limit <= 100 ? limit : badRequest("invalid_limit");
+}
+
+@Controller("admin/audit-log")
+@UseGuards(AdminAuthGuard)
+export class AdminAuditLogController {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly repository: AdminAuditLogRepository,
+  ) {}
+
+  @Get()
+  async list(
+    @Query("user_id") rawUserId?: string,
+    @Query("api_key_id") rawApiKeyId?: string,
+    @Query("via") rawVia?: string,
+    @Query("entity_type") rawEntityType?: string,
+    @Query("entity_key") rawEntityKey?: string,
+    @Query("action") rawAction?: string,
+    @Query("created_from") rawCreatedFrom?: string,
+    @Query("created_to") rawCreatedTo?: string,
+    @Query("cursor") rawCursor?: string,
+    @Query("limit") rawLimit?: string,
+  ) {
+    if (this.databaseService.getStatus().ready !== true) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+
+    const filter = {
+      userId: normalizePositiveInteger(rawUserId, "invalid_user_id"),
+      apiKeyId: normalizeApiKeyId(rawApiKeyId),
+      via: normalizeVia(rawVia),
+      entityType: normalizeToken(rawEntityType, 50, "invalid_entity_type"),
+      entityKey: normalizeToken(rawEntityKey, 64, "invalid_entity_key"),
+      action: normalizeToken(rawAction, 100, "invalid_action"),
+      createdFrom: normalizeUtcBoundary(rawCreatedFrom, "invalid_created_from"),
+      createdTo: normalizeUtcBoundary(rawCreatedTo, "invalid_created_to"),
+      beforeId: normalizePositiveInteger(rawCursor, "invalid_cursor"),
+      limit: normalizeLimit(rawLimit),
+    };
+
+    if (filter.createdFrom && filter.createdTo && filter.createdFrom > filter.createdTo) {
+      badRequest("invalid_created_range");
+    }
+
+    try {
+      const items = await this.repository.list(filter);
+      const last = items[items.length - 1];
+      return {
+        ok: true,
+        count: items.length,
+        items,
+        nextCursor: last && items.length === filter.limit ? String(last.id) : null,
+      };
+    } catch (_err) {
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
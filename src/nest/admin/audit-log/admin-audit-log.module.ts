@@ -0,0 +1,11 @@
+import { Module } from "@nestjs/common";
+import { AdminAuthModule } from "../auth/admin-auth.module.js";
+import { AdminAuditLogController } from "./admin-audit-log.controller.js";
+import { AdminAuditLogRepository } from "./admin-audit-log.repository.js";
+
+@Module({
+  imports: [AdminAuthModule],
+  controllers: [AdminAuditLogController],
+  providers: [AdminAuditLogRepository],
+})
+export class AdminAuditLogModule {}
@@ -0,0 +1,145 @@
+import { Injectable } from "@nestjs/common";
+import type { RowDataPacket } from "mysql2";
+import { DatabaseService } from "../../database/database.service.js";
+import type { AdminAuditDiff } from "../common/admin-audit.service.js";
+
+export type AdminAuditVia = "session" | "admin-key" | "api-key" | "system";
+
+export interface AdminAuditLogFilter {
+  userId: number | null;
+  apiKeyId: string | null;
+  via: AdminAuditVia | null;
+  entityType: string | null;
+  entityKey: string | null;
+  action: string | null;
+  createdFrom: string | null;
+  createdTo: string | null;
+  /** Exclusive upper bound on id; the log is paginated newest first. */
+  beforeId: number | null;
+  limit: number;
+}
+
+export interface AdminAuditLogItem {
+  id: number;
+  created_at: Date | string | null;
+  actor: {
+    via: AdminAuditVia;
+    user_id: number | null;
+    user_email: string | null;
+    api_key_id: string | null;
+    api_key_name: string | null;
+  };
+  route: string;
+  method: string;
+  action: string;
+  entity_type: string | null;
+  entity_key: string | null;
+  diff: AdminAuditDiff | null;
+}
+
+interface RawAuditLogRow extends RowDataPacket {
+  id: number;
+  created_at: Date | string | null;
+  via: AdminAuditVia;
+  user_id: number | null;
+  user_email: string | null;
+  api_key_id: string | null;
+  api_key_name: string | null;
+  route: string;
+  method: string;
+  action: string;
+  entity_type: string | null;
+  entity_key: string | null;
+  diff_json: string | null;
+}
+
+function parseDiff(raw: string | null): AdminAuditDiff | null {
+  if (!raw) return null;
+  try {
+    const value = JSON.parse(raw) as AdminAuditDiff;
+    return value !== null && typeof value === "object" ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+@Injectable()
+export class AdminAuditLogRepository {
+  constructor(private readonly databaseService: DatabaseService) {}
+
+  async list(filter: AdminAuditLogFilter): Promise<AdminAuditLogItem[]> {
+    const conditions: string[] = [];
+    const values: Array<string | number> = [];
+
+    const equals: Array<[string, string | number | null]> = [
+      ["l.user_id", filter.userId],
+      ["l.api_key_id", filter.apiKeyId],
+      ["l.via", filter.via],
+      ["l.entity_type", filter.entityType],
+      ["l.entity_key", filter.entityKey],
+      ["l.action", filter.action],
+    ];
+    for (const [column, value] of equals) {
+      if (value !== null) {
+        conditions.push(`${column} = ?`);
+        values.push(value);
+      }
+    }
+    if (filter.createdFrom) {
+      conditions.push("l.created_at >= ?");
+      values.push(filter.createdFrom);
+    }
+    if (filter.createdTo) {
+      conditions.push("l.created_at <= ?");
+      values.push(filter.createdTo);
+    }
+    if (filter.beforeId !== null) {
+      conditions.push("l.id < ?");
+      values.push(filter.beforeId);
+    }
+
+    const [rows] = await this.databaseService.getPool().execute<RawAuditLogRow[]>(
+      `
+        SELECT
+          l.id,
+          l.created_at,
+          l.via,
+          l.user_id,
+          u.email AS user_email,
+          l.api_key_id,
+          k.name AS api_key_name,
+          l.route,
+          l.method,
+          l.action,
+          l.entity_type,
+          l.entity_key,
+          l.diff_json
+        FROM admin_audit_log l
+        LEFT JOIN users u ON u.id = l.user_id
+        LEFT JOIN admin_api_keys k ON k.id = l.api_key_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY l.id DESC
+        LIMIT ?
+      `,
+      [...values, filter.limit],
+    );
+
+    return rows.map((row) => ({
+      id: row.id,
+      created_at: row.created_at,
+      actor: {
+        via: row.via,
+        user_id: row.user_id,
+        user_email: row.user_email,
+        api_key_id: row.api_key_id,
+        api_key_name: row.api_key_name,
+      },
+      route: row.route,
+      method: row.method,
+      action: row.action,
+      entity_type: row.entity_type,
+      entity_key: row.entity_key,
+      diff: parseDiff(row.diff_json),
+    }));
+  }
+}
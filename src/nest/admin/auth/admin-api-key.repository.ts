@@ -0,0 +1,109 @@
+import { Injectable } from "@nestjs/common";
+import { createHash, randomBytes } from "node:crypto";
+import type { RowDataPacket } from "mysql2";
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  ADMIN_PERMISSIONS,
+  AdminPermission,
+} from "./admin-permissions.js";
+
+export const ADMIN_API_KEY_PREFIX = "hsc_ak_";
+
+/** Characters of the raw key kept in clear so operators can tell keys apart. */
+const ADMIN_API_KEY_DISPLAY_LENGTH = 12;
+
+export interface GeneratedAdminApiKey {
+  rawKey: string;
+  keyPrefix: string;
+  keyHash: string;
+}
+
+export interface ActiveAdminApiKey {
+  id: string;
+  name: string;
+  scopes: AdminPermission[];
+}
+
+interface RawActiveKeyRow extends RowDataPacket {
+  id: string;
+  name: string;
+  scopes: string;
+}
+
+export function hashAdminApiKey(rawKey: string): string {
+  return createHash("sha256").update(rawKey).digest("hex");
+}
+
+export function generateAdminApiKey(): GeneratedAdminApiKey {
+  const rawKey = `${ADMIN_API_KEY_PREFIX}${randomBytes(32).toString("base64url")}`;
+  return {
+    rawKey,
+    keyPrefix: rawKey.slice(0, ADMIN_API_KEY_DISPLAY_LENGTH),
+    keyHash: hashAdminApiKey(rawKey),
+  };
+}
+
+/** Unknown entries are dropped so a retired permission never grants access. */
+export function parseAdminApiKeyScopes(raw: unknown): AdminPermission[] {
+  let value: unknown = raw;
+  if (typeof raw === "string") {
+    try {
+      value = JSON.parse(raw);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(value)) return [];
+  const scopes: unknown[] = value;
+  return ADMIN_PERMISSIONS.filter((permission) => scopes.includes(permission));
+}
+
+@Injectable()
+export class AdminApiKeyRepository {
+  constructor(private readonly databaseService: DatabaseService) {}
+
+  /**
+   * Resolves a non-revoked, non-expired key and stamps last_used_at. The stamp
+   * is coarsened to one write per minute so busy automation does not turn
+   * every request into an UPDATE.
+   */
+  async findActiveKeyByRawKey(rawKey: string): Promise<ActiveAdminApiKey | null> {
+    if (!rawKey || !rawKey.startsWith(ADMIN_API_KEY_PREFIX)) {
+      return null;
+    }
+
+    const pool = this.databaseService.getPool();
+    const [rows] = await pool.execute<RawActiveKeyRow[]>(
+      `
+        SELECT id, name, scopes
+        FROM admin_api_keys
+        WHERE key_hash = ?
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > UTC_TIMESTAMP())
+        LIMIT 1
+      `,
+      [hashAdminApiKey(rawKey)],
+    );
+
+    const row = rows[0];
+    if (!row) {
+      return null;
+    }
+
+    await pool.execute(
+      `
+        UPDATE admin_api_keys
+        SET last_used_at = UTC_TIMESTAMP()
+        WHERE id = ?
+          AND (last_used_at IS NULL OR last_used_at < UTC_TIMESTAMP() - INTERVAL 1 MINUTE)
+      `,
+      [row.id],
+    );
+
+    return {
+      id: row.id,
+      name: row.name,
+      scopes: parseAdminApiKeyScopes(row.scopes),
+    };
+  }
+}
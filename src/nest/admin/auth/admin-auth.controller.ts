@@ -32,6 +32,7 @@ export class AdminAuthController {
         name: admin.name,
       },
       role: admin.role,
+      permissions: admin.permissions,
     };
   }
 }
@@ -5,7 +5,12 @@ import {
   HttpException,
   HttpStatus,
 } from "@nestjs/common";
+import { Reflector } from "@nestjs/core";
 import { AdminAuthService, AdminIdentity } from "./admin-auth.service.js";
+import {
+  ADMIN_PERMISSIONS_METADATA,
+  AdminPermission,
+} from "./admin-permissions.js";
 
 interface RequestWithAdmin {
   headers: Record<string, string | string[] | undefined>;
@@ -14,7 +19,10 @@ interface RequestWithAdmin {
 
 @Injectable()
 export class AdminAuthGuard implements CanActivate {
-  constructor(private readonly adminAuthService: AdminAuthService) {}
+  constructor(
+    private readonly adminAuthService: AdminAuthService,
+    private readonly reflector: Reflector,
+  ) {}
 
   async canActivate(context: ExecutionContext): Promise<boolean> {
     const request = context.switchToHttp().getRequest<RequestWithAdmin>();
@@ -39,6 +47,22 @@ export class AdminAuthGuard implements CanActivate {
       );
     }
 
+    const required = this.reflector.getAllAndOverride<
+      AdminPermission[] | undefined
+    >(ADMIN_PERMISSIONS_METADATA, [context.getHandler(), context.getClass()]);
+
+    // Routes that never declared permissions predate RBAC and stay admin-only.
+    const allowed = required
+      ? required.every((permission) => admin.permissions.includes(permission))
+      : admin.role === "admin";
+
+    if (!allowed) {
+      throw new HttpException(
+        { ok: false, error: "forbidden" },
+        HttpStatus.FORBIDDEN,
+      );
+    }
+
     request.admin = admin;
     return true;
   }
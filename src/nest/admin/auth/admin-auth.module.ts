@@ -12,17 +12,27 @@ import { AdminMagicLinkDeliveryService } from "./admin-magic-link-delivery.servi
 import { AdminMagicLinkRequestService } from "./admin-magic-link-request.service.js";
 import { AdminDevBootstrapService } from "./admin-dev-bootstrap.service.js";
 import { AdminAuthGuard } from "./admin-auth.guard.js";
+import { AdminApiKeyRepository } from "./admin-api-key.repository.js";
+import { AdminSecondFactorController } from "./admin-second-factor.controller.js";
+import { AdminSecondFactorRepository } from "./admin-second-factor.repository.js";
+import { AdminSecondFactorService } from "./admin-second-factor.service.js";
+import { AdminCommonModule } from "../common/admin-common.module.js";
 
 @Module({
+  imports: [AdminCommonModule],
   controllers: [
     AdminAuthController,
     AdminMagicLinkController,
+    AdminSecondFactorController,
     AdminMagicLinkRequestController,
     AdminDevBootstrapController,
   ],
   providers: [
     AdminSessionRepository,
+    AdminApiKeyRepository,
     AdminMagicLinkRepository,
+    AdminSecondFactorRepository,
+    AdminSecondFactorService,
     AdminUserRepository,
     AdminDevBootstrapRepository,
     AdminMagicLinkDeliveryService,
@@ -1,15 +1,34 @@
 import { Injectable, Inject } from "@nestjs/common";
+import { timingSafeEqual } from "node:crypto";
 import { AppConfig, APP_CONFIG } from "../../core/app-config.js";
 import { AdminSessionRepository } from "./admin-session.repository.js";
+import {
+  ADMIN_API_KEY_PREFIX,
+  AdminApiKeyRepository,
+} from "./admin-api-key.repository.js";
 import { parseCookieHeader } from "../../core/http/parse-cookie-header.js";
+import {
+  ADMIN_PERMISSIONS,
+  AdminPermission,
+  isAdminRole,
+  resolveAdminPermissions,
+} from "./admin-permissions.js";
 
 export interface AdminIdentity {
-  via: "session" | "admin-key";
+  via: "session" | "admin-key" | "api-key";
   userId: number | null;
   role: string | null;
   email: string | null;
   name: string | null;
   sessionId: string | null;
+  apiKeyId: string | null;
+  permissions: AdminPermission[];
+}
+
+function safeEqual(a: string, b: string): boolean {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
 }
 
 @Injectable()
@@ -17,6 +36,7 @@ export class AdminAuthService {
   constructor(
     @Inject(APP_CONFIG) private readonly config: AppConfig,
     private readonly repository: AdminSessionRepository,
+    private readonly apiKeyRepository: AdminApiKeyRepository,
   ) {}
 
   async resolveSessionAdmin(
@@ -34,7 +54,7 @@ export class AdminAuthService {
       return null;
     }
 
-    if (session.role !== "admin") {
+    if (!isAdminRole(session.role)) {
       return null;
     }
 
@@ -45,6 +65,8 @@ export class AdminAuthService {
       email: session.email ?? null,
       name: session.name ?? null,
       sessionId: session.sessionId ?? null,
+      apiKeyId: null,
+      permissions: resolveAdminPermissions(session.role),
     };
   }
 
@@ -57,8 +79,31 @@ export class AdminAuthService {
       return sessionAdmin;
     }
 
+    if (!adminKeyHeader) {
+      return null;
+    }
+
+    if (adminKeyHeader.startsWith(ADMIN_API_KEY_PREFIX)) {
+      const apiKey = await this.apiKeyRepository.findActiveKeyByRawKey(adminKeyHeader);
+      if (!apiKey) {
+        return null;
+      }
+
+      return {
+        via: "api-key",
+        userId: null,
+        role: null,
+        email: null,
+        name: apiKey.name,
+        sessionId: null,
+        apiKeyId: apiKey.id,
+        permissions: apiKey.scopes,
+      };
+    }
+
+    // Legacy single key from config: full admin, audited without a key id.
     const configuredKey = this.config.adminAuth.adminKey;
-    if (configuredKey && adminKeyHeader === configuredKey) {
+    if (configuredKey && safeEqual(adminKeyHeader, configuredKey)) {
       return {
         via: "admin-key",
         userId: null,
@@ -66,6 +111,8 @@ export class AdminAuthService {
         email: null,
         name: null,
         sessionId: null,
+        apiKeyId: null,
+        permissions: [...ADMIN_PERMISSIONS],
       };
     }
 
@@ -3,7 +3,12 @@ import { AppConfig, APP_CONFIG } from "../../core/app-config.js";
 import { DatabaseService } from "../../database/database.service.js";
 import { AdminMagicLinkRepository } from "./admin-magic-link.repository.js";
 import { AdminSessionRepository } from "./admin-session.repository.js";
-import { buildAdminSessionCookie } from "./build-admin-session-cookie.js";
+import { AdminSecondFactorService } from "./admin-second-factor.service.js";
+import {
+  buildAdminSessionCookie,
+  buildAdminTwoFactorCookie,
+} from "./build-admin-session-cookie.js";
+import { isAdminRole } from "./admin-permissions.js";
 
 interface CustomResponse {
   setHeader(name: string, value: string): void;
@@ -17,6 +22,7 @@ export class AdminMagicLinkController {
     private readonly databaseService: DatabaseService,
     private readonly magicLinkRepository: AdminMagicLinkRepository,
     private readonly sessionRepository: AdminSessionRepository,
+    private readonly secondFactorService: AdminSecondFactorService,
   ) {}
 
   private buildCallbackUrl(query = ""): string {
@@ -58,7 +64,7 @@ export class AdminMagicLinkController {
         return;
       }
 
-      if (magicLink.role !== "admin") {
+      if (!isAdminRole(magicLink.role)) {
         response.redirect(
           302,
           this.buildCallbackUrl("?error=forbidden"),
@@ -66,6 +72,45 @@ export class AdminMagicLinkController {
         return;
       }
 
+      // A mailbox alone must not grant full admin: leave a pending challenge
+      // and issue the session only after POST /auth/2fa/verify.
+      if (this.secondFactorService.isRequiredFor(magicLink.role)) {
+        if (!this.secondFactorService.isAvailable()) {
+          response.redirect(
+            302,
+            this.buildCallbackUrl("?error=second_factor_unavailable"),
+          );
+          return;
+        }
+
+        const challenge = await this.secondFactorService.startLogin(
+          magicLink.userId,
+        );
+
+        await this.magicLinkRepository.markMagicLinkAsUsed(
+          magicLink.magicLinkId,
+        );
+
+        response.setHeader(
+          "Set-Cookie",
+          buildAdminTwoFactorCookie(
+            challenge.pendingToken,
+            this.config.adminAuth,
+            this.secondFactorService.challengeTtlSeconds,
+          ),
+        );
+
+        response.redirect(
+          302,
+          this.buildCallbackUrl(
+            challenge.enrolled
+              ? "?status=two_factor_required"
+              : "?status=two_factor_enrollment_required",
+          ),
+        );
+        return;
+      }
+
       const session = await this.sessionRepository.createSessionForUser(
         magicLink.userId,
         this.config.adminAuth.ttlHours,
@@ -0,0 +1,47 @@
+import { SetMetadata } from "@nestjs/common";
+
+export const ADMIN_ROLES = ["viewer", "editor", "admin"] as const;
+
+export type AdminRole = (typeof ADMIN_ROLES)[number];
+
+export const ADMIN_PERMISSIONS = [
+  "news.write",
+  "seasons.manage",
+  "memberships.manage",
+  "player-accounts.moderate",
+  "match.operate",
+  "uploads.write",
+  "players.read",
+] as const;
+
+export type AdminPermission = (typeof ADMIN_PERMISSIONS)[number];
+
+/**
+ * Every backoffice role can read the catalogue areas that opted into RBAC;
+ * reads exposing player data require `players.read`, and mutations require
+ * their own permission. Routes without a permission declaration stay
+ * admin-only (see AdminAuthGuard).
+ */
+export const ADMIN_ROLE_PERMISSIONS: Readonly<Record<AdminRole, readonly AdminPermission[]>> = {
+  viewer: ["players.read"],
+  editor: ["news.write", "seasons.manage", "uploads.write", "players.read"],
+  admin: ADMIN_PERMISSIONS,
+};
+
+export const ADMIN_PERMISSIONS_METADATA = "hsc:admin-permissions";
+
+export function isAdminRole(value: unknown): value is AdminRole {
+  return typeof value === "string" && (ADMIN_ROLES as readonly string[]).includes(value);
+}
+
+export function resolveAdminPermissions(role: string | null): AdminPermission[] {
+  return isAdminRole(role) ? [...ADMIN_ROLE_PERMISSIONS[role]] : [];
+}
+
+/**
+ * Opens a route (or every route of a controller) to non-admin roles holding
+ * all the listed permissions. With no arguments the route only requires an
+ * authenticated backoffice user, which is how read endpoints are declared.
+ */
+export const RequireAdminPermissions = (...permissions: AdminPermission[]) =>
+  SetMetadata(ADMIN_PERMISSIONS_METADATA, permissions);
@@ -0,0 +1,178 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Headers,
+  Res,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Inject,
+} from "@nestjs/common";
+import { AppConfig, APP_CONFIG } from "../../core/app-config.js";
+import { parseCookieHeader } from "../../core/http/parse-cookie-header.js";
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  AdminSecondFactorService,
+  AdminSecondFactorError,
+} from "./admin-second-factor.service.js";
+import { AdminSessionRepository } from "./admin-session.repository.js";
+import {
+  buildAdminSessionCookie,
+  buildAdminTwoFactorCookieName,
+  buildClearAdminTwoFactorCookie,
+} from "./build-admin-session-cookie.js";
+
+interface HttpResponse {
+  setHeader(name: string, value: string | string[]): void;
+}
+
+const ERROR_STATUS: Record<AdminSecondFactorError, HttpStatus> = {
+  second_factor_unavailable: HttpStatus.NOT_IMPLEMENTED,
+  invalid_request: HttpStatus.BAD_REQUEST,
+  invalid_or_expired_challenge: HttpStatus.UNAUTHORIZED,
+  second_factor_already_enrolled: HttpStatus.CONFLICT,
+  second_factor_enrollment_not_authorized: HttpStatus.FORBIDDEN,
+  second_factor_enrollment_required: HttpStatus.CONFLICT,
+  invalid_second_factor_code: HttpStatus.UNAUTHORIZED,
+};
+
+/**
+ * Second step of the admin magic-link login. The magic link leaves a
+ * pending-challenge cookie; the session cookie is only issued here.
+ */
+@Controller("auth/2fa")
+export class AdminSecondFactorController {
+  constructor(
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
+    private readonly databaseService: DatabaseService,
+    private readonly secondFactorService: AdminSecondFactorService,
+    private readonly sessionRepository: AdminSessionRepository,
+  ) {}
+
+  private readPendingToken(cookieHeader: string | undefined): string {
+    if (!this.databaseService.getStatus().ready) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+
+    const cookies = parseCookieHeader(cookieHeader);
+    const token = cookies[buildAdminTwoFactorCookieName(this.config.adminAuth)];
+
+    if (!token) {
+      throw new HttpException(
+        { ok: false, error: "invalid_or_expired_challenge" },
+        HttpStatus.UNAUTHORIZED,
+      );
+    }
+
+    return token;
+  }
+
+  private throwError(error: AdminSecondFactorError): never {
+    throw new HttpException({ ok: false, error }, ERROR_STATUS[error]);
+  }
+
+  @Get()
+  async status(@Headers("cookie") cookieHeader: string | undefined) {
+    const pendingToken = this.readPendingToken(cookieHeader);
+
+    try {
+      const status = await this.secondFactorService.getChallengeStatus(pendingToken);
+
+      if (!status) {
+        this.throwError("invalid_or_expired_challenge");
+      }
+
+      return {
+        ok: true,
+        enrolled: status.enrolled,
+        methods: status.methods,
+      };
+    } catch (err) {
+      if (err instanceof HttpException) {
+        throw err;
+      }
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  @Post("totp/enroll")
+  @HttpCode(HttpStatus.OK)
+  async enrollTotp(
+    @Headers("cookie") cookieHeader: string | undefined,
+    @Body() body: unknown,
+  ) {
+    const pendingToken = this.readPendingToken(cookieHeader);
+
+    try {
+      const result = await this.secondFactorService.beginTotpEnrollment(pendingToken, body);
+
+      if (!result.ok) {
+        this.throwError(result.error);
+      }
+
+      return {
+        ok: true,
+        secret: result.secret,
+        otpauth_uri: result.otpauthUri,
+      };
+    } catch (err) {
+      if (err instanceof HttpException) {
+        throw err;
+      }
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  @Post("verify")
+  @HttpCode(HttpStatus.OK)
+  async verify(
+    @Headers("cookie") cookieHeader: string | undefined,
+    @Body() body: unknown,
+    @Res({ passthrough: true }) response: HttpResponse,
+  ) {
+    const pendingToken = this.readPendingToken(cookieHeader);
+
+    try {
+      const result = await this.secondFactorService.completeLogin(pendingToken, body);
+
+      if (!result.ok) {
+        this.throwError(result.error);
+      }
+
+      const session = await this.sessionRepository.createSessionForUser(
+        result.userId,
+        this.config.adminAuth.ttlHours,
+      );
+
+      response.setHeader("Set-Cookie", [
+        buildAdminSessionCookie(session.rawToken, this.config.adminAuth),
+        buildClearAdminTwoFactorCookie(this.config.adminAuth),
+      ]);
+
+      return {
+        ok: true,
+        authenticated: true,
+        enrolled_now: result.enrolledNow,
+      };
+    } catch (err) {
+      if (err instanceof HttpException) {
+        throw err;
+      }
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
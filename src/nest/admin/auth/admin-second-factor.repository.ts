@@ -0,0 +1,403 @@
+import { Injectable } from "@nestjs/common";
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import type { RowDataPacket, ResultSetHeader } from "mysql2";
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  AdminAuditService,
+  AdminAuditEntry,
+  buildAdminAuditDiff,
+} from "../common/admin-audit.service.js";
+
+/** Wrong codes accepted per magic-link login before a new link is needed. */
+export const ADMIN_LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+
+/**
+ * Authenticator kinds with a verifier. WebAuthn will be added here together
+ * with its verifier; the table already has the columns it needs.
+ */
+export const ADMIN_SECOND_FACTOR_KINDS = ["totp"] as const;
+
+export type AdminSecondFactorKind = (typeof ADMIN_SECOND_FACTOR_KINDS)[number];
+
+export interface AdminSecondFactorCredential {
+  id: string;
+  kind: AdminSecondFactorKind;
+  secretSealed: string | null;
+  counter: number | null;
+  confirmed: boolean;
+}
+
+/** What allowed a first enrollment besides the pending magic-link challenge. */
+export type AdminSecondFactorEnrollmentAuthorization =
+  | { via: "invite"; inviteId: string }
+  | { via: "bootstrap" };
+
+export interface AdminLoginChallenge {
+  id: string;
+  userId: number;
+  email: string | null;
+  role: string | null;
+}
+
+interface RawCredentialRow extends RowDataPacket {
+  id: string;
+  kind: string;
+  secret_sealed: string | null;
+  counter: number | string | null;
+  confirmed_at: Date | string | null;
+}
+
+interface RawEnrollmentRow extends RowDataPacket {
+  user_id: number;
+  kind: string;
+  enrolled_via: string | null;
+  enrollment_invite_id: string | null;
+  invited_by_user_id: number | null;
+}
+
+interface RawIdRow extends RowDataPacket {
+  id: string;
+}
+
+interface RawChallengeRow extends RowDataPacket {
+  id: string;
+  user_id: number;
+  email: string | null;
+  role: string | null;
+}
+
+function hashToken(rawToken: string): string {
+  return createHash("sha256").update(rawToken, "utf8").digest("hex");
+}
+
+function isKnownKind(kind: string): kind is AdminSecondFactorKind {
+  return (ADMIN_SECOND_FACTOR_KINDS as readonly string[]).includes(kind);
+}
+
+@Injectable()
+export class AdminSecondFactorRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly adminAuditService: AdminAuditService,
+  ) {}
+
+  /** Confirmed and pending credentials; kinds without a verifier are skipped. */
+  async listCredentials(userId: number): Promise<AdminSecondFactorCredential[]> {
+    const [rows] = await this.databaseService.getPool().execute<RawCredentialRow[]>(
+      `
+        SELECT id, kind, secret_sealed, counter, confirmed_at
+        FROM admin_second_factor_credentials
+        WHERE user_id = ?
+        ORDER BY created_at ASC, id ASC
+      `,
+      [userId],
+    );
+
+    return rows
+      .filter((row) => isKnownKind(row.kind))
+      .map((row) => ({
+        id: row.id,
+        kind: row.kind as AdminSecondFactorKind,
+        secretSealed: row.secret_sealed,
+        counter: row.counter === null ? null : Number(row.counter),
+        confirmed: row.confirmed_at !== null,
+      }));
+  }
+
+  async hasConfirmedCredential(): Promise<boolean> {
+    const [rows] = await this.databaseService.getPool().execute<RawIdRow[]>(
+      `
+        SELECT id
+        FROM admin_second_factor_credentials
+        WHERE confirmed_at IS NOT NULL
+        LIMIT 1
+      `,
+    );
+
+    return rows.length > 0;
+  }
+
+  async findActiveEnrollmentInvite(userId: number, rawToken: string): Promise<string | null> {
+    if (!rawToken) {
+      return null;
+    }
+
+    const [rows] = await this.databaseService.getPool().execute<RawIdRow[]>(
+      `
+        SELECT id
+        FROM admin_second_factor_enrollment_invites
+        WHERE token_hash = ?
+          AND user_id = ?
+          AND used_at IS NULL
+          AND expires_at > UTC_TIMESTAMP()
+        LIMIT 1
+      `,
+      [hashToken(rawToken), userId],
+    );
+
+    return rows[0]?.id ?? null;
+  }
+
+  /**
+   * Replaces any unconfirmed TOTP enrollment of the user with a new secret,
+   * spending the invite that authorized it. Returns false when the invite
+   * was used or expired in the meantime.
+   */
+  async savePendingTotp(
+    userId: number,
+    secretSealed: string,
+    authorization: AdminSecondFactorEnrollmentAuthorization,
+  ): Promise<boolean> {
+    const connection = await this.databaseService.getPool().getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        if (authorization.via === "invite") {
+          const [spent] = await connection.execute<ResultSetHeader>(
+            `
+              UPDATE admin_second_factor_enrollment_invites
+              SET used_at = UTC_TIMESTAMP()
+              WHERE id = ?
+                AND user_id = ?
+                AND used_at IS NULL
+                AND expires_at > UTC_TIMESTAMP()
+            `,
+            [authorization.inviteId, userId],
+          );
+
+          if (spent.affectedRows !== 1) {
+            await connection.rollback();
+            return false;
+          }
+        }
+
+        await connection.execute<ResultSetHeader>(
+          `
+            DELETE FROM admin_second_factor_credentials
+            WHERE user_id = ?
+              AND kind = 'totp'
+              AND confirmed_at IS NULL
+          `,
+          [userId],
+        );
+
+        await connection.execute<ResultSetHeader>(
+          `
+            INSERT INTO admin_second_factor_credentials (
+              id,
+              user_id,
+              kind,
+              label,
+              secret_sealed,
+              enrolled_via,
+              enrollment_invite_id
+            )
+            VALUES (?, ?, 'totp', 'Authenticator app', ?, ?, ?)
+          `,
+          [
+            randomUUID(),
+            userId,
+            secretSealed,
+            authorization.via,
+            authorization.via === "invite" ? authorization.inviteId : null,
+          ],
+        );
+
+        await connection.commit();
+        return true;
+      } catch (err) {
+        try {
+          await connection.rollback();
+        } catch {}
+        throw err;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Stores the counter of a successful verification (TOTP step, WebAuthn
+   * sign count) on a confirmed authenticator. Refuses counters that do not
+   * move forward, so a captured code cannot be replayed.
+   */
+  async recordSuccessfulUse(credentialId: string, counter: number): Promise<boolean> {
+    const [result] = await this.databaseService.getPool().execute<ResultSetHeader>(
+      `
+        UPDATE admin_second_factor_credentials
+        SET
+          counter = ?,
+          last_used_at = UTC_TIMESTAMP()
+        WHERE id = ?
+          AND confirmed_at IS NOT NULL
+          AND (counter IS NULL OR counter < ?)
+      `,
+      [counter, credentialId, counter],
+    );
+
+    return result.affectedRows === 1;
+  }
+
+  /**
+   * Confirms a pending enrollment with its first valid code and audits it,
+   * with how it was authorized, in the same transaction.
+   */
+  async confirmEnrollment(
+    credentialId: string,
+    counter: number,
+    audit: AdminAuditEntry,
+  ): Promise<boolean> {
+    const connection = await this.databaseService.getPool().getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const [confirmed] = await connection.execute<ResultSetHeader>(
+          `
+            UPDATE admin_second_factor_credentials
+            SET
+              counter = ?,
+              confirmed_at = UTC_TIMESTAMP(),
+              last_used_at = UTC_TIMESTAMP()
+            WHERE id = ?
+              AND confirmed_at IS NULL
+              AND (counter IS NULL OR counter < ?)
+          `,
+          [counter, credentialId, counter],
+        );
+
+        if (confirmed.affectedRows !== 1) {
+          await connection.rollback();
+          return false;
+        }
+
+        const [rows] = await connection.execute<RawEnrollmentRow[]>(
+          `
+            SELECT
+              c.user_id,
+              c.kind,
+              c.enrolled_via,
+              c.enrollment_invite_id,
+              i.created_by_user_id AS invited_by_user_id
+            FROM admin_second_factor_credentials c
+            LEFT JOIN admin_second_factor_enrollment_invites i
+              ON i.id = c.enrollment_invite_id
+            WHERE c.id = ?
+          `,
+          [credentialId],
+        );
+
+        const row = rows[0];
+
+        await this.adminAuditService.insert(connection, {
+          ...audit,
+          entityType: "admin_user",
+          entityKey: row ? String(row.user_id) : null,
+          diff: buildAdminAuditDiff(null, {
+            kind: row?.kind ?? null,
+            enrolled_via: row?.enrolled_via ?? null,
+            invite_id: row?.enrollment_invite_id ?? null,
+            invited_by_user_id: row?.invited_by_user_id ?? null,
+          }),
+        });
+
+        await connection.commit();
+        return true;
+      } catch (err) {
+        try {
+          await connection.rollback();
+        } catch {}
+        throw err;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  async createLoginChallenge(userId: number, ttlMinutes: number): Promise<string> {
+    const rawToken = randomBytes(32).toString("hex");
+
+    await this.databaseService.getPool().execute<ResultSetHeader>(
+      `
+        INSERT INTO admin_login_challenges (
+          id,
+          user_id,
+          token_hash,
+          expires_at
+        )
+        VALUES (?, ?, ?, DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? MINUTE))
+      `,
+      [randomUUID(), userId, hashToken(rawToken), ttlMinutes],
+    );
+
+    return rawToken;
+  }
+
+  async findActiveLoginChallenge(rawToken: string): Promise<AdminLoginChallenge | null> {
+    if (!rawToken) {
+      return null;
+    }
+
+    const [rows] = await this.databaseService.getPool().execute<RawChallengeRow[]>(
+      `
+        SELECT
+          c.id,
+          c.user_id,
+          u.email,
+          u.role
+        FROM admin_login_challenges c
+        INNER JOIN users u
+          ON u.id = c.user_id
+        WHERE c.token_hash = ?
+          AND c.used_at IS NULL
+          AND c.expires_at > UTC_TIMESTAMP()
+          AND c.failed_attempts < ?
+        LIMIT 1
+      `,
+      [hashToken(rawToken), ADMIN_LOGIN_CHALLENGE_MAX_ATTEMPTS],
+    );
+
+    const row = rows[0];
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      email: row.email,
+      role: row.role,
+    };
+  }
+
+  async recordLoginChallengeFailure(challengeId: string): Promise<void> {
+    await this.databaseService.getPool().execute<ResultSetHeader>(
+      `
+        UPDATE admin_login_challenges
+        SET failed_attempts = failed_attempts + 1
+        WHERE id = ?
+          AND used_at IS NULL
+      `,
+      [challengeId],
+    );
+  }
+
+  async consumeLoginChallenge(challengeId: string): Promise<boolean> {
+    const [result] = await this.databaseService.getPool().execute<ResultSetHeader>(
+      `
+        UPDATE admin_login_challenges
+        SET used_at = UTC_TIMESTAMP()
+        WHERE id = ?
+          AND used_at IS NULL
+          AND expires_at > UTC_TIMESTAMP()
+          AND failed_attempts < ?
+      `,
+      [challengeId, ADMIN_LOGIN_CHALLENGE_MAX_ATTEMPTS],
+    );
+
+    return result.affectedRows === 1;
+  }
+}
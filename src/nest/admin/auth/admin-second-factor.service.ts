@@ -0,0 +1,297 @@
+import { Injectable, Inject } from "@nestjs/common";
+import { timingSafeEqual } from "node:crypto";
+import { AppConfig, APP_CONFIG } from "../../core/app-config.js";
+import {
+  buildTotpProvisioningUri,
+  decodeBase32,
+  generateTotpSecret,
+  openTotpSecret,
+  sealTotpSecret,
+  verifyTotp,
+} from "../../core/security/totp.js";
+import {
+  AdminSecondFactorRepository,
+  AdminLoginChallenge,
+  AdminSecondFactorCredential,
+  AdminSecondFactorEnrollmentAuthorization,
+  AdminSecondFactorKind,
+} from "./admin-second-factor.repository.js";
+import type { AdminAuditEntry } from "../common/admin-audit.service.js";
+
+export interface AdminSecondFactorRepositoryPort {
+  listCredentials(userId: number): Promise<AdminSecondFactorCredential[]>;
+  hasConfirmedCredential(): Promise<boolean>;
+  findActiveEnrollmentInvite(userId: number, rawToken: string): Promise<string | null>;
+  savePendingTotp(
+    userId: number,
+    secretSealed: string,
+    authorization: AdminSecondFactorEnrollmentAuthorization,
+  ): Promise<boolean>;
+  recordSuccessfulUse(credentialId: string, counter: number): Promise<boolean>;
+  confirmEnrollment(credentialId: string, counter: number, audit: AdminAuditEntry): Promise<boolean>;
+  createLoginChallenge(userId: number, ttlMinutes: number): Promise<string>;
+  findActiveLoginChallenge(rawToken: string): Promise<AdminLoginChallenge | null>;
+  recordLoginChallengeFailure(challengeId: string): Promise<void>;
+  consumeLoginChallenge(challengeId: string): Promise<boolean>;
+}
+
+/**
+ * Checks one authenticator response. Returns the counter to persist (TOTP
+ * time step, WebAuthn sign count) or null when the response is not valid.
+ */
+export interface AdminSecondFactorVerifier {
+  verify(
+    credential: AdminSecondFactorCredential,
+    response: Record<string, unknown>,
+  ): number | null;
+}
+
+export type AdminSecondFactorError =
+  | "second_factor_unavailable"
+  | "invalid_request"
+  | "invalid_or_expired_challenge"
+  | "second_factor_already_enrolled"
+  | "second_factor_enrollment_not_authorized"
+  | "second_factor_enrollment_required"
+  | "invalid_second_factor_code";
+
+export type AdminSecondFactorResult<T> =
+  | ({ ok: true } & T)
+  | { ok: false; error: AdminSecondFactorError };
+
+export interface AdminLoginChallengeStatus {
+  enrolled: boolean;
+  methods: AdminSecondFactorKind[];
+}
+
+function readBody(body: unknown): Record<string, unknown> | null {
+  if (body !== null && typeof body === "object" && !Array.isArray(body)) {
+    return body as Record<string, unknown>;
+  }
+  return null;
+}
+
+function safeEqual(a: string, b: string): boolean {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+@Injectable()
+export class AdminSecondFactorService {
+  private readonly verifiers: Record<AdminSecondFactorKind, AdminSecondFactorVerifier>;
+
+  constructor(
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
+    @Inject(AdminSecondFactorRepository)
+    private readonly repository: AdminSecondFactorRepositoryPort,
+  ) {
+    this.verifiers = {
+      totp: {
+        verify: (credential, response) => {
+          const secret = credential.secretSealed
+            ? openTotpSecret(credential.secretSealed, this.config.totp.secretKey)
+            : null;
+          const key = secret ? decodeBase32(secret) : null;
+
+          return key && typeof response.code === "string"
+            ? verifyTotp(key, response.code, Math.floor(Date.now() / 1000))
+            : null;
+        },
+      },
+    };
+  }
+
+  /** Only full admins must present a second factor; other roles keep magic link only. */
+  isRequiredFor(role: string | null): boolean {
+    return role === "admin";
+  }
+
+  isAvailable(): boolean {
+    return this.config.totp.configured;
+  }
+
+  get challengeTtlSeconds(): number {
+    return this.config.totp.challengeTtlMinutes * 60;
+  }
+
+  async startLogin(userId: number): Promise<{ pendingToken: string; enrolled: boolean }> {
+    const credentials = await this.repository.listCredentials(userId);
+
+    return {
+      pendingToken: await this.repository.createLoginChallenge(
+        userId,
+        this.config.totp.challengeTtlMinutes,
+      ),
+      enrolled: credentials.some((credential) => credential.confirmed),
+    };
+  }
+
+  async getChallengeStatus(pendingToken: string): Promise<AdminLoginChallengeStatus | null> {
+    const challenge = await this.repository.findActiveLoginChallenge(pendingToken);
+    if (!challenge) {
+      return null;
+    }
+
+    const credentials = await this.repository.listCredentials(challenge.userId);
+    const confirmed = credentials.filter((credential) => credential.confirmed);
+
+    return {
+      enrolled: confirmed.length > 0,
+      methods: [...new Set(confirmed.map((credential) => credential.kind))],
+    };
+  }
+
+  /**
+   * The enrollment token is an invite another admin issued for this user or,
+   * while no admin has a confirmed factor yet, the configured bootstrap token.
+   */
+  private async authorizeEnrollment(
+    userId: number,
+    enrollmentToken: string,
+  ): Promise<AdminSecondFactorEnrollmentAuthorization | null> {
+    const inviteId = await this.repository.findActiveEnrollmentInvite(userId, enrollmentToken);
+    if (inviteId) {
+      return { via: "invite", inviteId };
+    }
+
+    const bootstrapToken = this.config.adminAuth.secondFactorBootstrapToken;
+    if (
+      bootstrapToken &&
+      safeEqual(enrollmentToken, bootstrapToken) &&
+      !await this.repository.hasConfirmedCredential()
+    ) {
+      return { via: "bootstrap" };
+    }
+
+    return null;
+  }
+
+  /**
+   * Enrollment is only possible while no authenticator is confirmed, and a
+   * pending challenge alone is never enough: it only proves the mailbox.
+   */
+  async beginTotpEnrollment(
+    pendingToken: string,
+    body: unknown,
+  ): Promise<AdminSecondFactorResult<{ secret: string; otpauthUri: string }>> {
+    if (!this.isAvailable()) {
+      return { ok: false, error: "second_factor_unavailable" };
+    }
+
+    const enrollmentToken = readBody(body)?.enrollment_token;
+    if (typeof enrollmentToken !== "string" || enrollmentToken.trim() === "") {
+      return { ok: false, error: "invalid_request" };
+    }
+
+    const challenge = await this.repository.findActiveLoginChallenge(pendingToken);
+    if (!challenge) {
+      return { ok: false, error: "invalid_or_expired_challenge" };
+    }
+
+    const credentials = await this.repository.listCredentials(challenge.userId);
+    if (credentials.some((credential) => credential.confirmed)) {
+      return { ok: false, error: "second_factor_already_enrolled" };
+    }
+
+    const authorization = await this.authorizeEnrollment(challenge.userId, enrollmentToken.trim());
+    if (!authorization) {
+      return { ok: false, error: "second_factor_enrollment_not_authorized" };
+    }
+
+    const secret = generateTotpSecret();
+
+    const saved = await this.repository.savePendingTotp(
+      challenge.userId,
+      sealTotpSecret(secret, this.config.totp.secretKey),
+      authorization,
+    );
+
+    if (!saved) {
+      return { ok: false, error: "second_factor_enrollment_not_authorized" };
+    }
+
+    return {
+      ok: true,
+      secret,
+      otpauthUri: buildTotpProvisioningUri({
+        issuer: `${this.config.totp.issuer} Admin`,
+        accountName: challenge.email ?? `user-${challenge.userId}`,
+        secret,
+      }),
+    };
+  }
+
+  /**
+   * Verifies the response against the confirmed authenticators or, when
+   * none exists yet, against the pending enrollment (confirming and
+   * auditing it).
+   */
+  async completeLogin(
+    pendingToken: string,
+    body: unknown,
+  ): Promise<AdminSecondFactorResult<{ userId: number; enrolledNow: boolean }>> {
+    if (!this.isAvailable()) {
+      return { ok: false, error: "second_factor_unavailable" };
+    }
+
+    const response = readBody(body);
+    if (!response) {
+      return { ok: false, error: "invalid_request" };
+    }
+
+    const challenge = await this.repository.findActiveLoginChallenge(pendingToken);
+    if (!challenge) {
+      return { ok: false, error: "invalid_or_expired_challenge" };
+    }
+
+    const credentials = await this.repository.listCredentials(challenge.userId);
+    const confirmed = credentials.filter((credential) => credential.confirmed);
+    const candidates = confirmed.length > 0
+      ? confirmed
+      : credentials.filter((credential) => !credential.confirmed);
+
+    if (candidates.length === 0) {
+      return { ok: false, error: "second_factor_enrollment_required" };
+    }
+
+    let verified = false;
+
+    for (const credential of candidates) {
+      const counter = this.verifiers[credential.kind].verify(credential, response);
+      if (counter === null) {
+        continue;
+      }
+
+      const recorded = credential.confirmed
+        ? await this.repository.recordSuccessfulUse(credential.id, counter)
+        : await this.repository.confirmEnrollment(credential.id, counter, {
+            userId: challenge.userId,
+            route: "/auth/2fa/verify",
+            method: "POST",
+            action: "admin_second_factor.enroll",
+            via: "session",
+          });
+
+      if (recorded) {
+        verified = true;
+        break;
+      }
+    }
+
+    if (!verified) {
+      await this.repository.recordLoginChallengeFailure(challenge.id);
+      return { ok: false, error: "invalid_second_factor_code" };
+    }
+
+    if (!await this.repository.consumeLoginChallenge(challenge.id)) {
+      return { ok: false, error: "invalid_or_expired_challenge" };
+    }
+
+    return {
+      ok: true,
+      userId: challenge.userId,
+      enrolledNow: confirmed.length === 0,
+    };
+  }
+}
@@ -1,12 +1,13 @@
 import { Injectable } from "@nestjs/common";
 import type { RowDataPacket } from "mysql2";
 import { DatabaseService } from "../../database/database.service.js";
+import { AdminRole, isAdminRole } from "./admin-permissions.js";
 
 export interface EligibleAdminUser {
   id: number;
   email: string;
   name: string | null;
-  role: "admin";
+  role: AdminRole;
 }
 
 interface RawUserRow extends RowDataPacket {
@@ -40,7 +41,7 @@ export class AdminUserRepository {
       return null;
     }
 
-    if (row.role !== "admin") {
+    if (!isAdminRole(row.role)) {
       return null;
     }
 
@@ -48,7 +49,7 @@ export class AdminUserRepository {
       id: row.id,
       email: row.email,
       name: row.display_name,
-      role: "admin",
+      role: row.role,
     };
   }
 }
@@ -1,11 +1,26 @@
 import { AppConfig } from "../../core/app-config.js";
 
+function appendAdminCookieSecurity(
+  parts: string[],
+  authConfig: AppConfig["adminAuth"],
+): string[] {
+  const isHttps = authConfig.publicUrl.startsWith("https://");
+
+  if (isHttps) {
+    parts.push("Secure");
+    parts.push("SameSite=None");
+  } else {
+    parts.push("SameSite=Lax");
+  }
+
+  return parts;
+}
+
 export function buildAdminSessionCookie(
   rawToken: string,
   authConfig: AppConfig["adminAuth"],
 ): string {
   const maxAgeSeconds = authConfig.ttlHours * 60 * 60;
-  const isHttps = authConfig.publicUrl.startsWith("https://");
 
   const parts = [
     `${authConfig.cookieName}=${encodeURIComponent(rawToken)}`,
@@ -14,12 +29,40 @@ export function buildAdminSessionCookie(
     `Max-Age=${maxAgeSeconds}`,
   ];
 
-  if (isHttps) {
-    parts.push("Secure");
-    parts.push("SameSite=None");
-  } else {
-    parts.push("SameSite=Lax");
-  }
+  return appendAdminCookieSecurity(parts, authConfig).join("; ");
+}
+
+/** Holds the pending second-factor challenge between magic link and code. */
+export function buildAdminTwoFactorCookieName(
+  authConfig: AppConfig["adminAuth"],
+): string {
+  return `${authConfig.cookieName}_2fa`;
+}
+
+export function buildAdminTwoFactorCookie(
+  rawToken: string,
+  authConfig: AppConfig["adminAuth"],
+  maxAgeSeconds: number,
+): string {
+  const parts = [
+    `${buildAdminTwoFactorCookieName(authConfig)}=${encodeURIComponent(rawToken)}`,
+    "Path=/",
+    "HttpOnly",
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+
+  return appendAdminCookieSecurity(parts, authConfig).join("; ");
+}
+
+export function buildClearAdminTwoFactorCookie(
+  authConfig: AppConfig["adminAuth"],
+): string {
+  const parts = [
+    `${buildAdminTwoFactorCookieName(authConfig)}=`,
+    "Path=/",
+    "HttpOnly",
+    "Max-Age=0",
+  ];
 
-  return parts.join("; ");
+  return appendAdminCookieSecurity(parts, authConfig).join("; ");
 }
@@ -1,14 +1,53 @@
 import { Injectable } from "@nestjs/common";
 import type { PoolConnection } from "mysql2/promise";
 
+export interface AdminAuditDiff {
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+}
+
 export interface AdminAuditEntry {
   userId: number | null;
   route: string;
   method: string;
   action: string;
-  via: "session" | "admin-key";
+  via: "session" | "admin-key" | "api-key";
+  apiKeyId?: string | null;
   entityType?: string | null;
   entityKey?: string | null;
+  diff?: AdminAuditDiff | null;
+}
+
+function sameAuditValue(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Keeps only the fields that changed between two snapshots of an entity.
+ * Creations store the whole `after`, deletions the whole `before`. Values are
+ * compared by their JSON form so DATETIME columns diff by instant.
+ */
+export function buildAdminAuditDiff(
+  before: Record<string, unknown> | null,
+  after: Record<string, unknown> | null,
+): AdminAuditDiff | null {
+  if (!before || !after) {
+    return before || after ? { before, after } : null;
+  }
+
+  const changedBefore: Record<string, unknown> = {};
+  const changedAfter: Record<string, unknown> = {};
+
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!sameAuditValue(before[key], after[key])) {
+      changedBefore[key] = before[key] ?? null;
+      changedAfter[key] = after[key] ?? null;
+    }
+  }
+
+  return Object.keys(changedAfter).length > 0
+    ? { before: changedBefore, after: changedAfter }
+    : null;
 }
 
 @Injectable()
@@ -20,8 +59,8 @@ export class AdminAuditService {
     await connection.execute(
       `
         INSERT INTO admin_audit_log
-        (user_id, route, method, action, via, entity_type, entity_key)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        (user_id, route, method, action, via, api_key_id, entity_type, entity_key, diff_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
       [
         entry.userId,
@@ -29,8 +68,10 @@ export class AdminAuditService {
         entry.method,
         entry.action,
         entry.via,
+        entry.apiKeyId ?? null,
         entry.entityType ?? null,
         entry.entityKey ?? null,
+        entry.diff ? JSON.stringify(entry.diff) : null,
       ],
     );
   }
@@ -0,0 +1,58 @@
+import {
+  Controller,
+  Get,
+  HttpException,
+  HttpStatus,
+  Inject,
+  UseGuards,
+} from "@nestjs/common";
+
+import { APP_CONFIG, type AppConfig } from "../../core/app-config.js";
+import { DatabaseService } from "../../database/database.service.js";
+import { MatchBridgeRepository } from "../../internal/match-bridge/match-bridge.repository.js";
+import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+
+@Controller("admin/match-bridge")
+@UseGuards(AdminAuthGuard)
+export class AdminMatchBridgeController {
+  constructor(
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
+    private readonly databaseService: DatabaseService,
+    private readonly matchBridgeRepository: MatchBridgeRepository,
+  ) {}
+
+  private assertDbReady(): void {
+    if (this.databaseService.getStatus().ready !== true) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+  }
+
+  @Get("nodes")
+  async listNodes() {
+    this.assertDbReady();
+
+    const { nodeStaleAfterSeconds, sweeperEnabled } = this.config.matchBridge;
+
+    try {
+      const items = await this.matchBridgeRepository.listNodeLiveness(
+        nodeStaleAfterSeconds,
+      );
+      return {
+        ok: true,
+        sweeperEnabled,
+        staleAfterSeconds: nodeStaleAfterSeconds,
+        count: items.length,
+        items,
+      };
+    } catch {
+      console.error("[admin-match-bridge] node liveness lookup failed");
+      throw new HttpException(
+        { ok: false, error: "match_bridge_nodes_unavailable" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+}
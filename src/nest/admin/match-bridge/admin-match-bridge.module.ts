@@ -0,0 +1,11 @@
+import { Module } from "@nestjs/common";
+
+import { MatchBridgeModule } from "../../internal/match-bridge/match-bridge.module.js";
+import { AdminAuthModule } from "../auth/admin-auth.module.js";
+import { AdminMatchBridgeController } from "./admin-match-bridge.controller.js";
+
+@Module({
+  imports: [AdminAuthModule, MatchBridgeModule],
+  controllers: [AdminMatchBridgeController],
+})
+export class AdminMatchBridgeModule {}
@@ -0,0 +1,369 @@
+import {
+  Body,
+  Controller,
+  Get,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Param,
+  Post,
+  Query,
+  Req,
+  UseGuards,
+} from "@nestjs/common";
+
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  MATCH_ROOM_FAILURE_REASONS,
+  MATCH_ROOM_STATUSES,
+  type MatchRoomFailureReason,
+  type MatchRoomOperationAction,
+  type MatchRoomStatus,
+} from "../../match/match-room.contract.js";
+import { MatchRoomError } from "../../match/match-room.error.js";
+import { MatchRoomService } from "../../match/match-room.service.js";
+import {
+  MATCH_SERVER_OPERATOR_COMMAND_TYPES,
+  type MatchServerOperatorCommandType,
+} from "../../match/server-assignment/server-assignment.contract.js";
+import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+import { RequireAdminPermissions } from "../auth/admin-permissions.js";
+import type { AdminIdentity } from "../auth/admin-auth.service.js";
+import {
+  AdminAuditService,
+  type AdminAuditEntry,
+} from "../common/admin-audit.service.js";
+
+interface RequestWithAdmin {
+  admin?: AdminIdentity;
+}
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function normalizeUuid(value: unknown): string | null {
+  const clean = String(value ?? "").trim().toLowerCase();
+  return UUID_RE.test(clean) ? clean : null;
+}
+
+function formatUtcDatetime(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, "0");
+
+  return (
+    `${date.getUTCFullYear()}-` +
+    `${pad(date.getUTCMonth() + 1)}-` +
+    `${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:` +
+    `${pad(date.getUTCMinutes())}:` +
+    `${pad(date.getUTCSeconds())}`
+  );
+}
+
+function badRequest(error: string): never {
+  throw new HttpException(
+    { ok: false, error },
+    HttpStatus.BAD_REQUEST,
+  );
+}
+
+function normalizeStatus(value: unknown): MatchRoomStatus | null {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+
+  const clean = String(value).trim().toUpperCase();
+  const status = MATCH_ROOM_STATUSES.find((item) => item === clean);
+
+  return status ?? badRequest("invalid_match_room_status");
+}
+
+function normalizeUtcBoundary(value: unknown, error: string): string | null {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+
+  const clean = String(value).trim();
+
+  if (!clean.endsWith("Z")) {
+    return badRequest(error);
+  }
+
+  const date = new Date(clean);
+
+  if (Number.isNaN(date.getTime())) {
+    return badRequest(error);
+  }
+
+  return formatUtcDatetime(date);
+}
+
+function normalizeLimit(value: unknown): number {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return 50;
+  }
+
+  const clean = String(value).trim();
+
+  if (!/^\d+$/.test(clean)) {
+    return badRequest("invalid_limit");
+  }
+
+  const limit = Number(clean);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return badRequest("invalid_limit");
+  }
+
+  return limit;
+}
+
+function readFailureReason(body: unknown): NonNullable<MatchRoomFailureReason> {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    return badRequest("invalid_request_body");
+  }
+
+  const payload = body as Record<string, unknown>;
+  const keys = Object.keys(payload);
+
+  if (keys.length !== 1 || keys[0] !== "failureReason") {
+    return badRequest("invalid_request_body");
+  }
+
+  const reason = MATCH_ROOM_FAILURE_REASONS.find(
+    (item) => item === payload.failureReason,
+  );
+
+  return reason ?? badRequest("invalid_failure_reason");
+}
+
+function readCommandType(body: unknown): MatchServerOperatorCommandType {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    return badRequest("invalid_request_body");
+  }
+
+  const payload = body as Record<string, unknown>;
+  const keys = Object.keys(payload);
+
+  if (keys.length !== 1 || keys[0] !== "commandType") {
+    return badRequest("invalid_request_body");
+  }
+
+  const commandType = MATCH_SERVER_OPERATOR_COMMAND_TYPES.find(
+    (item) => item === payload.commandType,
+  );
+
+  return commandType ?? badRequest("invalid_command_type");
+}
+
+function mapError(error: unknown): never {
+  if (error instanceof HttpException) throw error;
+
+  if (!(error instanceof MatchRoomError)) {
+    console.error("[admin-match-rooms] operation failed");
+    throw new HttpException(
+      { ok: false, error: "match_room_operation_failed" },
+      HttpStatus.INTERNAL_SERVER_ERROR,
+    );
+  }
+
+  throw new HttpException(
+    { ok: false, error: error.code },
+    error.code === "room_not_found"
+      ? HttpStatus.NOT_FOUND
+      : HttpStatus.CONFLICT,
+  );
+}
+
+@Controller("admin/match-rooms")
+@UseGuards(AdminAuthGuard)
+@RequireAdminPermissions("players.read")
+export class AdminMatchRoomsController {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly matchRoomService: MatchRoomService,
+    private readonly auditService: AdminAuditService,
+  ) {}
+
+  private assertDbReady(): void {
+    if (this.databaseService.getStatus().ready !== true) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+  }
+
+  private requireRoomId(rawId: string): string {
+    return normalizeUuid(rawId) ?? badRequest("invalid_match_room_id");
+  }
+
+  private buildAudit(
+    admin: AdminIdentity | undefined,
+    roomId: string,
+    route: string,
+    action: string,
+  ): AdminAuditEntry {
+    return {
+      userId:
+        typeof admin?.userId === "number" &&
+        Number.isInteger(admin.userId)
+          ? admin.userId
+          : null,
+      route,
+      method: "POST",
+      action,
+      via: admin?.via ?? "admin-key",
+      apiKeyId: admin?.apiKeyId ?? null,
+      entityType: "match_room",
+      entityKey: roomId,
+    };
+  }
+
+  private buildOperationAudit(
+    admin: AdminIdentity | undefined,
+    operation: MatchRoomOperationAction,
+    roomId: string,
+  ): AdminAuditEntry {
+    return this.buildAudit(
+      admin,
+      roomId,
+      `/admin/match-rooms/:id/${operation.replace("_", "-")}`,
+      `match_room.${operation}`,
+    );
+  }
+
+  @Get()
+  async list(
+    @Query("status") rawStatus?: string,
+    @Query("created_from") rawCreatedFrom?: string,
+    @Query("created_to") rawCreatedTo?: string,
+    @Query("limit") rawLimit?: string,
+  ) {
+    this.assertDbReady();
+
+    const filter = {
+      status: normalizeStatus(rawStatus),
+      createdFrom: normalizeUtcBoundary(rawCreatedFrom, "invalid_created_from"),
+      createdTo: normalizeUtcBoundary(rawCreatedTo, "invalid_created_to"),
+      limit: normalizeLimit(rawLimit),
+    };
+
+    try {
+      const items = await this.matchRoomService.listForOperations(filter);
+      return { ok: true, count: items.length, items };
+    } catch (error) {
+      return mapError(error);
+    }
+  }
+
+  @Get(":id")
+  async getById(@Param("id") rawId: string) {
+    this.assertDbReady();
+    const roomId = this.requireRoomId(rawId);
+
+    try {
+      return { ok: true, item: await this.matchRoomService.getForOperations(roomId) };
+    } catch (error) {
+      return mapError(error);
+    }
+  }
+
+  @Post(":id/force-cancel")
+  @RequireAdminPermissions("match.operate")
+  @HttpCode(HttpStatus.OK)
+  async forceCancel(
+    @Req() req: RequestWithAdmin,
+    @Param("id") rawId: string,
+  ) {
+    this.assertDbReady();
+    const roomId = this.requireRoomId(rawId);
+    const audit = this.buildOperationAudit(req.admin, "force_cancel", roomId);
+
+    try {
+      const item = await this.matchRoomService.forceCancel(
+        roomId,
+        (connection) => this.auditService.insert(connection, audit),
+      );
+      return { ok: true, item };
+    } catch (error) {
+      return mapError(error);
+    }
+  }
+
+  @Post(":id/force-fail")
+  @RequireAdminPermissions("match.operate")
+  @HttpCode(HttpStatus.OK)
+  async forceFail(
+    @Req() req: RequestWithAdmin,
+    @Param("id") rawId: string,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+    const roomId = this.requireRoomId(rawId);
+    const failureReason = readFailureReason(body);
+    const audit = this.buildOperationAudit(req.admin, "force_fail", roomId);
+
+    try {
+      const item = await this.matchRoomService.forceFail(
+        roomId,
+        failureReason,
+        (connection) => this.auditService.insert(connection, audit),
+      );
+      return { ok: true, item };
+    } catch (error) {
+      return mapError(error);
+    }
+  }
+
+  @Post(":id/force-complete")
+  @RequireAdminPermissions("match.operate")
+  @HttpCode(HttpStatus.OK)
+  async forceComplete(
+    @Req() req: RequestWithAdmin,
+    @Param("id") rawId: string,
+  ) {
+    this.assertDbReady();
+    const roomId = this.requireRoomId(rawId);
+    const audit = this.buildOperationAudit(req.admin, "force_complete", roomId);
+
+    try {
+      const item = await this.matchRoomService.forceComplete(
+        roomId,
+        (connection) => this.auditService.insert(connection, audit),
+      );
+      return { ok: true, item };
+    } catch (error) {
+      return mapError(error);
+    }
+  }
+
+  @Post(":id/commands")
+  @RequireAdminPermissions("match.operate")
+  @HttpCode(HttpStatus.OK)
+  async enqueueCommand(
+    @Req() req: RequestWithAdmin,
+    @Param("id") rawId: string,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+    const roomId = this.requireRoomId(rawId);
+    const commandType = readCommandType(body);
+    const audit = this.buildAudit(
+      req.admin,
+      roomId,
+      "/admin/match-rooms/:id/commands",
+      `match_room.command.${commandType.toLowerCase()}`,
+    );
+
+    try {
+      const item = await this.matchRoomService.enqueueServerCommand(
+        roomId,
+        commandType,
+        (connection) => this.auditService.insert(connection, audit),
+      );
+      return { ok: true, item };
+    } catch (error) {
+      return mapError(error);
+    }
+  }
+}
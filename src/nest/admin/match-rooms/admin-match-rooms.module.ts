@@ -0,0 +1,12 @@
+import { Module } from "@nestjs/common";
+
+import { MatchRoomModule } from "../../match/match-room.module.js";
+import { AdminAuthModule } from "../auth/admin-auth.module.js";
+import { AdminCommonModule } from "../common/admin-common.module.js";
+import { AdminMatchRoomsController } from "./admin-match-rooms.controller.js";
+
+@Module({
+  imports: [AdminAuthModule, AdminCommonModule, MatchRoomModule],
+  controllers: [AdminMatchRoomsController],
+})
+export class AdminMatchRoomsModule {}
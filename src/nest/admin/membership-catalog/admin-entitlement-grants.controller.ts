@@ -0,0 +1,200 @@
+import {
+  Body,
+  Controller,
+  Get,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Param,
+  Post,
+  Req,
+  UseGuards,
+} from "@nestjs/common";
+
+import { DatabaseService } from "../../database/database.service.js";
+import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+import { RequireAdminPermissions } from "../auth/admin-permissions.js";
+import { AdminIdentity } from "../auth/admin-auth.service.js";
+import { AdminEntitlementGrantsRepository } from "./admin-entitlement-grants.repository.js";
+import { validateEntitlementGrantInput } from "./admin-membership-catalog-validation.js";
+import {
+  buildMembershipCatalogAudit,
+  throwMembershipCatalogError,
+} from "./admin-membership-plans.controller.js";
+
+interface RequestWithAdmin {
+  admin?: AdminIdentity;
+}
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function normalizeUuid(value: unknown): string | null {
+  const clean = String(value ?? "").trim().toLowerCase();
+  return UUID_RE.test(clean) ? clean : null;
+}
+
+@Controller("admin/players/:id/entitlement-grants")
+@UseGuards(AdminAuthGuard)
+@RequireAdminPermissions("players.read")
+export class AdminEntitlementGrantsController {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly repository: AdminEntitlementGrantsRepository,
+  ) {}
+
+  private assertDbReady(): void {
+    if (this.databaseService.getStatus().ready !== true) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+  }
+
+  private readBodyRecord(body: unknown): Record<string, unknown> {
+    if (
+      body !== null &&
+      typeof body === "object" &&
+      !Array.isArray(body)
+    ) {
+      return body as Record<string, unknown>;
+    }
+
+    return {};
+  }
+
+  private readUuid(rawValue: string, error: string): string {
+    const value = normalizeUuid(rawValue);
+
+    if (!value) {
+      throw new HttpException(
+        { ok: false, error },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    return value;
+  }
+
+  @Get()
+  async list(@Param("id") rawId: string) {
+    this.assertDbReady();
+
+    const playerAccountId = this.readUuid(
+      rawId,
+      "invalid_player_account_id",
+    );
+
+    let items;
+
+    try {
+      items = await this.repository.listForAccount(playerAccountId);
+    } catch {
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    if (!items) {
+      throw new HttpException(
+        { ok: false, error: "player_account_not_found" },
+        HttpStatus.NOT_FOUND,
+      );
+    }
+
+    return {
+      ok: true,
+      count: items.length,
+      items,
+    };
+  }
+
+  @Post()
+  @RequireAdminPermissions("memberships.manage")
+  @HttpCode(HttpStatus.CREATED)
+  async create(
+    @Req() req: RequestWithAdmin,
+    @Param("id") rawId: string,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+
+    const playerAccountId = this.readUuid(
+      rawId,
+      "invalid_player_account_id",
+    );
+
+    const validation = validateEntitlementGrantInput(
+      this.readBodyRecord(body),
+    );
+
+    if (!validation.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: validation.error,
+          ...(validation.field ? { field: validation.field } : {}),
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    const result = await this.repository.createGrant({
+      playerAccountId,
+      entitlementKey: validation.entitlementKey,
+      expiresAt: validation.expiresAt,
+      reason: validation.reason,
+      audit: buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/players/:id/entitlement-grants",
+        "POST",
+        "player_entitlement_grant.create",
+        "player_entitlement_grant",
+      ),
+    });
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, item: result.data };
+  }
+
+  @Post(":grantId/revoke")
+  @RequireAdminPermissions("memberships.manage")
+  @HttpCode(HttpStatus.OK)
+  async revoke(
+    @Req() req: RequestWithAdmin,
+    @Param("id") rawId: string,
+    @Param("grantId") rawGrantId: string,
+  ) {
+    this.assertDbReady();
+
+    const playerAccountId = this.readUuid(
+      rawId,
+      "invalid_player_account_id",
+    );
+    const grantId = this.readUuid(rawGrantId, "invalid_grant_id");
+
+    const result = await this.repository.revokeGrant(
+      playerAccountId,
+      grantId,
+      buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/players/:id/entitlement-grants/:grantId/revoke",
+        "POST",
+        "player_entitlement_grant.revoke",
+        "player_entitlement_grant",
+        grantId,
+      ),
+    );
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, item: result.data };
+  }
+}
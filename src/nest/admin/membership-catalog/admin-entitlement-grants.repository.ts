@@ -0,0 +1,333 @@
+import { randomUUID } from "node:crypto";
+import { Injectable } from "@nestjs/common";
+import type { PoolConnection, RowDataPacket } from "mysql2/promise";
+
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  AdminAuditEntry,
+  AdminAuditService,
+  buildAdminAuditDiff,
+} from "../common/admin-audit.service.js";
+import type { MembershipCatalogResult } from "./admin-membership-catalog.repository.js";
+
+export type AdminEntitlementGrantStatus = "active" | "expired" | "revoked";
+
+export interface AdminEntitlementGrantItem {
+  id: string;
+  player_account_id: string;
+  entitlement_key: string;
+  status: AdminEntitlementGrantStatus;
+  reason: string | null;
+  expires_at: Date | string | null;
+  revoked_at: Date | string | null;
+  created_at: Date | string;
+  updated_at: Date | string;
+}
+
+interface RawEntitlementGrantRow extends RowDataPacket {
+  id: string;
+  player_account_id: string;
+  entitlement_key: string;
+  status: string;
+  reason: string | null;
+  expires_at: Date | string | null;
+  revoked_at: Date | string | null;
+  created_at: Date | string;
+  updated_at: Date | string;
+}
+
+export interface CreateEntitlementGrantInput {
+  playerAccountId: string;
+  entitlementKey: string;
+  expiresAt: string | null;
+  reason: string | null;
+  audit: AdminAuditEntry;
+}
+
+function getErrorCode(error: unknown): string | null {
+  if (
+    !error ||
+    typeof error !== "object" ||
+    !("code" in error)
+  ) {
+    return null;
+  }
+
+  const code = (error as { code?: unknown }).code;
+  return typeof code === "string" ? code : null;
+}
+
+function codedError(code: string): Error {
+  const error = new Error(code);
+  (error as Error & { code?: string }).code = code;
+  return error;
+}
+
+const STABLE_GRANT_ERRORS = new Set([
+  "player_account_not_found",
+  "entitlement_not_found",
+  "entitlement_grant_not_found",
+  "entitlement_grant_already_revoked",
+  "entitlement_grant_expired",
+]);
+
+const GRANT_SELECT = `
+  SELECT
+    id,
+    player_account_id,
+    entitlement_key,
+    CASE
+      WHEN revoked_at IS NOT NULL THEN 'revoked'
+      WHEN expires_at IS NOT NULL AND expires_at <= UTC_TIMESTAMP() THEN 'expired'
+      ELSE 'active'
+    END AS status,
+    reason,
+    expires_at,
+    revoked_at,
+    created_at,
+    updated_at
+  FROM player_entitlement_grants
+`;
+
+function requireGrantStatus(value: string): AdminEntitlementGrantStatus {
+  if (value === "active" || value === "expired" || value === "revoked") {
+    return value;
+  }
+
+  throw new TypeError("Invalid entitlement grant status.");
+}
+
+function mapGrant(row: RawEntitlementGrantRow): AdminEntitlementGrantItem {
+  return {
+    id: row.id,
+    player_account_id: row.player_account_id,
+    entitlement_key: row.entitlement_key,
+    status: requireGrantStatus(row.status),
+    reason: row.reason,
+    expires_at: row.expires_at,
+    revoked_at: row.revoked_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Individual entitlement grants sit beside the membership plan: the player
+ * holds the union of both (see PlayerEntitlementsService). Grants are never
+ * deleted here, revoking stamps revoked_at so the list doubles as history.
+ */
+@Injectable()
+export class AdminEntitlementGrantsRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly adminAuditService: AdminAuditService,
+  ) {}
+
+  private async withTransaction<T>(
+    work: (connection: PoolConnection) => Promise<T>,
+  ): Promise<MembershipCatalogResult<T>> {
+    const pool = this.databaseService.getPool();
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const data = await work(connection);
+        await connection.commit();
+        return { ok: true, data };
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch {}
+        throw error;
+      }
+    } catch (error: unknown) {
+      const code = getErrorCode(error);
+
+      if (code && STABLE_GRANT_ERRORS.has(code)) {
+        return { ok: false, error: code };
+      }
+
+      return { ok: false, error: "tx_failed" };
+    } finally {
+      connection.release();
+    }
+  }
+
+  private async readGrant(
+    connection: PoolConnection,
+    playerAccountId: string,
+    grantId: string,
+    lock: boolean,
+  ): Promise<AdminEntitlementGrantItem> {
+    const [rows] = await connection.execute<RawEntitlementGrantRow[]>(
+      `
+        ${GRANT_SELECT}
+        WHERE id = ? AND player_account_id = ?
+        LIMIT 1
+        ${lock ? "FOR UPDATE" : ""}
+      `,
+      [grantId, playerAccountId],
+    );
+
+    const row = rows[0];
+
+    if (!row) {
+      throw codedError("entitlement_grant_not_found");
+    }
+
+    return mapGrant(row);
+  }
+
+  /** Returns null when the player account does not exist. */
+  async listForAccount(
+    playerAccountId: string,
+  ): Promise<AdminEntitlementGrantItem[] | null> {
+    const pool = this.databaseService.getPool();
+
+    const [accounts] = await pool.execute<RowDataPacket[]>(
+      `
+        SELECT id
+        FROM player_accounts
+        WHERE id = ?
+        LIMIT 1
+      `,
+      [playerAccountId],
+    );
+
+    if (!accounts[0]) {
+      return null;
+    }
+
+    const [rows] = await pool.execute<RawEntitlementGrantRow[]>(
+      `
+        ${GRANT_SELECT}
+        WHERE player_account_id = ?
+        ORDER BY created_at DESC, id ASC
+      `,
+      [playerAccountId],
+    );
+
+    return rows.map(mapGrant);
+  }
+
+  async createGrant(
+    input: CreateEntitlementGrantInput,
+  ): Promise<MembershipCatalogResult<AdminEntitlementGrantItem>> {
+    return this.withTransaction(async (connection) => {
+      const [accounts] = await connection.execute<RowDataPacket[]>(
+        `
+          SELECT id
+          FROM player_accounts
+          WHERE id = ?
+          LIMIT 1
+          LOCK IN SHARE MODE
+        `,
+        [input.playerAccountId],
+      );
+
+      if (!accounts[0]) {
+        throw codedError("player_account_not_found");
+      }
+
+      const [entitlements] = await connection.execute<RowDataPacket[]>(
+        `
+          SELECT entitlement_key
+          FROM entitlements
+          WHERE entitlement_key = ?
+          LIMIT 1
+          LOCK IN SHARE MODE
+        `,
+        [input.entitlementKey],
+      );
+
+      if (!entitlements[0]) {
+        throw codedError("entitlement_not_found");
+      }
+
+      const grantId = randomUUID();
+
+      await connection.execute(
+        `
+          INSERT INTO player_entitlement_grants (
+            id,
+            player_account_id,
+            entitlement_key,
+            reason,
+            expires_at
+          )
+          VALUES (?, ?, ?, ?, ?)
+        `,
+        [
+          grantId,
+          input.playerAccountId,
+          input.entitlementKey,
+          input.reason,
+          input.expiresAt,
+        ],
+      );
+
+      const item = await this.readGrant(
+        connection,
+        input.playerAccountId,
+        grantId,
+        false,
+      );
+
+      await this.adminAuditService.insert(connection, {
+        ...input.audit,
+        entityKey: grantId,
+        diff: buildAdminAuditDiff(null, { ...item }),
+      });
+
+      return item;
+    });
+  }
+
+  async revokeGrant(
+    playerAccountId: string,
+    grantId: string,
+    audit: AdminAuditEntry,
+  ): Promise<MembershipCatalogResult<AdminEntitlementGrantItem>> {
+    return this.withTransaction(async (connection) => {
+      const before = await this.readGrant(
+        connection,
+        playerAccountId,
+        grantId,
+        true,
+      );
+
+      if (before.status === "revoked") {
+        throw codedError("entitlement_grant_already_revoked");
+      }
+
+      if (before.status === "expired") {
+        throw codedError("entitlement_grant_expired");
+      }
+
+      await connection.execute(
+        `
+          UPDATE player_entitlement_grants
+          SET revoked_at = UTC_TIMESTAMP()
+          WHERE id = ?
+        `,
+        [grantId],
+      );
+
+      const after = await this.readGrant(
+        connection,
+        playerAccountId,
+        grantId,
+        false,
+      );
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        diff: buildAdminAuditDiff({ ...before }, { ...after }),
+      });
+
+      return after;
+    });
+  }
+}
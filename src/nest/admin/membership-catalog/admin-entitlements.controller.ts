@@ -0,0 +1,213 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Param,
+  Patch,
+  Post,
+  Req,
+  UseGuards,
+} from "@nestjs/common";
+
+import { DatabaseService } from "../../database/database.service.js";
+import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+import { RequireAdminPermissions } from "../auth/admin-permissions.js";
+import { AdminIdentity } from "../auth/admin-auth.service.js";
+import {
+  normalizeEntitlementKey,
+  normalizeEntitlementPatch,
+  validateEntitlementInput,
+} from "./admin-membership-catalog-validation.js";
+import { AdminMembershipCatalogRepository } from "./admin-membership-catalog.repository.js";
+import {
+  buildMembershipCatalogAudit,
+  throwMembershipCatalogError,
+} from "./admin-membership-plans.controller.js";
+
+interface RequestWithAdmin {
+  admin?: AdminIdentity;
+}
+
+@Controller("admin/entitlements")
+@UseGuards(AdminAuthGuard)
+@RequireAdminPermissions()
+export class AdminEntitlementsController {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly repository: AdminMembershipCatalogRepository,
+  ) {}
+
+  private assertDbReady(): void {
+    if (this.databaseService.getStatus().ready !== true) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+  }
+
+  private readBodyRecord(body: unknown): Record<string, unknown> {
+    if (
+      body !== null &&
+      typeof body === "object" &&
+      !Array.isArray(body)
+    ) {
+      return body as Record<string, unknown>;
+    }
+
+    return {};
+  }
+
+  private readEntitlementKey(rawKey: string): string {
+    const entitlementKey = normalizeEntitlementKey(rawKey);
+
+    if (!entitlementKey) {
+      throw new HttpException(
+        { ok: false, error: "invalid_entitlement_key" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    return entitlementKey;
+  }
+
+  @Get()
+  async list() {
+    this.assertDbReady();
+
+    try {
+      const items = await this.repository.listEntitlements();
+
+      return {
+        ok: true,
+        count: items.length,
+        items,
+      };
+    } catch {
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  @Post()
+  @RequireAdminPermissions("memberships.manage")
+  @HttpCode(HttpStatus.CREATED)
+  async create(
+    @Req() req: RequestWithAdmin,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+
+    const validation = validateEntitlementInput(
+      this.readBodyRecord(body),
+    );
+
+    if (!validation.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: validation.error,
+          ...(validation.field ? { field: validation.field } : {}),
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    const result = await this.repository.createEntitlement({
+      entitlementKey: validation.entitlementKey,
+      description: validation.description,
+      audit: buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/entitlements",
+        "POST",
+        "entitlement.create",
+        "entitlement",
+        validation.entitlementKey,
+      ),
+    });
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, item: result.data };
+  }
+
+  @Patch(":entitlementKey")
+  @RequireAdminPermissions("memberships.manage")
+  async update(
+    @Req() req: RequestWithAdmin,
+    @Param("entitlementKey") rawEntitlementKey: string,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+
+    const entitlementKey = this.readEntitlementKey(rawEntitlementKey);
+    const validation = normalizeEntitlementPatch(this.readBodyRecord(body));
+
+    if (!validation.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: validation.error,
+          ...(validation.field ? { field: validation.field } : {}),
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    const result = await this.repository.updateEntitlement(
+      entitlementKey,
+      validation.description,
+      buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/entitlements/:entitlementKey",
+        "PATCH",
+        "entitlement.update",
+        "entitlement",
+        entitlementKey,
+      ),
+    );
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, item: result.data };
+  }
+
+  @Delete(":entitlementKey")
+  @RequireAdminPermissions("memberships.manage")
+  async remove(
+    @Req() req: RequestWithAdmin,
+    @Param("entitlementKey") rawEntitlementKey: string,
+  ) {
+    this.assertDbReady();
+
+    const entitlementKey = this.readEntitlementKey(rawEntitlementKey);
+
+    const result = await this.repository.deleteEntitlement(
+      entitlementKey,
+      buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/entitlements/:entitlementKey",
+        "DELETE",
+        "entitlement.delete",
+        "entitlement",
+        entitlementKey,
+      ),
+    );
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, entitlement_key: entitlementKey, deleted: true };
+  }
+}
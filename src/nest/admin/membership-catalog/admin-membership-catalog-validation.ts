@@ -0,0 +1,287 @@
+const PLAN_CODE_RE = /^[a-z0-9](?:[a-z0-9_-]{0,62}[a-z0-9])?$/;
+const ENTITLEMENT_KEY_RE = /^[a-z0-9]+(?:[._-][a-z0-9]+)*$/;
+
+const NAME_MAX_LENGTH = 128;
+const DESCRIPTION_MAX_LENGTH = 255;
+const ENTITLEMENT_KEY_MAX_LENGTH = 64;
+const MAX_PLAN_ENTITLEMENTS = 100;
+
+type ValidationFailure = {
+  ok: false;
+  error: string;
+  field?: string;
+};
+
+export function normalizePlanCode(value: unknown): string | null {
+  const clean = String(value ?? "").trim().toLowerCase();
+  return PLAN_CODE_RE.test(clean) ? clean : null;
+}
+
+export function normalizeEntitlementKey(value: unknown): string | null {
+  const clean = String(value ?? "").trim().toLowerCase();
+
+  return clean.length <= ENTITLEMENT_KEY_MAX_LENGTH &&
+    ENTITLEMENT_KEY_RE.test(clean)
+    ? clean
+    : null;
+}
+
+function readName(
+  value: unknown,
+): { ok: true; value: string } | ValidationFailure {
+  const clean = String(value ?? "").trim();
+
+  if (!clean) {
+    return { ok: false, error: "missing_name", field: "name" };
+  }
+
+  if (clean.length > NAME_MAX_LENGTH) {
+    return { ok: false, error: "name_too_long", field: "name" };
+  }
+
+  return { ok: true, value: clean };
+}
+
+function readDescription(
+  value: unknown,
+): { ok: true; value: string | null } | ValidationFailure {
+  if (value === undefined || value === null) {
+    return { ok: true, value: null };
+  }
+
+  const clean = String(value).trim();
+
+  if (clean.length > DESCRIPTION_MAX_LENGTH) {
+    return {
+      ok: false,
+      error: "description_too_long",
+      field: "description",
+    };
+  }
+
+  return { ok: true, value: clean || null };
+}
+
+export type ValidatePlanInputResult =
+  | {
+      ok: true;
+      planCode: string;
+      name: string;
+      description: string | null;
+      entitlementKeys: string[];
+    }
+  | ValidationFailure;
+
+export function validatePlanInput(
+  body: Record<string, unknown>,
+): ValidatePlanInputResult {
+  const planCode = normalizePlanCode(body.plan_code);
+
+  if (!planCode) {
+    return { ok: false, error: "invalid_plan_code", field: "plan_code" };
+  }
+
+  const name = readName(body.name);
+  if (!name.ok) return name;
+
+  const description = readDescription(body.description);
+  if (!description.ok) return description;
+
+  const rawEntitlements = body.entitlements ?? [];
+
+  if (
+    !Array.isArray(rawEntitlements) ||
+    rawEntitlements.length > MAX_PLAN_ENTITLEMENTS
+  ) {
+    return {
+      ok: false,
+      error: "invalid_entitlements",
+      field: "entitlements",
+    };
+  }
+
+  const entitlementKeys = new Set<string>();
+
+  for (const rawKey of rawEntitlements) {
+    const key = normalizeEntitlementKey(rawKey);
+
+    if (!key) {
+      return {
+        ok: false,
+        error: "invalid_entitlement_key",
+        field: "entitlements",
+      };
+    }
+
+    entitlementKeys.add(key);
+  }
+
+  return {
+    ok: true,
+    planCode,
+    name: name.value,
+    description: description.value,
+    entitlementKeys: [...entitlementKeys].sort(),
+  };
+}
+
+export interface MembershipPlanPatch {
+  name?: string;
+  description?: string | null;
+}
+
+export type NormalizePlanPatchResult =
+  | { ok: true; patch: MembershipPlanPatch }
+  | ValidationFailure;
+
+export function normalizePlanPatch(
+  body: Record<string, unknown>,
+): NormalizePlanPatchResult {
+  const patch: MembershipPlanPatch = {};
+
+  if ("name" in body) {
+    const name = readName(body.name);
+    if (!name.ok) return name;
+    patch.name = name.value;
+  }
+
+  if ("description" in body) {
+    const description = readDescription(body.description);
+    if (!description.ok) return description;
+    patch.description = description.value;
+  }
+
+  if (Object.keys(patch).length === 0) {
+    return { ok: false, error: "empty_patch" };
+  }
+
+  return { ok: true, patch };
+}
+
+export type ValidateEntitlementInputResult =
+  | {
+      ok: true;
+      entitlementKey: string;
+      description: string | null;
+    }
+  | ValidationFailure;
+
+export function validateEntitlementInput(
+  body: Record<string, unknown>,
+): ValidateEntitlementInputResult {
+  const entitlementKey = normalizeEntitlementKey(body.entitlement_key);
+
+  if (!entitlementKey) {
+    return {
+      ok: false,
+      error: "invalid_entitlement_key",
+      field: "entitlement_key",
+    };
+  }
+
+  const description = readDescription(body.description);
+  if (!description.ok) return description;
+
+  return {
+    ok: true,
+    entitlementKey,
+    description: description.value,
+  };
+}
+
+export type NormalizeEntitlementPatchResult =
+  | { ok: true; description: string | null }
+  | ValidationFailure;
+
+export function normalizeEntitlementPatch(
+  body: Record<string, unknown>,
+): NormalizeEntitlementPatchResult {
+  if (!("description" in body)) {
+    return { ok: false, error: "empty_patch" };
+  }
+
+  const description = readDescription(body.description);
+  if (!description.ok) return description;
+
+  return { ok: true, description: description.value };
+}
+
+function formatUtcDatetime(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, "0");
+
+  return (
+    `${date.getUTCFullYear()}-` +
+    `${pad(date.getUTCMonth() + 1)}-` +
+    `${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:` +
+    `${pad(date.getUTCMinutes())}:` +
+    `${pad(date.getUTCSeconds())}`
+  );
+}
+
+export type ValidateEntitlementGrantInputResult =
+  | {
+      ok: true;
+      entitlementKey: string;
+      expiresAt: string | null;
+      reason: string | null;
+    }
+  | ValidationFailure;
+
+/**
+ * `expires_at` follows the membership grant format (ISO 8601 ending in Z) and
+ * must be in the future; omitting it grants the entitlement until revoked.
+ */
+export function validateEntitlementGrantInput(
+  body: Record<string, unknown>,
+  now: Date = new Date(),
+): ValidateEntitlementGrantInputResult {
+  const entitlementKey = normalizeEntitlementKey(body.entitlement_key);
+
+  if (!entitlementKey) {
+    return {
+      ok: false,
+      error: "invalid_entitlement_key",
+      field: "entitlement_key",
+    };
+  }
+
+  let expiresAt: string | null = null;
+
+  if (body.expires_at !== undefined && body.expires_at !== null) {
+    const clean = String(body.expires_at).trim();
+
+    if (clean && !clean.endsWith("Z")) {
+      return {
+        ok: false,
+        error: "expires_at_must_be_utc_z",
+        field: "expires_at",
+      };
+    }
+
+    const date = new Date(clean);
+
+    if (!clean || Number.isNaN(date.getTime())) {
+      return { ok: false, error: "invalid_expires_at", field: "expires_at" };
+    }
+
+    if (date.getTime() <= now.getTime()) {
+      return { ok: false, error: "expires_at_in_past", field: "expires_at" };
+    }
+
+    expiresAt = formatUtcDatetime(date);
+  }
+
+  const reason = readDescription(body.reason);
+
+  if (!reason.ok) {
+    return { ok: false, error: "reason_too_long", field: "reason" };
+  }
+
+  return {
+    ok: true,
+    entitlementKey,
+    expiresAt,
+    reason: reason.value,
+  };
+}
@@ -0,0 +1,23 @@
+import { Module } from "@nestjs/common";
+
+import { AdminAuthModule } from "../auth/admin-auth.module.js";
+import { AdminCommonModule } from "../common/admin-common.module.js";
+import { AdminEntitlementGrantsController } from "./admin-entitlement-grants.controller.js";
+import { AdminEntitlementGrantsRepository } from "./admin-entitlement-grants.repository.js";
+import { AdminEntitlementsController } from "./admin-entitlements.controller.js";
+import { AdminMembershipCatalogRepository } from "./admin-membership-catalog.repository.js";
+import { AdminMembershipPlansController } from "./admin-membership-plans.controller.js";
+
+@Module({
+  imports: [AdminAuthModule, AdminCommonModule],
+  controllers: [
+    AdminMembershipPlansController,
+    AdminEntitlementsController,
+    AdminEntitlementGrantsController,
+  ],
+  providers: [
+    AdminMembershipCatalogRepository,
+    AdminEntitlementGrantsRepository,
+  ],
+})
+export class AdminMembershipCatalogModule {}
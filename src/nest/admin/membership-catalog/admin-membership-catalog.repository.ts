@@ -0,0 +1,690 @@
+import { Injectable } from "@nestjs/common";
+import type {
+  PoolConnection,
+  ResultSetHeader,
+  RowDataPacket,
+} from "mysql2/promise";
+
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  AdminAuditEntry,
+  AdminAuditService,
+  buildAdminAuditDiff,
+} from "../common/admin-audit.service.js";
+import type { MembershipPlanPatch } from "./admin-membership-catalog-validation.js";
+
+interface RawPlanRow extends RowDataPacket {
+  plan_code: string;
+  name: string;
+  description: string | null;
+  retired_at: Date | string | null;
+  created_at: Date | string;
+  updated_at: Date | string;
+}
+
+interface RawEntitlementRow extends RowDataPacket {
+  entitlement_key: string;
+  description: string | null;
+  created_at: Date | string;
+  updated_at: Date | string;
+}
+
+interface RawPlanEntitlementRow extends RowDataPacket {
+  plan_code: string;
+  entitlement_key: string;
+}
+
+export interface AdminMembershipPlanItem {
+  plan_code: string;
+  name: string;
+  description: string | null;
+  retired_at: Date | string | null;
+  created_at: Date | string;
+  updated_at: Date | string;
+  entitlements: string[];
+}
+
+export interface AdminEntitlementItem {
+  entitlement_key: string;
+  description: string | null;
+  created_at: Date | string;
+  updated_at: Date | string;
+  plan_codes: string[];
+}
+
+export interface CreateMembershipPlanInput {
+  planCode: string;
+  name: string;
+  description: string | null;
+  entitlementKeys: string[];
+  audit: AdminAuditEntry;
+}
+
+export interface CreateEntitlementInput {
+  entitlementKey: string;
+  description: string | null;
+  audit: AdminAuditEntry;
+}
+
+export type MembershipCatalogResult<T> =
+  | { ok: true; data: T }
+  | { ok: false; error: string };
+
+function getErrorCode(error: unknown): string | null {
+  if (
+    !error ||
+    typeof error !== "object" ||
+    !("code" in error)
+  ) {
+    return null;
+  }
+
+  const code = (error as { code?: unknown }).code;
+  return typeof code === "string" ? code : null;
+}
+
+function codedError(code: string): Error {
+  const error = new Error(code);
+  (error as Error & { code?: string }).code = code;
+  return error;
+}
+
+const STABLE_CATALOG_ERRORS = new Set([
+  "membership_plan_not_found",
+  "membership_plan_already_exists",
+  "membership_plan_retired",
+  "membership_plan_already_retired",
+  "entitlement_not_found",
+  "entitlement_already_exists",
+  "entitlement_already_attached",
+  "entitlement_not_attached",
+  "entitlement_in_use",
+]);
+
+const PLAN_COLUMNS = `
+  plan_code,
+  name,
+  description,
+  retired_at,
+  created_at,
+  updated_at
+`;
+
+const ENTITLEMENT_COLUMNS = `
+  entitlement_key,
+  description,
+  created_at,
+  updated_at
+`;
+
+function groupBy(
+  rows: RawPlanEntitlementRow[],
+  key: "plan_code" | "entitlement_key",
+  value: "plan_code" | "entitlement_key",
+): Map<string, string[]> {
+  const grouped = new Map<string, string[]>();
+
+  for (const row of rows) {
+    const list = grouped.get(row[key]) ?? [];
+    list.push(row[value]);
+    grouped.set(row[key], list);
+  }
+
+  return grouped;
+}
+
+@Injectable()
+export class AdminMembershipCatalogRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly adminAuditService: AdminAuditService,
+  ) {}
+
+  private mapPlan(
+    row: RawPlanRow,
+    entitlements: string[],
+  ): AdminMembershipPlanItem {
+    return {
+      plan_code: row.plan_code,
+      name: row.name,
+      description: row.description,
+      retired_at: row.retired_at,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      entitlements,
+    };
+  }
+
+  private mapEntitlement(
+    row: RawEntitlementRow,
+    planCodes: string[],
+  ): AdminEntitlementItem {
+    return {
+      entitlement_key: row.entitlement_key,
+      description: row.description,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+      plan_codes: planCodes,
+    };
+  }
+
+  private async withTransaction<T>(
+    work: (connection: PoolConnection) => Promise<T>,
+  ): Promise<MembershipCatalogResult<T>> {
+    const pool = this.databaseService.getPool();
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const data = await work(connection);
+        await connection.commit();
+        return { ok: true, data };
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch {}
+        throw error;
+      }
+    } catch (error: unknown) {
+      const code = getErrorCode(error);
+
+      if (code && STABLE_CATALOG_ERRORS.has(code)) {
+        return { ok: false, error: code };
+      }
+
+      return { ok: false, error: "tx_failed" };
+    } finally {
+      connection.release();
+    }
+  }
+
+  private async lockPlan(
+    connection: PoolConnection,
+    planCode: string,
+  ): Promise<AdminMembershipPlanItem> {
+    const [rows] = await connection.execute<RawPlanRow[]>(
+      `
+        SELECT ${PLAN_COLUMNS}
+        FROM membership_plans
+        WHERE plan_code = ?
+        LIMIT 1
+        FOR UPDATE
+      `,
+      [planCode],
+    );
+
+    const row = rows[0];
+
+    if (!row) {
+      throw codedError("membership_plan_not_found");
+    }
+
+    const [links] = await connection.execute<RawPlanEntitlementRow[]>(
+      `
+        SELECT plan_code, entitlement_key
+        FROM membership_plan_entitlements
+        WHERE plan_code = ?
+        ORDER BY entitlement_key ASC
+      `,
+      [planCode],
+    );
+
+    return this.mapPlan(
+      row,
+      links.map((link) => link.entitlement_key),
+    );
+  }
+
+  private async lockEntitlement(
+    connection: PoolConnection,
+    entitlementKey: string,
+  ): Promise<AdminEntitlementItem> {
+    const [rows] = await connection.execute<RawEntitlementRow[]>(
+      `
+        SELECT ${ENTITLEMENT_COLUMNS}
+        FROM entitlements
+        WHERE entitlement_key = ?
+        LIMIT 1
+        FOR UPDATE
+      `,
+      [entitlementKey],
+    );
+
+    const row = rows[0];
+
+    if (!row) {
+      throw codedError("entitlement_not_found");
+    }
+
+    const [links] = await connection.execute<RawPlanEntitlementRow[]>(
+      `
+        SELECT plan_code, entitlement_key
+        FROM membership_plan_entitlements
+        WHERE entitlement_key = ?
+        ORDER BY plan_code ASC
+      `,
+      [entitlementKey],
+    );
+
+    return this.mapEntitlement(
+      row,
+      links.map((link) => link.plan_code),
+    );
+  }
+
+  async listPlans(): Promise<AdminMembershipPlanItem[]> {
+    const pool = this.databaseService.getPool();
+
+    const [rows] = await pool.execute<RawPlanRow[]>(
+      `
+        SELECT ${PLAN_COLUMNS}
+        FROM membership_plans
+        ORDER BY retired_at IS NOT NULL ASC, plan_code ASC
+      `,
+    );
+
+    const [links] = await pool.execute<RawPlanEntitlementRow[]>(
+      `
+        SELECT plan_code, entitlement_key
+        FROM membership_plan_entitlements
+        ORDER BY entitlement_key ASC
+      `,
+    );
+
+    const byPlan = groupBy(links, "plan_code", "entitlement_key");
+
+    return rows.map((row) =>
+      this.mapPlan(row, byPlan.get(row.plan_code) ?? []),
+    );
+  }
+
+  async getPlan(
+    planCode: string,
+  ): Promise<AdminMembershipPlanItem | null> {
+    const pool = this.databaseService.getPool();
+
+    const [rows] = await pool.execute<RawPlanRow[]>(
+      `
+        SELECT ${PLAN_COLUMNS}
+        FROM membership_plans
+        WHERE plan_code = ?
+        LIMIT 1
+      `,
+      [planCode],
+    );
+
+    const row = rows[0];
+
+    if (!row) {
+      return null;
+    }
+
+    const [links] = await pool.execute<RawPlanEntitlementRow[]>(
+      `
+        SELECT plan_code, entitlement_key
+        FROM membership_plan_entitlements
+        WHERE plan_code = ?
+        ORDER BY entitlement_key ASC
+      `,
+      [planCode],
+    );
+
+    return this.mapPlan(
+      row,
+      links.map((link) => link.entitlement_key),
+    );
+  }
+
+  async createPlan(
+    input: CreateMembershipPlanInput,
+  ): Promise<MembershipCatalogResult<AdminMembershipPlanItem>> {
+    return this.withTransaction(async (connection) => {
+      try {
+        await connection.execute(
+          `
+            INSERT INTO membership_plans (plan_code, name, description)
+            VALUES (?, ?, ?)
+          `,
+          [input.planCode, input.name, input.description],
+        );
+      } catch (error: unknown) {
+        if (getErrorCode(error) === "ER_DUP_ENTRY") {
+          throw codedError("membership_plan_already_exists");
+        }
+        throw error;
+      }
+
+      for (const entitlementKey of input.entitlementKeys) {
+        await this.lockEntitlement(connection, entitlementKey);
+
+        await connection.execute(
+          `
+            INSERT INTO membership_plan_entitlements (plan_code, entitlement_key)
+            VALUES (?, ?)
+          `,
+          [input.planCode, entitlementKey],
+        );
+      }
+
+      const item = await this.lockPlan(connection, input.planCode);
+
+      await this.adminAuditService.insert(connection, {
+        ...input.audit,
+        action: "membership_plan.create",
+        entityType: "membership_plan",
+        entityKey: input.planCode,
+        diff: buildAdminAuditDiff(null, { ...item }),
+      });
+
+      return item;
+    });
+  }
+
+  async updatePlan(
+    planCode: string,
+    patch: MembershipPlanPatch,
+    audit: AdminAuditEntry,
+  ): Promise<MembershipCatalogResult<AdminMembershipPlanItem>> {
+    return this.withTransaction(async (connection) => {
+      const before = await this.lockPlan(connection, planCode);
+
+      if (before.retired_at) {
+        throw codedError("membership_plan_retired");
+      }
+
+      const assignments: string[] = [];
+      const values: Array<string | null> = [];
+
+      if (patch.name !== undefined) {
+        assignments.push("name = ?");
+        values.push(patch.name);
+      }
+
+      if (patch.description !== undefined) {
+        assignments.push("description = ?");
+        values.push(patch.description);
+      }
+
+      await connection.execute(
+        `
+          UPDATE membership_plans
+          SET ${assignments.join(", ")}
+          WHERE plan_code = ?
+        `,
+        [...values, planCode],
+      );
+
+      const after = await this.lockPlan(connection, planCode);
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        action: "membership_plan.update",
+        entityType: "membership_plan",
+        entityKey: planCode,
+        diff: buildAdminAuditDiff({ ...before }, { ...after }),
+      });
+
+      return after;
+    });
+  }
+
+  async attachEntitlement(
+    planCode: string,
+    entitlementKey: string,
+    audit: AdminAuditEntry,
+  ): Promise<MembershipCatalogResult<AdminMembershipPlanItem>> {
+    return this.withTransaction(async (connection) => {
+      const before = await this.lockPlan(connection, planCode);
+
+      if (before.retired_at) {
+        throw codedError("membership_plan_retired");
+      }
+
+      await this.lockEntitlement(connection, entitlementKey);
+
+      if (before.entitlements.includes(entitlementKey)) {
+        throw codedError("entitlement_already_attached");
+      }
+
+      await connection.execute(
+        `
+          INSERT INTO membership_plan_entitlements (plan_code, entitlement_key)
+          VALUES (?, ?)
+        `,
+        [planCode, entitlementKey],
+      );
+
+      const after = await this.lockPlan(connection, planCode);
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        action: "membership_plan.entitlement_attach",
+        entityType: "membership_plan",
+        entityKey: planCode,
+        diff: buildAdminAuditDiff({ ...before }, { ...after }),
+      });
+
+      return after;
+    });
+  }
+
+  async detachEntitlement(
+    planCode: string,
+    entitlementKey: string,
+    audit: AdminAuditEntry,
+  ): Promise<MembershipCatalogResult<AdminMembershipPlanItem>> {
+    return this.withTransaction(async (connection) => {
+      const before = await this.lockPlan(connection, planCode);
+
+      const [result] = await connection.execute<ResultSetHeader>(
+        `
+          DELETE FROM membership_plan_entitlements
+          WHERE plan_code = ? AND entitlement_key = ?
+        `,
+        [planCode, entitlementKey],
+      );
+
+      if (result.affectedRows !== 1) {
+        throw codedError("entitlement_not_attached");
+      }
+
+      const after = await this.lockPlan(connection, planCode);
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        action: "membership_plan.entitlement_detach",
+        entityType: "membership_plan",
+        entityKey: planCode,
+        diff: buildAdminAuditDiff({ ...before }, { ...after }),
+      });
+
+      return after;
+    });
+  }
+
+  /**
+   * Retiring only blocks new grants of the plan. Memberships already on it
+   * keep the plan and its entitlements until they end.
+   */
+  async retirePlan(
+    planCode: string,
+    audit: AdminAuditEntry,
+  ): Promise<MembershipCatalogResult<AdminMembershipPlanItem>> {
+    return this.withTransaction(async (connection) => {
+      const before = await this.lockPlan(connection, planCode);
+
+      if (before.retired_at) {
+        throw codedError("membership_plan_already_retired");
+      }
+
+      await connection.execute(
+        `
+          UPDATE membership_plans
+          SET retired_at = UTC_TIMESTAMP()
+          WHERE plan_code = ?
+        `,
+        [planCode],
+      );
+
+      const after = await this.lockPlan(connection, planCode);
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        action: "membership_plan.retire",
+        entityType: "membership_plan",
+        entityKey: planCode,
+        diff: buildAdminAuditDiff({ ...before }, { ...after }),
+      });
+
+      return after;
+    });
+  }
+
+  async listEntitlements(): Promise<AdminEntitlementItem[]> {
+    const pool = this.databaseService.getPool();
+
+    const [rows] = await pool.execute<RawEntitlementRow[]>(
+      `
+        SELECT ${ENTITLEMENT_COLUMNS}
+        FROM entitlements
+        ORDER BY entitlement_key ASC
+      `,
+    );
+
+    const [links] = await pool.execute<RawPlanEntitlementRow[]>(
+      `
+        SELECT plan_code, entitlement_key
+        FROM membership_plan_entitlements
+        ORDER BY plan_code ASC
+      `,
+    );
+
+    const byEntitlement = groupBy(links, "entitlement_key", "plan_code");
+
+    return rows.map((row) =>
+      this.mapEntitlement(
+        row,
+        byEntitlement.get(row.entitlement_key) ?? [],
+      ),
+    );
+  }
+
+  async createEntitlement(
+    input: CreateEntitlementInput,
+  ): Promise<MembershipCatalogResult<AdminEntitlementItem>> {
+    return this.withTransaction(async (connection) => {
+      try {
+        await connection.execute(
+          `
+            INSERT INTO entitlements (entitlement_key, description)
+            VALUES (?, ?)
+          `,
+          [input.entitlementKey, input.description],
+        );
+      } catch (error: unknown) {
+        if (getErrorCode(error) === "ER_DUP_ENTRY") {
+          throw codedError("entitlement_already_exists");
+        }
+        throw error;
+      }
+
+      const item = await this.lockEntitlement(
+        connection,
+        input.entitlementKey,
+      );
+
+      await this.adminAuditService.insert(connection, {
+        ...input.audit,
+        action: "entitlement.create",
+        entityType: "entitlement",
+        entityKey: input.entitlementKey,
+        diff: buildAdminAuditDiff(null, { ...item }),
+      });
+
+      return item;
+    });
+  }
+
+  async updateEntitlement(
+    entitlementKey: string,
+    description: string | null,
+    audit: AdminAuditEntry,
+  ): Promise<MembershipCatalogResult<AdminEntitlementItem>> {
+    return this.withTransaction(async (connection) => {
+      const before = await this.lockEntitlement(connection, entitlementKey);
+
+      await connection.execute(
+        `
+          UPDATE entitlements
+          SET description = ?
+          WHERE entitlement_key = ?
+        `,
+        [description, entitlementKey],
+      );
+
+      const after = await this.lockEntitlement(connection, entitlementKey);
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        action: "entitlement.update",
+        entityType: "entitlement",
+        entityKey: entitlementKey,
+        diff: buildAdminAuditDiff({ ...before }, { ...after }),
+      });
+
+      return after;
+    });
+  }
+
+  /**
+   * Entitlements still attached to a plan or held in an individual grant
+   * (even revoked or expired, they are the grant history) are never deleted,
+   * so removing a key cannot silently strip access from players.
+   */
+  async deleteEntitlement(
+    entitlementKey: string,
+    audit: AdminAuditEntry,
+  ): Promise<MembershipCatalogResult<{ deleted: true }>> {
+    return this.withTransaction(async (connection) => {
+      const before = await this.lockEntitlement(connection, entitlementKey);
+
+      if (before.plan_codes.length > 0) {
+        throw codedError("entitlement_in_use");
+      }
+
+      const [grants] = await connection.execute<RowDataPacket[]>(
+        `
+          SELECT id
+          FROM player_entitlement_grants
+          WHERE entitlement_key = ?
+          LIMIT 1
+        `,
+        [entitlementKey],
+      );
+
+      if (grants[0]) {
+        throw codedError("entitlement_in_use");
+      }
+
+      await connection.execute(
+        `
+          DELETE FROM entitlements
+          WHERE entitlement_key = ?
+        `,
+        [entitlementKey],
+      );
+
+      await this.adminAuditService.insert(connection, {
+        ...audit,
+        action: "entitlement.delete",
+        entityType: "entitlement",
+        entityKey: entitlementKey,
+        diff: buildAdminAuditDiff({ ...before }, null),
+      });
+
+      return { deleted: true as const };
+    });
+  }
+}
@@ -0,0 +1,398 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Param,
+  Patch,
+  Post,
+  Req,
+  UseGuards,
+} from "@nestjs/common";
+
+import { DatabaseService } from "../../database/database.service.js";
+import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+import { RequireAdminPermissions } from "../auth/admin-permissions.js";
+import { AdminIdentity } from "../auth/admin-auth.service.js";
+import { AdminAuditEntry } from "../common/admin-audit.service.js";
+import {
+  normalizeEntitlementKey,
+  normalizePlanCode,
+  normalizePlanPatch,
+  validatePlanInput,
+} from "./admin-membership-catalog-validation.js";
+import {
+  AdminMembershipCatalogRepository,
+  MembershipCatalogResult,
+} from "./admin-membership-catalog.repository.js";
+
+interface RequestWithAdmin {
+  admin?: AdminIdentity;
+}
+
+const NOT_FOUND_ERRORS = new Set([
+  "membership_plan_not_found",
+  "entitlement_not_found",
+  "entitlement_not_attached",
+  "player_account_not_found",
+  "entitlement_grant_not_found",
+]);
+
+const CONFLICT_ERRORS = new Set([
+  "membership_plan_already_exists",
+  "membership_plan_retired",
+  "membership_plan_already_retired",
+  "entitlement_already_exists",
+  "entitlement_already_attached",
+  "entitlement_in_use",
+  "entitlement_grant_already_revoked",
+  "entitlement_grant_expired",
+]);
+
+export function throwMembershipCatalogError(
+  result: Extract<
+    MembershipCatalogResult<unknown>,
+    { ok: false }
+  >,
+): never {
+  if (NOT_FOUND_ERRORS.has(result.error)) {
+    throw new HttpException(
+      { ok: false, error: result.error },
+      HttpStatus.NOT_FOUND,
+    );
+  }
+
+  if (CONFLICT_ERRORS.has(result.error)) {
+    throw new HttpException(
+      { ok: false, error: result.error },
+      HttpStatus.CONFLICT,
+    );
+  }
+
+  throw new HttpException(
+    { ok: false, error: "internal_error" },
+    HttpStatus.INTERNAL_SERVER_ERROR,
+  );
+}
+
+export function buildMembershipCatalogAudit(
+  admin: AdminIdentity | undefined,
+  route: string,
+  method: string,
+  action: string,
+  entityType:
+    | "membership_plan"
+    | "entitlement"
+    | "player_entitlement_grant",
+  entityKey?: string,
+): AdminAuditEntry {
+  return {
+    userId:
+      typeof admin?.userId === "number" &&
+      Number.isInteger(admin.userId)
+        ? admin.userId
+        : null,
+    route,
+    method,
+    action,
+    via: admin?.via ?? "admin-key",
+    apiKeyId: admin?.apiKeyId ?? null,
+    entityType,
+    ...(entityKey ? { entityKey } : {}),
+  };
+}
+
+@Controller("admin/membership-plans")
+@UseGuards(AdminAuthGuard)
+@RequireAdminPermissions()
+export class AdminMembershipPlansController {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly repository: AdminMembershipCatalogRepository,
+  ) {}
+
+  private assertDbReady(): void {
+    if (this.databaseService.getStatus().ready !== true) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+  }
+
+  private readBodyRecord(body: unknown): Record<string, unknown> {
+    if (
+      body !== null &&
+      typeof body === "object" &&
+      !Array.isArray(body)
+    ) {
+      return body as Record<string, unknown>;
+    }
+
+    return {};
+  }
+
+  private readPlanCode(rawPlanCode: string): string {
+    const planCode = normalizePlanCode(rawPlanCode);
+
+    if (!planCode) {
+      throw new HttpException(
+        { ok: false, error: "invalid_plan_code" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    return planCode;
+  }
+
+  private readEntitlementKey(rawKey: unknown): string {
+    const entitlementKey = normalizeEntitlementKey(rawKey);
+
+    if (!entitlementKey) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "invalid_entitlement_key",
+          field: "entitlement_key",
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    return entitlementKey;
+  }
+
+  @Get()
+  async list() {
+    this.assertDbReady();
+
+    try {
+      const items = await this.repository.listPlans();
+
+      return {
+        ok: true,
+        count: items.length,
+        items,
+      };
+    } catch {
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  @Get(":planCode")
+  async getByPlanCode(@Param("planCode") rawPlanCode: string) {
+    this.assertDbReady();
+
+    const planCode = this.readPlanCode(rawPlanCode);
+
+    let item;
+
+    try {
+      item = await this.repository.getPlan(planCode);
+    } catch {
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    if (!item) {
+      throw new HttpException(
+        { ok: false, error: "membership_plan_not_found" },
+        HttpStatus.NOT_FOUND,
+      );
+    }
+
+    return { ok: true, item };
+  }
+
+  @Post()
+  @RequireAdminPermissions("memberships.manage")
+  @HttpCode(HttpStatus.CREATED)
+  async create(
+    @Req() req: RequestWithAdmin,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+
+    const validation = validatePlanInput(this.readBodyRecord(body));
+
+    if (!validation.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: validation.error,
+          ...(validation.field ? { field: validation.field } : {}),
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    const result = await this.repository.createPlan({
+      planCode: validation.planCode,
+      name: validation.name,
+      description: validation.description,
+      entitlementKeys: validation.entitlementKeys,
+      audit: buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/membership-plans",
+        "POST",
+        "membership_plan.create",
+        "membership_plan",
+        validation.planCode,
+      ),
+    });
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, item: result.data };
+  }
+
+  @Patch(":planCode")
+  @RequireAdminPermissions("memberships.manage")
+  async update(
+    @Req() req: RequestWithAdmin,
+    @Param("planCode") rawPlanCode: string,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+
+    const planCode = this.readPlanCode(rawPlanCode);
+    const validation = normalizePlanPatch(this.readBodyRecord(body));
+
+    if (!validation.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: validation.error,
+          ...(validation.field ? { field: validation.field } : {}),
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    const result = await this.repository.updatePlan(
+      planCode,
+      validation.patch,
+      buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/membership-plans/:planCode",
+        "PATCH",
+        "membership_plan.update",
+        "membership_plan",
+        planCode,
+      ),
+    );
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, item: result.data };
+  }
+
+  @Post(":planCode/entitlements")
+  @RequireAdminPermissions("memberships.manage")
+  @HttpCode(HttpStatus.OK)
+  async attachEntitlement(
+    @Req() req: RequestWithAdmin,
+    @Param("planCode") rawPlanCode: string,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+
+    const planCode = this.readPlanCode(rawPlanCode);
+    const entitlementKey = this.readEntitlementKey(
+      this.readBodyRecord(body).entitlement_key,
+    );
+
+    const result = await this.repository.attachEntitlement(
+      planCode,
+      entitlementKey,
+      buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/membership-plans/:planCode/entitlements",
+        "POST",
+        "membership_plan.entitlement_attach",
+        "membership_plan",
+        planCode,
+      ),
+    );
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, item: result.data };
+  }
+
+  @Delete(":planCode/entitlements/:entitlementKey")
+  @RequireAdminPermissions("memberships.manage")
+  async detachEntitlement(
+    @Req() req: RequestWithAdmin,
+    @Param("planCode") rawPlanCode: string,
+    @Param("entitlementKey") rawEntitlementKey: string,
+  ) {
+    this.assertDbReady();
+
+    const planCode = this.readPlanCode(rawPlanCode);
+    const entitlementKey = this.readEntitlementKey(rawEntitlementKey);
+
+    const result = await this.repository.detachEntitlement(
+      planCode,
+      entitlementKey,
+      buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/membership-plans/:planCode/entitlements/:entitlementKey",
+        "DELETE",
+        "membership_plan.entitlement_detach",
+        "membership_plan",
+        planCode,
+      ),
+    );
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, item: result.data };
+  }
+
+  @Post(":planCode/retire")
+  @RequireAdminPermissions("memberships.manage")
+  @HttpCode(HttpStatus.OK)
+  async retire(
+    @Req() req: RequestWithAdmin,
+    @Param("planCode") rawPlanCode: string,
+  ) {
+    this.assertDbReady();
+
+    const planCode = this.readPlanCode(rawPlanCode);
+
+    const result = await this.repository.retirePlan(
+      planCode,
+      buildMembershipCatalogAudit(
+        req.admin,
+        "/admin/membership-plans/:planCode/retire",
+        "POST",
+        "membership_plan.retire",
+        "membership_plan",
+        planCode,
+      ),
+    );
+
+    if (!result.ok) {
+      throwMembershipCatalogError(result);
+    }
+
+    return { ok: true, item: result.data };
+  }
+}
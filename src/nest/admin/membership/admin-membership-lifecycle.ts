@@ -2,9 +2,29 @@ import {
   MembershipStatus,
   resolveMembershipEffectiveStatus,
 } from "../../membership/membership-status.js";
+import type { MembershipEventType } from "../../membership/membership-events.js";
 
 export type { MembershipStatus };
 
+export type MembershipLifecycleAction =
+  | "grant"
+  | "activate"
+  | "suspend"
+  | "reactivate"
+  | "cancel";
+
+/** History event written to player_membership_events for each transition. */
+export const MEMBERSHIP_LIFECYCLE_EVENT_TYPES: Record<
+  MembershipLifecycleAction,
+  MembershipEventType
+> = {
+  grant: "granted",
+  activate: "activated",
+  suspend: "suspended",
+  reactivate: "reactivated",
+  cancel: "cancelled",
+};
+
 export const MEMBERSHIP_LIFECYCLE_ERROR_CODES = {
   ALREADY_ACTIVE: "membership_already_active",
   ALREADY_SUSPENDED: "membership_already_suspended",
@@ -55,6 +75,7 @@ interface MembershipLifecycleInput {
   status: MembershipStatus | string;
   expiresAt?: Date | string | null | unknown;
   now?: Date | string | unknown;
+  gracePeriodHours?: number;
 }
 
 function effectiveStatus(
@@ -64,6 +85,7 @@ function effectiveStatus(
     status: input.status,
     expiresAt: input.expiresAt ?? null,
     now: input.now ?? new Date(0),
+    gracePeriodHours: input.gracePeriodHours,
   });
 }
 
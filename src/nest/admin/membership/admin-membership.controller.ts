@@ -7,14 +7,17 @@ import {
   HttpStatus,
   Param,
   Post,
+  Query,
   Req,
   UseGuards,
 } from "@nestjs/common";
 
 import { DatabaseService } from "../../database/database.service.js";
 import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+import { RequireAdminPermissions } from "../auth/admin-permissions.js";
 import { AdminIdentity } from "../auth/admin-auth.service.js";
 import { AdminAuditEntry } from "../common/admin-audit.service.js";
+import { MEMBERSHIP_EVENT_REASON_MAX_LENGTH } from "../../membership/membership-events.js";
 import {
   AdminMembershipRepository,
   MembershipRepositoryResult,
@@ -76,8 +79,58 @@ function parseOptionalExpiry(
   };
 }
 
+function parseOptionalReason(
+  value: unknown,
+):
+  | { ok: true; value: string | null }
+  | { ok: false; error: string } {
+  if (value === undefined || value === null) {
+    return { ok: true, value: null };
+  }
+
+  const clean = String(value).trim();
+
+  if (clean.length > MEMBERSHIP_EVENT_REASON_MAX_LENGTH) {
+    return { ok: false, error: "reason_too_long" };
+  }
+
+  return { ok: true, value: clean || null };
+}
+
+const DEFAULT_EVENTS_LIMIT = 20;
+const MAX_EVENTS_LIMIT = 100;
+
+function parseEventsLimit(value: unknown): number | null {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return DEFAULT_EVENTS_LIMIT;
+  }
+
+  const clean = String(value).trim();
+  const limit = /^\d+$/.test(clean) ? Number(clean) : NaN;
+
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_EVENTS_LIMIT
+    ? limit
+    : null;
+}
+
+function parseEventsCursor(
+  value: unknown,
+): { ok: true; value: number | null } | { ok: false } {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return { ok: true, value: null };
+  }
+
+  const clean = String(value).trim();
+  const cursor = /^\d+$/.test(clean) ? Number(clean) : NaN;
+
+  return Number.isSafeInteger(cursor) && cursor >= 1
+    ? { ok: true, value: cursor }
+    : { ok: false };
+}
+
 @Controller("admin/memberships")
 @UseGuards(AdminAuthGuard)
+@RequireAdminPermissions("players.read")
 export class AdminMembershipController {
   constructor(
     private readonly databaseService: DatabaseService,
@@ -105,6 +158,25 @@ export class AdminMembershipController {
     return {};
   }
 
+  private readReason(body: unknown): string | null {
+    const reason = parseOptionalReason(
+      this.readBodyRecord(body).reason,
+    );
+
+    if (!reason.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: reason.error,
+          field: "reason",
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    return reason.value;
+  }
+
   private buildAudit(
     admin: AdminIdentity | undefined,
     route: string,
@@ -121,7 +193,8 @@ export class AdminMembershipController {
       route,
       method,
       action,
-      via: admin?.via === "session" ? "session" : "admin-key",
+      via: admin?.via ?? "admin-key",
+      apiKeyId: admin?.apiKeyId ?? null,
       entityType: "membership",
       ...(entityKey ? { entityKey } : {}),
     };
@@ -239,7 +312,79 @@ export class AdminMembershipController {
     return { ok: true, item };
   }
 
+  @Get(":id/events")
+  async listEvents(
+    @Param("id") rawId: string,
+    @Query("limit") rawLimit?: string,
+    @Query("cursor") rawCursor?: string,
+  ) {
+    this.assertDbReady();
+
+    const id = normalizeUuid(rawId);
+
+    if (!id) {
+      throw new HttpException(
+        { ok: false, error: "invalid_membership_id" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    const limit = parseEventsLimit(rawLimit);
+
+    if (limit === null) {
+      throw new HttpException(
+        { ok: false, error: "invalid_limit" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    const cursor = parseEventsCursor(rawCursor);
+
+    if (!cursor.ok) {
+      throw new HttpException(
+        { ok: false, error: "invalid_cursor" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    let events;
+
+    try {
+      events = await this.repository.listMembershipEvents({
+        membershipId: id,
+        limit: limit + 1,
+        beforeId: cursor.value,
+      });
+    } catch {
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    if (!events) {
+      throw new HttpException(
+        { ok: false, error: "membership_not_found" },
+        HttpStatus.NOT_FOUND,
+      );
+    }
+
+    const items = events.slice(0, limit);
+    const last = items[items.length - 1];
+
+    return {
+      ok: true,
+      count: items.length,
+      items,
+      nextCursor:
+        events.length > limit && last
+          ? String(last.id)
+          : null,
+    };
+  }
+
   @Post()
+  @RequireAdminPermissions("memberships.manage")
   @HttpCode(HttpStatus.CREATED)
   async grant(
     @Req() req: RequestWithAdmin,
@@ -289,6 +434,8 @@ export class AdminMembershipController {
       );
     }
 
+    const reason = this.readReason(payload);
+
     const audit = this.buildAudit(
       req.admin,
       "/admin/memberships",
@@ -301,11 +448,15 @@ export class AdminMembershipController {
       planCode,
       source: "staff",
       expiresAt: expiry.value,
+      reason,
       audit,
     });
 
     if (!result.ok) {
-      if (result.error === "player_account_not_found") {
+      if (
+        result.error === "player_account_not_found" ||
+        result.error === "membership_plan_not_found"
+      ) {
         throw new HttpException(
           { ok: false, error: result.error },
           HttpStatus.NOT_FOUND,
@@ -314,7 +465,8 @@ export class AdminMembershipController {
 
       if (
         result.error === "membership_already_exists" ||
-        result.error === "membership_expired"
+        result.error === "membership_expired" ||
+        result.error === "membership_plan_retired"
       ) {
         throw new HttpException(
           { ok: false, error: result.error },
@@ -335,54 +487,66 @@ export class AdminMembershipController {
   }
 
   @Post(":id/activate")
+  @RequireAdminPermissions("memberships.manage")
   @HttpCode(HttpStatus.OK)
   async activate(
     @Req() req: RequestWithAdmin,
     @Param("id") rawId: string,
+    @Body() body?: unknown,
   ) {
     return this.runLifecycleAction(
       req.admin,
       rawId,
       "activate",
+      body,
     );
   }
 
   @Post(":id/suspend")
+  @RequireAdminPermissions("memberships.manage")
   @HttpCode(HttpStatus.OK)
   async suspend(
     @Req() req: RequestWithAdmin,
     @Param("id") rawId: string,
+    @Body() body?: unknown,
   ) {
     return this.runLifecycleAction(
       req.admin,
       rawId,
       "suspend",
+      body,
     );
   }
 
   @Post(":id/reactivate")
+  @RequireAdminPermissions("memberships.manage")
   @HttpCode(HttpStatus.OK)
   async reactivate(
     @Req() req: RequestWithAdmin,
     @Param("id") rawId: string,
+    @Body() body?: unknown,
   ) {
     return this.runLifecycleAction(
       req.admin,
       rawId,
       "reactivate",
+      body,
     );
   }
 
   @Post(":id/cancel")
+  @RequireAdminPermissions("memberships.manage")
   @HttpCode(HttpStatus.OK)
   async cancel(
     @Req() req: RequestWithAdmin,
     @Param("id") rawId: string,
+    @Body() body?: unknown,
   ) {
     return this.runLifecycleAction(
       req.admin,
       rawId,
       "cancel",
+      body,
     );
   }
 
@@ -390,6 +554,7 @@ export class AdminMembershipController {
     admin: AdminIdentity | undefined,
     rawId: string,
     action: "activate" | "suspend" | "reactivate" | "cancel",
+    body: unknown,
   ) {
     this.assertDbReady();
 
@@ -402,6 +567,8 @@ export class AdminMembershipController {
       );
     }
 
+    const reason = this.readReason(body);
+
     const route =
       `/admin/memberships/:id/${action}`;
 
@@ -415,12 +582,16 @@ export class AdminMembershipController {
 
     const result =
       action === "activate"
-        ? await this.repository.activateMembership(id, audit)
+        ? await this.repository.activateMembership(id, audit, reason)
         : action === "suspend"
-          ? await this.repository.suspendMembership(id, audit)
+          ? await this.repository.suspendMembership(id, audit, reason)
           : action === "reactivate"
-            ? await this.repository.reactivateMembership(id, audit)
-            : await this.repository.cancelMembership(id, audit);
+            ? await this.repository.reactivateMembership(
+                id,
+                audit,
+                reason,
+              )
+            : await this.repository.cancelMembership(id, audit, reason);
 
     if (!result.ok) {
       this.throwLifecycleError(result);
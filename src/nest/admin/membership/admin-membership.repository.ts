@@ -1,15 +1,17 @@
 import { randomUUID } from "node:crypto";
-import { Injectable } from "@nestjs/common";
+import { Inject, Injectable } from "@nestjs/common";
 import type {
   PoolConnection,
   ResultSetHeader,
   RowDataPacket,
 } from "mysql2/promise";
 
+import { APP_CONFIG, AppConfig } from "../../core/app-config.js";
 import { DatabaseService } from "../../database/database.service.js";
 import {
   AdminAuditEntry,
   AdminAuditService,
+  buildAdminAuditDiff,
 } from "../common/admin-audit.service.js";
 import {
   assertMembershipCanActivate,
@@ -17,8 +19,16 @@ import {
   assertMembershipCanGrant,
   assertMembershipCanReactivate,
   assertMembershipCanSuspend,
+  MEMBERSHIP_LIFECYCLE_EVENT_TYPES,
+  MembershipLifecycleAction,
   MembershipStatus,
 } from "./admin-membership-lifecycle.js";
+import {
+  insertMembershipEvent,
+  MembershipEventActorType,
+  MembershipEventType,
+  RawMembershipEventRow,
+} from "../../membership/membership-events.js";
 import { resolveMembershipEffectiveStatus } from "../../membership/membership-status.js";
 
 export type MembershipSource =
@@ -47,6 +57,10 @@ interface PlayerAccountRow extends RowDataPacket {
   now_utc: Date | string;
 }
 
+interface MembershipPlanRow extends RowDataPacket {
+  retired_at: Date | string | null;
+}
+
 export interface AdminMembershipItem {
   id: string;
   player_account_id: string;
@@ -66,18 +80,34 @@ export interface GrantMembershipInput {
   planCode: string;
   source: MembershipSource;
   expiresAt: string | null;
+  reason?: string | null;
   audit: AdminAuditEntry;
 }
 
+interface RawAdminMembershipEventRow extends RawMembershipEventRow {
+  actor_display_name: string | null;
+}
+
+export interface AdminMembershipEventItem {
+  id: number;
+  membership_id: string;
+  type: MembershipEventType;
+  previous_status: MembershipStatus | null;
+  new_status: MembershipStatus | null;
+  previous_expires_at: Date | string | null;
+  new_expires_at: Date | string | null;
+  actor_type: MembershipEventActorType;
+  actor_user_id: number | null;
+  actor_display_name: string | null;
+  reason: string | null;
+  created_at: Date | string;
+}
+
 export type MembershipRepositoryResult<T> =
   | { ok: true; data: T }
   | { ok: false; error: string };
 
-type LifecycleAction =
-  | "activate"
-  | "suspend"
-  | "reactivate"
-  | "cancel";
+type LifecycleAction = Exclude<MembershipLifecycleAction, "grant">;
 
 function getErrorCode(error: unknown): string | null {
   if (
@@ -100,6 +130,8 @@ function codedError(code: string): Error {
 
 const STABLE_GRANT_ERRORS = new Set([
   "player_account_not_found",
+  "membership_plan_not_found",
+  "membership_plan_retired",
   "membership_already_exists",
   "membership_create_failed",
   "membership_expired",
@@ -124,6 +156,7 @@ export class AdminMembershipRepository {
   constructor(
     private readonly databaseService: DatabaseService,
     private readonly adminAuditService: AdminAuditService,
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
   ) {}
 
   private mapMembership(
@@ -136,6 +169,8 @@ export class AdminMembershipRepository {
         status: row.status,
         expiresAt: row.expires_at,
         now: row.now_utc,
+        gracePeriodHours:
+          this.config.membershipLifecycle.gracePeriodHours,
       }),
       plan_code: row.plan_code,
       source: row.source,
@@ -240,6 +275,80 @@ export class AdminMembershipRepository {
     return row ? this.mapMembership(row) : null;
   }
 
+  /**
+   * Newest first; `beforeId` is the id of the last item of the previous page.
+   * Returns null when the membership does not exist.
+   */
+  async listMembershipEvents(input: {
+    membershipId: string;
+    limit: number;
+    beforeId: number | null;
+  }): Promise<AdminMembershipEventItem[] | null> {
+    const pool = this.databaseService.getPool();
+
+    const [memberships] = await pool.execute<RowDataPacket[]>(
+      `
+        SELECT id
+        FROM player_memberships
+        WHERE id = ?
+        LIMIT 1
+      `,
+      [input.membershipId],
+    );
+
+    if (!memberships[0]) {
+      return null;
+    }
+
+    const conditions = ["e.membership_id = ?"];
+    const values: Array<string | number> = [input.membershipId];
+
+    if (input.beforeId !== null) {
+      conditions.push("e.id < ?");
+      values.push(input.beforeId);
+    }
+
+    const [rows] = await pool.execute<RawAdminMembershipEventRow[]>(
+      `
+        SELECT
+          e.id,
+          e.membership_id,
+          e.event_type,
+          e.previous_status,
+          e.new_status,
+          e.previous_expires_at,
+          e.new_expires_at,
+          e.actor_type,
+          e.actor_user_id,
+          u.display_name AS actor_display_name,
+          e.reason,
+          e.created_at
+        FROM player_membership_events e
+        LEFT JOIN users u
+          ON u.id = e.actor_user_id
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY e.id DESC
+        LIMIT ?
+      `,
+      [...values, input.limit],
+    );
+
+    return rows.map((row) => ({
+      id: Number(row.id),
+      membership_id: row.membership_id,
+      type: row.event_type,
+      previous_status: row.previous_status,
+      new_status: row.new_status,
+      previous_expires_at: row.previous_expires_at,
+      new_expires_at: row.new_expires_at,
+      actor_type: row.actor_type,
+      actor_user_id: row.actor_user_id,
+      actor_display_name: row.actor_display_name,
+      reason: row.reason,
+      created_at: row.created_at,
+    }));
+  }
+
   async grantMembership(
     input: GrantMembershipInput,
   ): Promise<MembershipRepositoryResult<AdminMembershipItem>> {
@@ -273,6 +382,29 @@ export class AdminMembershipRepository {
           now: account.now_utc,
         });
 
+        // Shared lock: a concurrent retire waits for this grant to commit.
+        const [planRows] =
+          await connection.execute<MembershipPlanRow[]>(
+            `
+              SELECT retired_at
+              FROM membership_plans
+              WHERE plan_code = ?
+              LIMIT 1
+              LOCK IN SHARE MODE
+            `,
+            [input.planCode],
+          );
+
+        const plan = planRows[0];
+
+        if (!plan) {
+          throw codedError("membership_plan_not_found");
+        }
+
+        if (plan.retired_at !== null) {
+          throw codedError("membership_plan_retired");
+        }
+
         const membershipId = randomUUID();
 
         let insertResult: ResultSetHeader;
@@ -324,13 +456,6 @@ export class AdminMembershipRepository {
           throw codedError("membership_create_failed");
         }
 
-        await this.adminAuditService.insert(connection, {
-          ...input.audit,
-          action: "membership.grant",
-          entityType: "membership",
-          entityKey: membershipId,
-        });
-
         const item = await this.findByIdWithConnection(
           connection,
           membershipId,
@@ -340,6 +465,27 @@ export class AdminMembershipRepository {
           throw codedError("membership_create_failed");
         }
 
+        await insertMembershipEvent(connection, {
+          membershipId,
+          playerAccountId: input.playerAccountId,
+          eventType: MEMBERSHIP_LIFECYCLE_EVENT_TYPES.grant,
+          previousStatus: null,
+          newStatus: item.status,
+          previousExpiresAt: null,
+          newExpiresAt: item.expires_at,
+          actorType: "admin",
+          actorUserId: input.audit.userId,
+          reason: input.reason ?? null,
+        });
+
+        await this.adminAuditService.insert(connection, {
+          ...input.audit,
+          action: "membership.grant",
+          entityType: "membership",
+          entityKey: membershipId,
+          diff: buildAdminAuditDiff(null, { ...item }),
+        });
+
         await connection.commit();
 
         return {
@@ -375,6 +521,7 @@ export class AdminMembershipRepository {
     id: string,
     action: LifecycleAction,
     audit: AdminAuditEntry,
+    reason: string | null,
   ): Promise<MembershipRepositoryResult<AdminMembershipItem>> {
     const pool = this.databaseService.getPool();
     const connection = await pool.getConnection();
@@ -422,6 +569,8 @@ export class AdminMembershipRepository {
               status: target.status,
               expiresAt: target.expires_at,
               now: target.now_utc,
+              gracePeriodHours:
+                this.config.membershipLifecycle.gracePeriodHours,
             });
             expectedStatus = "inactive";
             sql = `
@@ -439,6 +588,8 @@ export class AdminMembershipRepository {
               status: target.status,
               expiresAt: target.expires_at,
               now: target.now_utc,
+              gracePeriodHours:
+                this.config.membershipLifecycle.gracePeriodHours,
             });
             expectedStatus = "active";
             sql = `
@@ -455,6 +606,8 @@ export class AdminMembershipRepository {
               status: target.status,
               expiresAt: target.expires_at,
               now: target.now_utc,
+              gracePeriodHours:
+                this.config.membershipLifecycle.gracePeriodHours,
             });
             expectedStatus = "suspended";
             sql = `
@@ -471,6 +624,8 @@ export class AdminMembershipRepository {
               status: target.status,
               expiresAt: target.expires_at,
               now: target.now_utc,
+              gracePeriodHours:
+                this.config.membershipLifecycle.gracePeriodHours,
             });
             expectedStatus = target.status;
             sql = `
@@ -493,13 +648,6 @@ export class AdminMembershipRepository {
           throw codedError("membership_transition_failed");
         }
 
-        await this.adminAuditService.insert(connection, {
-          ...audit,
-          action: `membership.${action}`,
-          entityType: "membership",
-          entityKey: id,
-        });
-
         const item = await this.findByIdWithConnection(
           connection,
           id,
@@ -509,6 +657,32 @@ export class AdminMembershipRepository {
           throw codedError("membership_transition_failed");
         }
 
+        const before = this.mapMembership(target);
+
+        await insertMembershipEvent(connection, {
+          membershipId: id,
+          playerAccountId: target.player_account_id,
+          eventType: MEMBERSHIP_LIFECYCLE_EVENT_TYPES[action],
+          previousStatus: before.status,
+          newStatus: item.status,
+          previousExpiresAt: before.expires_at,
+          newExpiresAt: item.expires_at,
+          actorType: "admin",
+          actorUserId: audit.userId,
+          reason,
+        });
+
+        await this.adminAuditService.insert(connection, {
+          ...audit,
+          action: `membership.${action}`,
+          entityType: "membership",
+          entityKey: id,
+          diff: buildAdminAuditDiff(
+            { ...before },
+            { ...item },
+          ),
+        });
+
         await connection.commit();
 
         return {
@@ -543,28 +717,32 @@ export class AdminMembershipRepository {
   async activateMembership(
     id: string,
     audit: AdminAuditEntry,
+    reason: string | null = null,
   ): Promise<MembershipRepositoryResult<AdminMembershipItem>> {
-    return this.transitionMembership(id, "activate", audit);
+    return this.transitionMembership(id, "activate", audit, reason);
   }
 
   async suspendMembership(
     id: string,
     audit: AdminAuditEntry,
+    reason: string | null = null,
   ): Promise<MembershipRepositoryResult<AdminMembershipItem>> {
-    return this.transitionMembership(id, "suspend", audit);
+    return this.transitionMembership(id, "suspend", audit, reason);
   }
 
   async reactivateMembership(
     id: string,
     audit: AdminAuditEntry,
+    reason: string | null = null,
   ): Promise<MembershipRepositoryResult<AdminMembershipItem>> {
-    return this.transitionMembership(id, "reactivate", audit);
+    return this.transitionMembership(id, "reactivate", audit, reason);
   }
 
   async cancelMembership(
     id: string,
     audit: AdminAuditEntry,
+    reason: string | null = null,
   ): Promise<MembershipRepositoryResult<AdminMembershipItem>> {
-    return this.transitionMembership(id, "cancel", audit);
+    return this.transitionMembership(id, "cancel", audit, reason);
   }
 }
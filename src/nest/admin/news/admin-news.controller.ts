@@ -14,6 +14,7 @@ import {
 } from "@nestjs/common";
 import { DatabaseService } from "../../database/database.service.js";
 import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+import { RequireAdminPermissions } from "../auth/admin-permissions.js";
 import { AdminIdentity } from "../auth/admin-auth.service.js";
 import { AdminAuditEntry } from "../common/admin-audit.service.js";
 import {
@@ -29,6 +30,7 @@ interface RequestWithAdmin {
 
 @Controller("admin/news")
 @UseGuards(AdminAuthGuard)
+@RequireAdminPermissions()
 export class AdminNewsController {
   constructor(
     private readonly databaseService: DatabaseService,
@@ -66,7 +68,8 @@ export class AdminNewsController {
       route,
       method,
       action,
-      via: admin?.via === "session" ? "session" : "admin-key",
+      via: admin?.via ?? "admin-key",
+      apiKeyId: admin?.apiKeyId ?? null,
     };
   }
 
@@ -154,6 +157,7 @@ export class AdminNewsController {
   }
 
   @Post()
+  @RequireAdminPermissions("news.write")
   @HttpCode(HttpStatus.CREATED)
   async create(
     @Req() req: RequestWithAdmin,
@@ -222,6 +226,7 @@ export class AdminNewsController {
   }
 
   @Patch(":id")
+  @RequireAdminPermissions("news.write")
   async update(
     @Req() req: RequestWithAdmin,
     @Param("id") idValue: string,
@@ -327,6 +332,7 @@ export class AdminNewsController {
   }
 
   @Post(":id/publish")
+  @RequireAdminPermissions("news.write")
   @HttpCode(HttpStatus.OK)
   async publish(
     @Req() req: RequestWithAdmin,
@@ -367,6 +373,7 @@ export class AdminNewsController {
   }
 
   @Post(":id/unpublish")
+  @RequireAdminPermissions("news.write")
   @HttpCode(HttpStatus.OK)
   async unpublish(
     @Req() req: RequestWithAdmin,
@@ -408,6 +415,7 @@ export class AdminNewsController {
   }
 
   @Delete(":id")
+  @RequireAdminPermissions("news.write")
   async delete(
     @Req() req: RequestWithAdmin,
     @Param("id") idValue: string,
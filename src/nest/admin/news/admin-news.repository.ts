@@ -1,7 +1,12 @@
 import { Injectable } from "@nestjs/common";
 import type { RowDataPacket, ResultSetHeader } from "mysql2";
+import type { PoolConnection } from "mysql2/promise";
 import { DatabaseService } from "../../database/database.service.js";
-import { AdminAuditService, AdminAuditEntry } from "../common/admin-audit.service.js";
+import {
+  AdminAuditService,
+  AdminAuditEntry,
+  buildAdminAuditDiff,
+} from "../common/admin-audit.service.js";
 
 export interface AdminNewsSummaryItem {
   id: number;
@@ -162,6 +167,31 @@ export class AdminNewsRepository {
     return this.mapDetail(row);
   }
 
+  /**
+   * Audit snapshot of a news row. The body is fingerprinted instead of copied
+   * so edits show up in the diff without duplicating the article.
+   */
+  private async findAuditSnapshot(
+    connection: PoolConnection,
+    id: number,
+    lock: boolean,
+  ): Promise<Record<string, unknown> | null> {
+    const [rows] = await connection.execute<RowDataPacket[]>(
+      `
+        SELECT id, slug, title, excerpt, image_url, status, published_at,
+               SHA2(content, 256) AS content_sha256
+        FROM news
+        WHERE id = ?
+        LIMIT 1
+        ${lock ? "FOR UPDATE" : ""}
+      `,
+      [id],
+    );
+
+    const row = rows[0];
+    return row ? { ...row } : null;
+  }
+
   async create(
     input: CreateAdminNewsInput,
     audit: AdminAuditEntry,
@@ -192,7 +222,15 @@ export class AdminNewsRepository {
           ],
         );
 
-        await this.adminAuditService.insert(connection, audit);
+        await this.adminAuditService.insert(connection, {
+          ...audit,
+          entityType: "news",
+          entityKey: String(result.insertId),
+          diff: buildAdminAuditDiff(
+            null,
+            await this.findAuditSnapshot(connection, result.insertId, false),
+          ),
+        });
 
         await connection.commit();
 
@@ -252,6 +290,8 @@ export class AdminNewsRepository {
       await connection.beginTransaction();
 
       try {
+        const before = await this.findAuditSnapshot(connection, id, true);
+
         const [result] = await connection.query<ResultSetHeader>(
           `
             UPDATE news
@@ -265,7 +305,15 @@ export class AdminNewsRepository {
           throw new AdminNewsNotFoundError();
         }
 
-        await this.adminAuditService.insert(connection, audit);
+        await this.adminAuditService.insert(connection, {
+          ...audit,
+          entityType: "news",
+          entityKey: String(id),
+          diff: buildAdminAuditDiff(
+            before,
+            await this.findAuditSnapshot(connection, id, false),
+          ),
+        });
 
         const [rows] = await connection.execute<RawAdminNewsSummaryRow[]>(
           `
@@ -307,6 +355,8 @@ export class AdminNewsRepository {
       await connection.beginTransaction();
 
       try {
+        const before = await this.findAuditSnapshot(connection, id, true);
+
         const [result] = await connection.execute<ResultSetHeader>(
           `
             UPDATE news
@@ -321,7 +371,15 @@ export class AdminNewsRepository {
           throw new AdminNewsNotDraftError();
         }
 
-        await this.adminAuditService.insert(connection, audit);
+        await this.adminAuditService.insert(connection, {
+          ...audit,
+          entityType: "news",
+          entityKey: String(id),
+          diff: buildAdminAuditDiff(
+            before,
+            await this.findAuditSnapshot(connection, id, false),
+          ),
+        });
 
         const [rows] = await connection.execute<RawAdminNewsSummaryRow[]>(
           `
@@ -363,6 +421,8 @@ export class AdminNewsRepository {
       await connection.beginTransaction();
 
       try {
+        const before = await this.findAuditSnapshot(connection, id, true);
+
         const [result] = await connection.execute<ResultSetHeader>(
           `
             UPDATE news
@@ -377,7 +437,15 @@ export class AdminNewsRepository {
           throw new AdminNewsNotPublishedError();
         }
 
-        await this.adminAuditService.insert(connection, audit);
+        await this.adminAuditService.insert(connection, {
+          ...audit,
+          entityType: "news",
+          entityKey: String(id),
+          diff: buildAdminAuditDiff(
+            before,
+            await this.findAuditSnapshot(connection, id, false),
+          ),
+        });
 
         const [rows] = await connection.execute<RawAdminNewsSummaryRow[]>(
           `
@@ -419,6 +487,8 @@ export class AdminNewsRepository {
       await connection.beginTransaction();
 
       try {
+        const before = await this.findAuditSnapshot(connection, id, true);
+
         const [result] = await connection.execute<ResultSetHeader>(
           `DELETE FROM news WHERE id = ?`,
           [id],
@@ -428,7 +498,12 @@ export class AdminNewsRepository {
           throw new AdminNewsNotFoundError();
         }
 
-        await this.adminAuditService.insert(connection, audit);
+        await this.adminAuditService.insert(connection, {
+          ...audit,
+          entityType: "news",
+          entityKey: String(id),
+          diff: buildAdminAuditDiff(before, null),
+        });
 
         await connection.commit();
         return id;
@@ -1,6 +1,7 @@
 import {
   Body,
   Controller,
+  Delete,
   HttpException,
   HttpStatus,
   Param,
@@ -15,6 +16,9 @@ import {
 import {
   AdminAuthGuard,
 } from "../auth/admin-auth.guard.js";
+import {
+  RequireAdminPermissions,
+} from "../auth/admin-permissions.js";
 import type {
   AdminIdentity,
 } from "../auth/admin-auth.service.js";
@@ -140,7 +144,9 @@ export class AdminPlayerAccountStatusController {
   private buildAudit(
     admin: AdminIdentity | undefined,
     id: string,
-    targetStatus: PlayerAccountStatus,
+    route: string,
+    method: string,
+    action: string,
   ): AdminAuditEntry {
     return {
       userId:
@@ -152,20 +158,17 @@ export class AdminPlayerAccountStatusController {
           ? admin.userId
           : null,
 
-      route:
-        "/admin/player-accounts/:id",
+      route,
 
-      method: "PATCH",
+      method,
 
-      action:
-        targetStatus === "disabled"
-          ? "player_account.disable"
-          : "player_account.activate",
+      action,
 
       via:
-        admin?.via === "session"
-          ? "session"
-          : "admin-key",
+        admin?.via ?? "admin-key",
+
+      apiKeyId:
+        admin?.apiKeyId ?? null,
 
       entityType:
         "player_account",
@@ -176,6 +179,7 @@ export class AdminPlayerAccountStatusController {
   }
 
   @Patch(":id")
+  @RequireAdminPermissions("player-accounts.moderate")
   async updateStatus(
     @Req() request: RequestWithAdmin,
     @Param("id") rawId: string,
@@ -212,7 +216,11 @@ export class AdminPlayerAccountStatusController {
               this.buildAudit(
                 request.admin,
                 id,
-                targetStatus,
+                "/admin/player-accounts/:id",
+                "PATCH",
+                targetStatus === "disabled"
+                  ? "player_account.disable"
+                  : "player_account.activate",
               ),
           });
     } catch {
@@ -258,4 +266,76 @@ export class AdminPlayerAccountStatusController {
       item: result.data,
     };
   }
+
+  @Delete(":id/login-lockout")
+  @RequireAdminPermissions("player-accounts.moderate")
+  async unlockLogin(
+    @Req() request: RequestWithAdmin,
+    @Param("id") rawId: string,
+  ) {
+    this.assertDbReady();
+
+    const id =
+      normalizeUuid(rawId);
+
+    if (!id) {
+      throw new HttpException(
+        {
+          ok: false,
+          error:
+            "invalid_player_account_id",
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    let result;
+
+    try {
+      result =
+        await this.repository
+          .clearLoginLockout({
+            id,
+            audit:
+              this.buildAudit(
+                request.admin,
+                id,
+                "/admin/player-accounts/:id/login-lockout",
+                "DELETE",
+                "player_account.login_unlock",
+              ),
+          });
+    } catch {
+      console.error(
+        "[admin-player-accounts] login unlock failed",
+      );
+
+      throw new HttpException(
+        {
+          ok: false,
+          error:
+            "player_account_update_failed",
+        },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    if (!result.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: result.error,
+        },
+        result.error ===
+          "player_account_not_found"
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.CONFLICT,
+      );
+    }
+
+    return {
+      ok: true,
+      item: result.data,
+    };
+  }
 }
@@ -7,6 +7,7 @@ import type {
 import { DatabaseService } from "../../database/database.service.js";
 import {
   AdminAuditService,
+  buildAdminAuditDiff,
   type AdminAuditEntry,
 } from "../common/admin-audit.service.js";
 import type {
@@ -17,6 +18,7 @@ interface RawAccountStatusRow
   extends RowDataPacket {
   status: string;
   disabled_at: Date | string | null;
+  deleted_at?: Date | string | null;
 }
 
 export type PlayerAccountStatusMutationResult =
@@ -38,9 +40,33 @@ export type PlayerAccountStatusMutationResult =
         | "player_account_not_found"
         | "player_account_already_active"
         | "player_account_already_disabled"
+        | "player_account_deleted"
         | "player_account_transition_failed";
     };
 
+interface RawLoginFailureRow
+  extends RowDataPacket {
+  failed_attempts: number | string;
+  locked_until: Date | string | null;
+  lockout_count: number | string;
+}
+
+export type PlayerAccountLoginUnlockResult =
+  | {
+      ok: true;
+      data: {
+        id: string;
+        locked_until: Date | string | null;
+        failed_attempts: number;
+      };
+    }
+  | {
+      ok: false;
+      error:
+        | "player_account_not_found"
+        | "player_account_login_not_locked";
+    };
+
 function requireStatus(
   value: string,
 ): PlayerAccountStatus {
@@ -88,7 +114,8 @@ export class AdminPlayerAccountStatusRepository {
             `
               SELECT
                 status,
-                disabled_at
+                disabled_at,
+                deleted_at
               FROM player_accounts
               WHERE id = ?
               LIMIT 1
@@ -109,6 +136,18 @@ export class AdminPlayerAccountStatusRepository {
           };
         }
 
+        // A deleted account is a tombstone without identities; it
+        // cannot be brought back.
+        if (account.deleted_at) {
+          await connection.commit();
+
+          return {
+            ok: false,
+            error:
+              "player_account_deleted",
+          };
+        }
+
         const currentStatus =
           requireStatus(
             account.status,
@@ -197,11 +236,6 @@ export class AdminPlayerAccountStatusRepository {
             sessionResult.affectedRows;
         }
 
-        await this.auditService.insert(
-          connection,
-          input.audit,
-        );
-
         const [finalRows] =
           await connection.execute<
             RawAccountStatusRow[]
@@ -231,6 +265,23 @@ export class AdminPlayerAccountStatusRepository {
             finalAccount.status,
           );
 
+        await this.auditService.insert(
+          connection,
+          {
+            ...input.audit,
+            diff: buildAdminAuditDiff(
+              {
+                status: currentStatus,
+                disabled_at: account.disabled_at,
+              },
+              {
+                status: finalStatus,
+                disabled_at: finalAccount.disabled_at,
+              },
+            ),
+          },
+        );
+
         await connection.commit();
 
         return {
@@ -255,4 +306,133 @@ export class AdminPlayerAccountStatusRepository {
       connection.release();
     }
   }
+
+  /**
+   * Clears the persisted failed-login series of the account (delay, lockout
+   * and lockout escalation). Per-IP counters are left alone.
+   */
+  async clearLoginLockout(input: {
+    id: string;
+    audit: AdminAuditEntry;
+  }): Promise<PlayerAccountLoginUnlockResult> {
+    const pool =
+      this.databaseService.getPool();
+
+    const connection =
+      await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const [accounts] =
+          await connection.execute<
+            RawAccountStatusRow[]
+          >(
+            `
+              SELECT
+                status,
+                disabled_at
+              FROM player_accounts
+              WHERE id = ?
+              LIMIT 1
+              FOR UPDATE
+            `,
+            [input.id],
+          );
+
+        if (!accounts[0]) {
+          await connection.commit();
+
+          return {
+            ok: false,
+            error:
+              "player_account_not_found",
+          };
+        }
+
+        const [rows] =
+          await connection.execute<
+            RawLoginFailureRow[]
+          >(
+            `
+              SELECT
+                failed_attempts,
+                locked_until,
+                lockout_count
+              FROM player_login_failures
+              WHERE scope = 'account'
+                AND subject_key = ?
+              LIMIT 1
+              FOR UPDATE
+            `,
+            [input.id],
+          );
+
+        const failures = rows[0];
+
+        if (!failures) {
+          await connection.commit();
+
+          return {
+            ok: false,
+            error:
+              "player_account_login_not_locked",
+          };
+        }
+
+        await connection.execute<
+          ResultSetHeader
+        >(
+          `
+            DELETE FROM player_login_failures
+            WHERE scope = 'account'
+              AND subject_key = ?
+          `,
+          [input.id],
+        );
+
+        await this.auditService.insert(
+          connection,
+          {
+            ...input.audit,
+            diff: buildAdminAuditDiff(
+              {
+                failed_attempts:
+                  Number(failures.failed_attempts),
+                locked_until:
+                  failures.locked_until,
+                lockout_count:
+                  Number(failures.lockout_count),
+              },
+              {
+                failed_attempts: 0,
+                locked_until: null,
+                lockout_count: 0,
+              },
+            ),
+          },
+        );
+
+        await connection.commit();
+
+        return {
+          ok: true,
+          data: {
+            id: input.id,
+            locked_until: null,
+            failed_attempts: 0,
+          },
+        };
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch {}
+
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+  }
 }
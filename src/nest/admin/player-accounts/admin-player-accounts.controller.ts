@@ -12,6 +12,9 @@ import { DatabaseService } from "../../database/database.service.js";
 import {
   AdminAuthGuard,
 } from "../auth/admin-auth.guard.js";
+import {
+  RequireAdminPermissions,
+} from "../auth/admin-permissions.js";
 import {
   AdminPlayerAccountsRepository,
   type PlayerAccountStatus,
@@ -142,6 +145,7 @@ function normalizeLimit(
 
 @Controller("admin/player-accounts")
 @UseGuards(AdminAuthGuard)
+@RequireAdminPermissions("players.read")
 export class AdminPlayerAccountsController {
   constructor(
     private readonly databaseService:
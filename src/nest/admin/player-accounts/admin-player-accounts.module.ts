@@ -12,12 +12,18 @@ import {
 import {
   AdminPlayerAccountStatusController,
 } from "./admin-player-account-status.controller.js";
+import {
+  AdminPlayerSessionsController,
+} from "./admin-player-sessions.controller.js";
 import {
   AdminPlayerAccountsRepository,
 } from "./admin-player-accounts.repository.js";
 import {
   AdminPlayerAccountStatusRepository,
 } from "./admin-player-account-status.repository.js";
+import {
+  AdminPlayerSessionsRepository,
+} from "./admin-player-sessions.repository.js";
 
 @Module({
   imports: [
@@ -27,10 +33,12 @@ import {
   controllers: [
     AdminPlayerAccountsController,
     AdminPlayerAccountStatusController,
+    AdminPlayerSessionsController,
   ],
   providers: [
     AdminPlayerAccountsRepository,
     AdminPlayerAccountStatusRepository,
+    AdminPlayerSessionsRepository,
   ],
 })
 export class AdminPlayerAccountsModule {}
@@ -1,6 +1,7 @@
-import { Injectable } from "@nestjs/common";
+import { Inject, Injectable } from "@nestjs/common";
 import type { RowDataPacket } from "mysql2";
 
+import { APP_CONFIG, AppConfig } from "../../core/app-config.js";
 import { DatabaseService } from "../../database/database.service.js";
 import {
   resolveMembershipEffectiveStatus,
@@ -49,9 +50,17 @@ export interface AdminPlayerAccountItem {
     expires_at: Date | string | null;
   };
 
+  login_lockout: {
+    locked: boolean;
+    locked_until: Date | string | null;
+    failed_attempts: number;
+    lockout_count: number;
+  };
+
   created_at: Date | string;
   updated_at: Date | string;
   disabled_at: Date | string | null;
+  deleted_at: Date | string | null;
 }
 
 interface RawAdminPlayerAccountRow
@@ -81,9 +90,15 @@ interface RawAdminPlayerAccountRow
     | string
     | null;
 
+  login_failed_attempts?: number | string | null;
+  login_locked_until?: Date | string | null;
+  login_locked?: number | string | null;
+  login_lockout_count?: number | string | null;
+
   created_at: Date | string;
   updated_at: Date | string;
   disabled_at: Date | string | null;
+  deleted_at?: Date | string | null;
 
   now_utc: Date | string;
 }
@@ -124,6 +139,7 @@ function normalizeProfileVisibility(
 
 function mapRow(
   row: RawAdminPlayerAccountRow,
+  gracePeriodHours: number,
 ): AdminPlayerAccountItem {
   const emailLinked =
     typeof row.email === "string" &&
@@ -148,6 +164,7 @@ function mapRow(
           expiresAt:
             row.membership_expires_at,
           now: row.now_utc,
+          gracePeriodHours,
         })
       : null;
 
@@ -206,12 +223,27 @@ function mapRow(
         row.membership_expires_at,
     },
 
+    login_lockout: {
+      locked:
+        Number(row.login_locked ?? 0) === 1,
+      locked_until:
+        Number(row.login_locked ?? 0) === 1
+          ? row.login_locked_until ?? null
+          : null,
+      failed_attempts:
+        Number(row.login_failed_attempts ?? 0),
+      lockout_count:
+        Number(row.login_lockout_count ?? 0),
+    },
+
     created_at:
       row.created_at,
     updated_at:
       row.updated_at,
     disabled_at:
       row.disabled_at,
+    deleted_at:
+      row.deleted_at ?? null,
   };
 }
 
@@ -246,9 +278,19 @@ const BASE_SELECT = `
     m.expires_at
       AS membership_expires_at,
 
+    lf.failed_attempts
+      AS login_failed_attempts,
+    lf.locked_until
+      AS login_locked_until,
+    COALESCE(lf.locked_until > UTC_TIMESTAMP(), 0)
+      AS login_locked,
+    lf.lockout_count
+      AS login_lockout_count,
+
     a.created_at,
     a.updated_at,
     a.disabled_at,
+    a.deleted_at,
 
     UTC_TIMESTAMP()
       AS now_utc
@@ -266,6 +308,10 @@ const BASE_SELECT = `
 
   LEFT JOIN player_memberships m
     ON m.player_account_id = a.id
+
+  LEFT JOIN player_login_failures lf
+    ON lf.scope = 'account'
+    AND lf.subject_key = a.id
 `;
 
 @Injectable()
@@ -273,8 +319,20 @@ export class AdminPlayerAccountsRepository {
   constructor(
     private readonly databaseService:
       DatabaseService,
+
+    @Inject(APP_CONFIG)
+    private readonly config: AppConfig,
   ) {}
 
+  private mapRow(
+    row: RawAdminPlayerAccountRow,
+  ): AdminPlayerAccountItem {
+    return mapRow(
+      row,
+      this.config.membershipLifecycle.gracePeriodHours,
+    );
+  }
+
   async findById(
     id: string,
   ): Promise<AdminPlayerAccountItem | null> {
@@ -294,7 +352,7 @@ export class AdminPlayerAccountsRepository {
       );
 
     return rows[0]
-      ? mapRow(rows[0])
+      ? this.mapRow(rows[0])
       : null;
   }
 
@@ -372,6 +430,6 @@ export class AdminPlayerAccountsRepository {
         params,
       );
 
-    return rows.map(mapRow);
+    return rows.map((row) => this.mapRow(row));
   }
 }
@@ -0,0 +1,318 @@
+import {
+  Controller,
+  Delete,
+  Get,
+  HttpException,
+  HttpStatus,
+  Param,
+  Query,
+  Req,
+  UseGuards,
+} from "@nestjs/common";
+
+import {
+  DatabaseService,
+} from "../../database/database.service.js";
+import {
+  AdminAuthGuard,
+} from "../auth/admin-auth.guard.js";
+import {
+  RequireAdminPermissions,
+} from "../auth/admin-permissions.js";
+import type {
+  AdminIdentity,
+} from "../auth/admin-auth.service.js";
+import type {
+  AdminAuditEntry,
+} from "../common/admin-audit.service.js";
+import {
+  AdminPlayerSessionsRepository,
+} from "./admin-player-sessions.repository.js";
+
+interface RequestWithAdmin {
+  admin?: AdminIdentity;
+}
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function normalizeUuid(
+  value: unknown,
+): string | null {
+  const clean =
+    String(value ?? "")
+      .trim()
+      .toLowerCase();
+
+  return UUID_RE.test(clean)
+    ? clean
+    : null;
+}
+
+function badRequest(
+  error: string,
+): never {
+  throw new HttpException(
+    {
+      ok: false,
+      error,
+    },
+    HttpStatus.BAD_REQUEST,
+  );
+}
+
+function normalizeStatusFilter(
+  value: unknown,
+): boolean {
+  if (
+    value === undefined ||
+    value === null ||
+    String(value).trim() === ""
+  ) {
+    return false;
+  }
+
+  const clean =
+    String(value)
+      .trim()
+      .toLowerCase();
+
+  if (clean === "active") {
+    return false;
+  }
+
+  if (clean === "all") {
+    return true;
+  }
+
+  return badRequest(
+    "invalid_session_status",
+  );
+}
+
+function normalizeLimit(
+  value: unknown,
+): number {
+  if (
+    value === undefined ||
+    value === null ||
+    String(value).trim() === ""
+  ) {
+    return 50;
+  }
+
+  const clean =
+    String(value).trim();
+
+  const limit =
+    Number(clean);
+
+  if (
+    !/^\d+$/.test(clean) ||
+    !Number.isInteger(limit) ||
+    limit < 1 ||
+    limit > 100
+  ) {
+    return badRequest(
+      "invalid_limit",
+    );
+  }
+
+  return limit;
+}
+
+@Controller("admin/player-accounts/:id/sessions")
+@UseGuards(AdminAuthGuard)
+@RequireAdminPermissions("players.read")
+export class AdminPlayerSessionsController {
+  constructor(
+    private readonly databaseService:
+      DatabaseService,
+
+    private readonly repository:
+      AdminPlayerSessionsRepository,
+  ) {}
+
+  private assertDbReady(): void {
+    if (
+      this.databaseService
+        .getStatus()
+        .ready !== true
+    ) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "db_not_ready",
+        },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+  }
+
+  private buildAudit(
+    admin: AdminIdentity | undefined,
+    sessionId: string,
+  ): AdminAuditEntry {
+    return {
+      userId:
+        typeof admin?.userId ===
+          "number" &&
+        Number.isInteger(
+          admin.userId,
+        )
+          ? admin.userId
+          : null,
+
+      route:
+        "/admin/player-accounts/:id/sessions/:sessionId",
+
+      method: "DELETE",
+
+      action:
+        "player_session.revoke",
+
+      via:
+        admin?.via ?? "admin-key",
+
+      apiKeyId:
+        admin?.apiKeyId ?? null,
+
+      entityType:
+        "player_session",
+
+      entityKey:
+        sessionId,
+    };
+  }
+
+  @Get()
+  async list(
+    @Param("id") rawId: string,
+    @Query("status") rawStatus?: string,
+    @Query("limit") rawLimit?: string,
+  ) {
+    this.assertDbReady();
+
+    const playerAccountId =
+      normalizeUuid(rawId) ??
+      badRequest(
+        "invalid_player_account_id",
+      );
+
+    const includeInactive =
+      normalizeStatusFilter(rawStatus);
+
+    const limit =
+      normalizeLimit(rawLimit);
+
+    let items;
+
+    try {
+      items =
+        await this.repository
+          .listForAccount({
+            playerAccountId,
+            includeInactive,
+            limit,
+          });
+    } catch {
+      console.error(
+        "[admin-player-accounts] sessions read failed",
+      );
+
+      throw new HttpException(
+        {
+          ok: false,
+          error:
+            "player_sessions_read_failed",
+        },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    if (!items) {
+      throw new HttpException(
+        {
+          ok: false,
+          error:
+            "player_account_not_found",
+        },
+        HttpStatus.NOT_FOUND,
+      );
+    }
+
+    return {
+      ok: true,
+      count: items.length,
+      items,
+    };
+  }
+
+  @Delete(":sessionId")
+  @RequireAdminPermissions("player-accounts.moderate")
+  async revoke(
+    @Req() request: RequestWithAdmin,
+    @Param("id") rawId: string,
+    @Param("sessionId") rawSessionId: string,
+  ) {
+    this.assertDbReady();
+
+    const playerAccountId =
+      normalizeUuid(rawId) ??
+      badRequest(
+        "invalid_player_account_id",
+      );
+
+    const sessionId =
+      normalizeUuid(rawSessionId) ??
+      badRequest(
+        "invalid_session_id",
+      );
+
+    let result;
+
+    try {
+      result =
+        await this.repository.revoke({
+          playerAccountId,
+          sessionId,
+          audit:
+            this.buildAudit(
+              request.admin,
+              sessionId,
+            ),
+        });
+    } catch {
+      console.error(
+        "[admin-player-accounts] session revoke failed",
+      );
+
+      throw new HttpException(
+        {
+          ok: false,
+          error:
+            "player_session_revoke_failed",
+        },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    if (!result.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: result.error,
+        },
+        result.error ===
+        "player_session_not_found"
+          ? HttpStatus.NOT_FOUND
+          : HttpStatus.CONFLICT,
+      );
+    }
+
+    return {
+      ok: true,
+      item: result.data,
+    };
+  }
+}
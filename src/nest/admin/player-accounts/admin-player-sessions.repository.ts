@@ -0,0 +1,308 @@
+import { Injectable } from "@nestjs/common";
+import type {
+  ResultSetHeader,
+  RowDataPacket,
+} from "mysql2";
+
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  AdminAuditService,
+  buildAdminAuditDiff,
+  type AdminAuditEntry,
+} from "../common/admin-audit.service.js";
+
+export type AdminPlayerSessionStatus =
+  | "active"
+  | "revoked"
+  | "expired";
+
+export interface AdminPlayerSessionItem {
+  id: string;
+  status: AdminPlayerSessionStatus;
+  created_at: Date | string;
+  last_seen_at: Date | string | null;
+  expires_at: Date | string;
+  revoked_at: Date | string | null;
+  created_ip: string | null;
+  user_agent: string | null;
+}
+
+interface RawAdminPlayerSessionRow
+  extends RowDataPacket {
+  id: string;
+  status: string;
+  created_at: Date | string;
+  last_seen_at: Date | string | null;
+  expires_at: Date | string;
+  revoked_at: Date | string | null;
+  created_ip: string | null;
+  user_agent: string | null;
+}
+
+export type AdminPlayerSessionRevokeResult =
+  | {
+      ok: true;
+      data: AdminPlayerSessionItem;
+    }
+  | {
+      ok: false;
+      error:
+        | "player_session_not_found"
+        | "player_session_already_revoked"
+        | "player_session_expired";
+    };
+
+const SESSION_SELECT = `
+  SELECT
+    id,
+    CASE
+      WHEN revoked_at IS NOT NULL THEN 'revoked'
+      WHEN expires_at <= UTC_TIMESTAMP() THEN 'expired'
+      ELSE 'active'
+    END AS status,
+    created_at,
+    last_seen_at,
+    expires_at,
+    revoked_at,
+    created_ip,
+    user_agent
+  FROM player_sessions
+`;
+
+function requireSessionStatus(
+  value: string,
+): AdminPlayerSessionStatus {
+  if (
+    value === "active" ||
+    value === "revoked" ||
+    value === "expired"
+  ) {
+    return value;
+  }
+
+  throw new TypeError(
+    "Invalid player session status.",
+  );
+}
+
+function mapSession(
+  row: RawAdminPlayerSessionRow,
+): AdminPlayerSessionItem {
+  return {
+    id: row.id,
+    status:
+      requireSessionStatus(row.status),
+    created_at: row.created_at,
+    last_seen_at:
+      row.last_seen_at ?? null,
+    expires_at: row.expires_at,
+    revoked_at:
+      row.revoked_at ?? null,
+    created_ip:
+      row.created_ip ?? null,
+    user_agent:
+      row.user_agent ?? null,
+  };
+}
+
+@Injectable()
+export class AdminPlayerSessionsRepository {
+  constructor(
+    private readonly databaseService:
+      DatabaseService,
+
+    private readonly auditService:
+      AdminAuditService,
+  ) {}
+
+  /**
+   * Lists the account's sessions, newest first. Returns null when the
+   * account itself does not exist so the controller can answer 404.
+   */
+  async listForAccount(input: {
+    playerAccountId: string;
+    includeInactive: boolean;
+    limit: number;
+  }): Promise<AdminPlayerSessionItem[] | null> {
+    const pool =
+      this.databaseService.getPool();
+
+    const [accounts] =
+      await pool.execute<RowDataPacket[]>(
+        `
+          SELECT id
+          FROM player_accounts
+          WHERE id = ?
+          LIMIT 1
+        `,
+        [input.playerAccountId],
+      );
+
+    if (!accounts[0]) {
+      return null;
+    }
+
+    const [rows] =
+      await pool.execute<
+        RawAdminPlayerSessionRow[]
+      >(
+        `
+          ${SESSION_SELECT}
+          WHERE player_account_id = ?
+          ${
+            input.includeInactive
+              ? ""
+              : "AND revoked_at IS NULL AND expires_at > UTC_TIMESTAMP()"
+          }
+          ORDER BY created_at DESC, id ASC
+          LIMIT ?
+        `,
+        [
+          input.playerAccountId,
+          input.limit,
+        ],
+      );
+
+    return rows.map(mapSession);
+  }
+
+  async revoke(input: {
+    playerAccountId: string;
+    sessionId: string;
+    audit: AdminAuditEntry;
+  }): Promise<AdminPlayerSessionRevokeResult> {
+    const pool =
+      this.databaseService.getPool();
+
+    const connection =
+      await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const [rows] =
+          await connection.execute<
+            RawAdminPlayerSessionRow[]
+          >(
+            `
+              ${SESSION_SELECT}
+              WHERE id = ?
+                AND player_account_id = ?
+              LIMIT 1
+              FOR UPDATE
+            `,
+            [
+              input.sessionId,
+              input.playerAccountId,
+            ],
+          );
+
+        const session = rows[0];
+
+        if (!session) {
+          await connection.commit();
+
+          return {
+            ok: false,
+            error:
+              "player_session_not_found",
+          };
+        }
+
+        const before =
+          mapSession(session);
+
+        if (before.status !== "active") {
+          await connection.commit();
+
+          return {
+            ok: false,
+            error:
+              before.status === "revoked"
+                ? "player_session_already_revoked"
+                : "player_session_expired",
+          };
+        }
+
+        const [updateResult] =
+          await connection.execute<
+            ResultSetHeader
+          >(
+            `
+              UPDATE player_sessions
+              SET revoked_at =
+                UTC_TIMESTAMP()
+              WHERE id = ?
+                AND revoked_at IS NULL
+            `,
+            [input.sessionId],
+          );
+
+        if (
+          updateResult.affectedRows !== 1
+        ) {
+          throw new Error(
+            "player_session_revoke_failed",
+          );
+        }
+
+        const [finalRows] =
+          await connection.execute<
+            RawAdminPlayerSessionRow[]
+          >(
+            `
+              ${SESSION_SELECT}
+              WHERE id = ?
+              LIMIT 1
+            `,
+            [input.sessionId],
+          );
+
+        const finalSession =
+          finalRows[0];
+
+        if (!finalSession) {
+          throw new Error(
+            "revoked_player_session_not_found",
+          );
+        }
+
+        const after =
+          mapSession(finalSession);
+
+        await this.auditService.insert(
+          connection,
+          {
+            ...input.audit,
+            diff: buildAdminAuditDiff(
+              {
+                status: before.status,
+                revoked_at: before.revoked_at,
+              },
+              {
+                status: after.status,
+                revoked_at: after.revoked_at,
+              },
+            ),
+          },
+        );
+
+        await connection.commit();
+
+        return {
+          ok: true,
+          data: after,
+        };
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch {}
+
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+}
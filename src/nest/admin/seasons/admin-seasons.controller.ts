@@ -13,6 +13,7 @@ import {
 } from "@nestjs/common";
 import { DatabaseService } from "../../database/database.service.js";
 import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
+import { RequireAdminPermissions } from "../auth/admin-permissions.js";
 import { AdminIdentity } from "../auth/admin-auth.service.js";
 import { AdminAuditEntry } from "../common/admin-audit.service.js";
 import {
@@ -28,6 +29,7 @@ interface RequestWithAdmin {
 
 @Controller("admin/seasons")
 @UseGuards(AdminAuthGuard)
+@RequireAdminPermissions()
 export class AdminSeasonsController {
   constructor(
     private readonly databaseService: DatabaseService,
@@ -65,7 +67,8 @@ export class AdminSeasonsController {
       route,
       method,
       action,
-      via: admin?.via === "session" ? "session" : "admin-key",
+      via: admin?.via ?? "admin-key",
+      apiKeyId: admin?.apiKeyId ?? null,
       entityType: "season",
       ...(slug ? { entityKey: slug } : {}),
     };
@@ -122,6 +125,7 @@ export class AdminSeasonsController {
   }
 
   @Post()
+  @RequireAdminPermissions("seasons.manage")
   @HttpCode(HttpStatus.CREATED)
   async create(
     @Req() req: RequestWithAdmin,
@@ -196,6 +200,7 @@ export class AdminSeasonsController {
   }
 
   @Patch(":slug")
+  @RequireAdminPermissions("seasons.manage")
   async update(
     @Req() req: RequestWithAdmin,
     @Param("slug") rawSlug: string,
@@ -283,6 +288,7 @@ export class AdminSeasonsController {
   }
 
   @Post(":slug/activate")
+  @RequireAdminPermissions("seasons.manage")
   @HttpCode(HttpStatus.OK)
   async activate(
     @Req() req: RequestWithAdmin,
@@ -351,6 +357,7 @@ export class AdminSeasonsController {
   }
 
   @Post(":slug/close")
+  @RequireAdminPermissions("seasons.manage")
   @HttpCode(HttpStatus.OK)
   async close(
     @Req() req: RequestWithAdmin,
@@ -1,11 +1,12 @@
 import { Module } from "@nestjs/common";
+import { MatchRatingModule } from "../../match/rating/match-rating.module.js";
 import { AdminAuthModule } from "../auth/admin-auth.module.js";
 import { AdminCommonModule } from "../common/admin-common.module.js";
 import { AdminSeasonsController } from "./admin-seasons.controller.js";
 import { AdminSeasonsRepository } from "./admin-seasons.repository.js";
 
 @Module({
-  imports: [AdminAuthModule, AdminCommonModule],
+  imports: [AdminAuthModule, AdminCommonModule, MatchRatingModule],
   controllers: [AdminSeasonsController],
   providers: [AdminSeasonsRepository],
 })
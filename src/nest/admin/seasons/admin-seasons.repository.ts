@@ -1,7 +1,12 @@
 import { Injectable } from "@nestjs/common";
-import type { RowDataPacket, ResultSetHeader, PoolConnection } from "mysql2/promise";
+import type { RowDataPacket, ResultSetHeader, PoolConnection, Pool } from "mysql2/promise";
 import { DatabaseService } from "../../database/database.service.js";
-import { AdminAuditService, AdminAuditEntry } from "../common/admin-audit.service.js";
+import { MatchRatingRepository } from "../../match/rating/match-rating.repository.js";
+import {
+  AdminAuditService,
+  AdminAuditEntry,
+  buildAdminAuditDiff,
+} from "../common/admin-audit.service.js";
 import {
   normalizeCoverImageUrl,
   validateSeasonDateRange,
@@ -110,6 +115,7 @@ export class AdminSeasonsRepository {
   constructor(
     private readonly databaseService: DatabaseService,
     private readonly adminAuditService: AdminAuditService,
+    private readonly matchRatingRepository: MatchRatingRepository,
   ) {}
 
   private mapSeason(row: RawSeasonRow): AdminSeasonItem {
@@ -189,9 +195,15 @@ export class AdminSeasonsRepository {
   }
 
   async getSeasonBySlug(slug: string): Promise<AdminSeasonItem | null> {
-    const pool = this.databaseService.getPool();
+    return this.findSeasonBySlugOnConnection(this.databaseService.getPool(), slug);
+  }
 
-    const [rows] = await pool.execute<RawSeasonRow[]>(
+  /** Full row read inside the lifecycle transaction for audit snapshots. */
+  private async findSeasonBySlugOnConnection(
+    connection: PoolConnection | Pool,
+    slug: string,
+  ): Promise<AdminSeasonItem | null> {
+    const [rows] = await connection.execute<RawSeasonRow[]>(
       `
         SELECT id, slug, name, description, cover_image_url, start_at, end_at, status, created_at, updated_at
         FROM seasons
@@ -281,11 +293,14 @@ export class AdminSeasonsRepository {
           throw err;
         }
 
+        const created = await this.findSeasonBySlugOnConnection(conn, input.slug);
+
         await this.adminAuditService.insert(conn, {
           ...input.audit,
           action: "season.create",
           entityType: "season",
           entityKey: input.slug,
+          diff: buildAdminAuditDiff(null, created ? { ...created } : null),
         });
 
         return { id: result.insertId };
@@ -385,6 +400,8 @@ export class AdminSeasonsRepository {
           }
         }
 
+        const before = await this.findSeasonBySlugOnConnection(conn, slug);
+
         const sets: string[] = [];
         const vals: Array<string | null> = [];
 
@@ -427,11 +444,17 @@ export class AdminSeasonsRepository {
           throw err;
         }
 
+        const after = await this.findSeasonBySlugOnConnection(conn, slug);
+
         await this.adminAuditService.insert(conn, {
           ...audit,
           action: "season.update",
           entityType: "season",
           entityKey: slug,
+          diff: buildAdminAuditDiff(
+            before ? { ...before } : null,
+            after ? { ...after } : null,
+          ),
         });
 
         return { updated: true };
@@ -459,7 +482,7 @@ export class AdminSeasonsRepository {
       const lockResult = await this.runWithLifecycleLock(async (conn) => {
         const [targetRows] = await conn.execute<RawSeasonRow[]>(
           `
-            SELECT slug, status, start_at, end_at
+            SELECT id, slug, status, start_at, end_at
             FROM seasons
             WHERE slug = ?
             FOR UPDATE
@@ -483,6 +506,8 @@ export class AdminSeasonsRepository {
           `,
         );
 
+        const before = await this.findSeasonBySlugOnConnection(conn, slug);
+
         const now = new Date();
         assertSeasonCanActivate({
           status: target.status,
@@ -520,11 +545,19 @@ export class AdminSeasonsRepository {
           throw err;
         }
 
+        await this.matchRatingRepository.resetForSeasonOnConnection(conn, Number(target.id));
+
+        const after = await this.findSeasonBySlugOnConnection(conn, slug);
+
         await this.adminAuditService.insert(conn, {
           ...audit,
           action: "season.activate",
           entityType: "season",
           entityKey: slug,
+          diff: buildAdminAuditDiff(
+            before ? { ...before } : null,
+            after ? { ...after } : null,
+          ),
         });
 
         return { activated: true as const };
@@ -571,6 +604,8 @@ export class AdminSeasonsRepository {
           throw err;
         }
 
+        const before = await this.findSeasonBySlugOnConnection(conn, slug);
+
         assertSeasonCanClose({ status: target.status });
 
         const [updateResult] = await conn.execute<ResultSetHeader>(
@@ -588,11 +623,17 @@ export class AdminSeasonsRepository {
           throw err;
         }
 
+        const after = await this.findSeasonBySlugOnConnection(conn, slug);
+
         await this.adminAuditService.insert(conn, {
           ...audit,
           action: "season.close",
           entityType: "season",
           entityKey: slug,
+          diff: buildAdminAuditDiff(
+            before ? { ...before } : null,
+            after ? { ...after } : null,
+          ),
         });
 
         return { closed: true as const };
@@ -16,6 +16,7 @@ import { AppConfig, APP_CONFIG } from "../../core/app-config.js";
 import { DatabaseService } from "../../database/database.service.js";
 import { AdminAuthGuard } from "../auth/admin-auth.guard.js";
 import { AdminIdentity } from "../auth/admin-auth.service.js";
+import { RequireAdminPermissions } from "../auth/admin-permissions.js";
 import { AdminAuditEntry } from "../common/admin-audit.service.js";
 import {
   getAllowedMimeTypes,
@@ -48,6 +49,7 @@ export class AdminUploadsController {
   ) {}
 
   @Post()
+  @RequireAdminPermissions("uploads.write")
   @HttpCode(HttpStatus.CREATED)
   @UseInterceptors(FileInterceptor("file"))
   @UseFilters(AdminUploadExceptionFilter)
@@ -153,7 +155,8 @@ export class AdminUploadsController {
       route: "/admin/uploads",
       method: "POST",
       action: "upload.create",
-      via: req.admin?.via === "session" ? "session" : "admin-key",
+      via: req.admin?.via ?? "admin-key",
+      apiKeyId: req.admin?.apiKeyId ?? null,
     };
 
     try {
@@ -3,6 +3,7 @@ import {
   Get,
   Post,
   Patch,
+  Delete,
   Param,
   Body,
   Req,
@@ -18,6 +19,8 @@ import { AdminAuditEntry } from "../common/admin-audit.service.js";
 import {
   AdminUsersRepository,
   AdminUserNotFoundError,
+  AdminSecondFactorNotEnrolledError,
+  AdminSecondFactorAlreadyEnrolledError,
 } from "./admin-users.repository.js";
 
 interface RequestWithAdmin {
@@ -47,6 +50,8 @@ export class AdminUsersController {
     route: string,
     method: string,
     action: string,
+    entityType: string | null = null,
+    entityKey: string | null = null,
   ): AdminAuditEntry {
     return {
       userId:
@@ -56,7 +61,10 @@ export class AdminUsersController {
       route,
       method,
       action,
-      via: admin?.via === "session" ? "session" : "admin-key",
+      via: admin?.via ?? "admin-key",
+      apiKeyId: admin?.apiKeyId ?? null,
+      entityType,
+      entityKey,
     };
   }
 
@@ -285,4 +293,140 @@ export class AdminUsersController {
       );
     }
   }
+
+  /**
+   * Issues the invite another admin needs to enroll a first second factor:
+   * the magic link alone only proves the mailbox. The token is shown once
+   * and must reach the user out of band. Self-invites are refused.
+   */
+  @Post(":id/second-factor-invites")
+  @HttpCode(HttpStatus.CREATED)
+  async inviteSecondFactor(
+    @Req() req: RequestWithAdmin,
+    @Param("id") idValue: string,
+  ) {
+    if (this.databaseService.getStatus().ready !== true) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+
+    const id = Number(idValue);
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new HttpException(
+        { ok: false, error: "invalid_id" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    if (req.admin?.userId === id) {
+      throw new HttpException(
+        { ok: false, error: "cannot_invite_own_second_factor" },
+        HttpStatus.FORBIDDEN,
+      );
+    }
+
+    const audit = this.buildAudit(
+      req.admin,
+      "/admin/users/:id/second-factor-invites",
+      "POST",
+      "admin_second_factor.invite",
+      "admin_user",
+      String(id),
+    );
+
+    try {
+      const result = await this.repository.createSecondFactorInvite(
+        id,
+        audit.userId,
+        audit,
+      );
+      return { ok: true, ...result };
+    } catch (err) {
+      if (err instanceof AdminUserNotFoundError) {
+        throw new HttpException(
+          { ok: false, error: "not_found" },
+          HttpStatus.NOT_FOUND,
+        );
+      }
+
+      if (err instanceof AdminSecondFactorAlreadyEnrolledError) {
+        throw new HttpException(
+          { ok: false, error: "second_factor_already_enrolled" },
+          HttpStatus.CONFLICT,
+        );
+      }
+
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  /**
+   * Clears another admin's authenticators after a lost device. Self-reset is
+   * refused: otherwise a stolen admin session could strip its own 2FA.
+   */
+  @Delete(":id/second-factors")
+  async resetSecondFactors(
+    @Req() req: RequestWithAdmin,
+    @Param("id") idValue: string,
+  ) {
+    if (this.databaseService.getStatus().ready !== true) {
+      throw new HttpException(
+        { ok: false, error: "db_not_ready" },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+
+    const id = Number(idValue);
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new HttpException(
+        { ok: false, error: "invalid_id" },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    if (req.admin?.userId === id) {
+      throw new HttpException(
+        { ok: false, error: "cannot_reset_own_second_factor" },
+        HttpStatus.FORBIDDEN,
+      );
+    }
+
+    const audit = this.buildAudit(
+      req.admin,
+      "/admin/users/:id/second-factors",
+      "DELETE",
+      "admin_second_factor.reset",
+      "admin_user",
+      String(id),
+    );
+
+    try {
+      const result = await this.repository.resetSecondFactors(id, audit);
+      return { ok: true, ...result };
+    } catch (err) {
+      if (err instanceof AdminUserNotFoundError) {
+        throw new HttpException(
+          { ok: false, error: "not_found" },
+          HttpStatus.NOT_FOUND,
+        );
+      }
+
+      if (err instanceof AdminSecondFactorNotEnrolledError) {
+        throw new HttpException(
+          { ok: false, error: "second_factor_not_enrolled" },
+          HttpStatus.CONFLICT,
+        );
+      }
+
+      throw new HttpException(
+        { ok: false, error: "db_error" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
 }
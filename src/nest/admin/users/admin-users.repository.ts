@@ -1,7 +1,12 @@
 import { Injectable } from "@nestjs/common";
+import { createHash, randomBytes, randomUUID } from "node:crypto";
 import type { RowDataPacket, ResultSetHeader } from "mysql2";
 import { DatabaseService } from "../../database/database.service.js";
-import { AdminAuditService, AdminAuditEntry } from "../common/admin-audit.service.js";
+import {
+  AdminAuditService,
+  AdminAuditEntry,
+  buildAdminAuditDiff,
+} from "../common/admin-audit.service.js";
 
 export interface AdminUserItem {
   id: number;
@@ -42,6 +47,50 @@ export class AdminUserNotFoundError extends Error {
   }
 }
 
+export class AdminSecondFactorNotEnrolledError extends Error {
+  readonly code = "SECOND_FACTOR_NOT_ENROLLED";
+
+  constructor() {
+    super("second_factor_not_enrolled");
+    this.name = "AdminSecondFactorNotEnrolledError";
+  }
+}
+
+export class AdminSecondFactorAlreadyEnrolledError extends Error {
+  readonly code = "SECOND_FACTOR_ALREADY_ENROLLED";
+
+  constructor() {
+    super("second_factor_already_enrolled");
+    this.name = "AdminSecondFactorAlreadyEnrolledError";
+  }
+}
+
+/** How long another admin's enrollment invite stays usable. */
+export const ADMIN_SECOND_FACTOR_INVITE_TTL_HOURS = 24;
+
+export interface AdminSecondFactorInviteResult {
+  invite_token: string;
+  expires_at: Date | string;
+}
+
+export interface AdminSecondFactorResetResult {
+  removed_credentials: number;
+  revoked_sessions: number;
+}
+
+interface RawSecondFactorRow extends RowDataPacket {
+  kind: string;
+  confirmed_at: Date | string | null;
+}
+
+interface RawCountRow extends RowDataPacket {
+  total: number | string;
+}
+
+interface RawInviteRow extends RowDataPacket {
+  expires_at: Date | string;
+}
+
 @Injectable()
 export class AdminUsersRepository {
   constructor(
@@ -208,4 +257,236 @@ export class AdminUsersRepository {
       connection.release();
     }
   }
+
+  /**
+   * Removes every authenticator of the user (confirmed or pending), drops
+   * pending login challenges and revokes active sessions, so the next magic
+   * link leads to a fresh enrollment.
+   */
+  async resetSecondFactors(
+    id: number,
+    audit: AdminAuditEntry,
+  ): Promise<AdminSecondFactorResetResult> {
+    const pool = this.databaseService.getPool();
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const [users] = await connection.execute<RawAdminUserRow[]>(
+          `
+            SELECT id
+            FROM users
+            WHERE id = ?
+            LIMIT 1
+            FOR UPDATE
+          `,
+          [id],
+        );
+
+        if (!users[0]) {
+          throw new AdminUserNotFoundError();
+        }
+
+        const [credentials] = await connection.execute<RawSecondFactorRow[]>(
+          `
+            SELECT kind, confirmed_at
+            FROM admin_second_factor_credentials
+            WHERE user_id = ?
+            ORDER BY created_at ASC, id ASC
+            FOR UPDATE
+          `,
+          [id],
+        );
+
+        if (credentials.length === 0) {
+          throw new AdminSecondFactorNotEnrolledError();
+        }
+
+        const [sessions] = await connection.execute<RawCountRow[]>(
+          `
+            SELECT COUNT(*) AS total
+            FROM sessions
+            WHERE user_id = ?
+              AND revoked_at IS NULL
+              AND expires_at > UTC_TIMESTAMP()
+          `,
+          [id],
+        );
+
+        await connection.execute<ResultSetHeader>(
+          `
+            DELETE FROM admin_second_factor_credentials
+            WHERE user_id = ?
+          `,
+          [id],
+        );
+
+        await connection.execute<ResultSetHeader>(
+          `
+            DELETE FROM admin_login_challenges
+            WHERE user_id = ?
+          `,
+          [id],
+        );
+
+        const [revoked] = await connection.execute<ResultSetHeader>(
+          `
+            UPDATE sessions
+            SET revoked_at = UTC_TIMESTAMP()
+            WHERE user_id = ?
+              AND revoked_at IS NULL
+              AND expires_at > UTC_TIMESTAMP()
+          `,
+          [id],
+        );
+
+        await this.adminAuditService.insert(connection, {
+          ...audit,
+          diff: buildAdminAuditDiff(
+            {
+              second_factors: credentials.map((row) => ({
+                kind: row.kind,
+                confirmed: row.confirmed_at !== null,
+              })),
+              active_sessions: Number(sessions[0]?.total ?? 0),
+            },
+            {
+              second_factors: [],
+              active_sessions: 0,
+            },
+          ),
+        });
+
+        await connection.commit();
+
+        return {
+          removed_credentials: credentials.length,
+          revoked_sessions: revoked.affectedRows,
+        };
+      } catch (err) {
+        try {
+          await connection.rollback();
+        } catch {}
+        throw err;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Issues a single-use invite that authorizes the user's first second
+   * factor enrollment. Older unused invites of the user are dropped, and the
+   * raw token is only returned here.
+   */
+  async createSecondFactorInvite(
+    id: number,
+    createdByUserId: number | null,
+    audit: AdminAuditEntry,
+  ): Promise<AdminSecondFactorInviteResult> {
+    const pool = this.databaseService.getPool();
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const [users] = await connection.execute<RawAdminUserRow[]>(
+          `
+            SELECT id
+            FROM users
+            WHERE id = ?
+            LIMIT 1
+            FOR UPDATE
+          `,
+          [id],
+        );
+
+        if (!users[0]) {
+          throw new AdminUserNotFoundError();
+        }
+
+        const [confirmed] = await connection.execute<RawCountRow[]>(
+          `
+            SELECT COUNT(*) AS total
+            FROM admin_second_factor_credentials
+            WHERE user_id = ?
+              AND confirmed_at IS NOT NULL
+          `,
+          [id],
+        );
+
+        if (Number(confirmed[0]?.total ?? 0) > 0) {
+          throw new AdminSecondFactorAlreadyEnrolledError();
+        }
+
+        await connection.execute<ResultSetHeader>(
+          `
+            DELETE FROM admin_second_factor_enrollment_invites
+            WHERE user_id = ?
+              AND used_at IS NULL
+          `,
+          [id],
+        );
+
+        const inviteId = randomUUID();
+        const rawToken = randomBytes(32).toString("hex");
+
+        await connection.execute<ResultSetHeader>(
+          `
+            INSERT INTO admin_second_factor_enrollment_invites (
+              id,
+              user_id,
+              token_hash,
+              created_by_user_id,
+              expires_at
+            )
+            VALUES (?, ?, ?, ?, DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? HOUR))
+          `,
+          [
+            inviteId,
+            id,
+            createHash("sha256").update(rawToken, "utf8").digest("hex"),
+            createdByUserId,
+            ADMIN_SECOND_FACTOR_INVITE_TTL_HOURS,
+          ],
+        );
+
+        const [invites] = await connection.execute<RawInviteRow[]>(
+          `
+            SELECT expires_at
+            FROM admin_second_factor_enrollment_invites
+            WHERE id = ?
+          `,
+          [inviteId],
+        );
+
+        const expiresAt = invites[0]?.expires_at ?? null;
+
+        await this.adminAuditService.insert(connection, {
+          ...audit,
+          diff: buildAdminAuditDiff(null, {
+            invite_id: inviteId,
+            expires_at: expiresAt,
+          }),
+        });
+
+        await connection.commit();
+
+        return {
+          invite_token: rawToken,
+          expires_at: expiresAt as Date | string,
+        };
+      } catch (err) {
+        try {
+          await connection.rollback();
+        } catch {}
+        throw err;
+      }
+    } finally {
+      connection.release();
+    }
+  }
 }
@@ -15,17 +15,23 @@ import { PlayerMembershipModule } from "./player/membership/player-membership.mo
 import { PlayerEntitlementsModule } from "./player/entitlements/player-entitlements.module.js";
 import { PlayerServerAccessModule } from "./player/server-access/player-server-access.module.js";
 import { AdminUsersModule } from "./admin/users/admin-users.module.js";
+import { AdminApiKeysModule } from "./admin/api-keys/admin-api-keys.module.js";
+import { AdminAuditLogModule } from "./admin/audit-log/admin-audit-log.module.js";
 import { AdminNewsModule } from "./admin/news/admin-news.module.js";
 import { InternalSteamProfilesModule } from "./internal/steam/internal-steam-profiles.module.js";
 import { ServerAccessModule } from "./internal/server-access/server-access.module.js";
 import { AdminUploadsModule } from "./admin/uploads/admin-uploads.module.js";
 import { AdminSeasonsModule } from "./admin/seasons/admin-seasons.module.js";
 import { AdminMembershipModule } from "./admin/membership/admin-membership.module.js";
+import { AdminMembershipCatalogModule } from "./admin/membership-catalog/admin-membership-catalog.module.js";
 import { AdminPlayerAccountsModule } from "./admin/player-accounts/admin-player-accounts.module.js";
+import { AdminMatchRoomsModule } from "./admin/match-rooms/admin-match-rooms.module.js";
+import { AdminMatchBridgeModule } from "./admin/match-bridge/admin-match-bridge.module.js";
 import { PlayerAnalyticsModule } from "./internal/player-analytics/player-analytics.module.js";
 import { MatchIngressModule } from "./internal/match/match-ingress.module.js";
 import { MatchBridgeModule } from "./internal/match-bridge/match-bridge.module.js";
 import { PlayerMatchRoomModule } from "./player/match-room/player-match-room.module.js";
+import { PlayerMatchHistoryModule } from "./player/match-history/player-match-history.module.js";
 import { PlayerPresentationReferenceModule } from "./player/presentation-reference/player-presentation-reference.module.js";
 
 @Module({})
@@ -49,17 +55,23 @@ export class AppModule {
         PlayerEntitlementsModule,
         PlayerServerAccessModule,
         AdminUsersModule,
+        AdminApiKeysModule,
+        AdminAuditLogModule,
         AdminNewsModule,
         InternalSteamProfilesModule,
         ServerAccessModule,
         AdminUploadsModule,
         AdminSeasonsModule,
         AdminMembershipModule,
+        AdminMembershipCatalogModule,
         AdminPlayerAccountsModule,
+        AdminMatchRoomsModule,
+        AdminMatchBridgeModule,
         PlayerAnalyticsModule,
         MatchIngressModule,
         MatchBridgeModule,
         PlayerMatchRoomModule,
+        PlayerMatchHistoryModule,
         PlayerPresentationReferenceModule,
       ],
     };
@@ -41,6 +41,7 @@ export interface AppConfig {
     readonly magicLinkCallbackPath: string;
     readonly magicLinkFromEmail: string;
     readonly magicLinkSubject: string;
+    readonly secondFactorBootstrapToken: string;
   };
   readonly playerAuth: {
     readonly cookieName: string;
@@ -58,6 +59,7 @@ export interface AppConfig {
     readonly linkTtlMinutes: number;
     readonly linkUrl: string;
     readonly linkSubject: string;
+    readonly lockoutSubject: string;
   };
   readonly playerSteamAuth: {
     readonly enabled: boolean;
@@ -110,6 +112,46 @@ export interface AppConfig {
     readonly configured: boolean;
     readonly ingestKey: string;
   };
+  readonly matchProvisioning: {
+    readonly prepareMatchMaxAttempts: number;
+  };
+  readonly matchRating: {
+    readonly initialRating: number;
+    readonly kFactor: number;
+  };
+  readonly matchBridge: {
+    readonly sweeperEnabled: boolean;
+    readonly sweepIntervalMs: number;
+    readonly nodeStaleAfterSeconds: number;
+    readonly maxLeaseAttempts: number;
+  };
+  readonly totp: {
+    readonly configured: boolean;
+    readonly secretKey: string;
+    readonly issuer: string;
+    readonly challengeTtlMinutes: number;
+  };
+  readonly playerAccountDeletion: {
+    readonly confirmationTtlMinutes: number;
+    readonly confirmationUrl: string;
+    readonly confirmationSubject: string;
+    readonly gracePeriodDays: number;
+    readonly sweeperEnabled: boolean;
+    readonly sweepIntervalMs: number;
+  };
+  readonly playerSecurityNotifications: {
+    readonly enabled: boolean;
+    readonly newLoginSubject: string;
+    readonly steamLinkedSubject: string;
+    readonly passwordChangedSubject: string;
+  };
+  readonly membershipLifecycle: {
+    readonly gracePeriodHours: number;
+    readonly remindersEnabled: boolean;
+    readonly reminderDays: number;
+    readonly reminderSubject: string;
+    readonly batchSize: number;
+  };
 }
 
 export const APP_CONFIG = Symbol("APP_CONFIG");
@@ -0,0 +1,48 @@
+export interface RequestClientMetadata {
+  ip: string | null;
+  userAgent: string | null;
+}
+
+const MAX_IP_LENGTH = 45;
+const MAX_USER_AGENT_LENGTH = 255;
+
+function normalizeIp(value: unknown): string | null {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  let ip = value.trim();
+
+  // Express reports IPv4 clients on a dual-stack socket as IPv4-mapped IPv6.
+  if (ip.toLowerCase().startsWith("::ffff:") && ip.includes(".")) {
+    ip = ip.slice(7);
+  }
+
+  if (!ip || ip.length > MAX_IP_LENGTH || !/^[0-9a-fA-F:.]+$/.test(ip)) {
+    return null;
+  }
+
+  return ip;
+}
+
+function normalizeUserAgent(value: unknown): string | null {
+  const raw = Array.isArray(value) ? value[0] : value;
+
+  if (typeof raw !== "string") {
+    return null;
+  }
+
+  const clean = raw.replace(/[\u0000-\u001f\u007f]/g, "").trim();
+
+  return clean ? clean.slice(0, MAX_USER_AGENT_LENGTH) : null;
+}
+
+export function buildRequestClientMetadata(
+  ip: unknown,
+  userAgent: unknown,
+): RequestClientMetadata {
+  return {
+    ip: normalizeIp(ip),
+    userAgent: normalizeUserAgent(userAgent),
+  };
+}
@@ -0,0 +1,239 @@
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  createHmac,
+  randomBytes,
+  randomInt,
+  timingSafeEqual,
+} from "node:crypto";
+
+/**
+ * RFC 6238 time-based one-time passwords (HOTP from RFC 4226 over a
+ * 30-second counter), plus the helpers both player and admin 2FA share:
+ * base32 secrets, otpauth:// provisioning URIs, AES-GCM sealing of stored
+ * secrets and single-use recovery codes.
+ */
+
+export type TotpAlgorithm = "sha1" | "sha256" | "sha512";
+
+export interface TotpOptions {
+  algorithm?: TotpAlgorithm;
+  digits?: number;
+  periodSeconds?: number;
+}
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DEFAULT_DIGITS = 6;
+const DEFAULT_PERIOD_SECONDS = 30;
+const SECRET_BYTES = 20;
+const SEALED_VERSION = "v1";
+const RECOVERY_CODE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+
+export function encodeBase32(buffer: Buffer): string {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+export function decodeBase32(input: string): Buffer | null {
+  const clean = input.replace(/[\s=-]/g, "").toUpperCase();
+
+  if (!clean || !/^[A-Z2-7]+$/.test(clean)) {
+    return null;
+  }
+
+  let bits = 0;
+  let value = 0;
+  const bytes: number[] = [];
+
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+export function generateTotpSecret(): string {
+  return encodeBase32(randomBytes(SECRET_BYTES));
+}
+
+export function totpStepAt(
+  unixSeconds: number,
+  periodSeconds = DEFAULT_PERIOD_SECONDS,
+): number {
+  return Math.floor(unixSeconds / periodSeconds);
+}
+
+export function generateHotp(
+  key: Buffer,
+  counter: number,
+  options: Pick<TotpOptions, "algorithm" | "digits"> = {},
+): string {
+  const digits = options.digits ?? DEFAULT_DIGITS;
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = createHmac(options.algorithm ?? "sha1", key)
+    .update(message)
+    .digest();
+
+  const offset = hmac[hmac.length - 1]! & 0x0f;
+  const binary =
+    ((hmac[offset]! & 0x7f) << 24) |
+    (hmac[offset + 1]! << 16) |
+    (hmac[offset + 2]! << 8) |
+    hmac[offset + 3]!;
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+export function generateTotp(
+  key: Buffer,
+  unixSeconds: number,
+  options: TotpOptions = {},
+): string {
+  return generateHotp(
+    key,
+    totpStepAt(unixSeconds, options.periodSeconds),
+    options,
+  );
+}
+
+/**
+ * Accepts the current step and one step either side for clock drift.
+ * Returns the matched step so callers can refuse replays of a step that
+ * was already used, or null when the code does not match.
+ */
+export function verifyTotp(
+  key: Buffer,
+  code: string,
+  unixSeconds: number,
+  options: TotpOptions & { window?: number } = {},
+): number | null {
+  const digits = options.digits ?? DEFAULT_DIGITS;
+  const clean = code.replace(/\s/g, "");
+
+  if (clean.length !== digits || !/^\d+$/.test(clean)) {
+    return null;
+  }
+
+  const current = totpStepAt(unixSeconds, options.periodSeconds);
+  const window = options.window ?? 1;
+  let matched: number | null = null;
+
+  // Compare every candidate so timing does not reveal which step matched.
+  for (let step = current - window; step <= current + window; step += 1) {
+    const candidate = generateHotp(key, step, options);
+
+    if (timingSafeEqual(Buffer.from(candidate), Buffer.from(clean)) && matched === null) {
+      matched = step;
+    }
+  }
+
+  return matched;
+}
+
+export function buildTotpProvisioningUri(input: {
+  issuer: string;
+  accountName: string;
+  secret: string;
+}): string {
+  const label = `${encodeURIComponent(input.issuer)}:${encodeURIComponent(input.accountName)}`;
+  const params = new URLSearchParams({
+    secret: input.secret,
+    issuer: input.issuer,
+    algorithm: "SHA1",
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function sealTotpSecret(secret: string, base64Key: string): string {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", Buffer.from(base64Key, "base64"), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+
+  return [
+    SEALED_VERSION,
+    iv.toString("base64url"),
+    cipher.getAuthTag().toString("base64url"),
+    ciphertext.toString("base64url"),
+  ].join(".");
+}
+
+export function openTotpSecret(sealed: string, base64Key: string): string | null {
+  const [version, iv, tag, ciphertext] = sealed.split(".");
+
+  if (version !== SEALED_VERSION || !iv || !tag || !ciphertext) {
+    return null;
+  }
+
+  try {
+    const decipher = createDecipheriv(
+      "aes-256-gcm",
+      Buffer.from(base64Key, "base64"),
+      Buffer.from(iv, "base64url"),
+    );
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64url")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+/** Ten codes formatted `xxxxx-xxxxx`; only their hashes are persisted. */
+export function generateRecoveryCodes(count = 10): string[] {
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(
+      { length: 10 },
+      () => RECOVERY_CODE_ALPHABET[randomInt(RECOVERY_CODE_ALPHABET.length)],
+    ).join("");
+
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+}
+
+export function normalizeRecoveryCode(input: unknown): string | null {
+  if (typeof input !== "string") {
+    return null;
+  }
+
+  const clean = input.replace(/[\s-]/g, "").toLowerCase();
+
+  return /^[a-z0-9]{10}$/.test(clean) ? clean : null;
+}
+
+export function hashRecoveryCode(code: string): string {
+  const normalized = normalizeRecoveryCode(code) ?? code;
+
+  return createHash("sha256").update(normalized, "utf8").digest("hex");
+}
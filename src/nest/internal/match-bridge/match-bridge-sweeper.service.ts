@@ -0,0 +1,81 @@
+import {
+  Inject,
+  Injectable,
+  Logger,
+  type OnApplicationBootstrap,
+  type OnModuleDestroy,
+} from "@nestjs/common";
+import { APP_CONFIG, type AppConfig } from "../../core/app-config.js";
+import { DatabaseService } from "../../database/database.service.js";
+import type { MatchBridgeSweepSummary } from "./match-bridge.contract.js";
+import { MatchBridgeRepository } from "./match-bridge.repository.js";
+
+@Injectable()
+export class MatchBridgeSweeperService implements OnApplicationBootstrap, OnModuleDestroy {
+  private readonly logger = new Logger(MatchBridgeSweeperService.name);
+  private timer?: NodeJS.Timeout;
+  private started = false;
+
+  constructor(
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
+    private readonly databaseService: DatabaseService,
+    private readonly repository: MatchBridgeRepository,
+  ) {}
+
+  async sweepOnce(): Promise<MatchBridgeSweepSummary> {
+    const { nodeStaleAfterSeconds, maxLeaseAttempts } = this.config.matchBridge;
+
+    const staleNodes = await this.repository.markStaleNodes(nodeStaleAfterSeconds);
+    for (const bridgeNodeKey of staleNodes) {
+      this.logger.warn(`Match Bridge node marked stale: ${bridgeNodeKey}`);
+    }
+
+    const summary = { staleNodes: staleNodes.length, requeued: 0, failed: 0, skipped: 0, errors: 0 };
+    for (const commandId of await this.repository.listSweepCandidateCommandIds()) {
+      try {
+        const outcome = await this.repository.sweepCommand(commandId, maxLeaseAttempts);
+        summary[outcome] += 1;
+      } catch {
+        summary.errors += 1;
+        this.logger.warn(`Match Bridge sweep failed for command: ${commandId}`);
+      }
+    }
+    return summary;
+  }
+
+  onApplicationBootstrap(): void {
+    if (this.config.matchBridge.sweeperEnabled) this.start();
+  }
+
+  start(): void {
+    if (this.started) return;
+    this.started = true;
+    this.scheduleNext();
+  }
+
+  stop(): void {
+    this.started = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = undefined;
+  }
+
+  onModuleDestroy(): void { this.stop(); }
+
+  private scheduleNext(): void {
+    if (!this.started) return;
+    this.timer = setTimeout(() => { void this.runPeriodic(); }, this.config.matchBridge.sweepIntervalMs);
+    this.timer.unref();
+  }
+
+  private async runPeriodic(): Promise<void> {
+    this.timer = undefined;
+    if (this.databaseService.getStatus().ready === true) {
+      try {
+        await this.sweepOnce();
+      } catch {
+        this.logger.warn("Match Bridge sweep failed");
+      }
+    }
+    this.scheduleNext();
+  }
+}
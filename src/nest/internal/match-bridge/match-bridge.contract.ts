@@ -15,6 +15,18 @@ export interface MatchSpecMapV1 {
   readonly displayName: string;
 }
 
+/**
+ * Format frozen into the CompetitiveMatch; the bridge configures the server
+ * from it. Additive to v1: `teams` keeps its meaning, so a bridge that does
+ * not know this block still reads the spec correctly.
+ */
+export interface MatchSpecFormatV1 {
+  readonly key: string;
+  readonly gameMode: string;
+  /** Players per team: exactly the length of each entry in `teams`. */
+  readonly teamSize: number;
+}
+
 export interface MatchSpecTeamsV1 {
   readonly A: readonly MatchSpecPlayerV1[];
   readonly B: readonly MatchSpecPlayerV1[];
@@ -24,25 +36,94 @@ export interface MatchSpecV1 {
   readonly specVersion: 1;
   readonly competitiveMatchId: string;
   readonly runtimeMatchId: number;
+  readonly format: MatchSpecFormatV1;
   readonly map: MatchSpecMapV1;
   readonly teams: MatchSpecTeamsV1;
 }
 
+export interface AbortMatchSpecV1 {
+  readonly specVersion: 1;
+  readonly competitiveMatchId: string;
+  readonly runtimeMatchId: number;
+}
+
+export interface RestartMatchSpecV1 {
+  readonly specVersion: 1;
+  readonly competitiveMatchId: string;
+  readonly runtimeMatchId: number;
+  readonly matchSpec: MatchSpecV1;
+}
+
+export interface PauseMatchSpecV1 {
+  readonly specVersion: 1;
+  readonly competitiveMatchId: string;
+  readonly runtimeMatchId: number;
+}
+
+export interface UnpauseMatchSpecV1 {
+  readonly specVersion: 1;
+  readonly competitiveMatchId: string;
+  readonly runtimeMatchId: number;
+}
+
+export interface ReleaseServerSpecV1 {
+  readonly specVersion: 1;
+  readonly serverKey: string;
+  readonly competitiveMatchId: string;
+  readonly runtimeMatchId: number;
+}
+
 export interface ClaimedCommandTarget {
   readonly serverKey: string;
 }
 
-export interface ClaimedCommandPayload {
+interface ClaimedCommandBase {
   readonly commandId: string;
   readonly assignmentId: string;
-  readonly commandType: "PREPARE_MATCH";
   readonly attempt: number;
   readonly leaseToken: string;
   readonly leaseExpiresAt: string;
   readonly target: ClaimedCommandTarget;
+}
+
+export interface ClaimedPrepareMatchCommand extends ClaimedCommandBase {
+  readonly commandType: "PREPARE_MATCH";
   readonly matchSpec: MatchSpecV1;
 }
 
+export interface ClaimedAbortMatchCommand extends ClaimedCommandBase {
+  readonly commandType: "ABORT_MATCH";
+  readonly commandSpec: AbortMatchSpecV1;
+}
+
+export interface ClaimedRestartMatchCommand extends ClaimedCommandBase {
+  readonly commandType: "RESTART_MATCH";
+  readonly commandSpec: RestartMatchSpecV1;
+}
+
+export interface ClaimedPauseMatchCommand extends ClaimedCommandBase {
+  readonly commandType: "PAUSE_MATCH";
+  readonly commandSpec: PauseMatchSpecV1;
+}
+
+export interface ClaimedUnpauseMatchCommand extends ClaimedCommandBase {
+  readonly commandType: "UNPAUSE_MATCH";
+  readonly commandSpec: UnpauseMatchSpecV1;
+}
+
+export interface ClaimedReleaseServerCommand extends ClaimedCommandBase {
+  readonly commandType: "RELEASE_SERVER";
+  readonly commandSpec: ReleaseServerSpecV1;
+}
+
+export type ClaimedCommandPayload =
+  | ClaimedPrepareMatchCommand
+  | ClaimedAbortMatchCommand
+  | ClaimedRestartMatchCommand
+  | ClaimedPauseMatchCommand
+  | ClaimedUnpauseMatchCommand
+  | ClaimedReleaseServerCommand;
+
 export interface ClaimCommandResponse {
   readonly ok: true;
   readonly protocolVersion: 1;
@@ -65,3 +146,29 @@ export interface SubmitResultRequestBody {
 export interface SubmitResultResponse {
   readonly ok: true;
 }
+
+export type MatchBridgeSweepOutcome = "requeued" | "failed" | "skipped";
+
+export interface MatchBridgeSweepSummary {
+  readonly staleNodes: number;
+  readonly requeued: number;
+  readonly failed: number;
+  readonly skipped: number;
+  readonly errors: number;
+}
+
+export interface MatchBridgeNodeLiveness {
+  readonly bridgeNodeKey: string;
+  readonly enabled: boolean;
+  readonly live: boolean;
+  readonly lastSeenAt: Date | string | null;
+  readonly markedStaleAt: Date | string | null;
+  readonly resources: {
+    readonly total: number;
+    readonly enabled: number;
+  };
+  readonly commands: {
+    readonly outstanding: number;
+    readonly expiredLeases: number;
+  };
+}
@@ -32,6 +32,9 @@ export function canonicalizeJson(value: unknown): string | null {
 export function buildAndValidateMatchSpecV1(params: {
   readonly competitiveMatchId: string;
   readonly runtimeMatchId: number;
+  readonly formatKey: string;
+  readonly gameMode: string;
+  readonly teamSize: number;
   readonly mapPoolKey: string;
   readonly mapPoolVersion: number;
   readonly mapKey: string;
@@ -58,9 +61,19 @@ export function buildAndValidateMatchSpecV1(params: {
     throw new TypeError("Invalid map snapshot for competitive match.");
   }
 
-  if (params.rosterRows.length !== 10) {
+  if (
+    !params.formatKey.trim() ||
+    !params.gameMode.trim() ||
+    !Number.isInteger(params.teamSize) ||
+    params.teamSize < 1
+  ) {
+    throw new TypeError("Invalid format snapshot for competitive match.");
+  }
+
+  const capacity = params.teamSize * 2;
+  if (params.rosterRows.length !== capacity) {
     throw new TypeError(
-      `Expected exactly 10 roster rows for competitive match, got ${params.rosterRows.length}.`
+      `Expected exactly ${capacity} roster rows for format ${params.formatKey}, got ${params.rosterRows.length}.`
     );
   }
 
@@ -108,9 +121,9 @@ export function buildAndValidateMatchSpecV1(params: {
     }
   }
 
-  if (teamA.length !== 5 || teamB.length !== 5) {
+  if (teamA.length !== params.teamSize || teamB.length !== params.teamSize) {
     throw new TypeError(
-      `Expected exactly 5 players on Team A and 5 players on Team B, got ${teamA.length} on A and ${teamB.length} on B.`
+      `Expected ${params.teamSize} players per team, got ${teamA.length} on A and ${teamB.length} on B.`
     );
   }
 
@@ -118,6 +131,11 @@ export function buildAndValidateMatchSpecV1(params: {
     specVersion: SPEC_VERSION,
     competitiveMatchId: params.competitiveMatchId,
     runtimeMatchId: params.runtimeMatchId,
+    format: {
+      key: params.formatKey,
+      gameMode: params.gameMode,
+      teamSize: params.teamSize,
+    },
     map: {
       poolKey: params.mapPoolKey,
       poolVersion: params.mapPoolVersion,
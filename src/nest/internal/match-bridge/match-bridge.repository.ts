@@ -1,11 +1,21 @@
 import { createHash, randomBytes } from "node:crypto";
-import { Injectable } from "@nestjs/common";
+import { Inject, Injectable } from "@nestjs/common";
 import type { PoolConnection, ResultSetHeader, RowDataPacket } from "mysql2/promise";
+import { APP_CONFIG, type AppConfig } from "../../core/app-config.js";
 import { DatabaseService } from "../../database/database.service.js";
+import {
+  MATCH_SERVER_COMMAND_TYPES,
+  OPERATOR_RELEASE_FAILED_RELEASE_REASON,
+  PREPARE_MATCH_FAILED_RELEASE_REASON,
+} from "../../match/server-assignment/server-assignment.contract.js";
 import { resolveMembershipEffectiveStatus } from "../../membership/membership-status.js";
 import {
   LEASE_DURATION_SECONDS,
+  SPEC_VERSION,
   type ClaimedCommandPayload,
+  type MatchBridgeNodeLiveness,
+  type MatchBridgeSweepOutcome,
+  type MatchSpecV1,
   type SubmitResultRequestBody,
 } from "./match-bridge.contract.js";
 import {
@@ -25,6 +35,9 @@ interface ClaimCandidateRow extends RowDataPacket {
   runtime_match_id: string | number;
   server_key: string;
   competitive_match_id: string;
+  format_key: string;
+  game_mode: string;
+  team_size: string | number;
   map_pool_key: string;
   map_pool_version: string | number;
   map_key: string;
@@ -64,9 +77,11 @@ interface FinalizationContextRow extends RowDataPacket {
   assignment_server_key: string;
   assignment_competitive_match_id: string;
   assignment_released_at: Date | string | null;
+  assignment_release_reason: string | null;
   competitive_match_id: string;
   competitive_match_room_id: string;
   match_runtime_match_id: string | number;
+  match_team_size: string | number;
   resource_server_key: string | null;
   resource_enabled: number | null;
   resource_join_reference: string | null;
@@ -79,6 +94,49 @@ interface FinalizationContextRow extends RowDataPacket {
   room_failure_reason: string | null;
 }
 
+interface SweepCandidateRow extends RowDataPacket {
+  id: string;
+}
+
+interface SweepCommandRow extends RowDataPacket {
+  id: string;
+  command_type: string;
+  status: string;
+  attempt_count: string | number;
+  is_lease_expired: number;
+  is_node_stale: number;
+}
+
+interface SweepRoomStatusRow extends RowDataPacket {
+  room_status: string;
+}
+
+interface NodeLivenessRow extends RowDataPacket {
+  bridge_node_key: string;
+  enabled: number;
+  last_seen_at: Date | string | null;
+  marked_stale_at: Date | string | null;
+  is_heartbeat_fresh: number;
+  resource_count: string | number;
+  enabled_resource_count: string | number;
+  outstanding_command_count: string | number;
+  expired_lease_count: string | number;
+}
+
+interface OperatorCommandContextRow extends RowDataPacket {
+  assignment_id: string;
+  room_id: string;
+}
+
+interface FailedReleaseContextRow extends RowDataPacket {
+  assignment_id: string;
+  room_status: string;
+}
+
+interface ProvisioningAttemptCountRow extends RowDataPacket {
+  attempt_count: string | number;
+}
+
 interface FrozenRosterRow extends RowDataPacket {
   player_account_id: string;
   steamid64: string;
@@ -115,7 +173,10 @@ export class MatchBridgeError extends Error {
 
 @Injectable()
 export class MatchBridgeRepository {
-  constructor(private readonly databaseService: DatabaseService) {}
+  constructor(
+    private readonly databaseService: DatabaseService,
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
+  ) {}
 
   async authenticateBridgeNode(rawKey: string): Promise<string | null> {
     if (!rawKey || typeof rawKey !== "string" || !rawKey.trim()) {
@@ -139,12 +200,218 @@ export class MatchBridgeRepository {
   async touchHeartbeat(bridgeNodeKey: string): Promise<void> {
     await this.databaseService.getPool().execute(
       `UPDATE match_bridge_nodes
-       SET last_seen_at = UTC_TIMESTAMP(6)
+       SET last_seen_at = UTC_TIMESTAMP(6), marked_stale_at = NULL
        WHERE bridge_node_key = ?`,
       [bridgeNodeKey],
     );
   }
 
+  /**
+   * Marks enabled nodes whose last heartbeat is older than the threshold as stale.
+   * Returns only the nodes newly marked by this call; the next heartbeat clears the mark.
+   */
+  async markStaleNodes(staleAfterSeconds: number): Promise<string[]> {
+    const connection = await this.databaseService.getPool().getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute<BridgeNodeRow[]>(
+        `SELECT bridge_node_key
+         FROM match_bridge_nodes
+         WHERE enabled = 1
+           AND marked_stale_at IS NULL
+           AND (last_seen_at IS NULL OR last_seen_at <= DATE_SUB(UTC_TIMESTAMP(6), INTERVAL ? SECOND))
+         ORDER BY bridge_node_key ASC
+         FOR UPDATE`,
+        [staleAfterSeconds],
+      );
+
+      const nodeKeys = rows.map((row) => row.bridge_node_key);
+      if (nodeKeys.length > 0) {
+        const placeholders = nodeKeys.map(() => "?").join(", ");
+        await connection.query(
+          `UPDATE match_bridge_nodes
+           SET marked_stale_at = UTC_TIMESTAMP(6)
+           WHERE bridge_node_key IN (${placeholders})`,
+          nodeKeys,
+        );
+      }
+
+      await connection.commit();
+      return nodeKeys;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async listSweepCandidateCommandIds(): Promise<string[]> {
+    const [rows] = await this.databaseService.getPool().execute<SweepCandidateRow[]>(
+      `SELECT c.id
+       FROM match_server_commands c
+       LEFT JOIN match_bridge_nodes n ON n.bridge_node_key = c.bridge_node_key
+       WHERE (c.status = 'CLAIMED' AND c.lease_expires_at <= UTC_TIMESTAMP(6))
+          OR (c.status IN ('PENDING', 'CLAIMED') AND n.marked_stale_at IS NOT NULL)
+       ORDER BY c.created_at ASC, c.id ASC`,
+    );
+
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Re-evaluates one outstanding command under lock. Commands of a stale node are failed
+   * so their rooms can be provisioned elsewhere; expired leases are requeued until they
+   * reach maxLeaseAttempts and failed afterwards.
+   */
+  async sweepCommand(commandId: string, maxLeaseAttempts: number): Promise<MatchBridgeSweepOutcome> {
+    const connection = await this.databaseService.getPool().getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute<SweepCommandRow[]>(
+        `SELECT
+           c.id,
+           c.command_type,
+           c.status,
+           c.attempt_count,
+           CASE
+             WHEN c.status = 'CLAIMED' AND c.lease_expires_at <= UTC_TIMESTAMP(6) THEN 1
+             ELSE 0
+           END AS is_lease_expired,
+           CASE WHEN n.marked_stale_at IS NOT NULL THEN 1 ELSE 0 END AS is_node_stale
+         FROM match_server_commands c
+         LEFT JOIN match_bridge_nodes n ON n.bridge_node_key = c.bridge_node_key
+         WHERE c.id = ?
+         FOR UPDATE`,
+        [commandId],
+      );
+
+      const command = rows[0];
+      let outcome: MatchBridgeSweepOutcome = "skipped";
+
+      if (command && (command.status === "PENDING" || command.status === "CLAIMED")) {
+        if (Number(command.is_node_stale) === 1) {
+          await this.failSweptCommandOnConnection(connection, command, "BRIDGE_NODE_STALE");
+          outcome = "failed";
+        } else if (Number(command.is_lease_expired) === 1) {
+          if (Number(command.attempt_count) >= maxLeaseAttempts) {
+            await this.failSweptCommandOnConnection(connection, command, "LEASE_EXPIRED");
+            outcome = "failed";
+          } else {
+            await connection.execute(
+              `UPDATE match_server_commands
+               SET
+                 status = 'PENDING',
+                 lease_token_digest = NULL,
+                 lease_expires_at = NULL
+               WHERE id = ?`,
+              [command.id],
+            );
+            outcome = "requeued";
+          }
+        }
+      }
+
+      await connection.commit();
+      return outcome;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  private async failSweptCommandOnConnection(
+    connection: PoolConnection,
+    command: SweepCommandRow,
+    resultCode: string,
+  ): Promise<void> {
+    await connection.execute(
+      `UPDATE match_server_commands
+       SET
+         status = 'FAILED',
+         result_code = ?,
+         lease_expires_at = NULL
+       WHERE id = ?`,
+      [resultCode, command.id],
+    );
+
+    if (command.command_type === "ABORT_MATCH" || command.command_type === "RELEASE_SERVER") {
+      await this.releaseFailedOperatorAssignmentOnConnection(connection, command.id);
+      return;
+    }
+    if (command.command_type !== "PREPARE_MATCH") {
+      return;
+    }
+
+    // A failed PREPARE_MATCH follows the regular retry / FAILED policy while
+    // its room still waits on it; a room that moved on (e.g. forced terminal
+    // by an operator) is left as is.
+    const [roomRows] = await connection.execute<SweepRoomStatusRow[]>(
+      `SELECT r.status AS room_status
+       FROM match_server_commands c
+       JOIN match_server_assignments a ON a.id = c.assignment_id
+       JOIN competitive_matches cm ON cm.id = a.competitive_match_id
+       JOIN match_rooms r ON r.id = cm.room_id
+       WHERE c.id = ?`,
+      [command.id],
+    );
+
+    if (roomRows[0]?.room_status === "PROVISIONING") {
+      await this.finalizePrepareMatchRoomOnConnection(connection, command.id, "FAILED");
+    }
+  }
+
+  async listNodeLiveness(staleAfterSeconds: number): Promise<MatchBridgeNodeLiveness[]> {
+    const [rows] = await this.databaseService.getPool().execute<NodeLivenessRow[]>(
+      `SELECT
+         n.bridge_node_key,
+         n.enabled,
+         n.last_seen_at,
+         n.marked_stale_at,
+         CASE
+           WHEN n.last_seen_at > DATE_SUB(UTC_TIMESTAMP(6), INTERVAL ? SECOND) THEN 1
+           ELSE 0
+         END AS is_heartbeat_fresh,
+         (SELECT COUNT(*) FROM match_server_resources sr
+          WHERE sr.bridge_node_key = n.bridge_node_key) AS resource_count,
+         (SELECT COUNT(*) FROM match_server_resources sr
+          WHERE sr.bridge_node_key = n.bridge_node_key AND sr.enabled = 1) AS enabled_resource_count,
+         (SELECT COUNT(*) FROM match_server_commands c
+          WHERE c.bridge_node_key = n.bridge_node_key
+            AND c.status IN ('PENDING', 'CLAIMED')) AS outstanding_command_count,
+         (SELECT COUNT(*) FROM match_server_commands c
+          WHERE c.bridge_node_key = n.bridge_node_key
+            AND c.status = 'CLAIMED'
+            AND c.lease_expires_at <= UTC_TIMESTAMP(6)) AS expired_lease_count
+       FROM match_bridge_nodes n
+       ORDER BY n.bridge_node_key ASC`,
+      [staleAfterSeconds],
+    );
+
+    return rows.map((row) => ({
+      bridgeNodeKey: row.bridge_node_key,
+      enabled: Number(row.enabled) === 1,
+      live:
+        Number(row.enabled) === 1 &&
+        Number(row.is_heartbeat_fresh) === 1 &&
+        row.marked_stale_at === null,
+      lastSeenAt: row.last_seen_at,
+      markedStaleAt: row.marked_stale_at,
+      resources: {
+        total: Number(row.resource_count),
+        enabled: Number(row.enabled_resource_count),
+      },
+      commands: {
+        outstanding: Number(row.outstanding_command_count),
+        expiredLeases: Number(row.expired_lease_count),
+      },
+    }));
+  }
+
   async claimNextCommand(bridgeNodeKey: string): Promise<ClaimedCommandPayload | null> {
     const connection = await this.databaseService.getPool().getConnection();
     try {
@@ -160,6 +427,9 @@ export class MatchBridgeRepository {
            c.runtime_match_id,
            a.server_key,
            a.competitive_match_id,
+           cm.format_key,
+           cm.game_mode,
+           cm.team_size,
            cm.map_pool_key,
            cm.map_pool_version,
            cm.map_key,
@@ -181,7 +451,10 @@ export class MatchBridgeRepository {
         return null;
       }
 
-      if (commandRow.command_type !== "PREPARE_MATCH") {
+      const commandType = MATCH_SERVER_COMMAND_TYPES.find(
+        (type) => type === commandRow.command_type,
+      );
+      if (!commandType) {
         throw new TypeError(
           `Unsupported command_type encountered during claim: '${commandRow.command_type}'`
         );
@@ -221,48 +494,71 @@ export class MatchBridgeRepository {
         throw new TypeError("Failed to read persisted lease information.");
       }
 
-      // 5. Load roster for authoritative Match Spec v1 construction
-      const [rosterRows] = await connection.execute<RosterRow[]>(
-        `SELECT player_account_id, steamid64, steam_personaname, team
-         FROM competitive_match_roster
-         WHERE competitive_match_id = ?
-         ORDER BY team ASC, created_at ASC`,
-        [commandRow.competitive_match_id],
-      );
-
       const runtimeMatchId = Number(commandRow.runtime_match_id);
-      const mapPoolVersion = Number(commandRow.map_pool_version);
-
-      // Validate all Match Spec v1 invariants within the same transaction
-      const matchSpec = buildAndValidateMatchSpecV1({
-        competitiveMatchId: commandRow.competitive_match_id,
-        runtimeMatchId,
-        mapPoolKey: commandRow.map_pool_key,
-        mapPoolVersion,
-        mapKey: commandRow.map_key,
-        mapDisplayName: commandRow.map_display_name,
-        rosterRows,
-      });
-
-      await connection.commit();
-
       const leaseExpiresAtIso =
         leaseInfo.lease_expires_at instanceof Date
           ? leaseInfo.lease_expires_at.toISOString()
           : new Date(leaseInfo.lease_expires_at).toISOString();
 
-      return {
+      const base = {
         commandId: commandRow.id,
         assignmentId: commandRow.assignment_id,
-        commandType: "PREPARE_MATCH",
         attempt: Number(leaseInfo.attempt_count),
         leaseToken: rawLeaseToken,
         leaseExpiresAt: leaseExpiresAtIso,
         target: {
           serverKey: commandRow.server_key,
         },
-        matchSpec,
       };
+
+      // 5. Build the versioned payload for the command type within the same transaction
+      let payload: ClaimedCommandPayload;
+      switch (commandType) {
+        case "PREPARE_MATCH":
+          payload = {
+            ...base,
+            commandType,
+            matchSpec: await this.buildMatchSpecOnConnection(connection, commandRow),
+          };
+          break;
+        case "RESTART_MATCH":
+          payload = {
+            ...base,
+            commandType,
+            commandSpec: {
+              specVersion: SPEC_VERSION,
+              competitiveMatchId: commandRow.competitive_match_id,
+              runtimeMatchId,
+              matchSpec: await this.buildMatchSpecOnConnection(connection, commandRow),
+            },
+          };
+          break;
+        case "RELEASE_SERVER":
+          payload = {
+            ...base,
+            commandType,
+            commandSpec: {
+              specVersion: SPEC_VERSION,
+              serverKey: commandRow.server_key,
+              competitiveMatchId: commandRow.competitive_match_id,
+              runtimeMatchId,
+            },
+          };
+          break;
+        default:
+          payload = {
+            ...base,
+            commandType,
+            commandSpec: {
+              specVersion: SPEC_VERSION,
+              competitiveMatchId: commandRow.competitive_match_id,
+              runtimeMatchId,
+            },
+          };
+      }
+
+      await connection.commit();
+      return payload;
     } catch (error) {
       await connection.rollback();
       throw error;
@@ -271,6 +567,34 @@ export class MatchBridgeRepository {
     }
   }
 
+  private async buildMatchSpecOnConnection(
+    connection: PoolConnection,
+    commandRow: ClaimCandidateRow,
+  ): Promise<MatchSpecV1> {
+    // Load roster for authoritative Match Spec v1 construction
+    const [rosterRows] = await connection.execute<RosterRow[]>(
+      `SELECT player_account_id, steamid64, steam_personaname, team
+       FROM competitive_match_roster
+       WHERE competitive_match_id = ?
+       ORDER BY team ASC, created_at ASC`,
+      [commandRow.competitive_match_id],
+    );
+
+    // Validate all Match Spec v1 invariants within the same transaction
+    return buildAndValidateMatchSpecV1({
+      competitiveMatchId: commandRow.competitive_match_id,
+      runtimeMatchId: Number(commandRow.runtime_match_id),
+      formatKey: commandRow.format_key,
+      gameMode: commandRow.game_mode,
+      teamSize: Number(commandRow.team_size),
+      mapPoolKey: commandRow.map_pool_key,
+      mapPoolVersion: Number(commandRow.map_pool_version),
+      mapKey: commandRow.map_key,
+      mapDisplayName: commandRow.map_display_name,
+      rosterRows,
+    });
+  }
+
   async submitCommandResult(
     bridgeNodeKey: string,
     commandId: string,
@@ -405,6 +729,19 @@ export class MatchBridgeRepository {
           commandId,
           input.outcome as "SUCCEEDED" | "FAILED",
         );
+      } else if (!isTerminalReplay && input.outcome === "SUCCEEDED") {
+        // Operator commands apply their effects together with the first
+        // terminal record; an exact replay has nothing left to heal.
+        await this.applyOperatorCommandEffectsOnConnection(
+          connection,
+          commandId,
+          command.command_type,
+        );
+      } else if (
+        !isTerminalReplay &&
+        (command.command_type === "ABORT_MATCH" || command.command_type === "RELEASE_SERVER")
+      ) {
+        await this.releaseFailedOperatorAssignmentOnConnection(connection, commandId);
       }
 
       await connection.commit();
@@ -416,6 +753,136 @@ export class MatchBridgeRepository {
     }
   }
 
+  private async applyOperatorCommandEffectsOnConnection(
+    connection: PoolConnection,
+    commandId: string,
+    commandType: string,
+  ): Promise<void> {
+    const [rows] = await connection.execute<OperatorCommandContextRow[]>(
+      `SELECT
+         a.id AS assignment_id,
+         r.id AS room_id
+       FROM match_server_commands c
+       JOIN match_server_assignments a ON a.id = c.assignment_id
+       JOIN competitive_matches cm ON cm.id = a.competitive_match_id
+       JOIN match_rooms r ON r.id = cm.room_id
+       WHERE c.id = ?
+       FOR UPDATE`,
+      [commandId],
+    );
+
+    const ctx = rows[0];
+    if (!ctx) {
+      throw new TypeError("Structural context not found for command finalization.");
+    }
+
+    // Effects are guarded by the state they expect: a room that moved on
+    // (e.g. COMPLETED by series_end while the command was in flight) is left as is.
+    switch (commandType) {
+      case "ABORT_MATCH": {
+        const [result] = await connection.execute<ResultSetHeader>(
+          `UPDATE match_rooms
+           SET
+             status = 'FAILED',
+             failed_at = UTC_TIMESTAMP(6),
+             failure_reason = 'match_aborted',
+             paused_at = NULL,
+             version = version + 1
+           WHERE id = ? AND status = 'JOINABLE'`,
+          [ctx.room_id],
+        );
+
+        if (result.affectedRows === 1) {
+          await connection.execute(
+            `UPDATE match_room_participants
+             SET released_at = UTC_TIMESTAMP(6), release_reason = 'MATCH_ABORTED'
+             WHERE room_id = ? AND released_at IS NULL`,
+            [ctx.room_id],
+          );
+        }
+        // The server stopped the match either way; an operator may already have
+        // forced the room terminal and left the assignment for this acknowledgement.
+        await connection.execute(
+          `UPDATE match_server_assignments
+           SET released_at = UTC_TIMESTAMP(6), release_reason = 'MATCH_ABORTED'
+           WHERE id = ? AND released_at IS NULL`,
+          [ctx.assignment_id],
+        );
+        return;
+      }
+      case "RESTART_MATCH":
+        await connection.execute(
+          `UPDATE match_rooms
+           SET paused_at = NULL, version = version + 1
+           WHERE id = ? AND status = 'JOINABLE'`,
+          [ctx.room_id],
+        );
+        return;
+      case "PAUSE_MATCH":
+        await connection.execute(
+          `UPDATE match_rooms
+           SET paused_at = UTC_TIMESTAMP(6), version = version + 1
+           WHERE id = ? AND status = 'JOINABLE' AND paused_at IS NULL`,
+          [ctx.room_id],
+        );
+        return;
+      case "UNPAUSE_MATCH":
+        await connection.execute(
+          `UPDATE match_rooms
+           SET paused_at = NULL, version = version + 1
+           WHERE id = ? AND status = 'JOINABLE' AND paused_at IS NOT NULL`,
+          [ctx.room_id],
+        );
+        return;
+      case "RELEASE_SERVER":
+        await connection.execute(
+          `UPDATE match_server_assignments
+           SET released_at = UTC_TIMESTAMP(6), release_reason = 'SERVER_RELEASED'
+           WHERE id = ? AND released_at IS NULL`,
+          [ctx.assignment_id],
+        );
+        return;
+      default:
+        throw new TypeError(`Unsupported command_type for result finalization: '${commandType}'`);
+    }
+  }
+
+  /**
+   * A failed ABORT_MATCH / RELEASE_SERVER of a terminal room (forced by an
+   * operator) is the only thing that would have released its assignment, so
+   * the assignment is released here with its own reason. A room that is still
+   * JOINABLE keeps its server: the match may still be running.
+   */
+  private async releaseFailedOperatorAssignmentOnConnection(
+    connection: PoolConnection,
+    commandId: string,
+  ): Promise<void> {
+    const [rows] = await connection.execute<FailedReleaseContextRow[]>(
+      `SELECT
+         a.id AS assignment_id,
+         r.status AS room_status
+       FROM match_server_commands c
+       JOIN match_server_assignments a ON a.id = c.assignment_id
+       JOIN competitive_matches cm ON cm.id = a.competitive_match_id
+       JOIN match_rooms r ON r.id = cm.room_id
+       WHERE c.id = ?
+       FOR UPDATE`,
+      [commandId],
+    );
+
+    const ctx = rows[0];
+    if (!ctx || !["FAILED", "CANCELLED", "COMPLETED"].includes(ctx.room_status)) {
+      return;
+    }
+
+    await connection.execute(
+      `UPDATE match_server_assignments
+       SET released_at = UTC_TIMESTAMP(6), release_reason = ?
+       WHERE id = ? AND released_at IS NULL`,
+      [OPERATOR_RELEASE_FAILED_RELEASE_REASON, ctx.assignment_id],
+    );
+  }
+
   private async finalizePrepareMatchRoomOnConnection(
     connection: PoolConnection,
     commandId: string,
@@ -431,9 +898,11 @@ export class MatchBridgeRepository {
          a.server_key AS assignment_server_key,
          a.competitive_match_id AS assignment_competitive_match_id,
          a.released_at AS assignment_released_at,
+         a.release_reason AS assignment_release_reason,
          cm.id AS competitive_match_id,
          cm.room_id AS competitive_match_room_id,
          cm.runtime_match_id AS match_runtime_match_id,
+         cm.team_size AS match_team_size,
          sr.server_key AS resource_server_key,
          sr.enabled AS resource_enabled,
          sr.join_reference AS resource_join_reference,
@@ -459,6 +928,16 @@ export class MatchBridgeRepository {
       throw new TypeError("Structural context not found for command finalization.");
     }
 
+    // Exact replay of a failed attempt that was already released for retry:
+    // the room has moved on to another attempt, nothing left to finalize.
+    if (
+      ctx.assignment_released_at !== null &&
+      outcome === "FAILED" &&
+      ctx.assignment_release_reason === PREPARE_MATCH_FAILED_RELEASE_REASON
+    ) {
+      return;
+    }
+
     // Structural invariants
     if (ctx.assignment_released_at !== null) {
       throw new TypeError("Assignment is not active (released_at is not null).");
@@ -496,6 +975,49 @@ export class MatchBridgeRepository {
 
     // Transition from PROVISIONING
     if (outcome === "FAILED") {
+      const [attemptRows] = await connection.execute<ProvisioningAttemptCountRow[]>(
+        `SELECT COUNT(*) AS attempt_count
+         FROM match_server_assignments
+         WHERE competitive_match_id = ?`,
+        [ctx.competitive_match_id],
+      );
+
+      const attemptCount = Number(attemptRows[0]?.attempt_count);
+      if (!Number.isSafeInteger(attemptCount) || attemptCount < 1) {
+        throw new TypeError("Invalid provisioning attempt count for competitive match.");
+      }
+
+      // Attempts left: release the dead assignment and hand the room back
+      // to the allocator, keeping ready_at so it retains its FIFO position.
+      if (attemptCount < this.config.matchProvisioning.prepareMatchMaxAttempts) {
+        const [releaseResult] = await connection.execute<ResultSetHeader>(
+          `UPDATE match_server_assignments
+           SET
+             released_at = UTC_TIMESTAMP(6),
+             release_reason = ?
+           WHERE id = ? AND released_at IS NULL`,
+          [PREPARE_MATCH_FAILED_RELEASE_REASON, ctx.assignment_id],
+        );
+
+        if (releaseResult.affectedRows !== 1) {
+          throw new TypeError("Failed to release assignment for PREPARE_MATCH retry.");
+        }
+
+        const [requeueResult] = await connection.execute<ResultSetHeader>(
+          `UPDATE match_rooms
+           SET
+             status = 'READY',
+             version = version + 1
+           WHERE id = ? AND status = 'PROVISIONING'`,
+          [ctx.room_id],
+        );
+
+        if (requeueResult.affectedRows !== 1) {
+          throw new TypeError("Failed to return room to READY for PREPARE_MATCH retry.");
+        }
+        return;
+      }
+
       const [result] = await connection.execute<ResultSetHeader>(
         `UPDATE match_rooms
          SET
@@ -550,7 +1072,11 @@ export class MatchBridgeRepository {
       [ctx.competitive_match_id],
     );
 
-    let isRosterEligible = rosterRows.length === 10;
+    // The roster must still fill both teams of the format frozen into the CompetitiveMatch.
+    const capacity = Number(ctx.match_team_size) * 2;
+    let isRosterEligible =
+      rosterRows.length === capacity &&
+      rosterRows.filter((r) => r.team === "A").length * 2 === capacity;
 
     if (isRosterEligible) {
       const playerAccountIds = rosterRows.map((r) => r.player_account_id);
@@ -616,6 +1142,7 @@ export class MatchBridgeRepository {
               status: m.status,
               expiresAt: m.expires_at,
               now: m.now_utc,
+              gracePeriodHours: this.config.membershipLifecycle.gracePeriodHours,
             });
             return effectiveStatus !== "active";
           })
@@ -0,0 +1,142 @@
+import type { CompetitiveMatchResultPlayerLine } from "../../match/competitive-match/competitive-match.contract.js";
+
+type MatchZyTeamKey = "team1" | "team2";
+
+export interface MatchZyResultRosterEntry {
+  readonly playerAccountId: string;
+  readonly steamid64: string;
+  readonly team: "A" | "B";
+}
+
+export interface MatchZyResultInput {
+  readonly seriesEnd: unknown;
+  readonly mapResult: unknown;
+  readonly roster: readonly MatchZyResultRosterEntry[];
+}
+
+export interface ParsedMatchZyResult {
+  readonly winnerTeam: "A" | "B" | null;
+  readonly teamASeriesScore: number | null;
+  readonly teamBSeriesScore: number | null;
+  readonly teamAScore: number | null;
+  readonly teamBScore: number | null;
+  readonly players: readonly CompetitiveMatchResultPlayerLine[];
+}
+
+function asRecord(value: unknown): Record<string, unknown> | null {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+    ? (value as Record<string, unknown>)
+    : null;
+}
+
+function readCount(value: unknown): number | null {
+  const parsed = typeof value === "string" && /^\d+$/.test(value.trim())
+    ? Number(value.trim())
+    : value;
+  return typeof parsed === "number" && Number.isSafeInteger(parsed) && parsed >= 0
+    ? parsed
+    : null;
+}
+
+function readScore(value: unknown): number {
+  return typeof value === "number" && Number.isSafeInteger(value) ? value : 0;
+}
+
+function readTeamKey(value: unknown): MatchZyTeamKey | null {
+  const team = asRecord(value)?.team;
+  return team === "team1" || team === "team2" ? team : null;
+}
+
+function readPlayers(team: Record<string, unknown> | null): Record<string, unknown>[] {
+  const players = team?.players;
+  if (!Array.isArray(players)) return [];
+  return players.map(asRecord).filter((player): player is Record<string, unknown> => player !== null);
+}
+
+function readSteamId(player: Record<string, unknown>): string | null {
+  const raw = player.steamid;
+  const clean = typeof raw === "number" ? String(raw) : typeof raw === "string" ? raw.trim() : "";
+  return /^\d{17}$/.test(clean) ? clean : null;
+}
+
+/**
+ * MatchZy reports teams as team1/team2. The Match Spec v1 sends Team A as
+ * team1, but the map_result players are the authority: when the frozen roster
+ * says team1 was mostly Team B, the sides are swapped.
+ */
+function resolveTeam1(
+  mapResult: Record<string, unknown> | null,
+  rosterBySteamId: ReadonlyMap<string, MatchZyResultRosterEntry>,
+): "A" | "B" {
+  let a = 0;
+  let b = 0;
+  for (const player of readPlayers(asRecord(mapResult?.team1))) {
+    const steamid = readSteamId(player);
+    const entry = steamid ? rosterBySteamId.get(steamid) : undefined;
+    if (entry?.team === "A") a += 1;
+    if (entry?.team === "B") b += 1;
+  }
+  return b > a ? "B" : "A";
+}
+
+export function parseMatchZyResult(input: MatchZyResultInput): ParsedMatchZyResult {
+  const seriesEnd = asRecord(input.seriesEnd);
+  const mapResult = asRecord(input.mapResult);
+  const rosterBySteamId = new Map(input.roster.map((entry) => [entry.steamid64, entry]));
+
+  const team1 = resolveTeam1(mapResult, rosterBySteamId);
+  const toTeam = (key: MatchZyTeamKey): "A" | "B" =>
+    key === "team1" ? team1 : team1 === "A" ? "B" : "A";
+
+  const mapTeam1 = asRecord(mapResult?.team1);
+  const mapTeam2 = asRecord(mapResult?.team2);
+
+  const series = {
+    team1: readCount(seriesEnd?.team1_series_score) ?? readCount(mapTeam1?.series_score),
+    team2: readCount(seriesEnd?.team2_series_score) ?? readCount(mapTeam2?.series_score),
+  };
+  const rounds = {
+    team1: readCount(mapTeam1?.score),
+    team2: readCount(mapTeam2?.score),
+  };
+
+  let winnerKey = readTeamKey(seriesEnd?.winner) ?? readTeamKey(mapResult?.winner);
+  if (!winnerKey && series.team1 !== null && series.team2 !== null && series.team1 !== series.team2) {
+    winnerKey = series.team1 > series.team2 ? "team1" : "team2";
+  }
+
+  const players: CompetitiveMatchResultPlayerLine[] = [];
+  const seen = new Set<string>();
+  for (const player of [...readPlayers(mapTeam1), ...readPlayers(mapTeam2)]) {
+    const steamid = readSteamId(player);
+    const entry = steamid ? rosterBySteamId.get(steamid) : undefined;
+    if (!entry || seen.has(entry.playerAccountId)) continue;
+    seen.add(entry.playerAccountId);
+
+    const stats = asRecord(player.stats);
+    players.push({
+      playerAccountId: entry.playerAccountId,
+      team: entry.team,
+      kills: readCount(stats?.kills) ?? 0,
+      deaths: readCount(stats?.deaths) ?? 0,
+      assists: readCount(stats?.assists) ?? 0,
+      headshotKills: readCount(stats?.headshot_kills) ?? 0,
+      damage: readCount(stats?.damage) ?? 0,
+      mvps: readCount(stats?.mvp) ?? 0,
+      score: readScore(stats?.score),
+      roundsPlayed: readCount(stats?.rounds_played) ?? 0,
+    });
+  }
+
+  const byTeam = <T>(values: Record<MatchZyTeamKey, T>, team: "A" | "B"): T =>
+    toTeam("team1") === team ? values.team1 : values.team2;
+
+  return {
+    winnerTeam: winnerKey ? toTeam(winnerKey) : null,
+    teamASeriesScore: byTeam(series, "A"),
+    teamBSeriesScore: byTeam(series, "B"),
+    teamAScore: byTeam(rounds, "A"),
+    teamBScore: byTeam(rounds, "B"),
+    players,
+  };
+}
@@ -1,10 +1,12 @@
 import { Module } from "@nestjs/common";
+import { MatchRatingModule } from "../../match/rating/match-rating.module.js";
 import { MatchIngressAuthService } from "./match-ingress-auth.service.js";
 import { MatchIngressController } from "./match-ingress.controller.js";
 import { MatchIngressRepository } from "./match-ingress.repository.js";
 import { MatchIngressService } from "./match-ingress.service.js";
 
 @Module({
+  imports: [MatchRatingModule],
   controllers: [MatchIngressController],
   providers: [
     MatchIngressAuthService,
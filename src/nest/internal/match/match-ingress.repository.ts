@@ -1,7 +1,9 @@
 import { Injectable } from "@nestjs/common";
 import type { PoolConnection, ResultSetHeader, RowDataPacket } from "mysql2/promise";
 import { DatabaseService } from "../../database/database.service.js";
+import { MatchRatingRepository } from "../../match/rating/match-rating.repository.js";
 import { MatchIngressError } from "./match-ingress-error.js";
+import { parseMatchZyResult } from "./match-ingress-result.js";
 
 export interface MatchIngressRow extends RowDataPacket {
   id: number;
@@ -34,6 +36,7 @@ export interface SeriesEndMatchContextRow extends RowDataPacket {
   room_status: string;
   room_version: string | number;
   room_completed_at: Date | string | null;
+  room_joinable_at: Date | string | null;
   assignment_id: string | null;
   assignment_server_key: string | null;
   assignment_released_at: Date | string | null;
@@ -42,6 +45,29 @@ export interface SeriesEndMatchContextRow extends RowDataPacket {
   match_edge_source_key: string | null;
 }
 
+interface ResultSourceEventRow extends RowDataPacket {
+  id: number | string;
+  edge_event_id: string;
+  event_name: string;
+  edge_received_at: Date | string;
+  payload_json: string;
+}
+
+interface ResultRosterRow extends RowDataPacket {
+  player_account_id: string;
+  steamid64: string;
+  team: "A" | "B";
+}
+
+function parsePayload(text: string | undefined): unknown {
+  if (text === undefined) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
 function normalizeIsoUtc(value: Date | string): string {
   const d = value instanceof Date ? value : new Date(value);
   return d.toISOString().replace(/\.\d{3}Z$/, "Z");
@@ -76,7 +102,10 @@ export function areFieldsIdentical(
 
 @Injectable()
 export class MatchIngressRepository {
-  constructor(private readonly databaseService: DatabaseService) {}
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly matchRatingRepository: MatchRatingRepository,
+  ) {}
 
   private async inTransaction<T>(work: (connection: PoolConnection) => Promise<T>): Promise<T> {
     const connection = await this.databaseService.getPool().getConnection();
@@ -189,6 +218,147 @@ export class MatchIngressRepository {
     }
   }
 
+  /**
+   * Materializes competitive_match_results from the series_end being ingested
+   * plus the latest map_result/going_live of the same runtime match. Stat lines
+   * are keyed by the frozen roster; unknown SteamIDs are ignored. The first
+   * projection wins, so replays and late duplicates never rewrite a result.
+   * Player ratings move in the same transaction as the projection.
+   */
+  private async projectResultOnConnection(
+    connection: PoolConnection,
+    matchCtx: SeriesEndMatchContextRow,
+    record: MatchIngressRecord,
+  ): Promise<void> {
+    const [existing] = await connection.execute<RowDataPacket[]>(
+      `
+        SELECT competitive_match_id
+        FROM competitive_match_results
+        WHERE competitive_match_id = ?
+        LIMIT 1
+        FOR UPDATE
+      `,
+      [matchCtx.competitive_match_id],
+    );
+
+    if (existing.length > 0) {
+      return;
+    }
+
+    const [eventRows] = await connection.execute<ResultSourceEventRow[]>(
+      `
+        SELECT id, edge_event_id, event_name, edge_received_at, payload_json
+        FROM match_ingress_events
+        WHERE source_key = ?
+          AND local_matchid = ?
+          AND event_name IN ('series_end', 'map_result', 'going_live')
+        ORDER BY edge_sequence DESC, id DESC
+      `,
+      [record.sourceKey, String(record.localMatchId)],
+    );
+
+    const seriesEndRow = eventRows.find((row) => row.edge_event_id === record.edgeEventId);
+    const mapResultRow = eventRows.find((row) => row.event_name === "map_result");
+    const goingLiveRow = eventRows.find((row) => row.event_name === "going_live");
+
+    const [rosterRows] = await connection.execute<ResultRosterRow[]>(
+      `
+        SELECT player_account_id, steamid64, team
+        FROM competitive_match_roster
+        WHERE competitive_match_id = ?
+      `,
+      [matchCtx.competitive_match_id],
+    );
+
+    const parsed = parseMatchZyResult({
+      seriesEnd: parsePayload(record.payloadJsonText),
+      mapResult: parsePayload(mapResultRow?.payload_json),
+      roster: rosterRows.map((row) => ({
+        playerAccountId: row.player_account_id,
+        steamid64: row.steamid64,
+        team: row.team,
+      })),
+    });
+
+    const endedAt = new Date(record.edgeReceivedAt);
+    const startedSource = goingLiveRow?.edge_received_at ?? matchCtx.room_joinable_at;
+    const startedAt = startedSource === null ? null : new Date(startedSource);
+    const durationSeconds =
+      startedAt && !Number.isNaN(startedAt.getTime())
+        ? Math.max(0, Math.floor((endedAt.getTime() - startedAt.getTime()) / 1000))
+        : null;
+
+    await connection.execute<ResultSetHeader>(
+      `
+        INSERT INTO competitive_match_results (
+          competitive_match_id,
+          winner_team,
+          team_a_series_score,
+          team_b_series_score,
+          team_a_score,
+          team_b_score,
+          started_at,
+          ended_at,
+          duration_seconds,
+          series_end_ingress_event_id,
+          map_result_ingress_event_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        matchCtx.competitive_match_id,
+        parsed.winnerTeam,
+        parsed.teamASeriesScore,
+        parsed.teamBSeriesScore,
+        parsed.teamAScore,
+        parsed.teamBScore,
+        durationSeconds === null ? null : startedAt,
+        endedAt,
+        durationSeconds,
+        seriesEndRow ? String(seriesEndRow.id) : null,
+        mapResultRow ? String(mapResultRow.id) : null,
+      ],
+    );
+
+    for (const line of parsed.players) {
+      await connection.execute<ResultSetHeader>(
+        `
+          INSERT INTO competitive_match_result_players (
+            competitive_match_id,
+            player_account_id,
+            team,
+            kills,
+            deaths,
+            assists,
+            headshot_kills,
+            damage,
+            mvps,
+            score,
+            rounds_played
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          matchCtx.competitive_match_id,
+          line.playerAccountId,
+          line.team,
+          line.kills,
+          line.deaths,
+          line.assists,
+          line.headshotKills,
+          line.damage,
+          line.mvps,
+          line.score,
+          line.roundsPlayed,
+        ],
+      );
+    }
+
+    await this.matchRatingRepository.applyMatchResultOnConnection(connection, {
+      competitiveMatchId: matchCtx.competitive_match_id,
+      winnerTeam: parsed.winnerTeam,
+      roster: rosterRows.map((row) => ({ playerAccountId: row.player_account_id, team: row.team })),
+    });
+  }
+
   private async saveAndProjectSeriesEnd(record: MatchIngressRecord): Promise<{ duplicate: boolean }> {
     return this.inTransaction(async (connection) => {
       const duplicate = await this.persistIngressRecord(record, connection);
@@ -206,6 +376,7 @@ export class MatchIngressRepository {
             mr.status AS room_status,
             mr.version AS room_version,
             mr.completed_at AS room_completed_at,
+            mr.joinable_at AS room_joinable_at,
             msa.id AS assignment_id,
             msa.server_key AS assignment_server_key,
             msa.released_at AS assignment_released_at,
@@ -242,6 +413,7 @@ export class MatchIngressRepository {
       }
 
       if (matchCtx.room_status === "COMPLETED") {
+        await this.projectResultOnConnection(connection, matchCtx, record);
         return { duplicate };
       }
 
@@ -294,6 +466,7 @@ export class MatchIngressRepository {
           throw new MatchIngressError(409, "failed_to_release_assignment");
         }
 
+        await this.projectResultOnConnection(connection, matchCtx, record);
         return { duplicate };
       }
 
@@ -1,7 +1,14 @@
-import { Injectable } from "@nestjs/common";
+import { Inject, Injectable } from "@nestjs/common";
 import type { RowDataPacket } from "mysql2/promise";
+import { APP_CONFIG, AppConfig } from "../../core/app-config.js";
 import { DatabaseService } from "../../database/database.service.js";
 import { resolveMembershipEffectiveStatus } from "../../membership/membership-status.js";
+import {
+  entitlementRequiredError,
+  grantEntitlementExistsSql,
+  planEntitlementExistsSql,
+  type EntitlementRequiredError,
+} from "../../player/entitlements/player-entitlement-requirement.js";
 
 export type ContextualServerAccessReason =
   | "steam_identity_not_linked"
@@ -11,6 +18,7 @@ export type ContextualServerAccessReason =
   | "membership_suspended"
   | "membership_expired"
   | "membership_cancelled"
+  | EntitlementRequiredError
   | "server_not_registered"
   | "server_disabled"
   | "server_unassigned"
@@ -29,6 +37,8 @@ interface RawContextualServerAccessRow extends RowDataPacket {
   account_status: string | null;
   membership_status: string | null;
   membership_expires_at: Date | string | null;
+  has_plan_server_join: number;
+  has_server_join_grant: number;
   now_utc: Date | string;
   resource_server_key: string | null;
   resource_enabled: number | null;
@@ -43,7 +53,10 @@ interface RawContextualServerAccessRow extends RowDataPacket {
 
 @Injectable()
 export class ContextualServerAccessRepository {
-  constructor(private readonly databaseService: DatabaseService) {}
+  constructor(
+    private readonly databaseService: DatabaseService,
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
+  ) {}
 
   async authorize(
     steamid64: string,
@@ -58,6 +71,8 @@ export class ContextualServerAccessRepository {
           a.status AS account_status,
           m.status AS membership_status,
           m.expires_at AS membership_expires_at,
+          ${planEntitlementExistsSql("m")} AS has_plan_server_join,
+          ${grantEntitlementExistsSql("a.id")} AS has_server_join_grant,
           UTC_TIMESTAMP() AS now_utc,
           res.server_key AS resource_server_key,
           res.enabled AS resource_enabled,
@@ -89,7 +104,7 @@ export class ContextualServerAccessRepository {
           AND roster.steamid64 = s.steamid64
         LIMIT 1
       `,
-      [steamid64, serverKey],
+      ["server.join", "server.join", steamid64, serverKey],
     );
 
     const row = rows[0];
@@ -116,52 +131,16 @@ export class ContextualServerAccessRepository {
       throw new TypeError("Invalid player account status.");
     }
 
-    // 3. Membership is effectively active
-    if (row.membership_status === null) {
+    // 3. An active server.join grant, or an active membership whose plan
+    //    grants it (the same order as match room eligibility)
+    const entitlementDenial = this.entitlementDenial(row);
+    if (entitlementDenial) {
       return {
         authorized: false,
-        reason: "membership_required",
+        reason: entitlementDenial,
       };
     }
 
-    const effectiveStatus = resolveMembershipEffectiveStatus({
-      status: row.membership_status,
-      expiresAt: row.membership_expires_at,
-      now: row.now_utc,
-    });
-
-    if (effectiveStatus === "inactive") {
-      return {
-        authorized: false,
-        reason: "membership_inactive",
-      };
-    }
-
-    if (effectiveStatus === "suspended") {
-      return {
-        authorized: false,
-        reason: "membership_suspended",
-      };
-    }
-
-    if (effectiveStatus === "expired") {
-      return {
-        authorized: false,
-        reason: "membership_expired",
-      };
-    }
-
-    if (effectiveStatus === "cancelled") {
-      return {
-        authorized: false,
-        reason: "membership_cancelled",
-      };
-    }
-
-    if (effectiveStatus !== "active") {
-      throw new TypeError("Invalid effective membership status.");
-    }
-
     // 4. ServerResource exists
     if (!row.resource_server_key) {
       return {
@@ -223,4 +202,51 @@ export class ContextualServerAccessRepository {
 
     throw new TypeError(`Unexpected match room status '${row.room_status}' for active assignment.`);
   }
+
+  private entitlementDenial(
+    row: RawContextualServerAccessRow,
+  ): ContextualServerAccessReason | null {
+    // An individual grant stands on its own; only the plan needs an active membership.
+    if (Boolean(row.has_server_join_grant)) {
+      return null;
+    }
+
+    if (row.membership_status === null) {
+      return "membership_required";
+    }
+
+    const effectiveStatus = resolveMembershipEffectiveStatus({
+      status: row.membership_status,
+      expiresAt: row.membership_expires_at,
+      now: row.now_utc,
+      gracePeriodHours: this.config.membershipLifecycle.gracePeriodHours,
+    });
+
+    if (effectiveStatus === "inactive") {
+      return "membership_inactive";
+    }
+
+    if (effectiveStatus === "suspended") {
+      return "membership_suspended";
+    }
+
+    if (effectiveStatus === "expired") {
+      return "membership_expired";
+    }
+
+    if (effectiveStatus === "cancelled") {
+      return "membership_cancelled";
+    }
+
+    if (effectiveStatus !== "active") {
+      throw new TypeError("Invalid effective membership status.");
+    }
+
+    // Membership plan grants server.join
+    if (!Boolean(row.has_plan_server_join)) {
+      return entitlementRequiredError("server.join");
+    }
+
+    return null;
+  }
 }
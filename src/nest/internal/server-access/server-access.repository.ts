@@ -1,22 +1,34 @@
-import { Injectable } from "@nestjs/common";
+import { Inject, Injectable } from "@nestjs/common";
 import type { RowDataPacket } from "mysql2";
 
+import {
+  APP_CONFIG,
+  AppConfig,
+} from "../../core/app-config.js";
 import {
   DatabaseService,
 } from "../../database/database.service.js";
 import {
   resolveMembershipEffectiveStatus,
 } from "../../membership/membership-status.js";
+import {
+  entitlementRequiredError,
+  grantEntitlementExistsSql,
+  planEntitlementExistsSql,
+  type EntitlementRequiredError,
+} from "../../player/entitlements/player-entitlement-requirement.js";
 
 export type ServerAccessReason =
   | "membership_active"
+  | "entitlement_granted"
   | "steam_identity_not_linked"
   | "player_account_disabled"
   | "membership_required"
   | "membership_inactive"
   | "membership_suspended"
   | "membership_expired"
-  | "membership_cancelled";
+  | "membership_cancelled"
+  | EntitlementRequiredError;
 
 export interface ServerAccessDecision {
   authorized: boolean;
@@ -31,6 +43,8 @@ interface RawServerAccessRow
     | Date
     | string
     | null;
+  has_plan_server_join: number;
+  has_server_join_grant: number;
   now_utc: Date | string;
 }
 
@@ -82,6 +96,9 @@ export class ServerAccessRepository {
   constructor(
     private readonly databaseService:
       DatabaseService,
+
+    @Inject(APP_CONFIG)
+    private readonly config: AppConfig,
   ) {}
 
   async authorizeBySteamId64(
@@ -126,6 +143,12 @@ export class ServerAccessRepository {
             m.expires_at
               AS membership_expires_at,
 
+            ${planEntitlementExistsSql("m")}
+              AS has_plan_server_join,
+
+            ${grantEntitlementExistsSql("a.id")}
+              AS has_server_join_grant,
+
             UTC_TIMESTAMP()
               AS now_utc
 
@@ -143,7 +166,7 @@ export class ServerAccessRepository {
 
           LIMIT 1
         `,
-        [lookupValue],
+        ["server.join", "server.join", lookupValue],
       );
 
     const row = rows[0];
@@ -175,6 +198,18 @@ export class ServerAccessRepository {
       );
     }
 
+    // An individual grant stands on its own, as in match room
+    // eligibility; only the plan needs an active membership.
+    if (
+      Boolean(row.has_server_join_grant)
+    ) {
+      return {
+        authorized: true,
+        reason:
+          "entitlement_granted",
+      };
+    }
+
     if (
       row.membership_status === null
     ) {
@@ -193,10 +228,28 @@ export class ServerAccessRepository {
           row.membership_expires_at,
         now:
           row.now_utc,
+        gracePeriodHours:
+          this.config.membershipLifecycle.gracePeriodHours,
       });
 
-    return decisionForMembershipStatus(
-      effectiveStatus,
-    );
+    const decision =
+      decisionForMembershipStatus(
+        effectiveStatus,
+      );
+
+    if (
+      decision.authorized &&
+      !Boolean(row.has_plan_server_join)
+    ) {
+      return {
+        authorized: false,
+        reason:
+          entitlementRequiredError(
+            "server.join",
+          ),
+      };
+    }
+
+    return decision;
   }
 }
@@ -1,3 +1,5 @@
+import type { MatchRoomGameMode } from "../format/match-room-format.js";
+
 export const RUNTIME_MATCH_ID_START = 1_000_000;
 
 export interface CompetitiveMatchRosterEntry {
@@ -7,6 +9,13 @@ export interface CompetitiveMatchRosterEntry {
   readonly team: "A" | "B";
 }
 
+/** The room format frozen when the match was materialized. */
+export interface CompetitiveMatchFormatSnapshot {
+  readonly key: string;
+  readonly teamSize: number;
+  readonly gameMode: MatchRoomGameMode;
+}
+
 export interface CompetitiveMatchMapSnapshot {
   readonly poolId: string;
   readonly poolKey: string;
@@ -18,6 +27,7 @@ export interface CompetitiveMatchMapSnapshot {
 export interface CompetitiveMatchSnapshot {
   readonly id: string;
   readonly runtimeMatchId: number;
+  readonly format: CompetitiveMatchFormatSnapshot;
   readonly map: CompetitiveMatchMapSnapshot;
   readonly roster: readonly CompetitiveMatchRosterEntry[];
 }
@@ -25,6 +35,31 @@ export interface CompetitiveMatchSnapshot {
 export interface CreateCompetitiveMatchInput {
   readonly id?: string;
   readonly roomId: string;
+  readonly format: CompetitiveMatchFormatSnapshot;
   readonly map: CompetitiveMatchMapSnapshot;
   readonly roster: readonly CompetitiveMatchRosterEntry[];
 }
+
+export interface CompetitiveMatchResultPlayerLine {
+  readonly playerAccountId: string;
+  readonly team: "A" | "B";
+  readonly kills: number;
+  readonly deaths: number;
+  readonly assists: number;
+  readonly headshotKills: number;
+  readonly damage: number;
+  readonly mvps: number;
+  readonly score: number;
+  readonly roundsPlayed: number;
+}
+
+export interface CompetitiveMatchResultSnapshot {
+  readonly competitiveMatchId: string;
+  readonly winnerTeam: "A" | "B" | null;
+  readonly seriesScore: { readonly A: number | null; readonly B: number | null };
+  readonly score: { readonly A: number | null; readonly B: number | null };
+  readonly startedAt: Date | string | null;
+  readonly endedAt: Date | string;
+  readonly durationSeconds: number | null;
+  readonly players: readonly CompetitiveMatchResultPlayerLine[];
+}
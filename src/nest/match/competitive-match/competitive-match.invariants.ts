@@ -1,12 +1,40 @@
+import { MATCH_ROOM_GAME_MODES } from "../format/match-room-format.js";
 import {
   RUNTIME_MATCH_ID_START,
+  type CompetitiveMatchFormatSnapshot,
   type CompetitiveMatchMapSnapshot,
   type CompetitiveMatchRosterEntry,
   type CompetitiveMatchSnapshot,
 } from "./competitive-match.contract.js";
 
+function validateFormatSnapshot(format: CompetitiveMatchFormatSnapshot): number {
+  if (!Number.isInteger(format.teamSize) || format.teamSize < 1) {
+    throw new TypeError(`Invalid team size: ${format.teamSize}.`);
+  }
+  if (!format.key.trim() || !MATCH_ROOM_GAME_MODES.includes(format.gameMode)) {
+    throw new TypeError(`Invalid competitive match format ${format.key}.`);
+  }
+  return format.teamSize * 2;
+}
+
+/** Each team holds exactly `teamSize` players. */
+function assertTeamSlots(
+  format: CompetitiveMatchFormatSnapshot,
+  entries: readonly { readonly team: string }[],
+): void {
+  const teamA = entries.filter((entry) => entry.team === "A").length;
+  const teamB = entries.filter((entry) => entry.team === "B").length;
+  if (teamA !== format.teamSize || teamB !== format.teamSize) {
+    throw new TypeError(
+      `Expected ${format.teamSize} Team A and ${format.teamSize} Team B players, got ${teamA} A and ${teamB} B.`,
+    );
+  }
+}
+
 export function validateCompetitiveMatchSetupInvariants(params: {
   readonly roomStatus: string;
+  /** The room format; capacity is two teams of `teamSize` players. */
+  readonly format: CompetitiveMatchFormatSnapshot;
   readonly draftCompleted: boolean;
   readonly vetoCompleted: boolean;
   readonly selectedMapKey: string | null;
@@ -28,6 +56,7 @@ export function validateCompetitiveMatchSetupInvariants(params: {
     readonly personaname?: string | null;
   }[];
 }): {
+  readonly format: CompetitiveMatchFormatSnapshot;
   readonly map: CompetitiveMatchMapSnapshot;
   readonly roster: readonly CompetitiveMatchRosterEntry[];
 } {
@@ -53,24 +82,24 @@ export function validateCompetitiveMatchSetupInvariants(params: {
     throw new TypeError("Map pool version must be positive integer >= 1.");
   }
 
-  // Exactly 10 active participants
-  if (params.participantAccountIds.length !== 10) {
-    throw new TypeError(`Expected exactly 10 active participants, got ${params.participantAccountIds.length}.`);
+  const capacity = validateFormatSnapshot(params.format);
+
+  // Exactly one full roster of active participants
+  if (params.participantAccountIds.length !== capacity) {
+    throw new TypeError(`Expected exactly ${capacity} active participants, got ${params.participantAccountIds.length}.`);
   }
   const participantSet = new Set(params.participantAccountIds);
-  if (participantSet.size !== 10) {
+  if (participantSet.size !== capacity) {
     throw new TypeError("Active participants must be distinct player accounts.");
   }
 
-  // Exactly 10 draft assignments
-  if (params.draftAssignments.length !== 10) {
-    throw new TypeError(`Expected exactly 10 draft assignments, got ${params.draftAssignments.length}.`);
+  // Exactly one draft assignment per participant
+  if (params.draftAssignments.length !== capacity) {
+    throw new TypeError(`Expected exactly ${capacity} draft assignments, got ${params.draftAssignments.length}.`);
   }
 
   // Every participant has exactly 1 assignment and no outsiders
   const assignedPlayerIds = new Set<string>();
-  let teamACount = 0;
-  let teamBCount = 0;
 
   for (const assignment of params.draftAssignments) {
     if (!participantSet.has(assignment.playerAccountId)) {
@@ -81,14 +110,12 @@ export function validateCompetitiveMatchSetupInvariants(params: {
     }
     assignedPlayerIds.add(assignment.playerAccountId);
 
-    if (assignment.team === "A") teamACount++;
-    else if (assignment.team === "B") teamBCount++;
-    else throw new TypeError(`Invalid draft team ${assignment.team}.`);
+    if (assignment.team !== "A" && assignment.team !== "B") {
+      throw new TypeError(`Invalid draft team ${assignment.team}.`);
+    }
   }
 
-  if (teamACount !== 5 || teamBCount !== 5) {
-    throw new TypeError(`Expected 5 Team A and 5 Team B players, got ${teamACount} A and ${teamBCount} B.`);
-  }
+  assertTeamSlots(params.format, params.draftAssignments);
 
   // Steam identities
   const steamMap = new Map<string, { steamid64: string; personaname: string }>();
@@ -124,11 +151,12 @@ export function validateCompetitiveMatchSetupInvariants(params: {
     });
   }
 
-  if (roster.length !== 10 || distinctSteamIds.size !== 10) {
-    throw new TypeError("Expected exactly 10 distinct Steam IDs in roster.");
+  if (roster.length !== capacity || distinctSteamIds.size !== capacity) {
+    throw new TypeError(`Expected exactly ${capacity} distinct Steam IDs in roster.`);
   }
 
   return {
+    format: params.format,
     map: {
       poolId: params.mapMetadata.poolId,
       poolKey: params.mapMetadata.poolKey,
@@ -143,6 +171,7 @@ export function validateCompetitiveMatchSetupInvariants(params: {
 export function validateCompetitiveMatchRuntimeSnapshot(snapshot: {
   readonly id: string;
   readonly runtimeMatchId: number | string;
+  readonly format: CompetitiveMatchFormatSnapshot;
   readonly map: CompetitiveMatchMapSnapshot;
   readonly roster: readonly CompetitiveMatchRosterEntry[];
 }): CompetitiveMatchSnapshot {
@@ -151,13 +180,16 @@ export function validateCompetitiveMatchRuntimeSnapshot(snapshot: {
     throw new TypeError(`Invalid runtimeMatchId: ${snapshot.runtimeMatchId}. Must be safe integer >= ${RUNTIME_MATCH_ID_START}.`);
   }
 
-  if (snapshot.roster.length !== 10) {
-    throw new TypeError(`Invalid competitive match roster length: ${snapshot.roster.length}. Expected 10.`);
+  const capacity = validateFormatSnapshot(snapshot.format);
+  if (snapshot.roster.length !== capacity) {
+    throw new TypeError(`Invalid competitive match roster length: ${snapshot.roster.length}. Expected ${capacity} for format ${snapshot.format.key}.`);
   }
+  assertTeamSlots(snapshot.format, snapshot.roster);
 
   return {
     id: snapshot.id,
     runtimeMatchId,
+    format: snapshot.format,
     map: snapshot.map,
     roster: snapshot.roster,
   };
@@ -3,7 +3,9 @@ import { Injectable } from "@nestjs/common";
 import type { PoolConnection, RowDataPacket } from "mysql2/promise";
 import mysql from "mysql2/promise";
 import { DatabaseService } from "../../database/database.service.js";
+import type { MatchRoomGameMode } from "../format/match-room-format.js";
 import type {
+  CompetitiveMatchResultSnapshot,
   CompetitiveMatchSnapshot,
   CreateCompetitiveMatchInput,
 } from "./competitive-match.contract.js";
@@ -13,6 +15,9 @@ interface CompetitiveMatchRow extends RowDataPacket {
   id: string;
   room_id: string;
   runtime_match_id: string | number;
+  format_key: string;
+  team_size: string | number;
+  game_mode: string;
   map_pool_id: string;
   map_pool_key: string;
   map_pool_version: string | number;
@@ -30,6 +35,45 @@ interface CompetitiveMatchRosterRow extends RowDataPacket {
   created_at: Date | string;
 }
 
+interface CompetitiveMatchResultRow extends RowDataPacket {
+  competitive_match_id: string;
+  winner_team: "A" | "B" | null;
+  team_a_series_score: number | null;
+  team_b_series_score: number | null;
+  team_a_score: number | null;
+  team_b_score: number | null;
+  started_at: Date | string | null;
+  ended_at: Date | string;
+  duration_seconds: number | null;
+}
+
+interface CompetitiveMatchResultPlayerRow extends RowDataPacket {
+  player_account_id: string;
+  team: "A" | "B";
+  kills: number;
+  deaths: number;
+  assists: number;
+  headshot_kills: number;
+  damage: number;
+  mvps: number;
+  score: number;
+  rounds_played: number;
+}
+
+const nullableNumber = (value: unknown): number | null =>
+  value === null || value === undefined ? null : Number(value);
+
+const MATCH_COLUMNS = `id, room_id, runtime_match_id, format_key, team_size, game_mode,
+  map_pool_id, map_pool_key, map_pool_version, map_key, map_display_name, created_at`;
+
+function mapFormat(row: CompetitiveMatchRow) {
+  return {
+    key: row.format_key,
+    teamSize: Number(row.team_size),
+    gameMode: row.game_mode as MatchRoomGameMode,
+  };
+}
+
 @Injectable()
 export class CompetitiveMatchRepository {
   constructor(private readonly databaseService: DatabaseService) {}
@@ -42,11 +86,15 @@ export class CompetitiveMatchRepository {
 
     await connection.execute(
       `INSERT INTO competitive_matches (
-        id, room_id, map_pool_id, map_pool_key, map_pool_version, map_key, map_display_name
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        id, room_id, format_key, team_size, game_mode,
+        map_pool_id, map_pool_key, map_pool_version, map_key, map_display_name
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
         input.roomId,
+        input.format.key,
+        input.format.teamSize,
+        input.format.gameMode,
         input.map.poolId,
         input.map.poolKey,
         input.map.poolVersion,
@@ -65,8 +113,7 @@ export class CompetitiveMatchRepository {
     }
 
     const [rows] = await connection.execute<CompetitiveMatchRow[]>(
-      `SELECT id, room_id, runtime_match_id, map_pool_id, map_pool_key, map_pool_version, map_key, map_display_name, created_at
-       FROM competitive_matches WHERE id = ? LIMIT 1`,
+      `SELECT ${MATCH_COLUMNS} FROM competitive_matches WHERE id = ? LIMIT 1`,
       [id],
     );
 
@@ -78,6 +125,7 @@ export class CompetitiveMatchRepository {
     return validateCompetitiveMatchRuntimeSnapshot({
       id: row.id,
       runtimeMatchId: row.runtime_match_id,
+      format: mapFormat(row),
       map: {
         poolId: row.map_pool_id,
         poolKey: row.map_pool_key,
@@ -94,8 +142,7 @@ export class CompetitiveMatchRepository {
     roomId: string,
   ): Promise<CompetitiveMatchSnapshot | null> {
     const [rows] = await connection.execute<CompetitiveMatchRow[]>(
-      `SELECT id, room_id, runtime_match_id, map_pool_id, map_pool_key, map_pool_version, map_key, map_display_name, created_at
-       FROM competitive_matches WHERE room_id = ? LIMIT 1`,
+      `SELECT ${MATCH_COLUMNS} FROM competitive_matches WHERE room_id = ? LIMIT 1`,
       [roomId],
     );
 
@@ -114,6 +161,7 @@ export class CompetitiveMatchRepository {
     return validateCompetitiveMatchRuntimeSnapshot({
       id: row.id,
       runtimeMatchId: row.runtime_match_id,
+      format: mapFormat(row),
       map: {
         poolId: row.map_pool_id,
         poolKey: row.map_pool_key,
@@ -136,4 +184,50 @@ export class CompetitiveMatchRepository {
       roomId,
     );
   }
+
+  async findResultOnConnection(
+    connection: PoolConnection | mysql.Pool,
+    competitiveMatchId: string,
+  ): Promise<CompetitiveMatchResultSnapshot | null> {
+    const [rows] = await connection.execute<CompetitiveMatchResultRow[]>(
+      `SELECT competitive_match_id, winner_team, team_a_series_score, team_b_series_score, team_a_score, team_b_score,
+         started_at, ended_at, duration_seconds
+       FROM competitive_match_results WHERE competitive_match_id = ? LIMIT 1`,
+      [competitiveMatchId],
+    );
+
+    const row = rows[0];
+    if (!row) {
+      return null;
+    }
+
+    const [playerRows] = await connection.execute<CompetitiveMatchResultPlayerRow[]>(
+      `SELECT player_account_id, team, kills, deaths, assists, headshot_kills, damage, mvps, score, rounds_played
+       FROM competitive_match_result_players WHERE competitive_match_id = ?
+       ORDER BY team ASC, score DESC, kills DESC, player_account_id ASC`,
+      [competitiveMatchId],
+    );
+
+    return {
+      competitiveMatchId: row.competitive_match_id,
+      winnerTeam: row.winner_team,
+      seriesScore: { A: nullableNumber(row.team_a_series_score), B: nullableNumber(row.team_b_series_score) },
+      score: { A: nullableNumber(row.team_a_score), B: nullableNumber(row.team_b_score) },
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      durationSeconds: nullableNumber(row.duration_seconds),
+      players: playerRows.map((p) => ({
+        playerAccountId: p.player_account_id,
+        team: p.team,
+        kills: Number(p.kills),
+        deaths: Number(p.deaths),
+        assists: Number(p.assists),
+        headshotKills: Number(p.headshot_kills),
+        damage: Number(p.damage),
+        mvps: Number(p.mvps),
+        score: Number(p.score),
+        roundsPlayed: Number(p.rounds_played),
+      })),
+    };
+  }
 }
@@ -0,0 +1,8 @@
+import { Module } from "@nestjs/common";
+import { MatchRoomFormatRepository } from "./match-room-format.repository.js";
+
+@Module({
+  providers: [MatchRoomFormatRepository],
+  exports: [MatchRoomFormatRepository],
+})
+export class MatchRoomFormatModule {}
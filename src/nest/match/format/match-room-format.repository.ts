@@ -0,0 +1,84 @@
+import { Injectable } from "@nestjs/common";
+import type { PoolConnection, RowDataPacket } from "mysql2/promise";
+import mysql from "mysql2/promise";
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  validateMatchRoomFormat,
+  type MatchRoomFormat,
+  type MatchRoomFormatTurn,
+  type MatchRoomGameMode,
+} from "./match-room-format.js";
+
+interface FormatRow extends RowDataPacket {
+  format_key: string;
+  display_name: string;
+  team_size: number | string;
+  game_mode: string;
+  draft_pick_order: string | unknown[];
+  map_veto_order: string | unknown[];
+  map_pool_key: string;
+}
+
+const FORMAT_COLUMNS = `format_key, display_name, team_size, game_mode,
+  draft_pick_order, map_veto_order, map_pool_key`;
+
+function parseTurns(value: string | unknown[], formatKey: string): MatchRoomFormatTurn[] {
+  const parsed: unknown = typeof value === "string" ? JSON.parse(value) : value;
+  if (!Array.isArray(parsed)) {
+    throw new TypeError(`Format ${formatKey} turn order must be a JSON array.`);
+  }
+  return parsed as MatchRoomFormatTurn[];
+}
+
+function mapRow(row: FormatRow): MatchRoomFormat {
+  const teamSize = Number(row.team_size);
+  return validateMatchRoomFormat({
+    key: row.format_key,
+    displayName: row.display_name,
+    capacity: teamSize * 2,
+    teamSize,
+    gameMode: row.game_mode as MatchRoomGameMode,
+    draftPickOrder: parseTurns(row.draft_pick_order, row.format_key),
+    mapVetoOrder: parseTurns(row.map_veto_order, row.format_key),
+    mapPoolKey: row.map_pool_key,
+  });
+}
+
+@Injectable()
+export class MatchRoomFormatRepository {
+  constructor(private readonly databaseService: DatabaseService) {}
+
+  /**
+   * Any stored format, enabled or not: rooms keep running with the format
+   * they were created with after it is disabled.
+   */
+  async findOnConnection(
+    connection: PoolConnection | mysql.Pool,
+    formatKey: string,
+  ): Promise<MatchRoomFormat | null> {
+    const [rows] = await connection.execute<FormatRow[]>(
+      `SELECT ${FORMAT_COLUMNS} FROM match_room_formats WHERE format_key = ? LIMIT 1`,
+      [formatKey],
+    );
+    return rows[0] ? mapRow(rows[0]) : null;
+  }
+
+  /** Formats new rooms may be created with. */
+  async findEnabledOnConnection(
+    connection: PoolConnection | mysql.Pool,
+    formatKey: string,
+  ): Promise<MatchRoomFormat | null> {
+    const [rows] = await connection.execute<FormatRow[]>(
+      `SELECT ${FORMAT_COLUMNS} FROM match_room_formats WHERE format_key = ? AND enabled = 1 LIMIT 1`,
+      [formatKey],
+    );
+    return rows[0] ? mapRow(rows[0]) : null;
+  }
+
+  async listEnabled(): Promise<MatchRoomFormat[]> {
+    const [rows] = await this.databaseService.getPool().execute<FormatRow[]>(
+      `SELECT ${FORMAT_COLUMNS} FROM match_room_formats WHERE enabled = 1 ORDER BY position ASC, format_key ASC`,
+    );
+    return rows.map(mapRow);
+  }
+}
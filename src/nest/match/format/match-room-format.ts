@@ -0,0 +1,96 @@
+/**
+ * Draft and veto turns are relative to the captain chosen at random to act
+ * first, so a format never favours Team A or Team B.
+ */
+export type MatchRoomFormatTurn = "FIRST" | "SECOND";
+
+export const MATCH_ROOM_FORMAT_TURNS: readonly MatchRoomFormatTurn[] = ["FIRST", "SECOND"];
+
+/** Game server mode the bridge switches to before loading the match. */
+export type MatchRoomGameMode = "competitive" | "wingman";
+
+export const MATCH_ROOM_GAME_MODES: readonly MatchRoomGameMode[] = ["competitive", "wingman"];
+
+export interface MatchRoomFormat {
+  readonly key: string;
+  readonly displayName: string;
+  readonly capacity: number;
+  readonly teamSize: number;
+  readonly gameMode: MatchRoomGameMode;
+  /**
+   * One turn per non-captain slot, in selection order. The last slot is never
+   * picked manually: the remaining player is assigned as LAST_REMAINING.
+   */
+  readonly draftPickOrder: readonly MatchRoomFormatTurn[];
+  /** One ban per turn; the map left after the last ban is played. */
+  readonly mapVetoOrder: readonly MatchRoomFormatTurn[];
+  readonly mapPoolKey: string;
+}
+
+/** Rooms created without a format, and the matchmaking queue, use mix_5v5. */
+export const DEFAULT_MATCH_ROOM_FORMAT_KEY = "mix_5v5";
+
+/** Veto action_order and next_action_order are CHECKed to 1..6 (migration 0022). */
+const MAX_MATCH_ROOM_FORMAT_VETO_ACTIONS = 6;
+
+const MATCH_ROOM_FORMAT_KEY_RE = /^[a-z0-9_]{1,32}$/;
+
+/** Shape check only; whether the format exists is decided by match_room_formats. */
+export function isMatchRoomFormatKey(value: unknown): value is string {
+  return typeof value === "string" && MATCH_ROOM_FORMAT_KEY_RE.test(value);
+}
+
+/**
+ * Structural rules every format must satisfy to run through the shared
+ * draft / veto / CompetitiveMatch pipeline: two equal teams, each captain
+ * picking exactly the players their team still needs, and one map left after
+ * the veto.
+ */
+export function validateMatchRoomFormat(format: MatchRoomFormat): MatchRoomFormat {
+  if (!Number.isInteger(format.teamSize) || format.teamSize < 1) {
+    throw new TypeError(`Invalid team size for format ${format.key}.`);
+  }
+  if (format.capacity !== format.teamSize * 2) {
+    throw new TypeError(`Format ${format.key} capacity must be exactly two teams.`);
+  }
+  if (!MATCH_ROOM_GAME_MODES.includes(format.gameMode)) {
+    throw new TypeError(`Invalid game mode for format ${format.key}.`);
+  }
+  if (format.draftPickOrder.length !== format.capacity - 2) {
+    throw new TypeError(`Format ${format.key} draft pick order must cover every non-captain slot.`);
+  }
+  for (const turn of MATCH_ROOM_FORMAT_TURNS) {
+    if (format.draftPickOrder.filter((t) => t === turn).length !== format.teamSize - 1) {
+      throw new TypeError(`Format ${format.key} draft pick order must fill both teams equally.`);
+    }
+  }
+  if (format.mapVetoOrder.length < 1) {
+    throw new TypeError(`Format ${format.key} must ban at least one map.`);
+  }
+  if (format.mapVetoOrder.length > MAX_MATCH_ROOM_FORMAT_VETO_ACTIONS) {
+    throw new TypeError(`Format ${format.key} may ban at most ${MAX_MATCH_ROOM_FORMAT_VETO_ACTIONS} maps.`);
+  }
+  if (format.mapVetoOrder.some((turn) => !MATCH_ROOM_FORMAT_TURNS.includes(turn))) {
+    throw new TypeError(`Format ${format.key} map veto order has an invalid turn.`);
+  }
+  if (!format.mapPoolKey.trim()) {
+    throw new TypeError(`Format ${format.key} must reference a map pool.`);
+  }
+  return format;
+}
+
+/** Map pool size the format's veto order expects. */
+export function matchRoomFormatMapCount(format: MatchRoomFormat): number {
+  return format.mapVetoOrder.length + 1;
+}
+
+export function resolveMatchRoomFormatTurnActor(
+  turn: MatchRoomFormatTurn | undefined,
+  firstPlayerAccountId: string,
+  captainAId: string,
+  captainBId: string,
+): string | null {
+  if (!turn) return null;
+  if (turn === "FIRST") return firstPlayerAccountId;
+  return firstPlayerAccountId === captainAId ? captainBId : captainAId;
+}
@@ -4,6 +4,7 @@ import { MatchMapPoolError } from "./match-map-pool.error.js";
 export function validateMatchMapPoolInvariants(
   rawPool: RawMatchMapPool | null,
   expectedKey?: string,
+  expectedMapCount = 7,
 ): MatchMapPool {
   if (!rawPool) {
     throw new MatchMapPoolError("match_map_pool_not_found");
@@ -21,7 +22,7 @@ export function validateMatchMapPoolInvariants(
     throw new MatchMapPoolError("match_map_pool_invariant_violation");
   }
 
-  if (!Array.isArray(rawPool.maps) || rawPool.maps.length !== 7) {
+  if (!Array.isArray(rawPool.maps) || rawPool.maps.length !== expectedMapCount) {
     throw new MatchMapPoolError("match_map_pool_invariant_violation");
   }
 
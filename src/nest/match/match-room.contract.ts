@@ -1,7 +1,6 @@
 import type { PlayerPresentationReference } from "../player/presentation-reference/player-presentation-reference.contract.js";
-import type { CompetitiveMatchSnapshot } from "./competitive-match/competitive-match.contract.js";
-
-export const MATCH_ROOM_CAPACITY = 10;
+import type { CompetitiveMatchResultSnapshot, CompetitiveMatchSnapshot } from "./competitive-match/competitive-match.contract.js";
+import type { MatchRoomGameMode } from "./format/match-room-format.js";
 
 export type MatchRoomStatus =
   | "FORMING"
@@ -14,19 +13,44 @@ export type MatchRoomStatus =
   | "FAILED"
   | "COMPLETED";
 
+export const MATCH_ROOM_STATUSES: readonly MatchRoomStatus[] = [
+  "FORMING",
+  "CONFIRMING",
+  "SETUP",
+  "READY",
+  "PROVISIONING",
+  "CANCELLED",
+  "JOINABLE",
+  "FAILED",
+  "COMPLETED",
+];
+
 export type MatchRoomFailureReason =
   | "prepare_match_failed"
   | "roster_eligibility_lost"
   | "server_resource_unavailable"
+  | "match_aborted"
   | null;
 
+export const MATCH_ROOM_FAILURE_REASONS: readonly NonNullable<MatchRoomFailureReason>[] = [
+  "prepare_match_failed",
+  "roster_eligibility_lost",
+  "server_resource_unavailable",
+  "match_aborted",
+];
+
+export const MATCH_ROOM_TEAM_SELECTION_MODES = ["CAPTAIN_DRAFT", "AUTO_BALANCE"] as const;
+
+export type MatchRoomTeamSelectionMode = (typeof MATCH_ROOM_TEAM_SELECTION_MODES)[number];
+
 export type MatchRoomDraftPhase = "PICKING" | "COMPLETED";
 
 export type MatchRoomDraftAssignmentSource =
   | "CAPTAIN"
   | "MANUAL_PICK"
   | "TIMEOUT_AUTO_PICK"
-  | "LAST_REMAINING";
+  | "LAST_REMAINING"
+  | "AUTO_BALANCE";
 
 export interface MatchRoomDraftAssignmentSnapshot {
   playerAccountId: string;
@@ -35,6 +59,7 @@ export interface MatchRoomDraftAssignmentSnapshot {
   selectionOrder: number | null;
   source: MatchRoomDraftAssignmentSource;
   pickerPlayerAccountId: string | null;
+  balanceRating: number | null;
   assignedAt: Date | string;
 }
 
@@ -92,6 +117,8 @@ export interface MatchRoomAggregateParticipantSnapshot {
     confirmed: boolean;
     confirmedAt: Date | string | null;
   };
+  /** Internal Elo rating; null until the player finishes a rated match. */
+  rating: number | null;
 }
 
 export interface MatchRoomParticipantSnapshot extends MatchRoomAggregateParticipantSnapshot {
@@ -104,6 +131,16 @@ export interface MatchRoomViewerJoinSnapshot {
   launchUri: string;
 }
 
+export interface MatchRoomProvisioningAttemptSnapshot {
+  attempt: number;
+  serverKey: string;
+  assignedAt: Date | string;
+  releasedAt: Date | string | null;
+  releaseReason: string | null;
+  prepareStatus: string | null;
+  resultCode: string | null;
+}
+
 interface MatchRoomSnapshotShape<Participant> {
   room: {
     id: string;
@@ -111,7 +148,11 @@ interface MatchRoomSnapshotShape<Participant> {
     version: number;
     creator: { playerAccountId: string };
     participantCount: number;
-    capacity: 10;
+    capacity: number;
+    formatKey: string;
+    teamSize: number;
+    gameMode: MatchRoomGameMode;
+    teamSelectionMode: MatchRoomTeamSelectionMode;
     confirmation: {
       round: number;
       startedAt: Date | string;
@@ -124,9 +165,12 @@ interface MatchRoomSnapshotShape<Participant> {
     failedAt: Date | string | null;
     failureReason: MatchRoomFailureReason;
     completedAt: Date | string | null;
+    pausedAt: Date | string | null;
     draft: MatchRoomDraftSnapshot | null;
     mapVeto: MatchRoomMapVetoSnapshot | null;
     competitiveMatch: CompetitiveMatchSnapshot | null;
+    result: CompetitiveMatchResultSnapshot | null;
+    provisioningAttempts: MatchRoomProvisioningAttemptSnapshot[];
     participants: Participant[];
   };
   viewer: {
@@ -147,3 +191,91 @@ interface MatchRoomSnapshotShape<Participant> {
 
 export type MatchRoomAggregateSnapshot = MatchRoomSnapshotShape<MatchRoomAggregateParticipantSnapshot>;
 export type MatchRoomSnapshot = MatchRoomSnapshotShape<MatchRoomParticipantSnapshot>;
+
+export type MatchmakingQueueStatus = "IDLE" | "QUEUED" | "IN_ROOM";
+
+export interface MatchmakingQueueSnapshot {
+  status: MatchmakingQueueStatus;
+  queuedAt: Date | string | null;
+  /** 1-based position among QUEUED entries; null when not queued. */
+  position: number | null;
+  playersInQueue: number;
+  capacity: number;
+  /** Active room of the player, e.g. the one the queue just formed. */
+  roomId: string | null;
+}
+
+export type MatchRoomOperationAction = "force_cancel" | "force_fail" | "force_complete";
+
+export interface MatchRoomOperationsListFilter {
+  status: MatchRoomStatus | null;
+  createdFrom: string | null;
+  createdTo: string | null;
+  limit: number;
+}
+
+export interface MatchRoomOperationsSummary {
+  id: string;
+  status: MatchRoomStatus;
+  version: number;
+  creatorPlayerAccountId: string;
+  participantCount: number;
+  createdAt: Date | string;
+  updatedAt: Date | string;
+  readyAt: Date | string | null;
+  joinableAt: Date | string | null;
+  failedAt: Date | string | null;
+  failureReason: MatchRoomFailureReason;
+  completedAt: Date | string | null;
+  cancelledAt: Date | string | null;
+  competitiveMatch: {
+    id: string;
+    runtimeMatchId: number;
+    mapKey: string;
+  } | null;
+  activeServerKey: string | null;
+}
+
+export interface MatchRoomOperationsParticipantHistoryEntry {
+  playerAccountId: string;
+  joinedAt: Date | string;
+  releasedAt: Date | string | null;
+  releaseReason: string | null;
+}
+
+export interface MatchRoomOperationsCommandSnapshot {
+  id: string;
+  commandType: string;
+  bridgeNodeKey: string;
+  status: string;
+  attemptCount: number;
+  leaseExpiresAt: Date | string | null;
+  resultCode: string | null;
+  createdAt: Date | string;
+}
+
+export interface MatchRoomOperationsAssignmentSnapshot {
+  id: string;
+  serverKey: string;
+  assignedAt: Date | string;
+  releasedAt: Date | string | null;
+  releaseReason: string | null;
+  commands: MatchRoomOperationsCommandSnapshot[];
+}
+
+export interface MatchRoomOperationsHistory {
+  createdAt: Date | string;
+  cancelledAt: Date | string | null;
+  participants: MatchRoomOperationsParticipantHistoryEntry[];
+  assignments: MatchRoomOperationsAssignmentSnapshot[];
+}
+
+export interface MatchRoomOperationsAggregateDetail {
+  snapshot: MatchRoomAggregateSnapshot;
+  history: MatchRoomOperationsHistory;
+}
+
+export interface MatchRoomOperationsDetail {
+  room: MatchRoomSnapshot["room"];
+  history: MatchRoomOperationsHistory;
+}
@@ -1,3 +1,5 @@
+import type { EntitlementRequiredError } from "../player/entitlements/player-entitlement-requirement.js";
+
 export type MatchRoomErrorCode =
   | "already_in_active_room"
   | "already_in_room"
@@ -8,6 +10,11 @@ export type MatchRoomErrorCode =
   | "creator_must_cancel_room"
   | "not_room_creator"
   | "room_not_cancellable"
+  | "room_not_failable"
+  | "room_not_completable"
+  | "room_command_not_allowed"
+  | "room_server_not_assigned"
+  | "room_command_in_progress"
   | "room_not_confirmable"
   | "confirmation_window_closed"
   | "steam_identity_not_linked"
@@ -17,6 +24,7 @@ export type MatchRoomErrorCode =
   | "membership_suspended"
   | "membership_expired"
   | "membership_cancelled"
+  | EntitlementRequiredError
   | "room_not_drafting"
   | "not_draft_picker"
   | "draft_target_not_available"
@@ -24,7 +32,11 @@ export type MatchRoomErrorCode =
   | "room_not_vetoing"
   | "not_map_vetoer"
   | "map_veto_target_not_available"
-  | "map_veto_window_closed";
+  | "map_veto_window_closed"
+  | "already_in_queue"
+  | "not_in_queue"
+  | "matchmaking_queue_busy"
+  | "match_room_format_unavailable";
 
 export class MatchRoomError extends Error {
   constructor(readonly code: MatchRoomErrorCode) {
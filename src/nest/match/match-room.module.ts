@@ -4,12 +4,14 @@ import { MatchRoomService } from "./match-room.service.js";
 import { PlayerPresentationReferenceModule } from "../player/presentation-reference/player-presentation-reference.module.js";
 import { MatchMapPoolModule } from "./map-pool/match-map-pool.module.js";
 import { CompetitiveMatchModule } from "./competitive-match/competitive-match.module.js";
+import { MatchRoomFormatModule } from "./format/match-room-format.module.js";
 
 @Module({
   imports: [
     PlayerPresentationReferenceModule,
     MatchMapPoolModule,
     CompetitiveMatchModule,
+    MatchRoomFormatModule,
   ],
   providers: [MatchRoomRepository, MatchRoomService],
   exports: [MatchRoomService],
@@ -1,18 +1,34 @@
 import { randomUUID } from "node:crypto";
-import { Injectable } from "@nestjs/common";
-import type { PoolConnection, ResultSetHeader, RowDataPacket } from "mysql2/promise";
+import { Inject, Injectable } from "@nestjs/common";
+import type { Pool, PoolConnection, ResultSetHeader, RowDataPacket } from "mysql2/promise";
 
+import { APP_CONFIG, AppConfig } from "../core/app-config.js";
 import { DatabaseService } from "../database/database.service.js";
 import { resolveMembershipEffectiveStatus } from "../membership/membership-status.js";
+import {
+  entitlementRequiredError,
+  grantEntitlementExistsSql,
+  planEntitlementExistsSql,
+  type PlayerEntitlementKey,
+} from "../player/entitlements/player-entitlement-requirement.js";
 import {
   MIX_5V5_MAP_POOL_KEY,
 } from "./map-pool/match-map-pool.contract.js";
 import { validateMatchMapPoolInvariants } from "./map-pool/match-map-pool.invariants.js";
 import { MatchMapPoolRepository } from "./map-pool/match-map-pool.repository.js";
 import { CompetitiveMatchRepository } from "./competitive-match/competitive-match.repository.js";
+import type { CompetitiveMatchResultSnapshot } from "./competitive-match/competitive-match.contract.js";
 import { validateCompetitiveMatchSetupInvariants } from "./competitive-match/competitive-match.invariants.js";
 import {
-  MATCH_ROOM_CAPACITY,
+  DEFAULT_MATCH_ROOM_FORMAT_KEY,
+  matchRoomFormatMapCount,
+  resolveMatchRoomFormatTurnActor,
+  type MatchRoomFormat,
+} from "./format/match-room-format.js";
+import { MatchRoomFormatRepository } from "./format/match-room-format.repository.js";
+import type { MatchServerOperatorCommandType } from "./server-assignment/server-assignment.contract.js";
+import { balanceMatchTeams, computeMatchTeamBalanceRating } from "./team-balance/match-team-balance.js";
+import {
   type MatchRoomAggregateSnapshot,
   type MatchRoomDraftAssignmentSnapshot,
   type MatchRoomDraftAssignmentSource,
@@ -23,14 +39,21 @@ import {
   type MatchRoomMapVetoActionSource,
   type MatchRoomMapVetoPhase,
   type MatchRoomMapVetoSnapshot,
+  type MatchRoomProvisioningAttemptSnapshot,
+  type MatchRoomTeamSelectionMode,
+  type MatchmakingQueueSnapshot,
+  type MatchRoomOperationsAggregateDetail,
+  type MatchRoomOperationsCommandSnapshot,
+  type MatchRoomOperationsListFilter,
+  type MatchRoomOperationsSummary,
   type MatchRoomStatus,
   type MatchRoomViewerJoinSnapshot,
 } from "./match-room.contract.js";
 import { MatchRoomError, type MatchRoomErrorCode } from "./match-room.error.js";
 
-interface EligibilityRow extends RowDataPacket { account_status: string; has_steam: number; membership_status: string | null; membership_expires_at: Date | string | null; now_utc: Date | string }
-interface RoomRow extends RowDataPacket { id: string; creator_player_account_id: string; status: MatchRoomStatus; version: string | number; confirmation_round: string | number; confirmation_started_at: Date | string | null; confirmation_deadline_at: Date | string | null; roster_locked_at: Date | string | null; ready_at: Date | string | null; joinable_at: Date | string | null; failed_at: Date | string | null; failure_reason: MatchRoomFailureReason; completed_at: Date | string | null; confirmation_expired?: number; draft_expired?: number; veto_expired?: number }
-interface ParticipantRow extends RowDataPacket { player_account_id: string; joined_at: Date | string; confirmed_round: string | number | null; confirmed_at: Date | string | null }
+interface EligibilityRow extends RowDataPacket { account_status: string; has_steam: number; membership_status: string | null; membership_expires_at: Date | string | null; has_plan_entitlement: number; has_entitlement_grant?: number; now_utc: Date | string }
+interface RoomRow extends RowDataPacket { id: string; creator_player_account_id: string; format_key?: string; team_selection_mode?: MatchRoomTeamSelectionMode; status: MatchRoomStatus; version: string | number; confirmation_round: string | number; confirmation_started_at: Date | string | null; confirmation_deadline_at: Date | string | null; roster_locked_at: Date | string | null; ready_at: Date | string | null; joinable_at: Date | string | null; failed_at: Date | string | null; failure_reason: MatchRoomFailureReason; completed_at: Date | string | null; paused_at?: Date | string | null; confirmation_expired?: number; draft_expired?: number; veto_expired?: number }
+interface ParticipantRow extends RowDataPacket { player_account_id: string; joined_at: Date | string; confirmed_round: string | number | null; confirmed_at: Date | string | null; rating?: string | number | null }
 interface CountRow extends RowDataPacket { participant_count: string | number }
 interface ExistsRow extends RowDataPacket { exists_flag: number }
 interface IdRow extends RowDataPacket { id: string }
@@ -43,6 +66,15 @@ interface ViewerJoinRow extends RowDataPacket {
   frozen_steamid64: string;
   linked_steamid64: string | null;
 }
+interface ActiveAssignmentRow extends RowDataPacket { id: string; bridge_node_key: string; runtime_match_id: string | number }
+interface ProvisioningAttemptRow extends RowDataPacket {
+  server_key: string;
+  assigned_at: Date | string;
+  released_at: Date | string | null;
+  release_reason: string | null;
+  command_status: string | null;
+  result_code: string | null;
+}
 interface DraftRow extends RowDataPacket {
   room_id: string;
   captain_a_player_account_id: string;
@@ -62,8 +94,10 @@ interface AssignmentRow extends RowDataPacket {
   selection_order: string | number | null;
   source: string;
   picker_player_account_id: string | null;
+  balance_rating?: string | number | null;
   assigned_at: Date | string;
 }
+interface BalanceRatingRow extends RowDataPacket { player_account_id: string; damage: string | number | null; rounds_played: string | number | null }
 interface VetoRow extends RowDataPacket {
   room_id: string;
   pool_id: string;
@@ -85,8 +119,66 @@ interface VetoActionRow extends RowDataPacket {
   acted_at: Date | string;
 }
 
+interface OperationsSummaryRow extends RowDataPacket {
+  id: string;
+  creator_player_account_id: string;
+  status: MatchRoomStatus;
+  version: string | number;
+  participant_count: string | number;
+  created_at: Date | string;
+  updated_at: Date | string;
+  ready_at: Date | string | null;
+  joinable_at: Date | string | null;
+  failed_at: Date | string | null;
+  failure_reason: MatchRoomFailureReason;
+  completed_at: Date | string | null;
+  cancelled_at: Date | string | null;
+  competitive_match_id: string | null;
+  runtime_match_id: string | number | null;
+  map_key: string | null;
+  active_server_key: string | null;
+}
+interface OperationsTimestampRow extends RowDataPacket { created_at: Date | string; cancelled_at: Date | string | null }
+interface ParticipantHistoryRow extends RowDataPacket { player_account_id: string; joined_at: Date | string; released_at: Date | string | null; release_reason: string | null }
+interface AssignmentHistoryRow extends RowDataPacket { id: string; server_key: string; assigned_at: Date | string; released_at: Date | string | null; release_reason: string | null }
+interface CommandHistoryRow extends RowDataPacket {
+  id: string;
+  assignment_id: string;
+  command_type: string;
+  bridge_node_key: string;
+  status: string;
+  attempt_count: string | number;
+  lease_expires_at: Date | string | null;
+  result_code: string | null;
+  created_at: Date | string;
+}
+
+interface QueueEntryRow extends RowDataPacket { id: string; player_account_id: string }
+interface QueueStatusRow extends RowDataPacket { queued_at: Date | string; queue_position: string | number }
+interface LockRow extends RowDataPacket { acquired: number | null }
+
 type MutationOutcome = { error?: MatchRoomErrorCode; retryAfterReconciliation?: boolean };
 
+const MATCHMAKING_QUEUE_LOCK_NAME = "hsc:matchmaking:queue:v1";
+const MATCHMAKING_QUEUE_LOCK_TIMEOUT_SECONDS = 5;
+/** The queue only forms mix rooms. */
+const MATCHMAKING_FORMAT_KEY = DEFAULT_MATCH_ROOM_FORMAT_KEY;
+
+/** Writes the operator audit record inside the same transaction as the forced transition. */
+export type MatchRoomOperationAudit = (connection: PoolConnection) => Promise<void>;
+
+const FORCE_CANCELLABLE_STATUSES: readonly MatchRoomStatus[] = ["FORMING", "CONFIRMING", "SETUP", "READY", "PROVISIONING", "JOINABLE"];
+const FORCE_FAILABLE_STATUSES: readonly MatchRoomStatus[] = ["SETUP", "READY", "PROVISIONING", "JOINABLE"];
+const FORCE_COMPLETABLE_STATUSES: readonly MatchRoomStatus[] = ["JOINABLE"];
+const TERMINAL_STATUSES: readonly MatchRoomStatus[] = ["FAILED", "CANCELLED", "COMPLETED"];
+
+function isActiveQueueEntryUniqueViolation(error: unknown): boolean {
+  if (typeof error !== "object" || error === null || !("code" in error) || error.code !== "ER_DUP_ENTRY") return false;
+  const mysqlError = error as { sqlMessage?: unknown; message?: unknown };
+  const message = typeof mysqlError.sqlMessage === "string" ? mysqlError.sqlMessage : typeof mysqlError.message === "string" ? mysqlError.message : "";
+  return /for key ['`](?:[^'`]*\.)?uniq_match_matchmaking_queue_active_player['`]/i.test(message);
+}
+
 function isActivePlayerUniqueViolation(error: unknown): boolean {
   if (typeof error !== "object" || error === null || !("code" in error) || error.code !== "ER_DUP_ENTRY") return false;
   const mysqlError = error as { sqlMessage?: unknown; message?: unknown };
@@ -100,8 +192,18 @@ export class MatchRoomRepository {
     private readonly databaseService: DatabaseService,
     private readonly matchMapPoolRepository: MatchMapPoolRepository,
     private readonly competitiveMatchRepository: CompetitiveMatchRepository,
+    private readonly matchRoomFormatRepository: MatchRoomFormatRepository,
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
   ) {}
 
+  /** Format a room was created with; rooms predating formats have none and are mix_5v5. */
+  private async loadRoomFormat(connection: PoolConnection | Pool, formatKey: string | null | undefined): Promise<MatchRoomFormat> {
+    const key = formatKey ?? DEFAULT_MATCH_ROOM_FORMAT_KEY;
+    const format = await this.matchRoomFormatRepository.findOnConnection(connection, key);
+    if (!format) throw new TypeError(`Unknown match room format: ${key}.`);
+    return format;
+  }
+
   private async inTransaction<T>(work: (connection: PoolConnection) => Promise<T>): Promise<T> {
     const connection = await this.databaseService.getPool().getConnection();
     try {
@@ -121,36 +223,66 @@ export class MatchRoomRepository {
     } finally { connection.release(); }
   }
 
-  private eligibilityError(row: EligibilityRow): MatchRoomErrorCode | null {
+  /**
+   * Serializes queue mutations with a named lock held across the whole
+   * transaction, so two enqueues can never both see 9 waiting players.
+   */
+  private async inMatchmakingQueueLock<T>(work: (connection: PoolConnection) => Promise<T>): Promise<T> {
+    const connection = await this.databaseService.getPool().getConnection();
+    let lockAcquired = false;
+    try {
+      const [lockRows] = await connection.execute<LockRow[]>("SELECT GET_LOCK(?, ?) AS acquired", [MATCHMAKING_QUEUE_LOCK_NAME, MATCHMAKING_QUEUE_LOCK_TIMEOUT_SECONDS]);
+      if (Number(lockRows[0]?.acquired) !== 1) throw new MatchRoomError("matchmaking_queue_busy");
+      lockAcquired = true;
+      await connection.beginTransaction();
+      try { const result = await work(connection); await connection.commit(); return result; }
+      catch (error) { try { await connection.rollback(); } catch {} throw error; }
+    } finally {
+      if (lockAcquired) { try { await connection.execute("SELECT RELEASE_LOCK(?) AS released", [MATCHMAKING_QUEUE_LOCK_NAME]); } catch {} }
+      connection.release();
+    }
+  }
+
+  private eligibilityError(row: EligibilityRow, entitlementKey: PlayerEntitlementKey): MatchRoomErrorCode | null {
     if (row.account_status === "disabled") return "player_account_disabled";
     if (row.account_status !== "active") throw new TypeError("Invalid player account status.");
     if (!row.has_steam) return "steam_identity_not_linked";
+    // An individual grant stands on its own; only the plan needs an active membership.
+    if (Boolean(row.has_entitlement_grant)) return null;
     if (row.membership_status === null) return "membership_required";
-    const status = resolveMembershipEffectiveStatus({ status: row.membership_status, expiresAt: row.membership_expires_at, now: row.now_utc });
-    return status === "active" ? null : `membership_${status}` as MatchRoomErrorCode;
+    const status = resolveMembershipEffectiveStatus({
+      status: row.membership_status,
+      expiresAt: row.membership_expires_at,
+      now: row.now_utc,
+      gracePeriodHours: this.config.membershipLifecycle.gracePeriodHours,
+    });
+    if (status !== "active") return `membership_${status}` as MatchRoomErrorCode;
+    return Boolean(row.has_plan_entitlement) ? null : entitlementRequiredError(entitlementKey);
   }
 
-  private async getEligibilityError(connection: PoolConnection, playerAccountId: string) {
+  private async getEligibilityError(connection: PoolConnection, playerAccountId: string, entitlementKey: PlayerEntitlementKey) {
     const [rows] = await connection.execute<EligibilityRow[]>(`
       SELECT a.status AS account_status,
         EXISTS(SELECT 1 FROM player_steam_identities s WHERE s.player_account_id = a.id) AS has_steam,
-        m.status AS membership_status, m.expires_at AS membership_expires_at, UTC_TIMESTAMP(6) AS now_utc
+        m.status AS membership_status, m.expires_at AS membership_expires_at,
+        ${planEntitlementExistsSql("m")} AS has_plan_entitlement,
+        ${grantEntitlementExistsSql("a.id")} AS has_entitlement_grant, UTC_TIMESTAMP(6) AS now_utc
       FROM player_accounts a LEFT JOIN player_memberships m ON m.player_account_id = a.id
       WHERE a.id = ? LIMIT 1
-    `, [playerAccountId]);
+    `, [entitlementKey, entitlementKey, playerAccountId]);
     if (!rows[0]) throw new TypeError("Authenticated player account does not exist.");
-    return this.eligibilityError(rows[0]);
+    return this.eligibilityError(rows[0], entitlementKey);
   }
 
-  private async assertEligible(connection: PoolConnection, playerAccountId: string) {
-    const error = await this.getEligibilityError(connection, playerAccountId);
+  private async assertEligible(connection: PoolConnection, playerAccountId: string, entitlementKey: PlayerEntitlementKey) {
+    const error = await this.getEligibilityError(connection, playerAccountId, entitlementKey);
     if (error) throw new MatchRoomError(error);
   }
 
   private roomSelect(lock: boolean): string {
-    return `SELECT id, creator_player_account_id, status, version,
+    return `SELECT id, creator_player_account_id, format_key, team_selection_mode, status, version,
       confirmation_round, confirmation_started_at, confirmation_deadline_at, roster_locked_at, ready_at,
-      joinable_at, failed_at, failure_reason, completed_at,
+      joinable_at, failed_at, failure_reason, completed_at, paused_at,
       (status = 'CONFIRMING' AND confirmation_deadline_at <= UTC_TIMESTAMP(6)) AS confirmation_expired,
       (status = 'SETUP' AND EXISTS(SELECT 1 FROM match_room_drafts d WHERE d.room_id = match_rooms.id AND d.completed_at IS NULL AND d.pick_deadline_at <= UTC_TIMESTAMP(6))) AS draft_expired,
       (status = 'SETUP' AND EXISTS(SELECT 1 FROM match_room_map_vetos v WHERE v.room_id = match_rooms.id AND v.completed_at IS NULL AND v.action_deadline_at <= UTC_TIMESTAMP(6))) AS veto_expired
@@ -190,16 +322,16 @@ export class MatchRoomRepository {
     return true;
   }
 
-  private async initializeDraft(connection: PoolConnection, roomId: string): Promise<void> {
+  private async initializeDraft(connection: PoolConnection, roomId: string, format: MatchRoomFormat): Promise<void> {
     const [participants] = await connection.execute<ParticipantRow[]>(`
       SELECT player_account_id FROM match_room_participants
       WHERE room_id = ? AND released_at IS NULL ORDER BY joined_at ASC
     `, [roomId]);
-    if (participants.length !== MATCH_ROOM_CAPACITY) {
-      throw new TypeError(`Expected exactly ${MATCH_ROOM_CAPACITY} participants for draft initialization.`);
+    if (participants.length !== format.capacity) {
+      throw new TypeError(`Expected exactly ${format.capacity} participants for draft initialization.`);
     }
 
-    const indices = Array.from({ length: MATCH_ROOM_CAPACITY }, (_, i) => i);
+    const indices = Array.from({ length: format.capacity }, (_, i) => i);
     for (let i = indices.length - 1; i > 0; i--) {
       const j = Math.floor(Math.random() * (i + 1));
       [indices[i], indices[j]] = [indices[j]!, indices[i]!];
@@ -207,14 +339,26 @@ export class MatchRoomRepository {
     const captainAId = participants[indices[0]!]!.player_account_id;
     const captainBId = participants[indices[1]!]!.player_account_id;
     const firstPickerId = Math.random() < 0.5 ? captainAId : captainBId;
+    const currentPickerId = resolveMatchRoomFormatTurnActor(format.draftPickOrder[0], firstPickerId, captainAId, captainBId);
 
-    await connection.execute(`
-      INSERT INTO match_room_drafts (
-        room_id, captain_a_player_account_id, captain_b_player_account_id,
-        first_picker_player_account_id, current_picker_player_account_id,
-        next_selection_order, pick_deadline_at
-      ) VALUES (?, ?, ?, ?, ?, 1, DATE_ADD(UTC_TIMESTAMP(6), INTERVAL 30 SECOND))
-    `, [roomId, captainAId, captainBId, firstPickerId, firstPickerId]);
+    // Captains-only formats (1v1) have nothing to pick: the draft completes at once.
+    if (currentPickerId === null) {
+      await connection.execute(`
+        INSERT INTO match_room_drafts (
+          room_id, captain_a_player_account_id, captain_b_player_account_id,
+          first_picker_player_account_id, current_picker_player_account_id,
+          next_selection_order, pick_deadline_at, completed_at
+        ) VALUES (?, ?, ?, ?, NULL, NULL, NULL, UTC_TIMESTAMP(6))
+      `, [roomId, captainAId, captainBId, firstPickerId]);
+    } else {
+      await connection.execute(`
+        INSERT INTO match_room_drafts (
+          room_id, captain_a_player_account_id, captain_b_player_account_id,
+          first_picker_player_account_id, current_picker_player_account_id,
+          next_selection_order, pick_deadline_at
+        ) VALUES (?, ?, ?, ?, ?, 1, DATE_ADD(UTC_TIMESTAMP(6), INTERVAL 30 SECOND))
+      `, [roomId, captainAId, captainBId, firstPickerId, currentPickerId]);
+    }
 
     await connection.execute(`
       INSERT INTO match_room_draft_assignments (
@@ -223,6 +367,59 @@ export class MatchRoomRepository {
         (?, ?, 'A', 1, NULL, 'CAPTAIN', NULL),
         (?, ?, 'B', 1, NULL, 'CAPTAIN', NULL)
     `, [roomId, captainAId, roomId, captainBId]);
+
+    if (currentPickerId === null) await this.initializeMapVetoOnConnection(connection, roomId, captainAId, captainBId, format);
+  }
+
+  /**
+   * AUTO_BALANCE counterpart of initializeDraft: splits the confirmed roster by
+   * internal rating, records every assignment as AUTO_BALANCE with the rating
+   * used, completes the draft at once and opens the map veto between the two
+   * highest-rated players.
+   */
+  private async initializeAutoBalancedDraft(connection: PoolConnection, roomId: string, format: MatchRoomFormat): Promise<void> {
+    const [participants] = await connection.execute<ParticipantRow[]>(`
+      SELECT player_account_id FROM match_room_participants
+      WHERE room_id = ? AND released_at IS NULL ORDER BY joined_at ASC
+    `, [roomId]);
+    if (participants.length !== format.capacity) {
+      throw new TypeError(`Expected exactly ${format.capacity} participants for draft initialization.`);
+    }
+
+    const ids = participants.map((p) => p.player_account_id);
+    const [ratingRows] = await connection.execute<BalanceRatingRow[]>(`
+      SELECT player_account_id, SUM(damage) AS damage, SUM(rounds_played) AS rounds_played
+      FROM competitive_match_result_players
+      WHERE player_account_id IN (${ids.map(() => "?").join(", ")})
+      GROUP BY player_account_id
+    `, ids);
+    const history = new Map(ratingRows.map((row) => [row.player_account_id, row]));
+
+    const balanced = balanceMatchTeams(ids.map((playerAccountId) => {
+      const row = history.get(playerAccountId);
+      return { playerAccountId, rating: computeMatchTeamBalanceRating(Number(row?.damage ?? 0), Number(row?.rounds_played ?? 0)) };
+    }));
+    const [teamA, teamB] = Math.random() < 0.5 ? [balanced.teamA, balanced.teamB] : [balanced.teamB, balanced.teamA];
+
+    await connection.execute(`
+      INSERT INTO match_room_drafts (
+        room_id, captain_a_player_account_id, captain_b_player_account_id,
+        first_picker_player_account_id, current_picker_player_account_id,
+        next_selection_order, pick_deadline_at, completed_at
+      ) VALUES (?, ?, ?, ?, NULL, NULL, NULL, UTC_TIMESTAMP(6))
+    `, [roomId, teamA.captainPlayerAccountId, teamB.captainPlayerAccountId, teamA.captainPlayerAccountId]);
+
+    for (const [team, side] of [["A", teamA], ["B", teamB]] as const) {
+      for (const player of side.players) {
+        await connection.execute(`
+          INSERT INTO match_room_draft_assignments (
+            room_id, player_account_id, team, captain, selection_order, source, picker_player_account_id, balance_rating
+          ) VALUES (?, ?, ?, ?, NULL, 'AUTO_BALANCE', NULL, ?)
+        `, [roomId, player.playerAccountId, team, player.playerAccountId === side.captainPlayerAccountId ? 1 : 0, player.rating]);
+      }
+    }
+
+    await this.initializeMapVetoOnConnection(connection, roomId, teamA.captainPlayerAccountId, teamB.captainPlayerAccountId, format);
   }
 
   private async initializeMapVetoOnConnection(
@@ -230,25 +427,28 @@ export class MatchRoomRepository {
     roomId: string,
     captainAId: string,
     captainBId: string,
+    format: MatchRoomFormat,
   ): Promise<void> {
     const rawPool = await this.matchMapPoolRepository.findActivePoolOnConnection(
       connection,
-      MIX_5V5_MAP_POOL_KEY,
+      format.mapPoolKey,
     );
-    const pool = validateMatchMapPoolInvariants(rawPool, MIX_5V5_MAP_POOL_KEY);
+    const pool = validateMatchMapPoolInvariants(rawPool, format.mapPoolKey, matchRoomFormatMapCount(format));
     const firstVetoerId = Math.random() < 0.5 ? captainAId : captainBId;
+    const currentVetoerId = resolveMatchRoomFormatTurnActor(format.mapVetoOrder[0], firstVetoerId, captainAId, captainBId);
 
     await connection.execute(`
       INSERT INTO match_room_map_vetos (
         room_id, pool_id, first_vetoer_player_account_id,
         current_vetoer_player_account_id, next_action_order, action_deadline_at
       ) VALUES (?, ?, ?, ?, 1, DATE_ADD(UTC_TIMESTAMP(6), INTERVAL 30 SECOND))
-    `, [roomId, pool.id, firstVetoerId, firstVetoerId]);
+    `, [roomId, pool.id, firstVetoerId, currentVetoerId]);
   }
 
   private async materializeCompetitiveMatchOnConnection(
     connection: PoolConnection,
     roomId: string,
+    format: MatchRoomFormat,
   ): Promise<void> {
     const [existing] = await connection.execute<ExistsRow[]>(
       `SELECT EXISTS(SELECT 1 FROM competitive_matches WHERE room_id = ?) AS exists_flag`,
@@ -324,6 +524,7 @@ export class MatchRoomRepository {
 
     const validated = validateCompetitiveMatchSetupInvariants({
       roomStatus: "SETUP",
+      format: { key: format.key, teamSize: format.teamSize, gameMode: format.gameMode },
       draftCompleted: draft?.completed_at !== null && draft?.completed_at !== undefined,
       vetoCompleted: veto?.completed_at !== null && veto?.completed_at !== undefined,
       selectedMapKey: veto?.selected_map_key ?? null,
@@ -338,6 +539,7 @@ export class MatchRoomRepository {
 
     await this.competitiveMatchRepository.createOnConnection(connection, {
       roomId,
+      format: validated.format,
       map: validated.map,
       roster: validated.roster,
     });
@@ -346,6 +548,7 @@ export class MatchRoomRepository {
   private async reconcileDraftLocked(connection: PoolConnection, room: RoomRow, draft: DraftRow): Promise<boolean> {
     if (draft.completed_at !== null || !Boolean(draft.draft_expired)) return false;
 
+    const format = await this.loadRoomFormat(connection, room.format_key);
     let currentPicker = draft.current_picker_player_account_id;
     let nextOrder = Number(draft.next_selection_order ?? 1);
     const captainAId = draft.captain_a_player_account_id;
@@ -371,7 +574,7 @@ export class MatchRoomRepository {
               pick_deadline_at = NULL, completed_at = UTC_TIMESTAMP(6)
           WHERE room_id = ?
         `, [room.id]);
-        await this.initializeMapVetoOnConnection(connection, room.id, captainAId, captainBId);
+        await this.initializeMapVetoOnConnection(connection, room.id, captainAId, captainBId, format);
         break;
       }
 
@@ -391,7 +594,8 @@ export class MatchRoomRepository {
       const remainingAfterAutoPick = unassigned.length - 1;
 
       if (remainingAfterAutoPick > 1) {
-        currentPicker = currentPicker === captainAId ? captainBId : captainAId;
+        currentPicker = resolveMatchRoomFormatTurnActor(format.draftPickOrder[nextOrder], draft.first_picker_player_account_id, captainAId, captainBId);
+        if (!currentPicker) throw new TypeError("Draft pick order ended before the roster was complete.");
         nextOrder += 1;
         await connection.execute(`
           UPDATE match_room_drafts
@@ -407,13 +611,13 @@ export class MatchRoomRepository {
         if (!lastParticipant) throw new TypeError("Expected one remaining player for auto-assignment.");
 
         const teamACount = assignments.filter((a) => a.team === "A").length + (pickerTeam === "A" ? 1 : 0);
-        const lastTeam = teamACount === 4 ? "A" : "B";
+        const lastTeam = teamACount === format.teamSize - 1 ? "A" : "B";
 
         await connection.execute(`
           INSERT INTO match_room_draft_assignments (
             room_id, player_account_id, team, captain, selection_order, source, picker_player_account_id
-          ) VALUES (?, ?, ?, 0, 8, 'LAST_REMAINING', NULL)
-        `, [room.id, lastParticipant.player_account_id, lastTeam]);
+          ) VALUES (?, ?, ?, 0, ?, 'LAST_REMAINING', NULL)
+        `, [room.id, lastParticipant.player_account_id, lastTeam, format.capacity - 2]);
 
         await connection.execute(`
           UPDATE match_room_drafts
@@ -423,7 +627,7 @@ export class MatchRoomRepository {
               completed_at = UTC_TIMESTAMP(6)
           WHERE room_id = ?
         `, [room.id]);
-        await this.initializeMapVetoOnConnection(connection, room.id, captainAId, captainBId);
+        await this.initializeMapVetoOnConnection(connection, room.id, captainAId, captainBId, format);
         currentPicker = null;
         break;
       }
@@ -457,6 +661,7 @@ export class MatchRoomRepository {
         room.id,
         draft.captain_a_player_account_id,
         draft.captain_b_player_account_id,
+        await this.loadRoomFormat(connection, room.format_key),
       );
       await connection.execute(`UPDATE match_rooms SET version = version + 1 WHERE id = ?`, [room.id]);
       room.version = Number(room.version) + 1;
@@ -475,6 +680,7 @@ export class MatchRoomRepository {
 
     const currentVetoer = veto.current_vetoer_player_account_id;
     if (!currentVetoer) return false;
+    const format = await this.loadRoomFormat(connection, room.format_key);
 
     const nextOrder = Number(veto.next_action_order ?? 1);
 
@@ -512,8 +718,8 @@ export class MatchRoomRepository {
 
     const remainingUnbanned = unbannedKeys.length - 1;
 
-    if (nextOrder < 6 && remainingUnbanned > 1) {
-      const nextVetoer = currentVetoer === captainAId ? captainBId : captainAId;
+    const nextVetoer = resolveMatchRoomFormatTurnActor(format.mapVetoOrder[nextOrder], veto.first_vetoer_player_account_id, captainAId, captainBId);
+    if (nextVetoer && remainingUnbanned > 1) {
       await connection.execute(`
         UPDATE match_room_map_vetos
         SET current_vetoer_player_account_id = ?,
@@ -538,7 +744,7 @@ export class MatchRoomRepository {
         WHERE room_id = ?
       `, [lastMapKey, room.id]);
 
-      await this.materializeCompetitiveMatchOnConnection(connection, room.id);
+      await this.materializeCompetitiveMatchOnConnection(connection, room.id, format);
       await connection.execute(`UPDATE match_rooms SET status = 'READY', ready_at = UTC_TIMESTAMP(6), version = version + 1 WHERE id = ?`, [room.id]);
       room.version = Number(room.version) + 1;
       room.status = "READY";
@@ -597,7 +803,7 @@ export class MatchRoomRepository {
               `, [roomId]);
 
               if (!Boolean(matchRows[0]?.exists_flag)) {
-                await this.materializeCompetitiveMatchOnConnection(connection, roomId);
+                await this.materializeCompetitiveMatchOnConnection(connection, roomId, await this.loadRoomFormat(connection, room.format_key));
                 await connection.execute(`UPDATE match_rooms SET status = 'READY', ready_at = UTC_TIMESTAMP(6), version = version + 1 WHERE id = ?`, [roomId]);
                 room.version = Number(room.version) + 1;
                 room.status = "READY";
@@ -613,11 +819,22 @@ export class MatchRoomRepository {
     });
   }
 
-  async create(playerAccountId: string): Promise<string> {
+  async listFormats(): Promise<MatchRoomFormat[]> {
+    return this.matchRoomFormatRepository.listEnabled();
+  }
+
+  async create(
+    playerAccountId: string,
+    teamSelectionMode: MatchRoomTeamSelectionMode = "CAPTAIN_DRAFT",
+    formatKey: string = DEFAULT_MATCH_ROOM_FORMAT_KEY,
+  ): Promise<string> {
     return this.inTransaction(async (connection) => {
-      await this.assertEligible(connection, playerAccountId); const roomId = randomUUID();
+      await this.assertEligible(connection, playerAccountId, "mix.create");
+      if (!(await this.matchRoomFormatRepository.findEnabledOnConnection(connection, formatKey))) throw new MatchRoomError("match_room_format_unavailable");
+      if (await this.isQueuedOnConnection(connection, playerAccountId)) throw new MatchRoomError("already_in_queue");
+      const roomId = randomUUID();
       try {
-        await connection.execute("INSERT INTO match_rooms (id, creator_player_account_id, status, version) VALUES (?, ?, 'FORMING', 1)", [roomId, playerAccountId]);
+        await connection.execute("INSERT INTO match_rooms (id, creator_player_account_id, format_key, team_selection_mode, status, version) VALUES (?, ?, ?, ?, 'FORMING', 1)", [roomId, playerAccountId, formatKey, teamSelectionMode]);
         await connection.execute("INSERT INTO match_room_participants (id, room_id, player_account_id) VALUES (?, ?, ?)", [randomUUID(), roomId, playerAccountId]);
       } catch (error) { if (isActivePlayerUniqueViolation(error)) throw new MatchRoomError("already_in_active_room"); throw error; }
       return roomId;
@@ -629,25 +846,132 @@ export class MatchRoomRepository {
       const room = await this.lockRoom(connection, roomId);
       if (await this.reconcileLocked(connection, room)) return { retryAfterReconciliation: true };
       if (room.status !== "FORMING") return { error: "room_not_joinable" };
-      await this.assertEligible(connection, playerAccountId);
+      await this.assertEligible(connection, playerAccountId, "mix.participate");
+      if (await this.isQueuedOnConnection(connection, playerAccountId)) return { error: "already_in_queue" };
       const [sameRoom] = await connection.execute<CountRow[]>(`SELECT COUNT(*) AS participant_count FROM match_room_participants WHERE room_id = ? AND player_account_id = ? AND released_at IS NULL`, [roomId, playerAccountId]);
       if (Number(sameRoom[0]?.participant_count ?? 0) > 0) return { error: "already_in_room" };
       const [counts] = await connection.execute<CountRow[]>(`SELECT COUNT(*) AS participant_count FROM match_room_participants WHERE room_id = ? AND released_at IS NULL`, [roomId]);
       const count = Number(counts[0]?.participant_count ?? 0);
-      if (count >= MATCH_ROOM_CAPACITY) return { error: "room_full" };
+      const { capacity } = await this.loadRoomFormat(connection, room.format_key);
+      if (count >= capacity) return { error: "room_full" };
       try { await connection.execute("INSERT INTO match_room_participants (id, room_id, player_account_id) VALUES (?, ?, ?)", [randomUUID(), roomId, playerAccountId]); }
       catch (error) { if (isActivePlayerUniqueViolation(error)) return { error: "already_in_active_room" }; throw error; }
-      if (count + 1 === MATCH_ROOM_CAPACITY) {
-        await connection.execute(`UPDATE match_rooms SET status = 'CONFIRMING', confirmation_round = confirmation_round + 1,
-          confirmation_started_at = UTC_TIMESTAMP(6), confirmation_deadline_at = DATE_ADD(UTC_TIMESTAMP(6), INTERVAL 30 SECOND),
-          version = version + 1 WHERE id = ?`, [roomId]);
-      } else await connection.execute("UPDATE match_rooms SET version = version + 1 WHERE id = ?", [roomId]);
+      if (count + 1 === capacity) await this.startConfirmationOnConnection(connection, roomId);
+      else await connection.execute("UPDATE match_rooms SET version = version + 1 WHERE id = ?", [roomId]);
       return {};
     });
     if (outcome.retryAfterReconciliation) return this.join(roomId, playerAccountId);
     this.throwOutcome(outcome);
   }
 
+  private async startConfirmationOnConnection(connection: PoolConnection, roomId: string): Promise<void> {
+    await connection.execute(`UPDATE match_rooms SET status = 'CONFIRMING', confirmation_round = confirmation_round + 1,
+      confirmation_started_at = UTC_TIMESTAMP(6), confirmation_deadline_at = DATE_ADD(UTC_TIMESTAMP(6), INTERVAL 30 SECOND),
+      version = version + 1 WHERE id = ?`, [roomId]);
+  }
+
+  /**
+   * Rooms and the queue are exclusive. The locking read makes create/join wait
+   * for a formation that already holds the player's entry; the remaining race
+   * is handled by formQueuedRoomOnConnection.
+   */
+  private async isQueuedOnConnection(connection: PoolConnection, playerAccountId: string): Promise<boolean> {
+    const [rows] = await connection.execute<IdRow[]>(`SELECT id FROM match_matchmaking_queue_entries WHERE player_account_id = ? AND status = 'QUEUED' LIMIT 1 FOR UPDATE`, [playerAccountId]);
+    return Boolean(rows[0]);
+  }
+
+  private async removeQueueEntryOnConnection(connection: PoolConnection, entryId: string, reason: string): Promise<void> {
+    await connection.execute(`UPDATE match_matchmaking_queue_entries SET status = 'REMOVED', resolved_at = UTC_TIMESTAMP(6), removal_reason = ? WHERE id = ?`, [reason, entryId]);
+  }
+
+  async enqueue(playerAccountId: string): Promise<void> {
+    await this.inMatchmakingQueueLock(async (connection) => {
+      await this.assertEligible(connection, playerAccountId, "mix.participate");
+      const [active] = await connection.execute<CountRow[]>(`SELECT COUNT(*) AS participant_count FROM match_room_participants WHERE player_account_id = ? AND released_at IS NULL`, [playerAccountId]);
+      if (Number(active[0]?.participant_count ?? 0) > 0) throw new MatchRoomError("already_in_active_room");
+      try { await connection.execute("INSERT INTO match_matchmaking_queue_entries (id, player_account_id, status) VALUES (?, ?, 'QUEUED')", [randomUUID(), playerAccountId]); }
+      catch (error) { if (isActiveQueueEntryUniqueViolation(error)) throw new MatchRoomError("already_in_queue"); throw error; }
+      await this.formQueuedRoomOnConnection(connection);
+    });
+  }
+
+  async leaveQueue(playerAccountId: string): Promise<void> {
+    await this.inMatchmakingQueueLock(async (connection) => {
+      const [result] = await connection.execute<ResultSetHeader>(`UPDATE match_matchmaking_queue_entries SET status = 'LEFT', resolved_at = UTC_TIMESTAMP(6) WHERE player_account_id = ? AND status = 'QUEUED'`, [playerAccountId]);
+      if (result.affectedRows !== 1) throw new MatchRoomError("not_in_queue");
+    });
+  }
+
+  /**
+   * Forms a room from the 10 oldest queue entries once enough are waiting.
+   * Entries are re-checked first: players who lost eligibility or entered a
+   * room in the meantime are removed from the queue instead of matched. The
+   * oldest entry becomes the room creator, as if they had created it. A room
+   * join that commits between that check and the participant insert trips
+   * uniq_match_room_active_player: the half-built room is discarded, the entry
+   * removed and formation retried with the rest of the queue.
+   */
+  private async formQueuedRoomOnConnection(connection: PoolConnection): Promise<string | null> {
+    const [entries] = await connection.execute<QueueEntryRow[]>(`SELECT id, player_account_id FROM match_matchmaking_queue_entries WHERE status = 'QUEUED' ORDER BY queued_at ASC, id ASC FOR UPDATE`);
+    const { capacity } = await this.loadRoomFormat(connection, MATCHMAKING_FORMAT_KEY);
+    if (entries.length < capacity) return null;
+
+    const selected: QueueEntryRow[] = [];
+    for (const entry of entries) {
+      if (selected.length === capacity) break;
+      let reason: string | null = await this.getEligibilityError(connection, entry.player_account_id, "mix.participate");
+      if (!reason) {
+        const [active] = await connection.execute<CountRow[]>(`SELECT COUNT(*) AS participant_count FROM match_room_participants WHERE player_account_id = ? AND released_at IS NULL`, [entry.player_account_id]);
+        if (Number(active[0]?.participant_count ?? 0) > 0) reason = "already_in_active_room";
+      }
+      if (reason) {
+        await this.removeQueueEntryOnConnection(connection, entry.id, reason);
+        continue;
+      }
+      selected.push(entry);
+    }
+    if (selected.length < capacity) return null;
+
+    const roomId = randomUUID();
+    await connection.execute("INSERT INTO match_rooms (id, creator_player_account_id, format_key, team_selection_mode, status, version) VALUES (?, ?, ?, 'CAPTAIN_DRAFT', 'FORMING', 1)", [roomId, selected[0]!.player_account_id, MATCHMAKING_FORMAT_KEY]);
+    for (const entry of selected) {
+      try { await connection.execute("INSERT INTO match_room_participants (id, room_id, player_account_id) VALUES (?, ?, ?)", [randomUUID(), roomId, entry.player_account_id]); }
+      catch (error) {
+        if (!isActivePlayerUniqueViolation(error)) throw error;
+        await connection.execute("DELETE FROM match_room_participants WHERE room_id = ?", [roomId]);
+        await connection.execute("DELETE FROM match_rooms WHERE id = ?", [roomId]);
+        await this.removeQueueEntryOnConnection(connection, entry.id, "already_in_active_room");
+        return this.formQueuedRoomOnConnection(connection);
+      }
+    }
+    await this.startConfirmationOnConnection(connection, roomId);
+    await connection.execute(`UPDATE match_matchmaking_queue_entries SET status = 'MATCHED', room_id = ?, resolved_at = UTC_TIMESTAMP(6) WHERE id IN (${selected.map(() => "?").join(", ")})`, [roomId, ...selected.map((entry) => entry.id)]);
+    return roomId;
+  }
+
+  async getMatchmakingQueueStatus(playerAccountId: string): Promise<MatchmakingQueueSnapshot> {
+    const pool = this.databaseService.getPool();
+    const [entries] = await pool.execute<QueueStatusRow[]>(`
+      SELECT e.queued_at,
+        (SELECT COUNT(*) FROM match_matchmaking_queue_entries q
+          WHERE q.status = 'QUEUED' AND (q.queued_at < e.queued_at OR (q.queued_at = e.queued_at AND q.id <= e.id))) AS queue_position
+      FROM match_matchmaking_queue_entries e
+      WHERE e.player_account_id = ? AND e.status = 'QUEUED' LIMIT 1
+    `, [playerAccountId]);
+    const [counts] = await pool.execute<CountRow[]>(`SELECT COUNT(*) AS participant_count FROM match_matchmaking_queue_entries WHERE status = 'QUEUED'`);
+    const [rooms] = await pool.execute<IdRow[]>(`SELECT room_id AS id FROM match_room_participants WHERE player_account_id = ? AND released_at IS NULL LIMIT 1`, [playerAccountId]);
+    const entry = entries[0]; const roomId = rooms[0]?.id ?? null;
+    const { capacity } = await this.loadRoomFormat(pool, MATCHMAKING_FORMAT_KEY);
+    return {
+      status: entry ? "QUEUED" : roomId ? "IN_ROOM" : "IDLE",
+      queuedAt: entry?.queued_at ?? null,
+      position: entry ? Number(entry.queue_position) : null,
+      playersInQueue: Number(counts[0]?.participant_count ?? 0),
+      capacity,
+      roomId,
+    };
+  }
+
   async leave(roomId: string, playerAccountId: string): Promise<void> {
     const outcome = await this.inTransaction<MutationOutcome>(async (connection) => {
       const room = await this.lockRoom(connection, roomId);
@@ -690,9 +1014,11 @@ export class MatchRoomRepository {
       if (Number(participants[0].confirmed_round) === round) return {};
       await connection.execute(`UPDATE match_room_participants SET confirmed_round = ?, confirmed_at = UTC_TIMESTAMP(6) WHERE room_id = ? AND player_account_id = ? AND released_at IS NULL`, [round, roomId, playerAccountId]);
       const [counts] = await connection.execute<CountRow[]>(`SELECT COUNT(*) AS participant_count FROM match_room_participants WHERE room_id = ? AND released_at IS NULL AND confirmed_round = ?`, [roomId, round]);
-      if (Number(counts[0]?.participant_count ?? 0) === MATCH_ROOM_CAPACITY) {
+      const format = await this.loadRoomFormat(connection, room.format_key);
+      if (Number(counts[0]?.participant_count ?? 0) === format.capacity) {
         await connection.execute(`UPDATE match_rooms SET status = 'SETUP', roster_locked_at = UTC_TIMESTAMP(6), confirmation_started_at = NULL, confirmation_deadline_at = NULL, version = version + 1 WHERE id = ?`, [roomId]);
-        await this.initializeDraft(connection, roomId);
+        if (room.team_selection_mode === "AUTO_BALANCE") await this.initializeAutoBalancedDraft(connection, roomId, format);
+        else await this.initializeDraft(connection, roomId, format);
       } else await connection.execute("UPDATE match_rooms SET version = version + 1 WHERE id = ?", [roomId]);
       return {};
     }); this.throwOutcome(outcome);
@@ -749,6 +1075,7 @@ export class MatchRoomRepository {
       if (!pickerAssignment) return { error: "not_draft_picker" };
       const pickerTeam = pickerAssignment.team;
 
+      const format = await this.loadRoomFormat(connection, room.format_key);
       const selectionOrder = Number(draft.next_selection_order);
       await connection.execute(`
         INSERT INTO match_room_draft_assignments
@@ -757,12 +1084,16 @@ export class MatchRoomRepository {
       `, [roomId, targetPlayerAccountId, pickerTeam, selectionOrder, viewerId]);
 
       const totalAssigned = assignments.length + 1;
-      const remainingCount = MATCH_ROOM_CAPACITY - totalAssigned;
+      const remainingCount = format.capacity - totalAssigned;
 
       if (remainingCount > 1) {
-        const nextPicker = viewerId === draft.captain_a_player_account_id
-          ? draft.captain_b_player_account_id
-          : draft.captain_a_player_account_id;
+        const nextPicker = resolveMatchRoomFormatTurnActor(
+          format.draftPickOrder[selectionOrder],
+          draft.first_picker_player_account_id,
+          draft.captain_a_player_account_id,
+          draft.captain_b_player_account_id,
+        );
+        if (!nextPicker) throw new TypeError("Draft pick order ended before the roster was complete.");
         await connection.execute(`
           UPDATE match_room_drafts
           SET current_picker_player_account_id = ?,
@@ -776,13 +1107,13 @@ export class MatchRoomRepository {
         if (!remainingParticipant) throw new TypeError("Expected one remaining player for auto-assignment.");
 
         const teamACount = assignments.filter((a) => a.team === "A").length + (pickerTeam === "A" ? 1 : 0);
-        const lastTeam = teamACount === 4 ? "A" : "B";
+        const lastTeam = teamACount === format.teamSize - 1 ? "A" : "B";
 
         await connection.execute(`
           INSERT INTO match_room_draft_assignments
             (room_id, player_account_id, team, captain, selection_order, source, picker_player_account_id)
-          VALUES (?, ?, ?, 0, 8, 'LAST_REMAINING', NULL)
-        `, [roomId, remainingParticipant.player_account_id, lastTeam]);
+          VALUES (?, ?, ?, 0, ?, 'LAST_REMAINING', NULL)
+        `, [roomId, remainingParticipant.player_account_id, lastTeam, format.capacity - 2]);
 
         await connection.execute(`
           UPDATE match_room_drafts
@@ -798,6 +1129,7 @@ export class MatchRoomRepository {
           roomId,
           draft.captain_a_player_account_id,
           draft.captain_b_player_account_id,
+          format,
         );
       }
 
@@ -855,6 +1187,7 @@ export class MatchRoomRepository {
       }
 
       const nextOrder = Number(veto.next_action_order);
+      const format = await this.loadRoomFormat(connection, room.format_key);
 
       await connection.execute(`
         INSERT INTO match_room_map_veto_actions (
@@ -862,10 +1195,13 @@ export class MatchRoomRepository {
         ) VALUES (?, ?, ?, ?, ?, 'MANUAL_BAN')
       `, [roomId, veto.pool_id, nextOrder, mapKey, viewerId]);
 
-      if (nextOrder < 6) {
-        const nextVetoer = viewerId === draft.captain_a_player_account_id
-          ? draft.captain_b_player_account_id
-          : draft.captain_a_player_account_id;
+      const nextVetoer = resolveMatchRoomFormatTurnActor(
+        format.mapVetoOrder[nextOrder],
+        veto.first_vetoer_player_account_id,
+        draft.captain_a_player_account_id,
+        draft.captain_b_player_account_id,
+      );
+      if (nextVetoer) {
 
         await connection.execute(`
           UPDATE match_room_map_vetos
@@ -890,7 +1226,7 @@ export class MatchRoomRepository {
           WHERE room_id = ?
         `, [lastMapKey, roomId]);
 
-        await this.materializeCompetitiveMatchOnConnection(connection, roomId);
+        await this.materializeCompetitiveMatchOnConnection(connection, roomId, format);
         await connection.execute(`UPDATE match_rooms SET status = 'READY', ready_at = UTC_TIMESTAMP(6), version = version + 1 WHERE id = ?`, [roomId]);
       }
 
@@ -901,6 +1237,105 @@ export class MatchRoomRepository {
     this.throwOutcome(outcome);
   }
 
+  /**
+   * Releases everything a room still holds once an operator forces it into a terminal state:
+   * active participants and outstanding bridge commands. A live server assignment is not
+   * released here; the game server is told to stop (ABORT_MATCH for a running match,
+   * RELEASE_SERVER otherwise) and the assignment is released when the bridge acknowledges it.
+   */
+  private async releaseRoomResourcesLocked(connection: PoolConnection, room: RoomRow, reason: string): Promise<void> {
+    await connection.execute(`UPDATE match_room_participants SET released_at = UTC_TIMESTAMP(6), release_reason = ? WHERE room_id = ? AND released_at IS NULL`, [reason, room.id]);
+    await connection.execute(`
+      UPDATE match_server_commands c
+      JOIN match_server_assignments a ON a.id = c.assignment_id
+      JOIN competitive_matches cm ON cm.id = a.competitive_match_id
+      SET c.status = 'FAILED', c.result_code = ?, c.lease_expires_at = NULL
+      WHERE cm.room_id = ? AND a.released_at IS NULL AND c.status IN ('PENDING', 'CLAIMED')
+    `, [reason, room.id]);
+    const assignment = await this.lockActiveAssignment(connection, room.id);
+    if (assignment) {
+      await this.insertServerCommand(connection, assignment, room.status === "JOINABLE" ? "ABORT_MATCH" : "RELEASE_SERVER");
+    }
+  }
+
+  private async lockActiveAssignment(connection: PoolConnection, roomId: string): Promise<ActiveAssignmentRow | null> {
+    const [assignments] = await connection.execute<ActiveAssignmentRow[]>(`
+      SELECT a.id, sr.bridge_node_key, cm.runtime_match_id
+      FROM competitive_matches cm
+      JOIN match_server_assignments a ON a.competitive_match_id = cm.id AND a.released_at IS NULL
+      JOIN match_server_resources sr ON sr.server_key = a.server_key
+      WHERE cm.room_id = ? LIMIT 1 FOR UPDATE
+    `, [roomId]);
+    return assignments[0] ?? null;
+  }
+
+  private async insertServerCommand(connection: PoolConnection, assignment: ActiveAssignmentRow, commandType: MatchServerOperatorCommandType): Promise<void> {
+    await connection.execute(`
+      INSERT INTO match_server_commands (id, assignment_id, bridge_node_key, command_type, runtime_match_id, created_at)
+      VALUES (?, ?, ?, ?, ?, UTC_TIMESTAMP(6))
+    `, [randomUUID(), assignment.id, assignment.bridge_node_key, commandType, Number(assignment.runtime_match_id)]);
+  }
+
+  async forceCancel(roomId: string, audit: MatchRoomOperationAudit): Promise<void> {
+    const outcome = await this.inTransaction<MutationOutcome>(async (connection) => {
+      const room = await this.lockRoom(connection, roomId);
+      if (!FORCE_CANCELLABLE_STATUSES.includes(room.status)) return { error: "room_not_cancellable" };
+      await connection.execute(`UPDATE match_rooms SET status = 'CANCELLED', cancelled_at = UTC_TIMESTAMP(6), confirmation_started_at = NULL, confirmation_deadline_at = NULL, version = version + 1 WHERE id = ?`, [roomId]);
+      await this.releaseRoomResourcesLocked(connection, room, "ADMIN_FORCE_CANCEL");
+      await audit(connection);
+      return {};
+    });
+    this.throwOutcome(outcome);
+  }
+
+  async forceFail(roomId: string, failureReason: NonNullable<MatchRoomFailureReason>, audit: MatchRoomOperationAudit): Promise<void> {
+    const outcome = await this.inTransaction<MutationOutcome>(async (connection) => {
+      const room = await this.lockRoom(connection, roomId);
+      if (!FORCE_FAILABLE_STATUSES.includes(room.status)) return { error: "room_not_failable" };
+      await connection.execute(`UPDATE match_rooms SET status = 'FAILED', failed_at = UTC_TIMESTAMP(6), failure_reason = ?, version = version + 1 WHERE id = ?`, [failureReason, roomId]);
+      await this.releaseRoomResourcesLocked(connection, room, "ADMIN_FORCE_FAIL");
+      await audit(connection);
+      return {};
+    });
+    this.throwOutcome(outcome);
+  }
+
+  async forceComplete(roomId: string, audit: MatchRoomOperationAudit): Promise<void> {
+    const outcome = await this.inTransaction<MutationOutcome>(async (connection) => {
+      const room = await this.lockRoom(connection, roomId);
+      if (!FORCE_COMPLETABLE_STATUSES.includes(room.status)) return { error: "room_not_completable" };
+      await connection.execute(`UPDATE match_rooms SET status = 'COMPLETED', completed_at = UTC_TIMESTAMP(6), version = version + 1 WHERE id = ?`, [roomId]);
+      await this.releaseRoomResourcesLocked(connection, room, "ADMIN_FORCE_COMPLETE");
+      await audit(connection);
+      return {};
+    });
+    this.throwOutcome(outcome);
+  }
+
+  /**
+   * Queues an operator command on the room's active server assignment. Live-match commands
+   * require a JOINABLE room; RELEASE_SERVER only frees servers still held by terminal rooms.
+   * One command per assignment may be outstanding at a time, so the bridge applies them in order.
+   */
+  async enqueueServerCommand(roomId: string, commandType: MatchServerOperatorCommandType, audit: MatchRoomOperationAudit): Promise<void> {
+    const outcome = await this.inTransaction<MutationOutcome>(async (connection) => {
+      const room = await this.lockRoom(connection, roomId);
+      const paused = room.paused_at !== null && room.paused_at !== undefined;
+      const allowed = commandType === "RELEASE_SERVER"
+        ? TERMINAL_STATUSES.includes(room.status)
+        : room.status === "JOINABLE" && (commandType !== "PAUSE_MATCH" || !paused) && (commandType !== "UNPAUSE_MATCH" || paused);
+      if (!allowed) return { error: "room_command_not_allowed" };
+      const assignment = await this.lockActiveAssignment(connection, roomId);
+      if (!assignment) return { error: "room_server_not_assigned" };
+      const [outstanding] = await connection.execute<IdRow[]>(`SELECT id FROM match_server_commands WHERE assignment_id = ? AND status IN ('PENDING', 'CLAIMED') LIMIT 1 FOR UPDATE`, [assignment.id]);
+      if (outstanding[0]) return { error: "room_command_in_progress" };
+      await this.insertServerCommand(connection, assignment, commandType);
+      await audit(connection);
+      return {};
+    });
+    this.throwOutcome(outcome);
+  }
+
   async getById(roomId: string, viewerId: string): Promise<MatchRoomAggregateSnapshot | null> {
     try { await this.reconcileRoom(roomId); } catch (error) { if (error instanceof MatchRoomError && error.code === "room_not_found") return null; throw error; }
     return this.inReadSnapshot(async (connection) => {
@@ -913,7 +1348,7 @@ export class MatchRoomRepository {
     const [active] = await this.databaseService.getPool().execute<IdRow[]>(`SELECT room_id AS id FROM match_room_participants WHERE player_account_id = ? AND released_at IS NULL LIMIT 1`, [viewerId]);
     if (active[0]) await this.reconcileRoom(active[0].id);
     return this.inReadSnapshot(async (connection) => {
-      const [rooms] = await connection.execute<RoomRow[]>(`SELECT r.id, r.creator_player_account_id, r.status, r.version, r.confirmation_round, r.confirmation_started_at, r.confirmation_deadline_at, r.roster_locked_at, r.ready_at, r.joinable_at, r.failed_at, r.failure_reason, r.completed_at, 0 AS confirmation_expired FROM match_room_participants p JOIN match_rooms r ON r.id = p.room_id WHERE p.player_account_id = ? AND p.released_at IS NULL LIMIT 1`, [viewerId]);
+      const [rooms] = await connection.execute<RoomRow[]>(`SELECT r.id, r.creator_player_account_id, r.format_key, r.team_selection_mode, r.status, r.version, r.confirmation_round, r.confirmation_started_at, r.confirmation_deadline_at, r.roster_locked_at, r.ready_at, r.joinable_at, r.failed_at, r.failure_reason, r.completed_at, r.paused_at, 0 AS confirmation_expired FROM match_room_participants p JOIN match_rooms r ON r.id = p.room_id WHERE p.player_account_id = ? AND p.released_at IS NULL LIMIT 1`, [viewerId]);
       if (!rooms[0]) return null; return this.buildSnapshot(connection, rooms[0], viewerId, await this.readViewerContext(connection, viewerId));
     });
   }
@@ -934,23 +1369,125 @@ export class MatchRoomRepository {
     `);
     for (const row of expiredVetos) await this.reconcileRoom(row.id);
     return this.inReadSnapshot(async (connection) => {
-      const [rooms] = await connection.execute<RoomRow[]>(`SELECT DISTINCT r.id, r.creator_player_account_id, r.status, r.version, r.confirmation_round, r.confirmation_started_at, r.confirmation_deadline_at, r.roster_locked_at, r.ready_at, r.joinable_at, r.failed_at, r.failure_reason, r.completed_at, 0 AS confirmation_expired FROM match_rooms r LEFT JOIN match_room_participants p ON p.room_id = r.id AND p.player_account_id = ? AND p.released_at IS NULL WHERE r.status = 'FORMING' OR p.id IS NOT NULL ORDER BY r.created_at ASC, r.id ASC`, [viewerId]);
+      const [rooms] = await connection.execute<RoomRow[]>(`SELECT DISTINCT r.id, r.creator_player_account_id, r.format_key, r.team_selection_mode, r.status, r.version, r.confirmation_round, r.confirmation_started_at, r.confirmation_deadline_at, r.roster_locked_at, r.ready_at, r.joinable_at, r.failed_at, r.failure_reason, r.completed_at, r.paused_at, 0 AS confirmation_expired FROM match_rooms r LEFT JOIN match_room_participants p ON p.room_id = r.id AND p.player_account_id = ? AND p.released_at IS NULL WHERE r.status = 'FORMING' OR p.id IS NOT NULL ORDER BY r.created_at ASC, r.id ASC`, [viewerId]);
       const context = await this.readViewerContext(connection, viewerId); return Promise.all(rooms.map((room) => this.buildSnapshot(connection, room, viewerId, context)));
     });
   }
 
+  async listForOperations(filter: MatchRoomOperationsListFilter): Promise<MatchRoomOperationsSummary[]> {
+    const conditions: string[] = [];
+    const values: Array<string | number> = [];
+    if (filter.status) { conditions.push("r.status = ?"); values.push(filter.status); }
+    if (filter.createdFrom) { conditions.push("r.created_at >= ?"); values.push(filter.createdFrom); }
+    if (filter.createdTo) { conditions.push("r.created_at < ?"); values.push(filter.createdTo); }
+    const [rows] = await this.databaseService.getPool().execute<OperationsSummaryRow[]>(`
+      SELECT r.id, r.creator_player_account_id, r.status, r.version, r.created_at, r.updated_at,
+        r.ready_at, r.joinable_at, r.failed_at, r.failure_reason, r.completed_at, r.cancelled_at,
+        (SELECT COUNT(*) FROM match_room_participants p WHERE p.room_id = r.id AND p.released_at IS NULL) AS participant_count,
+        cm.id AS competitive_match_id, cm.runtime_match_id, cm.map_key,
+        (SELECT a.server_key FROM match_server_assignments a WHERE a.competitive_match_id = cm.id AND a.released_at IS NULL LIMIT 1) AS active_server_key
+      FROM match_rooms r
+      LEFT JOIN competitive_matches cm ON cm.room_id = r.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT ?
+    `, [...values, filter.limit]);
+    return rows.map((row) => ({
+      id: row.id,
+      status: row.status,
+      version: Number(row.version),
+      creatorPlayerAccountId: row.creator_player_account_id,
+      participantCount: Number(row.participant_count),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      readyAt: row.ready_at,
+      joinableAt: row.joinable_at,
+      failedAt: row.failed_at,
+      failureReason: row.failure_reason ?? null,
+      completedAt: row.completed_at,
+      cancelledAt: row.cancelled_at,
+      competitiveMatch: row.competitive_match_id
+        ? { id: row.competitive_match_id, runtimeMatchId: Number(row.runtime_match_id), mapKey: row.map_key ?? "" }
+        : null,
+      activeServerKey: row.active_server_key,
+    }));
+  }
+
+  async getOperationsDetail(roomId: string): Promise<MatchRoomOperationsAggregateDetail | null> {
+    try { await this.reconcileRoom(roomId); } catch (error) { if (error instanceof MatchRoomError && error.code === "room_not_found") return null; throw error; }
+    return this.inReadSnapshot(async (connection) => {
+      const [rooms] = await connection.execute<RoomRow[]>(this.roomSelect(false), [roomId]); if (!rooms[0]) return null;
+      const snapshot = await this.buildSnapshot(connection, rooms[0], "", { eligible: false, hasActiveRoom: false });
+      const [timestamps] = await connection.execute<OperationsTimestampRow[]>(`SELECT created_at, cancelled_at FROM match_rooms WHERE id = ? LIMIT 1`, [roomId]);
+      const [participants] = await connection.execute<ParticipantHistoryRow[]>(`
+        SELECT player_account_id, joined_at, released_at, release_reason FROM match_room_participants
+        WHERE room_id = ? ORDER BY joined_at ASC, id ASC
+      `, [roomId]);
+      const [assignments] = await connection.execute<AssignmentHistoryRow[]>(`
+        SELECT a.id, a.server_key, a.assigned_at, a.released_at, a.release_reason
+        FROM match_server_assignments a JOIN competitive_matches cm ON cm.id = a.competitive_match_id
+        WHERE cm.room_id = ? ORDER BY a.assigned_at ASC, a.id ASC
+      `, [roomId]);
+      const [commands] = await connection.execute<CommandHistoryRow[]>(`
+        SELECT c.id, c.assignment_id, c.command_type, c.bridge_node_key, c.status, c.attempt_count,
+          c.lease_expires_at, c.result_code, c.created_at
+        FROM match_server_commands c
+        JOIN match_server_assignments a ON a.id = c.assignment_id
+        JOIN competitive_matches cm ON cm.id = a.competitive_match_id
+        WHERE cm.room_id = ? ORDER BY c.created_at ASC, c.id ASC
+      `, [roomId]);
+      const commandsByAssignment = new Map<string, MatchRoomOperationsCommandSnapshot[]>();
+      for (const c of commands) {
+        const list = commandsByAssignment.get(c.assignment_id) ?? [];
+        list.push({
+          id: c.id,
+          commandType: c.command_type,
+          bridgeNodeKey: c.bridge_node_key,
+          status: c.status,
+          attemptCount: Number(c.attempt_count),
+          leaseExpiresAt: c.lease_expires_at,
+          resultCode: c.result_code,
+          createdAt: c.created_at,
+        });
+        commandsByAssignment.set(c.assignment_id, list);
+      }
+      return {
+        snapshot,
+        history: {
+          createdAt: timestamps[0]?.created_at ?? "",
+          cancelledAt: timestamps[0]?.cancelled_at ?? null,
+          participants: participants.map((p) => ({
+            playerAccountId: p.player_account_id,
+            joinedAt: p.joined_at,
+            releasedAt: p.released_at,
+            releaseReason: p.release_reason,
+          })),
+          assignments: assignments.map((a) => ({
+            id: a.id,
+            serverKey: a.server_key,
+            assignedAt: a.assigned_at,
+            releasedAt: a.released_at,
+            releaseReason: a.release_reason,
+            commands: commandsByAssignment.get(a.id) ?? [],
+          })),
+        },
+      };
+    });
+  }
+
   private async readViewerContext(connection: PoolConnection, viewerId: string) {
-    const eligibilityError = await this.getEligibilityError(connection, viewerId);
+    const eligibilityError = await this.getEligibilityError(connection, viewerId, "mix.participate");
     const [activeRows] = await connection.execute<ExistsRow[]>(`SELECT EXISTS(SELECT 1 FROM match_room_participants WHERE player_account_id = ? AND released_at IS NULL) AS exists_flag`, [viewerId]);
     return { eligible: eligibilityError === null, hasActiveRoom: Boolean(activeRows[0]?.exists_flag) };
   }
 
   private async buildSnapshot(connection: PoolConnection, room: RoomRow, viewerId: string, context: { eligible: boolean; hasActiveRoom: boolean }): Promise<MatchRoomAggregateSnapshot> {
-    const [participants] = await connection.execute<ParticipantRow[]>(`SELECT player_account_id, joined_at, confirmed_round, confirmed_at FROM match_room_participants WHERE room_id = ? AND released_at IS NULL ORDER BY joined_at ASC, id ASC`, [room.id]);
+    const [participants] = await connection.execute<ParticipantRow[]>(`SELECT p.player_account_id, p.joined_at, p.confirmed_round, p.confirmed_at, pr.rating FROM match_room_participants p LEFT JOIN player_match_ratings pr ON pr.player_account_id = p.player_account_id WHERE p.room_id = ? AND p.released_at IS NULL ORDER BY p.joined_at ASC, p.id ASC`, [room.id]);
     const round = Number(room.confirmation_round);
+    const format = await this.loadRoomFormat(connection, room.format_key);
     const participantSnapshots = participants.map((participant) => {
       const confirmed = Number(participant.confirmed_round) === round && round > 0;
-      return { playerAccountId: participant.player_account_id, joinedAt: participant.joined_at, confirmation: { confirmed, confirmedAt: confirmed ? participant.confirmed_at : null } };
+      return { playerAccountId: participant.player_account_id, joinedAt: participant.joined_at, confirmation: { confirmed, confirmedAt: confirmed ? participant.confirmed_at : null }, rating: participant.rating === null || participant.rating === undefined ? null : Number(participant.rating) };
     });
     const viewer = participantSnapshots.find((participant) => participant.playerAccountId === viewerId);
     const viewerParticipant = Boolean(viewer); const viewerCreator = room.creator_player_account_id === viewerId;
@@ -975,7 +1512,7 @@ export class MatchRoomRepository {
       if (draftRows[0]) {
         const dRow = draftRows[0];
         const [assignmentRows] = await connection.execute<AssignmentRow[]>(`
-          SELECT player_account_id, team, captain, selection_order, source, picker_player_account_id, assigned_at
+          SELECT player_account_id, team, captain, selection_order, source, picker_player_account_id, balance_rating, assigned_at
           FROM match_room_draft_assignments WHERE room_id = ?
           ORDER BY assigned_at ASC, captain DESC, selection_order ASC
         `, [room.id]);
@@ -987,6 +1524,7 @@ export class MatchRoomRepository {
           selectionOrder: a.selection_order === null ? null : Number(a.selection_order),
           source: a.source as MatchRoomDraftAssignmentSource,
           pickerPlayerAccountId: a.picker_player_account_id,
+          balanceRating: a.balance_rating === null || a.balance_rating === undefined ? null : Number(a.balance_rating),
           assignedAt: a.assigned_at,
         }));
 
@@ -1099,6 +1637,24 @@ export class MatchRoomRepository {
 
     const competitiveMatchSnapshot = await this.competitiveMatchRepository.findByRoomIdOnConnection(connection, room.id);
 
+    let provisioningAttempts: MatchRoomProvisioningAttemptSnapshot[] = [];
+    let resultSnapshot: CompetitiveMatchResultSnapshot | null = null;
+    if (competitiveMatchSnapshot) {
+      resultSnapshot = await this.competitiveMatchRepository.findResultOnConnection(connection, competitiveMatchSnapshot.id);
+      const [attemptRows] = await connection.execute<ProvisioningAttemptRow[]>(
+        `SELECT a.server_key, a.assigned_at, a.released_at, a.release_reason, c.status AS command_status, c.result_code
+         FROM match_server_assignments a
+         LEFT JOIN match_server_commands c ON c.assignment_id = a.id AND c.command_type = 'PREPARE_MATCH'
+         WHERE a.competitive_match_id = ?
+         ORDER BY a.assigned_at ASC, a.id ASC`,
+        [competitiveMatchSnapshot.id],
+      );
+      provisioningAttempts = attemptRows.map((row, index) => ({
+        attempt: index + 1, serverKey: row.server_key, assignedAt: row.assigned_at, releasedAt: row.released_at,
+        releaseReason: row.release_reason, prepareStatus: row.command_status, resultCode: row.result_code,
+      }));
+    }
+
     let canJoinServer = false;
     let viewerJoin: MatchRoomViewerJoinSnapshot | null = null;
 
@@ -1151,11 +1707,11 @@ export class MatchRoomRepository {
     }
 
     return {
-      room: { id: room.id, status: room.status, version: Number(room.version), creator: { playerAccountId: room.creator_player_account_id }, participantCount: participants.length, capacity: MATCH_ROOM_CAPACITY,
+      room: { id: room.id, status: room.status, version: Number(room.version), creator: { playerAccountId: room.creator_player_account_id }, participantCount: participants.length, capacity: format.capacity, formatKey: format.key, teamSize: format.teamSize, gameMode: format.gameMode, teamSelectionMode: room.team_selection_mode ?? "CAPTAIN_DRAFT",
         confirmation: confirming && room.confirmation_started_at && room.confirmation_deadline_at ? { round, startedAt: room.confirmation_started_at, deadlineAt: room.confirmation_deadline_at, confirmedCount } : null,
-        rosterLockedAt: room.roster_locked_at, readyAt: room.ready_at, joinableAt: room.joinable_at ?? null, failedAt: room.failed_at ?? null, failureReason: room.failure_reason ?? null, completedAt: room.completed_at ?? null, draft: draftSnapshot, mapVeto: mapVetoSnapshot, competitiveMatch: competitiveMatchSnapshot, participants: participantSnapshots },
+        rosterLockedAt: room.roster_locked_at, readyAt: room.ready_at, joinableAt: room.joinable_at ?? null, failedAt: room.failed_at ?? null, failureReason: room.failure_reason ?? null, completedAt: room.completed_at ?? null, pausedAt: room.paused_at ?? null, draft: draftSnapshot, mapVeto: mapVetoSnapshot, competitiveMatch: competitiveMatchSnapshot, result: resultSnapshot, provisioningAttempts, participants: participantSnapshots },
       viewer: { participant: viewerParticipant, creator: viewerCreator, actions: {
-        canJoin: forming && context.eligible && !context.hasActiveRoom && participants.length < MATCH_ROOM_CAPACITY,
+        canJoin: forming && context.eligible && !context.hasActiveRoom && participants.length < format.capacity,
         canLeave: forming && viewerParticipant && !viewerCreator,
         canCancel: viewerCreator && (["FORMING", "CONFIRMING", "SETUP"] as MatchRoomStatus[]).includes(room.status),
         canConfirm: confirming && viewerParticipant && !viewer?.confirmation.confirmed,
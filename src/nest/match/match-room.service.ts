@@ -1,8 +1,19 @@
 import { Injectable } from "@nestjs/common";
 import { PlayerPresentationReferenceService } from "../player/presentation-reference/player-presentation-reference.service.js";
-import type { MatchRoomAggregateSnapshot, MatchRoomSnapshot } from "./match-room.contract.js";
+import type {
+  MatchRoomAggregateSnapshot,
+  MatchRoomFailureReason,
+  MatchRoomOperationsDetail,
+  MatchRoomOperationsListFilter,
+  MatchRoomOperationsSummary,
+  MatchRoomSnapshot,
+  MatchRoomTeamSelectionMode,
+  MatchmakingQueueSnapshot,
+} from "./match-room.contract.js";
+import { DEFAULT_MATCH_ROOM_FORMAT_KEY, type MatchRoomFormat } from "./format/match-room-format.js";
 import { MatchRoomError } from "./match-room.error.js";
-import { MatchRoomRepository } from "./match-room.repository.js";
+import { MatchRoomRepository, type MatchRoomOperationAudit } from "./match-room.repository.js";
+import type { MatchServerOperatorCommandType } from "./server-assignment/server-assignment.contract.js";
 
 @Injectable()
 export class MatchRoomService {
@@ -46,8 +57,16 @@ export class MatchRoomService {
     return room;
   }
 
-  async create(viewerId: string): Promise<MatchRoomSnapshot> {
-    return this.get(await this.repository.create(viewerId), viewerId);
+  async listFormats(): Promise<MatchRoomFormat[]> {
+    return this.repository.listFormats();
+  }
+
+  async create(
+    viewerId: string,
+    teamSelectionMode: MatchRoomTeamSelectionMode = "CAPTAIN_DRAFT",
+    formatKey: string = DEFAULT_MATCH_ROOM_FORMAT_KEY,
+  ): Promise<MatchRoomSnapshot> {
+    return this.get(await this.repository.create(viewerId, teamSelectionMode, formatKey), viewerId);
   }
 
   async join(roomId: string, viewerId: string): Promise<MatchRoomSnapshot> {
@@ -79,4 +98,54 @@ export class MatchRoomService {
     await this.repository.mapVetoBan(roomId, viewerId, mapKey);
     return this.get(roomId, viewerId);
   }
+
+  async queueStatus(viewerId: string): Promise<MatchmakingQueueSnapshot> {
+    return this.repository.getMatchmakingQueueStatus(viewerId);
+  }
+
+  async enqueue(viewerId: string): Promise<MatchmakingQueueSnapshot> {
+    await this.repository.enqueue(viewerId);
+    return this.queueStatus(viewerId);
+  }
+
+  async leaveQueue(viewerId: string): Promise<MatchmakingQueueSnapshot> {
+    await this.repository.leaveQueue(viewerId);
+    return this.queueStatus(viewerId);
+  }
+
+  async listForOperations(filter: MatchRoomOperationsListFilter): Promise<MatchRoomOperationsSummary[]> {
+    return this.repository.listForOperations(filter);
+  }
+
+  async getForOperations(roomId: string): Promise<MatchRoomOperationsDetail> {
+    const detail = await this.repository.getOperationsDetail(roomId);
+    if (!detail) throw new MatchRoomError("room_not_found");
+    const room = await this.enrichOne(detail.snapshot);
+    if (!room) throw new MatchRoomError("room_not_found");
+    return { room: room.room, history: detail.history };
+  }
+
+  async forceCancel(roomId: string, audit: MatchRoomOperationAudit): Promise<MatchRoomOperationsDetail> {
+    await this.repository.forceCancel(roomId, audit);
+    return this.getForOperations(roomId);
+  }
+
+  async forceFail(
+    roomId: string,
+    failureReason: NonNullable<MatchRoomFailureReason>,
+    audit: MatchRoomOperationAudit,
+  ): Promise<MatchRoomOperationsDetail> {
+    await this.repository.forceFail(roomId, failureReason, audit);
+    return this.getForOperations(roomId);
+  }
+
+  async forceComplete(roomId: string, audit: MatchRoomOperationAudit): Promise<MatchRoomOperationsDetail> {
+    await this.repository.forceComplete(roomId, audit);
+    return this.getForOperations(roomId);
+  }
+
+  async enqueueServerCommand(roomId: string, commandType: MatchServerOperatorCommandType, audit: MatchRoomOperationAudit): Promise<MatchRoomOperationsDetail> {
+    await this.repository.enqueueServerCommand(roomId, commandType, audit);
+    return this.getForOperations(roomId);
+  }
 }
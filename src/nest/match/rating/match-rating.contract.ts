@@ -0,0 +1,22 @@
+export const PLAYER_MATCH_RATING_HISTORY_REASONS = ["MATCH_RESULT", "SEASON_RESET"] as const;
+export type PlayerMatchRatingHistoryReason = (typeof PLAYER_MATCH_RATING_HISTORY_REASONS)[number];
+
+export interface PlayerMatchRatingSnapshot {
+  rating: number;
+  matchesPlayed: number;
+  wins: number;
+  losses: number;
+  seasonId: number | null;
+  updatedAt: Date | string;
+}
+
+export interface MatchRatingRosterEntry {
+  readonly playerAccountId: string;
+  readonly team: "A" | "B";
+}
+
+export interface MatchRatingResultInput {
+  readonly competitiveMatchId: string;
+  readonly winnerTeam: "A" | "B" | null;
+  readonly roster: readonly MatchRatingRosterEntry[];
+}
@@ -0,0 +1,8 @@
+import { Module } from "@nestjs/common";
+import { MatchRatingRepository } from "./match-rating.repository.js";
+
+@Module({
+  providers: [MatchRatingRepository],
+  exports: [MatchRatingRepository],
+})
+export class MatchRatingModule {}
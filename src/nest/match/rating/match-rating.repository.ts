@@ -0,0 +1,136 @@
+import { Inject, Injectable } from "@nestjs/common";
+import type { PoolConnection, RowDataPacket } from "mysql2/promise";
+
+import { APP_CONFIG, type AppConfig } from "../../core/app-config.js";
+import type { MatchRatingResultInput } from "./match-rating.contract.js";
+import { computeMatchRatingDeltas } from "./match-rating.js";
+
+interface RatingRow extends RowDataPacket {
+  player_account_id: string;
+  rating: string | number;
+}
+
+interface IdRow extends RowDataPacket {
+  id: string | number;
+}
+
+@Injectable()
+export class MatchRatingRepository {
+  constructor(@Inject(APP_CONFIG) private readonly config: AppConfig) {}
+
+  /**
+   * Applies the Elo update of one projected CompetitiveMatch result inside the
+   * caller's transaction. Undecided results do not move ratings, and a match
+   * already present in the history is never applied twice.
+   */
+  async applyMatchResultOnConnection(
+    connection: PoolConnection,
+    input: MatchRatingResultInput,
+  ): Promise<boolean> {
+    const teamA = input.roster.filter((entry) => entry.team === "A");
+    const teamB = input.roster.filter((entry) => entry.team === "B");
+    if (!input.winnerTeam || teamA.length === 0 || teamB.length === 0) {
+      return false;
+    }
+
+    const [applied] = await connection.execute<IdRow[]>(
+      `
+        SELECT id
+        FROM player_match_rating_history
+        WHERE competitive_match_id = ?
+        LIMIT 1
+      `,
+      [input.competitiveMatchId],
+    );
+    if (applied.length > 0) {
+      return false;
+    }
+
+    const playerAccountIds = input.roster.map((entry) => entry.playerAccountId);
+    const [ratingRows] = await connection.execute<RatingRow[]>(
+      `
+        SELECT player_account_id, rating
+        FROM player_match_ratings
+        WHERE player_account_id IN (${playerAccountIds.map(() => "?").join(", ")})
+        FOR UPDATE
+      `,
+      playerAccountIds,
+    );
+    const current = new Map(ratingRows.map((row) => [row.player_account_id, Number(row.rating)]));
+    const ratingOf = (playerAccountId: string) => current.get(playerAccountId) ?? this.config.matchRating.initialRating;
+
+    const deltas = computeMatchRatingDeltas({
+      teamA: teamA.map((entry) => ratingOf(entry.playerAccountId)),
+      teamB: teamB.map((entry) => ratingOf(entry.playerAccountId)),
+      winnerTeam: input.winnerTeam,
+      kFactor: this.config.matchRating.kFactor,
+    });
+
+    const [seasonRows] = await connection.execute<IdRow[]>(
+      "SELECT id FROM seasons WHERE status = 'active' LIMIT 1",
+    );
+    const seasonId = seasonRows[0] ? Number(seasonRows[0].id) : null;
+
+    for (const entry of input.roster) {
+      const before = ratingOf(entry.playerAccountId);
+      const delta = entry.team === "A" ? deltas.teamA : deltas.teamB;
+      const won = entry.team === input.winnerTeam ? 1 : 0;
+
+      await connection.execute(
+        `
+          INSERT INTO player_match_ratings (
+            player_account_id, rating, matches_played, wins, losses, season_id, last_competitive_match_id
+          ) VALUES (?, ?, 1, ?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE
+            rating = VALUES(rating),
+            matches_played = matches_played + 1,
+            wins = wins + VALUES(wins),
+            losses = losses + VALUES(losses),
+            season_id = VALUES(season_id),
+            last_competitive_match_id = VALUES(last_competitive_match_id)
+        `,
+        [entry.playerAccountId, before + delta, won, 1 - won, seasonId, input.competitiveMatchId],
+      );
+
+      await connection.execute(
+        `
+          INSERT INTO player_match_rating_history (
+            player_account_id, reason, competitive_match_id, season_id, rating_before, rating_after, rating_delta
+          ) VALUES (?, 'MATCH_RESULT', ?, ?, ?, ?, ?)
+        `,
+        [entry.playerAccountId, input.competitiveMatchId, seasonId, before, before + delta, delta],
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Season-scoped reset, run inside the season activation transaction: every
+   * rated player goes back to the initial rating with zeroed counters, and the
+   * previous value stays in the history as a SEASON_RESET entry.
+   */
+  async resetForSeasonOnConnection(connection: PoolConnection, seasonId: number): Promise<void> {
+    const initialRating = this.config.matchRating.initialRating;
+
+    await connection.execute(
+      `
+        INSERT INTO player_match_rating_history (
+          player_account_id, reason, competitive_match_id, season_id, rating_before, rating_after, rating_delta
+        )
+        SELECT player_account_id, 'SEASON_RESET', NULL, ?, rating, ?, ? - rating
+        FROM player_match_ratings
+        WHERE rating <> ? OR matches_played > 0
+      `,
+      [seasonId, initialRating, initialRating, initialRating],
+    );
+
+    await connection.execute(
+      `
+        UPDATE player_match_ratings
+        SET rating = ?, matches_played = 0, wins = 0, losses = 0, season_id = ?
+      `,
+      [initialRating, seasonId],
+    );
+  }
+}
@@ -0,0 +1,46 @@
+import type { PlayerMatchRatingSnapshot } from "./match-rating.contract.js";
+
+export interface MatchRatingRow {
+  rating: string | number | null;
+  matches_played: string | number | null;
+  wins: string | number | null;
+  losses: string | number | null;
+  season_id: string | number | null;
+  updated_at: Date | string | null;
+}
+
+function average(ratings: readonly number[]): number {
+  return ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+}
+
+/**
+ * Team Elo: both sides are rated by their average, and every player of a side
+ * moves by the same rounded delta. Deltas are zero-sum between the sides.
+ */
+export function computeMatchRatingDeltas(params: {
+  readonly teamA: readonly number[];
+  readonly teamB: readonly number[];
+  readonly winnerTeam: "A" | "B";
+  readonly kFactor: number;
+}): { teamA: number; teamB: number } {
+  if (params.teamA.length === 0 || params.teamB.length === 0) {
+    throw new TypeError("Both teams need at least one rated player.");
+  }
+  const expectedA = 1 / (1 + 10 ** ((average(params.teamB) - average(params.teamA)) / 400));
+  const scoreA = params.winnerTeam === "A" ? 1 : 0;
+  const teamA = Math.round(params.kFactor * (scoreA - expectedA));
+  return { teamA, teamB: -teamA };
+}
+
+/** Maps a LEFT JOINed player_match_ratings row; null when the player was never rated. */
+export function readPlayerMatchRating(row: MatchRatingRow): PlayerMatchRatingSnapshot | null {
+  if (row.rating === null || row.rating === undefined || row.updated_at === null) return null;
+  return {
+    rating: Number(row.rating),
+    matchesPlayed: Number(row.matches_played ?? 0),
+    wins: Number(row.wins ?? 0),
+    losses: Number(row.losses ?? 0),
+    seasonId: row.season_id === null ? null : Number(row.season_id),
+    updatedAt: row.updated_at,
+  };
+}
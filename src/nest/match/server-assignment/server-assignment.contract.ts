@@ -1,3 +1,28 @@
+export const MATCH_SERVER_COMMAND_TYPES = [
+  "PREPARE_MATCH",
+  "ABORT_MATCH",
+  "RESTART_MATCH",
+  "PAUSE_MATCH",
+  "UNPAUSE_MATCH",
+  "RELEASE_SERVER",
+] as const;
+
+export type MatchServerCommandType = (typeof MATCH_SERVER_COMMAND_TYPES)[number];
+
+/**
+ * Command types an operator can enqueue against a room's active assignment.
+ * PREPARE_MATCH is owned by the allocator and never enqueued by hand.
+ */
+export const MATCH_SERVER_OPERATOR_COMMAND_TYPES = [
+  "ABORT_MATCH",
+  "RESTART_MATCH",
+  "PAUSE_MATCH",
+  "UNPAUSE_MATCH",
+  "RELEASE_SERVER",
+] as const;
+
+export type MatchServerOperatorCommandType = (typeof MATCH_SERVER_OPERATOR_COMMAND_TYPES)[number];
+
 export interface ServerProvisioningAssignment {
   readonly assignmentId: string;
   readonly commandId: string;
@@ -8,3 +33,17 @@ export interface ServerProvisioningAssignment {
   readonly matchEdgeSourceKey: string;
   readonly assignedAt: Date | string;
 }
+
+/**
+ * Release reason for an assignment whose PREPARE_MATCH failed while the
+ * room still had provisioning attempts left. The allocator avoids servers
+ * released with this reason when it re-provisions the same match.
+ */
+export const PREPARE_MATCH_FAILED_RELEASE_REASON = "PREPARE_MATCH_FAILED";
+
+/**
+ * Release reason for the assignment of a terminal room whose ABORT_MATCH or
+ * RELEASE_SERVER failed. Nothing else would free the server, so it returns to
+ * the allocator without the bridge confirming it stopped.
+ */
+export const OPERATOR_RELEASE_FAILED_RELEASE_REASON = "OPERATOR_RELEASE_FAILED";
@@ -3,7 +3,10 @@ import { Injectable } from "@nestjs/common";
 import type { ResultSetHeader, RowDataPacket } from "mysql2/promise";
 import { DatabaseService } from "../../database/database.service.js";
 import { RUNTIME_MATCH_ID_START } from "../competitive-match/competitive-match.contract.js";
-import type { ServerProvisioningAssignment } from "./server-assignment.contract.js";
+import {
+  PREPARE_MATCH_FAILED_RELEASE_REASON,
+  type ServerProvisioningAssignment,
+} from "./server-assignment.contract.js";
 
 interface ServerResourceRow extends RowDataPacket {
   server_key: string;
@@ -16,6 +19,10 @@ interface ActiveAssignmentRow extends RowDataPacket {
   server_key: string;
 }
 
+interface FailedAttemptServerRow extends RowDataPacket {
+  server_key: string;
+}
+
 interface ReadyRoomRow extends RowDataPacket {
   id: string;
   status: string;
@@ -45,11 +52,13 @@ export class ServerAssignmentRepository {
       await connection.beginTransaction();
 
       // 1. Lock eligible enabled ServerResource rows for bridgeNodeKey in deterministic order
+      // Resources of a node marked stale by the bridge sweeper are not allocated
       const [resourceRows] = await connection.execute<ServerResourceRow[]>(
-        `SELECT server_key, bridge_node_key, match_edge_source_key, enabled
-         FROM match_server_resources
-         WHERE bridge_node_key = ? AND enabled = 1
-         ORDER BY server_key ASC
+        `SELECT sr.server_key, sr.bridge_node_key, sr.match_edge_source_key, sr.enabled
+         FROM match_server_resources sr
+         JOIN match_bridge_nodes n ON n.bridge_node_key = sr.bridge_node_key
+         WHERE sr.bridge_node_key = ? AND sr.enabled = 1 AND n.marked_stale_at IS NULL
+         ORDER BY sr.server_key ASC
          FOR UPDATE`,
         [bridgeNodeKey],
       );
@@ -59,7 +68,7 @@ export class ServerAssignmentRepository {
         return null;
       }
 
-      // 2. Determine first free resource with no active assignment
+      // 2. Determine free resources with no active assignment
       const serverKeys = resourceRows.map((r) => r.server_key);
       const placeholders = serverKeys.map(() => "?").join(", ");
       const [activeAssignmentRows] = await connection.query<ActiveAssignmentRow[]>(
@@ -71,11 +80,11 @@ export class ServerAssignmentRepository {
       );
 
       const activeServerKeys = new Set(activeAssignmentRows.map((a) => a.server_key));
-      const selectedResource = resourceRows.find(
+      const freeResources = resourceRows.filter(
         (r) => !activeServerKeys.has(r.server_key),
       );
 
-      if (!selectedResource) {
+      if (freeResources.length === 0) {
         await connection.commit();
         return null;
       }
@@ -124,7 +133,21 @@ export class ServerAssignmentRepository {
         throw new TypeError("Invalid runtimeMatchId for competitive match.");
       }
 
-      // 5. Revalidate assignment absence for CompetitiveMatch
+      // 5. Prefer a server that has not already failed PREPARE_MATCH for this
+      // CompetitiveMatch; fall back to the first free one otherwise
+      const [failedAttemptRows] = await connection.execute<FailedAttemptServerRow[]>(
+        `SELECT DISTINCT server_key
+         FROM match_server_assignments
+         WHERE competitive_match_id = ? AND release_reason = ?`,
+        [match.id, PREPARE_MATCH_FAILED_RELEASE_REASON],
+      );
+
+      const failedServerKeys = new Set(failedAttemptRows.map((a) => a.server_key));
+      const selectedResource =
+        freeResources.find((r) => !failedServerKeys.has(r.server_key)) ??
+        freeResources[0];
+
+      // 6. Revalidate assignment absence for CompetitiveMatch
       const [existingActiveAssignments] = await connection.execute<RowDataPacket[]>(
         `SELECT id
          FROM match_server_assignments
@@ -137,7 +160,7 @@ export class ServerAssignmentRepository {
         throw new TypeError("Active assignment already exists for competitive match.");
       }
 
-      // 6. INSERT ServerAssignment
+      // 7. INSERT ServerAssignment
       const assignmentId = randomUUID();
       await connection.execute(
         `INSERT INTO match_server_assignments (
@@ -146,7 +169,7 @@ export class ServerAssignmentRepository {
         [assignmentId, match.id, selectedResource.server_key],
       );
 
-      // 7. INSERT PREPARE_MATCH command
+      // 8. INSERT PREPARE_MATCH command
       const commandId = randomUUID();
       await connection.execute(
         `INSERT INTO match_server_commands (
@@ -155,7 +178,7 @@ export class ServerAssignmentRepository {
         [commandId, assignmentId, selectedResource.bridge_node_key, runtimeMatchId],
       );
 
-      // 8. UPDATE MatchRoom READY -> PROVISIONING (version + 1)
+      // 9. UPDATE MatchRoom READY -> PROVISIONING (version + 1)
       const [updateResult] = await connection.execute<ResultSetHeader>(
         `UPDATE match_rooms
          SET status = 'PROVISIONING', version = version + 1
@@ -167,7 +190,7 @@ export class ServerAssignmentRepository {
         throw new TypeError("Failed to transition match room to PROVISIONING.");
       }
 
-      // 9. Read the persisted assigned_at timestamp directly from database
+      // 10. Read the persisted assigned_at timestamp directly from database
       const [assignmentTimestampRows] = await connection.execute<AssignmentTimestampRow[]>(
         `SELECT assigned_at
          FROM match_server_assignments
@@ -0,0 +1,100 @@
+export interface MatchTeamBalancePlayer {
+  readonly playerAccountId: string;
+  readonly rating: number;
+}
+
+export interface MatchTeamBalanceSide {
+  readonly captainPlayerAccountId: string;
+  readonly players: readonly MatchTeamBalancePlayer[];
+  readonly totalRating: number;
+}
+
+export interface MatchTeamBalanceResult {
+  readonly teamA: MatchTeamBalanceSide;
+  readonly teamB: MatchTeamBalanceSide;
+  readonly ratingDifference: number;
+}
+
+/** Rating used when a player has no recorded rounds yet (average damage per round). */
+export const MATCH_TEAM_BALANCE_PRIOR_RATING = 75;
+
+/** Weight, in rounds, of the prior when shrinking a short history toward it. */
+export const MATCH_TEAM_BALANCE_PRIOR_ROUNDS = 48;
+
+/**
+ * Internal balance rating: average damage per round, shrunk toward the prior
+ * so one lucky match does not dominate the split.
+ */
+export function computeMatchTeamBalanceRating(damage: number, roundsPlayed: number): number {
+  const rounds = Math.max(0, roundsPlayed);
+  const rating =
+    (Math.max(0, damage) + MATCH_TEAM_BALANCE_PRIOR_RATING * MATCH_TEAM_BALANCE_PRIOR_ROUNDS) /
+    (rounds + MATCH_TEAM_BALANCE_PRIOR_ROUNDS);
+  return Math.round(rating * 100) / 100;
+}
+
+function byRatingThenId(a: MatchTeamBalancePlayer, b: MatchTeamBalancePlayer): number {
+  return b.rating - a.rating || a.playerAccountId.localeCompare(b.playerAccountId);
+}
+
+function side(players: MatchTeamBalancePlayer[]): MatchTeamBalanceSide {
+  const sorted = [...players].sort(byRatingThenId);
+  return {
+    captainPlayerAccountId: sorted[0]!.playerAccountId,
+    players: sorted,
+    totalRating: Math.round(sorted.reduce((sum, player) => sum + player.rating, 0) * 100) / 100,
+  };
+}
+
+/**
+ * Splits an even roster into two equal-sized teams minimizing the rating-sum
+ * difference. Exhaustive over the C(n, n/2) / 2 splits, which is 126 for 5v5.
+ * The highest-rated player of each side becomes its captain (map veto actor).
+ * Ties resolve deterministically by the order of the sorted input.
+ */
+export function balanceMatchTeams(
+  input: readonly MatchTeamBalancePlayer[],
+): MatchTeamBalanceResult {
+  if (input.length < 2 || input.length % 2 !== 0) {
+    throw new TypeError(`Expected an even roster to balance, got ${input.length} players.`);
+  }
+  if (new Set(input.map((player) => player.playerAccountId)).size !== input.length) {
+    throw new TypeError("Duplicate player in team balance input.");
+  }
+
+  const players = [...input].sort(byRatingThenId);
+  const teamSize = players.length / 2;
+  const total = players.reduce((sum, player) => sum + player.rating, 0);
+
+  let bestMask = 0;
+  let bestDifference = Number.POSITIVE_INFINITY;
+
+  // Player 0 is always on the first side, which removes mirrored splits.
+  const limit = 1 << players.length;
+  for (let mask = 1; mask < limit; mask += 2) {
+    let count = 0;
+    let sum = 0;
+    for (let i = 0; i < players.length; i++) {
+      if (mask & (1 << i)) {
+        count += 1;
+        sum += players[i]!.rating;
+      }
+    }
+    if (count !== teamSize) continue;
+
+    const difference = Math.abs(total - 2 * sum);
+    if (difference < bestDifference) {
+      bestDifference = difference;
+      bestMask = mask;
+    }
+  }
+
+  const first = players.filter((_, i) => bestMask & (1 << i));
+  const second = players.filter((_, i) => !(bestMask & (1 << i)));
+
+  return {
+    teamA: side(first),
+    teamB: side(second),
+    ratingDifference: Math.round(bestDifference * 100) / 100,
+  };
+}
@@ -0,0 +1,86 @@
+import type {
+  PoolConnection,
+  RowDataPacket,
+} from "mysql2/promise";
+
+import type { MembershipStatus } from "./membership-status.js";
+
+export type MembershipEventType =
+  | "granted"
+  | "activated"
+  | "suspended"
+  | "reactivated"
+  | "cancelled"
+  | "expired"
+  | "expiry_reminder";
+
+/**
+ * 'admin' rows come from the Backoffice (actor_user_id is null for admin API
+ * keys); 'system' rows come from scripts/membership-lifecycle.js.
+ */
+export type MembershipEventActorType = "admin" | "system";
+
+export const MEMBERSHIP_EVENT_REASON_MAX_LENGTH = 255;
+
+export interface MembershipEventInsert {
+  membershipId: string;
+  playerAccountId: string;
+  eventType: MembershipEventType;
+  previousStatus: MembershipStatus | null;
+  newStatus: MembershipStatus | null;
+  previousExpiresAt: Date | string | null;
+  newExpiresAt: Date | string | null;
+  actorType: MembershipEventActorType;
+  actorUserId: number | null;
+  reason: string | null;
+}
+
+export interface RawMembershipEventRow extends RowDataPacket {
+  id: number | string;
+  membership_id: string;
+  event_type: MembershipEventType;
+  previous_status: MembershipStatus | null;
+  new_status: MembershipStatus | null;
+  previous_expires_at: Date | string | null;
+  new_expires_at: Date | string | null;
+  actor_type: MembershipEventActorType;
+  actor_user_id: number | null;
+  reason: string | null;
+  created_at: Date | string;
+}
+
+/** Appends one history row; callers run it inside the mutation transaction. */
+export async function insertMembershipEvent(
+  connection: PoolConnection,
+  event: MembershipEventInsert,
+): Promise<void> {
+  await connection.execute(
+    `
+      INSERT INTO player_membership_events (
+        membership_id,
+        player_account_id,
+        event_type,
+        previous_status,
+        new_status,
+        previous_expires_at,
+        new_expires_at,
+        actor_type,
+        actor_user_id,
+        reason
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      event.membershipId,
+      event.playerAccountId,
+      event.eventType,
+      event.previousStatus,
+      event.newStatus,
+      event.previousExpiresAt,
+      event.newExpiresAt,
+      event.actorType,
+      event.actorUserId,
+      event.reason,
+    ],
+  );
+}
@@ -85,10 +85,18 @@ function toEpochMilliseconds(
   );
 }
 
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * `gracePeriodHours` (MEMBERSHIP_EXPIRY_GRACE_HOURS) keeps a lapsed
+ * membership effective for that long after expires_at; the lifecycle job
+ * writes `expired` once the same window has passed.
+ */
 export function resolveMembershipEffectiveStatus(input: {
   status: MembershipStatus | string;
   expiresAt: Date | string | null | unknown;
   now: Date | string | unknown;
+  gracePeriodHours?: number;
 }): MembershipStatus {
   const status = requireMembershipStatus(input.status);
 
@@ -101,9 +109,17 @@ export function resolveMembershipEffectiveStatus(input: {
     return status;
   }
 
+  const gracePeriodHours = input.gracePeriodHours ?? 0;
+
+  if (!Number.isInteger(gracePeriodHours) || gracePeriodHours < 0) {
+    throw new TypeError(
+      "Membership status requires a valid grace period.",
+    );
+  }
+
   if (
     toEpochMilliseconds(input.now) >=
-    toEpochMilliseconds(input.expiresAt)
+    toEpochMilliseconds(input.expiresAt) + gracePeriodHours * HOUR_MS
   ) {
     return "expired";
   }
@@ -0,0 +1,62 @@
+import {
+  Inject,
+  Injectable,
+} from "@nestjs/common";
+import nodemailer from "nodemailer";
+import {
+  APP_CONFIG,
+  AppConfig,
+} from "../../core/app-config.js";
+
+@Injectable()
+export class PlayerAccountDeletionDeliveryService {
+  constructor(
+    @Inject(APP_CONFIG)
+    private readonly config: AppConfig,
+  ) {}
+
+  async deliver(input: {
+    email: string;
+    rawToken: string;
+    expiresAt: string;
+  }): Promise<void> {
+    const mail = this.config.mailTransport;
+    const deletion = this.config.playerAccountDeletion;
+
+    const url = new URL(
+      deletion.confirmationUrl,
+      `${this.config.runtime.publicUrl.replace(/\/+$/, "")}/`,
+    );
+
+    url.searchParams.set("token", input.rawToken);
+
+    const transporter = nodemailer.createTransport({
+      host: mail.host,
+      port: mail.port,
+      secure: mail.secure,
+      auth: {
+        user: mail.user,
+        pass: mail.pass,
+      },
+    });
+
+    await transporter.sendMail({
+      from: this.config.playerEmailAuth.fromEmail,
+      to: input.email,
+      subject: deletion.confirmationSubject,
+      text: [
+        "HSC",
+        "",
+        "Recebemos um pedido para excluir sua conta.",
+        "Para confirmar, abra o link abaixo com a sua conta conectada:",
+        url.toString(),
+        "",
+        `Este link expira em: ${input.expiresAt} UTC`,
+        "",
+        `Depois da confirmação, a exclusão acontece em ${deletion.gracePeriodDays} dias e pode ser cancelada até lá.`,
+        "",
+        "Se você não solicitou a exclusão, ignore este email.",
+      ].join("\n"),
+    });
+  }
+}
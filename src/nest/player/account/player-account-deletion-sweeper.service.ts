@@ -0,0 +1,92 @@
+import {
+  Inject,
+  Injectable,
+  Logger,
+  type OnApplicationBootstrap,
+  type OnModuleDestroy,
+} from "@nestjs/common";
+import { APP_CONFIG, type AppConfig } from "../../core/app-config.js";
+import { DatabaseService } from "../../database/database.service.js";
+import { PlayerAccountDeletionRepository } from "./player-account-deletion.repository.js";
+import { PlayerProfileMediaStorage } from "../profile/player-profile-media.storage.js";
+
+const SWEEP_BATCH_SIZE = 50;
+
+export interface PlayerAccountDeletionSweepSummary {
+  completed: number;
+  postponed: number;
+  errors: number;
+}
+
+/** Carries out confirmed deletions whose grace period has ended. */
+@Injectable()
+export class PlayerAccountDeletionSweeperService implements OnApplicationBootstrap, OnModuleDestroy {
+  private readonly logger = new Logger(PlayerAccountDeletionSweeperService.name);
+  private timer?: NodeJS.Timeout;
+  private started = false;
+
+  constructor(
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
+    private readonly databaseService: DatabaseService,
+    private readonly repository: PlayerAccountDeletionRepository,
+    private readonly mediaStorage: PlayerProfileMediaStorage,
+  ) {}
+
+  async sweepOnce(): Promise<PlayerAccountDeletionSweepSummary> {
+    const summary = { completed: 0, postponed: 0, errors: 0 };
+
+    for (const requestId of await this.repository.listDueRequestIds(SWEEP_BATCH_SIZE)) {
+      try {
+        const result = await this.repository.purge(requestId);
+        if (result.outcome === "completed") {
+          summary.completed += 1;
+          // Files go only after the purge committed; removal is best effort.
+          for (const mediaUrl of result.mediaUrls) {
+            await this.mediaStorage.removeManagedMediaUrl(this.config.uploads, mediaUrl);
+          }
+        }
+        if (result.outcome === "in_active_match") summary.postponed += 1;
+      } catch {
+        summary.errors += 1;
+        this.logger.warn(`Player account deletion failed for request: ${requestId}`);
+      }
+    }
+    return summary;
+  }
+
+  onApplicationBootstrap(): void {
+    if (this.config.playerAccountDeletion.sweeperEnabled) this.start();
+  }
+
+  start(): void {
+    if (this.started) return;
+    this.started = true;
+    this.scheduleNext();
+  }
+
+  stop(): void {
+    this.started = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = undefined;
+  }
+
+  onModuleDestroy(): void { this.stop(); }
+
+  private scheduleNext(): void {
+    if (!this.started) return;
+    this.timer = setTimeout(() => { void this.runPeriodic(); }, this.config.playerAccountDeletion.sweepIntervalMs);
+    this.timer.unref();
+  }
+
+  private async runPeriodic(): Promise<void> {
+    this.timer = undefined;
+    if (this.databaseService.getStatus().ready === true) {
+      try {
+        await this.sweepOnce();
+      } catch {
+        this.logger.warn("Player account deletion sweep failed");
+      }
+    }
+    this.scheduleNext();
+  }
+}
@@ -0,0 +1,322 @@
+import {
+  Body,
+  Controller,
+  Get,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Inject,
+  Post,
+  Req,
+  UseGuards,
+} from "@nestjs/common";
+import {
+  Throttle,
+  minutes,
+} from "@nestjs/throttler";
+
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  PlayerAuthGuard,
+} from "../auth/player-auth.guard.js";
+import type {
+  PlayerIdentity,
+} from "../auth/player-auth.service.js";
+import {
+  PlayerAccountThrottlerGuard,
+} from "../security/player-account-throttler.guard.js";
+import {
+  PlayerCsrfGuard,
+} from "../security/player-csrf.guard.js";
+import type {
+  PlayerAccountDeletionState,
+} from "./player-account-deletion.repository.js";
+import {
+  PlayerAccountDeletionService,
+  type PlayerAccountDeletionConfirmResult,
+  type PlayerAccountDeletionRequestResult,
+} from "./player-account-deletion.service.js";
+
+interface PlayerAccountDeletionRequest {
+  player?: PlayerIdentity;
+}
+
+export interface PlayerAccountDeletionDatabasePort {
+  getStatus(): {
+    ready: boolean;
+  };
+}
+
+export interface PlayerAccountDeletionServicePort {
+  getStatus(
+    playerAccountId: string,
+  ): Promise<PlayerAccountDeletionState | null>;
+
+  request(
+    playerAccountId: string,
+  ): Promise<PlayerAccountDeletionRequestResult>;
+
+  confirm(
+    playerAccountId: string,
+    body: unknown,
+  ): Promise<PlayerAccountDeletionConfirmResult>;
+
+  cancel(
+    playerAccountId: string,
+  ): Promise<boolean>;
+}
+
+const REQUEST_ERROR_STATUS: Record<
+  Extract<
+    PlayerAccountDeletionRequestResult,
+    { ok: false }
+  >["error"],
+  HttpStatus
+> = {
+  account_deletion_unavailable:
+    HttpStatus.NOT_IMPLEMENTED,
+  verified_email_required:
+    HttpStatus.CONFLICT,
+  player_account_deletion_already_scheduled:
+    HttpStatus.CONFLICT,
+};
+
+function readPlayerAccountId(
+  request: PlayerAccountDeletionRequest,
+): string {
+  const playerAccountId =
+    request.player?.playerAccountId;
+
+  if (!playerAccountId) {
+    throw new HttpException(
+      {
+        ok: false,
+        error: "invalid_session",
+      },
+      HttpStatus.UNAUTHORIZED,
+    );
+  }
+
+  return playerAccountId;
+}
+
+function failed(error: string): HttpException {
+  console.error(
+    `[player-account] ${error}`,
+  );
+
+  return new HttpException(
+    {
+      ok: false,
+      error,
+    },
+    HttpStatus.INTERNAL_SERVER_ERROR,
+  );
+}
+
+@Controller("player/account/deletion")
+@UseGuards(PlayerAuthGuard)
+export class PlayerAccountDeletionController {
+  constructor(
+    @Inject(DatabaseService)
+    private readonly databaseService:
+      PlayerAccountDeletionDatabasePort,
+
+    @Inject(PlayerAccountDeletionService)
+    private readonly service:
+      PlayerAccountDeletionServicePort,
+  ) {}
+
+  private assertDbReady(): void {
+    if (!this.databaseService.getStatus().ready) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "db_not_ready",
+        },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+  }
+
+  @Get()
+  async status(
+    @Req() request: PlayerAccountDeletionRequest,
+  ) {
+    this.assertDbReady();
+
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    let deletion: PlayerAccountDeletionState | null;
+
+    try {
+      deletion =
+        await this.service.getStatus(
+          playerAccountId,
+        );
+    } catch {
+      throw failed(
+        "player_account_deletion_read_failed",
+      );
+    }
+
+    return {
+      ok: true,
+      deletion,
+    };
+  }
+
+  @Post()
+  @HttpCode(HttpStatus.ACCEPTED)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 5,
+      ttl: minutes(15),
+    },
+  })
+  async request(
+    @Req() request: PlayerAccountDeletionRequest,
+  ) {
+    this.assertDbReady();
+
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    let result: PlayerAccountDeletionRequestResult;
+
+    try {
+      result =
+        await this.service.request(
+          playerAccountId,
+        );
+    } catch {
+      throw failed(
+        "player_account_deletion_request_failed",
+      );
+    }
+
+    if (!result.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: result.error,
+        },
+        REQUEST_ERROR_STATUS[result.error],
+      );
+    }
+
+    return {
+      ok: true,
+      status: "pending_confirmation",
+      confirmation_expires_at:
+        result.confirmationExpiresAt,
+    };
+  }
+
+  @Post("confirm")
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 10,
+      ttl: minutes(15),
+    },
+  })
+  async confirm(
+    @Req() request: PlayerAccountDeletionRequest,
+    @Body() body: unknown,
+  ) {
+    this.assertDbReady();
+
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    let result: PlayerAccountDeletionConfirmResult;
+
+    try {
+      result =
+        await this.service.confirm(
+          playerAccountId,
+          body,
+        );
+    } catch {
+      throw failed(
+        "player_account_deletion_confirm_failed",
+      );
+    }
+
+    if (!result.ok) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: result.error,
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    return {
+      ok: true,
+      status: "scheduled",
+      scheduled_for: result.scheduledFor,
+    };
+  }
+
+  @Post("cancel")
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 10,
+      ttl: minutes(15),
+    },
+  })
+  async cancel(
+    @Req() request: PlayerAccountDeletionRequest,
+  ) {
+    this.assertDbReady();
+
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    let cancelled: boolean;
+
+    try {
+      cancelled =
+        await this.service.cancel(
+          playerAccountId,
+        );
+    } catch {
+      throw failed(
+        "player_account_deletion_cancel_failed",
+      );
+    }
+
+    if (!cancelled) {
+      throw new HttpException(
+        {
+          ok: false,
+          error:
+            "player_account_deletion_not_found",
+        },
+        HttpStatus.NOT_FOUND,
+      );
+    }
+
+    return {
+      ok: true,
+      cancelled: true,
+    };
+  }
+}
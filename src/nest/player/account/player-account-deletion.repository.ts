@@ -0,0 +1,581 @@
+import { Injectable } from "@nestjs/common";
+import {
+  createHash,
+  randomBytes,
+  randomUUID,
+} from "node:crypto";
+import type {
+  PoolConnection,
+  ResultSetHeader,
+  RowDataPacket,
+} from "mysql2/promise";
+
+import { DatabaseService } from "../../database/database.service.js";
+
+export type PlayerAccountDeletionStatus =
+  | "pending_confirmation"
+  | "scheduled";
+
+export interface PlayerAccountDeletionState {
+  status: PlayerAccountDeletionStatus;
+  requested_at: Date | string;
+  confirmation_expires_at: Date | string;
+  scheduled_for: Date | string | null;
+}
+
+export type CreateDeletionRequestResult =
+  | {
+      ok: true;
+      email: string;
+      rawToken: string;
+      expiresAt: string;
+    }
+  | {
+      ok: false;
+      error:
+        | "verified_email_required"
+        | "player_account_deletion_already_scheduled";
+    };
+
+export type ConfirmDeletionRequestResult =
+  | {
+      ok: true;
+      scheduledFor: string;
+    }
+  | {
+      ok: false;
+      error: "invalid_or_expired_deletion_confirmation";
+    };
+
+export type PlayerAccountPurgeOutcome =
+  | "completed"
+  | "skipped"
+  | "in_active_match";
+
+/**
+ * A completed purge hands back the profile media URLs it dropped: the files
+ * are removed by the caller once the transaction has committed.
+ */
+export type PlayerAccountPurgeResult =
+  | {
+      outcome: "completed";
+      mediaUrls: string[];
+    }
+  | {
+      outcome: Exclude<PlayerAccountPurgeOutcome, "completed">;
+    };
+
+interface RawDeletionRequestRow extends RowDataPacket {
+  id: string;
+  created_at: Date | string;
+  confirmation_expires_at: Date | string;
+  confirmed_at: Date | string | null;
+  scheduled_for: Date | string | null;
+  confirmation_expired: number | string;
+}
+
+interface RawVerifiedEmailRow extends RowDataPacket {
+  email: string;
+}
+
+interface RawDueRequestRow extends RowDataPacket {
+  id: string;
+  player_account_id: string;
+}
+
+interface RawIdRow extends RowDataPacket {
+  id: string;
+}
+
+interface RawSteamIdRow extends RowDataPacket {
+  steamid64: string;
+}
+
+interface RawProfileMediaRow extends RowDataPacket {
+  avatar_url: string | null;
+  banner_url: string | null;
+}
+
+function formatUtcDatetime(date: Date): string {
+  const pad = (value: number) =>
+    String(value).padStart(2, "0");
+
+  return (
+    `${date.getUTCFullYear()}-` +
+    `${pad(date.getUTCMonth() + 1)}-` +
+    `${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:` +
+    `${pad(date.getUTCMinutes())}:` +
+    `${pad(date.getUTCSeconds())}`
+  );
+}
+
+function hashToken(rawToken: string): string {
+  return createHash("sha256")
+    .update(rawToken, "utf8")
+    .digest("hex");
+}
+
+/**
+ * Rows that only describe the player and are removed outright. Match rooms,
+ * ratings and memberships keep pointing at the tombstoned account id.
+ */
+const PURGED_TABLES = [
+  "player_email_link_intents",
+  "player_steam_link_intents",
+  "player_email_identities",
+  "player_steam_identities",
+  "player_profiles",
+  "player_sessions",
+  "player_totp_recovery_codes",
+  "player_totp_credentials",
+  "player_login_challenges",
+  "player_security_events",
+  "player_entitlement_grants",
+] as const;
+
+@Injectable()
+export class PlayerAccountDeletionRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+  ) {}
+
+  /** The open request, ignoring unconfirmed ones whose link expired. */
+  async findOpenRequest(
+    playerAccountId: string,
+  ): Promise<PlayerAccountDeletionState | null> {
+    const [rows] =
+      await this.databaseService.getPool().execute<RawDeletionRequestRow[]>(
+        `
+          SELECT
+            id,
+            created_at,
+            confirmation_expires_at,
+            confirmed_at,
+            scheduled_for,
+            confirmation_expires_at <= UTC_TIMESTAMP()
+              AS confirmation_expired
+          FROM player_account_deletion_requests
+          WHERE open_player_account_id = ?
+          LIMIT 1
+        `,
+        [playerAccountId],
+      );
+
+    const row = rows[0];
+
+    if (
+      !row ||
+      (row.confirmed_at === null &&
+        Number(row.confirmation_expired) === 1)
+    ) {
+      return null;
+    }
+
+    return {
+      status:
+        row.confirmed_at === null
+          ? "pending_confirmation"
+          : "scheduled",
+      requested_at: row.created_at,
+      confirmation_expires_at:
+        row.confirmation_expires_at,
+      scheduled_for: row.scheduled_for,
+    };
+  }
+
+  /**
+   * Opens a request for an account with a verified email. An unconfirmed
+   * request is replaced, so only the newest link works.
+   */
+  async createRequest(input: {
+    playerAccountId: string;
+    ttlMinutes: number;
+  }): Promise<CreateDeletionRequestResult> {
+    return this.withTransaction(async (connection) => {
+      const [emails] =
+        await connection.execute<RawVerifiedEmailRow[]>(
+          `
+            SELECT ei.email
+            FROM player_accounts a
+            INNER JOIN player_email_identities ei
+              ON ei.player_account_id = a.id
+            WHERE a.id = ?
+              AND a.status = 'active'
+              AND ei.verified_at IS NOT NULL
+            LIMIT 1
+            FOR UPDATE
+          `,
+          [input.playerAccountId],
+        );
+
+      const identity = emails[0];
+
+      if (!identity) {
+        return {
+          ok: false,
+          error: "verified_email_required",
+        };
+      }
+
+      const [open] =
+        await connection.execute<RawDeletionRequestRow[]>(
+          `
+            SELECT
+              id,
+              confirmed_at
+            FROM player_account_deletion_requests
+            WHERE open_player_account_id = ?
+            LIMIT 1
+            FOR UPDATE
+          `,
+          [input.playerAccountId],
+        );
+
+      if (open[0]?.confirmed_at) {
+        return {
+          ok: false,
+          error:
+            "player_account_deletion_already_scheduled",
+        };
+      }
+
+      if (open[0]) {
+        await connection.execute<ResultSetHeader>(
+          `
+            UPDATE player_account_deletion_requests
+            SET cancelled_at = UTC_TIMESTAMP()
+            WHERE id = ?
+          `,
+          [open[0].id],
+        );
+      }
+
+      const rawToken =
+        randomBytes(32).toString("hex");
+
+      const expiresAt = formatUtcDatetime(
+        new Date(
+          Date.now() +
+            input.ttlMinutes * 60 * 1000,
+        ),
+      );
+
+      await connection.execute<ResultSetHeader>(
+        `
+          INSERT INTO player_account_deletion_requests (
+            id,
+            player_account_id,
+            token_hash,
+            confirmation_expires_at
+          )
+          VALUES (?, ?, ?, ?)
+        `,
+        [
+          randomUUID(),
+          input.playerAccountId,
+          hashToken(rawToken),
+          expiresAt,
+        ],
+      );
+
+      return {
+        ok: true,
+        email: identity.email,
+        rawToken,
+        expiresAt,
+      };
+    });
+  }
+
+  /** Schedules the deletion; the token must belong to the same account. */
+  async confirm(input: {
+    playerAccountId: string;
+    rawToken: string;
+    gracePeriodDays: number;
+  }): Promise<ConfirmDeletionRequestResult> {
+    return this.withTransaction(async (connection) => {
+      const [rows] =
+        await connection.execute<RawDeletionRequestRow[]>(
+          `
+            SELECT id
+            FROM player_account_deletion_requests
+            WHERE token_hash = ?
+              AND player_account_id = ?
+              AND open_player_account_id IS NOT NULL
+              AND confirmed_at IS NULL
+              AND confirmation_expires_at > UTC_TIMESTAMP()
+            LIMIT 1
+            FOR UPDATE
+          `,
+          [
+            hashToken(input.rawToken),
+            input.playerAccountId,
+          ],
+        );
+
+      const request = rows[0];
+
+      if (!request) {
+        return {
+          ok: false,
+          error:
+            "invalid_or_expired_deletion_confirmation",
+        };
+      }
+
+      const scheduledFor = formatUtcDatetime(
+        new Date(
+          Date.now() +
+            input.gracePeriodDays * 24 * 60 * 60 * 1000,
+        ),
+      );
+
+      await connection.execute<ResultSetHeader>(
+        `
+          UPDATE player_account_deletion_requests
+          SET
+            confirmed_at = UTC_TIMESTAMP(),
+            scheduled_for = ?
+          WHERE id = ?
+        `,
+        [scheduledFor, request.id],
+      );
+
+      return {
+        ok: true,
+        scheduledFor,
+      };
+    });
+  }
+
+  /** Cancels a pending or scheduled request; false when none is open. */
+  async cancel(
+    playerAccountId: string,
+  ): Promise<boolean> {
+    const [result] =
+      await this.databaseService.getPool().execute<ResultSetHeader>(
+        `
+          UPDATE player_account_deletion_requests
+          SET cancelled_at = UTC_TIMESTAMP()
+          WHERE open_player_account_id = ?
+            AND (
+              confirmed_at IS NOT NULL
+              OR confirmation_expires_at > UTC_TIMESTAMP()
+            )
+        `,
+        [playerAccountId],
+      );
+
+    return result.affectedRows > 0;
+  }
+
+  async listDueRequestIds(
+    limit: number,
+  ): Promise<string[]> {
+    const [rows] =
+      await this.databaseService.getPool().query<RawIdRow[]>(
+        `
+          SELECT id
+          FROM player_account_deletion_requests
+          WHERE completed_at IS NULL
+            AND cancelled_at IS NULL
+            AND scheduled_for <= UTC_TIMESTAMP()
+          ORDER BY scheduled_for ASC
+          LIMIT ?
+        `,
+        [limit],
+      );
+
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Carries out one due request: deletes identities, the cached Steam
+   * profiles behind them, profile, sessions and 2FA, anonymizes the Steam
+   * data frozen in match rosters and leaves the account as a disabled
+   * tombstone. A player still seated in a match room is retried on a later
+   * sweep.
+   */
+  async purge(
+    requestId: string,
+  ): Promise<PlayerAccountPurgeResult> {
+    return this.withTransaction(async (connection) => {
+      const [rows] =
+        await connection.execute<RawDueRequestRow[]>(
+          `
+            SELECT
+              r.id,
+              r.player_account_id
+            FROM player_account_deletion_requests r
+            INNER JOIN player_accounts a
+              ON a.id = r.player_account_id
+            WHERE r.id = ?
+              AND r.completed_at IS NULL
+              AND r.cancelled_at IS NULL
+              AND r.scheduled_for <= UTC_TIMESTAMP()
+            LIMIT 1
+            FOR UPDATE
+          `,
+          [requestId],
+        );
+
+      const request = rows[0];
+
+      if (!request) {
+        return { outcome: "skipped" };
+      }
+
+      const playerAccountId =
+        request.player_account_id;
+
+      const [seated] =
+        await connection.execute<RawIdRow[]>(
+          `
+            SELECT id
+            FROM match_room_participants
+            WHERE active_player_account_id = ?
+            LIMIT 1
+          `,
+          [playerAccountId],
+        );
+
+      if (seated[0]) {
+        return { outcome: "in_active_match" };
+      }
+
+      await connection.execute<ResultSetHeader>(
+        `
+          UPDATE match_matchmaking_queue_entries
+          SET
+            status = 'REMOVED',
+            resolved_at = CURRENT_TIMESTAMP(6),
+            removal_reason = 'account_deleted'
+          WHERE active_player_account_id = ?
+        `,
+        [playerAccountId],
+      );
+
+      // Rosters are frozen match history: keep the rows, drop the Steam
+      // identity. The placeholder fits steamid64 and stays unique per match.
+      await connection.execute<ResultSetHeader>(
+        `
+          UPDATE competitive_match_roster
+          SET
+            steamid64 =
+              CONCAT('deleted', LEFT(REPLACE(player_account_id, '-', ''), 10)),
+            steam_personaname = NULL
+          WHERE player_account_id = ?
+        `,
+        [playerAccountId],
+      );
+
+      const [steamRows] =
+        await connection.execute<RawSteamIdRow[]>(
+          `
+            SELECT steamid64
+            FROM player_steam_identities
+            WHERE player_account_id = ?
+            FOR UPDATE
+          `,
+          [playerAccountId],
+        );
+
+      const [mediaRows] =
+        await connection.execute<RawProfileMediaRow[]>(
+          `
+            SELECT
+              avatar_url,
+              banner_url
+            FROM player_profiles
+            WHERE player_account_id = ?
+            FOR UPDATE
+          `,
+          [playerAccountId],
+        );
+
+      for (const table of PURGED_TABLES) {
+        await connection.execute<ResultSetHeader>(
+          `DELETE FROM ${table} WHERE player_account_id = ?`,
+          [playerAccountId],
+        );
+      }
+
+      // The identity FK restricts deleting its Steam profile first, so the
+      // cached profiles go once the identities are gone.
+      for (const row of steamRows) {
+        await connection.execute<ResultSetHeader>(
+          `DELETE FROM steam_profiles WHERE steamid64 = ?`,
+          [row.steamid64],
+        );
+      }
+
+      await connection.execute<ResultSetHeader>(
+        `
+          DELETE FROM player_login_failures
+          WHERE scope = 'account'
+            AND subject_key = ?
+        `,
+        [playerAccountId],
+      );
+
+      await connection.execute<ResultSetHeader>(
+        `
+          UPDATE player_accounts
+          SET
+            status = 'disabled',
+            display_name = NULL,
+            disabled_at = COALESCE(disabled_at, UTC_TIMESTAMP()),
+            deleted_at = UTC_TIMESTAMP()
+          WHERE id = ?
+        `,
+        [playerAccountId],
+      );
+
+      await connection.execute<ResultSetHeader>(
+        `
+          UPDATE player_account_deletion_requests
+          SET completed_at = UTC_TIMESTAMP()
+          WHERE id = ?
+        `,
+        [request.id],
+      );
+
+      return {
+        outcome: "completed",
+        mediaUrls: mediaRows.flatMap((row) =>
+          [row.avatar_url, row.banner_url].filter(
+            (url): url is string => Boolean(url),
+          ),
+        ),
+      };
+    });
+  }
+
+  private async withTransaction<T>(
+    work: (connection: PoolConnection) => Promise<T>,
+  ): Promise<T> {
+    const connection =
+      await this.databaseService.getPool().getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const result = await work(connection);
+
+        await connection.commit();
+
+        return result;
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch {}
+
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+}
@@ -0,0 +1,175 @@
+import {
+  Inject,
+  Injectable,
+} from "@nestjs/common";
+
+import {
+  APP_CONFIG,
+  AppConfig,
+} from "../../core/app-config.js";
+import {
+  PlayerAccountDeletionDeliveryService,
+} from "./player-account-deletion-delivery.service.js";
+import {
+  PlayerAccountDeletionRepository,
+  type ConfirmDeletionRequestResult,
+  type CreateDeletionRequestResult,
+  type PlayerAccountDeletionState,
+} from "./player-account-deletion.repository.js";
+
+export interface PlayerAccountDeletionRepositoryPort {
+  findOpenRequest(
+    playerAccountId: string,
+  ): Promise<PlayerAccountDeletionState | null>;
+
+  createRequest(input: {
+    playerAccountId: string;
+    ttlMinutes: number;
+  }): Promise<CreateDeletionRequestResult>;
+
+  confirm(input: {
+    playerAccountId: string;
+    rawToken: string;
+    gracePeriodDays: number;
+  }): Promise<ConfirmDeletionRequestResult>;
+
+  cancel(
+    playerAccountId: string,
+  ): Promise<boolean>;
+}
+
+export interface PlayerAccountDeletionDeliveryPort {
+  deliver(input: {
+    email: string;
+    rawToken: string;
+    expiresAt: string;
+  }): Promise<void>;
+}
+
+export type PlayerAccountDeletionRequestResult =
+  | {
+      ok: true;
+      confirmationExpiresAt: string;
+    }
+  | {
+      ok: false;
+      error:
+        | "account_deletion_unavailable"
+        | "verified_email_required"
+        | "player_account_deletion_already_scheduled";
+    };
+
+export type PlayerAccountDeletionConfirmResult =
+  | {
+      ok: true;
+      scheduledFor: string;
+    }
+  | {
+      ok: false;
+      error:
+        | "invalid_deletion_confirmation"
+        | "invalid_or_expired_deletion_confirmation";
+    };
+
+const TOKEN_RE = /^[0-9a-f]{64}$/;
+
+@Injectable()
+export class PlayerAccountDeletionService {
+  constructor(
+    @Inject(APP_CONFIG)
+    private readonly config: AppConfig,
+
+    @Inject(PlayerAccountDeletionRepository)
+    private readonly repository:
+      PlayerAccountDeletionRepositoryPort,
+
+    @Inject(PlayerAccountDeletionDeliveryService)
+    private readonly delivery:
+      PlayerAccountDeletionDeliveryPort,
+  ) {}
+
+  async getStatus(
+    playerAccountId: string,
+  ): Promise<PlayerAccountDeletionState | null> {
+    return this.repository.findOpenRequest(
+      playerAccountId,
+    );
+  }
+
+  /**
+   * Opens a request and mails the confirmation link. Confirmation needs
+   * the mailbox of a verified email identity, so accounts without one must
+   * link an email first.
+   */
+  async request(
+    playerAccountId: string,
+  ): Promise<PlayerAccountDeletionRequestResult> {
+    if (!this.config.playerEmailAuth.enabled) {
+      return {
+        ok: false,
+        error: "account_deletion_unavailable",
+      };
+    }
+
+    const created =
+      await this.repository.createRequest({
+        playerAccountId,
+        ttlMinutes:
+          this.config.playerAccountDeletion
+            .confirmationTtlMinutes,
+      });
+
+    if (!created.ok) {
+      return created;
+    }
+
+    await this.delivery.deliver({
+      email: created.email,
+      rawToken: created.rawToken,
+      expiresAt: created.expiresAt,
+    });
+
+    return {
+      ok: true,
+      confirmationExpiresAt: created.expiresAt,
+    };
+  }
+
+  async confirm(
+    playerAccountId: string,
+    body: unknown,
+  ): Promise<PlayerAccountDeletionConfirmResult> {
+    const token =
+      body !== null &&
+      typeof body === "object" &&
+      !Array.isArray(body)
+        ? (body as Record<string, unknown>).token
+        : undefined;
+
+    if (
+      typeof token !== "string" ||
+      !TOKEN_RE.test(token)
+    ) {
+      return {
+        ok: false,
+        error: "invalid_deletion_confirmation",
+      };
+    }
+
+    return this.repository.confirm({
+      playerAccountId,
+      rawToken: token,
+      gracePeriodDays:
+        this.config.playerAccountDeletion
+          .gracePeriodDays,
+    });
+  }
+
+  async cancel(
+    playerAccountId: string,
+  ): Promise<boolean> {
+    return this.repository.cancel(
+      playerAccountId,
+    );
+  }
+}
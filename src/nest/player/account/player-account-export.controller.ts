@@ -0,0 +1,166 @@
+import {
+  Controller,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Inject,
+  Post,
+  Req,
+  Res,
+  UseGuards,
+} from "@nestjs/common";
+import {
+  Throttle,
+  minutes,
+} from "@nestjs/throttler";
+
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  PlayerAuthGuard,
+} from "../auth/player-auth.guard.js";
+import type {
+  PlayerIdentity,
+} from "../auth/player-auth.service.js";
+import {
+  PlayerAccountThrottlerGuard,
+} from "../security/player-account-throttler.guard.js";
+import {
+  PlayerCsrfGuard,
+} from "../security/player-csrf.guard.js";
+import {
+  PlayerAccountExportService,
+} from "./player-account-export.service.js";
+
+interface PlayerAccountExportRequest {
+  player?: PlayerIdentity;
+}
+
+interface HttpResponse {
+  setHeader(name: string, value: string): void;
+}
+
+export interface PlayerAccountExportDatabasePort {
+  getStatus(): {
+    ready: boolean;
+  };
+}
+
+export interface PlayerAccountExportServicePort {
+  buildExport(
+    playerAccountId: string,
+  ): Promise<object | null>;
+}
+
+function readPlayerAccountId(
+  request: PlayerAccountExportRequest,
+): string {
+  const playerAccountId =
+    request.player?.playerAccountId;
+
+  if (!playerAccountId) {
+    throw new HttpException(
+      {
+        ok: false,
+        error: "invalid_session",
+      },
+      HttpStatus.UNAUTHORIZED,
+    );
+  }
+
+  return playerAccountId;
+}
+
+@Controller("player/account/export")
+@UseGuards(PlayerAuthGuard)
+export class PlayerAccountExportController {
+  constructor(
+    @Inject(DatabaseService)
+    private readonly databaseService:
+      PlayerAccountExportDatabasePort,
+
+    @Inject(PlayerAccountExportService)
+    private readonly service:
+      PlayerAccountExportServicePort,
+  ) {}
+
+  /**
+   * A POST so the CSRF guard applies: the archive holds session and
+   * identity data that must not be pulled cross-site.
+   */
+  @Post()
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 5,
+      ttl: minutes(15),
+    },
+  })
+  async export(
+    @Req() request: PlayerAccountExportRequest,
+    @Res({ passthrough: true })
+    response: HttpResponse,
+  ) {
+    if (!this.databaseService.getStatus().ready) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "db_not_ready",
+        },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    let archive: object | null;
+
+    try {
+      archive =
+        await this.service.buildExport(
+          playerAccountId,
+        );
+    } catch {
+      console.error(
+        "[player-account] account export failed",
+      );
+
+      throw new HttpException(
+        {
+          ok: false,
+          error:
+            "player_account_export_failed",
+        },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    if (!archive) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "invalid_session",
+        },
+        HttpStatus.UNAUTHORIZED,
+      );
+    }
+
+    response.setHeader(
+      "Content-Disposition",
+      'attachment; filename="hsc-account-export.json"',
+    );
+    response.setHeader(
+      "Cache-Control",
+      "no-store",
+    );
+
+    return {
+      ok: true,
+      export: archive,
+    };
+  }
+}
@@ -0,0 +1,229 @@
+import { Injectable } from "@nestjs/common";
+import type { RowDataPacket } from "mysql2";
+
+import { DatabaseService } from "../../database/database.service.js";
+
+type DateValue = Date | string | null;
+
+interface RawAccountRow extends RowDataPacket {
+  id: string;
+  status: string;
+  display_name: string | null;
+  created_at: DateValue;
+  disabled_at: DateValue;
+}
+
+interface RawEmailIdentityRow extends RowDataPacket {
+  email: string;
+  verified_at: DateValue;
+  created_at: DateValue;
+  last_login_at: DateValue;
+}
+
+interface RawSteamIdentityRow extends RowDataPacket {
+  steamid64: string;
+  created_at: DateValue;
+  last_login_at: DateValue;
+  personaname: string | null;
+  profile_url: string | null;
+  avatar_full_url: string | null;
+}
+
+interface RawProfileRow extends RowDataPacket {
+  display_name: string;
+  slug: string;
+  bio: string | null;
+  avatar_url: string | null;
+  banner_url: string | null;
+  discord_handle: string | null;
+  preferred_role: string | null;
+  preferred_map: string | null;
+  visibility: string;
+  joined_at: DateValue;
+  updated_at: DateValue;
+}
+
+interface RawMembershipRow extends RowDataPacket {
+  status: string;
+  plan_code: string;
+  source: string;
+  started_at: DateValue;
+  expires_at: DateValue;
+  suspended_at: DateValue;
+  cancelled_at: DateValue;
+  created_at: DateValue;
+}
+
+interface RawSessionRow extends RowDataPacket {
+  id: string;
+  created_at: DateValue;
+  last_seen_at: DateValue;
+  expires_at: DateValue;
+  revoked_at: DateValue;
+  created_ip: string | null;
+  user_agent: string | null;
+}
+
+export interface PlayerAccountExportData {
+  account: {
+    id: string;
+    status: string;
+    display_name: string | null;
+    created_at: DateValue;
+    disabled_at: DateValue;
+  };
+  identities: {
+    email: Omit<RawEmailIdentityRow, keyof RowDataPacket> | null;
+    steam: Omit<RawSteamIdentityRow, keyof RowDataPacket> | null;
+  };
+  profile: Omit<RawProfileRow, keyof RowDataPacket> | null;
+  membership: Omit<RawMembershipRow, keyof RowDataPacket> | null;
+  sessions: Array<Omit<RawSessionRow, keyof RowDataPacket>>;
+}
+
+/** Everything stored about the player, as rows of their own tables. */
+@Injectable()
+export class PlayerAccountExportRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+  ) {}
+
+  async findExportData(
+    playerAccountId: string,
+  ): Promise<PlayerAccountExportData | null> {
+    const pool =
+      this.databaseService.getPool();
+
+    const [accounts] =
+      await pool.execute<RawAccountRow[]>(
+        `
+          SELECT
+            id,
+            status,
+            display_name,
+            created_at,
+            disabled_at
+          FROM player_accounts
+          WHERE id = ?
+          LIMIT 1
+        `,
+        [playerAccountId],
+      );
+
+    const account = accounts[0];
+
+    if (!account) {
+      return null;
+    }
+
+    const [emails] =
+      await pool.execute<RawEmailIdentityRow[]>(
+        `
+          SELECT
+            email,
+            verified_at,
+            created_at,
+            last_login_at
+          FROM player_email_identities
+          WHERE player_account_id = ?
+          LIMIT 1
+        `,
+        [playerAccountId],
+      );
+
+    const [steams] =
+      await pool.execute<RawSteamIdentityRow[]>(
+        `
+          SELECT
+            s.steamid64,
+            s.created_at,
+            s.last_login_at,
+            sp.personaname,
+            sp.profile_url,
+            sp.avatar_full_url
+          FROM player_steam_identities s
+          LEFT JOIN steam_profiles sp
+            ON sp.steamid64 = s.steamid64
+          WHERE s.player_account_id = ?
+          LIMIT 1
+        `,
+        [playerAccountId],
+      );
+
+    const [profiles] =
+      await pool.execute<RawProfileRow[]>(
+        `
+          SELECT
+            display_name,
+            slug,
+            bio,
+            avatar_url,
+            banner_url,
+            discord_handle,
+            preferred_role,
+            preferred_map,
+            visibility,
+            joined_at,
+            updated_at
+          FROM player_profiles
+          WHERE player_account_id = ?
+          LIMIT 1
+        `,
+        [playerAccountId],
+      );
+
+    const [memberships] =
+      await pool.execute<RawMembershipRow[]>(
+        `
+          SELECT
+            status,
+            plan_code,
+            source,
+            started_at,
+            expires_at,
+            suspended_at,
+            cancelled_at,
+            created_at
+          FROM player_memberships
+          WHERE player_account_id = ?
+          LIMIT 1
+        `,
+        [playerAccountId],
+      );
+
+    const [sessions] =
+      await pool.execute<RawSessionRow[]>(
+        `
+          SELECT
+            id,
+            created_at,
+            last_seen_at,
+            expires_at,
+            revoked_at,
+            created_ip,
+            user_agent
+          FROM player_sessions
+          WHERE player_account_id = ?
+          ORDER BY created_at DESC, id DESC
+        `,
+        [playerAccountId],
+      );
+
+    return {
+      account: {
+        id: account.id,
+        status: account.status,
+        display_name: account.display_name,
+        created_at: account.created_at,
+        disabled_at: account.disabled_at,
+      },
+      identities: {
+        email: emails[0] ? { ...emails[0] } : null,
+        steam: steams[0] ? { ...steams[0] } : null,
+      },
+      profile: profiles[0] ? { ...profiles[0] } : null,
+      membership: memberships[0] ? { ...memberships[0] } : null,
+      sessions: sessions.map((session) => ({ ...session })),
+    };
+  }
+}
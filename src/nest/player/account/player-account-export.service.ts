@@ -0,0 +1,150 @@
+import {
+  Inject,
+  Injectable,
+} from "@nestjs/common";
+
+import {
+  PlayerMatchHistoryRepository,
+  type PlayerMatchHistoryCursor,
+  type PlayerMatchHistoryRecord,
+} from "../match-history/player-match-history.repository.js";
+import {
+  PlayerAccountExportRepository,
+  type PlayerAccountExportData,
+} from "./player-account-export.repository.js";
+
+export interface PlayerAccountExportRepositoryPort {
+  findExportData(
+    playerAccountId: string,
+  ): Promise<PlayerAccountExportData | null>;
+}
+
+export interface PlayerAccountExportMatchHistoryPort {
+  listForPlayer(
+    playerAccountId: string,
+    limit: number,
+    cursor: PlayerMatchHistoryCursor | null,
+  ): Promise<PlayerMatchHistoryRecord[]>;
+}
+
+export const PLAYER_ACCOUNT_EXPORT_FORMAT_VERSION = 1;
+
+const MATCH_HISTORY_PAGE_SIZE = 100;
+
+/**
+ * One match as exported: other players appear only as a roster count, and
+ * the result keeps the player's own stat line.
+ */
+export function toExportedMatch(
+  playerAccountId: string,
+  record: PlayerMatchHistoryRecord,
+) {
+  const ownLine =
+    record.result?.players.find(
+      (line) =>
+        line.playerAccountId === playerAccountId,
+    ) ?? null;
+
+  return {
+    room_id: record.roomId,
+    status: record.status,
+    failure_reason: record.failureReason,
+    created_at: record.createdAt,
+    ended_at: record.endedAt,
+    competitive_match_id: record.competitiveMatchId,
+    runtime_match_id: record.runtimeMatchId,
+    map: record.map
+      ? {
+          key: record.map.key,
+          display_name: record.map.displayName,
+        }
+      : null,
+    team: record.team,
+    roster_size: record.roster.length,
+    result: record.result
+      ? {
+          winner_team: record.result.winnerTeam,
+          score: record.result.score,
+          series_score: record.result.seriesScore,
+          started_at: record.result.startedAt,
+          ended_at: record.result.endedAt,
+          duration_seconds:
+            record.result.durationSeconds,
+          stats: ownLine
+            ? {
+                kills: ownLine.kills,
+                deaths: ownLine.deaths,
+                assists: ownLine.assists,
+                headshot_kills: ownLine.headshotKills,
+                damage: ownLine.damage,
+                mvps: ownLine.mvps,
+                score: ownLine.score,
+                rounds_played: ownLine.roundsPlayed,
+              }
+            : null,
+        }
+      : null,
+  };
+}
+
+@Injectable()
+export class PlayerAccountExportService {
+  constructor(
+    @Inject(PlayerAccountExportRepository)
+    private readonly repository:
+      PlayerAccountExportRepositoryPort,
+
+    @Inject(PlayerMatchHistoryRepository)
+    private readonly matchHistory:
+      PlayerAccountExportMatchHistoryPort,
+  ) {}
+
+  /** The full archive, or null when the account no longer exists. */
+  async buildExport(
+    playerAccountId: string,
+  ) {
+    const data =
+      await this.repository.findExportData(
+        playerAccountId,
+      );
+
+    if (!data) {
+      return null;
+    }
+
+    const matches: ReturnType<typeof toExportedMatch>[] = [];
+    let cursor: PlayerMatchHistoryCursor | null = null;
+
+    for (;;) {
+      const page =
+        await this.matchHistory.listForPlayer(
+          playerAccountId,
+          MATCH_HISTORY_PAGE_SIZE,
+          cursor,
+        );
+
+      for (const record of page) {
+        matches.push(
+          toExportedMatch(
+            playerAccountId,
+            record,
+          ),
+        );
+      }
+
+      if (page.length < MATCH_HISTORY_PAGE_SIZE) {
+        break;
+      }
+
+      cursor = page[page.length - 1].cursor;
+    }
+
+    return {
+      format_version:
+        PLAYER_ACCOUNT_EXPORT_FORMAT_VERSION,
+      generated_at: new Date().toISOString(),
+      ...data,
+      match_history: matches,
+    };
+  }
+}
@@ -2,13 +2,21 @@ import { Injectable } from "@nestjs/common";
 import type { RowDataPacket } from "mysql2";
 
 import { DatabaseService } from "../../database/database.service.js";
+import type {
+  PlayerMatchRatingSnapshot,
+} from "../../match/rating/match-rating.contract.js";
+import {
+  readPlayerMatchRating,
+  type MatchRatingRow,
+} from "../../match/rating/match-rating.js";
 
 type PlayerAccountStatus =
   | "active"
   | "disabled";
 
 interface RawPlayerAccountSummaryRow
-  extends RowDataPacket {
+  extends RowDataPacket,
+    MatchRatingRow {
   status: string;
   email: string | null;
   email_verified_at: Date | string | null;
@@ -46,6 +54,8 @@ export interface PlayerAccountSummary {
         | "steam_link_required";
     };
   };
+
+  rating: PlayerMatchRatingSnapshot | null;
 }
 
 function normalizeStatus(
@@ -86,12 +96,20 @@ export class PlayerAccountSummaryRepository {
             e.email,
             e.verified_at
               AS email_verified_at,
-            s.steamid64
+            s.steamid64,
+            r.rating,
+            r.matches_played,
+            r.wins,
+            r.losses,
+            r.season_id,
+            r.updated_at
           FROM player_accounts a
           LEFT JOIN player_email_identities e
             ON e.player_account_id = a.id
           LEFT JOIN player_steam_identities s
             ON s.player_account_id = a.id
+          LEFT JOIN player_match_ratings r
+            ON r.player_account_id = a.id
           WHERE a.id = ?
           LIMIT 1
         `,
@@ -152,6 +170,8 @@ export class PlayerAccountSummaryRepository {
           reason: steamReason,
         },
       },
+
+      rating: readPlayerMatchRating(row),
     };
   }
 }
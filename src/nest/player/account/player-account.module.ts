@@ -3,6 +3,39 @@ import { Module } from "@nestjs/common";
 import {
   PlayerAuthModule,
 } from "../auth/player-auth.module.js";
+import {
+  PlayerMatchHistoryModule,
+} from "../match-history/player-match-history.module.js";
+import {
+  PlayerSecurityModule,
+} from "../security/player-security.module.js";
+import {
+  PlayerProfileMediaStorage,
+} from "../profile/player-profile-media.storage.js";
+import {
+  PlayerAccountDeletionController,
+} from "./player-account-deletion.controller.js";
+import {
+  PlayerAccountDeletionDeliveryService,
+} from "./player-account-deletion-delivery.service.js";
+import {
+  PlayerAccountDeletionRepository,
+} from "./player-account-deletion.repository.js";
+import {
+  PlayerAccountDeletionService,
+} from "./player-account-deletion.service.js";
+import {
+  PlayerAccountDeletionSweeperService,
+} from "./player-account-deletion-sweeper.service.js";
+import {
+  PlayerAccountExportController,
+} from "./player-account-export.controller.js";
+import {
+  PlayerAccountExportRepository,
+} from "./player-account-export.repository.js";
+import {
+  PlayerAccountExportService,
+} from "./player-account-export.service.js";
 import {
   PlayerAccountSummaryController,
 } from "./player-account-summary.controller.js";
@@ -13,12 +46,23 @@ import {
 @Module({
   imports: [
     PlayerAuthModule,
+    PlayerSecurityModule,
+    PlayerMatchHistoryModule,
   ],
   controllers: [
     PlayerAccountSummaryController,
+    PlayerAccountExportController,
+    PlayerAccountDeletionController,
   ],
   providers: [
     PlayerAccountSummaryRepository,
+    PlayerAccountExportRepository,
+    PlayerAccountExportService,
+    PlayerAccountDeletionRepository,
+    PlayerAccountDeletionDeliveryService,
+    PlayerAccountDeletionService,
+    PlayerAccountDeletionSweeperService,
+    PlayerProfileMediaStorage,
   ],
 })
 export class PlayerAccountModule {}
@@ -2,6 +2,17 @@ import { Module } from "@nestjs/common";
 import { PlayerSecurityModule } from "../security/player-security.module.js";
 import { PlayerMeController } from "./player-me.controller.js";
 import { PlayerLogoutController } from "./player-logout.controller.js";
+import { PlayerSecuritySessionsController } from "./player-security-sessions.controller.js";
+import { PlayerSecurityEventsController } from "./player-security-events.controller.js";
+import { PlayerSecurityEventRepository } from "./player-security-event.repository.js";
+import { PlayerSecurityEventService } from "./player-security-event.service.js";
+import { PlayerSecurityNotificationDeliveryService } from "./player-security-notification-delivery.service.js";
+import { PlayerTwoFactorController } from "./player-two-factor.controller.js";
+import { PlayerTotpRepository } from "./player-totp.repository.js";
+import { PlayerTotpService } from "./player-totp.service.js";
+import { PlayerLoginLockoutRepository } from "./player-login-lockout.repository.js";
+import { PlayerLoginLockoutService } from "./player-login-lockout.service.js";
+import { PlayerLoginLockoutDeliveryService } from "./player-login-lockout-delivery.service.js";
 import { PlayerSteamAuthController } from "./player-steam-auth.controller.js";
 import { PlayerSessionRepository } from "./player-session.repository.js";
 import { PlayerAccountRepository } from "./player-account.repository.js";
@@ -44,6 +55,9 @@ import { PlayerEmailLinkConfirmController } from "./player-email-link-confirm.co
   controllers: [
     PlayerMeController,
     PlayerLogoutController,
+    PlayerSecuritySessionsController,
+    PlayerSecurityEventsController,
+    PlayerTwoFactorController,
     PlayerSteamAuthController,
     PlayerSteamLinkStartController,
     PlayerSteamLinkCallbackController,
@@ -72,6 +86,14 @@ import { PlayerEmailLinkConfirmController } from "./player-email-link-confirm.co
     PlayerEmailVerificationService,
     PlayerEmailLoginRepository,
     PlayerEmailLoginService,
+    PlayerTotpRepository,
+    PlayerTotpService,
+    PlayerLoginLockoutRepository,
+    PlayerLoginLockoutService,
+    PlayerLoginLockoutDeliveryService,
+    PlayerSecurityEventRepository,
+    PlayerSecurityEventService,
+    PlayerSecurityNotificationDeliveryService,
     PlayerEmailPasswordResetRepository,
     PlayerEmailPasswordResetRequestService,
     PlayerEmailPasswordResetDeliveryService,
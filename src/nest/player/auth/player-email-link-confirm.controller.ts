@@ -2,10 +2,16 @@ import {
   Body,
   Controller,
   HttpException,
+  Headers,
   HttpStatus,
   Inject,
+  Ip,
   Post,
 } from "@nestjs/common";
+import {
+  buildRequestClientMetadata,
+  type RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import {
   PlayerEmailLinkConfirmService,
   type PlayerEmailLinkConfirmServiceResult,
@@ -14,6 +20,7 @@ import {
 export interface PlayerEmailLinkConfirmServicePort {
   confirm(
     body: unknown,
+    client: RequestClientMetadata,
   ): Promise<PlayerEmailLinkConfirmServiceResult>;
 }
 
@@ -26,12 +33,19 @@ export class PlayerEmailLinkConfirmController {
   ) {}
 
   @Post("confirm")
-  async confirm(@Body() body: unknown) {
+  async confirm(
+    @Body() body: unknown,
+    @Ip() ip?: string,
+    @Headers("user-agent") userAgent?: string,
+  ) {
     let result:
       PlayerEmailLinkConfirmServiceResult;
 
     try {
-      result = await this.service.confirm(body);
+      result = await this.service.confirm(
+        body,
+        buildRequestClientMetadata(ip, userAgent),
+      );
     } catch {
       console.error(
         "[player-auth] email link confirm failed",
@@ -6,10 +6,17 @@ import {
   APP_CONFIG,
   AppConfig,
 } from "../../core/app-config.js";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import {
   PlayerEmailLinkRepository,
   type PlayerEmailLinkConfirmResult,
 } from "./player-email-link.repository.js";
+import {
+  PlayerSecurityEventService,
+  type PlayerSecurityEventInput,
+} from "./player-security-event.service.js";
 
 export interface PlayerEmailLinkConfirmRepositoryPort {
   confirmLink(input: {
@@ -17,6 +24,12 @@ export interface PlayerEmailLinkConfirmRepositoryPort {
   }): Promise<PlayerEmailLinkConfirmResult>;
 }
 
+export interface PlayerEmailLinkConfirmSecurityEventsPort {
+  record(
+    input: PlayerSecurityEventInput,
+  ): Promise<void>;
+}
+
 export type PlayerEmailLinkConfirmServiceResult =
   | {
       ok: true;
@@ -40,10 +53,15 @@ export class PlayerEmailLinkConfirmService {
     @Inject(PlayerEmailLinkRepository)
     private readonly repository:
       PlayerEmailLinkConfirmRepositoryPort,
+
+    @Inject(PlayerSecurityEventService)
+    private readonly securityEvents:
+      PlayerEmailLinkConfirmSecurityEventsPort,
   ) {}
 
   async confirm(
     body: unknown,
+    client: RequestClientMetadata,
   ): Promise<PlayerEmailLinkConfirmServiceResult> {
     if (!this.config.playerEmailAuth.enabled) {
       return {
@@ -113,6 +131,18 @@ export class PlayerEmailLinkConfirmService {
       };
     }
 
-    return result;
+    await this.securityEvents.record({
+      playerAccountId: result.playerAccountId,
+      type: "email_linked",
+      client,
+      metadata: {
+        email: result.email,
+      },
+    });
+
+    return {
+      ok: true,
+      email: result.email,
+    };
   }
 }
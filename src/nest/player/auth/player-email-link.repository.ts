@@ -49,6 +49,7 @@ export type PlayerEmailLinkIntentCreationResult =
 export type PlayerEmailLinkConfirmResult =
   | {
       ok: true;
+      playerAccountId: string;
       email: string;
     }
   | {
@@ -434,6 +435,8 @@ export class PlayerEmailLinkRepository {
 
         return {
           ok: true,
+          playerAccountId:
+            intent.player_account_id,
           email: intent.email,
         };
       } catch (error) {
@@ -1,9 +1,12 @@
 import {
   Body,
   Controller,
+  Headers,
+  HttpCode,
   HttpException,
   HttpStatus,
   Inject,
+  Ip,
   Post,
   Res,
   UseGuards,
@@ -18,10 +21,17 @@ import {
 import {
   PlayerCsrfGuard,
 } from "../security/player-csrf.guard.js";
+import {
+  PlayerIpThrottlerGuard,
+} from "../security/player-ip-throttler.guard.js";
 import {
   APP_CONFIG,
   AppConfig,
 } from "../../core/app-config.js";
+import {
+  buildRequestClientMetadata,
+  type RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import { DatabaseService } from "../../database/database.service.js";
 import {
   buildPlayerSessionCookie,
@@ -29,6 +39,7 @@ import {
 import {
   PlayerEmailLoginService,
   type PlayerEmailLoginResult,
+  type PlayerEmailTwoFactorLoginResult,
 } from "./player-email-login.service.js";
 
 interface HttpResponse {
@@ -44,7 +55,92 @@ export interface PlayerEmailLoginDatabasePort {
 export interface PlayerEmailLoginServicePort {
   login(
     body: unknown,
+    client: RequestClientMetadata,
   ): Promise<PlayerEmailLoginResult>;
+
+  completeTwoFactorLogin(
+    body: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerEmailTwoFactorLoginResult>;
+}
+
+function throwLoginError(
+  error:
+    | Exclude<PlayerEmailLoginResult, { ok: true }>["error"]
+    | Exclude<PlayerEmailTwoFactorLoginResult, { ok: true }>["error"],
+): never {
+  if (error === "player_email_auth_unavailable") {
+    throw new HttpException(
+      {
+        ok: false,
+        error,
+      },
+      HttpStatus.NOT_IMPLEMENTED,
+    );
+  }
+
+  if (
+    error === "email_not_verified" ||
+    error === "player_account_disabled"
+  ) {
+    throw new HttpException(
+      {
+        ok: false,
+        error,
+      },
+      HttpStatus.FORBIDDEN,
+    );
+  }
+
+  if (error === "invalid_request") {
+    throw new HttpException(
+      {
+        ok: false,
+        error,
+      },
+      HttpStatus.BAD_REQUEST,
+    );
+  }
+
+  if (
+    error === "invalid_or_expired_challenge" ||
+    error === "invalid_two_factor_code"
+  ) {
+    throw new HttpException(
+      {
+        ok: false,
+        error,
+      },
+      HttpStatus.UNAUTHORIZED,
+    );
+  }
+
+  throw new HttpException(
+    {
+      ok: false,
+      error: "invalid_credentials",
+    },
+    HttpStatus.UNAUTHORIZED,
+  );
+}
+
+function throwLoginLocked(
+  response: HttpResponse,
+  retryAfterSeconds: number,
+): never {
+  response.setHeader(
+    "Retry-After",
+    String(retryAfterSeconds),
+  );
+
+  throw new HttpException(
+    {
+      ok: false,
+      error: "login_temporarily_locked",
+      retry_after_seconds: retryAfterSeconds,
+    },
+    HttpStatus.TOO_MANY_REQUESTS,
+  );
 }
 
 @Controller("player/auth/email")
@@ -77,6 +173,8 @@ export class PlayerEmailLoginController {
     @Body() body: unknown,
     @Res({ passthrough: true })
     response: HttpResponse,
+    @Ip() ip?: string,
+    @Headers("user-agent") userAgent?: string,
   ) {
     if (!this.databaseService.getStatus().ready) {
       throw new HttpException(
@@ -91,7 +189,10 @@ export class PlayerEmailLoginController {
     let result: PlayerEmailLoginResult;
 
     try {
-      result = await this.loginService.login(body);
+      result = await this.loginService.login(
+        body,
+        buildRequestClientMetadata(ip, userAgent),
+      );
     } catch {
       console.error(
         "[player-email-auth] login failed",
@@ -106,42 +207,108 @@ export class PlayerEmailLoginController {
       );
     }
 
+    if (
+      !result.ok &&
+      result.error === "login_temporarily_locked"
+    ) {
+      throwLoginLocked(response, result.retryAfterSeconds);
+    }
+
     if (!result.ok) {
-      if (
-        result.error ===
-        "player_email_auth_unavailable"
-      ) {
-        throw new HttpException(
-          {
-            ok: false,
-            error: result.error,
-          },
-          HttpStatus.NOT_IMPLEMENTED,
-        );
-      }
-
-      if (
-        result.error === "email_not_verified" ||
-        result.error === "player_account_disabled"
-      ) {
-        throw new HttpException(
-          {
-            ok: false,
-            error: result.error,
-          },
-          HttpStatus.FORBIDDEN,
+      throwLoginError(result.error);
+    }
+
+    if ("pendingToken" in result) {
+      return {
+        ok: true,
+        authenticated: false,
+        two_factor_required: true,
+        pending_token: result.pendingToken,
+        expires_in_seconds:
+          result.expiresInSeconds,
+      };
+    }
+
+    response.setHeader(
+      "Set-Cookie",
+      buildPlayerSessionCookie(
+        result.rawSessionToken,
+        this.config.playerAuth,
+        this.config.adminAuth.publicUrl,
+      ),
+    );
+
+    return {
+      ok: true,
+      authenticated: true,
+      session: {
+        issued: true,
+      },
+    };
+  }
+
+  @Post("login/2fa")
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerIpThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 20,
+      ttl: minutes(15),
+    },
+  })
+  async completeTwoFactor(
+    @Body() body: unknown,
+    @Res({ passthrough: true })
+    response: HttpResponse,
+    @Ip() ip?: string,
+    @Headers("user-agent") userAgent?: string,
+  ) {
+    if (!this.databaseService.getStatus().ready) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "db_not_ready",
+        },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+
+    let result: PlayerEmailTwoFactorLoginResult;
+
+    try {
+      result =
+        await this.loginService.completeTwoFactorLogin(
+          body,
+          buildRequestClientMetadata(ip, userAgent),
         );
-      }
+    } catch {
+      console.error(
+        "[player-email-auth] two-factor login failed",
+      );
 
       throw new HttpException(
         {
           ok: false,
-          error: "invalid_credentials",
+          error: "login_failed",
         },
-        HttpStatus.UNAUTHORIZED,
+        HttpStatus.INTERNAL_SERVER_ERROR,
       );
     }
 
+    if (
+      !result.ok &&
+      result.error === "login_temporarily_locked"
+    ) {
+      throwLoginLocked(response, result.retryAfterSeconds);
+    }
+
+    if (!result.ok) {
+      throwLoginError(result.error);
+    }
+
     response.setHeader(
       "Set-Cookie",
       buildPlayerSessionCookie(
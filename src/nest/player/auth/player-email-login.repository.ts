@@ -3,6 +3,9 @@ import type {
   ResultSetHeader,
   RowDataPacket,
 } from "mysql2";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import { DatabaseService } from "../../database/database.service.js";
 import {
   createPlayerSessionTokenMaterial,
@@ -91,6 +94,7 @@ export class PlayerEmailLoginRepository {
     playerEmailIdentityId: string;
     playerAccountId: string;
     sessionTtlHours: number;
+    client: RequestClientMetadata;
   }): Promise<PlayerEmailLoginSessionResult> {
     const pool = this.databaseService.getPool();
     const connection = await pool.getConnection();
@@ -177,6 +181,9 @@ export class PlayerEmailLoginRepository {
               id,
               player_account_id,
               token_hash,
+              created_ip,
+              user_agent,
+              last_seen_at,
               expires_at,
               revoked_at
             )
@@ -184,6 +191,9 @@ export class PlayerEmailLoginRepository {
               ?,
               ?,
               ?,
+              ?,
+              ?,
+              UTC_TIMESTAMP(),
               DATE_ADD(
                 UTC_TIMESTAMP(),
                 INTERVAL ? HOUR
@@ -195,6 +205,8 @@ export class PlayerEmailLoginRepository {
             session.sessionId,
             input.playerAccountId,
             session.tokenHash,
+            input.client.ip,
+            input.client.userAgent,
             input.sessionTtlHours,
           ],
         );
@@ -6,6 +6,9 @@ import {
   APP_CONFIG,
   AppConfig,
 } from "../../core/app-config.js";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import {
   PlayerEmailLoginRepository,
   type PlayerEmailLoginIdentity,
@@ -14,6 +17,19 @@ import {
 import {
   PlayerPasswordService,
 } from "./player-password.service.js";
+import {
+  PlayerLoginLockoutService,
+  type PlayerLoginAttemptContext,
+  type PlayerLoginLockoutCheck,
+} from "./player-login-lockout.service.js";
+import {
+  PlayerSecurityEventService,
+  type PlayerSecurityEventInput,
+} from "./player-security-event.service.js";
+import {
+  PlayerTotpService,
+  type PlayerLoginChallengeResult,
+} from "./player-totp.service.js";
 
 export interface PlayerEmailLoginPasswordPort {
   verifyPasswordOrDummy(
@@ -31,10 +47,82 @@ export interface PlayerEmailLoginRepositoryPort {
     playerEmailIdentityId: string;
     playerAccountId: string;
     sessionTtlHours: number;
+    client: RequestClientMetadata;
   }): Promise<PlayerEmailLoginSessionResult>;
 }
 
+export interface PlayerEmailLoginTwoFactorPort {
+  isEnabled(
+    playerAccountId: string,
+  ): Promise<boolean>;
+
+  createLoginChallenge(input: {
+    playerAccountId: string;
+    playerEmailIdentityId: string;
+  }): Promise<{
+    pendingToken: string;
+    expiresInSeconds: number;
+  }>;
+
+  findLoginChallengeSubject(
+    pendingToken: string,
+  ): Promise<{
+    playerAccountId: string;
+    email: string;
+  } | null>;
+
+  completeLoginChallenge(
+    pendingToken: string,
+    body: unknown,
+  ): Promise<PlayerLoginChallengeResult>;
+}
+
+export interface PlayerEmailLoginLockoutPort {
+  check(
+    context: PlayerLoginAttemptContext,
+  ): Promise<PlayerLoginLockoutCheck>;
+
+  recordFailure(
+    context: PlayerLoginAttemptContext,
+  ): Promise<void>;
+
+  recordSuccess(
+    playerAccountId: string,
+  ): Promise<void>;
+}
+
+export interface PlayerEmailLoginSecurityEventsPort {
+  record(
+    input: PlayerSecurityEventInput,
+  ): Promise<void>;
+}
+
 export type PlayerEmailLoginResult =
+  | {
+      ok: true;
+      rawSessionToken: string;
+    }
+  | {
+      ok: true;
+      twoFactorRequired: true;
+      pendingToken: string;
+      expiresInSeconds: number;
+    }
+  | {
+      ok: false;
+      error:
+        | "player_email_auth_unavailable"
+        | "invalid_credentials"
+        | "email_not_verified"
+        | "player_account_disabled";
+    }
+  | {
+      ok: false;
+      error: "login_temporarily_locked";
+      retryAfterSeconds: number;
+    };
+
+export type PlayerEmailTwoFactorLoginResult =
   | {
       ok: true;
       rawSessionToken: string;
@@ -43,9 +131,17 @@ export type PlayerEmailLoginResult =
       ok: false;
       error:
         | "player_email_auth_unavailable"
+        | "invalid_request"
+        | "invalid_or_expired_challenge"
+        | "invalid_two_factor_code"
         | "invalid_credentials"
         | "email_not_verified"
         | "player_account_disabled";
+    }
+  | {
+      ok: false;
+      error: "login_temporarily_locked";
+      retryAfterSeconds: number;
     };
 
 function normalizeEmail(input: unknown): string | null {
@@ -89,10 +185,23 @@ export class PlayerEmailLoginService {
     @Inject(PlayerEmailLoginRepository)
     private readonly repository:
       PlayerEmailLoginRepositoryPort,
+
+    @Inject(PlayerTotpService)
+    private readonly twoFactor:
+      PlayerEmailLoginTwoFactorPort,
+
+    @Inject(PlayerLoginLockoutService)
+    private readonly lockout:
+      PlayerEmailLoginLockoutPort,
+
+    @Inject(PlayerSecurityEventService)
+    private readonly securityEvents:
+      PlayerEmailLoginSecurityEventsPort,
   ) {}
 
   async login(
     body: unknown,
+    client: RequestClientMetadata,
   ): Promise<PlayerEmailLoginResult> {
     if (!this.config.playerEmailAuth.enabled) {
       return {
@@ -126,6 +235,26 @@ export class PlayerEmailLoginService {
     const identity =
       await this.repository.findByEmail(email);
 
+    const attempt = {
+      playerAccountId:
+        identity?.playerAccountId ?? null,
+      email,
+      ip: client.ip,
+    };
+
+    // Checked before the password so a locked account cannot keep guessing.
+    const lockout =
+      await this.lockout.check(attempt);
+
+    if (!lockout.ok) {
+      return {
+        ok: false,
+        error: "login_temporarily_locked",
+        retryAfterSeconds:
+          lockout.retryAfterSeconds,
+      };
+    }
+
     const passwordMatches =
       await this.passwordService.verifyPasswordOrDummy(
         input.password,
@@ -133,6 +262,8 @@ export class PlayerEmailLoginService {
       );
 
     if (!identity || !passwordMatches) {
+      await this.lockout.recordFailure(attempt);
+
       return {
         ok: false,
         error: "invalid_credentials",
@@ -153,6 +284,39 @@ export class PlayerEmailLoginService {
       };
     }
 
+    const twoFactorEnabled =
+      await this.twoFactor.isEnabled(
+        identity.playerAccountId,
+      );
+
+    // With TOTP the failure count is only cleared once the code is right,
+    // otherwise each new challenge would reset the lockout for free.
+    if (!twoFactorEnabled) {
+      await this.lockout.recordSuccess(
+        identity.playerAccountId,
+      );
+    }
+
+    // Password alone is not enough once TOTP is enabled: hand out a
+    // short-lived pending token and issue the session only after the code.
+    if (twoFactorEnabled) {
+      const challenge =
+        await this.twoFactor.createLoginChallenge({
+          playerAccountId:
+            identity.playerAccountId,
+          playerEmailIdentityId:
+            identity.playerEmailIdentityId,
+        });
+
+      return {
+        ok: true,
+        twoFactorRequired: true,
+        pendingToken: challenge.pendingToken,
+        expiresInSeconds:
+          challenge.expiresInSeconds,
+      };
+    }
+
     const sessionResult =
       await this.repository.recordLoginAndCreateSession({
         playerEmailIdentityId:
@@ -161,12 +325,135 @@ export class PlayerEmailLoginService {
           identity.playerAccountId,
         sessionTtlHours:
           this.config.playerAuth.ttlHours,
+        client,
+      });
+
+    if (!sessionResult.ok) {
+      return sessionResult;
+    }
+
+    await this.securityEvents.record({
+      playerAccountId:
+        identity.playerAccountId,
+      type: "login",
+      client,
+      metadata: {
+        method: "email",
+      },
+    });
+
+    return {
+      ok: true,
+      rawSessionToken:
+        sessionResult.rawSessionToken,
+    };
+  }
+
+  async completeTwoFactorLogin(
+    body: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerEmailTwoFactorLoginResult> {
+    if (!this.config.playerEmailAuth.enabled) {
+      return {
+        ok: false,
+        error: "player_email_auth_unavailable",
+      };
+    }
+
+    if (
+      body === null ||
+      typeof body !== "object" ||
+      Array.isArray(body)
+    ) {
+      return {
+        ok: false,
+        error: "invalid_request",
+      };
+    }
+
+    const input = body as Record<string, unknown>;
+
+    if (
+      typeof input.pending_token !== "string" ||
+      !input.pending_token.trim()
+    ) {
+      return {
+        ok: false,
+        error: "invalid_request",
+      };
+    }
+
+    const pendingToken = input.pending_token.trim();
+
+    const subject =
+      await this.twoFactor.findLoginChallengeSubject(
+        pendingToken,
+      );
+
+    const attempt = {
+      playerAccountId:
+        subject?.playerAccountId ?? null,
+      email: subject?.email ?? null,
+      ip: client.ip,
+    };
+
+    // Wrong codes share the password lockout: a locked account cannot keep
+    // guessing through fresh challenges.
+    const lockout =
+      await this.lockout.check(attempt);
+
+    if (!lockout.ok) {
+      return {
+        ok: false,
+        error: "login_temporarily_locked",
+        retryAfterSeconds:
+          lockout.retryAfterSeconds,
+      };
+    }
+
+    const challenge =
+      await this.twoFactor.completeLoginChallenge(
+        pendingToken,
+        input,
+      );
+
+    if (!challenge.ok) {
+      if (challenge.error === "invalid_two_factor_code") {
+        await this.lockout.recordFailure(attempt);
+      }
+
+      return challenge;
+    }
+
+    await this.lockout.recordSuccess(
+      challenge.playerAccountId,
+    );
+
+    const sessionResult =
+      await this.repository.recordLoginAndCreateSession({
+        playerEmailIdentityId:
+          challenge.playerEmailIdentityId,
+        playerAccountId:
+          challenge.playerAccountId,
+        sessionTtlHours:
+          this.config.playerAuth.ttlHours,
+        client,
       });
 
     if (!sessionResult.ok) {
       return sessionResult;
     }
 
+    await this.securityEvents.record({
+      playerAccountId:
+        challenge.playerAccountId,
+      type: "login",
+      client,
+      metadata: {
+        method: "email_totp",
+      },
+    });
+
     return {
       ok: true,
       rawSessionToken:
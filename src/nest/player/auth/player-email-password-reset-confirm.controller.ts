@@ -2,10 +2,16 @@ import {
   Body,
   Controller,
   HttpException,
+  Headers,
   HttpStatus,
   Inject,
+  Ip,
   Post,
 } from "@nestjs/common";
+import {
+  buildRequestClientMetadata,
+  type RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import { DatabaseService } from "../../database/database.service.js";
 import {
   PlayerEmailPasswordResetConfirmService,
@@ -21,6 +27,7 @@ export interface PasswordResetConfirmDatabasePort {
 export interface PasswordResetConfirmServicePort {
   confirm(
     body: unknown,
+    client: RequestClientMetadata,
   ): Promise<PasswordResetConfirmServiceResult>;
 }
 
@@ -37,7 +44,11 @@ export class PlayerEmailPasswordResetConfirmController {
   ) {}
 
   @Post("confirm")
-  async confirm(@Body() body: unknown) {
+  async confirm(
+    @Body() body: unknown,
+    @Ip() ip?: string,
+    @Headers("user-agent") userAgent?: string,
+  ) {
     if (!this.databaseService.getStatus().ready) {
       throw new HttpException(
         {
@@ -51,7 +62,10 @@ export class PlayerEmailPasswordResetConfirmController {
     let result: PasswordResetConfirmServiceResult;
 
     try {
-      result = await this.service.confirm(body);
+      result = await this.service.confirm(
+        body,
+        buildRequestClientMetadata(ip, userAgent),
+      );
     } catch {
       console.error(
         "[player-email-auth] password reset confirm failed",
@@ -6,6 +6,9 @@ import {
   APP_CONFIG,
   AppConfig,
 } from "../../core/app-config.js";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import {
   PlayerEmailPasswordResetRepository,
   type PasswordResetConfirmResult,
@@ -13,6 +16,10 @@ import {
 import {
   PlayerPasswordService,
 } from "./player-password.service.js";
+import {
+  PlayerSecurityEventService,
+  type PlayerSecurityEventInput,
+} from "./player-security-event.service.js";
 
 export interface PasswordResetConfirmRepositoryPort {
   confirm(input: {
@@ -26,6 +33,12 @@ export interface PasswordResetConfirmPasswordPort {
   hashPassword(input: unknown): Promise<string>;
 }
 
+export interface PasswordResetConfirmSecurityEventsPort {
+  record(
+    input: PlayerSecurityEventInput,
+  ): Promise<void>;
+}
+
 export type PasswordResetConfirmServiceResult =
   | {
       ok: true;
@@ -52,10 +65,15 @@ export class PlayerEmailPasswordResetConfirmService {
     @Inject(PlayerEmailPasswordResetRepository)
     private readonly repository:
       PasswordResetConfirmRepositoryPort,
+
+    @Inject(PlayerSecurityEventService)
+    private readonly securityEvents:
+      PasswordResetConfirmSecurityEventsPort,
   ) {}
 
   async confirm(
     body: unknown,
+    client: RequestClientMetadata,
   ): Promise<PasswordResetConfirmServiceResult> {
     if (!this.config.playerEmailAuth.enabled) {
       return {
@@ -105,9 +123,27 @@ export class PlayerEmailPasswordResetConfirmService {
         input.password,
       );
 
-    return this.repository.confirm({
-      rawToken: token,
-      passwordHash,
+    const result =
+      await this.repository.confirm({
+        rawToken: token,
+        passwordHash,
+      });
+
+    if (!result.ok) {
+      return result;
+    }
+
+    await this.securityEvents.record({
+      playerAccountId: result.playerAccountId,
+      type: "password_changed",
+      client,
+      metadata: {
+        method: "password_reset",
+      },
     });
+
+    return {
+      ok: true,
+    };
   }
 }
@@ -30,6 +30,7 @@ export interface CreatedPasswordReset {
 export type PasswordResetConfirmResult =
   | {
       ok: true;
+      playerAccountId: string;
     }
   | {
       ok: false;
@@ -254,6 +255,8 @@ export class PlayerEmailPasswordResetRepository {
 
         return {
           ok: true,
+          playerAccountId:
+            reset.player_account_id,
         };
       } catch (error) {
         try {
@@ -2,9 +2,11 @@ import {
   Body,
   Controller,
   HttpCode,
+  Headers,
   HttpException,
   HttpStatus,
   Inject,
+  Ip,
   Post,
   Res,
   UseGuards,
@@ -16,6 +18,10 @@ import {
   APP_CONFIG,
   AppConfig,
 } from "../../core/app-config.js";
+import {
+  buildRequestClientMetadata,
+  type RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import { DatabaseService } from "../../database/database.service.js";
 import {
   buildPlayerSessionCookie,
@@ -38,6 +44,7 @@ export interface PlayerEmailVerificationDatabasePort {
 export interface PlayerEmailVerificationServicePort {
   verify(
     body: unknown,
+    client: RequestClientMetadata,
   ): Promise<PlayerEmailVerificationServiceResult>;
 }
 
@@ -65,6 +72,8 @@ export class PlayerEmailVerificationController {
     @Body() body: unknown,
     @Res({ passthrough: true })
     response: HttpResponse,
+    @Ip() ip?: string,
+    @Headers("user-agent") userAgent?: string,
   ) {
     if (!this.databaseService.getStatus().ready) {
       throw new HttpException(
@@ -80,7 +89,10 @@ export class PlayerEmailVerificationController {
 
     try {
       result =
-        await this.verificationService.verify(body);
+        await this.verificationService.verify(
+          body,
+          buildRequestClientMetadata(ip, userAgent),
+        );
     } catch {
       console.error(
         "[player-email-auth] verification failed",
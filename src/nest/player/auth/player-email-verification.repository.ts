@@ -4,6 +4,9 @@ import type {
   ResultSetHeader,
   RowDataPacket,
 } from "mysql2";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import { DatabaseService } from "../../database/database.service.js";
 import {
   createPlayerSessionTokenMaterial,
@@ -42,6 +45,7 @@ export class PlayerEmailVerificationRepository {
   async consumeVerificationAndCreateSession(input: {
     rawToken: string;
     sessionTtlHours: number;
+    client: RequestClientMetadata;
   }): Promise<PlayerEmailVerificationRepositoryResult> {
     const tokenHash = createHash("sha256")
       .update(input.rawToken, "utf8")
@@ -141,6 +145,9 @@ export class PlayerEmailVerificationRepository {
               id,
               player_account_id,
               token_hash,
+              created_ip,
+              user_agent,
+              last_seen_at,
               expires_at,
               revoked_at
             )
@@ -148,6 +155,9 @@ export class PlayerEmailVerificationRepository {
               ?,
               ?,
               ?,
+              ?,
+              ?,
+              UTC_TIMESTAMP(),
               DATE_ADD(
                 UTC_TIMESTAMP(),
                 INTERVAL ? HOUR
@@ -159,6 +169,8 @@ export class PlayerEmailVerificationRepository {
             session.sessionId,
             verification.player_account_id,
             session.tokenHash,
+            input.client.ip,
+            input.client.userAgent,
             input.sessionTtlHours,
           ],
         );
@@ -6,6 +6,9 @@ import {
   APP_CONFIG,
   AppConfig,
 } from "../../core/app-config.js";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import {
   PlayerEmailVerificationRepository,
   type PlayerEmailVerificationRepositoryResult,
@@ -15,6 +18,7 @@ export interface PlayerEmailVerificationRepositoryPort {
   consumeVerificationAndCreateSession(input: {
     rawToken: string;
     sessionTtlHours: number;
+    client: RequestClientMetadata;
   }): Promise<PlayerEmailVerificationRepositoryResult>;
 }
 
@@ -44,6 +48,7 @@ export class PlayerEmailVerificationService {
 
   async verify(
     body: unknown,
+    client: RequestClientMetadata,
   ): Promise<PlayerEmailVerificationServiceResult> {
     if (!this.config.playerEmailAuth.enabled) {
       return {
@@ -83,6 +88,7 @@ export class PlayerEmailVerificationService {
           rawToken: token.trim(),
           sessionTtlHours:
             this.config.playerAuth.ttlHours,
+          client,
         });
 
     if (!result.ok) {
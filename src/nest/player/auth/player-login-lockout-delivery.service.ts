@@ -0,0 +1,57 @@
+import {
+  Inject,
+  Injectable,
+} from "@nestjs/common";
+import nodemailer from "nodemailer";
+import {
+  APP_CONFIG,
+  AppConfig,
+} from "../../core/app-config.js";
+
+@Injectable()
+export class PlayerLoginLockoutDeliveryService {
+  constructor(
+    @Inject(APP_CONFIG)
+    private readonly config: AppConfig,
+  ) {}
+
+  async deliver(input: {
+    email: string;
+    lockedMinutes: number;
+  }): Promise<void> {
+    const mail = this.config.mailTransport;
+
+    const resetUrl = new URL(
+      this.config.playerEmailAuth.passwordResetUrl,
+      `${this.config.runtime.publicUrl.replace(/\/+$/, "")}/`,
+    );
+
+    const transporter = nodemailer.createTransport({
+      host: mail.host,
+      port: mail.port,
+      secure: mail.secure,
+      auth: {
+        user: mail.user,
+        pass: mail.pass,
+      },
+    });
+
+    await transporter.sendMail({
+      from: this.config.playerEmailAuth.fromEmail,
+      to: input.email,
+      subject:
+        this.config.playerEmailAuth.lockoutSubject,
+      text: [
+        "HSC",
+        "",
+        "Detectamos várias tentativas de login com senha incorreta na sua conta.",
+        `Por segurança, o login por email foi bloqueado por ${input.lockedMinutes} minutos.`,
+        "",
+        "Se não foi você, redefina sua senha:",
+        resetUrl.toString(),
+        "",
+        "Se foi você, aguarde o fim do bloqueio e tente novamente.",
+      ].join("\n"),
+    });
+  }
+}
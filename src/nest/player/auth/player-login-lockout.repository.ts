@@ -0,0 +1,193 @@
+import { Injectable } from "@nestjs/common";
+import type {
+  ResultSetHeader,
+  RowDataPacket,
+} from "mysql2";
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  evaluateLoginFailure,
+  type PlayerLoginFailureOutcome,
+  type PlayerLoginFailureScope,
+  type PlayerLoginLockoutPolicy,
+} from "../security/player-login-lockout-policy.js";
+
+export interface PlayerLoginFailureSubject {
+  scope: PlayerLoginFailureScope;
+  subjectKey: string;
+  playerAccountId: string | null;
+}
+
+export interface PlayerLoginBlock {
+  scope: PlayerLoginFailureScope;
+  locked: boolean;
+  retryAfterSeconds: number;
+}
+
+interface RawBlockRow extends RowDataPacket {
+  scope: PlayerLoginFailureScope;
+  locked: number | string | null;
+  retry_after_seconds: number | string | null;
+}
+
+interface RawFailureRow extends RowDataPacket {
+  failed_attempts: number | string;
+  lockout_count: number | string;
+  in_window: number | string | null;
+}
+
+@Injectable()
+export class PlayerLoginLockoutRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+  ) {}
+
+  /** Delays and lockouts still in force for any of the subjects. */
+  async findActiveBlocks(
+    subjects: readonly Pick<PlayerLoginFailureSubject, "scope" | "subjectKey">[],
+  ): Promise<PlayerLoginBlock[]> {
+    if (subjects.length === 0) {
+      return [];
+    }
+
+    const [rows] =
+      await this.databaseService.getPool().execute<RawBlockRow[]>(
+        `
+          SELECT
+            scope,
+            COALESCE(locked_until > UTC_TIMESTAMP(), 0) AS locked,
+            GREATEST(
+              COALESCE(TIMESTAMPDIFF(SECOND, UTC_TIMESTAMP(), locked_until), 0),
+              COALESCE(TIMESTAMPDIFF(SECOND, UTC_TIMESTAMP(), next_attempt_at), 0)
+            ) AS retry_after_seconds
+          FROM player_login_failures
+          WHERE ${subjects.map(() => "(scope = ? AND subject_key = ?)").join(" OR ")}
+        `,
+        subjects.flatMap((subject) => [subject.scope, subject.subjectKey]),
+      );
+
+    return rows
+      .map((row) => ({
+        scope: row.scope,
+        locked: Number(row.locked) === 1,
+        retryAfterSeconds: Number(row.retry_after_seconds ?? 0),
+      }))
+      .filter((block) => block.retryAfterSeconds > 0);
+  }
+
+  async recordFailure(
+    subject: PlayerLoginFailureSubject,
+    policy: PlayerLoginLockoutPolicy,
+  ): Promise<PlayerLoginFailureOutcome> {
+    const connection =
+      await this.databaseService.getPool().getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const [rows] =
+          await connection.execute<RawFailureRow[]>(
+            `
+              SELECT
+                failed_attempts,
+                lockout_count,
+                window_started_at >
+                  DATE_SUB(UTC_TIMESTAMP(), INTERVAL ? SECOND)
+                  AS in_window
+              FROM player_login_failures
+              WHERE scope = ?
+                AND subject_key = ?
+              LIMIT 1
+              FOR UPDATE
+            `,
+            [policy.windowSeconds, subject.scope, subject.subjectKey],
+          );
+
+        const current = rows[0];
+        const inWindow =
+          current !== undefined &&
+          Number(current.in_window) === 1 &&
+          Number(current.failed_attempts) > 0;
+
+        const outcome = evaluateLoginFailure(policy, {
+          failedAttempts:
+            (inWindow ? Number(current.failed_attempts) : 0) + 1,
+          lockoutCount: Number(current?.lockout_count ?? 0),
+        });
+
+        await connection.execute<ResultSetHeader>(
+          `
+            INSERT INTO player_login_failures (
+              scope,
+              subject_key,
+              player_account_id,
+              failed_attempts,
+              window_started_at,
+              last_failed_at,
+              next_attempt_at,
+              locked_until,
+              lockout_count
+            )
+            VALUES (
+              ?,
+              ?,
+              ?,
+              ?,
+              UTC_TIMESTAMP(),
+              UTC_TIMESTAMP(),
+              IF(? > 0, DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? SECOND), NULL),
+              IF(? > 0, DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? SECOND), NULL),
+              ?
+            )
+            ON DUPLICATE KEY UPDATE
+              window_started_at =
+                IF(?, window_started_at, UTC_TIMESTAMP()),
+              failed_attempts = VALUES(failed_attempts),
+              last_failed_at = VALUES(last_failed_at),
+              next_attempt_at = VALUES(next_attempt_at),
+              locked_until = IF(? > 0, VALUES(locked_until), locked_until),
+              lockout_count = VALUES(lockout_count)
+          `,
+          [
+            subject.scope,
+            subject.subjectKey,
+            subject.playerAccountId,
+            outcome.failedAttempts,
+            outcome.delaySeconds,
+            outcome.delaySeconds,
+            outcome.lockSeconds,
+            outcome.lockSeconds,
+            outcome.lockoutCount,
+            inWindow ? 1 : 0,
+            outcome.lockSeconds,
+          ],
+        );
+
+        await connection.commit();
+
+        return outcome;
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch {}
+
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  async clearAccount(
+    playerAccountId: string,
+  ): Promise<void> {
+    await this.databaseService.getPool().execute<ResultSetHeader>(
+      `
+        DELETE FROM player_login_failures
+        WHERE scope = 'account'
+          AND subject_key = ?
+      `,
+      [playerAccountId],
+    );
+  }
+}
@@ -0,0 +1,168 @@
+import {
+  Inject,
+  Injectable,
+} from "@nestjs/common";
+import {
+  createHash,
+} from "node:crypto";
+import {
+  PLAYER_LOGIN_LOCKOUT_POLICIES,
+  type PlayerLoginFailureOutcome,
+  type PlayerLoginLockoutPolicy,
+} from "../security/player-login-lockout-policy.js";
+import {
+  PlayerLoginLockoutDeliveryService,
+} from "./player-login-lockout-delivery.service.js";
+import {
+  PlayerLoginLockoutRepository,
+  type PlayerLoginBlock,
+  type PlayerLoginFailureSubject,
+} from "./player-login-lockout.repository.js";
+
+export interface PlayerLoginLockoutRepositoryPort {
+  findActiveBlocks(
+    subjects: readonly Pick<PlayerLoginFailureSubject, "scope" | "subjectKey">[],
+  ): Promise<PlayerLoginBlock[]>;
+  recordFailure(
+    subject: PlayerLoginFailureSubject,
+    policy: PlayerLoginLockoutPolicy,
+  ): Promise<PlayerLoginFailureOutcome>;
+  clearAccount(
+    playerAccountId: string,
+  ): Promise<void>;
+}
+
+export interface PlayerLoginLockoutDeliveryPort {
+  deliver(input: {
+    email: string;
+    lockedMinutes: number;
+  }): Promise<void>;
+}
+
+export interface PlayerLoginAttemptContext {
+  playerAccountId: string | null;
+  /** Normalized login email, also when no account uses it. */
+  email: string | null;
+  ip: string | null;
+}
+
+export type PlayerLoginLockoutCheck =
+  | { ok: true }
+  | {
+      ok: false;
+      retryAfterSeconds: number;
+    };
+
+function sha256(value: string): string {
+  return createHash("sha256")
+    .update(value, "utf8")
+    .digest("hex");
+}
+
+/**
+ * Unknown emails get an account-scope row keyed by the email hash, so they
+ * slow down and lock exactly like real accounts and the lockout response
+ * never tells which emails are registered.
+ */
+function buildSubjects(
+  context: PlayerLoginAttemptContext,
+): PlayerLoginFailureSubject[] {
+  const subjects: PlayerLoginFailureSubject[] = [];
+
+  if (context.playerAccountId) {
+    subjects.push({
+      scope: "account",
+      subjectKey: context.playerAccountId,
+      playerAccountId: context.playerAccountId,
+    });
+  } else if (context.email) {
+    subjects.push({
+      scope: "account",
+      subjectKey: sha256(context.email),
+      playerAccountId: null,
+    });
+  }
+
+  if (context.ip) {
+    subjects.push({
+      scope: "ip",
+      subjectKey: sha256(context.ip),
+      playerAccountId: null,
+    });
+  }
+
+  return subjects;
+}
+
+@Injectable()
+export class PlayerLoginLockoutService {
+  constructor(
+    @Inject(PlayerLoginLockoutRepository)
+    private readonly repository:
+      PlayerLoginLockoutRepositoryPort,
+
+    @Inject(PlayerLoginLockoutDeliveryService)
+    private readonly delivery:
+      PlayerLoginLockoutDeliveryPort,
+  ) {}
+
+  /** Refuses the attempt while the account or the IP is delayed or locked. */
+  async check(
+    context: PlayerLoginAttemptContext,
+  ): Promise<PlayerLoginLockoutCheck> {
+    const blocks =
+      await this.repository.findActiveBlocks(buildSubjects(context));
+
+    if (blocks.length === 0) {
+      return { ok: true };
+    }
+
+    return {
+      ok: false,
+      retryAfterSeconds: Math.max(
+        ...blocks.map((block) => block.retryAfterSeconds),
+      ),
+    };
+  }
+
+  /**
+   * Counts a wrong password against the IP and the account (or the unknown
+   * email). A new lockout of a real account is mailed to the owner; a
+   * delivery failure never changes the login response.
+   */
+  async recordFailure(
+    context: PlayerLoginAttemptContext,
+  ): Promise<void> {
+    for (const subject of buildSubjects(context)) {
+      const outcome = await this.repository.recordFailure(
+        subject,
+        PLAYER_LOGIN_LOCKOUT_POLICIES[subject.scope],
+      );
+
+      if (
+        subject.playerAccountId === null ||
+        outcome.lockSeconds === 0 ||
+        !context.email
+      ) {
+        continue;
+      }
+
+      try {
+        await this.delivery.deliver({
+          email: context.email,
+          lockedMinutes: Math.ceil(outcome.lockSeconds / 60),
+        });
+      } catch {
+        console.error(
+          "[player-email-auth] lockout notification failed",
+        );
+      }
+    }
+  }
+
+  async recordSuccess(
+    playerAccountId: string,
+  ): Promise<void> {
+    await this.repository.clearAccount(playerAccountId);
+  }
+}
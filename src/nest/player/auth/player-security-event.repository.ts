@@ -0,0 +1,196 @@
+import { Injectable } from "@nestjs/common";
+import type {
+  ResultSetHeader,
+  RowDataPacket,
+} from "mysql2";
+
+import { DatabaseService } from "../../database/database.service.js";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
+
+export type PlayerSecurityEventType =
+  | "login"
+  | "email_linked"
+  | "steam_linked"
+  | "password_changed";
+
+export type PlayerSecurityEventMetadata =
+  Record<string, string | null>;
+
+export interface PlayerSecurityEventItem {
+  id: number;
+  type: PlayerSecurityEventType;
+  created_at: Date | string;
+  ip: string | null;
+  user_agent: string | null;
+  metadata: PlayerSecurityEventMetadata | null;
+}
+
+export interface PlayerLoginDeviceHistory {
+  hasEarlierLogin: boolean;
+  knownUserAgent: boolean;
+}
+
+interface RawSecurityEventRow extends RowDataPacket {
+  id: number | string;
+  event_type: PlayerSecurityEventType;
+  created_at: Date | string;
+  ip: string | null;
+  user_agent: string | null;
+  metadata_json: string | null;
+}
+
+interface RawLoginHistoryRow extends RowDataPacket {
+  has_earlier_login: number | string;
+  known_user_agent: number | string;
+}
+
+interface RawEmailRow extends RowDataPacket {
+  email: string;
+}
+
+function parseMetadata(
+  raw: string | null,
+): PlayerSecurityEventMetadata | null {
+  if (!raw) return null;
+  try {
+    const value = JSON.parse(raw) as PlayerSecurityEventMetadata;
+    return value !== null && typeof value === "object" ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+@Injectable()
+export class PlayerSecurityEventRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+  ) {}
+
+  async insert(input: {
+    playerAccountId: string;
+    type: PlayerSecurityEventType;
+    client: RequestClientMetadata;
+    metadata: PlayerSecurityEventMetadata | null;
+  }): Promise<number> {
+    const [result] =
+      await this.databaseService.getPool().execute<ResultSetHeader>(
+        `
+          INSERT INTO player_security_events (
+            player_account_id,
+            event_type,
+            ip,
+            user_agent,
+            metadata_json
+          )
+          VALUES (?, ?, ?, ?, ?)
+        `,
+        [
+          input.playerAccountId,
+          input.type,
+          input.client.ip,
+          input.client.userAgent,
+          input.metadata
+            ? JSON.stringify(input.metadata)
+            : null,
+        ],
+      );
+
+    return result.insertId;
+  }
+
+  /** Logins recorded before `beforeId`, and whether one came from this user agent. */
+  async findLoginDeviceHistory(input: {
+    playerAccountId: string;
+    userAgent: string | null;
+    beforeId: number;
+  }): Promise<PlayerLoginDeviceHistory> {
+    const [rows] =
+      await this.databaseService.getPool().execute<RawLoginHistoryRow[]>(
+        `
+          SELECT
+            COUNT(*) > 0
+              AS has_earlier_login,
+            COALESCE(MAX(user_agent <=> ?), 0)
+              AS known_user_agent
+          FROM player_security_events
+          WHERE player_account_id = ?
+            AND event_type = 'login'
+            AND id < ?
+        `,
+        [
+          input.userAgent,
+          input.playerAccountId,
+          input.beforeId,
+        ],
+      );
+
+    return {
+      hasEarlierLogin:
+        Number(rows[0]?.has_earlier_login ?? 0) === 1,
+      knownUserAgent:
+        Number(rows[0]?.known_user_agent ?? 0) === 1,
+    };
+  }
+
+  async findVerifiedEmail(
+    playerAccountId: string,
+  ): Promise<string | null> {
+    const [rows] =
+      await this.databaseService.getPool().execute<RawEmailRow[]>(
+        `
+          SELECT email
+          FROM player_email_identities
+          WHERE player_account_id = ?
+            AND verified_at IS NOT NULL
+          LIMIT 1
+        `,
+        [playerAccountId],
+      );
+
+    return rows[0]?.email ?? null;
+  }
+
+  /** Newest first; `beforeId` is the id of the last item of the previous page. */
+  async listForAccount(input: {
+    playerAccountId: string;
+    limit: number;
+    beforeId: number | null;
+  }): Promise<PlayerSecurityEventItem[]> {
+    const conditions = ["player_account_id = ?"];
+    const values: Array<string | number> = [input.playerAccountId];
+
+    if (input.beforeId !== null) {
+      conditions.push("id < ?");
+      values.push(input.beforeId);
+    }
+
+    const [rows] =
+      await this.databaseService.getPool().execute<RawSecurityEventRow[]>(
+        `
+          SELECT
+            id,
+            event_type,
+            created_at,
+            ip,
+            user_agent,
+            metadata_json
+          FROM player_security_events
+          WHERE ${conditions.join(" AND ")}
+          ORDER BY id DESC
+          LIMIT ?
+        `,
+        [...values, input.limit],
+      );
+
+    return rows.map((row) => ({
+      id: Number(row.id),
+      type: row.event_type,
+      created_at: row.created_at,
+      ip: row.ip,
+      user_agent: row.user_agent,
+      metadata: parseMetadata(row.metadata_json),
+    }));
+  }
+}
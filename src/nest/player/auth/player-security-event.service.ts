@@ -0,0 +1,161 @@
+import {
+  Inject,
+  Injectable,
+} from "@nestjs/common";
+import {
+  APP_CONFIG,
+  AppConfig,
+} from "../../core/app-config.js";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
+import {
+  PlayerSecurityEventRepository,
+  type PlayerLoginDeviceHistory,
+  type PlayerSecurityEventMetadata,
+  type PlayerSecurityEventType,
+} from "./player-security-event.repository.js";
+import {
+  PlayerSecurityNotificationDeliveryService,
+  type PlayerSecurityNotificationType,
+} from "./player-security-notification-delivery.service.js";
+
+export interface PlayerSecurityEventRepositoryPort {
+  insert(input: {
+    playerAccountId: string;
+    type: PlayerSecurityEventType;
+    client: RequestClientMetadata;
+    metadata: PlayerSecurityEventMetadata | null;
+  }): Promise<number>;
+
+  findLoginDeviceHistory(input: {
+    playerAccountId: string;
+    userAgent: string | null;
+    beforeId: number;
+  }): Promise<PlayerLoginDeviceHistory>;
+
+  findVerifiedEmail(
+    playerAccountId: string,
+  ): Promise<string | null>;
+}
+
+export interface PlayerSecurityNotificationDeliveryPort {
+  deliver(input: {
+    email: string;
+    type: PlayerSecurityNotificationType;
+    ip: string | null;
+    userAgent: string | null;
+  }): Promise<void>;
+}
+
+export interface PlayerSecurityEventInput {
+  playerAccountId: string;
+  type: PlayerSecurityEventType;
+  client: RequestClientMetadata;
+  metadata?: PlayerSecurityEventMetadata;
+}
+
+@Injectable()
+export class PlayerSecurityEventService {
+  constructor(
+    @Inject(APP_CONFIG)
+    private readonly config: AppConfig,
+
+    @Inject(PlayerSecurityEventRepository)
+    private readonly repository:
+      PlayerSecurityEventRepositoryPort,
+
+    @Inject(PlayerSecurityNotificationDeliveryService)
+    private readonly delivery:
+      PlayerSecurityNotificationDeliveryPort,
+  ) {}
+
+  /**
+   * Records the event and, when notifications are on, mails the player's
+   * verified email. Runs after the action already succeeded, so a failure
+   * here is logged and never changes the response.
+   */
+  async record(
+    input: PlayerSecurityEventInput,
+  ): Promise<void> {
+    let eventId: number;
+
+    try {
+      eventId = await this.repository.insert({
+        playerAccountId: input.playerAccountId,
+        type: input.type,
+        client: input.client,
+        metadata: input.metadata ?? null,
+      });
+    } catch {
+      console.error(
+        `[player-security] ${input.type} event insert failed`,
+      );
+      return;
+    }
+
+    if (
+      !this.config.playerSecurityNotifications.enabled ||
+      !this.config.playerEmailAuth.enabled
+    ) {
+      return;
+    }
+
+    try {
+      const notification =
+        await this.resolveNotification(
+          input,
+          eventId,
+        );
+
+      if (!notification) {
+        return;
+      }
+
+      const email =
+        await this.repository.findVerifiedEmail(
+          input.playerAccountId,
+        );
+
+      if (!email) {
+        return;
+      }
+
+      await this.delivery.deliver({
+        email,
+        type: notification,
+        ip: input.client.ip,
+        userAgent: input.client.userAgent,
+      });
+    } catch {
+      console.error(
+        `[player-security] ${input.type} notification failed`,
+      );
+    }
+  }
+
+  /**
+   * Only logins from a user agent the account has not logged in with before
+   * are mailed; the very first login of an account is not.
+   */
+  private async resolveNotification(
+    input: PlayerSecurityEventInput,
+    eventId: number,
+  ): Promise<PlayerSecurityNotificationType | null> {
+    if (input.type === "steam_linked") return "steam_linked";
+    if (input.type === "password_changed") return "password_changed";
+    if (input.type !== "login") return null;
+
+    const history =
+      await this.repository.findLoginDeviceHistory({
+        playerAccountId: input.playerAccountId,
+        userAgent: input.client.userAgent,
+        beforeId: eventId,
+      });
+
+    return history.hasEarlierLogin &&
+      !history.knownUserAgent
+      ? "new_login"
+      : null;
+  }
+}
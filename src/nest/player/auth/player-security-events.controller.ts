@@ -0,0 +1,163 @@
+import {
+  Controller,
+  Get,
+  HttpException,
+  HttpStatus,
+  Inject,
+  Query,
+  Req,
+  UseGuards,
+} from "@nestjs/common";
+
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  PlayerAuthGuard,
+} from "./player-auth.guard.js";
+import type {
+  PlayerIdentity,
+} from "./player-auth.service.js";
+import {
+  PlayerSecurityEventRepository,
+  type PlayerSecurityEventItem,
+} from "./player-security-event.repository.js";
+
+interface PlayerSecurityEventsRequest {
+  player?: PlayerIdentity;
+}
+
+export interface PlayerSecurityEventsDatabasePort {
+  getStatus(): {
+    ready: boolean;
+  };
+}
+
+export interface PlayerSecurityEventsRepositoryPort {
+  listForAccount(input: {
+    playerAccountId: string;
+    limit: number;
+    beforeId: number | null;
+  }): Promise<PlayerSecurityEventItem[]>;
+}
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function badRequest(error: string): never {
+  throw new HttpException(
+    {
+      ok: false,
+      error,
+    },
+    HttpStatus.BAD_REQUEST,
+  );
+}
+
+function normalizeLimit(value: unknown): number {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return DEFAULT_LIMIT;
+  }
+
+  const clean = String(value).trim();
+  const limit = /^\d+$/.test(clean) ? Number(clean) : NaN;
+
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_LIMIT
+    ? limit
+    : badRequest("invalid_limit");
+}
+
+function normalizeCursor(value: unknown): number | null {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+
+  const clean = String(value).trim();
+  const cursor = /^\d+$/.test(clean) ? Number(clean) : NaN;
+
+  return Number.isSafeInteger(cursor) && cursor >= 1
+    ? cursor
+    : badRequest("invalid_cursor");
+}
+
+@Controller("player/security/events")
+@UseGuards(PlayerAuthGuard)
+export class PlayerSecurityEventsController {
+  constructor(
+    @Inject(DatabaseService)
+    private readonly databaseService:
+      PlayerSecurityEventsDatabasePort,
+
+    @Inject(PlayerSecurityEventRepository)
+    private readonly repository:
+      PlayerSecurityEventsRepositoryPort,
+  ) {}
+
+  @Get()
+  async list(
+    @Req() request: PlayerSecurityEventsRequest,
+    @Query("limit") rawLimit?: string,
+    @Query("cursor") rawCursor?: string,
+  ) {
+    if (!this.databaseService.getStatus().ready) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "db_not_ready",
+        },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+
+    const playerAccountId =
+      request.player?.playerAccountId;
+
+    if (!playerAccountId) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "invalid_session",
+        },
+        HttpStatus.UNAUTHORIZED,
+      );
+    }
+
+    const limit = normalizeLimit(rawLimit);
+    const beforeId = normalizeCursor(rawCursor);
+
+    let events: PlayerSecurityEventItem[];
+
+    try {
+      events =
+        await this.repository.listForAccount({
+          playerAccountId,
+          limit: limit + 1,
+          beforeId,
+        });
+    } catch {
+      console.error(
+        "[player-security] security events read failed",
+      );
+
+      throw new HttpException(
+        {
+          ok: false,
+          error:
+            "player_security_events_read_failed",
+        },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    const items = events.slice(0, limit);
+    const last = items[items.length - 1];
+
+    return {
+      ok: true,
+      count: items.length,
+      items,
+      nextCursor:
+        events.length > limit && last
+          ? String(last.id)
+          : null,
+    };
+  }
+}
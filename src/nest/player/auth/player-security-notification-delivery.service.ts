@@ -0,0 +1,85 @@
+import {
+  Inject,
+  Injectable,
+} from "@nestjs/common";
+import nodemailer from "nodemailer";
+import {
+  APP_CONFIG,
+  AppConfig,
+} from "../../core/app-config.js";
+
+export type PlayerSecurityNotificationType =
+  | "new_login"
+  | "steam_linked"
+  | "password_changed";
+
+function describeEvent(
+  type: PlayerSecurityNotificationType,
+): string {
+  switch (type) {
+    case "new_login":
+      return "Sua conta HSC recebeu um novo login a partir de um dispositivo ou navegador que não tínhamos visto.";
+    case "steam_linked":
+      return "Uma conta Steam foi vinculada à sua conta HSC.";
+    case "password_changed":
+      return "A senha da sua conta HSC foi alterada.";
+  }
+}
+
+@Injectable()
+export class PlayerSecurityNotificationDeliveryService {
+  constructor(
+    @Inject(APP_CONFIG)
+    private readonly config: AppConfig,
+  ) {}
+
+  async deliver(input: {
+    email: string;
+    type: PlayerSecurityNotificationType;
+    ip: string | null;
+    userAgent: string | null;
+  }): Promise<void> {
+    const mail = this.config.mailTransport;
+    const notifications =
+      this.config.playerSecurityNotifications;
+
+    const subject = {
+      new_login: notifications.newLoginSubject,
+      steam_linked: notifications.steamLinkedSubject,
+      password_changed: notifications.passwordChangedSubject,
+    }[input.type];
+
+    const resetUrl = new URL(
+      this.config.playerEmailAuth.passwordResetUrl,
+      `${this.config.runtime.publicUrl.replace(/\/+$/, "")}/`,
+    );
+
+    const transporter = nodemailer.createTransport({
+      host: mail.host,
+      port: mail.port,
+      secure: mail.secure,
+      auth: {
+        user: mail.user,
+        pass: mail.pass,
+      },
+    });
+
+    await transporter.sendMail({
+      from: this.config.playerEmailAuth.fromEmail,
+      to: input.email,
+      subject,
+      text: [
+        "HSC",
+        "",
+        describeEvent(input.type),
+        "",
+        `IP: ${input.ip ?? "desconhecido"}`,
+        `Navegador: ${input.userAgent ?? "desconhecido"}`,
+        "",
+        "Se foi você, nenhuma ação é necessária.",
+        "Se não foi você, redefina sua senha e encerre as outras sessões em Segurança:",
+        resetUrl.toString(),
+      ].join("\n"),
+    });
+  }
+}
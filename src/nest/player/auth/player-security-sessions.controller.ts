@@ -0,0 +1,301 @@
+import {
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Inject,
+  Param,
+  Post,
+  Req,
+  Res,
+  UseGuards,
+} from "@nestjs/common";
+import {
+  Throttle,
+  minutes,
+} from "@nestjs/throttler";
+
+import {
+  APP_CONFIG,
+  AppConfig,
+} from "../../core/app-config.js";
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  PlayerAccountThrottlerGuard,
+} from "../security/player-account-throttler.guard.js";
+import {
+  PlayerCsrfGuard,
+} from "../security/player-csrf.guard.js";
+import {
+  buildClearPlayerSessionCookie,
+} from "./build-player-session-cookie.js";
+import {
+  PlayerAuthGuard,
+} from "./player-auth.guard.js";
+import type {
+  PlayerIdentity,
+} from "./player-auth.service.js";
+import {
+  PlayerSessionRepository,
+  type PlayerSessionListItem,
+} from "./player-session.repository.js";
+
+interface PlayerSessionsRequest {
+  player?: PlayerIdentity;
+}
+
+interface HttpResponse {
+  setHeader(name: string, value: string): void;
+}
+
+export interface PlayerSecuritySessionsDatabasePort {
+  getStatus(): {
+    ready: boolean;
+  };
+}
+
+export interface PlayerSecuritySessionsRepositoryPort {
+  listActiveSessionsForAccount(
+    playerAccountId: string,
+  ): Promise<PlayerSessionListItem[]>;
+
+  revokePlayerSessionForAccount(
+    playerAccountId: string,
+    sessionId: string,
+  ): Promise<boolean>;
+
+  revokeOtherPlayerSessions(
+    playerAccountId: string,
+    currentSessionId: string,
+  ): Promise<number>;
+}
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+function readSession(
+  request: PlayerSessionsRequest,
+): { playerAccountId: string; sessionId: string } {
+  const playerAccountId =
+    request.player?.playerAccountId;
+  const sessionId =
+    request.player?.sessionId;
+
+  if (!playerAccountId || !sessionId) {
+    throw new HttpException(
+      {
+        ok: false,
+        error: "invalid_session",
+      },
+      HttpStatus.UNAUTHORIZED,
+    );
+  }
+
+  return {
+    playerAccountId,
+    sessionId,
+  };
+}
+
+function failed(error: string): HttpException {
+  console.error(
+    `[player-security] ${error}`,
+  );
+
+  return new HttpException(
+    {
+      ok: false,
+      error,
+    },
+    HttpStatus.INTERNAL_SERVER_ERROR,
+  );
+}
+
+@Controller("player/security/sessions")
+@UseGuards(PlayerAuthGuard)
+export class PlayerSecuritySessionsController {
+  constructor(
+    @Inject(APP_CONFIG)
+    private readonly config: AppConfig,
+
+    @Inject(DatabaseService)
+    private readonly databaseService:
+      PlayerSecuritySessionsDatabasePort,
+
+    @Inject(PlayerSessionRepository)
+    private readonly repository:
+      PlayerSecuritySessionsRepositoryPort,
+  ) {}
+
+  private assertDbReady(): void {
+    if (!this.databaseService.getStatus().ready) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "db_not_ready",
+        },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+  }
+
+  @Get()
+  async list(
+    @Req() request: PlayerSessionsRequest,
+  ) {
+    this.assertDbReady();
+
+    const current =
+      readSession(request);
+
+    let sessions: PlayerSessionListItem[];
+
+    try {
+      sessions =
+        await this.repository
+          .listActiveSessionsForAccount(
+            current.playerAccountId,
+          );
+    } catch {
+      throw failed(
+        "player_sessions_read_failed",
+      );
+    }
+
+    return {
+      ok: true,
+      count: sessions.length,
+      items: sessions.map((session) => ({
+        ...session,
+        current:
+          session.id === current.sessionId,
+      })),
+    };
+  }
+
+  @Delete(":id")
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 30,
+      ttl: minutes(15),
+    },
+  })
+  async revoke(
+    @Req() request: PlayerSessionsRequest,
+    @Param("id") rawId: string,
+    @Res({ passthrough: true })
+    response: HttpResponse,
+  ) {
+    this.assertDbReady();
+
+    const current =
+      readSession(request);
+
+    const id =
+      String(rawId ?? "")
+        .trim()
+        .toLowerCase();
+
+    if (!UUID_RE.test(id)) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "invalid_session_id",
+        },
+        HttpStatus.BAD_REQUEST,
+      );
+    }
+
+    let revoked: boolean;
+
+    try {
+      revoked =
+        await this.repository
+          .revokePlayerSessionForAccount(
+            current.playerAccountId,
+            id,
+          );
+    } catch {
+      throw failed(
+        "player_session_revoke_failed",
+      );
+    }
+
+    if (!revoked) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "session_not_found",
+        },
+        HttpStatus.NOT_FOUND,
+      );
+    }
+
+    const isCurrent =
+      id === current.sessionId;
+
+    // Revoking the session in use is a logout: drop the cookie too.
+    if (isCurrent) {
+      response.setHeader(
+        "Set-Cookie",
+        buildClearPlayerSessionCookie(
+          this.config.playerAuth,
+          this.config.adminAuth.publicUrl,
+        ),
+      );
+    }
+
+    return {
+      ok: true,
+      revoked: true,
+      current: isCurrent,
+    };
+  }
+
+  @Post("revoke-others")
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 10,
+      ttl: minutes(15),
+    },
+  })
+  async revokeOthers(
+    @Req() request: PlayerSessionsRequest,
+  ) {
+    this.assertDbReady();
+
+    const current =
+      readSession(request);
+
+    let revokedSessions: number;
+
+    try {
+      revokedSessions =
+        await this.repository
+          .revokeOtherPlayerSessions(
+            current.playerAccountId,
+            current.sessionId,
+          );
+    } catch {
+      throw failed(
+        "player_sessions_revoke_failed",
+      );
+    }
+
+    return {
+      ok: true,
+      revoked_sessions: revokedSessions,
+    };
+  }
+}
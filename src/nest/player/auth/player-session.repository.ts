@@ -2,6 +2,7 @@ import { Injectable } from "@nestjs/common";
 import { createHash } from "node:crypto";
 import type { RowDataPacket, ResultSetHeader } from "mysql2";
 import { DatabaseService } from "../../database/database.service.js";
+import type { RequestClientMetadata } from "../../core/http/request-client-metadata.js";
 import { createPlayerSessionTokenMaterial } from "./player-session-token.js";
 
 export interface PlayerSession {
@@ -14,6 +15,15 @@ export interface PlayerSession {
   expiresAt: Date | string;
 }
 
+export interface PlayerSessionListItem {
+  id: string;
+  created_at: Date | string;
+  last_seen_at: Date | string | null;
+  expires_at: Date | string;
+  created_ip: string | null;
+  user_agent: string | null;
+}
+
 export interface CreatedPlayerSession {
   sessionId: string;
   rawToken: string;
@@ -28,6 +38,16 @@ interface RawPlayerSessionRow extends RowDataPacket {
   personaname: string | null;
   avatar_medium_url: string | null;
   profile_url: string | null;
+  last_seen_stale: number;
+}
+
+interface RawPlayerSessionListRow extends RowDataPacket {
+  id: string;
+  created_at: Date | string;
+  last_seen_at: Date | string | null;
+  expires_at: Date | string;
+  created_ip: string | null;
+  user_agent: string | null;
 }
 
 @Injectable()
@@ -54,7 +74,11 @@ export class PlayerSessionRepository {
           i.steamid64,
           sp.personaname,
           sp.avatar_medium_url,
-          sp.profile_url
+          sp.profile_url,
+          (
+            s.last_seen_at IS NULL
+            OR s.last_seen_at < UTC_TIMESTAMP() - INTERVAL 5 MINUTE
+          ) AS last_seen_stale
         FROM player_sessions s
         INNER JOIN player_accounts a
           ON a.id = s.player_account_id
@@ -76,6 +100,19 @@ export class PlayerSessionRepository {
       return null;
     }
 
+    // last_seen_at is coarsened to five minutes so browsing does not turn
+    // every authenticated request into a write.
+    if (Number(row.last_seen_stale) === 1) {
+      await pool.execute<ResultSetHeader>(
+        `
+          UPDATE player_sessions
+          SET last_seen_at = UTC_TIMESTAMP()
+          WHERE id = ?
+        `,
+        [row.session_id],
+      );
+    }
+
     return {
       sessionId: row.session_id,
       playerAccountId: row.player_account_id,
@@ -90,6 +127,7 @@ export class PlayerSessionRepository {
   async createPlayerSessionForAccount(
     playerAccountId: string,
     ttlHours: number,
+    client: RequestClientMetadata,
   ): Promise<CreatedPlayerSession> {
     const {
       sessionId,
@@ -104,6 +142,9 @@ export class PlayerSessionRepository {
           id,
           player_account_id,
           token_hash,
+          created_ip,
+          user_agent,
+          last_seen_at,
           expires_at,
           revoked_at
         )
@@ -111,11 +152,21 @@ export class PlayerSessionRepository {
           ?,
           ?,
           ?,
+          ?,
+          ?,
+          UTC_TIMESTAMP(),
           DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? HOUR),
           NULL
         )
       `,
-      [sessionId, playerAccountId, tokenHash, ttlHours],
+      [
+        sessionId,
+        playerAccountId,
+        tokenHash,
+        client.ip,
+        client.userAgent,
+        ttlHours,
+      ],
     );
 
     return {
@@ -144,4 +195,79 @@ export class PlayerSessionRepository {
 
     return result.affectedRows > 0;
   }
+
+  async listActiveSessionsForAccount(
+    playerAccountId: string,
+  ): Promise<PlayerSessionListItem[]> {
+    const pool = this.databaseService.getPool();
+
+    const [rows] = await pool.execute<RawPlayerSessionListRow[]>(
+      `
+        SELECT
+          id,
+          created_at,
+          last_seen_at,
+          expires_at,
+          created_ip,
+          user_agent
+        FROM player_sessions
+        WHERE player_account_id = ?
+          AND revoked_at IS NULL
+          AND expires_at > UTC_TIMESTAMP()
+        ORDER BY COALESCE(last_seen_at, created_at) DESC, id ASC
+        LIMIT 100
+      `,
+      [playerAccountId],
+    );
+
+    return rows.map((row) => ({
+      id: row.id,
+      created_at: row.created_at,
+      last_seen_at: row.last_seen_at ?? null,
+      expires_at: row.expires_at,
+      created_ip: row.created_ip ?? null,
+      user_agent: row.user_agent ?? null,
+    }));
+  }
+
+  async revokePlayerSessionForAccount(
+    playerAccountId: string,
+    sessionId: string,
+  ): Promise<boolean> {
+    const pool = this.databaseService.getPool();
+
+    const [result] = await pool.execute<ResultSetHeader>(
+      `
+        UPDATE player_sessions
+        SET revoked_at = UTC_TIMESTAMP()
+        WHERE id = ?
+          AND player_account_id = ?
+          AND revoked_at IS NULL
+          AND expires_at > UTC_TIMESTAMP()
+      `,
+      [sessionId, playerAccountId],
+    );
+
+    return result.affectedRows > 0;
+  }
+
+  async revokeOtherPlayerSessions(
+    playerAccountId: string,
+    currentSessionId: string,
+  ): Promise<number> {
+    const pool = this.databaseService.getPool();
+
+    const [result] = await pool.execute<ResultSetHeader>(
+      `
+        UPDATE player_sessions
+        SET revoked_at = UTC_TIMESTAMP()
+        WHERE player_account_id = ?
+          AND id <> ?
+          AND revoked_at IS NULL
+      `,
+      [playerAccountId, currentSessionId],
+    );
+
+    return result.affectedRows;
+  }
 }
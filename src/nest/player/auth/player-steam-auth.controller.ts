@@ -3,6 +3,7 @@ import {
   Get,
   Headers,
   Inject,
+  Ip,
   Query,
   Res,
 } from "@nestjs/common";
@@ -16,6 +17,10 @@ import {
   parseCookieHeader,
 } from "../../core/http/parse-cookie-header.js";
 
+import {
+  buildRequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
+
 import {
   DatabaseService,
 } from "../../database/database.service.js";
@@ -36,6 +41,10 @@ import {
   buildPlayerSessionCookie,
 } from "./build-player-session-cookie.js";
 
+import {
+  PlayerSecurityEventService,
+} from "./player-security-event.service.js";
+
 import {
   PLAYER_STEAM_LOGIN_STATE_COOKIE,
   buildClearPlayerSteamLoginStateCookie,
@@ -85,6 +94,9 @@ export class PlayerSteamAuthController {
 
     private readonly sessionRepository:
       PlayerSessionRepository,
+
+    private readonly securityEvents:
+      PlayerSecurityEventService,
   ) {}
 
   private shouldRedirect():
@@ -248,6 +260,12 @@ export class PlayerSteamAuthController {
 
     @Res()
     response: HttpResponse,
+
+    @Ip()
+    ip?: string,
+
+    @Headers("user-agent")
+    userAgent?: string,
   ): Promise<void> {
     if (
       !this.databaseService
@@ -412,6 +430,12 @@ export class PlayerSteamAuthController {
       return;
     }
 
+    const client =
+      buildRequestClientMetadata(
+        ip,
+        userAgent,
+      );
+
     let session;
 
     try {
@@ -424,6 +448,7 @@ export class PlayerSteamAuthController {
             this.config
               .playerAuth
               .ttlHours,
+            client,
           );
     } catch {
       this.clearLoginState(
@@ -450,6 +475,17 @@ export class PlayerSteamAuthController {
       return;
     }
 
+    await this.securityEvents.record({
+      playerAccountId:
+        accountResult
+          .playerAccountId,
+      type: "login",
+      client,
+      metadata: {
+        method: "steam",
+      },
+    });
+
     response.setHeader(
       "Set-Cookie",
       [
@@ -4,6 +4,7 @@ import {
   Headers,
   HttpStatus,
   Inject,
+  Ip,
   Query,
   Res,
 } from "@nestjs/common";
@@ -12,6 +13,10 @@ import {
   AppConfig,
 } from "../../core/app-config.js";
 import { parseCookieHeader } from "../../core/http/parse-cookie-header.js";
+import {
+  buildRequestClientMetadata,
+  type RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
 import {
   PLAYER_STEAM_LINK_STATE_COOKIE,
   buildClearPlayerSteamLinkStateCookie,
@@ -31,6 +36,7 @@ interface HttpResponse {
 export interface PlayerSteamLinkCallbackServicePort {
   callback(
     query: Record<string, unknown>,
+    client: RequestClientMetadata,
   ): Promise<PlayerSteamLinkCallbackResult>;
 }
 
@@ -72,6 +78,8 @@ export class PlayerSteamLinkCallbackController {
     @Query() query: Record<string, unknown>,
     @Headers("cookie") cookieHeader: string | undefined,
     @Res() response: HttpResponse,
+    @Ip() ip?: string,
+    @Headers("user-agent") userAgent?: string,
   ): Promise<void> {
     const state =
       typeof query.state === "string" ? query.state.trim() : "";
@@ -89,7 +97,10 @@ export class PlayerSteamLinkCallbackController {
     let result: PlayerSteamLinkCallbackResult;
 
     try {
-      result = await this.service.callback(query);
+      result = await this.service.callback(
+        query,
+        buildRequestClientMetadata(ip, userAgent),
+      );
     } catch {
       console.error(
         "[player-auth] Steam link callback failed",
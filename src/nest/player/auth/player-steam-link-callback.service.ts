@@ -6,6 +6,13 @@ import {
   APP_CONFIG,
   AppConfig,
 } from "../../core/app-config.js";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
+import {
+  PlayerSecurityEventService,
+  type PlayerSecurityEventInput,
+} from "./player-security-event.service.js";
 import {
   PlayerSteamLinkRepository,
   type PlayerSteamLinkConfirmResult,
@@ -29,6 +36,12 @@ export interface PlayerSteamLinkCallbackOpenIdPort {
   ): Promise<SteamOpenIdResult>;
 }
 
+export interface PlayerSteamLinkCallbackSecurityEventsPort {
+  record(
+    input: PlayerSecurityEventInput,
+  ): Promise<void>;
+}
+
 export type PlayerSteamLinkCallbackResult =
   | {
       ok: true;
@@ -75,10 +88,15 @@ export class PlayerSteamLinkCallbackService {
     @Inject(PlayerSteamLinkRepository)
     private readonly repository:
       PlayerSteamLinkCallbackRepositoryPort,
+
+    @Inject(PlayerSecurityEventService)
+    private readonly securityEvents:
+      PlayerSteamLinkCallbackSecurityEventsPort,
   ) {}
 
   async callback(
     query: Record<string, unknown>,
+    client: RequestClientMetadata,
   ): Promise<PlayerSteamLinkCallbackResult> {
     if (!this.config.playerSteamAuth.enabled) {
       return {
@@ -152,6 +170,16 @@ export class PlayerSteamLinkCallbackService {
       };
     }
 
+    await this.securityEvents.record({
+      playerAccountId:
+        linkResult.playerAccountId,
+      type: "steam_linked",
+      client,
+      metadata: {
+        steamid64: openIdResult.steamid64,
+      },
+    });
+
     return {
       ok: true,
       steamid64: openIdResult.steamid64,
@@ -41,6 +41,7 @@ export type PlayerSteamLinkIntentCreationResult =
 export type PlayerSteamLinkConfirmResult =
   | {
       ok: true;
+      playerAccountId: string;
     }
   | {
       ok: false;
@@ -373,6 +374,8 @@ export class PlayerSteamLinkRepository {
 
         return {
           ok: true,
+          playerAccountId:
+            intent.player_account_id,
         };
       } catch (error) {
         try {
@@ -0,0 +1,441 @@
+import { Injectable } from "@nestjs/common";
+import {
+  createHash,
+  randomBytes,
+  randomUUID,
+} from "node:crypto";
+import type {
+  PoolConnection,
+  ResultSetHeader,
+  RowDataPacket,
+} from "mysql2/promise";
+import { DatabaseService } from "../../database/database.service.js";
+
+/** Wrong codes accepted per pending login before the player must start over. */
+export const PLAYER_LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+
+export interface PlayerTotpCredential {
+  secretSealed: string;
+  enabled: boolean;
+  lastUsedStep: number | null;
+  recoveryCodesRemaining: number;
+}
+
+export interface PlayerTotpReauthIdentity {
+  email: string;
+  passwordHash: string;
+}
+
+export interface PlayerLoginChallenge {
+  id: string;
+  playerAccountId: string;
+  playerEmailIdentityId: string;
+  email: string;
+}
+
+interface RawCredentialRow extends RowDataPacket {
+  secret_sealed: string;
+  enabled_at: Date | string | null;
+  last_used_step: number | string | null;
+  recovery_codes_remaining: number | string;
+}
+
+interface RawReauthIdentityRow extends RowDataPacket {
+  email: string;
+  password_hash: string;
+}
+
+interface RawChallengeRow extends RowDataPacket {
+  id: string;
+  player_account_id: string;
+  player_email_identity_id: string;
+  email: string;
+}
+
+function hashToken(rawToken: string): string {
+  return createHash("sha256")
+    .update(rawToken, "utf8")
+    .digest("hex");
+}
+
+@Injectable()
+export class PlayerTotpRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+  ) {}
+
+  private async inTransaction<T>(
+    work: (connection: PoolConnection) => Promise<T>,
+  ): Promise<T> {
+    const connection =
+      await this.databaseService.getPool().getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch {}
+
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  private async insertRecoveryCodes(
+    connection: PoolConnection,
+    playerAccountId: string,
+    codeHashes: readonly string[],
+  ): Promise<void> {
+    await connection.execute<ResultSetHeader>(
+      `
+        DELETE FROM player_totp_recovery_codes
+        WHERE player_account_id = ?
+      `,
+      [playerAccountId],
+    );
+
+    for (const codeHash of codeHashes) {
+      await connection.execute<ResultSetHeader>(
+        `
+          INSERT INTO player_totp_recovery_codes (
+            id,
+            player_account_id,
+            code_hash
+          )
+          VALUES (?, ?, ?)
+        `,
+        [randomUUID(), playerAccountId, codeHash],
+      );
+    }
+  }
+
+  async findCredential(
+    playerAccountId: string,
+  ): Promise<PlayerTotpCredential | null> {
+    const [rows] =
+      await this.databaseService.getPool().execute<RawCredentialRow[]>(
+        `
+          SELECT
+            c.secret_sealed,
+            c.enabled_at,
+            c.last_used_step,
+            (
+              SELECT COUNT(*)
+              FROM player_totp_recovery_codes r
+              WHERE r.player_account_id = c.player_account_id
+                AND r.used_at IS NULL
+            ) AS recovery_codes_remaining
+          FROM player_totp_credentials c
+          WHERE c.player_account_id = ?
+          LIMIT 1
+        `,
+        [playerAccountId],
+      );
+
+    const row = rows[0];
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      secretSealed: row.secret_sealed,
+      enabled: row.enabled_at !== null,
+      lastUsedStep:
+        row.last_used_step === null
+          ? null
+          : Number(row.last_used_step),
+      recoveryCodesRemaining:
+        Number(row.recovery_codes_remaining),
+    };
+  }
+
+  async findReauthIdentity(
+    playerAccountId: string,
+  ): Promise<PlayerTotpReauthIdentity | null> {
+    const [rows] =
+      await this.databaseService.getPool().execute<RawReauthIdentityRow[]>(
+        `
+          SELECT
+            email,
+            password_hash
+          FROM player_email_identities
+          WHERE player_account_id = ?
+            AND verified_at IS NOT NULL
+          LIMIT 1
+        `,
+        [playerAccountId],
+      );
+
+    const row = rows[0];
+
+    return row
+      ? {
+          email: row.email,
+          passwordHash: row.password_hash,
+        }
+      : null;
+  }
+
+  /**
+   * Stores (or replaces) a not-yet-confirmed secret. Returns false when the
+   * account already has TOTP enabled; that secret is never overwritten here.
+   */
+  async savePendingCredential(
+    playerAccountId: string,
+    secretSealed: string,
+  ): Promise<boolean> {
+    return this.inTransaction(async (connection) => {
+      const [rows] =
+        await connection.execute<RawCredentialRow[]>(
+          `
+            SELECT enabled_at
+            FROM player_totp_credentials
+            WHERE player_account_id = ?
+            LIMIT 1
+            FOR UPDATE
+          `,
+          [playerAccountId],
+        );
+
+      if (rows[0]?.enabled_at) {
+        return false;
+      }
+
+      await connection.execute<ResultSetHeader>(
+        `
+          INSERT INTO player_totp_credentials (
+            player_account_id,
+            secret_sealed
+          )
+          VALUES (?, ?)
+          ON DUPLICATE KEY UPDATE
+            secret_sealed = VALUES(secret_sealed),
+            created_at = UTC_TIMESTAMP(),
+            last_used_step = NULL
+        `,
+        [playerAccountId, secretSealed],
+      );
+
+      return true;
+    });
+  }
+
+  async enableCredential(input: {
+    playerAccountId: string;
+    usedStep: number;
+    recoveryCodeHashes: readonly string[];
+  }): Promise<boolean> {
+    return this.inTransaction(async (connection) => {
+      const [result] =
+        await connection.execute<ResultSetHeader>(
+          `
+            UPDATE player_totp_credentials
+            SET
+              enabled_at = UTC_TIMESTAMP(),
+              last_used_step = ?
+            WHERE player_account_id = ?
+              AND enabled_at IS NULL
+          `,
+          [input.usedStep, input.playerAccountId],
+        );
+
+      if (result.affectedRows !== 1) {
+        return false;
+      }
+
+      await this.insertRecoveryCodes(
+        connection,
+        input.playerAccountId,
+        input.recoveryCodeHashes,
+      );
+
+      return true;
+    });
+  }
+
+  /**
+   * Records the TOTP step as used. Fails when the same or an older step was
+   * already accepted, so an intercepted code cannot be replayed.
+   */
+  async consumeTotpStep(
+    playerAccountId: string,
+    step: number,
+  ): Promise<boolean> {
+    const [result] =
+      await this.databaseService.getPool().execute<ResultSetHeader>(
+        `
+          UPDATE player_totp_credentials
+          SET last_used_step = ?
+          WHERE player_account_id = ?
+            AND enabled_at IS NOT NULL
+            AND (last_used_step IS NULL OR last_used_step < ?)
+        `,
+        [step, playerAccountId, step],
+      );
+
+    return result.affectedRows === 1;
+  }
+
+  async consumeRecoveryCode(
+    playerAccountId: string,
+    codeHash: string,
+  ): Promise<boolean> {
+    const [result] =
+      await this.databaseService.getPool().execute<ResultSetHeader>(
+        `
+          UPDATE player_totp_recovery_codes
+          SET used_at = UTC_TIMESTAMP()
+          WHERE player_account_id = ?
+            AND code_hash = ?
+            AND used_at IS NULL
+        `,
+        [playerAccountId, codeHash],
+      );
+
+    return result.affectedRows === 1;
+  }
+
+  async replaceRecoveryCodes(
+    playerAccountId: string,
+    codeHashes: readonly string[],
+  ): Promise<void> {
+    await this.inTransaction((connection) =>
+      this.insertRecoveryCodes(connection, playerAccountId, codeHashes),
+    );
+  }
+
+  async deleteCredential(
+    playerAccountId: string,
+  ): Promise<void> {
+    await this.inTransaction(async (connection) => {
+      await connection.execute<ResultSetHeader>(
+        `
+          DELETE FROM player_totp_recovery_codes
+          WHERE player_account_id = ?
+        `,
+        [playerAccountId],
+      );
+
+      await connection.execute<ResultSetHeader>(
+        `
+          DELETE FROM player_totp_credentials
+          WHERE player_account_id = ?
+        `,
+        [playerAccountId],
+      );
+    });
+  }
+
+  async createLoginChallenge(input: {
+    playerAccountId: string;
+    playerEmailIdentityId: string;
+    ttlMinutes: number;
+  }): Promise<string> {
+    const rawToken = randomBytes(32).toString("base64url");
+
+    await this.databaseService.getPool().execute<ResultSetHeader>(
+      `
+        INSERT INTO player_login_challenges (
+          id,
+          player_account_id,
+          player_email_identity_id,
+          token_hash,
+          expires_at
+        )
+        VALUES (
+          ?,
+          ?,
+          ?,
+          ?,
+          DATE_ADD(UTC_TIMESTAMP(), INTERVAL ? MINUTE)
+        )
+      `,
+      [
+        randomUUID(),
+        input.playerAccountId,
+        input.playerEmailIdentityId,
+        hashToken(rawToken),
+        input.ttlMinutes,
+      ],
+    );
+
+    return rawToken;
+  }
+
+  async findActiveLoginChallenge(
+    rawToken: string,
+  ): Promise<PlayerLoginChallenge | null> {
+    const [rows] =
+      await this.databaseService.getPool().execute<RawChallengeRow[]>(
+        `
+          SELECT
+            c.id,
+            c.player_account_id,
+            c.player_email_identity_id,
+            e.email
+          FROM player_login_challenges c
+          INNER JOIN player_email_identities e
+            ON e.id = c.player_email_identity_id
+          WHERE c.token_hash = ?
+            AND c.used_at IS NULL
+            AND c.expires_at > UTC_TIMESTAMP()
+            AND c.failed_attempts < ?
+          LIMIT 1
+        `,
+        [hashToken(rawToken), PLAYER_LOGIN_CHALLENGE_MAX_ATTEMPTS],
+      );
+
+    const row = rows[0];
+
+    return row
+      ? {
+          id: row.id,
+          playerAccountId: row.player_account_id,
+          playerEmailIdentityId: row.player_email_identity_id,
+          email: row.email,
+        }
+      : null;
+  }
+
+  async recordLoginChallengeFailure(
+    challengeId: string,
+  ): Promise<void> {
+    await this.databaseService.getPool().execute<ResultSetHeader>(
+      `
+        UPDATE player_login_challenges
+        SET failed_attempts = failed_attempts + 1
+        WHERE id = ?
+          AND used_at IS NULL
+      `,
+      [challengeId],
+    );
+  }
+
+  async consumeLoginChallenge(
+    challengeId: string,
+  ): Promise<boolean> {
+    const [result] =
+      await this.databaseService.getPool().execute<ResultSetHeader>(
+        `
+          UPDATE player_login_challenges
+          SET used_at = UTC_TIMESTAMP()
+          WHERE id = ?
+            AND used_at IS NULL
+            AND expires_at > UTC_TIMESTAMP()
+            AND failed_attempts < ?
+        `,
+        [challengeId, PLAYER_LOGIN_CHALLENGE_MAX_ATTEMPTS],
+      );
+
+    return result.affectedRows === 1;
+  }
+}
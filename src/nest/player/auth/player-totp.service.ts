@@ -0,0 +1,529 @@
+import {
+  Inject,
+  Injectable,
+} from "@nestjs/common";
+import {
+  APP_CONFIG,
+  AppConfig,
+} from "../../core/app-config.js";
+import type {
+  RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
+import {
+  buildTotpProvisioningUri,
+  decodeBase32,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  hashRecoveryCode,
+  normalizeRecoveryCode,
+  openTotpSecret,
+  sealTotpSecret,
+  verifyTotp,
+} from "../../core/security/totp.js";
+import {
+  PlayerLoginLockoutService,
+  type PlayerLoginAttemptContext,
+  type PlayerLoginLockoutCheck,
+} from "./player-login-lockout.service.js";
+import {
+  PlayerPasswordService,
+} from "./player-password.service.js";
+import {
+  PlayerTotpRepository,
+  type PlayerLoginChallenge,
+  type PlayerTotpCredential,
+  type PlayerTotpReauthIdentity,
+} from "./player-totp.repository.js";
+
+export interface PlayerTotpPasswordPort {
+  verifyPasswordOrDummy(
+    input: unknown,
+    storedHash: string | null,
+  ): Promise<boolean>;
+}
+
+export interface PlayerTotpLockoutPort {
+  check(
+    context: PlayerLoginAttemptContext,
+  ): Promise<PlayerLoginLockoutCheck>;
+  recordFailure(
+    context: PlayerLoginAttemptContext,
+  ): Promise<void>;
+}
+
+export interface PlayerTotpRepositoryPort {
+  findCredential(
+    playerAccountId: string,
+  ): Promise<PlayerTotpCredential | null>;
+  findReauthIdentity(
+    playerAccountId: string,
+  ): Promise<PlayerTotpReauthIdentity | null>;
+  savePendingCredential(
+    playerAccountId: string,
+    secretSealed: string,
+  ): Promise<boolean>;
+  enableCredential(input: {
+    playerAccountId: string;
+    usedStep: number;
+    recoveryCodeHashes: readonly string[];
+  }): Promise<boolean>;
+  consumeTotpStep(
+    playerAccountId: string,
+    step: number,
+  ): Promise<boolean>;
+  consumeRecoveryCode(
+    playerAccountId: string,
+    codeHash: string,
+  ): Promise<boolean>;
+  replaceRecoveryCodes(
+    playerAccountId: string,
+    codeHashes: readonly string[],
+  ): Promise<void>;
+  deleteCredential(
+    playerAccountId: string,
+  ): Promise<void>;
+  createLoginChallenge(input: {
+    playerAccountId: string;
+    playerEmailIdentityId: string;
+    ttlMinutes: number;
+  }): Promise<string>;
+  findActiveLoginChallenge(
+    rawToken: string,
+  ): Promise<PlayerLoginChallenge | null>;
+  recordLoginChallengeFailure(
+    challengeId: string,
+  ): Promise<void>;
+  consumeLoginChallenge(
+    challengeId: string,
+  ): Promise<boolean>;
+}
+
+export type PlayerTotpError =
+  | "totp_unavailable"
+  | "invalid_request"
+  | "email_identity_required"
+  | "invalid_credentials"
+  | "totp_already_enabled"
+  | "totp_not_enabled"
+  | "totp_enrollment_not_started"
+  | "invalid_two_factor_code";
+
+export type PlayerTotpFailure =
+  | { ok: false; error: PlayerTotpError }
+  | {
+      ok: false;
+      error: "login_temporarily_locked";
+      retryAfterSeconds: number;
+    };
+
+export type PlayerTotpResult<T> =
+  | ({ ok: true } & T)
+  | PlayerTotpFailure;
+
+export type PlayerLoginChallengeResult =
+  | {
+      ok: true;
+      playerAccountId: string;
+      playerEmailIdentityId: string;
+    }
+  | {
+      ok: false;
+      error:
+        | "invalid_or_expired_challenge"
+        | "invalid_two_factor_code";
+    };
+
+function readBody(
+  body: unknown,
+): Record<string, unknown> | null {
+  return body !== null &&
+    typeof body === "object" &&
+    !Array.isArray(body)
+    ? body as Record<string, unknown>
+    : null;
+}
+
+function nowSeconds(): number {
+  return Math.floor(Date.now() / 1000);
+}
+
+@Injectable()
+export class PlayerTotpService {
+  constructor(
+    @Inject(APP_CONFIG)
+    private readonly config: AppConfig,
+
+    @Inject(PlayerPasswordService)
+    private readonly passwordService:
+      PlayerTotpPasswordPort,
+
+    @Inject(PlayerTotpRepository)
+    private readonly repository:
+      PlayerTotpRepositoryPort,
+
+    @Inject(PlayerLoginLockoutService)
+    private readonly lockout:
+      PlayerTotpLockoutPort,
+  ) {}
+
+  private openSecret(
+    credential: PlayerTotpCredential,
+  ): Buffer | null {
+    const secret = openTotpSecret(
+      credential.secretSealed,
+      this.config.totp.secretKey,
+    );
+
+    return secret ? decodeBase32(secret) : null;
+  }
+
+  /**
+   * Re-checks the password before a 2FA change. Wrong passwords share the
+   * login lockout, so a stolen session cannot guess the password here
+   * without the limits the login form applies.
+   */
+  private async reauthenticate(
+    playerAccountId: string,
+    password: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerTotpFailure | PlayerTotpReauthIdentity> {
+    const identity =
+      await this.repository.findReauthIdentity(playerAccountId);
+
+    const attempt = {
+      playerAccountId,
+      email: identity?.email ?? null,
+      ip: client.ip,
+    };
+
+    const lockout =
+      await this.lockout.check(attempt);
+
+    if (!lockout.ok) {
+      return {
+        ok: false,
+        error: "login_temporarily_locked",
+        retryAfterSeconds:
+          lockout.retryAfterSeconds,
+      };
+    }
+
+    const matches =
+      await this.passwordService.verifyPasswordOrDummy(
+        password,
+        identity?.passwordHash ?? null,
+      );
+
+    if (!identity) {
+      return { ok: false, error: "email_identity_required" };
+    }
+
+    if (!matches) {
+      await this.lockout.recordFailure(attempt);
+
+      return { ok: false, error: "invalid_credentials" };
+    }
+
+    return identity;
+  }
+
+  /**
+   * Checks a TOTP code (burning its time step) or a recovery code (burning
+   * the code). Either proves possession of the enrolled second factor.
+   */
+  async verifySecondFactor(
+    playerAccountId: string,
+    body: unknown,
+  ): Promise<boolean> {
+    const input = readBody(body);
+
+    if (!input || !this.config.totp.configured) {
+      return false;
+    }
+
+    const credential =
+      await this.repository.findCredential(playerAccountId);
+
+    if (!credential?.enabled) {
+      return false;
+    }
+
+    if (typeof input.code === "string") {
+      const key = this.openSecret(credential);
+      const step = key
+        ? verifyTotp(key, input.code, nowSeconds())
+        : null;
+
+      return step !== null &&
+        await this.repository.consumeTotpStep(playerAccountId, step);
+    }
+
+    const recoveryCode =
+      normalizeRecoveryCode(input.recovery_code);
+
+    return recoveryCode !== null &&
+      await this.repository.consumeRecoveryCode(
+        playerAccountId,
+        hashRecoveryCode(recoveryCode),
+      );
+  }
+
+  async isEnabled(
+    playerAccountId: string,
+  ): Promise<boolean> {
+    const credential =
+      await this.repository.findCredential(playerAccountId);
+
+    return credential?.enabled === true;
+  }
+
+  async status(
+    playerAccountId: string,
+  ): Promise<{
+    enabled: boolean;
+    pending: boolean;
+    recoveryCodesRemaining: number;
+  }> {
+    const credential =
+      await this.repository.findCredential(playerAccountId);
+
+    return {
+      enabled: credential?.enabled === true,
+      pending: credential !== null && !credential.enabled,
+      recoveryCodesRemaining:
+        credential?.enabled
+          ? credential.recoveryCodesRemaining
+          : 0,
+    };
+  }
+
+  async beginEnrollment(
+    playerAccountId: string,
+    body: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerTotpResult<{ secret: string; otpauthUri: string }>> {
+    if (!this.config.totp.configured) {
+      return { ok: false, error: "totp_unavailable" };
+    }
+
+    const input = readBody(body);
+
+    if (!input) {
+      return { ok: false, error: "invalid_request" };
+    }
+
+    const identity =
+      await this.reauthenticate(playerAccountId, input.password, client);
+
+    if ("ok" in identity) {
+      return identity;
+    }
+
+    const secret = generateTotpSecret();
+
+    const saved =
+      await this.repository.savePendingCredential(
+        playerAccountId,
+        sealTotpSecret(secret, this.config.totp.secretKey),
+      );
+
+    if (!saved) {
+      return { ok: false, error: "totp_already_enabled" };
+    }
+
+    return {
+      ok: true,
+      secret,
+      otpauthUri: buildTotpProvisioningUri({
+        issuer: this.config.totp.issuer,
+        accountName: identity.email,
+        secret,
+      }),
+    };
+  }
+
+  async confirmEnrollment(
+    playerAccountId: string,
+    body: unknown,
+  ): Promise<PlayerTotpResult<{ recoveryCodes: string[] }>> {
+    if (!this.config.totp.configured) {
+      return { ok: false, error: "totp_unavailable" };
+    }
+
+    const input = readBody(body);
+
+    if (!input || typeof input.code !== "string") {
+      return { ok: false, error: "invalid_request" };
+    }
+
+    const credential =
+      await this.repository.findCredential(playerAccountId);
+
+    if (!credential) {
+      return { ok: false, error: "totp_enrollment_not_started" };
+    }
+
+    if (credential.enabled) {
+      return { ok: false, error: "totp_already_enabled" };
+    }
+
+    const key = this.openSecret(credential);
+    const step = key
+      ? verifyTotp(key, input.code, nowSeconds())
+      : null;
+
+    if (step === null) {
+      return { ok: false, error: "invalid_two_factor_code" };
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const enabled =
+      await this.repository.enableCredential({
+        playerAccountId,
+        usedStep: step,
+        recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+      });
+
+    if (!enabled) {
+      return { ok: false, error: "totp_already_enabled" };
+    }
+
+    return {
+      ok: true,
+      recoveryCodes,
+    };
+  }
+
+  private async reauthenticateWithSecondFactor(
+    playerAccountId: string,
+    body: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerTotpFailure | null> {
+    if (!this.config.totp.configured) {
+      return { ok: false, error: "totp_unavailable" };
+    }
+
+    const input = readBody(body);
+
+    if (!input) {
+      return { ok: false, error: "invalid_request" };
+    }
+
+    const identity =
+      await this.reauthenticate(playerAccountId, input.password, client);
+
+    if ("ok" in identity) {
+      return identity;
+    }
+
+    if (!await this.isEnabled(playerAccountId)) {
+      return { ok: false, error: "totp_not_enabled" };
+    }
+
+    return await this.verifySecondFactor(playerAccountId, input)
+      ? null
+      : { ok: false, error: "invalid_two_factor_code" };
+  }
+
+  async disable(
+    playerAccountId: string,
+    body: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerTotpResult<object>> {
+    const failure =
+      await this.reauthenticateWithSecondFactor(playerAccountId, body, client);
+
+    if (failure) {
+      return failure;
+    }
+
+    await this.repository.deleteCredential(playerAccountId);
+
+    return { ok: true };
+  }
+
+  async regenerateRecoveryCodes(
+    playerAccountId: string,
+    body: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerTotpResult<{ recoveryCodes: string[] }>> {
+    const failure =
+      await this.reauthenticateWithSecondFactor(playerAccountId, body, client);
+
+    if (failure) {
+      return failure;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await this.repository.replaceRecoveryCodes(
+      playerAccountId,
+      recoveryCodes.map(hashRecoveryCode),
+    );
+
+    return {
+      ok: true,
+      recoveryCodes,
+    };
+  }
+
+  async createLoginChallenge(input: {
+    playerAccountId: string;
+    playerEmailIdentityId: string;
+  }): Promise<{ pendingToken: string; expiresInSeconds: number }> {
+    const ttlMinutes = this.config.totp.challengeTtlMinutes;
+
+    return {
+      pendingToken:
+        await this.repository.createLoginChallenge({
+          ...input,
+          ttlMinutes,
+        }),
+      expiresInSeconds: ttlMinutes * 60,
+    };
+  }
+
+  /** Who a pending login belongs to, so the login lockout can count codes. */
+  async findLoginChallengeSubject(
+    pendingToken: string,
+  ): Promise<{ playerAccountId: string; email: string } | null> {
+    const challenge =
+      await this.repository.findActiveLoginChallenge(pendingToken);
+
+    return challenge
+      ? {
+          playerAccountId: challenge.playerAccountId,
+          email: challenge.email,
+        }
+      : null;
+  }
+
+  async completeLoginChallenge(
+    pendingToken: string,
+    body: unknown,
+  ): Promise<PlayerLoginChallengeResult> {
+    const challenge =
+      await this.repository.findActiveLoginChallenge(pendingToken);
+
+    if (!challenge) {
+      return { ok: false, error: "invalid_or_expired_challenge" };
+    }
+
+    if (!await this.verifySecondFactor(challenge.playerAccountId, body)) {
+      await this.repository.recordLoginChallengeFailure(challenge.id);
+
+      return { ok: false, error: "invalid_two_factor_code" };
+    }
+
+    if (!await this.repository.consumeLoginChallenge(challenge.id)) {
+      return { ok: false, error: "invalid_or_expired_challenge" };
+    }
+
+    return {
+      ok: true,
+      playerAccountId: challenge.playerAccountId,
+      playerEmailIdentityId: challenge.playerEmailIdentityId,
+    };
+  }
+}
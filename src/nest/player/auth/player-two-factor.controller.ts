@@ -0,0 +1,376 @@
+import {
+  Body,
+  Controller,
+  Get,
+  Headers,
+  HttpCode,
+  HttpException,
+  HttpStatus,
+  Inject,
+  Ip,
+  Post,
+  Req,
+  Res,
+  UseGuards,
+} from "@nestjs/common";
+import {
+  Throttle,
+  minutes,
+} from "@nestjs/throttler";
+
+import {
+  buildRequestClientMetadata,
+  type RequestClientMetadata,
+} from "../../core/http/request-client-metadata.js";
+import { DatabaseService } from "../../database/database.service.js";
+import {
+  PlayerAccountThrottlerGuard,
+} from "../security/player-account-throttler.guard.js";
+import {
+  PlayerCsrfGuard,
+} from "../security/player-csrf.guard.js";
+import {
+  PlayerAuthGuard,
+} from "./player-auth.guard.js";
+import type {
+  PlayerIdentity,
+} from "./player-auth.service.js";
+import {
+  PlayerTotpService,
+  type PlayerTotpError,
+  type PlayerTotpResult,
+} from "./player-totp.service.js";
+
+interface PlayerTwoFactorRequest {
+  player?: PlayerIdentity;
+}
+
+interface HttpResponse {
+  setHeader(name: string, value: string): void;
+}
+
+export interface PlayerTwoFactorDatabasePort {
+  getStatus(): {
+    ready: boolean;
+  };
+}
+
+export interface PlayerTwoFactorServicePort {
+  status(playerAccountId: string): Promise<{
+    enabled: boolean;
+    pending: boolean;
+    recoveryCodesRemaining: number;
+  }>;
+  beginEnrollment(
+    playerAccountId: string,
+    body: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerTotpResult<{ secret: string; otpauthUri: string }>>;
+  confirmEnrollment(
+    playerAccountId: string,
+    body: unknown,
+  ): Promise<PlayerTotpResult<{ recoveryCodes: string[] }>>;
+  disable(
+    playerAccountId: string,
+    body: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerTotpResult<object>>;
+  regenerateRecoveryCodes(
+    playerAccountId: string,
+    body: unknown,
+    client: RequestClientMetadata,
+  ): Promise<PlayerTotpResult<{ recoveryCodes: string[] }>>;
+}
+
+const ERROR_STATUS: Record<PlayerTotpError, HttpStatus> = {
+  totp_unavailable: HttpStatus.NOT_IMPLEMENTED,
+  invalid_request: HttpStatus.BAD_REQUEST,
+  email_identity_required: HttpStatus.CONFLICT,
+  invalid_credentials: HttpStatus.UNAUTHORIZED,
+  totp_already_enabled: HttpStatus.CONFLICT,
+  totp_not_enabled: HttpStatus.CONFLICT,
+  totp_enrollment_not_started: HttpStatus.CONFLICT,
+  invalid_two_factor_code: HttpStatus.UNAUTHORIZED,
+};
+
+function readPlayerAccountId(
+  request: PlayerTwoFactorRequest,
+): string {
+  const playerAccountId =
+    request.player?.playerAccountId;
+
+  if (!playerAccountId) {
+    throw new HttpException(
+      {
+        ok: false,
+        error: "invalid_session",
+      },
+      HttpStatus.UNAUTHORIZED,
+    );
+  }
+
+  return playerAccountId;
+}
+
+function unwrap<T>(
+  result: PlayerTotpResult<T>,
+  response?: HttpResponse,
+): T {
+  if (
+    !result.ok &&
+    result.error === "login_temporarily_locked"
+  ) {
+    response?.setHeader(
+      "Retry-After",
+      String(result.retryAfterSeconds),
+    );
+
+    throw new HttpException(
+      {
+        ok: false,
+        error: result.error,
+        retry_after_seconds: result.retryAfterSeconds,
+      },
+      HttpStatus.TOO_MANY_REQUESTS,
+    );
+  }
+
+  if (!result.ok) {
+    throw new HttpException(
+      {
+        ok: false,
+        error: result.error,
+      },
+      ERROR_STATUS[result.error],
+    );
+  }
+
+  return result;
+}
+
+@Controller("player/security/2fa")
+@UseGuards(PlayerAuthGuard)
+export class PlayerTwoFactorController {
+  constructor(
+    @Inject(DatabaseService)
+    private readonly databaseService:
+      PlayerTwoFactorDatabasePort,
+
+    @Inject(PlayerTotpService)
+    private readonly totpService:
+      PlayerTwoFactorServicePort,
+  ) {}
+
+  private async run<T>(
+    work: () => Promise<T>,
+  ): Promise<T> {
+    if (!this.databaseService.getStatus().ready) {
+      throw new HttpException(
+        {
+          ok: false,
+          error: "db_not_ready",
+        },
+        HttpStatus.SERVICE_UNAVAILABLE,
+      );
+    }
+
+    try {
+      return await work();
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error;
+      }
+
+      console.error(
+        "[player-two-factor] request failed",
+      );
+
+      throw new HttpException(
+        {
+          ok: false,
+          error: "two_factor_failed",
+        },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+  }
+
+  @Get()
+  async status(
+    @Req() request: PlayerTwoFactorRequest,
+  ) {
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    return this.run(async () => {
+      const status =
+        await this.totpService.status(playerAccountId);
+
+      return {
+        ok: true,
+        totp: {
+          enabled: status.enabled,
+          pending: status.pending,
+          recovery_codes_remaining:
+            status.recoveryCodesRemaining,
+        },
+      };
+    });
+  }
+
+  @Post("totp/enroll")
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 10,
+      ttl: minutes(15),
+    },
+  })
+  async enroll(
+    @Req() request: PlayerTwoFactorRequest,
+    @Body() body: unknown,
+    @Res({ passthrough: true })
+    response?: HttpResponse,
+    @Ip() ip?: string,
+    @Headers("user-agent") userAgent?: string,
+  ) {
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    return this.run(async () => {
+      const enrollment = unwrap(
+        await this.totpService.beginEnrollment(
+          playerAccountId,
+          body,
+          buildRequestClientMetadata(ip, userAgent),
+        ),
+        response,
+      );
+
+      return {
+        ok: true,
+        secret: enrollment.secret,
+        otpauth_uri: enrollment.otpauthUri,
+      };
+    });
+  }
+
+  @Post("totp/confirm")
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 10,
+      ttl: minutes(15),
+    },
+  })
+  async confirm(
+    @Req() request: PlayerTwoFactorRequest,
+    @Body() body: unknown,
+  ) {
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    return this.run(async () => {
+      const confirmed = unwrap(
+        await this.totpService.confirmEnrollment(
+          playerAccountId,
+          body,
+        ),
+      );
+
+      return {
+        ok: true,
+        enabled: true,
+        recovery_codes: confirmed.recoveryCodes,
+      };
+    });
+  }
+
+  @Post("totp/disable")
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 10,
+      ttl: minutes(15),
+    },
+  })
+  async disable(
+    @Req() request: PlayerTwoFactorRequest,
+    @Body() body: unknown,
+    @Res({ passthrough: true })
+    response?: HttpResponse,
+    @Ip() ip?: string,
+    @Headers("user-agent") userAgent?: string,
+  ) {
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    return this.run(async () => {
+      unwrap(
+        await this.totpService.disable(
+          playerAccountId,
+          body,
+          buildRequestClientMetadata(ip, userAgent),
+        ),
+        response,
+      );
+
+      return {
+        ok: true,
+        enabled: false,
+      };
+    });
+  }
+
+  @Post("recovery-codes/regenerate")
+  @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerCsrfGuard,
+    PlayerAccountThrottlerGuard,
+  )
+  @Throttle({
+    default: {
+      limit: 10,
+      ttl: minutes(15),
+    },
+  })
+  async regenerateRecoveryCodes(
+    @Req() request: PlayerTwoFactorRequest,
+    @Body() body: unknown,
+    @Res({ passthrough: true })
+    response?: HttpResponse,
+    @Ip() ip?: string,
+    @Headers("user-agent") userAgent?: string,
+  ) {
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    return this.run(async () => {
+      const regenerated = unwrap(
+        await this.totpService.regenerateRecoveryCodes(
+          playerAccountId,
+          body,
+          buildRequestClientMetadata(ip, userAgent),
+        ),
+        response,
+      );
+
+      return {
+        ok: true,
+        recovery_codes: regenerated.recoveryCodes,
+      };
+    });
+  }
+}
@@ -0,0 +1,74 @@
+import { SetMetadata } from "@nestjs/common";
+
+/**
+ * Keys seeded by 0029_membership_entitlements_foundation.sql. Only the ones
+ * enforced by the API are listed; the rest are read by the portal.
+ */
+export type PlayerEntitlementKey =
+  | "mix.create"
+  | "mix.participate"
+  | "server.join"
+  | "profile.premium";
+
+export type EntitlementRequiredError =
+  `entitlement_required:${PlayerEntitlementKey}`;
+
+export const PLAYER_ENTITLEMENTS_METADATA = "hsc:player-entitlements";
+
+export function entitlementRequiredError(
+  entitlementKey: PlayerEntitlementKey,
+): EntitlementRequiredError {
+  return `entitlement_required:${entitlementKey}`;
+}
+
+export function isEntitlementRequiredError(
+  value: string,
+): value is EntitlementRequiredError {
+  return value.startsWith("entitlement_required:");
+}
+
+/**
+ * Grants count while not revoked and not past expires_at (NULL never expires).
+ * `alias` is the player_entitlement_grants alias in the surrounding query.
+ */
+export function activeEntitlementGrantSql(alias: string): string {
+  return `${alias}.revoked_at IS NULL
+    AND (${alias}.expires_at IS NULL OR ${alias}.expires_at > UTC_TIMESTAMP())`;
+}
+
+/**
+ * SQL-side check for transactional paths that already read the membership
+ * row as `membershipAlias`: evaluates to 1 when the plan gives the
+ * entitlement bound to the single `?` placeholder. Membership status is not
+ * checked here; the plan only counts while the membership is active, which
+ * the caller resolves.
+ */
+export function planEntitlementExistsSql(
+  membershipAlias: string,
+): string {
+  return `EXISTS(SELECT 1 FROM membership_plan_entitlements pe
+    WHERE pe.plan_code = ${membershipAlias}.plan_code
+      AND pe.entitlement_key = ?)`;
+}
+
+/**
+ * Active individual grant of the entitlement bound to the single `?`; it
+ * counts with or without a membership, so callers check it before the
+ * membership.
+ */
+export function grantEntitlementExistsSql(
+  playerAccountIdColumn: string,
+): string {
+  return `EXISTS(SELECT 1 FROM player_entitlement_grants g
+    WHERE g.player_account_id = ${playerAccountIdColumn}
+      AND g.entitlement_key = ?
+      AND ${activeEntitlementGrantSql("g")})`;
+}
+
+/**
+ * Requires every listed entitlement on a player route (see
+ * PlayerEntitlementGuard). Must run after PlayerAuthGuard.
+ */
+export const RequirePlayerEntitlements = (
+  ...entitlementKeys: PlayerEntitlementKey[]
+) => SetMetadata(PLAYER_ENTITLEMENTS_METADATA, entitlementKeys);
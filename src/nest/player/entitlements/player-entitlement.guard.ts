@@ -0,0 +1,88 @@
+import {
+  CanActivate,
+  ExecutionContext,
+  HttpException,
+  HttpStatus,
+  Inject,
+  Injectable,
+} from "@nestjs/common";
+import { Reflector } from "@nestjs/core";
+
+import type { PlayerIdentity } from "../auth/player-auth.service.js";
+import {
+  PLAYER_ENTITLEMENTS_METADATA,
+  entitlementRequiredError,
+  type PlayerEntitlementKey,
+} from "./player-entitlement-requirement.js";
+import { PlayerEntitlementsService } from "./player-entitlements.service.js";
+
+interface RequestWithPlayer {
+  player?: PlayerIdentity;
+}
+
+export interface PlayerEntitlementGuardServicePort {
+  getEntitlementsForPlayerAccount(
+    playerAccountId: string,
+  ): Promise<string[]>;
+}
+
+@Injectable()
+export class PlayerEntitlementGuard implements CanActivate {
+  constructor(
+    @Inject(PlayerEntitlementsService)
+    private readonly entitlementsService:
+      PlayerEntitlementGuardServicePort,
+
+    @Inject(Reflector)
+    private readonly reflector: Reflector,
+  ) {}
+
+  async canActivate(context: ExecutionContext): Promise<boolean> {
+    const required = this.reflector.getAllAndOverride<
+      PlayerEntitlementKey[] | undefined
+    >(PLAYER_ENTITLEMENTS_METADATA, [context.getHandler(), context.getClass()]);
+
+    if (!required || required.length === 0) {
+      return true;
+    }
+
+    const request = context.switchToHttp().getRequest<RequestWithPlayer>();
+    const playerAccountId = request.player?.playerAccountId;
+
+    if (!playerAccountId) {
+      throw new HttpException(
+        { ok: false, error: "invalid_session" },
+        HttpStatus.UNAUTHORIZED,
+      );
+    }
+
+    let granted: string[];
+
+    try {
+      granted =
+        await this.entitlementsService.getEntitlementsForPlayerAccount(
+          playerAccountId,
+        );
+    } catch {
+      console.error(
+        "[player-entitlements] entitlement check failed",
+      );
+
+      throw new HttpException(
+        { ok: false, error: "player_entitlements_read_failed" },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    const missing = required.find((key) => !granted.includes(key));
+
+    if (missing) {
+      throw new HttpException(
+        { ok: false, error: entitlementRequiredError(missing) },
+        HttpStatus.FORBIDDEN,
+      );
+    }
+
+    return true;
+  }
+}
@@ -1,6 +1,7 @@
 import { Module } from "@nestjs/common";
 
 import { PlayerAuthModule } from "../auth/player-auth.module.js";
+import { PlayerEntitlementGuard } from "./player-entitlement.guard.js";
 import { PlayerEntitlementsController } from "./player-entitlements.controller.js";
 import { PlayerEntitlementsRepository } from "./player-entitlements.repository.js";
 import { PlayerEntitlementsService } from "./player-entitlements.service.js";
@@ -11,7 +12,11 @@ import { PlayerEntitlementsService } from "./player-entitlements.service.js";
   providers: [
     PlayerEntitlementsRepository,
     PlayerEntitlementsService,
+    PlayerEntitlementGuard,
+  ],
+  exports: [
+    PlayerEntitlementsService,
+    PlayerEntitlementGuard,
   ],
-  exports: [PlayerEntitlementsService],
 })
 export class PlayerEntitlementsModule {}
@@ -1,11 +1,13 @@
-import { Injectable } from "@nestjs/common";
+import { Inject, Injectable } from "@nestjs/common";
 import type { RowDataPacket } from "mysql2/promise";
 
+import { APP_CONFIG, AppConfig } from "../../core/app-config.js";
 import { DatabaseService } from "../../database/database.service.js";
 import {
   MembershipStatus,
   resolveMembershipEffectiveStatus,
 } from "../../membership/membership-status.js";
+import { activeEntitlementGrantSql } from "./player-entitlement-requirement.js";
 
 interface RawPlayerMembershipRow extends RowDataPacket {
   status: MembershipStatus;
@@ -27,6 +29,7 @@ export interface PlayerMembershipForEntitlements {
 export class PlayerEntitlementsRepository {
   constructor(
     private readonly databaseService: DatabaseService,
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
   ) {}
 
   async findMembershipByPlayerAccountId(
@@ -59,6 +62,8 @@ export class PlayerEntitlementsRepository {
         status: row.status,
         expiresAt: row.expires_at,
         now: row.now_utc,
+        gracePeriodHours:
+          this.config.membershipLifecycle.gracePeriodHours,
       }),
       plan_code: row.plan_code,
     };
@@ -82,4 +87,24 @@ export class PlayerEntitlementsRepository {
 
     return rows.map((row) => row.entitlement_key);
   }
+
+  async findActiveGrantedEntitlements(
+    playerAccountId: string,
+  ): Promise<string[]> {
+    const pool = this.databaseService.getPool();
+
+    const [rows] = await pool.execute<RawEntitlementRow[]>(
+      `
+        SELECT DISTINCT
+          entitlement_key
+        FROM player_entitlement_grants
+        WHERE player_account_id = ?
+          AND ${activeEntitlementGrantSql("player_entitlement_grants")}
+        ORDER BY entitlement_key ASC
+      `,
+      [playerAccountId],
+    );
+
+    return rows.map((row) => row.entitlement_key);
+  }
 }
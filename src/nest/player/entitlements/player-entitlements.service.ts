@@ -14,21 +14,22 @@ export class PlayerEntitlementsService {
       return [];
     }
 
-    const membership =
-      await this.repository.findMembershipByPlayerAccountId(
-        playerAccountId,
-      );
-
-    if (!membership || membership.status !== "active") {
-      return [];
-    }
-
-    const entitlements =
-      await this.repository.findEntitlementsByPlanCode(
-        membership.plan_code,
-      );
-
-    return Array.from(new Set(entitlements)).sort();
+    const [membership, granted] = await Promise.all([
+      this.repository.findMembershipByPlayerAccountId(playerAccountId),
+      this.repository.findActiveGrantedEntitlements(playerAccountId),
+    ]);
+
+    // The repository already resolves an active row past expires_at to
+    // "expired", so only an effectively active membership contributes its
+    // plan; individual grants apply with or without one.
+    const fromPlan =
+      membership && membership.status === "active"
+        ? await this.repository.findEntitlementsByPlanCode(
+            membership.plan_code,
+          )
+        : [];
+
+    return Array.from(new Set([...fromPlan, ...granted])).sort();
   }
 
   async hasEntitlement(
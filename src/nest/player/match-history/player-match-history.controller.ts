@@ -0,0 +1,76 @@
+import {
+  Controller, Get, HttpException, HttpStatus, Inject, Query, Req, UseGuards,
+} from "@nestjs/common";
+
+import { PlayerAuthGuard } from "../auth/player-auth.guard.js";
+import type { PlayerIdentity } from "../auth/player-auth.service.js";
+import {
+  PlayerMatchHistoryService,
+  type PlayerMatchHistoryReadResult,
+} from "./player-match-history.service.js";
+
+interface PlayerMatchHistoryRequest { player?: PlayerIdentity }
+
+export interface PlayerMatchHistoryServicePort {
+  listForPlayer(playerAccountId: string, limit: number, cursor: string | null): Promise<PlayerMatchHistoryReadResult>;
+  listForPublicProfile(slug: unknown, limit: number, cursor: string | null): Promise<PlayerMatchHistoryReadResult>;
+}
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+function viewerId(request: PlayerMatchHistoryRequest): string {
+  const id = request.player?.playerAccountId;
+  if (!id) throw new HttpException({ ok: false, error: "invalid_session" }, HttpStatus.UNAUTHORIZED);
+  return id;
+}
+
+export function normalizeMatchHistoryLimit(value: unknown): number {
+  if (value === undefined || value === null || String(value).trim() === "") return DEFAULT_LIMIT;
+  const clean = String(value).trim();
+  const limit = /^\d+$/.test(clean) ? Number(clean) : NaN;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpException({ ok: false, error: "invalid_limit" }, HttpStatus.BAD_REQUEST);
+  }
+  return limit;
+}
+
+export function normalizeMatchHistoryCursor(value: unknown): string | null {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  return String(value).trim();
+}
+
+export async function readMatchHistory(read: () => Promise<PlayerMatchHistoryReadResult>) {
+  let result: PlayerMatchHistoryReadResult;
+  try {
+    result = await read();
+  } catch {
+    console.error("[player-match-history] history read failed");
+    throw new HttpException({ ok: false, error: "match_history_read_failed" }, HttpStatus.INTERNAL_SERVER_ERROR);
+  }
+  if (!result.ok) {
+    throw new HttpException(
+      { ok: false, error: result.error },
+      result.error === "player_not_found" ? HttpStatus.NOT_FOUND : HttpStatus.BAD_REQUEST,
+    );
+  }
+  return { ok: true, count: result.page.items.length, items: result.page.items, nextCursor: result.page.nextCursor };
+}
+
+@Controller("player/match-history")
+@UseGuards(PlayerAuthGuard)
+export class PlayerMatchHistoryController {
+  constructor(@Inject(PlayerMatchHistoryService) private readonly service: PlayerMatchHistoryServicePort) {}
+
+  @Get()
+  async list(
+    @Req() request: PlayerMatchHistoryRequest,
+    @Query("limit") rawLimit?: string,
+    @Query("cursor") rawCursor?: string,
+  ) {
+    const playerAccountId = viewerId(request);
+    const limit = normalizeMatchHistoryLimit(rawLimit);
+    const cursor = normalizeMatchHistoryCursor(rawCursor);
+    return readMatchHistory(() => this.service.listForPlayer(playerAccountId, limit, cursor));
+  }
+}
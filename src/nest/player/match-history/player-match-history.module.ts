@@ -0,0 +1,16 @@
+import { Module } from "@nestjs/common";
+import { CompetitiveMatchModule } from "../../match/competitive-match/competitive-match.module.js";
+import { PlayerAuthModule } from "../auth/player-auth.module.js";
+import { PlayerPresentationReferenceModule } from "../presentation-reference/player-presentation-reference.module.js";
+import { PlayerMatchHistoryController } from "./player-match-history.controller.js";
+import { PlayerMatchHistoryRepository } from "./player-match-history.repository.js";
+import { PlayerMatchHistoryService } from "./player-match-history.service.js";
+import { PlayerPublicMatchHistoryController } from "./player-public-match-history.controller.js";
+
+@Module({
+  imports: [PlayerAuthModule, CompetitiveMatchModule, PlayerPresentationReferenceModule],
+  controllers: [PlayerMatchHistoryController, PlayerPublicMatchHistoryController],
+  providers: [PlayerMatchHistoryRepository, PlayerMatchHistoryService],
+  exports: [PlayerMatchHistoryRepository],
+})
+export class PlayerMatchHistoryModule {}
@@ -0,0 +1,191 @@
+import { Injectable } from "@nestjs/common";
+import type { RowDataPacket } from "mysql2/promise";
+
+import { DatabaseService } from "../../database/database.service.js";
+import type { CompetitiveMatchResultSnapshot } from "../../match/competitive-match/competitive-match.contract.js";
+import { CompetitiveMatchRepository } from "../../match/competitive-match/competitive-match.repository.js";
+import type { MatchRoomFailureReason } from "../../match/match-room.contract.js";
+
+export type PlayerMatchHistoryStatus = "COMPLETED" | "FAILED" | "CANCELLED";
+
+interface PlayerMatchHistoryRow extends RowDataPacket {
+  room_id: string;
+  room_status: PlayerMatchHistoryStatus;
+  failure_reason: MatchRoomFailureReason;
+  created_at: Date | string;
+  ready_at: Date | string | null;
+  completed_at: Date | string | null;
+  failed_at: Date | string | null;
+  cancelled_at: Date | string | null;
+  ended_at: Date | string;
+  ended_at_cursor: string;
+  competitive_match_id: string | null;
+  runtime_match_id: string | number | null;
+  map_key: string | null;
+  map_display_name: string | null;
+  team: "A" | "B" | null;
+}
+
+interface PlayerMatchHistoryRosterRow extends RowDataPacket {
+  competitive_match_id: string;
+  player_account_id: string;
+  team: "A" | "B";
+}
+
+interface PublicProfileAccountRow extends RowDataPacket {
+  player_account_id: string;
+}
+
+export interface PlayerMatchHistoryCursor {
+  endedAt: string;
+  roomId: string;
+}
+
+export interface PlayerMatchHistoryRecord {
+  roomId: string;
+  status: PlayerMatchHistoryStatus;
+  failureReason: MatchRoomFailureReason;
+  createdAt: Date | string;
+  readyAt: Date | string | null;
+  completedAt: Date | string | null;
+  failedAt: Date | string | null;
+  cancelledAt: Date | string | null;
+  endedAt: Date | string;
+  cursor: PlayerMatchHistoryCursor;
+  competitiveMatchId: string | null;
+  runtimeMatchId: number | null;
+  map: { key: string; displayName: string } | null;
+  team: "A" | "B" | null;
+  roster: Array<{ playerAccountId: string; team: "A" | "B" }>;
+  result: CompetitiveMatchResultSnapshot | null;
+}
+
+const ENDED_AT_SQL = "COALESCE(mr.completed_at, mr.failed_at, mr.cancelled_at, mr.updated_at)";
+
+@Injectable()
+export class PlayerMatchHistoryRepository {
+  constructor(
+    private readonly databaseService: DatabaseService,
+    private readonly competitiveMatchRepository: CompetitiveMatchRepository,
+  ) {}
+
+  /**
+   * Terminal rooms the player ended in, newest first. Rooms that reached a
+   * CompetitiveMatch require a frozen roster row; earlier rooms only count
+   * when the player was still a participant at the terminal transition.
+   */
+  async listForPlayer(
+    playerAccountId: string,
+    limit: number,
+    cursor: PlayerMatchHistoryCursor | null,
+  ): Promise<PlayerMatchHistoryRecord[]> {
+    const pool = this.databaseService.getPool();
+    const conditions = [
+      "p.player_account_id = ?",
+      "(p.release_reason IS NULL OR p.release_reason NOT IN ('LEFT', 'CONFIRMATION_TIMEOUT'))",
+      "mr.status IN ('COMPLETED', 'FAILED', 'CANCELLED')",
+      "(cm.id IS NULL OR r.player_account_id IS NOT NULL)",
+    ];
+    const values: Array<string | number> = [playerAccountId];
+
+    if (cursor) {
+      conditions.push(`(${ENDED_AT_SQL} < ? OR (${ENDED_AT_SQL} = ? AND mr.id < ?))`);
+      values.push(cursor.endedAt, cursor.endedAt, cursor.roomId);
+    }
+
+    const [rows] = await pool.execute<PlayerMatchHistoryRow[]>(
+      `
+        SELECT
+          mr.id AS room_id,
+          mr.status AS room_status,
+          mr.failure_reason,
+          mr.created_at,
+          mr.ready_at,
+          mr.completed_at,
+          mr.failed_at,
+          mr.cancelled_at,
+          ${ENDED_AT_SQL} AS ended_at,
+          DATE_FORMAT(${ENDED_AT_SQL}, '%Y-%m-%d %H:%i:%s.%f') AS ended_at_cursor,
+          cm.id AS competitive_match_id,
+          cm.runtime_match_id,
+          cm.map_key,
+          cm.map_display_name,
+          r.team
+        FROM match_room_participants p
+        JOIN match_rooms mr ON mr.id = p.room_id
+        LEFT JOIN competitive_matches cm ON cm.room_id = mr.id
+        LEFT JOIN competitive_match_roster r
+          ON r.competitive_match_id = cm.id
+          AND r.player_account_id = p.player_account_id
+        WHERE ${conditions.join(" AND ")}
+        ORDER BY ended_at DESC, mr.id DESC
+        LIMIT ?
+      `,
+      [...values, limit],
+    );
+
+    const matchIds = rows
+      .map((row) => row.competitive_match_id)
+      .filter((id): id is string => id !== null);
+    const rosters = new Map<string, Array<{ playerAccountId: string; team: "A" | "B" }>>();
+
+    if (matchIds.length > 0) {
+      const [rosterRows] = await pool.execute<PlayerMatchHistoryRosterRow[]>(
+        `
+          SELECT competitive_match_id, player_account_id, team
+          FROM competitive_match_roster
+          WHERE competitive_match_id IN (${matchIds.map(() => "?").join(", ")})
+          ORDER BY team ASC, player_account_id ASC
+        `,
+        matchIds,
+      );
+      for (const row of rosterRows) {
+        const roster = rosters.get(row.competitive_match_id) ?? [];
+        roster.push({ playerAccountId: row.player_account_id, team: row.team });
+        rosters.set(row.competitive_match_id, roster);
+      }
+    }
+
+    const records: PlayerMatchHistoryRecord[] = [];
+    for (const row of rows) {
+      const result = row.competitive_match_id && row.room_status === "COMPLETED"
+        ? await this.competitiveMatchRepository.findResultOnConnection(pool, row.competitive_match_id)
+        : null;
+      records.push({
+        roomId: row.room_id,
+        status: row.room_status,
+        failureReason: row.failure_reason,
+        createdAt: row.created_at,
+        readyAt: row.ready_at,
+        completedAt: row.completed_at,
+        failedAt: row.failed_at,
+        cancelledAt: row.cancelled_at,
+        endedAt: row.ended_at,
+        cursor: { endedAt: row.ended_at_cursor, roomId: row.room_id },
+        competitiveMatchId: row.competitive_match_id,
+        runtimeMatchId: row.runtime_match_id === null ? null : Number(row.runtime_match_id),
+        map: row.map_key && row.map_display_name
+          ? { key: row.map_key, displayName: row.map_display_name }
+          : null,
+        team: row.team,
+        roster: row.competitive_match_id ? rosters.get(row.competitive_match_id) ?? [] : [],
+        result,
+      });
+    }
+    return records;
+  }
+
+  async findPublicProfilePlayerAccountId(slug: string): Promise<string | null> {
+    const [rows] = await this.databaseService.getPool().execute<PublicProfileAccountRow[]>(
+      `
+        SELECT player_account_id
+        FROM player_profiles
+        WHERE slug = ?
+          AND visibility = 'public'
+        LIMIT 1
+      `,
+      [slug],
+    );
+    return rows[0]?.player_account_id ?? null;
+  }
+}
@@ -0,0 +1,153 @@
+import { Injectable } from "@nestjs/common";
+
+import type {
+  CompetitiveMatchResultPlayerLine,
+  CompetitiveMatchResultSnapshot,
+} from "../../match/competitive-match/competitive-match.contract.js";
+import type { MatchRoomFailureReason } from "../../match/match-room.contract.js";
+import type { PlayerPresentationReference } from "../presentation-reference/player-presentation-reference.contract.js";
+import { PlayerPresentationReferenceService } from "../presentation-reference/player-presentation-reference.service.js";
+import { normalizePublicProfileSlug } from "../profile/player-public-profile.service.js";
+import {
+  PlayerMatchHistoryRepository,
+  type PlayerMatchHistoryCursor,
+  type PlayerMatchHistoryRecord,
+  type PlayerMatchHistoryStatus,
+} from "./player-match-history.repository.js";
+
+export type PlayerMatchHistoryOutcome = "WIN" | "LOSS" | "UNDECIDED" | "FAILED" | "CANCELLED";
+
+export interface PlayerMatchHistoryTeamMember {
+  playerAccountId: string;
+  presentation: PlayerPresentationReference | null;
+}
+
+export interface PlayerMatchHistoryItem {
+  roomId: string;
+  status: PlayerMatchHistoryStatus;
+  outcome: PlayerMatchHistoryOutcome;
+  failureReason: MatchRoomFailureReason;
+  competitiveMatchId: string | null;
+  runtimeMatchId: number | null;
+  map: { key: string; displayName: string } | null;
+  team: "A" | "B" | null;
+  teams: { A: PlayerMatchHistoryTeamMember[]; B: PlayerMatchHistoryTeamMember[] } | null;
+  createdAt: Date | string;
+  readyAt: Date | string | null;
+  completedAt: Date | string | null;
+  failedAt: Date | string | null;
+  cancelledAt: Date | string | null;
+  endedAt: Date | string;
+  stats: CompetitiveMatchResultPlayerLine | null;
+  result: CompetitiveMatchResultSnapshot | null;
+}
+
+export interface PlayerMatchHistoryPage {
+  items: PlayerMatchHistoryItem[];
+  nextCursor: string | null;
+}
+
+export type PlayerMatchHistoryReadResult =
+  | { ok: true; page: PlayerMatchHistoryPage }
+  | { ok: false; error: "invalid_cursor" | "player_not_found" };
+
+const CURSOR_ENDED_AT_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{6}$/;
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+export function encodePlayerMatchHistoryCursor(cursor: PlayerMatchHistoryCursor): string {
+  return Buffer.from(JSON.stringify([cursor.endedAt, cursor.roomId]), "utf8").toString("base64url");
+}
+
+export function decodePlayerMatchHistoryCursor(raw: string): PlayerMatchHistoryCursor | null {
+  try {
+    const parsed: unknown = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+    if (
+      Array.isArray(parsed) &&
+      parsed.length === 2 &&
+      typeof parsed[0] === "string" &&
+      typeof parsed[1] === "string" &&
+      CURSOR_ENDED_AT_RE.test(parsed[0]) &&
+      UUID_RE.test(parsed[1])
+    ) {
+      return { endedAt: parsed[0], roomId: parsed[1].toLowerCase() };
+    }
+  } catch {}
+  return null;
+}
+
+function resolveOutcome(record: PlayerMatchHistoryRecord): PlayerMatchHistoryOutcome {
+  if (record.status !== "COMPLETED") return record.status;
+  if (!record.team || !record.result?.winnerTeam) return "UNDECIDED";
+  return record.result.winnerTeam === record.team ? "WIN" : "LOSS";
+}
+
+@Injectable()
+export class PlayerMatchHistoryService {
+  constructor(
+    private readonly repository: PlayerMatchHistoryRepository,
+    private readonly presentationReferences: PlayerPresentationReferenceService,
+  ) {}
+
+  async listForPlayer(
+    playerAccountId: string,
+    limit: number,
+    rawCursor: string | null,
+  ): Promise<PlayerMatchHistoryReadResult> {
+    const cursor = rawCursor === null ? null : decodePlayerMatchHistoryCursor(rawCursor);
+    if (rawCursor !== null && !cursor) return { ok: false, error: "invalid_cursor" };
+
+    const records = await this.repository.listForPlayer(playerAccountId, limit + 1, cursor);
+    const pageRecords = records.slice(0, limit);
+    const last = pageRecords[pageRecords.length - 1];
+    const nextCursor = records.length > limit && last ? encodePlayerMatchHistoryCursor(last.cursor) : null;
+
+    const references = await this.presentationReferences.resolveByPlayerAccountIds(
+      pageRecords.flatMap((record) => record.roster.map((entry) => entry.playerAccountId)),
+    );
+    const member = (id: string): PlayerMatchHistoryTeamMember => ({
+      playerAccountId: id,
+      presentation: references.get(id) ?? null,
+    });
+
+    const items = pageRecords.map((record): PlayerMatchHistoryItem => ({
+      roomId: record.roomId,
+      status: record.status,
+      outcome: resolveOutcome(record),
+      failureReason: record.failureReason,
+      competitiveMatchId: record.competitiveMatchId,
+      runtimeMatchId: record.runtimeMatchId,
+      map: record.map,
+      team: record.team,
+      teams: record.roster.length > 0
+        ? {
+            A: record.roster.filter((entry) => entry.team === "A").map((entry) => member(entry.playerAccountId)),
+            B: record.roster.filter((entry) => entry.team === "B").map((entry) => member(entry.playerAccountId)),
+          }
+        : null,
+      createdAt: record.createdAt,
+      readyAt: record.readyAt,
+      completedAt: record.completedAt,
+      failedAt: record.failedAt,
+      cancelledAt: record.cancelledAt,
+      endedAt: record.endedAt,
+      stats: record.result?.players.find((line) => line.playerAccountId === playerAccountId) ?? null,
+      result: record.result,
+    }));
+
+    return { ok: true, page: { items, nextCursor } };
+  }
+
+  async listForPublicProfile(
+    rawSlug: unknown,
+    limit: number,
+    rawCursor: string | null,
+  ): Promise<PlayerMatchHistoryReadResult> {
+    const slug = normalizePublicProfileSlug(rawSlug);
+    const playerAccountId = slug
+      ? await this.repository.findPublicProfilePlayerAccountId(slug)
+      : null;
+    if (!playerAccountId) return { ok: false, error: "player_not_found" };
+    return this.listForPlayer(playerAccountId, limit, rawCursor);
+  }
+}
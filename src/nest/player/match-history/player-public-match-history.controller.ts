@@ -0,0 +1,27 @@
+import { Controller, Get, Inject, Param, Query, UseGuards } from "@nestjs/common";
+
+import { PlayerAuthGuard } from "../auth/player-auth.guard.js";
+import {
+  normalizeMatchHistoryCursor,
+  normalizeMatchHistoryLimit,
+  readMatchHistory,
+  type PlayerMatchHistoryServicePort,
+} from "./player-match-history.controller.js";
+import { PlayerMatchHistoryService } from "./player-match-history.service.js";
+
+@Controller("player/profiles")
+@UseGuards(PlayerAuthGuard)
+export class PlayerPublicMatchHistoryController {
+  constructor(@Inject(PlayerMatchHistoryService) private readonly service: PlayerMatchHistoryServicePort) {}
+
+  @Get(":slug/match-history")
+  async list(
+    @Param("slug") slug: string,
+    @Query("limit") rawLimit?: string,
+    @Query("cursor") rawCursor?: string,
+  ) {
+    const limit = normalizeMatchHistoryLimit(rawLimit);
+    const cursor = normalizeMatchHistoryCursor(rawCursor);
+    return readMatchHistory(() => this.service.listForPublicProfile(slug, limit, cursor));
+  }
+}
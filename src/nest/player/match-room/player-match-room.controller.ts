@@ -3,20 +3,31 @@ import {
 } from "@nestjs/common";
 import { Throttle, minutes } from "@nestjs/throttler";
 
-import type { MatchRoomSnapshot } from "../../match/match-room.contract.js";
+import {
+  MATCH_ROOM_TEAM_SELECTION_MODES,
+  type MatchRoomSnapshot,
+  type MatchRoomTeamSelectionMode,
+} from "../../match/match-room.contract.js";
+import {
+  DEFAULT_MATCH_ROOM_FORMAT_KEY,
+  isMatchRoomFormatKey,
+  type MatchRoomFormat,
+} from "../../match/format/match-room-format.js";
 import { MatchRoomError, type MatchRoomErrorCode } from "../../match/match-room.error.js";
 import { MatchRoomService } from "../../match/match-room.service.js";
 import { PlayerAuthGuard } from "../auth/player-auth.guard.js";
 import type { PlayerIdentity } from "../auth/player-auth.service.js";
+import { isEntitlementRequiredError } from "../entitlements/player-entitlement-requirement.js";
 import { PlayerAccountThrottlerGuard } from "../security/player-account-throttler.guard.js";
 import { PlayerCsrfGuard } from "../security/player-csrf.guard.js";
 
-interface PlayerMatchRoomRequest { player?: PlayerIdentity }
+export interface PlayerMatchRoomRequest { player?: PlayerIdentity }
 interface MatchRoomServicePort {
   list(viewerId: string): Promise<MatchRoomSnapshot[]>;
   current(viewerId: string): Promise<MatchRoomSnapshot | null>;
   get(roomId: string, viewerId: string): Promise<MatchRoomSnapshot>;
-  create(viewerId: string): Promise<MatchRoomSnapshot>;
+  listFormats(): Promise<MatchRoomFormat[]>;
+  create(viewerId: string, teamSelectionMode?: MatchRoomTeamSelectionMode, formatKey?: string): Promise<MatchRoomSnapshot>;
   join(roomId: string, viewerId: string): Promise<MatchRoomSnapshot>;
   leave(roomId: string, viewerId: string): Promise<MatchRoomSnapshot>;
   cancel(roomId: string, viewerId: string): Promise<MatchRoomSnapshot>;
@@ -25,12 +36,37 @@ interface MatchRoomServicePort {
   mapVetoBan(roomId: string, viewerId: string, mapKey: string): Promise<MatchRoomSnapshot>;
 }
 
-function viewerId(request: PlayerMatchRoomRequest): string {
+export function viewerId(request: PlayerMatchRoomRequest): string {
   const id = request.player?.playerAccountId;
   if (!id) throw new HttpException({ ok: false, error: "invalid_session" }, HttpStatus.UNAUTHORIZED);
   return id;
 }
 
+type CreateBodyValidation =
+  | { ok: true; teamSelectionMode: MatchRoomTeamSelectionMode; formatKey: string }
+  | { ok: false; error: string };
+
+function validateCreateBody(body: unknown): CreateBodyValidation {
+  const defaults = { ok: true, teamSelectionMode: "CAPTAIN_DRAFT", formatKey: DEFAULT_MATCH_ROOM_FORMAT_KEY } as const;
+  if (body === undefined || body === null) return defaults;
+  if (typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, error: "invalid_body" };
+  }
+  const record = body as Record<string, unknown>;
+  if (Object.keys(record).some((key) => key !== "teamSelectionMode" && key !== "formatKey")) {
+    return { ok: false, error: "invalid_body" };
+  }
+  const mode = "teamSelectionMode" in record ? record.teamSelectionMode : defaults.teamSelectionMode;
+  if (typeof mode !== "string" || !(MATCH_ROOM_TEAM_SELECTION_MODES as readonly string[]).includes(mode)) {
+    return { ok: false, error: "invalid_body" };
+  }
+  const formatKey = "formatKey" in record ? record.formatKey : defaults.formatKey;
+  if (!isMatchRoomFormatKey(formatKey)) {
+    return { ok: false, error: "invalid_body" };
+  }
+  return { ok: true, teamSelectionMode: mode as MatchRoomTeamSelectionMode, formatKey };
+}
+
 function validateDraftPickBody(body: unknown): { ok: true; targetPlayerAccountId: string } | { ok: false; error: string } {
   if (typeof body !== "object" || body === null || Array.isArray(body)) {
     return { ok: false, error: "invalid_body" };
@@ -68,7 +104,7 @@ const FORBIDDEN_ERRORS = new Set<MatchRoomErrorCode>([
   "not_draft_picker", "not_map_vetoer",
 ]);
 
-function mapError(error: unknown): never {
+export function mapError(error: unknown): never {
   if (error instanceof HttpException) throw error;
   if (!(error instanceof MatchRoomError)) {
     console.error("[player-match-room] operation failed");
@@ -76,7 +112,9 @@ function mapError(error: unknown): never {
   }
   const status = error.code === "room_not_found"
     ? HttpStatus.NOT_FOUND
-    : FORBIDDEN_ERRORS.has(error.code)
+    : error.code === "match_room_format_unavailable"
+    ? HttpStatus.BAD_REQUEST
+    : FORBIDDEN_ERRORS.has(error.code) || isEntitlementRequiredError(error.code)
       ? HttpStatus.FORBIDDEN
       : HttpStatus.CONFLICT;
   throw new HttpException({ ok: false, error: error.code }, status);
@@ -99,6 +137,12 @@ export class PlayerMatchRoomController {
     catch (error) { return mapError(error); }
   }
 
+  @Get("formats")
+  async formats() {
+    try { return { ok: true, formats: await this.service.listFormats() }; }
+    catch (error) { return mapError(error); }
+  }
+
   @Get(":roomId")
   async get(@Param("roomId") roomId: string, @Req() request: PlayerMatchRoomRequest) {
     try { return { ok: true, matchRoom: await this.service.get(roomId, viewerId(request)) }; }
@@ -108,8 +152,12 @@ export class PlayerMatchRoomController {
   @Post()
   @UseGuards(PlayerCsrfGuard, PlayerAccountThrottlerGuard)
   @Throttle({ default: { limit: 30, ttl: minutes(15) } })
-  async create(@Req() request: PlayerMatchRoomRequest) {
-    try { return { ok: true, matchRoom: await this.service.create(viewerId(request)) }; }
+  async create(@Req() request: PlayerMatchRoomRequest, @Body() body?: unknown) {
+    const validation = validateCreateBody(body);
+    if (!validation.ok) {
+      throw new HttpException({ ok: false, error: validation.error }, HttpStatus.BAD_REQUEST);
+    }
+    try { return { ok: true, matchRoom: await this.service.create(viewerId(request), validation.teamSelectionMode, validation.formatKey) }; }
     catch (error) { return mapError(error); }
   }
 
@@ -3,9 +3,10 @@ import { MatchRoomModule } from "../../match/match-room.module.js";
 import { PlayerAuthModule } from "../auth/player-auth.module.js";
 import { PlayerSecurityModule } from "../security/player-security.module.js";
 import { PlayerMatchRoomController } from "./player-match-room.controller.js";
+import { PlayerMatchmakingController } from "./player-matchmaking.controller.js";
 
 @Module({
   imports: [PlayerAuthModule, PlayerSecurityModule, MatchRoomModule],
-  controllers: [PlayerMatchRoomController],
+  controllers: [PlayerMatchRoomController, PlayerMatchmakingController],
 })
 export class PlayerMatchRoomModule {}
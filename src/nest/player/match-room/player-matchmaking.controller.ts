@@ -0,0 +1,43 @@
+import { Controller, Delete, Get, Inject, Post, Req, UseGuards } from "@nestjs/common";
+import { Throttle, minutes } from "@nestjs/throttler";
+
+import type { MatchmakingQueueSnapshot } from "../../match/match-room.contract.js";
+import { MatchRoomService } from "../../match/match-room.service.js";
+import { PlayerAuthGuard } from "../auth/player-auth.guard.js";
+import { PlayerAccountThrottlerGuard } from "../security/player-account-throttler.guard.js";
+import { PlayerCsrfGuard } from "../security/player-csrf.guard.js";
+import { mapError, viewerId, type PlayerMatchRoomRequest } from "./player-match-room.controller.js";
+
+interface MatchmakingServicePort {
+  queueStatus(viewerId: string): Promise<MatchmakingQueueSnapshot>;
+  enqueue(viewerId: string): Promise<MatchmakingQueueSnapshot>;
+  leaveQueue(viewerId: string): Promise<MatchmakingQueueSnapshot>;
+}
+
+@Controller("player/matchmaking")
+@UseGuards(PlayerAuthGuard)
+export class PlayerMatchmakingController {
+  constructor(@Inject(MatchRoomService) private readonly service: MatchmakingServicePort) {}
+
+  @Get("queue")
+  async status(@Req() request: PlayerMatchRoomRequest) {
+    try { return { ok: true, queue: await this.service.queueStatus(viewerId(request)) }; }
+    catch (error) { return mapError(error); }
+  }
+
+  @Post("queue")
+  @UseGuards(PlayerCsrfGuard, PlayerAccountThrottlerGuard)
+  @Throttle({ default: { limit: 30, ttl: minutes(15) } })
+  async enqueue(@Req() request: PlayerMatchRoomRequest) {
+    try { return { ok: true, queue: await this.service.enqueue(viewerId(request)) }; }
+    catch (error) { return mapError(error); }
+  }
+
+  @Delete("queue")
+  @UseGuards(PlayerCsrfGuard, PlayerAccountThrottlerGuard)
+  @Throttle({ default: { limit: 30, ttl: minutes(15) } })
+  async leave(@Req() request: PlayerMatchRoomRequest) {
+    try { return { ok: true, queue: await this.service.leaveQueue(viewerId(request)) }; }
+    catch (error) { return mapError(error); }
+  }
+}
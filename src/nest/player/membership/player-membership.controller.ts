@@ -3,6 +3,7 @@ import {
   Get,
   HttpException,
   HttpStatus,
+  Query,
   Req,
   UseGuards,
 } from "@nestjs/common";
@@ -15,6 +16,7 @@ import type {
 } from "../auth/player-auth.service.js";
 import {
   PlayerMembershipRepository,
+  type PlayerMembershipEventItem,
 } from "./player-membership.repository.js";
 
 interface PlayerMembershipRequest {
@@ -40,6 +42,45 @@ function readPlayerAccountId(
   return playerAccountId;
 }
 
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+function badRequest(error: string): never {
+  throw new HttpException(
+    {
+      ok: false,
+      error,
+    },
+    HttpStatus.BAD_REQUEST,
+  );
+}
+
+function normalizeLimit(value: unknown): number {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return DEFAULT_HISTORY_LIMIT;
+  }
+
+  const clean = String(value).trim();
+  const limit = /^\d+$/.test(clean) ? Number(clean) : NaN;
+
+  return Number.isInteger(limit) && limit >= 1 && limit <= MAX_HISTORY_LIMIT
+    ? limit
+    : badRequest("invalid_limit");
+}
+
+function normalizeCursor(value: unknown): number | null {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+
+  const clean = String(value).trim();
+  const cursor = /^\d+$/.test(clean) ? Number(clean) : NaN;
+
+  return Number.isSafeInteger(cursor) && cursor >= 1
+    ? cursor
+    : badRequest("invalid_cursor");
+}
+
 @Controller("player/membership")
 @UseGuards(PlayerAuthGuard)
 export class PlayerMembershipController {
@@ -79,4 +120,53 @@ export class PlayerMembershipController {
       );
     }
   }
+
+  @Get("history")
+  async getMyMembershipHistory(
+    @Req() request: PlayerMembershipRequest,
+    @Query("limit") rawLimit?: string,
+    @Query("cursor") rawCursor?: string,
+  ) {
+    const playerAccountId =
+      readPlayerAccountId(request);
+
+    const limit = normalizeLimit(rawLimit);
+    const beforeId = normalizeCursor(rawCursor);
+
+    let events: PlayerMembershipEventItem[];
+
+    try {
+      events =
+        await this.repository.listEventsForAccount({
+          playerAccountId,
+          limit: limit + 1,
+          beforeId,
+        });
+    } catch {
+      console.error(
+        "[player-membership] membership history read failed",
+      );
+
+      throw new HttpException(
+        {
+          ok: false,
+          error: "player_membership_history_read_failed",
+        },
+        HttpStatus.INTERNAL_SERVER_ERROR,
+      );
+    }
+
+    const items = events.slice(0, limit);
+    const last = items[items.length - 1];
+
+    return {
+      ok: true,
+      count: items.length,
+      items,
+      nextCursor:
+        events.length > limit && last
+          ? String(last.id)
+          : null,
+    };
+  }
 }
@@ -1,7 +1,13 @@
-import { Injectable } from "@nestjs/common";
+import { Inject, Injectable } from "@nestjs/common";
 import type { RowDataPacket } from "mysql2/promise";
 
+import { APP_CONFIG, AppConfig } from "../../core/app-config.js";
 import { DatabaseService } from "../../database/database.service.js";
+import type {
+  MembershipEventActorType,
+  MembershipEventType,
+  RawMembershipEventRow,
+} from "../../membership/membership-events.js";
 import {
   MembershipStatus,
   resolveMembershipEffectiveStatus,
@@ -26,10 +32,26 @@ export interface PlayerMembershipView {
   cancelled_at: Date | string | null;
 }
 
+/**
+ * Player-facing history row: staff identity and the internal reason note
+ * stay in the admin timeline.
+ */
+export interface PlayerMembershipEventItem {
+  id: number;
+  type: MembershipEventType;
+  previous_status: MembershipStatus | null;
+  new_status: MembershipStatus | null;
+  previous_expires_at: Date | string | null;
+  new_expires_at: Date | string | null;
+  actor_type: MembershipEventActorType;
+  created_at: Date | string;
+}
+
 @Injectable()
 export class PlayerMembershipRepository {
   constructor(
     private readonly databaseService: DatabaseService,
+    @Inject(APP_CONFIG) private readonly config: AppConfig,
   ) {}
 
   async findByPlayerAccountId(
@@ -66,6 +88,8 @@ export class PlayerMembershipRepository {
         status: row.status,
         expiresAt: row.expires_at,
         now: row.now_utc,
+        gracePeriodHours:
+          this.config.membershipLifecycle.gracePeriodHours,
       }),
       plan_code: row.plan_code,
       started_at: row.started_at,
@@ -74,4 +98,50 @@ export class PlayerMembershipRepository {
       cancelled_at: row.cancelled_at,
     };
   }
+
+  /** Newest first; `beforeId` is the id of the last item of the previous page. */
+  async listEventsForAccount(input: {
+    playerAccountId: string;
+    limit: number;
+    beforeId: number | null;
+  }): Promise<PlayerMembershipEventItem[]> {
+    const conditions = ["player_account_id = ?"];
+    const values: Array<string | number> = [input.playerAccountId];
+
+    if (input.beforeId !== null) {
+      conditions.push("id < ?");
+      values.push(input.beforeId);
+    }
+
+    const [rows] =
+      await this.databaseService.getPool().execute<RawMembershipEventRow[]>(
+        `
+          SELECT
+            id,
+            event_type,
+            previous_status,
+            new_status,
+            previous_expires_at,
+            new_expires_at,
+            actor_type,
+            created_at
+          FROM player_membership_events
+          WHERE ${conditions.join(" AND ")}
+          ORDER BY id DESC
+          LIMIT ?
+        `,
+        [...values, input.limit],
+      );
+
+    return rows.map((row) => ({
+      id: Number(row.id),
+      type: row.event_type,
+      previous_status: row.previous_status,
+      new_status: row.new_status,
+      previous_expires_at: row.previous_expires_at,
+      new_expires_at: row.new_expires_at,
+      actor_type: row.actor_type,
+      created_at: row.created_at,
+    }));
+  }
 }
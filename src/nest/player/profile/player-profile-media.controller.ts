@@ -31,6 +31,12 @@ import type {
 import {
   PlayerAuthGuard,
 } from "../auth/player-auth.guard.js";
+import {
+  PlayerEntitlementGuard,
+} from "../entitlements/player-entitlement.guard.js";
+import {
+  RequirePlayerEntitlements,
+} from "../entitlements/player-entitlement-requirement.js";
 import {
   PlayerProfileMediaExceptionFilter,
 } from "./player-profile-media.exception-filter.js";
@@ -288,6 +294,12 @@ export class PlayerProfileMediaController {
 
   @Post("avatar")
   @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerEntitlementGuard,
+  )
+  @RequirePlayerEntitlements(
+    "profile.premium",
+  )
   @UseInterceptors(
     FileInterceptor("file"),
   )
@@ -323,6 +335,12 @@ export class PlayerProfileMediaController {
 
   @Post("banner")
   @HttpCode(HttpStatus.OK)
+  @UseGuards(
+    PlayerEntitlementGuard,
+  )
+  @RequirePlayerEntitlements(
+    "profile.premium",
+  )
   @UseInterceptors(
     FileInterceptor("file"),
   )
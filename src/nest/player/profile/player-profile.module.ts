@@ -12,6 +12,9 @@ import {
 import {
   PlayerAuthModule,
 } from "../auth/player-auth.module.js";
+import {
+  PlayerEntitlementsModule,
+} from "../entitlements/player-entitlements.module.js";
 import {
   PlayerSecurityModule,
 } from "../security/player-security.module.js";
@@ -50,6 +53,7 @@ import {
   imports: [
     CoreConfigModule,
     PlayerAuthModule,
+    PlayerEntitlementsModule,
     PlayerSecurityModule,
     MulterModule.registerAsync({
       inject: [APP_CONFIG],
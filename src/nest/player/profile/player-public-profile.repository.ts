@@ -5,6 +5,13 @@ import type {
 import {
   DatabaseService,
 } from "../../database/database.service.js";
+import type {
+  PlayerMatchRatingSnapshot,
+} from "../../match/rating/match-rating.contract.js";
+import {
+  readPlayerMatchRating,
+  type MatchRatingRow,
+} from "../../match/rating/match-rating.js";
 
 export interface PlayerPublicProfile {
   displayName: string;
@@ -31,6 +38,10 @@ interface RawPublicProfileRow
   joined_at: Date | string;
 }
 
+interface RawPublicRatingRow
+  extends RowDataPacket,
+    MatchRatingRow {}
+
 @Injectable()
 export class PlayerPublicProfileRepository {
   constructor(
@@ -88,4 +99,39 @@ export class PlayerPublicProfileRepository {
       joinedAt: row.joined_at,
     };
   }
+
+  async findPublicRatingBySlug(
+    slug: string,
+  ): Promise<PlayerMatchRatingSnapshot | null> {
+    const pool =
+      this.databaseService.getPool();
+
+    const [rows] =
+      await pool.execute<
+        RawPublicRatingRow[]
+      >(
+        `
+          SELECT
+            r.rating,
+            r.matches_played,
+            r.wins,
+            r.losses,
+            r.season_id,
+            r.updated_at
+          FROM player_profiles p
+          JOIN player_match_ratings r
+            ON r.player_account_id = p.player_account_id
+          WHERE p.slug = ?
+            AND p.visibility = 'public'
+          LIMIT 1
+        `,
+        [slug],
+      );
+
+    const row = rows[0];
+
+    return row
+      ? readPlayerMatchRating(row)
+      : null;
+  }
 }
@@ -8,6 +8,9 @@ import {
 import {
   isTechnicalPlayerProfileSlug,
 } from "./player-profile.defaults.js";
+import type {
+  PlayerMatchRatingSnapshot,
+} from "../../match/rating/match-rating.contract.js";
 import {
   PlayerPublicProfileRepository,
   type PlayerPublicProfile,
@@ -17,19 +20,28 @@ export interface PlayerPublicProfileRepositoryPort {
   findPublicProfileBySlug(
     slug: string,
   ): Promise<PlayerPublicProfile | null>;
+
+  findPublicRatingBySlug(
+    slug: string,
+  ): Promise<PlayerMatchRatingSnapshot | null>;
+}
+
+export interface PlayerPublicProfileView
+  extends PlayerPublicProfile {
+  rating: PlayerMatchRatingSnapshot | null;
 }
 
 export type PlayerPublicProfileReadResult =
   | {
       ok: true;
-      profile: PlayerPublicProfile;
+      profile: PlayerPublicProfileView;
     }
   | {
       ok: false;
       error: "player_not_found";
     };
 
-function normalizePublicProfileSlug(
+export function normalizePublicProfileSlug(
   rawSlug: unknown,
 ): string | null {
   if (typeof rawSlug !== "string") {
@@ -86,9 +98,16 @@ export class PlayerPublicProfileService {
       };
     }
 
+    const rating =
+      await this.repository
+        .findPublicRatingBySlug(slug);
+
     return {
       ok: true,
-      profile,
+      profile: {
+        ...profile,
+        rating,
+      },
     };
   }
 }
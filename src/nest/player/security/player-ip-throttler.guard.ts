@@ -0,0 +1,56 @@
+import {
+  HttpException,
+  HttpStatus,
+  Injectable,
+} from "@nestjs/common";
+
+import {
+  ThrottlerGuard,
+} from "@nestjs/throttler";
+
+import {
+  buildRateLimitTracker,
+} from "./player-rate-limit-key.js";
+
+interface PlayerIpRateLimitRequest {
+  ip?: unknown;
+}
+
+/**
+ * For unauthenticated steps that carry neither a session nor an email,
+ * such as the TOTP step of login.
+ */
+@Injectable()
+export class PlayerIpThrottlerGuard
+  extends ThrottlerGuard
+{
+  protected async throwThrottlingException(): Promise<void> {
+    throw new HttpException(
+      {
+        ok: false,
+        error: "rate_limited",
+      },
+      HttpStatus.TOO_MANY_REQUESTS,
+    );
+  }
+
+  protected async getTracker(
+    request:
+      Record<string, any>,
+  ): Promise<string> {
+    const typed =
+      request as
+        PlayerIpRateLimitRequest;
+
+    const ip =
+      typeof typed.ip === "string" &&
+      typed.ip.trim()
+        ? typed.ip.trim()
+        : "__unknown__";
+
+    return buildRateLimitTracker(
+      "player-ip",
+      ip,
+    );
+  }
+}
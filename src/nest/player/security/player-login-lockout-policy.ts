@@ -0,0 +1,85 @@
+export type PlayerLoginFailureScope =
+  | "account"
+  | "ip";
+
+export interface PlayerLoginLockoutPolicy {
+  /** Failures older than this (since the first of the series) start over. */
+  windowSeconds: number;
+  /** Failures tolerated before each new one adds a delay. */
+  delayAfter: number;
+  maxDelaySeconds: number;
+  /** Failures in the window that trigger a lockout. */
+  lockAfter: number;
+  baseLockSeconds: number;
+  maxLockSeconds: number;
+}
+
+/**
+ * Per-account limits stop guessing against one player; the looser per-IP
+ * limits stop one source spraying passwords across many accounts.
+ */
+export const PLAYER_LOGIN_LOCKOUT_POLICIES: Readonly<
+  Record<PlayerLoginFailureScope, PlayerLoginLockoutPolicy>
+> = {
+  account: {
+    windowSeconds: 15 * 60,
+    delayAfter: 3,
+    maxDelaySeconds: 30,
+    lockAfter: 10,
+    baseLockSeconds: 15 * 60,
+    maxLockSeconds: 24 * 60 * 60,
+  },
+  ip: {
+    windowSeconds: 15 * 60,
+    delayAfter: 10,
+    maxDelaySeconds: 30,
+    lockAfter: 50,
+    baseLockSeconds: 15 * 60,
+    maxLockSeconds: 24 * 60 * 60,
+  },
+};
+
+export interface PlayerLoginFailureOutcome {
+  failedAttempts: number;
+  lockoutCount: number;
+  delaySeconds: number;
+  lockSeconds: number;
+}
+
+/**
+ * Applies one more failure. Delays double per failure past `delayAfter`;
+ * reaching `lockAfter` locks the subject, resets the series and doubles the
+ * next lockout.
+ */
+export function evaluateLoginFailure(
+  policy: PlayerLoginLockoutPolicy,
+  state: {
+    failedAttempts: number;
+    lockoutCount: number;
+  },
+): PlayerLoginFailureOutcome {
+  if (state.failedAttempts >= policy.lockAfter) {
+    return {
+      failedAttempts: 0,
+      lockoutCount: state.lockoutCount + 1,
+      delaySeconds: 0,
+      lockSeconds: Math.min(
+        policy.baseLockSeconds * 2 ** state.lockoutCount,
+        policy.maxLockSeconds,
+      ),
+    };
+  }
+
+  return {
+    failedAttempts: state.failedAttempts,
+    lockoutCount: state.lockoutCount,
+    delaySeconds:
+      state.failedAttempts >= policy.delayAfter
+        ? Math.min(
+            2 ** (state.failedAttempts - policy.delayAfter),
+            policy.maxDelaySeconds,
+          )
+        : 0,
+    lockSeconds: 0,
+  };
+}
@@ -11,6 +11,14 @@ import {
   CoreConfigModule,
 } from "../../core/core-config.module.js";
 
+import {
+  PlayerThrottlerStorage,
+} from "./player-throttler-storage.js";
+
+import {
+  PlayerThrottlerStorageModule,
+} from "./player-throttler-storage.module.js";
+
 import {
   PlayerCsrfGuard,
 } from "./player-csrf.guard.js";
@@ -23,21 +31,39 @@ import {
   PlayerEmailThrottlerGuard,
 } from "./player-email-throttler.guard.js";
 
+import {
+  PlayerIpThrottlerGuard,
+} from "./player-ip-throttler.guard.js";
+
 @Module({
   imports: [
     CoreConfigModule,
 
-    ThrottlerModule.forRoot({
-      throttlers: [
-        {
-          name: "default",
-          ttl: minutes(15),
-          limit: 60,
-        },
+    ThrottlerModule.forRootAsync({
+      imports: [
+        PlayerThrottlerStorageModule,
+      ],
+
+      inject: [
+        PlayerThrottlerStorage,
       ],
 
-      errorMessage:
-        "rate_limited",
+      useFactory: (
+        storage: PlayerThrottlerStorage,
+      ) => ({
+        throttlers: [
+          {
+            name: "default",
+            ttl: minutes(15),
+            limit: 60,
+          },
+        ],
+
+        errorMessage:
+          "rate_limited",
+
+        storage,
+      }),
     }),
   ],
 
@@ -45,12 +71,14 @@ import {
     PlayerCsrfGuard,
     PlayerAccountThrottlerGuard,
     PlayerEmailThrottlerGuard,
+    PlayerIpThrottlerGuard,
   ],
 
   exports: [
     PlayerCsrfGuard,
     PlayerAccountThrottlerGuard,
     PlayerEmailThrottlerGuard,
+    PlayerIpThrottlerGuard,
   ],
 })
 export class PlayerSecurityModule {}
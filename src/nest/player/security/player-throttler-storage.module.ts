@@ -0,0 +1,18 @@
+import {
+  Module,
+} from "@nestjs/common";
+
+import {
+  PlayerThrottlerStorage,
+} from "./player-throttler-storage.js";
+
+@Module({
+  providers: [
+    PlayerThrottlerStorage,
+  ],
+
+  exports: [
+    PlayerThrottlerStorage,
+  ],
+})
+export class PlayerThrottlerStorageModule {}
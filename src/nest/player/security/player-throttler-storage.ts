@@ -0,0 +1,337 @@
+import {
+  Injectable,
+  Logger,
+  type OnApplicationBootstrap,
+  type OnModuleDestroy,
+} from "@nestjs/common";
+
+import {
+  ThrottlerStorageService,
+  type ThrottlerStorage,
+} from "@nestjs/throttler";
+
+import type {
+  ResultSetHeader,
+  RowDataPacket,
+} from "mysql2";
+
+import {
+  DatabaseService,
+} from "../../database/database.service.js";
+
+type ThrottlerStorageRecord =
+  Awaited<ReturnType<ThrottlerStorage["increment"]>>;
+
+const SWEEP_INTERVAL_MS =
+  10 * 60 * 1000;
+
+const SWEEP_BATCH_SIZE = 1000;
+
+export interface PlayerThrottlerWindow {
+  hits: number;
+  /** Milliseconds left in the current window; <= 0 when it has ended. */
+  expiresInMs: number;
+  /** Milliseconds left in the block; null when the key was never blocked. */
+  blockedForMs: number | null;
+}
+
+export interface PlayerThrottlerHit
+  extends ThrottlerStorageRecord
+{
+  /** Window to persist; `blockedForMs` null clears the block. */
+  next: PlayerThrottlerWindow;
+}
+
+interface RawRateLimitRow extends RowDataPacket {
+  hits: number | string;
+  expires_in_ms: number | string;
+  blocked_for_ms: number | string | null;
+}
+
+/**
+ * Applies one hit to a fixed window, mirroring the in-memory
+ * ThrottlerStorageService: a blocked key does not count hits, an ended
+ * window or block starts over, and exceeding the limit blocks the key for
+ * `blockDurationMs`.
+ */
+export function applyThrottlerHit(
+  current: PlayerThrottlerWindow | null,
+  options: {
+    ttlMs: number;
+    limit: number;
+    blockDurationMs: number;
+  },
+): PlayerThrottlerHit {
+  const blocked =
+    current !== null &&
+    current.blockedForMs !== null &&
+    current.blockedForMs > 0;
+
+  let next: PlayerThrottlerWindow;
+
+  if (blocked) {
+    next = current;
+  } else if (
+    current === null ||
+    current.expiresInMs <= 0 ||
+    current.blockedForMs !== null
+  ) {
+    next = {
+      hits: 1,
+      expiresInMs: options.ttlMs,
+      blockedForMs: null,
+    };
+  } else {
+    next = {
+      hits: current.hits + 1,
+      expiresInMs: current.expiresInMs,
+      blockedForMs: null,
+    };
+  }
+
+  if (
+    !blocked &&
+    next.hits > options.limit
+  ) {
+    next = {
+      ...next,
+      blockedForMs: options.blockDurationMs,
+    };
+  }
+
+  const isBlocked =
+    next.blockedForMs !== null;
+
+  return {
+    next,
+    totalHits: next.hits,
+    timeToExpire: Math.max(
+      Math.ceil(next.expiresInMs / 1000),
+      0,
+    ),
+    isBlocked,
+    timeToBlockExpire: isBlocked
+      ? Math.ceil(next.blockedForMs! / 1000)
+      : 0,
+  };
+}
+
+/**
+ * MariaDB-backed throttler storage shared by every player throttler guard,
+ * so limits hold across API instances and restarts. The database clock is
+ * the only clock used. Until the database is ready it falls back to the
+ * per-process in-memory storage.
+ */
+@Injectable()
+export class PlayerThrottlerStorage
+  implements
+    ThrottlerStorage,
+    OnApplicationBootstrap,
+    OnModuleDestroy
+{
+  private readonly logger =
+    new Logger(PlayerThrottlerStorage.name);
+
+  private readonly memoryFallback =
+    new ThrottlerStorageService();
+
+  private timer?: NodeJS.Timeout;
+  private started = false;
+
+  constructor(
+    private readonly databaseService: DatabaseService,
+  ) {}
+
+  async increment(
+    key: string,
+    ttl: number,
+    limit: number,
+    blockDuration: number,
+    throttlerName: string,
+  ): Promise<ThrottlerStorageRecord> {
+    if (
+      this.databaseService.getStatus().ready !== true
+    ) {
+      return this.memoryFallback.increment(
+        key,
+        ttl,
+        limit,
+        blockDuration,
+        throttlerName,
+      );
+    }
+
+    const connection =
+      await this.databaseService.getPool().getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      try {
+        // Creates the row or takes its exclusive lock, so concurrent hits on
+        // the same key from any instance are applied one at a time.
+        await connection.execute<ResultSetHeader>(
+          `
+            INSERT INTO player_rate_limits (
+              throttler_name,
+              throttler_key,
+              hits,
+              expires_at,
+              blocked_until
+            )
+            VALUES (?, ?, 0, UTC_TIMESTAMP(3), NULL)
+            ON DUPLICATE KEY UPDATE
+              hits = hits
+          `,
+          [throttlerName, key],
+        );
+
+        const [rows] =
+          await connection.execute<RawRateLimitRow[]>(
+            `
+              SELECT
+                hits,
+                TIMESTAMPDIFF(MICROSECOND, UTC_TIMESTAMP(3), expires_at) DIV 1000
+                  AS expires_in_ms,
+                TIMESTAMPDIFF(MICROSECOND, UTC_TIMESTAMP(3), blocked_until) DIV 1000
+                  AS blocked_for_ms
+              FROM player_rate_limits
+              WHERE throttler_name = ?
+                AND throttler_key = ?
+              LIMIT 1
+            `,
+            [throttlerName, key],
+          );
+
+        const row = rows[0];
+
+        const hit = applyThrottlerHit(
+          row && Number(row.hits) > 0
+            ? {
+                hits: Number(row.hits),
+                expiresInMs: Number(row.expires_in_ms),
+                blockedForMs:
+                  row.blocked_for_ms === null
+                    ? null
+                    : Number(row.blocked_for_ms),
+              }
+            : null,
+          {
+            ttlMs: ttl,
+            limit,
+            blockDurationMs: blockDuration,
+          },
+        );
+
+        await connection.execute<ResultSetHeader>(
+          `
+            UPDATE player_rate_limits
+            SET
+              hits = ?,
+              expires_at =
+                DATE_ADD(UTC_TIMESTAMP(3), INTERVAL (? * 1000) MICROSECOND),
+              blocked_until =
+                IF(
+                  ? IS NULL,
+                  NULL,
+                  DATE_ADD(UTC_TIMESTAMP(3), INTERVAL (? * 1000) MICROSECOND)
+                )
+            WHERE throttler_name = ?
+              AND throttler_key = ?
+          `,
+          [
+            hit.next.hits,
+            hit.next.expiresInMs,
+            hit.next.blockedForMs,
+            hit.next.blockedForMs,
+            throttlerName,
+            key,
+          ],
+        );
+
+        await connection.commit();
+
+        return {
+          totalHits: hit.totalHits,
+          timeToExpire: hit.timeToExpire,
+          isBlocked: hit.isBlocked,
+          timeToBlockExpire: hit.timeToBlockExpire,
+        };
+      } catch (error) {
+        try {
+          await connection.rollback();
+        } catch {}
+
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  /** Deletes one batch of rows whose window and block have both ended. */
+  async sweepExpired(): Promise<number> {
+    const [result] =
+      await this.databaseService.getPool().execute<ResultSetHeader>(
+        `
+          DELETE FROM player_rate_limits
+          WHERE expires_at < UTC_TIMESTAMP(3)
+            AND (
+              blocked_until IS NULL
+              OR blocked_until < UTC_TIMESTAMP(3)
+            )
+          LIMIT ${SWEEP_BATCH_SIZE}
+        `,
+      );
+
+    return result.affectedRows;
+  }
+
+  onApplicationBootstrap(): void {
+    this.started = true;
+    this.scheduleNext();
+  }
+
+  onModuleDestroy(): void {
+    this.started = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    this.timer = undefined;
+    this.memoryFallback.onApplicationShutdown();
+  }
+
+  private scheduleNext(): void {
+    if (!this.started) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      void this.runPeriodic();
+    }, SWEEP_INTERVAL_MS);
+
+    this.timer.unref();
+  }
+
+  private async runPeriodic(): Promise<void> {
+    this.timer = undefined;
+
+    if (
+      this.databaseService.getStatus().ready === true
+    ) {
+      try {
+        while (
+          (await this.sweepExpired()) === SWEEP_BATCH_SIZE
+        ) {}
+      } catch {
+        this.logger.warn(
+          "Player rate limit sweep failed",
+        );
+      }
+    }
+
+    this.scheduleNext();
+  }
+}
@@ -0,0 +1,88 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException, RequestMethod } from "@nestjs/common";
+import { GUARDS_METADATA, METHOD_METADATA, PATH_METADATA } from "@nestjs/common/constants.js";
+
+import { AdminApiKeysController } from "../../../../src/nest/admin/api-keys/admin-api-keys.controller.js";
+import { AdminApiKeyInactiveError } from "../../../../src/nest/admin/api-keys/admin-api-keys.repository.js";
+import { AdminAuthGuard } from "../../../../src/nest/admin/auth/admin-auth.guard.js";
+
+const KEY_ID = "11111111-1111-4111-8111-111111111111";
+const ADMIN = { via: "session", userId: 7, apiKeyId: null } as any;
+
+function database(ready = true) {
+  return { getStatus() { return { ready }; } };
+}
+
+function assertHttpError(error: unknown, status: number, code: string): boolean {
+  assert.ok(error instanceof HttpException);
+  assert.equal(error.getStatus(), status);
+  assert.equal((error.getResponse() as { error?: unknown }).error, code);
+  return true;
+}
+
+test("routes are admin-authenticated", () => {
+  assert.equal(Reflect.getMetadata(PATH_METADATA, AdminApiKeysController), "admin/api-keys");
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, AdminApiKeysController), [AdminAuthGuard]);
+  assert.equal(Reflect.getMetadata(METHOD_METADATA, AdminApiKeysController.prototype.rotate), RequestMethod.POST);
+  assert.equal(Reflect.getMetadata(METHOD_METADATA, AdminApiKeysController.prototype.revoke), RequestMethod.DELETE);
+});
+
+test("create validates name, scopes and expiry before delegating", async () => {
+  let received: any = null;
+  const controller = new AdminApiKeysController(database() as any, {
+    async create(input: unknown, audit: unknown) {
+      received = { input, audit };
+      return { item: { id: KEY_ID }, rawKey: "hsc_ak_secret" };
+    },
+  } as any);
+
+  await assert.rejects(controller.create({ admin: ADMIN }, { scopes: ["news.write"] }), (e) => assertHttpError(e, 400, "invalid_name"));
+  await assert.rejects(controller.create({ admin: ADMIN }, { name: "ci", scopes: [] }), (e) => assertHttpError(e, 400, "invalid_scopes"));
+  await assert.rejects(controller.create({ admin: ADMIN }, { name: "ci", scopes: ["root"] }), (e) => assertHttpError(e, 400, "invalid_scopes"));
+  await assert.rejects(
+    controller.create({ admin: ADMIN }, { name: "ci", scopes: ["news.write"], expires_at: "2020-01-01T00:00:00Z" }),
+    (e) => assertHttpError(e, 400, "expires_at_in_past"),
+  );
+
+  const result = await controller.create({ admin: ADMIN }, {
+    name: " ci ",
+    scopes: ["match.operate", "news.write", "news.write"],
+    expires_at: "2099-01-01T12:00:00Z",
+  });
+
+  assert.deepEqual(result, { ok: true, item: { id: KEY_ID }, key: "hsc_ak_secret" });
+  assert.deepEqual(received.input, {
+    name: "ci",
+    scopes: ["news.write", "match.operate"],
+    expiresAt: "2099-01-01 12:00:00",
+    createdByUserId: 7,
+  });
+  assert.equal(received.audit.action, "api_key.create");
+  assert.equal(received.audit.via, "session");
+});
+
+test("rotate keeps the expiry unless expires_at is sent", async () => {
+  const seen: unknown[] = [];
+  const controller = new AdminApiKeysController(database() as any, {
+    async rotate(_id: string, expiresAt: unknown) {
+      seen.push(expiresAt);
+      return { item: { id: KEY_ID }, rawKey: "hsc_ak_new" };
+    },
+  } as any);
+
+  await controller.rotate({ admin: ADMIN }, KEY_ID, undefined);
+  await controller.rotate({ admin: ADMIN }, KEY_ID, { expires_at: null });
+  await controller.rotate({ admin: ADMIN }, KEY_ID, { expires_at: "2099-01-01T00:00:00Z" });
+
+  assert.deepEqual(seen, [undefined, null, "2099-01-01 00:00:00"]);
+  await assert.rejects(controller.rotate({ admin: ADMIN }, "nope", {}), (e) => assertHttpError(e, 400, "invalid_id"));
+});
+
+test("revoke maps inactive keys to 409", async () => {
+  const controller = new AdminApiKeysController(database() as any, {
+    async revoke() { throw new AdminApiKeyInactiveError("revoked"); },
+  } as any);
+
+  await assert.rejects(controller.revoke({ admin: ADMIN }, KEY_ID), (e) => assertHttpError(e, 409, "api_key_revoked"));
+});
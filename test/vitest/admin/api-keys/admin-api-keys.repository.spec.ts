@@ -0,0 +1,178 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import {
+  AdminApiKeysRepository,
+  AdminApiKeyInactiveError,
+  AdminApiKeyNotFoundError,
+} from "../../../../src/nest/admin/api-keys/admin-api-keys.repository.js";
+import { hashAdminApiKey } from "../../../../src/nest/admin/auth/admin-api-key.repository.js";
+import { AdminAuditService } from "../../../../src/nest/admin/common/admin-audit.service.js";
+
+const KEY_ID = "11111111-1111-4111-8111-111111111111";
+const AUDIT = {
+  userId: 7,
+  route: "/admin/api-keys",
+  method: "POST",
+  action: "api_key.create",
+  via: "session" as const,
+  apiKeyId: null,
+};
+
+interface Call {
+  sql: string;
+  params: unknown[];
+}
+
+function normalize(sql: string): string {
+  return sql.replace(/\s+/g, " ").trim();
+}
+
+function keyRow(overrides: Record<string, unknown> = {}) {
+  return {
+    id: KEY_ID,
+    name: "etl-sync",
+    key_prefix: "hsc_ak_abcde",
+    scopes: JSON.stringify(["memberships.manage"]),
+    status: "active",
+    expires_at_utc: "2027-01-01 00:00:00",
+    expires_at: "2027-01-01 00:00:00",
+    last_used_at: null,
+    created_by_user_id: 7,
+    rotated_from_id: null,
+    created_at: "2026-10-01 00:00:00",
+    revoked_at: null,
+    ...overrides,
+  };
+}
+
+function createRepository(current: Record<string, unknown> | null = keyRow()) {
+  const calls: Call[] = [];
+  const inserted = new Map<string, Record<string, unknown>>();
+  let committed = false;
+  let rolledBack = false;
+
+  const connection = {
+    async beginTransaction() {},
+    async commit() { committed = true; },
+    async rollback() { rolledBack = true; },
+    release() {},
+    async execute(sql: string, params: unknown[] = []) {
+      const normalized = normalize(sql);
+      calls.push({ sql: normalized, params });
+
+      if (normalized.startsWith("INSERT INTO admin_api_keys")) {
+        inserted.set(params[0] as string, keyRow({
+          id: params[0],
+          name: params[1],
+          key_prefix: params[2],
+          scopes: params[4],
+          expires_at: params[5],
+          rotated_from_id: params[7],
+        }));
+        return [{ affectedRows: 1 }];
+      }
+      if (normalized.includes("FOR UPDATE")) {
+        return [current ? [current] : []];
+      }
+      if (normalized.startsWith("SELECT")) {
+        const row = inserted.get(params[0] as string) ?? (current ? { ...current, status: "revoked" } : undefined);
+        return [row ? [row] : []];
+      }
+      return [{ affectedRows: 1 }];
+    },
+  };
+
+  const databaseService = {
+    getPool: () => ({ getConnection: async () => connection }),
+  };
+
+  return {
+    repository: new AdminApiKeysRepository(databaseService as any, new AdminAuditService()),
+    calls,
+    state: () => ({ committed, rolledBack }),
+  };
+}
+
+test("create stores only the hash of the issued key and audits it", async () => {
+  const { repository, calls, state } = createRepository(null);
+
+  const created = await repository.create(
+    { name: "etl-sync", scopes: ["memberships.manage"], expiresAt: null, createdByUserId: 7 },
+    AUDIT,
+  );
+
+  const insert = calls.find((call) => call.sql.startsWith("INSERT INTO admin_api_keys"))!;
+  assert.match(created.rawKey, /^hsc_ak_[A-Za-z0-9_-]{43}$/);
+  assert.equal(insert.params.includes(created.rawKey), false);
+  assert.equal(insert.params[2], created.rawKey.slice(0, 12));
+  assert.equal(insert.params[3], hashAdminApiKey(created.rawKey));
+  assert.equal(insert.params[4], JSON.stringify(["memberships.manage"]));
+  assert.deepEqual(created.item.scopes, ["memberships.manage"]);
+
+  const audit = calls.find((call) => call.sql.startsWith("INSERT INTO admin_audit_log"))!;
+  assert.deepEqual(audit.params, [
+    7,
+    "/admin/api-keys",
+    "POST",
+    "api_key.create",
+    "session",
+    null,
+    "admin_api_key",
+    created.item.id,
+    null,
+  ]);
+  assert.equal(state().committed, true);
+});
+
+test("rotate revokes the old key and reissues its name, scopes and expiry", async () => {
+  const { repository, calls } = createRepository();
+
+  const rotated = await repository.rotate(KEY_ID, undefined, 7, { ...AUDIT, action: "api_key.rotate" });
+
+  const revoke = calls.find((call) => call.sql.startsWith("UPDATE admin_api_keys SET revoked_at"))!;
+  assert.deepEqual(revoke.params, [KEY_ID]);
+  const insert = calls.find((call) => call.sql.startsWith("INSERT INTO admin_api_keys"))!;
+  assert.equal(insert.params[1], "etl-sync");
+  assert.equal(insert.params[4], JSON.stringify(["memberships.manage"]));
+  assert.equal(insert.params[5], "2027-01-01 00:00:00");
+  assert.equal(insert.params[7], KEY_ID);
+  assert.notEqual(rotated.item.id, KEY_ID);
+});
+
+test("rotate refuses revoked keys and expired keys without a new expiry", async () => {
+  await assert.rejects(
+    createRepository(keyRow({ status: "revoked" })).repository.rotate(KEY_ID, undefined, 7, AUDIT),
+    (error: unknown) => error instanceof AdminApiKeyInactiveError && error.message === "api_key_revoked",
+  );
+
+  const expired = createRepository(keyRow({ status: "expired" }));
+  await assert.rejects(
+    expired.repository.rotate(KEY_ID, undefined, 7, AUDIT),
+    (error: unknown) => error instanceof AdminApiKeyInactiveError && error.message === "api_key_expired",
+  );
+  assert.equal(expired.state().rolledBack, true);
+
+  const renewed = createRepository(keyRow({ status: "expired" }));
+  await renewed.repository.rotate(KEY_ID, "2027-06-01 00:00:00", 7, AUDIT);
+  const insert = renewed.calls.find((call) => call.sql.startsWith("INSERT INTO admin_api_keys"))!;
+  assert.equal(insert.params[5], "2027-06-01 00:00:00");
+});
+
+test("revoke audits the key id and rejects unknown or already revoked keys", async () => {
+  const { repository, calls } = createRepository();
+  const item = await repository.revoke(KEY_ID, { ...AUDIT, method: "DELETE", action: "api_key.revoke" });
+
+  assert.equal(item.status, "revoked");
+  const audit = calls.find((call) => call.sql.startsWith("INSERT INTO admin_audit_log"))!;
+  assert.equal(audit.params[7], KEY_ID);
+
+  await assert.rejects(
+    createRepository(null).repository.revoke(KEY_ID, AUDIT),
+    AdminApiKeyNotFoundError,
+  );
+  await assert.rejects(
+    createRepository(keyRow({ status: "revoked" })).repository.revoke(KEY_ID, AUDIT),
+    AdminApiKeyInactiveError,
+  );
+});
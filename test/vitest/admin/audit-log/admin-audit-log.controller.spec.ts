@@ -0,0 +1,144 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+import { GUARDS_METADATA, PATH_METADATA } from "@nestjs/common/constants.js";
+
+import { AdminAuditLogController } from "../../../../src/nest/admin/audit-log/admin-audit-log.controller.js";
+import { AdminAuditLogRepository } from "../../../../src/nest/admin/audit-log/admin-audit-log.repository.js";
+import { AdminAuthGuard } from "../../../../src/nest/admin/auth/admin-auth.guard.js";
+
+const KEY_ID = "11111111-1111-4111-8111-111111111111";
+
+function database(ready = true) {
+  return { getStatus() { return { ready }; } };
+}
+
+function assertHttpError(error: unknown, status: number, code: string): boolean {
+  assert.ok(error instanceof HttpException);
+  assert.equal(error.getStatus(), status);
+  assert.equal((error.getResponse() as { error?: unknown }).error, code);
+  return true;
+}
+
+test("route is admin-only", () => {
+  assert.equal(Reflect.getMetadata(PATH_METADATA, AdminAuditLogController), "admin/audit-log");
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, AdminAuditLogController), [AdminAuthGuard]);
+});
+
+test("list normalizes every filter and returns the next cursor on a full page", async () => {
+  let received: any = null;
+  const controller = new AdminAuditLogController(database() as any, {
+    async list(filter: unknown) {
+      received = filter;
+      return [{ id: 90 }, { id: 88 }];
+    },
+  } as any);
+
+  const result = await controller.list(
+    "7",
+    KEY_ID.toUpperCase(),
+    "api-key",
+    "membership",
+    "abc",
+    "membership.grant",
+    "2026-10-01T00:00:00Z",
+    "2026-10-02T00:00:00Z",
+    "120",
+    "2",
+  );
+
+  assert.deepEqual(received, {
+    userId: 7,
+    apiKeyId: KEY_ID,
+    via: "api-key",
+    entityType: "membership",
+    entityKey: "abc",
+    action: "membership.grant",
+    createdFrom: "2026-10-01 00:00:00",
+    createdTo: "2026-10-02 00:00:00",
+    beforeId: 120,
+    limit: 2,
+  });
+  assert.deepEqual(result, { ok: true, count: 2, items: [{ id: 90 }, { id: 88 }], nextCursor: "88" });
+
+  const last = await controller.list();
+  assert.equal(received.limit, 50);
+  assert.equal(received.beforeId, null);
+  assert.equal(last.nextCursor, null);
+});
+
+test("list rejects malformed filters", async () => {
+  const controller = new AdminAuditLogController(database() as any, { async list() { return []; } } as any);
+
+  await assert.rejects(controller.list("x"), (e) => assertHttpError(e, 400, "invalid_user_id"));
+  await assert.rejects(controller.list(undefined, "nope"), (e) => assertHttpError(e, 400, "invalid_api_key_id"));
+  await assert.rejects(controller.list(undefined, undefined, "cron"), (e) => assertHttpError(e, 400, "invalid_via"));
+  await assert.rejects(
+    controller.list(undefined, undefined, undefined, undefined, undefined, undefined, "2026-10-01 00:00:00"),
+    (e) => assertHttpError(e, 400, "invalid_created_from"),
+  );
+  await assert.rejects(
+    controller.list(undefined, undefined, undefined, undefined, undefined, undefined, "2026-10-02T00:00:00Z", "2026-10-01T00:00:00Z"),
+    (e) => assertHttpError(e, 400, "invalid_created_range"),
+  );
+  await assert.rejects(
+    controller.list(undefined, undefined, undefined, undefined, undefined, undefined, undefined, undefined, "-1"),
+    (e) => assertHttpError(e, 400, "invalid_cursor"),
+  );
+  await assert.rejects(
+    controller.list(undefined, undefined, undefined, undefined, undefined, undefined, undefined, undefined, undefined, "101"),
+    (e) => assertHttpError(e, 400, "invalid_limit"),
+  );
+});
+
+test("repository builds parameterized filters, paginates by id and parses diffs", async () => {
+  let sql = "";
+  let params: unknown[] = [];
+  const pool = {
+    async execute(query: string, values: unknown[]) {
+      sql = query.replace(/\s+/g, " ");
+      params = values;
+      return [[{
+        id: 5,
+        created_at: "2026-10-01 10:00:00",
+        via: "session",
+        user_id: 7,
+        user_email: "ops@example.com",
+        api_key_id: null,
+        api_key_name: null,
+        route: "/admin/news/:id",
+        method: "PATCH",
+        action: "news.update",
+        entity_type: "news",
+        entity_key: "4",
+        diff_json: '{"before":{"title":"Old"},"after":{"title":"New"}}',
+      }]];
+    },
+  };
+  const repository = new AdminAuditLogRepository({ getPool: () => pool } as any);
+
+  const items = await repository.list({
+    userId: 7,
+    apiKeyId: null,
+    via: null,
+    entityType: "news",
+    entityKey: "4",
+    action: null,
+    createdFrom: "2026-10-01 00:00:00",
+    createdTo: null,
+    beforeId: 10,
+    limit: 20,
+  });
+
+  assert.match(sql, /WHERE l\.user_id = \? AND l\.entity_type = \? AND l\.entity_key = \? AND l\.created_at >= \? AND l\.id < \?/);
+  assert.match(sql, /ORDER BY l\.id DESC LIMIT \?/);
+  assert.deepEqual(params, [7, "news", "4", "2026-10-01 00:00:00", 10, 20]);
+  assert.deepEqual(items[0]!.actor, {
+    via: "session",
+    user_id: 7,
+    user_email: "ops@example.com",
+    api_key_id: null,
+    api_key_name: null,
+  });
+  assert.deepEqual(items[0]!.diff, { before: { title: "Old" }, after: { title: "New" } });
+});
@@ -0,0 +1,118 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+import { Reflector } from "@nestjs/core";
+
+import {
+  AdminApiKeyRepository,
+  hashAdminApiKey,
+  parseAdminApiKeyScopes,
+} from "../../../../src/nest/admin/auth/admin-api-key.repository.js";
+import { AdminAuthGuard } from "../../../../src/nest/admin/auth/admin-auth.guard.js";
+import { AdminAuthService } from "../../../../src/nest/admin/auth/admin-auth.service.js";
+import { AdminApiKeysController } from "../../../../src/nest/admin/api-keys/admin-api-keys.controller.js";
+import { AdminMembershipController } from "../../../../src/nest/admin/membership/admin-membership.controller.js";
+
+const RAW_KEY = "hsc_ak_0123456789abcdefghijklmnopqrstuvwxyzABCDEFG";
+const KEY_ID = "11111111-1111-4111-8111-111111111111";
+const CONFIG = { adminAuth: { cookieName: "hsc_admin", adminKey: "legacy-key" } } as any;
+
+function keyRepository(rows: unknown[]) {
+  const calls: Array<{ sql: string; params: unknown[] }> = [];
+  const pool = {
+    async execute(sql: string, params: unknown[]) {
+      calls.push({ sql, params });
+      return sql.includes("SELECT") ? [rows] : [{ affectedRows: 1 }];
+    },
+  };
+  return {
+    repository: new AdminApiKeyRepository({ getPool: () => pool } as any),
+    calls,
+  };
+}
+
+function authService(rows: unknown[]) {
+  const sessions = { async findActiveSessionByToken() { return null; } };
+  return new AdminAuthService(CONFIG, sessions as any, keyRepository(rows).repository);
+}
+
+function contextFor(controller: Function, handler: Function, key: string) {
+  const request: Record<string, unknown> = { headers: { "x-admin-key": key } };
+  return {
+    request,
+    context: {
+      switchToHttp: () => ({ getRequest: () => request }),
+      getHandler: () => handler,
+      getClass: () => controller,
+    } as any,
+  };
+}
+
+test("scopes keep only known permissions", () => {
+  assert.deepEqual(parseAdminApiKeyScopes('["match.operate","news.write","root"]'), ["news.write", "match.operate"]);
+  assert.deepEqual(parseAdminApiKeyScopes("not json"), []);
+  assert.deepEqual(parseAdminApiKeyScopes('{"news.write":true}'), []);
+});
+
+test("keys are looked up by hash among active rows and stamp last use", async () => {
+  const { repository, calls } = keyRepository([
+    { id: KEY_ID, name: "etl-sync", scopes: '["memberships.manage"]' },
+  ]);
+
+  const key = await repository.findActiveKeyByRawKey(RAW_KEY);
+
+  assert.deepEqual(key, { id: KEY_ID, name: "etl-sync", scopes: ["memberships.manage"] });
+  assert.deepEqual(calls[0]!.params, [hashAdminApiKey(RAW_KEY)]);
+  assert.match(calls[0]!.sql, /revoked_at IS NULL/);
+  assert.match(calls[0]!.sql, /expires_at IS NULL OR expires_at > UTC_TIMESTAMP\(\)/);
+  assert.match(calls[1]!.sql, /SET last_used_at = UTC_TIMESTAMP\(\)/);
+  assert.deepEqual(calls[1]!.params, [KEY_ID]);
+});
+
+test("headers without the key prefix never reach the database", async () => {
+  const { repository, calls } = keyRepository([]);
+  assert.equal(await repository.findActiveKeyByRawKey("legacy-key"), null);
+  assert.equal(calls.length, 0);
+});
+
+test("a database key resolves to a scoped identity carrying its id", async () => {
+  const admin = await authService([
+    { id: KEY_ID, name: "etl-sync", scopes: '["memberships.manage"]' },
+  ]).resolveAdmin(undefined, RAW_KEY);
+
+  assert.deepEqual(admin, {
+    via: "api-key",
+    userId: null,
+    role: null,
+    email: null,
+    name: "etl-sync",
+    sessionId: null,
+    apiKeyId: KEY_ID,
+    permissions: ["memberships.manage"],
+  });
+  assert.equal(await authService([]).resolveAdmin(undefined, RAW_KEY), null);
+});
+
+test("the legacy configured key still resolves as full admin", async () => {
+  const admin = await authService([]).resolveAdmin(undefined, "legacy-key");
+  assert.equal(admin?.via, "admin-key");
+  assert.equal(admin?.role, "admin");
+  assert.equal(admin?.apiKeyId, null);
+  assert.equal(await authService([]).resolveAdmin(undefined, "legacy-kez"), null);
+});
+
+test("scoped keys pass only their routes and cannot manage keys", async () => {
+  const rows = [{ id: KEY_ID, name: "etl-sync", scopes: '["memberships.manage"]' }];
+  const guard = new AdminAuthGuard(authService(rows), new Reflector());
+
+  const grant = contextFor(AdminMembershipController, AdminMembershipController.prototype.grant, RAW_KEY);
+  assert.equal(await guard.canActivate(grant.context), true);
+  assert.equal((grant.request.admin as any).apiKeyId, KEY_ID);
+
+  const create = contextFor(AdminApiKeysController, AdminApiKeysController.prototype.create, RAW_KEY);
+  await assert.rejects(guard.canActivate(create.context), (error: unknown) => {
+    assert.ok(error instanceof HttpException);
+    assert.equal(error.getStatus(), 403);
+    return true;
+  });
+});
@@ -0,0 +1,185 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+import { Reflector } from "@nestjs/core";
+
+import { AdminAuthController } from "../../../../src/nest/admin/auth/admin-auth.controller.js";
+import { AdminAuthGuard } from "../../../../src/nest/admin/auth/admin-auth.guard.js";
+import { AdminAuthService } from "../../../../src/nest/admin/auth/admin-auth.service.js";
+import {
+  ADMIN_PERMISSIONS,
+  resolveAdminPermissions,
+} from "../../../../src/nest/admin/auth/admin-permissions.js";
+import { AdminMatchBridgeController } from "../../../../src/nest/admin/match-bridge/admin-match-bridge.controller.js";
+import { AdminMatchRoomsController } from "../../../../src/nest/admin/match-rooms/admin-match-rooms.controller.js";
+import { AdminEntitlementGrantsController } from "../../../../src/nest/admin/membership-catalog/admin-entitlement-grants.controller.js";
+import { AdminMembershipController } from "../../../../src/nest/admin/membership/admin-membership.controller.js";
+import { AdminNewsController } from "../../../../src/nest/admin/news/admin-news.controller.js";
+import { AdminPlayerAccountStatusController } from "../../../../src/nest/admin/player-accounts/admin-player-account-status.controller.js";
+import { AdminPlayerAccountsController } from "../../../../src/nest/admin/player-accounts/admin-player-accounts.controller.js";
+import { AdminPlayerSessionsController } from "../../../../src/nest/admin/player-accounts/admin-player-sessions.controller.js";
+import { AdminSeasonsController } from "../../../../src/nest/admin/seasons/admin-seasons.controller.js";
+import { AdminUploadsController } from "../../../../src/nest/admin/uploads/admin-uploads.controller.js";
+
+const CONFIG = { adminAuth: { cookieName: "hsc_admin", adminKey: "secret-key" } } as any;
+
+function authService(role: string | null) {
+  return new AdminAuthService(CONFIG, {
+    async findActiveSessionByToken(token: string) {
+      if (token !== "valid" || role === null) return null;
+      return { sessionId: "s-1", userId: 7, role, email: "ops@example.com", name: "Ops" };
+    },
+  } as any, {
+    async findActiveKeyByRawKey() { return null; },
+  } as any);
+}
+
+function guardFor(role: string | null) {
+  return new AdminAuthGuard(authService(role), new Reflector());
+}
+
+function apiKeyGuardFor(scopes: string[]) {
+  const service = new AdminAuthService(CONFIG, {
+    async findActiveSessionByToken() { return null; },
+  } as any, {
+    async findActiveKeyByRawKey() { return { id: "k-1", name: "ci", scopes }; },
+  } as any);
+  return new AdminAuthGuard(service, new Reflector());
+}
+
+function contextFor(controller: Function, handler: Function, headers: Record<string, string> = { cookie: "hsc_admin=valid" }) {
+  const request: Record<string, unknown> = { headers };
+  return {
+    request,
+    context: {
+      switchToHttp: () => ({ getRequest: () => request }),
+      getHandler: () => handler,
+      getClass: () => controller,
+    } as any,
+  };
+}
+
+async function assertForbidden(promise: Promise<unknown>): Promise<void> {
+  await assert.rejects(promise, (error: unknown) => {
+    assert.ok(error instanceof HttpException);
+    assert.equal(error.getStatus(), 403);
+    assert.equal((error.getResponse() as { error?: unknown }).error, "forbidden");
+    return true;
+  });
+}
+
+test("roles map to permissions and unknown roles get none", () => {
+  assert.deepEqual(resolveAdminPermissions("admin"), [...ADMIN_PERMISSIONS]);
+  assert.deepEqual(resolveAdminPermissions("editor"), ["news.write", "seasons.manage", "uploads.write", "players.read"]);
+  assert.deepEqual(resolveAdminPermissions("viewer"), ["players.read"]);
+  assert.deepEqual(resolveAdminPermissions("user"), []);
+  assert.deepEqual(resolveAdminPermissions(null), []);
+});
+
+test("editor and viewer sessions resolve with their effective permissions", async () => {
+  const editor = await authService("editor").resolveSessionAdmin("hsc_admin=valid");
+  assert.equal(editor?.role, "editor");
+  assert.deepEqual(editor?.permissions, ["news.write", "seasons.manage", "uploads.write", "players.read"]);
+
+  const viewer = await authService("viewer").resolveSessionAdmin("hsc_admin=valid");
+  assert.deepEqual(viewer?.permissions, ["players.read"]);
+
+  assert.equal(await authService("user").resolveSessionAdmin("hsc_admin=valid"), null);
+});
+
+test("the configured admin key keeps full access", async () => {
+  const admin = await authService(null).resolveAdmin(undefined, "secret-key");
+  assert.equal(admin?.via, "admin-key");
+  assert.deepEqual(admin?.permissions, [...ADMIN_PERMISSIONS]);
+});
+
+test("read routes of RBAC-aware controllers accept every backoffice role", async () => {
+  for (const [controller, handler] of [
+    [AdminNewsController, AdminNewsController.prototype.list],
+    [AdminSeasonsController, AdminSeasonsController.prototype.list],
+    [AdminMembershipController, AdminMembershipController.prototype.getById],
+    [AdminPlayerAccountsController, AdminPlayerAccountsController.prototype.list],
+    [AdminMatchRoomsController, AdminMatchRoomsController.prototype.list],
+  ] as const) {
+    const { request, context } = contextFor(controller, handler);
+    assert.equal(await guardFor("viewer").canActivate(context), true);
+    assert.equal((request.admin as any).role, "viewer");
+  }
+});
+
+test("player data reads require players.read, also for API keys", async () => {
+  const apiKeyHeaders = { "x-admin-key": "hsc_ak_test" };
+  for (const [controller, handler] of [
+    [AdminPlayerAccountsController, AdminPlayerAccountsController.prototype.list],
+    [AdminPlayerSessionsController, AdminPlayerSessionsController.prototype.list],
+    [AdminMembershipController, AdminMembershipController.prototype.getById],
+    [AdminEntitlementGrantsController, AdminEntitlementGrantsController.prototype.list],
+    [AdminMatchRoomsController, AdminMatchRoomsController.prototype.list],
+  ] as const) {
+    await assertForbidden(apiKeyGuardFor(["news.write"]).canActivate(contextFor(controller, handler, apiKeyHeaders).context));
+    assert.equal(await apiKeyGuardFor(["players.read"]).canActivate(contextFor(controller, handler, apiKeyHeaders).context), true);
+  }
+
+  const news = contextFor(AdminNewsController, AdminNewsController.prototype.list, apiKeyHeaders);
+  assert.equal(await apiKeyGuardFor([]).canActivate(news.context), true);
+});
+
+test("uploads require uploads.write", async () => {
+  const handler = AdminUploadsController.prototype.create;
+  assert.equal(await guardFor("editor").canActivate(contextFor(AdminUploadsController, handler).context), true);
+  await assertForbidden(guardFor("viewer").canActivate(contextFor(AdminUploadsController, handler).context));
+  await assertForbidden(apiKeyGuardFor(["news.write"]).canActivate(
+    contextFor(AdminUploadsController, handler, { "x-admin-key": "hsc_ak_test" }).context,
+  ));
+});
+
+test("mutations require the matching permission", async () => {
+  const news = contextFor(AdminNewsController, AdminNewsController.prototype.publish);
+  assert.equal(await guardFor("editor").canActivate(news.context), true);
+  await assertForbidden(guardFor("viewer").canActivate(news.context));
+
+  const season = contextFor(AdminSeasonsController, AdminSeasonsController.prototype.activate);
+  assert.equal(await guardFor("editor").canActivate(season.context), true);
+
+  for (const [controller, handler] of [
+    [AdminMembershipController, AdminMembershipController.prototype.grant],
+    [AdminPlayerAccountStatusController, AdminPlayerAccountStatusController.prototype.updateStatus],
+    [AdminMatchRoomsController, AdminMatchRoomsController.prototype.forceCancel],
+  ] as const) {
+    const { request, context } = contextFor(controller, handler);
+    await assertForbidden(guardFor("editor").canActivate(context));
+    assert.equal(request.admin, undefined);
+    assert.equal(await guardFor("admin").canActivate(contextFor(controller, handler).context), true);
+  }
+});
+
+test("routes without declared permissions stay admin-only", async () => {
+  const handler = AdminMatchBridgeController.prototype.listNodes;
+  await assertForbidden(guardFor("editor").canActivate(contextFor(AdminMatchBridgeController, handler).context));
+  assert.equal(await guardFor("admin").canActivate(contextFor(AdminMatchBridgeController, handler).context), true);
+});
+
+test("unauthenticated requests are still rejected with 401", async () => {
+  const { context } = contextFor(AdminNewsController, AdminNewsController.prototype.list, {});
+  await assert.rejects(guardFor("admin").canActivate(context), (error: unknown) => {
+    assert.ok(error instanceof HttpException);
+    assert.equal(error.getStatus(), 401);
+    return true;
+  });
+});
+
+test("GET auth/session returns the effective permissions", async () => {
+  let status = 0;
+  const res = { status(code: number) { status = code; return res; } };
+  const controller = new AdminAuthController(authService("editor"));
+
+  const result = await controller.getSession("hsc_admin=valid", res);
+
+  assert.equal(status, 200);
+  assert.deepEqual(result, {
+    authenticated: true,
+    user: { id: "7", email: "ops@example.com", name: "Ops" },
+    role: "editor",
+    permissions: ["news.write", "seasons.manage", "uploads.write", "players.read"],
+  });
+});
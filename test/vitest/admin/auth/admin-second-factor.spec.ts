@@ -0,0 +1,456 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+
+import type { AppConfig } from "../../../../src/nest/core/app-config.js";
+import { decodeBase32, generateTotp } from "../../../../src/nest/core/security/totp.js";
+import { AdminMagicLinkController } from "../../../../src/nest/admin/auth/admin-magic-link.controller.js";
+import { AdminSecondFactorController } from "../../../../src/nest/admin/auth/admin-second-factor.controller.js";
+import {
+  AdminSecondFactorRepository,
+  type AdminSecondFactorCredential,
+} from "../../../../src/nest/admin/auth/admin-second-factor.repository.js";
+import {
+  AdminSecondFactorService,
+  type AdminSecondFactorRepositoryPort,
+} from "../../../../src/nest/admin/auth/admin-second-factor.service.js";
+import { AdminAuditService, type AdminAuditEntry } from "../../../../src/nest/admin/common/admin-audit.service.js";
+import { AdminUsersController } from "../../../../src/nest/admin/users/admin-users.controller.js";
+import { AdminUsersRepository } from "../../../../src/nest/admin/users/admin-users.repository.js";
+
+const SEAL_KEY = Buffer.alloc(32, 3).toString("base64");
+
+function buildConfig(totpConfigured = true): AppConfig {
+  return {
+    adminAuth: {
+      cookieName: "hsc_admin_session",
+      ttlHours: 12,
+      publicUrl: "https://api.example.com",
+      backofficeUrl: "https://backoffice.example.com",
+      magicLinkCallbackPath: "/auth/callback",
+      secondFactorBootstrapToken: "BOOTSTRAP",
+    },
+    totp: {
+      configured: totpConfigured,
+      secretKey: totpConfigured ? SEAL_KEY : "",
+      issuer: "HSC",
+      challengeTtlMinutes: 5,
+    },
+  } as unknown as AppConfig;
+}
+
+function createRepository() {
+  const state = {
+    credentials: [] as AdminSecondFactorCredential[],
+    failures: 0,
+    consumed: false,
+    otherAdminEnrolled: false,
+    invites: new Map<string, { id: string; userId: number; used: boolean }>([
+      ["INVITE", { id: "invite-1", userId: 7, used: false }],
+    ]),
+    authorizations: [] as unknown[],
+    audits: [] as AdminAuditEntry[],
+  };
+
+  const repository: AdminSecondFactorRepositoryPort = {
+    async listCredentials() {
+      return state.credentials;
+    },
+    async hasConfirmedCredential() {
+      return state.otherAdminEnrolled || state.credentials.some((credential) => credential.confirmed);
+    },
+    async findActiveEnrollmentInvite(userId, rawToken) {
+      const invite = state.invites.get(rawToken);
+      return invite && invite.userId === userId && !invite.used ? invite.id : null;
+    },
+    async savePendingTotp(_userId, secretSealed, authorization) {
+      if (authorization.via === "invite") {
+        const invite = [...state.invites.values()].find((item) => item.id === authorization.inviteId)!;
+        if (invite.used) return false;
+        invite.used = true;
+      }
+      state.authorizations.push(authorization);
+      state.credentials = state.credentials.filter((credential) => credential.confirmed);
+      state.credentials.push({ id: "cred-1", kind: "totp", secretSealed, counter: null, confirmed: false });
+      return true;
+    },
+    async recordSuccessfulUse(credentialId, counter) {
+      const credential = state.credentials.find((item) => item.id === credentialId)!;
+      if (!credential.confirmed || (credential.counter !== null && counter <= credential.counter)) {
+        return false;
+      }
+      credential.counter = counter;
+      return true;
+    },
+    async confirmEnrollment(credentialId, counter, audit) {
+      const credential = state.credentials.find((item) => item.id === credentialId)!;
+      if (credential.confirmed) return false;
+      credential.counter = counter;
+      credential.confirmed = true;
+      state.audits.push(audit);
+      return true;
+    },
+    async createLoginChallenge() {
+      return "PENDING";
+    },
+    async findActiveLoginChallenge(rawToken) {
+      return rawToken === "PENDING" && !state.consumed && state.failures < 5
+        ? { id: "challenge-1", userId: 7, email: "admin@example.com", role: "admin" }
+        : null;
+    },
+    async recordLoginChallengeFailure() {
+      state.failures += 1;
+    },
+    async consumeLoginChallenge() {
+      state.consumed = true;
+      return true;
+    },
+  };
+
+  return { repository, state };
+}
+
+function codeFor(secret: string, offsetSeconds = 0): string {
+  return generateTotp(decodeBase32(secret)!, Math.floor(Date.now() / 1000) + offsetSeconds);
+}
+
+function createResponse() {
+  const headers: Array<[string, string | string[]]> = [];
+  let location = "";
+
+  return {
+    headers,
+    location: () => location,
+    response: {
+      setHeader(name: string, value: string | string[]) {
+        headers.push([name, value]);
+      },
+      redirect(_status: number, url: string) {
+        location = url;
+      },
+    },
+  };
+}
+
+function assertHttpError(error: unknown, status: number, code: string): boolean {
+  assert.ok(error instanceof HttpException);
+  assert.equal(error.getStatus(), status);
+  assert.equal((error.getResponse() as { error?: unknown }).error, code);
+  return true;
+}
+
+test("magic link de admin não emite sessão antes do segundo fator", async () => {
+  const { repository } = createRepository();
+  const service = new AdminSecondFactorService(buildConfig(), repository);
+  let sessions = 0;
+  let usedLinks = 0;
+
+  const controller = new AdminMagicLinkController(
+    buildConfig(),
+    { getStatus: () => ({ ready: true }) } as any,
+    {
+      async findUsableMagicLinkByToken() {
+        return { magicLinkId: 1, userId: 7, role: "admin" };
+      },
+      async markMagicLinkAsUsed() {
+        usedLinks += 1;
+      },
+    } as any,
+    { async createSessionForUser() { sessions += 1; return { rawToken: "RAW" }; } } as any,
+    service,
+  );
+
+  const result = createResponse();
+  await controller.consume("token", result.response);
+
+  assert.equal(sessions, 0);
+  assert.equal(usedLinks, 1);
+  assert.equal(result.location(), "https://backoffice.example.com/auth/callback?status=two_factor_enrollment_required");
+  assert.match(String(result.headers[0]![1]), /^hsc_admin_session_2fa=PENDING; Path=\/; HttpOnly; Max-Age=300; Secure/);
+
+  const unavailable = new AdminMagicLinkController(
+    buildConfig(false),
+    { getStatus: () => ({ ready: true }) } as any,
+    { async findUsableMagicLinkByToken() { return { magicLinkId: 1, userId: 7, role: "admin" }; } } as any,
+    {} as any,
+    new AdminSecondFactorService(buildConfig(false), repository),
+  );
+  const blocked = createResponse();
+  await unavailable.consume("token", blocked.response);
+  assert.match(blocked.location(), /\?error=second_factor_unavailable$/);
+  assert.equal(blocked.headers.length, 0);
+});
+
+test("editor segue só com magic link", () => {
+  const service = new AdminSecondFactorService(buildConfig(), createRepository().repository);
+
+  assert.equal(service.isRequiredFor("admin"), true);
+  assert.equal(service.isRequiredFor("editor"), false);
+  assert.equal(service.isRequiredFor("viewer"), false);
+});
+
+test("cadastro TOTP confirma no primeiro código e bloqueia novo cadastro e replay", async () => {
+  const { repository, state } = createRepository();
+  const service = new AdminSecondFactorService(buildConfig(), repository);
+
+  const enrollment = await service.beginTotpEnrollment("PENDING", { enrollment_token: "INVITE" });
+  assert.equal(enrollment.ok, true);
+  if (!enrollment.ok) return;
+  assert.match(enrollment.otpauthUri, /^otpauth:\/\/totp\/HSC%20Admin:admin%40example\.com\?/);
+
+  assert.deepEqual(
+    await service.completeLogin("PENDING", { code: codeFor(enrollment.secret, 600) }),
+    { ok: false, error: "invalid_second_factor_code" },
+  );
+  assert.equal(state.failures, 1);
+
+  assert.deepEqual(
+    await service.completeLogin("PENDING", { code: codeFor(enrollment.secret) }),
+    { ok: true, userId: 7, enrolledNow: true },
+  );
+  assert.equal(state.credentials[0]!.confirmed, true);
+  assert.deepEqual(state.audits, [{
+    userId: 7,
+    route: "/auth/2fa/verify",
+    method: "POST",
+    action: "admin_second_factor.enroll",
+    via: "session",
+  }]);
+
+  state.consumed = false;
+  assert.deepEqual(await service.beginTotpEnrollment("PENDING", { enrollment_token: "BOOTSTRAP" }), {
+    ok: false,
+    error: "second_factor_already_enrolled",
+  });
+  assert.deepEqual(
+    await service.completeLogin("PENDING", { code: codeFor(enrollment.secret) }),
+    { ok: false, error: "invalid_second_factor_code" },
+  );
+  assert.deepEqual(await service.getChallengeStatus("PENDING"), { enrolled: true, methods: ["totp"] });
+});
+
+test("o primeiro cadastro exige convite de outro admin ou o token de bootstrap", async () => {
+  const { repository, state } = createRepository();
+  const service = new AdminSecondFactorService(buildConfig(), repository);
+  const notAuthorized = { ok: false, error: "second_factor_enrollment_not_authorized" };
+
+  assert.deepEqual(await service.beginTotpEnrollment("PENDING", {}), { ok: false, error: "invalid_request" });
+  assert.deepEqual(await service.beginTotpEnrollment("PENDING", { enrollment_token: "WRONG" }), notAuthorized);
+  assert.equal(state.credentials.length, 0);
+
+  state.invites.set("OTHER", { id: "invite-2", userId: 8, used: false });
+  assert.deepEqual(await service.beginTotpEnrollment("PENDING", { enrollment_token: "OTHER" }), notAuthorized);
+
+  assert.equal((await service.beginTotpEnrollment("PENDING", { enrollment_token: "INVITE" })).ok, true);
+  assert.deepEqual(state.authorizations, [{ via: "invite", inviteId: "invite-1" }]);
+  assert.deepEqual(await service.beginTotpEnrollment("PENDING", { enrollment_token: "INVITE" }), notAuthorized);
+
+  state.otherAdminEnrolled = true;
+  assert.deepEqual(await service.beginTotpEnrollment("PENDING", { enrollment_token: "BOOTSTRAP" }), notAuthorized);
+
+  state.otherAdminEnrolled = false;
+  assert.equal((await service.beginTotpEnrollment("PENDING", { enrollment_token: "BOOTSTRAP" })).ok, true);
+  assert.deepEqual(state.authorizations[1], { via: "bootstrap" });
+
+  const withoutBootstrap = buildConfig();
+  (withoutBootstrap.adminAuth as { secondFactorBootstrapToken: string }).secondFactorBootstrapToken = "";
+  state.credentials = [];
+  assert.deepEqual(
+    await new AdminSecondFactorService(withoutBootstrap, repository).beginTotpEnrollment("PENDING", { enrollment_token: "BOOTSTRAP" }),
+    notAuthorized,
+  );
+});
+
+test("confirmar o cadastro audita a origem na mesma transação", async () => {
+  const calls: Array<{ sql: string; params: unknown[] }> = [];
+  const events: string[] = [];
+  const connection = {
+    async beginTransaction() {},
+    async commit() { events.push("commit"); },
+    async rollback() { events.push("rollback"); },
+    release() {},
+    async execute(statement: string, params: unknown[] = []) {
+      const sql = statement.replace(/\s+/g, " ").trim();
+      calls.push({ sql, params });
+
+      if (sql.startsWith("SELECT c.user_id")) {
+        return [[{ user_id: 7, kind: "totp", enrolled_via: "invite", enrollment_invite_id: "invite-1", invited_by_user_id: 9 }]];
+      }
+      return [{ affectedRows: 1 }];
+    },
+  };
+  const repository = new AdminSecondFactorRepository(
+    { getPool: () => ({ getConnection: async () => connection }) } as any,
+    new AdminAuditService(),
+  );
+
+  assert.equal(
+    await repository.confirmEnrollment("cred-1", 42, {
+      userId: 7,
+      route: "/auth/2fa/verify",
+      method: "POST",
+      action: "admin_second_factor.enroll",
+      via: "session",
+    }),
+    true,
+  );
+
+  assert.match(calls[0]!.sql, /confirmed_at IS NULL/);
+  const audit = calls.find((call) => call.sql.startsWith("INSERT INTO admin_audit_log"))!;
+  assert.deepEqual(audit.params.slice(0, 8), [7, "/auth/2fa/verify", "POST", "admin_second_factor.enroll", "session", null, "admin_user", "7"]);
+  assert.deepEqual(JSON.parse(String(audit.params[8])), {
+    before: null,
+    after: { kind: "totp", enrolled_via: "invite", invite_id: "invite-1", invited_by_user_id: 9 },
+  });
+  assert.deepEqual(events, ["commit"]);
+});
+
+test("outro admin emite convite de cadastro auditado; convite para si mesmo é recusado", async () => {
+  const calls: Array<{ sql: string; params: unknown[] }> = [];
+  let confirmed = 0;
+  const connection = {
+    async beginTransaction() {},
+    async commit() {},
+    async rollback() {},
+    release() {},
+    async execute(statement: string, params: unknown[] = []) {
+      const sql = statement.replace(/\s+/g, " ").trim();
+      calls.push({ sql, params });
+
+      if (sql.includes("FROM users")) return [[{ id: 9 }]];
+      if (sql.includes("COUNT(*)")) return [[{ total: confirmed }]];
+      if (sql.startsWith("SELECT expires_at")) return [[{ expires_at: "2026-10-19T12:00:00.000Z" }]];
+      return [{ affectedRows: 1 }];
+    },
+  };
+  const repository = new AdminUsersRepository(
+    { getPool: () => ({ getConnection: async () => connection }) } as any,
+    new AdminAuditService(),
+  );
+  const controller = new AdminUsersController({ getStatus: () => ({ ready: true }) } as any, repository);
+  const admin = { via: "session", userId: 7, apiKeyId: null } as any;
+
+  const result = await controller.inviteSecondFactor({ admin }, "9");
+  assert.equal(result.ok, true);
+  assert.match(result.invite_token, /^[0-9a-f]{64}$/);
+  assert.equal(result.expires_at, "2026-10-19T12:00:00.000Z");
+
+  const insert = calls.find((call) => call.sql.startsWith("INSERT INTO admin_second_factor_enrollment_invites"))!;
+  assert.equal(insert.params[1], 9);
+  assert.notEqual(insert.params[2], result.invite_token);
+  assert.equal(insert.params[3], 7);
+
+  const audit = calls.find((call) => call.sql.startsWith("INSERT INTO admin_audit_log"))!;
+  assert.deepEqual(audit.params.slice(0, 8), [
+    7,
+    "/admin/users/:id/second-factor-invites",
+    "POST",
+    "admin_second_factor.invite",
+    "session",
+    null,
+    "admin_user",
+    "9",
+  ]);
+  assert.doesNotMatch(String(audit.params[8]), new RegExp(result.invite_token));
+
+  await assert.rejects(
+    controller.inviteSecondFactor({ admin }, "7"),
+    (e) => assertHttpError(e, 403, "cannot_invite_own_second_factor"),
+  );
+
+  confirmed = 1;
+  await assert.rejects(
+    controller.inviteSecondFactor({ admin }, "9"),
+    (e) => assertHttpError(e, 409, "second_factor_already_enrolled"),
+  );
+});
+
+test("verify emite cookie de sessão e limpa o cookie pendente", async () => {
+  const sessionsFor: number[] = [];
+  const controller = new AdminSecondFactorController(
+    buildConfig(),
+    { getStatus: () => ({ ready: true }) } as any,
+    {
+      async completeLogin(pendingToken: string) {
+        assert.equal(pendingToken, "PENDING");
+        return { ok: true, userId: 7, enrolledNow: false };
+      },
+    } as any,
+    {
+      async createSessionForUser(userId: number) {
+        sessionsFor.push(userId);
+        return { sessionId: "s", rawToken: "RAW" };
+      },
+    } as any,
+  );
+
+  const result = createResponse();
+  assert.deepEqual(
+    await controller.verify("other=1; hsc_admin_session_2fa=PENDING", { code: "123456" }, result.response),
+    { ok: true, authenticated: true, enrolled_now: false },
+  );
+  assert.deepEqual(sessionsFor, [7]);
+
+  const cookies = result.headers[0]![1] as string[];
+  assert.match(cookies[0]!, /^hsc_admin_session=RAW;/);
+  assert.match(cookies[1]!, /^hsc_admin_session_2fa=; Path=\/; HttpOnly; Max-Age=0/);
+
+  await assert.rejects(
+    controller.verify(undefined, { code: "123456" }, result.response),
+    (e) => assertHttpError(e, 401, "invalid_or_expired_challenge"),
+  );
+});
+
+test("reset por outro admin remove fatores, revoga sessões e audita", async () => {
+  const calls: Array<{ sql: string; params: unknown[] }> = [];
+  const connection = {
+    async beginTransaction() {},
+    async commit() {},
+    async rollback() {},
+    release() {},
+    async execute(statement: string, params: unknown[] = []) {
+      const sql = statement.replace(/\s+/g, " ").trim();
+      calls.push({ sql, params });
+
+      if (sql.includes("FROM users")) return [[{ id: 9 }]];
+      if (sql.includes("FROM admin_second_factor_credentials")) {
+        return [[{ kind: "totp", confirmed_at: "2026-10-01 00:00:00" }]];
+      }
+      if (sql.includes("COUNT(*)")) return [[{ total: 2 }]];
+      return [{ affectedRows: 2 }];
+    },
+  };
+  const repository = new AdminUsersRepository(
+    { getPool: () => ({ getConnection: async () => connection }) } as any,
+    new AdminAuditService(),
+  );
+  const controller = new AdminUsersController({ getStatus: () => ({ ready: true }) } as any, repository);
+  const admin = { via: "session", userId: 7, apiKeyId: null } as any;
+
+  assert.deepEqual(await controller.resetSecondFactors({ admin }, "9"), {
+    ok: true,
+    removed_credentials: 1,
+    revoked_sessions: 2,
+  });
+
+  const audit = calls.find((call) => call.sql.startsWith("INSERT INTO admin_audit_log"))!;
+  assert.deepEqual(audit.params.slice(0, 8), [
+    7,
+    "/admin/users/:id/second-factors",
+    "DELETE",
+    "admin_second_factor.reset",
+    "session",
+    null,
+    "admin_user",
+    "9",
+  ]);
+  assert.deepEqual(JSON.parse(String(audit.params[8])), {
+    before: { second_factors: [{ kind: "totp", confirmed: true }], active_sessions: 2 },
+    after: { second_factors: [], active_sessions: 0 },
+  });
+
+  await assert.rejects(
+    controller.resetSecondFactors({ admin }, "7"),
+    (e) => assertHttpError(e, 403, "cannot_reset_own_second_factor"),
+  );
+});
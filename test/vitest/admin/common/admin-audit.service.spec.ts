@@ -0,0 +1,65 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import {
+  AdminAuditService,
+  buildAdminAuditDiff,
+} from "../../../../src/nest/admin/common/admin-audit.service.js";
+
+test("diff keeps only changed fields", () => {
+  assert.deepEqual(
+    buildAdminAuditDiff(
+      { status: "draft", title: "Same", published_at: null },
+      { status: "published", title: "Same", published_at: new Date("2026-10-01T12:00:00Z") },
+    ),
+    {
+      before: { status: "draft", published_at: null },
+      after: { status: "published", published_at: new Date("2026-10-01T12:00:00Z") },
+    },
+  );
+});
+
+test("dates compare by instant and unchanged snapshots produce no diff", () => {
+  assert.equal(
+    buildAdminAuditDiff(
+      { expires_at: new Date("2026-10-01T00:00:00Z") },
+      { expires_at: new Date("2026-10-01T00:00:00Z") },
+    ),
+    null,
+  );
+  assert.equal(buildAdminAuditDiff(null, null), null);
+});
+
+test("creations and deletions keep the whole snapshot", () => {
+  assert.deepEqual(buildAdminAuditDiff(null, { id: 1, slug: "a" }), { before: null, after: { id: 1, slug: "a" } });
+  assert.deepEqual(buildAdminAuditDiff({ id: 1, slug: "a" }, null), { before: { id: 1, slug: "a" }, after: null });
+});
+
+test("insert serializes the diff and the api key id", async () => {
+  const calls: unknown[][] = [];
+  const connection = { async execute(_sql: string, params: unknown[]) { calls.push(params); return [{}]; } };
+
+  await new AdminAuditService().insert(connection as any, {
+    userId: null,
+    route: "/admin/news/:id",
+    method: "PATCH",
+    action: "news.update",
+    via: "api-key",
+    apiKeyId: "11111111-1111-4111-8111-111111111111",
+    entityType: "news",
+    entityKey: "4",
+    diff: { before: { title: "Old" }, after: { title: "New" } },
+  });
+
+  assert.deepEqual(calls[0], [
+    null,
+    "/admin/news/:id",
+    "PATCH",
+    "news.update",
+    "api-key",
+    "11111111-1111-4111-8111-111111111111",
+    "news",
+    "4",
+    '{"before":{"title":"Old"},"after":{"title":"New"}}',
+  ]);
+});
@@ -0,0 +1,40 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+import { GUARDS_METADATA, PATH_METADATA } from "@nestjs/common/constants.js";
+
+import { AdminAuthGuard } from "../../../../src/nest/admin/auth/admin-auth.guard.js";
+import { AdminMatchBridgeController } from "../../../../src/nest/admin/match-bridge/admin-match-bridge.controller.js";
+
+const config = { matchBridge: { sweeperEnabled: true, sweepIntervalMs: 15000, nodeStaleAfterSeconds: 90, maxLeaseAttempts: 3 } } as any;
+
+test("node liveness is admin-authenticated and uses the configured stale threshold", async () => {
+  assert.equal(Reflect.getMetadata(PATH_METADATA, AdminMatchBridgeController), "admin/match-bridge");
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, AdminMatchBridgeController), [AdminAuthGuard]);
+
+  let threshold: unknown = null;
+  const controller = new AdminMatchBridgeController(config, { getStatus: () => ({ ready: true }) } as any, {
+    async listNodeLiveness(seconds: number) { threshold = seconds; return [{ bridgeNodeKey: "node-01", live: true }]; },
+  } as any);
+
+  const result = await controller.listNodes();
+
+  assert.equal(threshold, 90);
+  assert.deepEqual(result, {
+    ok: true,
+    sweeperEnabled: true,
+    staleAfterSeconds: 90,
+    count: 1,
+    items: [{ bridgeNodeKey: "node-01", live: true }],
+  });
+});
+
+test("node liveness requires a ready database", async () => {
+  const controller = new AdminMatchBridgeController(config, { getStatus: () => ({ ready: false }) } as any, {} as any);
+
+  await assert.rejects(controller.listNodes(), (error) => {
+    assert.ok(error instanceof HttpException);
+    assert.equal(error.getStatus(), 503);
+    return true;
+  });
+});
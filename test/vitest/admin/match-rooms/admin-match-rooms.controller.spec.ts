@@ -0,0 +1,136 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException, RequestMethod } from "@nestjs/common";
+import { GUARDS_METADATA, METHOD_METADATA, PATH_METADATA } from "@nestjs/common/constants.js";
+
+import { AdminAuthGuard } from "../../../../src/nest/admin/auth/admin-auth.guard.js";
+import { AdminMatchRoomsController } from "../../../../src/nest/admin/match-rooms/admin-match-rooms.controller.js";
+import { MatchRoomError } from "../../../../src/nest/match/match-room.error.js";
+
+const ROOM_ID = "11111111-1111-4111-8111-111111111111";
+const DETAIL = { room: { id: ROOM_ID, status: "CANCELLED" }, history: { participants: [], assignments: [] } } as any;
+
+function database(ready = true) {
+  return { getStatus() { return { ready }; } };
+}
+
+function assertHttpError(error: unknown, status: number, code: string): boolean {
+  assert.ok(error instanceof HttpException);
+  assert.equal(error.getStatus(), status);
+  assert.equal((error.getResponse() as { error?: unknown }).error, code);
+  return true;
+}
+
+test("routes are admin-authenticated and force actions are POST", () => {
+  assert.equal(Reflect.getMetadata(PATH_METADATA, AdminMatchRoomsController), "admin/match-rooms");
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, AdminMatchRoomsController), [AdminAuthGuard]);
+  for (const name of ["forceCancel", "forceFail", "forceComplete"] as const) {
+    assert.equal(Reflect.getMetadata(METHOD_METADATA, AdminMatchRoomsController.prototype[name]), RequestMethod.POST);
+  }
+});
+
+test("list validates status, date range and limit before delegating", async () => {
+  let received: any = null;
+  const controller = new AdminMatchRoomsController(database() as any, {
+    async listForOperations(filter: unknown) { received = filter; return []; },
+  } as any, {} as any);
+
+  const result = await controller.list("provisioning", "2026-10-01T00:00:00Z", "2026-10-02T12:30:00Z", "20");
+
+  assert.deepEqual(received, {
+    status: "PROVISIONING",
+    createdFrom: "2026-10-01 00:00:00",
+    createdTo: "2026-10-02 12:30:00",
+    limit: 20,
+  });
+  assert.deepEqual(result, { ok: true, count: 0, items: [] });
+
+  await assert.rejects(controller.list("STUCK"), (error) => assertHttpError(error, 400, "invalid_match_room_status"));
+  await assert.rejects(controller.list(undefined, "2026-10-01"), (error) => assertHttpError(error, 400, "invalid_created_from"));
+  await assert.rejects(controller.list(undefined, undefined, undefined, "101"), (error) => assertHttpError(error, 400, "invalid_limit"));
+});
+
+test("force-cancel writes the audit entry through the transaction hook", async () => {
+  const inserted: unknown[] = [];
+  const connection = { marker: "tx" };
+  const controller = new AdminMatchRoomsController(database() as any, {
+    async forceCancel(roomId: string, audit: (connection: unknown) => Promise<void>) {
+      assert.equal(roomId, ROOM_ID);
+      await audit(connection);
+      return DETAIL;
+    },
+  } as any, {
+    async insert(conn: unknown, entry: unknown) { inserted.push([conn, entry]); },
+  } as any);
+
+  const result = await controller.forceCancel({ admin: { userId: 7, via: "session" } } as any, ROOM_ID.toUpperCase());
+
+  assert.deepEqual(result, { ok: true, item: DETAIL });
+  assert.deepEqual(inserted, [[connection, {
+    userId: 7,
+    route: "/admin/match-rooms/:id/force-cancel",
+    method: "POST",
+    action: "match_room.force_cancel",
+    via: "session",
+    apiKeyId: null,
+    entityType: "match_room",
+    entityKey: ROOM_ID,
+  }]]);
+});
+
+test("force-fail requires a known failure reason", async () => {
+  let received: unknown = null;
+  const controller = new AdminMatchRoomsController(database() as any, {
+    async forceFail(_roomId: string, reason: unknown) { received = reason; return DETAIL; },
+  } as any, {} as any);
+
+  await controller.forceFail({} as any, ROOM_ID, { failureReason: "prepare_match_failed" });
+  assert.equal(received, "prepare_match_failed");
+
+  await assert.rejects(controller.forceFail({} as any, ROOM_ID, { failureReason: "bored" }), (error) => assertHttpError(error, 400, "invalid_failure_reason"));
+  await assert.rejects(controller.forceFail({} as any, ROOM_ID, { failureReason: "prepare_match_failed", extra: 1 }), (error) => assertHttpError(error, 400, "invalid_request_body"));
+});
+
+test("domain errors map to 404 and 409 and unknown failures stay sanitized", async () => {
+  const controller = new AdminMatchRoomsController(database() as any, {
+    async getForOperations() { throw new MatchRoomError("room_not_found"); },
+    async forceComplete() { throw new MatchRoomError("room_not_completable"); },
+    async forceCancel() { throw new Error("ER_LOCK_WAIT_TIMEOUT"); },
+  } as any, {} as any);
+
+  await assert.rejects(controller.getById(ROOM_ID), (error) => assertHttpError(error, 404, "room_not_found"));
+  await assert.rejects(controller.forceComplete({} as any, ROOM_ID), (error) => assertHttpError(error, 409, "room_not_completable"));
+  await assert.rejects(controller.forceCancel({} as any, ROOM_ID), (error) => assertHttpError(error, 500, "match_room_operation_failed"));
+  await assert.rejects(controller.getById("not-a-uuid"), (error) => assertHttpError(error, 400, "invalid_match_room_id"));
+});
+
+test("db readiness is enforced before any operation", async () => {
+  const controller = new AdminMatchRoomsController(database(false) as any, {} as any, {} as any);
+  await assert.rejects(controller.list(), (error) => assertHttpError(error, 503, "db_not_ready"));
+});
+
+test("commands endpoint validates the command type and audits it per type", async () => {
+  const inserted: unknown[] = [];
+  let received: unknown = null;
+  const controller = new AdminMatchRoomsController(database() as any, {
+    async enqueueServerCommand(roomId: string, commandType: string, audit: (connection: unknown) => Promise<void>) {
+      received = [roomId, commandType];
+      await audit({});
+      return DETAIL;
+    },
+  } as any, {
+    async insert(_conn: unknown, entry: any) { inserted.push(entry); },
+  } as any);
+
+  assert.equal(Reflect.getMetadata(METHOD_METADATA, AdminMatchRoomsController.prototype.enqueueCommand), RequestMethod.POST);
+  await assert.rejects(controller.enqueueCommand({} as any, ROOM_ID, { commandType: "PREPARE_MATCH" }), (error) => assertHttpError(error, 400, "invalid_command_type"));
+  await assert.rejects(controller.enqueueCommand({} as any, ROOM_ID, { commandType: "PAUSE_MATCH", extra: true }), (error) => assertHttpError(error, 400, "invalid_request_body"));
+
+  const result = await controller.enqueueCommand({ admin: { userId: null, via: "admin-key" } } as any, ROOM_ID, { commandType: "PAUSE_MATCH" });
+
+  assert.deepEqual(result, { ok: true, item: DETAIL });
+  assert.deepEqual(received, [ROOM_ID, "PAUSE_MATCH"]);
+  assert.equal(inserted.length, 1);
+  assert.equal((inserted[0] as any).route, "/admin/match-rooms/:id/commands");
+  assert.equal((inserted[0] as any).action, "match_room.command.pause_match");
+});
@@ -0,0 +1,264 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+
+import { AdminEntitlementGrantsController } from "../../../../src/nest/admin/membership-catalog/admin-entitlement-grants.controller.js";
+import { AdminEntitlementGrantsRepository } from "../../../../src/nest/admin/membership-catalog/admin-entitlement-grants.repository.js";
+
+const PLAYER_ACCOUNT_ID = "11111111-1111-4111-8111-111111111111";
+const GRANT_ID = "22222222-2222-4222-8222-222222222222";
+
+const AUDIT = {
+  userId: 7,
+  route: "/admin/players/:id/entitlement-grants",
+  method: "POST",
+  action: "player_entitlement_grant.create",
+  via: "session" as const,
+  entityType: "player_entitlement_grant",
+};
+
+function grantRow(overrides: Record<string, unknown> = {}) {
+  return {
+    id: GRANT_ID,
+    player_account_id: PLAYER_ACCOUNT_ID,
+    entitlement_key: "profile.premium",
+    status: "active",
+    reason: "Promo de lançamento",
+    expires_at: "2026-09-06 17:00:00",
+    revoked_at: null,
+    created_at: "2026-08-07 17:00:00",
+    updated_at: "2026-08-07 17:00:00",
+    ...overrides,
+  };
+}
+
+function rejectsWith(status: number, code: string) {
+  return (error: unknown) =>
+    error instanceof HttpException &&
+    error.getStatus() === status &&
+    (error.getResponse() as { error?: unknown }).error === code;
+}
+
+function createRepository(
+  execute: (sql: string, parameters: unknown[] | undefined) => Promise<unknown>,
+) {
+  const calls: Array<{
+    kind: string;
+    sql?: string;
+    parameters?: unknown[];
+    entry?: Record<string, unknown>;
+  }> = [];
+
+  const connection = {
+    async beginTransaction() { calls.push({ kind: "begin" }); },
+    async commit() { calls.push({ kind: "commit" }); },
+    async rollback() { calls.push({ kind: "rollback" }); },
+    release() { calls.push({ kind: "release" }); },
+    async execute(sql: string, parameters?: unknown[]) {
+      calls.push({ kind: "execute", sql, parameters });
+      return execute(sql, parameters);
+    },
+  };
+
+  const repository = new AdminEntitlementGrantsRepository(
+    {
+      getPool() {
+        return {
+          async getConnection() {
+            return connection;
+          },
+          async execute(sql: string, parameters?: unknown[]) {
+            return execute(sql, parameters);
+          },
+        };
+      },
+    } as any,
+    {
+      async insert(_connection: unknown, entry: Record<string, unknown>) {
+        calls.push({ kind: "audit", entry });
+      },
+    } as any,
+  );
+
+  return { calls, repository };
+}
+
+function createController(repository: Record<string, unknown>) {
+  return new AdminEntitlementGrantsController(
+    {
+      getStatus() {
+        return { ready: true, error: null };
+      },
+    } as any,
+    repository as any,
+  );
+}
+
+test("createGrant - insere grant com expiração, audita com o id gerado e confirma", async () => {
+  let inserted: unknown[] | undefined;
+
+  const { calls, repository } = createRepository(async (sql, parameters) => {
+    if (sql.includes("FROM player_accounts")) return [[{ id: PLAYER_ACCOUNT_ID }], []];
+    if (sql.includes("FROM entitlements")) return [[{ entitlement_key: "profile.premium" }], []];
+    if (sql.includes("INSERT INTO player_entitlement_grants")) {
+      inserted = parameters;
+      return [{ affectedRows: 1 }, []];
+    }
+    if (sql.includes("FROM player_entitlement_grants")) {
+      return [[grantRow({ id: parameters?.[0] })], []];
+    }
+    throw new Error(`unexpected SQL: ${sql}`);
+  });
+
+  const result = await repository.createGrant({
+    playerAccountId: PLAYER_ACCOUNT_ID,
+    entitlementKey: "profile.premium",
+    expiresAt: "2026-09-06 17:00:00",
+    reason: "Promo de lançamento",
+    audit: AUDIT,
+  });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(inserted?.slice(1), [
+    PLAYER_ACCOUNT_ID,
+    "profile.premium",
+    "Promo de lançamento",
+    "2026-09-06 17:00:00",
+  ]);
+
+  const audit = calls.find((call) => call.kind === "audit");
+  assert.equal(audit?.entry?.entityKey, inserted?.[0]);
+  assert.equal(audit?.entry?.action, "player_entitlement_grant.create");
+  assert.ok(calls.some((call) => call.kind === "commit"));
+});
+
+test("createGrant - entitlement inexistente não cria grant", async () => {
+  const { calls, repository } = createRepository(async (sql) => {
+    if (sql.includes("FROM player_accounts")) return [[{ id: PLAYER_ACCOUNT_ID }], []];
+    if (sql.includes("FROM entitlements")) return [[], []];
+    throw new Error(`unexpected SQL: ${sql}`);
+  });
+
+  assert.deepEqual(
+    await repository.createGrant({
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      entitlementKey: "profile.gold",
+      expiresAt: null,
+      reason: null,
+      audit: AUDIT,
+    }),
+    { ok: false, error: "entitlement_not_found" },
+  );
+  assert.ok(calls.some((call) => call.kind === "rollback"));
+});
+
+test("revokeGrant - marca revoked_at e grants já revogados ou expirados retornam conflito", async () => {
+  let revoked = false;
+
+  const { calls, repository } = createRepository(async (sql) => {
+    if (sql.includes("UPDATE player_entitlement_grants")) {
+      revoked = true;
+      return [{ affectedRows: 1 }, []];
+    }
+    if (sql.includes("FROM player_entitlement_grants")) {
+      return [[grantRow(revoked
+        ? { status: "revoked", revoked_at: "2026-08-08 10:00:00" }
+        : {})], []];
+    }
+    throw new Error(`unexpected SQL: ${sql}`);
+  });
+
+  const result = await repository.revokeGrant(PLAYER_ACCOUNT_ID, GRANT_ID, AUDIT);
+
+  assert.equal(result.ok && result.data.status, "revoked");
+  assert.deepEqual(calls.find((call) => call.kind === "audit")?.entry?.diff, {
+    before: { status: "active", revoked_at: null },
+    after: { status: "revoked", revoked_at: "2026-08-08 10:00:00" },
+  });
+
+  assert.deepEqual(
+    await repository.revokeGrant(PLAYER_ACCOUNT_ID, GRANT_ID, AUDIT),
+    { ok: false, error: "entitlement_grant_already_revoked" },
+  );
+
+  const expired = createRepository(async () => [[grantRow({ status: "expired" })], []]);
+
+  assert.deepEqual(
+    await expired.repository.revokeGrant(PLAYER_ACCOUNT_ID, GRANT_ID, AUDIT),
+    { ok: false, error: "entitlement_grant_expired" },
+  );
+});
+
+test("POST admin/players/:id/entitlement-grants - valida expires_at e repassa auditoria", async () => {
+  let received: any = null;
+
+  const controller = createController({
+    async createGrant(input: unknown) {
+      received = input;
+      return { ok: true, data: grantRow() };
+    },
+  });
+
+  await controller.create(
+    { admin: { via: "session", userId: 7, role: "admin", apiKeyId: null } as any },
+    PLAYER_ACCOUNT_ID.toUpperCase(),
+    {
+      entitlement_key: " Profile.Premium ",
+      expires_at: "2099-01-31T12:00:00Z",
+      reason: " Promo ",
+    },
+  );
+
+  assert.equal(received.playerAccountId, PLAYER_ACCOUNT_ID);
+  assert.equal(received.entitlementKey, "profile.premium");
+  assert.equal(received.expiresAt, "2099-01-31 12:00:00");
+  assert.equal(received.reason, "Promo");
+  assert.equal(received.audit.action, "player_entitlement_grant.create");
+  assert.equal(received.audit.entityType, "player_entitlement_grant");
+
+  await assert.rejects(
+    controller.create({}, PLAYER_ACCOUNT_ID, {
+      entitlement_key: "profile.premium",
+      expires_at: "2020-01-01T00:00:00Z",
+    }),
+    rejectsWith(400, "expires_at_in_past"),
+  );
+  await assert.rejects(
+    controller.create({}, PLAYER_ACCOUNT_ID, {
+      entitlement_key: "profile.premium",
+      expires_at: "2099-01-31 12:00:00",
+    }),
+    rejectsWith(400, "expires_at_must_be_utc_z"),
+  );
+  await assert.rejects(
+    controller.create({}, "not-a-uuid", { entitlement_key: "profile.premium" }),
+    rejectsWith(400, "invalid_player_account_id"),
+  );
+});
+
+test("admin/players/:id/entitlement-grants - mapeia erros do repositório", async () => {
+  const controller = createController({
+    async listForAccount() {
+      return null;
+    },
+    async createGrant() {
+      return { ok: false, error: "player_account_not_found" };
+    },
+    async revokeGrant() {
+      return { ok: false, error: "entitlement_grant_already_revoked" };
+    },
+  });
+
+  await assert.rejects(
+    controller.list(PLAYER_ACCOUNT_ID),
+    rejectsWith(404, "player_account_not_found"),
+  );
+  await assert.rejects(
+    controller.create({}, PLAYER_ACCOUNT_ID, { entitlement_key: "profile.premium" }),
+    rejectsWith(404, "player_account_not_found"),
+  );
+  await assert.rejects(
+    controller.revoke({}, PLAYER_ACCOUNT_ID, GRANT_ID),
+    rejectsWith(409, "entitlement_grant_already_revoked"),
+  );
+});
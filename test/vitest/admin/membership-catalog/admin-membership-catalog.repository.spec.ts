@@ -0,0 +1,235 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import { AdminMembershipCatalogRepository } from "../../../../src/nest/admin/membership-catalog/admin-membership-catalog.repository.js";
+
+const AUDIT = {
+  userId: 7,
+  route: "/admin/membership-plans",
+  method: "POST",
+  action: "placeholder",
+  via: "session" as const,
+};
+
+function planRow(planCode: string, retiredAt: string | null = null) {
+  return {
+    plan_code: planCode,
+    name: planCode.toUpperCase(),
+    description: null,
+    retired_at: retiredAt,
+    created_at: "2026-08-07 17:00:00",
+    updated_at: "2026-08-07 17:00:00",
+  };
+}
+
+function entitlementRow(entitlementKey: string) {
+  return {
+    entitlement_key: entitlementKey,
+    description: null,
+    created_at: "2026-08-07 17:00:00",
+    updated_at: "2026-08-07 17:00:00",
+  };
+}
+
+function createHarness(
+  execute: (sql: string, parameters: unknown[] | undefined) => Promise<unknown>,
+) {
+  const calls: Array<{
+    kind: string;
+    sql?: string;
+    parameters?: unknown[];
+    entry?: Record<string, unknown>;
+  }> = [];
+
+  const connection = {
+    async beginTransaction() { calls.push({ kind: "begin" }); },
+    async commit() { calls.push({ kind: "commit" }); },
+    async rollback() { calls.push({ kind: "rollback" }); },
+    release() { calls.push({ kind: "release" }); },
+    async execute(sql: string, parameters?: unknown[]) {
+      calls.push({ kind: "execute", sql, parameters });
+      return execute(sql, parameters);
+    },
+  };
+
+  const repository = new AdminMembershipCatalogRepository(
+    {
+      getPool() {
+        return {
+          async getConnection() {
+            return connection;
+          },
+          async execute(sql: string, parameters?: unknown[]) {
+            return execute(sql, parameters);
+          },
+        };
+      },
+    } as any,
+    {
+      async insert(auditConnection: unknown, entry: Record<string, unknown>) {
+        assert.equal(auditConnection, connection);
+        calls.push({ kind: "audit", entry });
+      },
+    } as any,
+  );
+
+  const count = (kind: string) =>
+    calls.filter((call) => call.kind === kind).length;
+
+  return { calls, repository, count };
+}
+
+test("createPlan - insere plano e entitlements existentes, audita e confirma", async () => {
+  const links: string[] = [];
+
+  const harness = createHarness(async (sql, parameters) => {
+    if (sql.includes("INSERT INTO membership_plans")) {
+      assert.deepEqual(parameters, ["vip", "VIP", "Tier VIP"]);
+      return [{ affectedRows: 1 }, []];
+    }
+    if (sql.includes("FROM entitlements") && sql.includes("FOR UPDATE")) {
+      return [[entitlementRow(String(parameters?.[0]))], []];
+    }
+    if (sql.includes("INSERT INTO membership_plan_entitlements")) {
+      links.push(String(parameters?.[1]));
+      return [{ affectedRows: 1 }, []];
+    }
+    if (sql.includes("FROM membership_plans")) {
+      return [[planRow("vip")], []];
+    }
+    if (sql.includes("FROM membership_plan_entitlements")) {
+      return [links.map((key) => ({ plan_code: "vip", entitlement_key: key })), []];
+    }
+    throw new Error(`unexpected SQL: ${sql}`);
+  });
+
+  const result = await harness.repository.createPlan({
+    planCode: "vip",
+    name: "VIP",
+    description: "Tier VIP",
+    entitlementKeys: ["mix.create", "profile.premium"],
+    audit: AUDIT,
+  });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.ok && result.data.entitlements, ["mix.create", "profile.premium"]);
+
+  const audit = harness.calls.find((call) => call.kind === "audit");
+  assert.equal(audit?.entry?.action, "membership_plan.create");
+  assert.equal(audit?.entry?.entityType, "membership_plan");
+  assert.equal(audit?.entry?.entityKey, "vip");
+  assert.equal(harness.count("commit"), 1);
+  assert.equal(harness.count("release"), 1);
+});
+
+test("createPlan - entitlement desconhecido e plano duplicado desfazem a transação", async () => {
+  const unknown = createHarness(async (sql) => {
+    if (sql.includes("INSERT INTO membership_plans")) return [{ affectedRows: 1 }, []];
+    if (sql.includes("FROM entitlements")) return [[], []];
+    throw new Error(`unexpected SQL: ${sql}`);
+  });
+
+  assert.deepEqual(
+    await unknown.repository.createPlan({
+      planCode: "vip",
+      name: "VIP",
+      description: null,
+      entitlementKeys: ["missing.key"],
+      audit: AUDIT,
+    }),
+    { ok: false, error: "entitlement_not_found" },
+  );
+  assert.equal(unknown.count("rollback"), 1);
+  assert.equal(unknown.count("audit"), 0);
+
+  const duplicate = createHarness(async () => {
+    throw Object.assign(new Error("dup"), { code: "ER_DUP_ENTRY" });
+  });
+
+  assert.deepEqual(
+    await duplicate.repository.createPlan({
+      planCode: "member",
+      name: "Member",
+      description: null,
+      entitlementKeys: [],
+      audit: AUDIT,
+    }),
+    { ok: false, error: "membership_plan_already_exists" },
+  );
+});
+
+test("attachEntitlement e retirePlan - plano aposentado não aceita mudanças", async () => {
+  const harness = createHarness(async (sql) => {
+    if (sql.includes("FROM membership_plans")) return [[planRow("legacy", "2026-08-01 00:00:00")], []];
+    if (sql.includes("FROM membership_plan_entitlements")) return [[], []];
+    throw new Error(`unexpected SQL: ${sql}`);
+  });
+
+  assert.deepEqual(
+    await harness.repository.attachEntitlement("legacy", "mix.create", AUDIT),
+    { ok: false, error: "membership_plan_retired" },
+  );
+  assert.deepEqual(
+    await harness.repository.retirePlan("legacy", AUDIT),
+    { ok: false, error: "membership_plan_already_retired" },
+  );
+  assert.equal(harness.count("audit"), 0);
+});
+
+test("retirePlan - grava retired_at e audita o diff", async () => {
+  let retired = false;
+
+  const harness = createHarness(async (sql, parameters) => {
+    if (sql.includes("SET retired_at = UTC_TIMESTAMP()")) {
+      assert.deepEqual(parameters, ["vip"]);
+      retired = true;
+      return [{ affectedRows: 1 }, []];
+    }
+    if (sql.includes("FROM membership_plans")) {
+      return [[planRow("vip", retired ? "2026-08-07 18:00:00" : null)], []];
+    }
+    if (sql.includes("FROM membership_plan_entitlements")) return [[], []];
+    throw new Error(`unexpected SQL: ${sql}`);
+  });
+
+  const result = await harness.repository.retirePlan("vip", AUDIT);
+
+  assert.equal(result.ok && result.data.retired_at, "2026-08-07 18:00:00");
+  const audit = harness.calls.find((call) => call.kind === "audit");
+  assert.deepEqual(audit?.entry?.diff, {
+    before: { retired_at: null },
+    after: { retired_at: "2026-08-07 18:00:00" },
+  });
+});
+
+test("deleteEntitlement - entitlement ainda ligado a um plano não é removido", async () => {
+  const harness = createHarness(async (sql) => {
+    if (sql.includes("FROM entitlements")) return [[entitlementRow("server.join")], []];
+    if (sql.includes("FROM membership_plan_entitlements")) {
+      return [[{ plan_code: "member", entitlement_key: "server.join" }], []];
+    }
+    throw new Error(`unexpected SQL: ${sql}`);
+  });
+
+  assert.deepEqual(
+    await harness.repository.deleteEntitlement("server.join", AUDIT),
+    { ok: false, error: "entitlement_in_use" },
+  );
+  assert.ok(!harness.calls.some((call) => call.sql?.includes("DELETE FROM entitlements")));
+  assert.equal(harness.count("rollback"), 1);
+});
+
+test("deleteEntitlement - entitlement com histórico de grants individuais não é removido", async () => {
+  const harness = createHarness(async (sql) => {
+    if (sql.includes("FROM entitlements")) return [[entitlementRow("profile.premium")], []];
+    if (sql.includes("FROM membership_plan_entitlements")) return [[], []];
+    if (sql.includes("FROM player_entitlement_grants")) return [[{ id: "grant-1" }], []];
+    throw new Error(`unexpected SQL: ${sql}`);
+  });
+
+  assert.deepEqual(
+    await harness.repository.deleteEntitlement("profile.premium", AUDIT),
+    { ok: false, error: "entitlement_in_use" },
+  );
+  assert.ok(!harness.calls.some((call) => call.sql?.includes("DELETE FROM entitlements")));
+});
@@ -0,0 +1,126 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+
+import { AdminMembershipPlansController } from "../../../../src/nest/admin/membership-catalog/admin-membership-plans.controller.js";
+import { AdminEntitlementsController } from "../../../../src/nest/admin/membership-catalog/admin-entitlements.controller.js";
+
+const PLAN = {
+  plan_code: "vip",
+  name: "VIP",
+  description: null,
+  retired_at: null,
+  created_at: "2026-08-07 17:00:00",
+  updated_at: "2026-08-07 17:00:00",
+  entitlements: ["mix.create"],
+};
+
+const SESSION_ADMIN = {
+  via: "session" as const,
+  userId: 7,
+  role: "admin",
+  apiKeyId: null,
+};
+
+function rejectsWith(status: number, code: string) {
+  return (error: unknown) =>
+    error instanceof HttpException &&
+    error.getStatus() === status &&
+    (error.getResponse() as { error?: unknown }).error === code;
+}
+
+function createControllers(repository: Record<string, unknown>) {
+  const databaseService = {
+    getStatus() {
+      return { ready: true, error: null };
+    },
+  };
+
+  return {
+    plans: new AdminMembershipPlansController(databaseService as any, repository as any),
+    entitlements: new AdminEntitlementsController(databaseService as any, repository as any),
+  };
+}
+
+test("POST admin/membership-plans - normaliza entrada e repassa auditoria", async () => {
+  let received: any = null;
+
+  const { plans } = createControllers({
+    async createPlan(input: unknown) {
+      received = input;
+      return { ok: true, data: PLAN };
+    },
+  });
+
+  assert.deepEqual(
+    await plans.create(
+      { admin: SESSION_ADMIN as any },
+      {
+        plan_code: " VIP ",
+        name: " VIP ",
+        entitlements: ["mix.create", "MIX.CREATE"],
+      },
+    ),
+    { ok: true, item: PLAN },
+  );
+
+  assert.equal(received.planCode, "vip");
+  assert.equal(received.name, "VIP");
+  assert.deepEqual(received.entitlementKeys, ["mix.create"]);
+  assert.equal(received.audit.action, "membership_plan.create");
+  assert.equal(received.audit.entityType, "membership_plan");
+  assert.equal(received.audit.userId, 7);
+});
+
+test("POST admin/membership-plans - rejeita plan_code, nome e entitlements inválidos", async () => {
+  const { plans } = createControllers({
+    async createPlan() {
+      throw new Error("unexpected");
+    },
+  });
+
+  await assert.rejects(
+    plans.create({}, { plan_code: "vip tier", name: "VIP" }),
+    rejectsWith(400, "invalid_plan_code"),
+  );
+  await assert.rejects(
+    plans.create({}, { plan_code: "vip" }),
+    rejectsWith(400, "missing_name"),
+  );
+  await assert.rejects(
+    plans.create({}, { plan_code: "vip", name: "VIP", entitlements: "mix.create" }),
+    rejectsWith(400, "invalid_entitlements"),
+  );
+});
+
+test("rotas do catálogo mapeiam erros estáveis para 404 e 409", async () => {
+  const { plans, entitlements } = createControllers({
+    async retirePlan() {
+      return { ok: false, error: "membership_plan_already_retired" };
+    },
+    async detachEntitlement() {
+      return { ok: false, error: "entitlement_not_attached" };
+    },
+    async deleteEntitlement() {
+      return { ok: false, error: "entitlement_in_use" };
+    },
+    async updateEntitlement() {
+      return { ok: false, error: "tx_failed" };
+    },
+  });
+
+  await assert.rejects(plans.retire({}, "vip"), rejectsWith(409, "membership_plan_already_retired"));
+  await assert.rejects(
+    plans.detachEntitlement({}, "vip", "server.join"),
+    rejectsWith(404, "entitlement_not_attached"),
+  );
+  await assert.rejects(entitlements.remove({}, "server.join"), rejectsWith(409, "entitlement_in_use"));
+  await assert.rejects(
+    entitlements.update({}, "server.join", { description: "x" }),
+    rejectsWith(500, "internal_error"),
+  );
+  await assert.rejects(
+    entitlements.update({}, "server.join", {}),
+    rejectsWith(400, "empty_patch"),
+  );
+});
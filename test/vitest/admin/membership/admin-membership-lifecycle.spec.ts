@@ -221,3 +221,21 @@ test("lifecycle - expires_at makes non-terminal membership effectively expired",
     MEMBERSHIP_LIFECYCLE_ERROR_CODES.EXPIRED,
   );
 });
+
+test("suspend - grace period keeps a lapsed membership suspendable until it ends", () => {
+  const input = {
+    status: "active",
+    expiresAt: "2026-08-07 12:00:00",
+    now: "2026-08-07 18:00:00",
+  };
+
+  assert.equal(
+    assertMembershipCanSuspend({ ...input, gracePeriodHours: 12 }),
+    true,
+  );
+
+  assertLifecycleError(
+    () => assertMembershipCanSuspend({ ...input, gracePeriodHours: 6 }),
+    MEMBERSHIP_LIFECYCLE_ERROR_CODES.EXPIRED,
+  );
+});
@@ -5,6 +5,7 @@ import {
   HttpStatus,
 } from "@nestjs/common";
 
+import { ADMIN_PERMISSIONS } from "../../../../src/nest/admin/auth/admin-permissions.js";
 import { AdminMembershipController } from "../../../../src/nest/admin/membership/admin-membership.controller.js";
 
 const PLAYER_ACCOUNT_ID =
@@ -33,6 +34,8 @@ const SESSION_ADMIN = {
   email: "admin@example.test",
   name: "Admin",
   sessionId: "session-1",
+  apiKeyId: null,
+  permissions: [...ADMIN_PERMISSIONS],
 };
 
 function assertHttpError(
@@ -247,6 +250,7 @@ test("grant - derives staff source, normalizes UTC expiry and builds session aud
     method: "POST",
     action: "membership.grant",
     via: "session",
+    apiKeyId: null,
     entityType: "membership",
   });
 });
@@ -454,6 +458,7 @@ test("lifecycle - all four routes dispatch correct repository method and audit",
       method: "POST",
       action: `membership.${call.action}`,
       via: "session",
+      apiKeyId: null,
       entityType: "membership",
       entityKey: MEMBERSHIP_ID,
     });
@@ -548,6 +553,8 @@ test("audit - admin-key identity keeps null user id and admin-key via", async ()
         email: null,
         name: null,
         sessionId: null,
+        apiKeyId: null,
+        permissions: [...ADMIN_PERMISSIONS],
       },
     },
     MEMBERSHIP_ID,
@@ -589,3 +596,127 @@ test("grant - already expired association maps to 409", async () => {
       ),
   );
 });
+
+test("lifecycle - passes trimmed reason note to repository", async () => {
+  let receivedReason: unknown;
+
+  const { controller } = createController({
+    repository: {
+      async suspendMembership(
+        _id: string,
+        _audit: unknown,
+        reason: unknown,
+      ) {
+        receivedReason = reason;
+
+        return {
+          ok: true,
+          data: {
+            ...ITEM,
+            status: "suspended",
+          },
+        };
+      },
+    },
+  });
+
+  await controller.suspend(
+    { admin: SESSION_ADMIN },
+    MEMBERSHIP_ID,
+    { reason: "  Chargeback em análise  " },
+  );
+
+  assert.equal(receivedReason, "Chargeback em análise");
+});
+
+test("lifecycle - reason over 255 chars returns 400 without repository mutation", async () => {
+  let called = false;
+
+  const { controller } = createController({
+    repository: {
+      async cancelMembership() {
+        called = true;
+        return { ok: true, data: ITEM };
+      },
+    },
+  });
+
+  await assert.rejects(
+    controller.cancel(
+      { admin: SESSION_ADMIN },
+      MEMBERSHIP_ID,
+      { reason: "x".repeat(256) },
+    ),
+    (error) =>
+      assertHttpError(
+        error,
+        HttpStatus.BAD_REQUEST,
+        "reason_too_long",
+      ),
+  );
+
+  assert.equal(called, false);
+});
+
+test("events - unknown membership maps to 404", async () => {
+  const { controller } = createController({
+    repository: {
+      async listMembershipEvents() {
+        return null;
+      },
+    },
+  });
+
+  await assert.rejects(
+    controller.listEvents(MEMBERSHIP_ID),
+    (error) =>
+      assertHttpError(
+        error,
+        HttpStatus.NOT_FOUND,
+        "membership_not_found",
+      ),
+  );
+});
+
+test("events - requests one extra row and returns next cursor", async () => {
+  let received: any = null;
+
+  const { controller } = createController({
+    repository: {
+      async listMembershipEvents(input: unknown) {
+        received = input;
+        return [{ id: 30 }, { id: 29 }, { id: 28 }];
+      },
+    },
+  });
+
+  const result = await controller.listEvents(
+    MEMBERSHIP_ID,
+    "2",
+    "31",
+  );
+
+  assert.deepEqual(received, {
+    membershipId: MEMBERSHIP_ID,
+    limit: 3,
+    beforeId: 31,
+  });
+  assert.equal(result.count, 2);
+  assert.equal(result.nextCursor, "29");
+});
+
+test("events - invalid limit or cursor returns 400", async () => {
+  const { controller } = createController();
+
+  await assert.rejects(
+    controller.listEvents(MEMBERSHIP_ID, "101"),
+    (error) =>
+      assertHttpError(error, HttpStatus.BAD_REQUEST, "invalid_limit"),
+  );
+
+  await assert.rejects(
+    controller.listEvents(MEMBERSHIP_ID, undefined, "abc"),
+    (error) =>
+      assertHttpError(error, HttpStatus.BAD_REQUEST, "invalid_cursor"),
+  );
+});
@@ -42,6 +42,7 @@ function createHarness(input?: {
     parameters: unknown[] | undefined,
   ) => Promise<unknown>;
   auditError?: Error;
+  gracePeriodHours?: number;
 }) {
   const calls: Array<{
     kind: string;
@@ -89,6 +90,8 @@ function createHarness(input?: {
     async getConnection() {
       return connection;
     },
+
+    execute: connection.execute,
   };
 
   const databaseService = {
@@ -121,6 +124,11 @@ function createHarness(input?: {
     repository: new AdminMembershipRepository(
       databaseService as any,
       adminAuditService as any,
+      {
+        membershipLifecycle: {
+          gracePeriodHours: input?.gracePeriodHours ?? 0,
+        },
+      } as any,
     ),
   };
 }
@@ -147,6 +155,12 @@ test("grant - locks player account, creates active membership, audits and commit
         return [[{ id: PLAYER_ACCOUNT_ID }], []];
       }
 
+      if (sql.includes("FROM membership_plans")) {
+        assert.deepEqual(parameters, ["member"]);
+        assert.ok(sql.includes("LOCK IN SHARE MODE"));
+        return [[{ retired_at: null }], []];
+      }
+
       if (sql.includes("INSERT INTO player_memberships")) {
         generatedMembershipId = String(parameters?.[0] ?? "");
 
@@ -175,6 +189,22 @@ test("grant - locks player account, creates active membership, audits and commit
         ];
       }
 
+      if (sql.includes("INSERT INTO player_membership_events")) {
+        assert.deepEqual(parameters, [
+          generatedMembershipId,
+          PLAYER_ACCOUNT_ID,
+          "granted",
+          null,
+          "active",
+          null,
+          null,
+          "admin",
+          7,
+          "Cortesia de evento",
+        ]);
+        return [{ affectedRows: 1, insertId: 1 }, []];
+      }
+
       throw new Error(`unexpected SQL: ${sql}`);
     },
   });
@@ -184,10 +214,17 @@ test("grant - locks player account, creates active membership, audits and commit
     planCode: "member",
     source: "staff",
     expiresAt: null,
+    reason: "Cortesia de evento",
     audit: AUDIT,
   });
 
   assert.equal(result.ok, true);
+  assert.equal(
+    harness.calls.filter((call) =>
+      call.sql?.includes("INSERT INTO player_membership_events"),
+    ).length,
+    1,
+  );
 
   if (result.ok) {
     assert.equal(result.data.status, "active");
@@ -228,6 +265,10 @@ test("grant - duplicate membership rolls back and returns stable conflict", asyn
         return [[{ id: PLAYER_ACCOUNT_ID }], []];
       }
 
+      if (sql.includes("FROM membership_plans")) {
+        return [[{ retired_at: null }], []];
+      }
+
       if (sql.includes("INSERT INTO player_memberships")) {
         const error = new Error("duplicate") as Error & {
           code?: string;
@@ -267,6 +308,45 @@ test("grant - duplicate membership rolls back and returns stable conflict", asyn
   );
 });
 
+test("grant - unknown or retired plan rolls back before insert or audit", async () => {
+  for (const [planRows, expected] of [
+    [[], "membership_plan_not_found"],
+    [[{ retired_at: "2026-08-01 00:00:00" }], "membership_plan_retired"],
+  ] as const) {
+    const harness = createHarness({
+      async execute(sql) {
+        if (sql.includes("FROM player_accounts")) {
+          return [[{ id: PLAYER_ACCOUNT_ID }], []];
+        }
+
+        if (sql.includes("FROM membership_plans")) {
+          return [planRows, []];
+        }
+
+        throw new Error(`unexpected SQL: ${sql}`);
+      },
+    });
+
+    const result = await harness.repository.grantMembership({
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      planCode: "vip",
+      source: "staff",
+      expiresAt: null,
+      audit: AUDIT,
+    });
+
+    assert.deepEqual(result, { ok: false, error: expected });
+    assert.equal(
+      harness.calls.filter((call) => call.kind === "audit").length,
+      0,
+    );
+    assert.equal(
+      harness.calls.filter((call) => call.kind === "rollback").length,
+      1,
+    );
+  }
+});
+
 test("activate - locks membership row, updates status, audits and commits", async () => {
   let readCount = 0;
 
@@ -299,6 +379,22 @@ test("activate - locks membership row, updates status, audits and commits", asyn
         return [[membershipRow("active")], []];
       }
 
+      if (sql.includes("INSERT INTO player_membership_events")) {
+        assert.deepEqual(parameters, [
+          MEMBERSHIP_ID,
+          PLAYER_ACCOUNT_ID,
+          "activated",
+          "inactive",
+          "active",
+          null,
+          null,
+          "admin",
+          7,
+          null,
+        ]);
+        return [{ affectedRows: 1, insertId: 1 }, []];
+      }
+
       throw new Error(`unexpected SQL: ${sql}`);
     },
   });
@@ -323,6 +419,10 @@ test("activate - locks membership row, updates status, audits and commits", asyn
   assert.equal(auditCall.entry?.action, "membership.activate");
   assert.equal(auditCall.entry?.entityType, "membership");
   assert.equal(auditCall.entry?.entityKey, MEMBERSHIP_ID);
+  assert.deepEqual(auditCall.entry?.diff, {
+    before: { status: "inactive", started_at: null },
+    after: { status: "active", started_at: "2026-08-07 18:00:00" },
+  });
 
   assert.equal(
     harness.calls.filter((call) => call.kind === "commit").length,
@@ -452,6 +552,14 @@ test("lifecycle - audit failure rolls back mutation atomically", async () => {
         return [{ affectedRows: 1 }, []];
       }
 
+      if (sql.includes("FROM player_memberships")) {
+        return [[membershipRow("suspended")], []];
+      }
+
+      if (sql.includes("INSERT INTO player_membership_events")) {
+        return [{ affectedRows: 1, insertId: 1 }, []];
+      }
+
       throw new Error(`unexpected SQL: ${sql}`);
     },
   });
@@ -529,3 +637,145 @@ test("grant - expired expires_at rolls back before insert or audit", async () =>
     false,
   );
 });
+
+test("suspend - records reason and unchanged expiry in membership events", async () => {
+  const harness = createHarness({
+    async execute(sql, parameters) {
+      if (
+        sql.includes("FROM player_memberships") &&
+        sql.includes("FOR UPDATE")
+      ) {
+        return [[{
+          ...membershipRow("active"),
+          expires_at: "2026-09-01 00:00:00",
+        }], []];
+      }
+
+      if (sql.includes("UPDATE player_memberships")) {
+        return [{ affectedRows: 1 }, []];
+      }
+
+      if (sql.includes("FROM player_memberships")) {
+        return [[{
+          ...membershipRow("suspended"),
+          expires_at: "2026-09-01 00:00:00",
+        }], []];
+      }
+
+      if (sql.includes("INSERT INTO player_membership_events")) {
+        assert.deepEqual(parameters, [
+          MEMBERSHIP_ID,
+          PLAYER_ACCOUNT_ID,
+          "suspended",
+          "active",
+          "suspended",
+          "2026-09-01 00:00:00",
+          "2026-09-01 00:00:00",
+          "admin",
+          7,
+          "Chargeback em análise",
+        ]);
+        return [{ affectedRows: 1, insertId: 1 }, []];
+      }
+
+      throw new Error(`unexpected SQL: ${sql}`);
+    },
+  });
+
+  const result = await harness.repository.suspendMembership(
+    MEMBERSHIP_ID,
+    AUDIT,
+    "Chargeback em análise",
+  );
+
+  assert.equal(result.ok, true);
+
+  const executed = sqlCalls(harness.calls).map((call) => call.sql ?? "");
+  const eventIndex = executed.findIndex((sql) =>
+    sql.includes("INSERT INTO player_membership_events"),
+  );
+
+  assert.ok(eventIndex > executed.findIndex((sql) =>
+    sql.includes("UPDATE player_memberships"),
+  ));
+  assert.equal(
+    harness.calls.filter((call) => call.kind === "commit").length,
+    1,
+  );
+});
+
+test("events - unknown membership returns null without reading events", async () => {
+  const harness = createHarness({
+    async execute(sql, parameters) {
+      if (sql.includes("FROM player_memberships")) {
+        assert.deepEqual(parameters, [MEMBERSHIP_ID]);
+        return [[], []];
+      }
+
+      throw new Error(`unexpected SQL: ${sql}`);
+    },
+  });
+
+  const result = await harness.repository.listMembershipEvents({
+    membershipId: MEMBERSHIP_ID,
+    limit: 21,
+    beforeId: null,
+  });
+
+  assert.equal(result, null);
+});
+
+test("events - lists newest first with cursor and actor display name", async () => {
+  const harness = createHarness({
+    async execute(sql, parameters) {
+      if (sql.includes("FROM player_memberships")) {
+        return [[{ id: MEMBERSHIP_ID }], []];
+      }
+
+      if (sql.includes("FROM player_membership_events")) {
+        assert.ok(sql.includes("LEFT JOIN users"));
+        assert.ok(sql.includes("e.id < ?"));
+        assert.ok(sql.includes("ORDER BY e.id DESC"));
+        assert.deepEqual(parameters, [MEMBERSHIP_ID, 40, 11]);
+
+        return [[{
+          id: "12",
+          membership_id: MEMBERSHIP_ID,
+          event_type: "suspended",
+          previous_status: "active",
+          new_status: "suspended",
+          previous_expires_at: null,
+          new_expires_at: null,
+          actor_type: "admin",
+          actor_user_id: 7,
+          actor_display_name: "Staff",
+          reason: "Chargeback em análise",
+          created_at: "2026-08-07 18:10:00",
+        }], []];
+      }
+
+      throw new Error(`unexpected SQL: ${sql}`);
+    },
+  });
+
+  const result = await harness.repository.listMembershipEvents({
+    membershipId: MEMBERSHIP_ID,
+    limit: 11,
+    beforeId: 40,
+  });
+
+  assert.deepEqual(result, [{
+    id: 12,
+    membership_id: MEMBERSHIP_ID,
+    type: "suspended",
+    previous_status: "active",
+    new_status: "suspended",
+    previous_expires_at: null,
+    new_expires_at: null,
+    actor_type: "admin",
+    actor_user_id: 7,
+    actor_display_name: "Staff",
+    reason: "Chargeback em análise",
+    created_at: "2026-08-07 18:10:00",
+  }]);
+});
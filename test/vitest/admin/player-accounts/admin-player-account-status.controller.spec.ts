@@ -126,6 +126,7 @@ test("disable - delegates explicit status transition with admin audit context",
       action:
         "player_account.disable",
       via: "session",
+      apiKeyId: null,
       entityType:
         "player_account",
       entityKey:
@@ -267,3 +268,62 @@ test("same-state transition maps to 409", async () => {
       ),
   );
 });
+
+test("unlockLogin - audits the unlock and maps missing lockout to 409", async () => {
+  let received:
+    any = null;
+
+  const controller =
+    new AdminPlayerAccountStatusController(
+      database() as any,
+      {
+        async clearLoginLockout(
+          input: unknown,
+        ) {
+          received = input;
+
+          return {
+            ok: false,
+            error:
+              "player_account_login_not_locked",
+          };
+        },
+      } as any,
+    );
+
+  await assert.rejects(
+    controller.unlockLogin(
+      {
+        admin: {
+          userId: 42,
+          via: "session",
+        },
+      } as any,
+      PLAYER_ACCOUNT_ID,
+    ),
+    (error) =>
+      assertHttpError(
+        error,
+        HttpStatus.CONFLICT,
+        "player_account_login_not_locked",
+      ),
+  );
+
+  assert.deepEqual(
+    received.audit,
+    {
+      userId: 42,
+      route:
+        "/admin/player-accounts/:id/login-lockout",
+      method: "DELETE",
+      action:
+        "player_account.login_unlock",
+      via: "session",
+      apiKeyId: null,
+      entityType:
+        "player_account",
+      entityKey:
+        PLAYER_ACCOUNT_ID,
+    },
+  );
+});
@@ -259,6 +259,21 @@ test("disable - changes status, revokes sessions and audits in one transaction",
     1,
   );
 
+  assert.deepEqual(
+    (harness.auditEntries[0] as { diff: unknown }).diff,
+    {
+      before: {
+        status: "active",
+        disabled_at: null,
+      },
+      after: {
+        status: "disabled",
+        disabled_at:
+          "2026-08-07 19:00:00",
+      },
+    },
+  );
+
   assert.deepEqual(
     harness.counters(),
     {
@@ -460,3 +475,129 @@ test("audit failure rolls back the status transaction", async () => {
     1,
   );
 });
+
+test("clearLoginLockout - deletes the account failure row and audits the diff", async () => {
+  const sqlCalls:
+    string[] = [];
+
+  const auditEntries:
+    unknown[] = [];
+
+  const connection = {
+    async beginTransaction() {},
+    async commit() {},
+    async rollback() {},
+    release() {},
+
+    async execute(
+      sql: string,
+    ) {
+      sqlCalls.push(sql);
+
+      if (
+        /FROM player_accounts/.test(
+          sql,
+        )
+      ) {
+        return [
+          [
+            {
+              status: "active",
+              disabled_at: null,
+            },
+          ],
+        ];
+      }
+
+      if (
+        /SELECT[\s\S]*FROM player_login_failures/.test(
+          sql,
+        )
+      ) {
+        return [
+          [
+            {
+              failed_attempts: 0,
+              locked_until:
+                "2026-08-07 19:15:00",
+              lockout_count: 1,
+            },
+          ],
+        ];
+      }
+
+      return [
+        {
+          affectedRows: 1,
+        },
+      ];
+    },
+  };
+
+  const repository =
+    new AdminPlayerAccountStatusRepository(
+      {
+        getPool() {
+          return {
+            async getConnection() {
+              return connection;
+            },
+          };
+        },
+      } as any,
+      {
+        async insert(
+          _connection: unknown,
+          entry: unknown,
+        ) {
+          auditEntries.push(entry);
+        },
+      } as any,
+    );
+
+  const result =
+    await repository.clearLoginLockout({
+      id:
+        PLAYER_ACCOUNT_ID,
+
+      audit: {
+        userId: 42,
+        route:
+          "/admin/player-accounts/:id/login-lockout",
+        method: "DELETE",
+        action:
+          "player_account.login_unlock",
+        via: "session",
+      },
+    });
+
+  assert.equal(
+    result.ok,
+    true,
+  );
+
+  assert.equal(
+    sqlCalls.some(
+      (sql) =>
+        /DELETE FROM player_login_failures/.test(
+          sql,
+        ),
+    ),
+    true,
+  );
+
+  assert.deepEqual(
+    (auditEntries[0] as { diff: unknown }).diff,
+    {
+      before: {
+        locked_until:
+          "2026-08-07 19:15:00",
+        lockout_count: 1,
+      },
+      after: {
+        locked_until: null,
+        lockout_count: 0,
+      },
+    },
+  );
+});
@@ -77,6 +77,10 @@ function createRepository(
           },
         };
       },
+    } as any, {
+      membershipLifecycle: {
+        gracePeriodHours: 0,
+      },
     } as any);
 
   return {
@@ -0,0 +1,171 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+import { GUARDS_METADATA, PATH_METADATA } from "@nestjs/common/constants.js";
+
+import { AdminAuthGuard } from "../../../../src/nest/admin/auth/admin-auth.guard.js";
+import { ADMIN_PERMISSIONS_METADATA } from "../../../../src/nest/admin/auth/admin-permissions.js";
+import { AdminAuditService } from "../../../../src/nest/admin/common/admin-audit.service.js";
+import { AdminPlayerSessionsController } from "../../../../src/nest/admin/player-accounts/admin-player-sessions.controller.js";
+import { AdminPlayerSessionsRepository } from "../../../../src/nest/admin/player-accounts/admin-player-sessions.repository.js";
+
+const ACCOUNT_ID = "11111111-1111-4111-8111-111111111111";
+const SESSION_ID = "22222222-2222-4222-8222-222222222222";
+const ADMIN = { via: "session", userId: 7, apiKeyId: null } as any;
+
+interface Call {
+  sql: string;
+  params: unknown[];
+}
+
+function sessionRow(overrides: Record<string, unknown> = {}) {
+  return {
+    id: SESSION_ID,
+    status: "active",
+    created_at: "2026-10-01 00:00:00",
+    last_seen_at: "2026-10-01 02:00:00",
+    expires_at: "2026-10-08 00:00:00",
+    revoked_at: null,
+    created_ip: "203.0.113.7",
+    user_agent: "Mozilla/5.0",
+    ...overrides,
+  };
+}
+
+function createRepository(current: Record<string, unknown> | null = sessionRow()) {
+  const calls: Call[] = [];
+  const state = { committed: false, rolledBack: false };
+
+  const connection = {
+    async beginTransaction() {},
+    async commit() { state.committed = true; },
+    async rollback() { state.rolledBack = true; },
+    release() {},
+    async execute(statement: string, params: unknown[] = []) {
+      const sql = statement.replace(/\s+/g, " ").trim();
+      calls.push({ sql, params });
+
+      if (sql.includes("FOR UPDATE")) {
+        return [current ? [current] : []];
+      }
+      if (sql.startsWith("SELECT")) {
+        return [[sessionRow({ status: "revoked", revoked_at: "2026-10-02 00:00:00" })]];
+      }
+      return [{ affectedRows: 1 }];
+    },
+  };
+
+  const pool = {
+    getConnection: async () => connection,
+    async execute(statement: string, params: unknown[] = []) {
+      const sql = statement.replace(/\s+/g, " ").trim();
+      calls.push({ sql, params });
+
+      if (sql.includes("FROM player_accounts")) {
+        return [current ? [{ id: ACCOUNT_ID }] : []];
+      }
+      return [[sessionRow()]];
+    },
+  };
+
+  return {
+    repository: new AdminPlayerSessionsRepository({ getPool: () => pool } as any, new AdminAuditService()),
+    calls,
+    state,
+  };
+}
+
+function assertHttpError(error: unknown, status: number, code: string): boolean {
+  assert.ok(error instanceof HttpException);
+  assert.equal(error.getStatus(), status);
+  assert.equal((error.getResponse() as { error?: unknown }).error, code);
+  return true;
+}
+
+test("reads require players.read and revoke requires moderation", () => {
+  assert.equal(Reflect.getMetadata(PATH_METADATA, AdminPlayerSessionsController), "admin/player-accounts/:id/sessions");
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, AdminPlayerSessionsController), [AdminAuthGuard]);
+  assert.deepEqual(Reflect.getMetadata(ADMIN_PERMISSIONS_METADATA, AdminPlayerSessionsController), ["players.read"]);
+  assert.deepEqual(
+    Reflect.getMetadata(ADMIN_PERMISSIONS_METADATA, AdminPlayerSessionsController.prototype.revoke),
+    ["player-accounts.moderate"],
+  );
+});
+
+test("list only returns active sessions unless status=all and 404s unknown accounts", async () => {
+  const { repository, calls } = createRepository();
+
+  const active = await repository.listForAccount({ playerAccountId: ACCOUNT_ID, includeInactive: false, limit: 50 });
+  assert.equal(active?.[0]?.status, "active");
+  assert.match(calls[1]!.sql, /AND revoked_at IS NULL AND expires_at > UTC_TIMESTAMP\(\)/);
+  assert.deepEqual(calls[1]!.params, [ACCOUNT_ID, 50]);
+
+  await repository.listForAccount({ playerAccountId: ACCOUNT_ID, includeInactive: true, limit: 10 });
+  assert.doesNotMatch(calls[3]!.sql, /AND revoked_at IS NULL/);
+
+  assert.equal(
+    await createRepository(null).repository.listForAccount({ playerAccountId: ACCOUNT_ID, includeInactive: false, limit: 50 }),
+    null,
+  );
+
+  const controller = new AdminPlayerSessionsController(
+    { getStatus: () => ({ ready: true }) } as any,
+    { async listForAccount() { return null; } } as any,
+  );
+  await assert.rejects(controller.list(ACCOUNT_ID), (e) => assertHttpError(e, 404, "player_account_not_found"));
+  await assert.rejects(controller.list(ACCOUNT_ID, "revoked"), (e) => assertHttpError(e, 400, "invalid_session_status"));
+  await assert.rejects(controller.list("nope"), (e) => assertHttpError(e, 400, "invalid_player_account_id"));
+});
+
+test("revoke scopes the lock to the account and audits the transition", async () => {
+  const { repository, calls, state } = createRepository();
+
+  const controller = new AdminPlayerSessionsController(
+    { getStatus: () => ({ ready: true }) } as any,
+    repository,
+  );
+
+  const result = await controller.revoke({ admin: ADMIN }, ACCOUNT_ID, SESSION_ID.toUpperCase());
+
+  assert.equal(result.item.status, "revoked");
+  assert.deepEqual(calls[0]!.params, [SESSION_ID, ACCOUNT_ID]);
+
+  const audit = calls.find((call) => call.sql.startsWith("INSERT INTO admin_audit_log"))!;
+  assert.deepEqual(audit.params, [
+    7,
+    "/admin/player-accounts/:id/sessions/:sessionId",
+    "DELETE",
+    "player_session.revoke",
+    "session",
+    null,
+    "player_session",
+    SESSION_ID,
+    JSON.stringify({
+      before: { status: "active", revoked_at: null },
+      after: { status: "revoked", revoked_at: "2026-10-02 00:00:00" },
+    }),
+  ]);
+  assert.equal(state.committed, true);
+});
+
+test("revoke maps missing sessions to 404 and inactive ones to 409", async () => {
+  const missing = new AdminPlayerSessionsController(
+    { getStatus: () => ({ ready: true }) } as any,
+    createRepository(null).repository,
+  );
+  await assert.rejects(
+    missing.revoke({ admin: ADMIN }, ACCOUNT_ID, SESSION_ID),
+    (e) => assertHttpError(e, 404, "player_session_not_found"),
+  );
+
+  const revoked = createRepository(sessionRow({ status: "revoked", revoked_at: "2026-10-02 00:00:00" }));
+  const controller = new AdminPlayerSessionsController(
+    { getStatus: () => ({ ready: true }) } as any,
+    revoked.repository,
+  );
+  await assert.rejects(
+    controller.revoke({ admin: ADMIN }, ACCOUNT_ID, SESSION_ID),
+    (e) => assertHttpError(e, 409, "player_session_already_revoked"),
+  );
+  assert.equal(revoked.calls.some((call) => call.sql.startsWith("INSERT INTO admin_audit_log")), false);
+});
@@ -25,6 +25,7 @@ test("buildAppConfig - defaults", () => {
     "https://backoffice.haxixesmokeclub.com",
   );
   assert.equal(config.adminAuth.magicLinkCallbackPath, "/auth/callback");
+  assert.equal(config.adminAuth.secondFactorBootstrapToken, "");
 
   assert.equal(config.playerAuth.cookieName, "hsc_player_session");
   assert.equal(config.playerAuth.ttlHours, 168);
@@ -71,6 +72,7 @@ test("buildAppConfig - valores válidos", () => {
     MAGIC_LINK_TTL_MINUTES: "10",
     BACKOFFICE_URL: "http://127.0.0.1:5173",
     MAGIC_LINK_CALLBACK_PATH: "/custom/callback",
+    ADMIN_2FA_BOOTSTRAP_TOKEN: "bootstrap-secret",
     PLAYER_SESSION_COOKIE: "custom_player_cookie",
     PLAYER_SESSION_TTL_HOURS: "72",
     PLAYER_STEAM_AUTH_ENABLED: "True",
@@ -89,6 +91,7 @@ test("buildAppConfig - valores válidos", () => {
   assert.equal(config.adminAuth.magicLinkTtlMinutes, 10);
   assert.equal(config.adminAuth.backofficeUrl, "http://127.0.0.1:5173");
   assert.equal(config.adminAuth.magicLinkCallbackPath, "/custom/callback");
+  assert.equal(config.adminAuth.secondFactorBootstrapToken, "bootstrap-secret");
   assert.equal(config.playerAuth.cookieName, "custom_player_cookie");
   assert.equal(config.playerAuth.ttlHours, 72);
   assert.equal(config.playerSteamAuth.enabled, true);
@@ -0,0 +1,26 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { buildAppConfig } from "../../../src/config/appConfig.js";
+
+test("buildAppConfig - matchBridge sweeper desligado por padrão", () => {
+  const config = buildAppConfig({});
+  assert.deepEqual(config.matchBridge, {
+    sweeperEnabled: false,
+    sweepIntervalMs: 15000,
+    nodeStaleAfterSeconds: 90,
+    maxLeaseAttempts: 3,
+  });
+});
+
+test("buildAppConfig - matchBridge respeita variáveis do sweeper", () => {
+  const config = buildAppConfig({
+    MATCH_BRIDGE_SWEEPER_ENABLED: "true",
+    MATCH_BRIDGE_SWEEP_INTERVAL_MS: "5000",
+    MATCH_BRIDGE_NODE_STALE_SECONDS: "60",
+    MATCH_BRIDGE_MAX_LEASE_ATTEMPTS: "5",
+  });
+  assert.equal(config.matchBridge.sweeperEnabled, true);
+  assert.equal(config.matchBridge.sweepIntervalMs, 5000);
+  assert.equal(config.matchBridge.nodeStaleAfterSeconds, 60);
+  assert.equal(config.matchBridge.maxLeaseAttempts, 5);
+});
@@ -0,0 +1,21 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { buildAppConfig } from "../../../src/config/appConfig.js";
+import { ConfigError } from "../../../src/config/helpers.js";
+
+test("buildAppConfig - matchProvisioning usa 3 tentativas de PREPARE_MATCH por padrão", () => {
+  const config = buildAppConfig({});
+  assert.equal(config.matchProvisioning.prepareMatchMaxAttempts, 3);
+});
+
+test("buildAppConfig - matchProvisioning respeita MATCH_PREPARE_MAX_ATTEMPTS", () => {
+  const config = buildAppConfig({ MATCH_PREPARE_MAX_ATTEMPTS: "5" });
+  assert.equal(config.matchProvisioning.prepareMatchMaxAttempts, 5);
+});
+
+test("buildAppConfig - matchProvisioning rejeita MATCH_PREPARE_MAX_ATTEMPTS inválido", () => {
+  assert.throws(
+    () => buildAppConfig({ MATCH_PREPARE_MAX_ATTEMPTS: "0" }),
+    ConfigError,
+  );
+});
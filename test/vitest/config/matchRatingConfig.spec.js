@@ -0,0 +1,19 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { buildAppConfig } from "../../../src/config/appConfig.js";
+import { ConfigError } from "../../../src/config/helpers.js";
+
+test("buildAppConfig - matchRating usa rating inicial 1000 e K 32 por padrão", () => {
+  const config = buildAppConfig({});
+  assert.deepEqual(config.matchRating, { initialRating: 1000, kFactor: 32 });
+});
+
+test("buildAppConfig - matchRating respeita MATCH_RATING_INITIAL e MATCH_RATING_K_FACTOR", () => {
+  const config = buildAppConfig({ MATCH_RATING_INITIAL: "1500", MATCH_RATING_K_FACTOR: "24" });
+  assert.deepEqual(config.matchRating, { initialRating: 1500, kFactor: 24 });
+});
+
+test("buildAppConfig - matchRating rejeita valores inválidos", () => {
+  assert.throws(() => buildAppConfig({ MATCH_RATING_INITIAL: "0" }), ConfigError);
+  assert.throws(() => buildAppConfig({ MATCH_RATING_K_FACTOR: "abc" }), ConfigError);
+});
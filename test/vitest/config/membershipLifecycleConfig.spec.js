@@ -0,0 +1,30 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { buildAppConfig } from "../../../src/config/appConfig.js";
+import { ConfigError } from "../../../src/config/helpers.js";
+
+test("buildAppConfig - lifecycle de membership sem carência e com lembretes desligados por padrão", () => {
+  const config = buildAppConfig({});
+  assert.deepEqual(config.membershipLifecycle, {
+    gracePeriodHours: 0,
+    remindersEnabled: false,
+    reminderDays: 7,
+    reminderSubject: "Your HSC membership is about to expire",
+    batchSize: 200,
+  });
+});
+
+test("buildAppConfig - lifecycle de membership aceita overrides e rejeita valores inválidos", () => {
+  const config = buildAppConfig({
+    MEMBERSHIP_EXPIRY_GRACE_HOURS: "72",
+    MEMBERSHIP_EXPIRY_REMINDERS_ENABLED: "true",
+    MEMBERSHIP_EXPIRY_REMINDER_DAYS: "3",
+  });
+  assert.equal(config.membershipLifecycle.gracePeriodHours, 72);
+  assert.equal(config.membershipLifecycle.remindersEnabled, true);
+  assert.equal(config.membershipLifecycle.reminderDays, 3);
+
+  assert.throws(() => buildAppConfig({ MEMBERSHIP_EXPIRY_GRACE_HOURS: "-1" }), ConfigError);
+  assert.throws(() => buildAppConfig({ MEMBERSHIP_EXPIRY_REMINDER_DAYS: "0" }), ConfigError);
+  assert.throws(() => buildAppConfig({ MEMBERSHIP_LIFECYCLE_BATCH_SIZE: "abc" }), ConfigError);
+});
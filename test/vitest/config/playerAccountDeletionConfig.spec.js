@@ -0,0 +1,31 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { buildAppConfig } from "../../../src/config/appConfig.js";
+import { ConfigError } from "../../../src/config/helpers.js";
+
+test("buildAppConfig - exclusão de conta usa carência de 14 dias e sweeper ligado por padrão", () => {
+  const config = buildAppConfig({});
+  assert.deepEqual(config.playerAccountDeletion, {
+    confirmationTtlMinutes: 60,
+    confirmationUrl: "/portal/cs2-next/confirm-account-deletion",
+    confirmationSubject: "Confirm your HSC account deletion",
+    gracePeriodDays: 14,
+    sweeperEnabled: true,
+    sweepIntervalMs: 600000,
+  });
+});
+
+test("buildAppConfig - exclusão de conta aceita overrides e rejeita valores inválidos", () => {
+  const config = buildAppConfig({
+    PLAYER_ACCOUNT_DELETION_GRACE_DAYS: "30",
+    PLAYER_ACCOUNT_DELETION_SWEEPER_ENABLED: "false",
+  });
+  assert.equal(config.playerAccountDeletion.gracePeriodDays, 30);
+  assert.equal(config.playerAccountDeletion.sweeperEnabled, false);
+
+  assert.throws(() => buildAppConfig({ PLAYER_ACCOUNT_DELETION_GRACE_DAYS: "0" }), ConfigError);
+  assert.throws(
+    () => buildAppConfig({ PLAYER_ACCOUNT_DELETION_CONFIRMATION_URL: "javascript:alert(1)" }),
+    ConfigError,
+  );
+});
@@ -0,0 +1,25 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { buildAppConfig } from "../../../src/config/appConfig.js";
+import { ConfigError } from "../../../src/config/helpers.js";
+
+test("buildAppConfig - notificações de segurança ficam desligadas por padrão", () => {
+  const config = buildAppConfig({});
+  assert.deepEqual(config.playerSecurityNotifications, {
+    enabled: false,
+    newLoginSubject: "New sign-in to your HSC account",
+    steamLinkedSubject: "Steam account linked to your HSC account",
+    passwordChangedSubject: "Your HSC password was changed",
+  });
+});
+
+test("buildAppConfig - notificações de segurança aceitam overrides e rejeitam booleano inválido", () => {
+  const config = buildAppConfig({
+    PLAYER_SECURITY_NOTIFICATIONS_ENABLED: "true",
+    PLAYER_SECURITY_NEW_LOGIN_SUBJECT: "Novo login",
+  });
+  assert.equal(config.playerSecurityNotifications.enabled, true);
+  assert.equal(config.playerSecurityNotifications.newLoginSubject, "Novo login");
+
+  assert.throws(() => buildAppConfig({ PLAYER_SECURITY_NOTIFICATIONS_ENABLED: "talvez" }), ConfigError);
+});
@@ -0,0 +1,36 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { buildAppConfig } from "../../../src/config/appConfig.js";
+import { ConfigError } from "../../../src/config/helpers.js";
+
+const KEY = Buffer.alloc(32, 7).toString("base64");
+
+test("buildAppConfig - totp fica desabilitado sem TOTP_SECRET_KEY", () => {
+  const config = buildAppConfig({});
+  assert.deepEqual(config.totp, {
+    configured: false,
+    secretKey: "",
+    issuer: "HSC",
+    challengeTtlMinutes: 5,
+  });
+});
+
+test("buildAppConfig - totp aceita chave de 32 bytes, issuer e TTL do desafio", () => {
+  const config = buildAppConfig({
+    TOTP_SECRET_KEY: KEY,
+    TOTP_ISSUER: "HSC Staging",
+    TOTP_CHALLENGE_TTL_MINUTES: "3",
+  });
+  assert.equal(config.totp.configured, true);
+  assert.equal(config.totp.secretKey, KEY);
+  assert.equal(config.totp.issuer, "HSC Staging");
+  assert.equal(config.totp.challengeTtlMinutes, 3);
+});
+
+test("buildAppConfig - totp rejeita chave com tamanho errado", () => {
+  assert.throws(
+    () => buildAppConfig({ TOTP_SECRET_KEY: Buffer.alloc(16).toString("base64") }),
+    ConfigError,
+  );
+  assert.throws(() => buildAppConfig({ TOTP_CHALLENGE_TTL_MINUTES: "0" }), ConfigError);
+});
@@ -0,0 +1,63 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SERVICE_TEXT = `[Unit]
+Description=HSC Auth API Membership lifecycle reconciliation
+Wants=network-online.target
+After=network-online.target
+
+[Service]
+Type=oneshot
+User=hscadmin
+Group=hscadmin
+WorkingDirectory=/opt/hsc/hsc-auth-api
+ExecStart=/usr/bin/node /opt/hsc/hsc-auth-api/scripts/membership-lifecycle.js
+StandardOutput=journal
+StandardError=journal
+SyslogIdentifier=hsc-auth-api-membership-lifecycle
+TimeoutStartSec=120
+`;
+
+const TIMER_TEXT = `[Unit]
+Description=Run HSC Membership lifecycle reconciliation every fifteen minutes
+
+[Timer]
+OnCalendar=*-*-* *:0/15:00
+Persistent=true
+AccuracySec=1min
+Unit=hsc-auth-api-membership-lifecycle.service
+
+[Install]
+WantedBy=timers.target
+`;
+
+function repositoryRoot() {
+  return path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../..");
+}
+
+async function readUnitFile(filename) {
+  const raw = await readFile(
+    path.join(repositoryRoot(), "deploy", "systemd", filename),
+    "utf8",
+  );
+  assert.equal(raw.endsWith("\n"), true, `${filename} must end with a newline`);
+  return raw.replace(/\r\n/g, "\n");
+}
+
+test("systemd membership lifecycle service segue o contrato do reconcile de seasons", async () => {
+  const service = await readUnitFile("hsc-auth-api-membership-lifecycle.service");
+
+  assert.equal(service, SERVICE_TEXT);
+  assert.doesNotMatch(service, /^(?:Environment|EnvironmentFile|Restart)=/m);
+  assert.doesNotMatch(service, /^User=root$/m);
+});
+
+test("systemd membership lifecycle timer roda a cada quinze minutos sem jitter", async () => {
+  const timer = await readUnitFile("hsc-auth-api-membership-lifecycle.timer");
+
+  assert.equal(timer, TIMER_TEXT);
+  assert.doesNotMatch(timer, /^(?:RandomizedDelaySec|OnBootSec|ExecStart)=/m);
+});
@@ -0,0 +1,53 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import type { AppConfig } from "../../../../src/nest/core/app-config.js";
+import { MatchBridgeSweeperService } from "../../../../src/nest/internal/match-bridge/match-bridge-sweeper.service.js";
+
+function config(sweeperEnabled: boolean) {
+  return {
+    matchBridge: { sweeperEnabled, sweepIntervalMs: 15_000, nodeStaleAfterSeconds: 90, maxLeaseAttempts: 3 },
+  } as unknown as AppConfig;
+}
+
+const database = { getStatus: () => ({ ready: true, error: null }) };
+
+describe("MatchBridgeSweeperService", () => {
+  afterEach(() => { vi.useRealTimers(); });
+
+  it("marks stale nodes, sweeps every candidate and counts failures without aborting the pass", async () => {
+    const repository = {
+      markStaleNodes: vi.fn().mockResolvedValue(["node-02"]),
+      listSweepCandidateCommandIds: vi.fn().mockResolvedValue(["cmd-1", "cmd-2", "cmd-3"]),
+      sweepCommand: vi.fn()
+        .mockResolvedValueOnce("requeued")
+        .mockRejectedValueOnce(new TypeError("incoherent"))
+        .mockResolvedValueOnce("failed"),
+    };
+    const service = new MatchBridgeSweeperService(config(false), database as any, repository as any);
+
+    await expect(service.sweepOnce()).resolves.toEqual({ staleNodes: 1, requeued: 1, failed: 1, skipped: 0, errors: 1 });
+    expect(repository.markStaleNodes).toHaveBeenCalledWith(90);
+    expect(repository.sweepCommand).toHaveBeenCalledWith("cmd-1", 3);
+  });
+
+  it("schedules periodic sweeps only when enabled", async () => {
+    vi.useFakeTimers();
+    const repository = {
+      markStaleNodes: vi.fn().mockResolvedValue([]),
+      listSweepCandidateCommandIds: vi.fn().mockResolvedValue([]),
+      sweepCommand: vi.fn(),
+    };
+
+    const disabled = new MatchBridgeSweeperService(config(false), database as any, repository as any);
+    disabled.onApplicationBootstrap();
+    await vi.advanceTimersByTimeAsync(15_000);
+    expect(repository.markStaleNodes).not.toHaveBeenCalled();
+
+    const enabled = new MatchBridgeSweeperService(config(true), database as any, repository as any);
+    enabled.onApplicationBootstrap();
+    await vi.advanceTimersByTimeAsync(15_000);
+    expect(repository.markStaleNodes).toHaveBeenCalledTimes(1);
+    enabled.onModuleDestroy();
+    await vi.advanceTimersByTimeAsync(30_000);
+    expect(repository.markStaleNodes).toHaveBeenCalledTimes(1);
+  });
+});
@@ -83,6 +83,7 @@ test("MatchBridgeController claim: existing command has priority without trigger
       specVersion: 1,
       competitiveMatchId: "cm-01",
       runtimeMatchId: 1000000001,
+      format: { key: "duel_1v1", gameMode: "competitive", teamSize: 1 },
       map: {
         poolKey: "pool-01",
         poolVersion: 1,
@@ -145,6 +146,7 @@ test("MatchBridgeController claim: empty queue triggers allocation and returns p
       specVersion: 1,
       competitiveMatchId: "cm-02",
       runtimeMatchId: 1000000002,
+      format: { key: "duel_1v1", gameMode: "competitive", teamSize: 1 },
       map: {
         poolKey: "pool-01",
         poolVersion: 1,
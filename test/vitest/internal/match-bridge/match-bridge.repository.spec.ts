@@ -1,8 +1,14 @@
 import { describe, it, expect } from "vitest";
 import { createHash } from "node:crypto";
 import { MatchBridgeRepository, MatchBridgeError } from "../../../../src/nest/internal/match-bridge/match-bridge.repository.js";
+import type { AppConfig } from "../../../../src/nest/core/app-config.js";
 import type { DatabaseService } from "../../../../src/nest/database/database.service.js";
 
+const appConfig = {
+  matchProvisioning: { prepareMatchMaxAttempts: 3 },
+  membershipLifecycle: { gracePeriodHours: 0 },
+} as unknown as AppConfig;
+
 function isCommandLookup(sql: string): boolean {
   const normalized = sql.replace(/\s+/g, " ").trim();
   return normalized.includes("FROM match_server_commands WHERE id = ?");
@@ -79,9 +85,11 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
     assignment_server_key: "sv-1",
     assignment_competitive_match_id: "cm-1",
     assignment_released_at: null,
+    assignment_release_reason: null,
     competitive_match_id: "cm-1",
     competitive_match_room_id: "room-1",
     match_runtime_match_id: 1000001,
+    match_team_size: 5,
     resource_server_key: "sv-1",
     resource_enabled: 1,
     resource_join_reference: "connect 127.0.0.1:27015",
@@ -153,7 +161,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -196,7 +204,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -212,6 +220,30 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
     expect(releaseQuery).toBeUndefined();
   });
 
+  it("Scenario B1: frozen roster smaller than the frozen format -> FAILED (roster_eligibility_lost)", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (isCommandLookup(sql)) return [[{ ...baseCommandRow }]];
+      if (sql.includes("UPDATE match_server_commands")) return [{ affectedRows: 1 }];
+      // A 6v6 format needs 12 players; the 10-player roster is two equal teams but not the format.
+      if (sql.includes("FROM match_server_commands c")) return [[{ ...baseContextRow, match_team_size: 6 }]];
+      const eligibilityRes = handleRosterEligibilityQueries(sql);
+      if (eligibilityRes) return eligibilityRes;
+      if (sql.includes("UPDATE match_rooms")) return [{ affectedRows: 1 }];
+      return [[]];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await repo.submitCommandResult(bridgeNodeKey, commandId, {
+      leaseToken,
+      outcome: "SUCCEEDED",
+      resultCode: "PREPARED",
+    });
+
+    const roomUpdate = executedQueries.find((q) => q.sql.includes("UPDATE match_rooms"));
+    expect(roomUpdate?.sql).toContain("failure_reason = 'roster_eligibility_lost'");
+    expect(executedQueries.some((q) => q.sql.includes("FROM player_accounts"))).toBe(false);
+  });
+
   it("Scenario C: exact frozen SteamID64 no longer belongs to playerAccount -> FAILED (roster_eligibility_lost)", async () => {
     const unlinkedSteamIdentities = valid10SteamIdentities.map((s, idx) =>
       idx === 0 ? { ...s, steamid64: "76561198099999999" } : s,
@@ -227,7 +259,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -257,7 +289,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -298,7 +330,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -321,7 +353,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -344,7 +376,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -367,7 +399,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -390,7 +422,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -404,16 +436,17 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
     expect(releaseQuery).toBeUndefined();
   });
 
-  it("Scenario F: terminal PREPARE_MATCH outcome FAILED -> FAILED (prepare_match_failed)", async () => {
+  it("Scenario F: terminal PREPARE_MATCH outcome FAILED on the last attempt -> FAILED (prepare_match_failed)", async () => {
     const { databaseService, executedQueries } = mockDatabaseService((sql) => {
       if (isCommandLookup(sql)) return [[{ ...baseCommandRow }]];
       if (sql.includes("UPDATE match_server_commands")) return [{ affectedRows: 1 }];
       if (sql.includes("FROM match_server_commands c")) return [[{ ...baseContextRow }]];
+      if (sql.includes("COUNT(*) AS attempt_count")) return [[{ attempt_count: 3 }]];
       if (sql.includes("UPDATE match_rooms")) return [{ affectedRows: 1 }];
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "FAILED",
@@ -428,6 +461,67 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
     expect(releaseQuery).toBeUndefined();
   });
 
+  it("Scenario F1: PREPARE_MATCH outcome FAILED with attempts left releases assignment and returns room to READY", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (isCommandLookup(sql)) return [[{ ...baseCommandRow }]];
+      if (sql.includes("UPDATE match_server_commands")) return [{ affectedRows: 1 }];
+      if (sql.includes("FROM match_server_commands c")) return [[{ ...baseContextRow }]];
+      if (sql.includes("COUNT(*) AS attempt_count")) return [[{ attempt_count: 2 }]];
+      if (sql.includes("UPDATE match_server_assignments")) return [{ affectedRows: 1 }];
+      if (sql.includes("UPDATE match_rooms")) return [{ affectedRows: 1 }];
+      return [[]];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await repo.submitCommandResult(bridgeNodeKey, commandId, {
+      leaseToken,
+      outcome: "FAILED",
+      resultCode: "SPAWN_TIMEOUT",
+    });
+
+    const countQuery = executedQueries.find((q) => q.sql.includes("COUNT(*) AS attempt_count"));
+    expect(countQuery?.values).toEqual(["cm-1"]);
+
+    const releaseQuery = executedQueries.find((q) => q.sql.includes("UPDATE match_server_assignments"));
+    expect(releaseQuery?.values).toEqual(["PREPARE_MATCH_FAILED", "asg-1"]);
+
+    const roomUpdate = executedQueries.find((q) => q.sql.includes("UPDATE match_rooms"));
+    expect(roomUpdate?.sql).toContain("status = 'READY'");
+    expect(roomUpdate?.sql).not.toContain("failure_reason");
+    expect(roomUpdate?.sql).not.toContain("ready_at");
+  });
+
+  it("Scenario F2: exact replay of a FAILED attempt already released for retry succeeds without updates", async () => {
+    const terminalFailedCommandRow = {
+      ...baseCommandRow,
+      status: "FAILED",
+      result_code: "SPAWN_TIMEOUT",
+      result_json: null,
+    };
+
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (isCommandLookup(sql)) return [[{ ...terminalFailedCommandRow }]];
+      if (sql.includes("FROM match_server_commands c")) {
+        return [[{
+          ...baseContextRow,
+          assignment_released_at: new Date(),
+          assignment_release_reason: "PREPARE_MATCH_FAILED",
+          room_status: "PROVISIONING",
+        }]];
+      }
+      return [[]];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await repo.submitCommandResult(bridgeNodeKey, commandId, {
+      leaseToken,
+      outcome: "FAILED",
+      resultCode: "SPAWN_TIMEOUT",
+    });
+
+    expect(executedQueries.some((q) => /^\s*UPDATE\b/.test(q.sql))).toBe(false);
+  });
+
   it("Scenario G & H (JOINABLE Idempotency): exact idempotent replay after JOINABLE skips version bump", async () => {
     const terminalCommandRow = {
       ...baseCommandRow,
@@ -448,7 +542,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -484,7 +578,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "FAILED",
@@ -516,7 +610,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await repo.submitCommandResult(bridgeNodeKey, commandId, {
       leaseToken,
       outcome: "SUCCEEDED",
@@ -545,7 +639,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await expect(
       repo.submitCommandResult(bridgeNodeKey, commandId, {
         leaseToken,
@@ -575,7 +669,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await expect(
       repo.submitCommandResult(bridgeNodeKey, commandId, {
         leaseToken,
@@ -594,7 +688,7 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
       return [[]];
     });
 
-    const repo = new MatchBridgeRepository(databaseService);
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
     await expect(
       repo.submitCommandResult(bridgeNodeKey, commandId, {
         leaseToken,
@@ -607,3 +701,320 @@ describe("MatchBridgeRepository — submitCommandResult finalization", () => {
     expect(releaseQuery).toBeUndefined();
   });
 });
+
+describe("MatchBridgeRepository — operator commands", () => {
+  const bridgeNodeKey = "node-01";
+  const leaseToken = "lease-tok-op";
+  const leaseTokenDigest = createHash("sha256").update(leaseToken).digest("hex");
+
+  function claimedCommandRow(commandType: string) {
+    return {
+      id: "cmd-op",
+      bridge_node_key: bridgeNodeKey,
+      command_type: commandType,
+      status: "CLAIMED",
+      lease_token_digest: leaseTokenDigest,
+      lease_expires_at: new Date(Date.now() + 30000),
+      result_code: null,
+      result_json: null,
+      is_lease_active: 1,
+    };
+  }
+
+  it("claims PAUSE_MATCH with a versioned commandSpec and no roster lookup", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (sql.includes("FROM match_server_commands c")) {
+        return [[{
+          id: "cmd-op",
+          assignment_id: "asg-1",
+          bridge_node_key: bridgeNodeKey,
+          command_type: "PAUSE_MATCH",
+          runtime_match_id: 1000001,
+          server_key: "sv-1",
+          competitive_match_id: "cm-1",
+          map_pool_key: "mix_5v5",
+          map_pool_version: 1,
+          map_key: "de_mirage",
+          map_display_name: "Mirage",
+        }]];
+      }
+      if (sql.includes("UPDATE match_server_commands")) return [{ affectedRows: 1 }];
+      if (sql.includes("SELECT lease_expires_at, attempt_count")) {
+        return [[{ lease_expires_at: new Date("2026-10-18T12:00:30Z"), attempt_count: 1 }]];
+      }
+      return [[]];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    const command = await repo.claimNextCommand(bridgeNodeKey);
+
+    expect(command).toMatchObject({
+      commandId: "cmd-op",
+      commandType: "PAUSE_MATCH",
+      target: { serverKey: "sv-1" },
+      commandSpec: { specVersion: 1, competitiveMatchId: "cm-1", runtimeMatchId: 1000001 },
+    });
+    expect(executedQueries.some((q) => q.sql.includes("FROM competitive_match_roster"))).toBe(false);
+  });
+
+  it("claims PREPARE_MATCH with the frozen format next to the teams in the Match Spec", async () => {
+    const roster = Array.from({ length: 4 }, (_, i) => ({
+      player_account_id: `p-${i + 1}`,
+      steamid64: `7656119800000000${i + 1}`,
+      steam_personaname: `Player_${i + 1}`,
+      team: i < 2 ? "A" : "B",
+    }));
+    const { databaseService } = mockDatabaseService((sql) => {
+      if (sql.includes("FROM match_server_commands c")) {
+        return [[{
+          id: "cmd-prep",
+          assignment_id: "asg-1",
+          bridge_node_key: bridgeNodeKey,
+          command_type: "PREPARE_MATCH",
+          runtime_match_id: 1000001,
+          server_key: "sv-1",
+          competitive_match_id: "cm-1",
+          format_key: "wingman_2v2",
+          game_mode: "wingman",
+          team_size: 2,
+          map_pool_key: "wingman_2v2",
+          map_pool_version: 1,
+          map_key: "de_mirage",
+          map_display_name: "Mirage",
+        }]];
+      }
+      if (sql.includes("FROM competitive_match_roster")) return [roster];
+      if (sql.includes("UPDATE match_server_commands")) return [{ affectedRows: 1 }];
+      if (sql.includes("SELECT lease_expires_at, attempt_count")) {
+        return [[{ lease_expires_at: new Date("2026-10-18T12:00:30Z"), attempt_count: 1 }]];
+      }
+      return [[]];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    const command = await repo.claimNextCommand(bridgeNodeKey);
+
+    expect(command).toMatchObject({
+      commandType: "PREPARE_MATCH",
+      matchSpec: {
+        format: { key: "wingman_2v2", gameMode: "wingman", teamSize: 2 },
+      },
+    });
+    if (command?.commandType !== "PREPARE_MATCH") throw new Error("expected a PREPARE_MATCH claim");
+    expect(command.matchSpec.teams.A.map((p) => p.playerAccountId)).toEqual(["p-1", "p-2"]);
+    expect(command.matchSpec.teams.B.map((p) => p.playerAccountId)).toEqual(["p-3", "p-4"]);
+  });
+
+  it("ABORT_MATCH success fails the JOINABLE room and releases participants and assignment", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (isCommandLookup(sql)) return [[claimedCommandRow("ABORT_MATCH")]];
+      if (sql.includes("FROM match_server_commands c")) return [[{ assignment_id: "asg-1", room_id: "room-1" }]];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await repo.submitCommandResult(bridgeNodeKey, "cmd-op", {
+      leaseToken,
+      outcome: "SUCCEEDED",
+      resultCode: "ABORTED",
+    });
+
+    const roomUpdate = executedQueries.find((q) => q.sql.includes("UPDATE match_rooms"));
+    expect(roomUpdate?.sql).toContain("failure_reason = 'match_aborted'");
+    expect(roomUpdate?.sql).toContain("status = 'JOINABLE'");
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_room_participants"))).toBe(true);
+    const releaseQuery = executedQueries.find((q) => q.sql.includes("UPDATE match_server_assignments"));
+    expect(releaseQuery?.values).toEqual(["asg-1"]);
+  });
+
+  it("ABORT_MATCH success releases the assignment of a room an operator already forced terminal", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (isCommandLookup(sql)) return [[claimedCommandRow("ABORT_MATCH")]];
+      if (sql.includes("FROM match_server_commands c")) return [[{ assignment_id: "asg-1", room_id: "room-1" }]];
+      if (sql.includes("UPDATE match_rooms")) return [{ affectedRows: 0 }];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await repo.submitCommandResult(bridgeNodeKey, "cmd-op", {
+      leaseToken,
+      outcome: "SUCCEEDED",
+      resultCode: "ABORTED",
+    });
+
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_room_participants"))).toBe(false);
+    const releaseQuery = executedQueries.find((q) => q.sql.includes("UPDATE match_server_assignments"));
+    expect(releaseQuery?.sql).toContain("release_reason = 'MATCH_ABORTED'");
+    expect(releaseQuery?.values).toEqual(["asg-1"]);
+  });
+
+  it("operator command FAILED outcome on a JOINABLE room records the result without touching room or assignment", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (isCommandLookup(sql)) return [[claimedCommandRow("ABORT_MATCH")]];
+      if (sql.includes("r.status AS room_status")) return [[{ assignment_id: "asg-1", room_status: "JOINABLE" }]];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await repo.submitCommandResult(bridgeNodeKey, "cmd-op", {
+      leaseToken,
+      outcome: "FAILED",
+      resultCode: "SERVER_UNREACHABLE",
+    });
+
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_server_commands"))).toBe(true);
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_rooms"))).toBe(false);
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_server_assignments"))).toBe(false);
+  });
+
+  it("RELEASE_SERVER FAILED outcome on a terminal room releases the assignment as OPERATOR_RELEASE_FAILED", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (isCommandLookup(sql)) return [[claimedCommandRow("RELEASE_SERVER")]];
+      if (sql.includes("r.status AS room_status")) return [[{ assignment_id: "asg-1", room_status: "CANCELLED" }]];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await repo.submitCommandResult(bridgeNodeKey, "cmd-op", {
+      leaseToken,
+      outcome: "FAILED",
+      resultCode: "SERVER_UNREACHABLE",
+    });
+
+    const releaseQuery = executedQueries.find((q) => q.sql.includes("UPDATE match_server_assignments"));
+    expect(releaseQuery?.values).toEqual(["OPERATOR_RELEASE_FAILED", "asg-1"]);
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_rooms"))).toBe(false);
+  });
+});
+
+describe("MatchBridgeRepository — lease sweeper", () => {
+  function sweepRow(overrides: Record<string, unknown>) {
+    return {
+      id: "cmd-sw",
+      command_type: "PAUSE_MATCH",
+      status: "CLAIMED",
+      attempt_count: 1,
+      is_lease_expired: 1,
+      is_node_stale: 0,
+      ...overrides,
+    };
+  }
+
+  it("requeues an expired lease below the attempt limit", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (sql.includes("AS is_node_stale")) return [[sweepRow({})]];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await expect(repo.sweepCommand("cmd-sw", 3)).resolves.toBe("requeued");
+
+    const update = executedQueries.find((q) => q.sql.includes("UPDATE match_server_commands"));
+    expect(update?.sql).toContain("status = 'PENDING'");
+    expect(update?.sql).toContain("lease_token_digest = NULL");
+  });
+
+  it("fails an expired PREPARE_MATCH lease at the attempt limit and applies the prepare retry policy", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (sql.includes("AS is_node_stale")) return [[sweepRow({ command_type: "PREPARE_MATCH", attempt_count: 3 })]];
+      if (sql.includes("FROM match_server_commands c")) {
+        return [[{
+          command_id: "cmd-sw",
+          command_type: "PREPARE_MATCH",
+          command_runtime_match_id: 1000001,
+          assignment_id: "asg-1",
+          assignment_released_at: null,
+          assignment_release_reason: null,
+          competitive_match_id: "cm-1",
+          match_runtime_match_id: 1000001,
+          resource_server_key: "sv-1",
+          room_id: "room-1",
+          room_status: "PROVISIONING",
+        }]];
+      }
+      if (sql.includes("COUNT(*) AS attempt_count")) return [[{ attempt_count: 1 }]];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await expect(repo.sweepCommand("cmd-sw", 3)).resolves.toBe("failed");
+
+    const commandUpdate = executedQueries.find((q) => q.sql.includes("UPDATE match_server_commands"));
+    expect(commandUpdate?.values).toEqual(["LEASE_EXPIRED", "cmd-sw"]);
+    const roomUpdate = executedQueries.find((q) => q.sql.includes("UPDATE match_rooms"));
+    expect(roomUpdate?.sql).toContain("status = 'READY'");
+  });
+
+  it("fails a stale PREPARE_MATCH without touching a room that is no longer PROVISIONING", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (sql.includes("AS is_node_stale")) return [[sweepRow({ command_type: "PREPARE_MATCH", attempt_count: 3 })]];
+      if (sql.includes("r.status AS room_status")) return [[{ room_status: "CANCELLED" }]];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await expect(repo.sweepCommand("cmd-sw", 3)).resolves.toBe("failed");
+
+    const commandUpdate = executedQueries.find((q) => q.sql.includes("UPDATE match_server_commands"));
+    expect(commandUpdate?.sql).toContain("status = 'FAILED'");
+    expect(commandUpdate?.values).toEqual(["LEASE_EXPIRED", "cmd-sw"]);
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_rooms"))).toBe(false);
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_server_assignments"))).toBe(false);
+    expect(executedQueries.some((q) => q.sql.includes("COUNT(*) AS attempt_count"))).toBe(false);
+  });
+
+  it("fails outstanding commands of a stale node even when the lease is still active", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (sql.includes("AS is_node_stale")) return [[sweepRow({ status: "PENDING", is_lease_expired: 0, is_node_stale: 1 })]];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await expect(repo.sweepCommand("cmd-sw", 3)).resolves.toBe("failed");
+
+    const commandUpdate = executedQueries.find((q) => q.sql.includes("UPDATE match_server_commands"));
+    expect(commandUpdate?.values).toEqual(["BRIDGE_NODE_STALE", "cmd-sw"]);
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_rooms"))).toBe(false);
+  });
+
+  it("fails an ABORT_MATCH of a stale node and releases the forced terminal room's assignment as OPERATOR_RELEASE_FAILED", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (sql.includes("AS is_node_stale")) return [[sweepRow({ command_type: "ABORT_MATCH", is_lease_expired: 0, is_node_stale: 1 })]];
+      if (sql.includes("r.status AS room_status")) return [[{ assignment_id: "asg-1", room_status: "FAILED" }]];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await expect(repo.sweepCommand("cmd-sw", 3)).resolves.toBe("failed");
+
+    const commandUpdate = executedQueries.find((q) => q.sql.includes("UPDATE match_server_commands"));
+    expect(commandUpdate?.values).toEqual(["BRIDGE_NODE_STALE", "cmd-sw"]);
+    const releaseQuery = executedQueries.find((q) => q.sql.includes("UPDATE match_server_assignments"));
+    expect(releaseQuery?.values).toEqual(["OPERATOR_RELEASE_FAILED", "asg-1"]);
+    expect(executedQueries.some((q) => q.sql.includes("UPDATE match_rooms"))).toBe(false);
+  });
+
+  it("skips commands that were resolved before the lock was taken", async () => {
+    const { databaseService, executedQueries } = mockDatabaseService((sql) => {
+      if (sql.includes("AS is_node_stale")) return [[sweepRow({ status: "SUCCEEDED" })]];
+      return [{ affectedRows: 1 }];
+    });
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    await expect(repo.sweepCommand("cmd-sw", 3)).resolves.toBe("skipped");
+    expect(executedQueries.some((q) => /^\s*UPDATE\b/.test(q.sql))).toBe(false);
+  });
+
+  it("reports node liveness from heartbeat freshness and stale marks", async () => {
+    const { databaseService } = mockDatabaseService(() => [[
+      { bridge_node_key: "node-01", enabled: 1, last_seen_at: new Date(), marked_stale_at: null, is_heartbeat_fresh: 1, resource_count: 2, enabled_resource_count: 2, outstanding_command_count: 1, expired_lease_count: 0 },
+      { bridge_node_key: "node-02", enabled: 1, last_seen_at: null, marked_stale_at: new Date(), is_heartbeat_fresh: 0, resource_count: 1, enabled_resource_count: 1, outstanding_command_count: 0, expired_lease_count: 0 },
+    ]]);
+
+    const repo = new MatchBridgeRepository(databaseService, appConfig);
+    const nodes = await repo.listNodeLiveness(90);
+
+    expect(nodes.map((node) => [node.bridgeNodeKey, node.live])).toEqual([["node-01", true], ["node-02", false]]);
+    expect(nodes[0]?.resources).toEqual({ total: 2, enabled: 2 });
+  });
+});
@@ -35,6 +35,14 @@ function createSampleRow(overrides: Record<string, any> = {}): MatchIngressRow {
   } as MatchIngressRow;
 }
 
+const ratingApplications: unknown[] = [];
+const RATINGS = {
+  async applyMatchResultOnConnection(_connection: unknown, input: unknown) {
+    ratingApplications.push(input);
+    return true;
+  },
+} as any;
+
 function createMockDatabaseService(
   executeHandler: (query: string, params: unknown[]) => Promise<any>,
   connectionOverrides: Record<string, any> = {},
@@ -76,7 +84,7 @@ describe("MatchIngressRepository Suite", () => {
       throw new Error(`Unexpected query: ${query}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
     const result = await repo.saveEvent(VALID_RECORD);
 
     assert.equal(selectCalled, true);
@@ -98,7 +106,7 @@ describe("MatchIngressRepository Suite", () => {
       throw new Error(`Unexpected query: ${query}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
     const result = await repo.saveEvent(VALID_RECORD);
 
     assert.equal(insertCalled, false);
@@ -113,7 +121,7 @@ describe("MatchIngressRepository Suite", () => {
       throw new Error(`Unexpected query: ${query}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
 
     await assert.rejects(
       repo.saveEvent(VALID_RECORD),
@@ -143,7 +151,7 @@ describe("MatchIngressRepository Suite", () => {
       throw new Error(`Unexpected query: ${query}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
     const result = await repo.saveEvent(VALID_RECORD);
 
     assert.equal(selectCount, 2);
@@ -169,7 +177,7 @@ describe("MatchIngressRepository Suite", () => {
       throw new Error(`Unexpected query: ${query}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
     const result = await repo.saveEvent(VALID_RECORD);
 
     assert.equal(selectCount, 2);
@@ -195,7 +203,7 @@ describe("MatchIngressRepository Suite", () => {
       throw new Error(`Unexpected query: ${query}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
 
     await assert.rejects(
       repo.saveEvent(VALID_RECORD),
@@ -224,7 +232,7 @@ describe("MatchIngressRepository Suite", () => {
       throw new Error(`Unexpected query: ${query}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
 
     await assert.rejects(
       repo.saveEvent(VALID_RECORD),
@@ -250,7 +258,7 @@ describe("MatchIngressRepository Suite", () => {
       throw new Error(`Unexpected query: ${query}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
 
     await assert.rejects(
       repo.saveEvent(VALID_RECORD),
@@ -291,6 +299,22 @@ describe("Authoritative series_end events & domain projection", () => {
     } as MatchIngressRow;
   }
 
+  function handleResultProjection(norm: string, existingResult = false): any {
+    if (norm.includes("FROM competitive_match_results")) {
+      return [existingResult ? [{ competitive_match_id: "match-uuid-123" }] : []];
+    }
+    if (norm.includes("event_name IN ('series_end', 'map_result', 'going_live')")) {
+      return [[]];
+    }
+    if (norm.includes("FROM competitive_match_roster")) {
+      return [[]];
+    }
+    if (norm.includes("INSERT INTO competitive_match_result")) {
+      return [{ affectedRows: 1 }];
+    }
+    return null;
+  }
+
   function createSampleMatchContext(overrides: Record<string, any> = {}): SeriesEndMatchContextRow {
     return {
       competitive_match_id: "match-uuid-123",
@@ -299,6 +323,7 @@ describe("Authoritative series_end events & domain projection", () => {
       room_status: "JOINABLE",
       room_version: 3,
       room_completed_at: null,
+      room_joinable_at: "2026-08-16T14:20:00.000Z",
       assignment_id: "assignment-uuid-789",
       assignment_server_key: "srv-01",
       assignment_released_at: null,
@@ -315,6 +340,10 @@ describe("Authoritative series_end events & domain projection", () => {
     const db = createMockDatabaseService(async (sql: string, params?: unknown[]) => {
       executedQueries.push({ sql, params });
       const norm = normalizeSql(sql);
+      const projected = handleResultProjection(norm);
+      if (projected) {
+        return projected;
+      }
 
       if (norm.includes("FROM match_ingress_events WHERE source_key = ? AND edge_event_id = ?")) {
         return [[]];
@@ -337,7 +366,7 @@ describe("Authoritative series_end events & domain projection", () => {
       throw new Error(`Unexpected query: ${sql}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
     const result = await repo.saveEvent(VALID_SERIES_END_RECORD);
 
     assert.deepEqual(result, { duplicate: false });
@@ -392,7 +421,7 @@ describe("Authoritative series_end events & domain projection", () => {
       throw new Error(`Unexpected query: ${sql}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
 
     await assert.rejects(
       repo.saveEvent(VALID_SERIES_END_RECORD),
@@ -413,6 +442,10 @@ describe("Authoritative series_end events & domain projection", () => {
     const db = createMockDatabaseService(async (sql: string, params?: unknown[]) => {
       executedQueries.push({ sql, params });
       const norm = normalizeSql(sql);
+      const projected = handleResultProjection(norm, true);
+      if (projected) {
+        return projected;
+      }
 
       if (norm.includes("FROM match_ingress_events WHERE source_key = ? AND edge_event_id = ?")) {
         selectCount++;
@@ -432,7 +465,7 @@ describe("Authoritative series_end events & domain projection", () => {
       throw new Error(`Unexpected query: ${sql}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
     const result = await repo.saveEvent(VALID_SERIES_END_RECORD);
 
     assert.deepEqual(result, { duplicate: true });
@@ -462,7 +495,7 @@ describe("Authoritative series_end events & domain projection", () => {
       throw new Error(`Unexpected query: ${sql}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
 
     await assert.rejects(
       repo.saveEvent(VALID_SERIES_END_RECORD),
@@ -503,7 +536,7 @@ describe("Authoritative series_end events & domain projection", () => {
       throw new Error(`Unexpected query: ${sql}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
 
     await assert.rejects(
       repo.saveEvent(VALID_SERIES_END_RECORD),
@@ -544,7 +577,7 @@ describe("Authoritative series_end events & domain projection", () => {
       throw new Error(`Unexpected query: ${sql}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
 
     await assert.rejects(
       repo.saveEvent(VALID_SERIES_END_RECORD),
@@ -583,7 +616,7 @@ describe("Authoritative series_end events & domain projection", () => {
         throw new Error(`Unexpected query: ${sql}`);
       });
 
-      const repo = new MatchIngressRepository(db);
+      const repo = new MatchIngressRepository(db, RATINGS);
 
       await assert.rejects(
         repo.saveEvent(VALID_SERIES_END_RECORD),
@@ -604,6 +637,10 @@ describe("Authoritative series_end events & domain projection", () => {
     const db = createMockDatabaseService(async (sql: string, params?: unknown[]) => {
       executedQueries.push({ sql, params });
       const norm = normalizeSql(sql);
+      const projected = handleResultProjection(norm, true);
+      if (projected) {
+        return projected;
+      }
 
       if (norm.includes("FROM match_ingress_events WHERE source_key = ? AND edge_event_id = ?")) {
         return [[createSampleSeriesEndRow()]];
@@ -619,7 +656,7 @@ describe("Authoritative series_end events & domain projection", () => {
       throw new Error(`Unexpected query: ${sql}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
     const result = await repo.saveEvent(VALID_SERIES_END_RECORD);
 
     assert.deepEqual(result, { duplicate: true });
@@ -631,7 +668,8 @@ describe("Authoritative series_end events & domain projection", () => {
         normalizeSql(q.sql).includes("UPDATE match_rooms") ||
         normalizeSql(q.sql).includes("UPDATE match_room_participants") ||
         normalizeSql(q.sql).includes("UPDATE match_server_assignments") ||
-        normalizeSql(q.sql).includes("INSERT INTO match_ingress_events"),
+        normalizeSql(q.sql).includes("INSERT INTO match_ingress_events") ||
+        normalizeSql(q.sql).includes("INSERT INTO competitive_match_result"),
     );
     assert.equal(hasMutation, false);
   });
@@ -642,6 +680,10 @@ describe("Authoritative series_end events & domain projection", () => {
     const db = createMockDatabaseService(async (sql: string, params?: unknown[]) => {
       executedQueries.push({ sql, params });
       const norm = normalizeSql(sql);
+      const projected = handleResultProjection(norm);
+      if (projected) {
+        return projected;
+      }
 
       if (norm.includes("FROM match_ingress_events WHERE source_key = ? AND edge_event_id = ?")) {
         return [[createSampleSeriesEndRow()]];
@@ -661,7 +703,7 @@ describe("Authoritative series_end events & domain projection", () => {
       throw new Error(`Unexpected query: ${sql}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
     const result = await repo.saveEvent(VALID_SERIES_END_RECORD);
 
     assert.deepEqual(result, { duplicate: true });
@@ -694,7 +736,7 @@ describe("Authoritative series_end events & domain projection", () => {
       throw new Error(`Unexpected query: ${sql}`);
     });
 
-    const repo = new MatchIngressRepository(db);
+    const repo = new MatchIngressRepository(db, RATINGS);
 
     await assert.rejects(
       repo.saveEvent(VALID_SERIES_END_RECORD),
@@ -710,4 +752,226 @@ describe("Authoritative series_end events & domain projection", () => {
     const hasDomainQuery = executedQueries.some((q) => normalizeSql(q.sql).includes("FROM competitive_matches"));
     assert.equal(hasDomainQuery, false);
   });
+  const STEAM_A1 = "76561198000000001";
+  const STEAM_A2 = "76561198000000002";
+  const STEAM_B1 = "76561198000000003";
+
+  const RESULT_ROSTER = [
+    { player_account_id: "player-a1", steamid64: STEAM_A1, team: "A" },
+    { player_account_id: "player-a2", steamid64: STEAM_A2, team: "A" },
+    { player_account_id: "player-b1", steamid64: STEAM_B1, team: "B" },
+  ];
+
+  const SERIES_END_WITH_SCORE: MatchIngressRecord = {
+    ...VALID_SERIES_END_RECORD,
+    payloadJsonText: JSON.stringify({
+      event: "series_end",
+      matchid: 1000001,
+      team1_series_score: 1,
+      team2_series_score: 0,
+      winner: { side: "ct", team: "team1" },
+    }),
+  };
+
+  function mapResultPayload(overrides: Record<string, any> = {}) {
+    return JSON.stringify({
+      event: "map_result",
+      matchid: 1000001,
+      map_number: 0,
+      team1: {
+        score: 13,
+        series_score: 1,
+        players: [
+          { steamid: STEAM_A1, name: "a1", stats: { kills: 20, deaths: 10, assists: 4, headshot_kills: 9, damage: 2100, mvp: 5, score: 55, rounds_played: 22 } },
+          { steamid: STEAM_A2, name: "a2", stats: { kills: "7", deaths: -1, assists: null } },
+          { steamid: "76561198999999999", name: "stranger", stats: { kills: 99 } },
+        ],
+      },
+      team2: {
+        score: 9,
+        series_score: 0,
+        players: [
+          { steamid: STEAM_B1, name: "b1", stats: { kills: 12, deaths: 15, assists: 2, headshot_kills: 4, damage: 1500, mvp: 1, score: 30, rounds_played: 22 } },
+        ],
+      },
+      winner: { side: "ct", team: "team1" },
+      ...overrides,
+    });
+  }
+
+  function createProjectionDb(options: {
+    roomStatus: string;
+    existingResult?: boolean;
+    mapResult?: string | null;
+    goingLiveAt?: string | null;
+  }) {
+    const executedQueries: Array<{ sql: string; params?: unknown[] }> = [];
+    const db = createMockDatabaseService(async (sql: string, params?: unknown[]) => {
+      executedQueries.push({ sql, params });
+      const norm = normalizeSql(sql);
+
+      if (norm.includes("FROM match_ingress_events WHERE source_key = ? AND edge_event_id = ?")) {
+        return [[]];
+      }
+      if (norm.includes("INSERT INTO match_ingress_events")) {
+        return [{ affectedRows: 1 }];
+      }
+      if (norm.includes("FROM competitive_matches cm")) {
+        return [[createSampleMatchContext({ room_status: options.roomStatus })]];
+      }
+      if (norm.includes("FROM competitive_match_results")) {
+        return [options.existingResult ? [{ competitive_match_id: "match-uuid-123" }] : []];
+      }
+      if (norm.includes("event_name IN ('series_end', 'map_result', 'going_live')")) {
+        const rows: any[] = [
+          {
+            id: 30,
+            edge_event_id: SERIES_END_WITH_SCORE.edgeEventId,
+            event_name: "series_end",
+            edge_received_at: "2026-08-16T15:00:00.000Z",
+            payload_json: SERIES_END_WITH_SCORE.payloadJsonText,
+          },
+        ];
+        if (options.mapResult) {
+          rows.push({
+            id: 29,
+            edge_event_id: "1".repeat(32),
+            event_name: "map_result",
+            edge_received_at: "2026-08-16T14:59:58.000Z",
+            payload_json: options.mapResult,
+          });
+        }
+        if (options.goingLiveAt) {
+          rows.push({
+            id: 10,
+            edge_event_id: "2".repeat(32),
+            event_name: "going_live",
+            edge_received_at: options.goingLiveAt,
+            payload_json: '{"event":"going_live"}',
+          });
+        }
+        return [rows];
+      }
+      if (norm.includes("FROM competitive_match_roster")) {
+        return [RESULT_ROSTER];
+      }
+      if (norm.includes("INSERT INTO competitive_match_result")) {
+        return [{ affectedRows: 1 }];
+      }
+      if (norm.includes("UPDATE match_rooms") || norm.includes("UPDATE match_server_assignments")) {
+        return [{ affectedRows: 1 }];
+      }
+      if (norm.includes("UPDATE match_room_participants")) {
+        return [{ affectedRows: 10 }];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+    return { db, executedQueries };
+  }
+
+  test("19. series_end + map_result: projeta placar, vencedor, duração e stat lines indexadas pelo roster congelado", async () => {
+    const { db, executedQueries } = createProjectionDb({
+      roomStatus: "JOINABLE",
+      mapResult: mapResultPayload(),
+      goingLiveAt: "2026-08-16T14:30:00.000Z",
+    });
+
+    ratingApplications.length = 0;
+    const repo = new MatchIngressRepository(db, RATINGS);
+    const result = await repo.saveEvent(SERIES_END_WITH_SCORE);
+
+    assert.deepEqual(result, { duplicate: false });
+    assert.equal(db.connection.commit.mock.calls.length, 1);
+
+    const resultInsert = executedQueries.find((q) => normalizeSql(q.sql).includes("INSERT INTO competitive_match_results"));
+    assert.ok(resultInsert);
+    const params = resultInsert.params as unknown[];
+    assert.equal(params[0], "match-uuid-123");
+    assert.equal(params[1], "A");
+    assert.deepEqual(params.slice(2, 6), [1, 0, 13, 9]);
+    assert.equal((params[6] as Date).toISOString(), "2026-08-16T14:30:00.000Z");
+    assert.equal((params[7] as Date).toISOString(), "2026-08-16T15:00:00.000Z");
+    assert.equal(params[8], 1800);
+    assert.deepEqual(params.slice(9), ["30", "29"]);
+
+    const playerInserts = executedQueries
+      .filter((q) => normalizeSql(q.sql).includes("INSERT INTO competitive_match_result_players"))
+      .map((q) => q.params);
+    assert.deepEqual(playerInserts, [
+      ["match-uuid-123", "player-a1", "A", 20, 10, 4, 9, 2100, 5, 55, 22],
+      ["match-uuid-123", "player-a2", "A", 7, 0, 0, 0, 0, 0, 0, 0],
+      ["match-uuid-123", "player-b1", "B", 12, 15, 2, 4, 1500, 1, 30, 22],
+    ]);
+
+    assert.deepEqual(ratingApplications, [{
+      competitiveMatchId: "match-uuid-123",
+      winnerTeam: "A",
+      roster: [
+        { playerAccountId: "player-a1", team: "A" },
+        { playerAccountId: "player-a2", team: "A" },
+        { playerAccountId: "player-b1", team: "B" },
+      ],
+    }]);
+  });
+
+  test("20. map_result com team1 = roster Team B: inverte placar e vencedor para A/B", async () => {
+    const swapped = JSON.parse(mapResultPayload());
+    const team1 = swapped.team1;
+    swapped.team1 = swapped.team2;
+    swapped.team2 = team1;
+    swapped.team1.score = 13;
+    swapped.team2.score = 9;
+    const { db, executedQueries } = createProjectionDb({
+      roomStatus: "JOINABLE",
+      mapResult: JSON.stringify(swapped),
+    });
+
+    const repo = new MatchIngressRepository(db, RATINGS);
+    await repo.saveEvent(SERIES_END_WITH_SCORE);
+
+    const resultInsert = executedQueries.find((q) => normalizeSql(q.sql).includes("INSERT INTO competitive_match_results"));
+    assert.ok(resultInsert);
+    const params = resultInsert.params as unknown[];
+    assert.equal(params[1], "B");
+    assert.deepEqual(params.slice(2, 6), [0, 1, 9, 13]);
+    assert.equal((params[6] as Date).toISOString(), "2026-08-16T14:20:00.000Z");
+  });
+
+  test("21. sala COMPLETED sem resultado (force-complete): materializa o resultado sem mutar a sala", async () => {
+    const { db, executedQueries } = createProjectionDb({ roomStatus: "COMPLETED", mapResult: null });
+
+    const repo = new MatchIngressRepository(db, RATINGS);
+    await repo.saveEvent(SERIES_END_WITH_SCORE);
+
+    const resultInsert = executedQueries.find((q) => normalizeSql(q.sql).includes("INSERT INTO competitive_match_results"));
+    assert.ok(resultInsert);
+    const params = resultInsert.params as unknown[];
+    assert.equal(params[1], "A");
+    assert.deepEqual(params.slice(2, 6), [1, 0, null, null]);
+    assert.equal(params[10], null);
+    assert.equal(
+      executedQueries.some((q) => normalizeSql(q.sql).includes("INSERT INTO competitive_match_result_players")),
+      false,
+    );
+    assert.equal(executedQueries.some((q) => normalizeSql(q.sql).startsWith("UPDATE")), false);
+  });
+
+  test("22. resultado já materializado: não reescreve placar nem stat lines", async () => {
+    const { db, executedQueries } = createProjectionDb({
+      roomStatus: "COMPLETED",
+      existingResult: true,
+      mapResult: mapResultPayload(),
+    });
+
+    ratingApplications.length = 0;
+    const repo = new MatchIngressRepository(db, RATINGS);
+    await repo.saveEvent(SERIES_END_WITH_SCORE);
+    assert.equal(ratingApplications.length, 0);
+
+    assert.equal(
+      executedQueries.some((q) => normalizeSql(q.sql).includes("INSERT INTO competitive_match_result")),
+      false,
+    );
+    assert.equal(db.connection.commit.mock.calls.length, 1);
+  });
 });
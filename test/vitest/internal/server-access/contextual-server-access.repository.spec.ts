@@ -1,6 +1,11 @@
 import { describe, it, expect } from "vitest";
 import { ContextualServerAccessRepository } from "../../../../src/nest/internal/server-access/contextual-server-access.repository.js";
 import type { DatabaseService } from "../../../../src/nest/database/database.service.js";
+import type { AppConfig } from "../../../../src/nest/core/app-config.js";
+
+const CONFIG = {
+  membershipLifecycle: { gracePeriodHours: 0 },
+} as AppConfig;
 
 function mockDatabaseService(row: Record<string, any> | null) {
   const fakePool = {
@@ -25,6 +30,8 @@ describe("ContextualServerAccessRepository — authorize", () => {
     account_status: "active",
     membership_status: "active",
     membership_expires_at: null,
+    has_plan_server_join: 1,
+    has_server_join_grant: 0,
     now_utc: new Date(),
     resource_server_key: serverKey,
     resource_enabled: 1,
@@ -43,7 +50,7 @@ describe("ContextualServerAccessRepository — authorize", () => {
       room_status: "PROVISIONING",
     });
 
-    const repo = new ContextualServerAccessRepository(dbService);
+    const repo = new ContextualServerAccessRepository(dbService, CONFIG);
     const decision = await repo.authorize(steamid64, serverKey);
 
     expect(decision).toEqual({
@@ -58,7 +65,7 @@ describe("ContextualServerAccessRepository — authorize", () => {
       room_status: "JOINABLE",
     });
 
-    const repo = new ContextualServerAccessRepository(dbService);
+    const repo = new ContextualServerAccessRepository(dbService, CONFIG);
     const decision = await repo.authorize(steamid64, serverKey);
 
     expect(decision).toEqual({
@@ -73,7 +80,7 @@ describe("ContextualServerAccessRepository — authorize", () => {
       room_status: "FAILED",
     });
 
-    const repo = new ContextualServerAccessRepository(dbService);
+    const repo = new ContextualServerAccessRepository(dbService, CONFIG);
     const decision = await repo.authorize(steamid64, serverKey);
 
     expect(decision).toEqual({
@@ -82,6 +89,60 @@ describe("ContextualServerAccessRepository — authorize", () => {
     });
   });
 
+  it("active membership without server.join on the plan -> authorized: false, reason: 'entitlement_required:server.join'", async () => {
+    const dbService = mockDatabaseService({
+      ...baseValidRow,
+      has_plan_server_join: 0,
+    });
+
+    const repo = new ContextualServerAccessRepository(dbService, CONFIG);
+    const decision = await repo.authorize(steamid64, serverKey);
+
+    expect(decision).toEqual({
+      authorized: false,
+      reason: "entitlement_required:server.join",
+    });
+  });
+
+  it("active server.join grant without membership -> still checked against the frozen roster and room, like room eligibility", async () => {
+    const grantedNonMember = {
+      ...baseValidRow,
+      membership_status: null,
+      has_plan_server_join: 0,
+      has_server_join_grant: 1,
+    };
+
+    const repo = new ContextualServerAccessRepository(mockDatabaseService(grantedNonMember), CONFIG);
+    expect(await repo.authorize(steamid64, serverKey)).toEqual({
+      authorized: true,
+      reason: "match_joinable",
+    });
+
+    const notRoster = new ContextualServerAccessRepository(
+      mockDatabaseService({ ...grantedNonMember, roster_player_account_id: null }),
+      CONFIG,
+    );
+    expect(await notRoster.authorize(steamid64, serverKey)).toEqual({
+      authorized: false,
+      reason: "not_match_roster",
+    });
+  });
+
+  it("expired membership without a server.join grant -> authorized: false, reason: 'membership_expired'", async () => {
+    const dbService = mockDatabaseService({
+      ...baseValidRow,
+      membership_status: "expired",
+    });
+
+    const repo = new ContextualServerAccessRepository(dbService, CONFIG);
+    const decision = await repo.authorize(steamid64, serverKey);
+
+    expect(decision).toEqual({
+      authorized: false,
+      reason: "membership_expired",
+    });
+  });
+
   it("Scenario 4: JOINABLE but exact requested identity pair absent from frozen roster -> authorized: false, reason: 'not_match_roster'", async () => {
     const dbService = mockDatabaseService({
       ...baseValidRow,
@@ -89,7 +150,7 @@ describe("ContextualServerAccessRepository — authorize", () => {
       roster_player_account_id: null,
     });
 
-    const repo = new ContextualServerAccessRepository(dbService);
+    const repo = new ContextualServerAccessRepository(dbService, CONFIG);
     const decision = await repo.authorize(steamid64, serverKey);
 
     expect(decision).toEqual({
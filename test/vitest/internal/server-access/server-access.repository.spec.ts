@@ -13,6 +13,7 @@ const PLAYER_ACCOUNT_ID =
 
 function createRepository(
   rows: unknown[],
+  gracePeriodHours = 0,
 ) {
   let sql = "";
   let params: unknown[] = [];
@@ -32,6 +33,10 @@ function createRepository(
           },
         };
       },
+    } as any, {
+      membershipLifecycle: {
+        gracePeriodHours,
+      },
     } as any);
 
   return {
@@ -52,6 +57,10 @@ function row(
       "active",
     membership_expires_at:
       null,
+    has_plan_server_join:
+      1,
+    has_server_join_grant:
+      0,
     now_utc:
       "2026-08-07 22:00:00",
     ...overrides,
@@ -85,7 +94,7 @@ test("active account plus effective active membership authorizes", async () => {
   
   assert.deepEqual(
     getParams(),
-    [STEAMID64],
+    ["server.join", "server.join", STEAMID64],
   );
 
   });
@@ -223,6 +232,52 @@ test("expired membership denies using DB UTC effective status", async () => {
   );
 });
 
+test("grace period keeps access after expires_at and denies once it ends", async () => {
+  const withinGrace =
+    createRepository([
+      row({
+        membership_expires_at:
+          "2026-08-07 12:00:00",
+        now_utc:
+          "2026-08-07 22:00:00",
+      }),
+    ], 24);
+
+  assert.deepEqual(
+    await withinGrace.repository
+      .authorizeBySteamId64(
+        STEAMID64,
+      ),
+    {
+      authorized: true,
+      reason:
+        "membership_active",
+    },
+  );
+
+  const afterGrace =
+    createRepository([
+      row({
+        membership_expires_at:
+          "2026-08-06 22:00:00",
+        now_utc:
+          "2026-08-07 22:00:00",
+      }),
+    ], 24);
+
+  assert.deepEqual(
+    await afterGrace.repository
+      .authorizeBySteamId64(
+        STEAMID64,
+      ),
+    {
+      authorized: false,
+      reason:
+        "membership_expired",
+    },
+  );
+});
+
 test("cancelled membership denies", async () => {
   const { repository } =
     createRepository([
@@ -245,6 +300,81 @@ test("cancelled membership denies", async () => {
   );
 });
 
+test("active membership without server.join on the plan denies", async () => {
+  const { repository } =
+    createRepository([
+      row({
+        has_plan_server_join:
+          0,
+      }),
+    ]);
+
+  assert.deepEqual(
+    await repository
+      .authorizeBySteamId64(
+        STEAMID64,
+      ),
+    {
+      authorized: false,
+      reason:
+        "entitlement_required:server.join",
+    },
+  );
+});
+
+test("an active server.join grant authorizes without an active membership, as room eligibility does", async () => {
+  for (const membership of [
+    { membership_status: null },
+    { membership_status: "expired" },
+    { membership_status: "active", has_plan_server_join: 0 },
+  ]) {
+    const { repository } =
+      createRepository([
+        row({
+          ...membership,
+          has_server_join_grant:
+            1,
+        }),
+      ]);
+
+    assert.deepEqual(
+      await repository
+        .authorizeBySteamId64(
+          STEAMID64,
+        ),
+      {
+        authorized: true,
+        reason:
+          "entitlement_granted",
+      },
+    );
+  }
+});
+
+test("a server.join grant does not admit a disabled account", async () => {
+  const { repository } =
+    createRepository([
+      row({
+        account_status:
+          "disabled",
+        has_server_join_grant:
+          1,
+      }),
+    ]);
+
+  assert.deepEqual(
+    await repository
+      .authorizeBySteamId64(
+        STEAMID64,
+      ),
+    {
+      authorized: false,
+      reason:
+        "player_account_disabled",
+    },
+  );
+});
+
 test("player lookup is owner-scoped by playerAccountId", async () => {
   const {
     repository,
@@ -262,7 +392,7 @@ test("player lookup is owner-scoped by playerAccountId", async () => {
   
   assert.deepEqual(
     getParams(),
-    [PLAYER_ACCOUNT_ID],
+    ["server.join", "server.join", PLAYER_ACCOUNT_ID],
   );
 
   });
@@ -8,8 +8,12 @@ import {
 const PLAYERS = Array.from({ length: 10 }, (_, i) => `player-${i + 1}`);
 const STEAM_IDS = Array.from({ length: 10 }, (_, i) => `7656119800000000${i}`);
 
+const MIX_5V5 = { key: "mix_5v5", teamSize: 5, gameMode: "competitive" } as const;
+const WINGMAN_2V2 = { key: "wingman_2v2", teamSize: 2, gameMode: "wingman" } as const;
+
 const VALID_PARAMS = {
   roomStatus: "SETUP",
+  format: MIX_5V5,
   draftCompleted: true,
   vetoCompleted: true,
   selectedMapKey: "de_mirage",
@@ -84,7 +88,7 @@ test("validateCompetitiveMatchSetupInvariants throws if team balance is not 5v5"
         ...VALID_PARAMS,
         draftAssignments: unbalancedAssignments,
       }),
-    /Expected 5 Team A and 5 Team B/,
+    /Expected 5 Team A and 5 Team B players, got 6 A and 4 B/,
   );
 });
 
@@ -123,6 +127,7 @@ test("validateCompetitiveMatchRuntimeSnapshot enforces runtimeMatchId >= 1_000_0
   const validSnapshot = validateCompetitiveMatchRuntimeSnapshot({
     id: "match-1",
     runtimeMatchId: 1000000,
+    format: MIX_5V5,
     map: mapSnapshot,
     roster: VALID_PARAMS.draftAssignments.map((a, idx) => ({
       playerAccountId: a.playerAccountId,
@@ -138,9 +143,44 @@ test("validateCompetitiveMatchRuntimeSnapshot enforces runtimeMatchId >= 1_000_0
       validateCompetitiveMatchRuntimeSnapshot({
         id: "match-1",
         runtimeMatchId: 999999,
+        format: MIX_5V5,
         map: mapSnapshot,
         roster: validSnapshot.roster,
       }),
     /Invalid runtimeMatchId/,
   );
+
+  assert.throws(
+    () =>
+      validateCompetitiveMatchRuntimeSnapshot({
+        id: "match-1",
+        runtimeMatchId: 1000000,
+        format: WINGMAN_2V2,
+        map: mapSnapshot,
+        roster: validSnapshot.roster,
+      }),
+    /Expected 4 for format wingman_2v2/,
+  );
+});
+
+test("validateCompetitiveMatchSetupInvariants sizes the roster from the room format team size", () => {
+  const wingman = {
+    ...VALID_PARAMS,
+    format: WINGMAN_2V2,
+    participantAccountIds: PLAYERS.slice(0, 4),
+    draftAssignments: PLAYERS.slice(0, 4).map((playerAccountId, idx) => ({ playerAccountId, team: idx < 2 ? "A" : "B" })),
+    steamIdentities: VALID_PARAMS.steamIdentities.slice(0, 4),
+  };
+  assert.equal(validateCompetitiveMatchSetupInvariants(wingman).roster.length, 4);
+  assert.throws(
+    () => validateCompetitiveMatchSetupInvariants({ ...wingman, format: MIX_5V5 }),
+    /Expected exactly 10 active participants/,
+  );
+  assert.throws(
+    () => validateCompetitiveMatchSetupInvariants({
+      ...wingman,
+      draftAssignments: PLAYERS.slice(0, 4).map((playerAccountId, idx) => ({ playerAccountId, team: idx < 3 ? "A" : "B" })),
+    }),
+    /Expected 2 Team A and 2 Team B players, got 3 A and 1 B/,
+  );
 });
@@ -0,0 +1,110 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import { computeMatchRatingDeltas, readPlayerMatchRating } from "../../../src/nest/match/rating/match-rating.js";
+import { MatchRatingRepository } from "../../../src/nest/match/rating/match-rating.repository.js";
+
+const CONFIG = { matchRating: { initialRating: 1000, kFactor: 32 } } as any;
+
+test("equal teams move by half the K factor, zero-sum", () => {
+  assert.deepEqual(
+    computeMatchRatingDeltas({ teamA: [1000, 1000], teamB: [1000, 1000], winnerTeam: "A", kFactor: 32 }),
+    { teamA: 16, teamB: -16 },
+  );
+});
+
+test("an upset moves more than an expected win", () => {
+  const expected = computeMatchRatingDeltas({ teamA: [1200], teamB: [1000], winnerTeam: "A", kFactor: 32 });
+  const upset = computeMatchRatingDeltas({ teamA: [1200], teamB: [1000], winnerTeam: "B", kFactor: 32 });
+  assert.equal(expected.teamA, 8);
+  assert.equal(upset.teamB, 24);
+  assert.equal(upset.teamA, -24);
+});
+
+test("readPlayerMatchRating maps a rated row and returns null for a missing join", () => {
+  assert.equal(
+    readPlayerMatchRating({ rating: null, matches_played: null, wins: null, losses: null, season_id: null, updated_at: null }),
+    null,
+  );
+  assert.deepEqual(
+    readPlayerMatchRating({ rating: "1016", matches_played: "1", wins: "1", losses: "0", season_id: "2", updated_at: "2026-09-01" }),
+    { rating: 1016, matchesPlayed: 1, wins: 1, losses: 0, seasonId: 2, updatedAt: "2026-09-01" },
+  );
+});
+
+function recordingConnection(handlers: { applied?: boolean; ratings?: Array<{ player_account_id: string; rating: number }>; seasonId?: number | null }) {
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const connection = {
+    async execute(sql: string, values: unknown[] = []) {
+      executed.push({ sql, values });
+      if (sql.includes("FROM player_match_rating_history")) return [handlers.applied ? [{ id: 1 }] : []];
+      if (sql.includes("FROM player_match_ratings")) return [handlers.ratings ?? []];
+      if (sql.includes("FROM seasons")) return [handlers.seasonId ? [{ id: handlers.seasonId }] : []];
+      return [{ affectedRows: 1 }];
+    },
+  } as any;
+  return { connection, executed };
+}
+
+test("applyMatchResultOnConnection upserts ratings and history for every roster player", async () => {
+  const { connection, executed } = recordingConnection({
+    ratings: [{ player_account_id: "a1", rating: 1100 }],
+    seasonId: 7,
+  });
+  const repository = new MatchRatingRepository(CONFIG);
+
+  const applied = await repository.applyMatchResultOnConnection(connection, {
+    competitiveMatchId: "match-1",
+    winnerTeam: "B",
+    roster: [
+      { playerAccountId: "a1", team: "A" },
+      { playerAccountId: "a2", team: "A" },
+      { playerAccountId: "b1", team: "B" },
+      { playerAccountId: "b2", team: "B" },
+    ],
+  });
+
+  assert.equal(applied, true);
+  const lock = executed.find((q) => q.sql.includes("FROM player_match_ratings"));
+  assert.match(lock!.sql, /FOR UPDATE/);
+  assert.deepEqual(lock!.values, ["a1", "a2", "b1", "b2"]);
+
+  // Team A averages 1050 against 1000: B's win is worth round(32 * (1 - 0.4285...)) = 18.
+  const history = executed.filter((q) => q.sql.includes("INSERT INTO player_match_rating_history")).map((q) => q.values);
+  assert.deepEqual(history, [
+    ["a1", "match-1", 7, 1100, 1082, -18],
+    ["a2", "match-1", 7, 1000, 982, -18],
+    ["b1", "match-1", 7, 1000, 1018, 18],
+    ["b2", "match-1", 7, 1000, 1018, 18],
+  ]);
+  const upserts = executed.filter((q) => q.sql.includes("INSERT INTO player_match_ratings")).map((q) => q.values);
+  assert.deepEqual(upserts[0], ["a1", 1082, 0, 1, 7, "match-1"]);
+  assert.deepEqual(upserts[2], ["b1", 1018, 1, 0, 7, "match-1"]);
+  // A row rated in an earlier season moves to the current one on its next match.
+  const upsert = executed.find((q) => q.sql.includes("INSERT INTO player_match_ratings"));
+  assert.match(upsert!.sql, /season_id = VALUES\(season_id\)/);
+});
+
+test("applyMatchResultOnConnection skips undecided and already applied matches", async () => {
+  const repository = new MatchRatingRepository(CONFIG);
+  const roster = [{ playerAccountId: "a1", team: "A" as const }, { playerAccountId: "b1", team: "B" as const }];
+
+  const undecided = recordingConnection({});
+  assert.equal(await repository.applyMatchResultOnConnection(undecided.connection, { competitiveMatchId: "m", winnerTeam: null, roster }), false);
+  assert.equal(undecided.executed.length, 0);
+
+  const replay = recordingConnection({ applied: true });
+  assert.equal(await repository.applyMatchResultOnConnection(replay.connection, { competitiveMatchId: "m", winnerTeam: "A", roster }), false);
+  assert.equal(replay.executed.some((q) => q.sql.includes("INSERT")), false);
+});
+
+test("resetForSeasonOnConnection archives previous ratings and resets to the initial rating", async () => {
+  const { connection, executed } = recordingConnection({});
+  await new MatchRatingRepository(CONFIG).resetForSeasonOnConnection(connection, 9);
+
+  assert.equal(executed.length, 2);
+  assert.match(executed[0]!.sql, /'SEASON_RESET'/);
+  assert.deepEqual(executed[0]!.values, [9, 1000, 1000, 1000]);
+  assert.match(executed[1]!.sql, /UPDATE player_match_ratings/);
+  assert.deepEqual(executed[1]!.values, [1000, 9]);
+});
@@ -0,0 +1,133 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import type { PoolConnection } from "mysql2/promise";
+import {
+  isMatchRoomFormatKey,
+  matchRoomFormatMapCount,
+  resolveMatchRoomFormatTurnActor,
+  validateMatchRoomFormat,
+  type MatchRoomFormat,
+} from "../../../src/nest/match/format/match-room-format.js";
+import { MatchRoomFormatRepository } from "../../../src/nest/match/format/match-room-format.repository.js";
+import type { DatabaseService } from "../../../src/nest/database/database.service.js";
+
+const wingman: MatchRoomFormat = {
+  key: "wingman_2v2",
+  displayName: "Wingman 2v2",
+  capacity: 4,
+  teamSize: 2,
+  gameMode: "wingman",
+  draftPickOrder: ["FIRST", "SECOND"],
+  mapVetoOrder: ["FIRST", "SECOND", "FIRST"],
+  mapPoolKey: "wingman_2v2",
+};
+
+const mix: MatchRoomFormat = {
+  key: "mix_5v5",
+  displayName: "Mix 5v5",
+  capacity: 10,
+  teamSize: 5,
+  gameMode: "competitive",
+  draftPickOrder: ["FIRST", "SECOND", "FIRST", "SECOND", "FIRST", "SECOND", "FIRST", "SECOND"],
+  mapVetoOrder: ["FIRST", "SECOND", "FIRST", "SECOND", "FIRST", "SECOND"],
+  mapPoolKey: "mix_5v5",
+};
+
+function formatRow(overrides: Record<string, unknown> = {}) {
+  return {
+    format_key: "mix_5v5",
+    display_name: "Mix 5v5",
+    team_size: 5,
+    game_mode: "competitive",
+    draft_pick_order: JSON.stringify(mix.draftPickOrder),
+    map_veto_order: mix.mapVetoOrder,
+    map_pool_key: "mix_5v5",
+    ...overrides,
+  };
+}
+
+function repositoryReturning(rows: unknown[]) {
+  const calls: Array<{ sql: string; params: unknown[] }> = [];
+  const connection = {
+    async execute(sql: string, params: unknown[] = []) {
+      calls.push({ sql, params });
+      return [rows];
+    },
+  };
+  const repository = new MatchRoomFormatRepository({ getPool: () => connection } as unknown as DatabaseService);
+  return { repository, connection: connection as unknown as PoolConnection, calls };
+}
+
+test("validateMatchRoomFormat aceita os formatos do catálogo", () => {
+  assert.equal(validateMatchRoomFormat(wingman).key, "wingman_2v2");
+  assert.equal(validateMatchRoomFormat(mix).capacity, 10);
+  assert.equal(matchRoomFormatMapCount(mix), 7);
+  assert.equal(matchRoomFormatMapCount(wingman), 4);
+});
+
+test("validateMatchRoomFormat rejeita times desiguais e ordens de pick que favorecem um capitão", () => {
+  assert.throws(() => validateMatchRoomFormat({ ...wingman, capacity: 5 }), /exactly two teams/);
+  assert.throws(() => validateMatchRoomFormat({ ...mix, capacity: 12 }), /exactly two teams/);
+  assert.throws(() => validateMatchRoomFormat({ ...wingman, draftPickOrder: ["FIRST"] }), /every non-captain slot/);
+  assert.throws(() => validateMatchRoomFormat({ ...wingman, draftPickOrder: ["FIRST", "FIRST"] }), /fill both teams equally/);
+  assert.throws(() => validateMatchRoomFormat({ ...wingman, mapVetoOrder: [] }), /at least one map/);
+  assert.throws(
+    () => validateMatchRoomFormat({ ...mix, mapVetoOrder: [...mix.mapVetoOrder, "FIRST"] }),
+    /at most 6 maps/,
+  );
+  assert.throws(() => validateMatchRoomFormat({ ...wingman, teamSize: 0, capacity: 0 }), /Invalid team size/);
+  assert.throws(() => validateMatchRoomFormat({ ...wingman, gameMode: "arms_race" as never }), /Invalid game mode/);
+});
+
+test("isMatchRoomFormatKey só valida o formato da chave; a existência vem do catálogo", () => {
+  assert.equal(isMatchRoomFormatKey("wingman_2v2"), true);
+  assert.equal(isMatchRoomFormatKey("Mix 5v5"), false);
+  assert.equal(isMatchRoomFormatKey(""), false);
+  assert.equal(isMatchRoomFormatKey(5), false);
+});
+
+test("turns resolve relative to the captain who acts first", () => {
+  assert.equal(resolveMatchRoomFormatTurnActor("FIRST", "b", "a", "b"), "b");
+  assert.equal(resolveMatchRoomFormatTurnActor("SECOND", "b", "a", "b"), "a");
+  assert.equal(resolveMatchRoomFormatTurnActor("SECOND", "a", "a", "b"), "b");
+  assert.equal(resolveMatchRoomFormatTurnActor(undefined, "a", "a", "b"), null);
+});
+
+test("MatchRoomFormatRepository monta o formato da tabela com capacidade de dois times", async () => {
+  const { repository, connection, calls } = repositoryReturning([formatRow()]);
+
+  const format = await repository.findEnabledOnConnection(connection, "mix_5v5");
+
+  assert.deepEqual(format, mix);
+  assert.match(calls[0]!.sql, /FROM match_room_formats WHERE format_key = \? AND enabled = 1/);
+  assert.deepEqual(calls[0]!.params, ["mix_5v5"]);
+});
+
+test("MatchRoomFormatRepository devolve null para formato desconhecido e rejeita linhas inválidas", async () => {
+  const missing = repositoryReturning([]);
+  assert.equal(await missing.repository.findOnConnection(missing.connection, "mix_6v6"), null);
+
+  const broken = repositoryReturning([formatRow({ team_size: 6 })]);
+  await assert.rejects(broken.repository.findOnConnection(broken.connection, "mix_5v5"), /every non-captain slot/);
+});
+
+test("MatchRoomFormatRepository lista só formatos habilitados, na ordem do catálogo", async () => {
+  const { repository, calls } = repositoryReturning([
+    formatRow(),
+    formatRow({
+      format_key: "wingman_2v2",
+      display_name: "Wingman 2v2",
+      team_size: 2,
+      game_mode: "wingman",
+      draft_pick_order: "[\"FIRST\",\"SECOND\"]",
+      map_veto_order: "[\"FIRST\",\"SECOND\",\"FIRST\"]",
+      map_pool_key: "wingman_2v2",
+    }),
+  ]);
+
+  const formats = await repository.listEnabled();
+
+  assert.deepEqual(formats.map((format) => format.key), ["mix_5v5", "wingman_2v2"]);
+  assert.deepEqual(formats[1], wingman);
+  assert.match(calls[0]!.sql, /WHERE enabled = 1 ORDER BY position ASC, format_key ASC/);
+});
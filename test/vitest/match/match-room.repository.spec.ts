@@ -1,6 +1,41 @@
 import { test } from "vitest";
 import assert from "node:assert/strict";
 import { MatchRoomRepository } from "../../../src/nest/match/match-room.repository.js";
+import { MatchRoomError } from "../../../src/nest/match/match-room.error.js";
+import type { MatchRoomFormat } from "../../../src/nest/match/format/match-room-format.js";
+
+const FORMATS: Record<string, MatchRoomFormat> = {
+  mix_5v5: {
+    key: "mix_5v5", displayName: "Mix 5v5", capacity: 10, teamSize: 5, gameMode: "competitive",
+    draftPickOrder: ["FIRST", "SECOND", "FIRST", "SECOND", "FIRST", "SECOND", "FIRST", "SECOND"],
+    mapVetoOrder: ["FIRST", "SECOND", "FIRST", "SECOND", "FIRST", "SECOND"], mapPoolKey: "mix_5v5",
+  },
+  wingman_2v2: {
+    key: "wingman_2v2", displayName: "Wingman 2v2", capacity: 4, teamSize: 2, gameMode: "wingman",
+    draftPickOrder: ["FIRST", "SECOND"], mapVetoOrder: ["FIRST", "SECOND", "FIRST"], mapPoolKey: "wingman_2v2",
+  },
+  duel_1v1: {
+    key: "duel_1v1", displayName: "Duel 1v1", capacity: 2, teamSize: 1, gameMode: "competitive",
+    draftPickOrder: [], mapVetoOrder: ["FIRST", "SECOND", "FIRST", "SECOND", "FIRST", "SECOND"], mapPoolKey: "mix_5v5",
+  },
+};
+
+/** The seeded match_room_formats catalogue; disabled formats are listed in `disabled`. */
+function formatCatalog(disabled: string[] = []) {
+  return {
+    async findOnConnection(_connection: unknown, formatKey: string) { return FORMATS[formatKey] ?? null; },
+    async findEnabledOnConnection(_connection: unknown, formatKey: string) {
+      return disabled.includes(formatKey) ? null : FORMATS[formatKey] ?? null;
+    },
+    async listEnabled() { return Object.values(FORMATS).filter((format) => !disabled.includes(format.key)); },
+  } as any;
+}
+
+const MATCH_ROOM_FORMATS = formatCatalog();
+
+const MATCH_ROOM_CONFIG = {
+  membershipLifecycle: { gracePeriodHours: 0 },
+} as any;
 
 test("confirm during CONFIRMING status queries participant using both roomId and playerAccountId", async () => {
   const roomId = "room-uuid-123";
@@ -61,6 +96,8 @@ test("confirm during CONFIRMING status queries participant using both roomId and
     } as any,
     {} as any,
     {} as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   await repository.confirm(roomId, playerAccountId);
@@ -109,7 +146,7 @@ test("Scenario J: getById accepts and returns JOINABLE/FAILED lifecycle metadata
                 }
 
                 if (sql.includes("FROM player_accounts a")) {
-                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, now_utc: new Date() }]];
+                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
                 }
 
                 if (sql.includes("FROM match_room_participants")) {
@@ -129,6 +166,8 @@ test("Scenario J: getById accepts and returns JOINABLE/FAILED lifecycle metadata
         return null;
       },
     } as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   const snapshot = await repository.getById(roomId, playerAccountId);
@@ -175,7 +214,7 @@ test("Scenario J2: getById accepts and returns FAILED lifecycle metadata", async
                 }
 
                 if (sql.includes("FROM player_accounts a")) {
-                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, now_utc: new Date() }]];
+                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
                 }
 
                 if (sql.includes("FROM match_room_participants")) {
@@ -195,6 +234,8 @@ test("Scenario J2: getById accepts and returns FAILED lifecycle metadata", async
         return null;
       },
     } as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   const snapshot = await repository.getById(roomId, playerAccountId);
@@ -241,7 +282,7 @@ test("Scenario K1: JOINABLE + eligible participant + active assignment + enabled
                 }
 
                 if (sql.includes("FROM player_accounts a")) {
-                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, now_utc: new Date() }]];
+                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
                 }
 
                 if (sql.includes("FROM match_room_participants")) {
@@ -272,6 +313,8 @@ test("Scenario K1: JOINABLE + eligible participant + active assignment + enabled
         return null;
       },
     } as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   const snapshot = await repository.getById(roomId, playerAccountId);
@@ -319,7 +362,7 @@ test("Scenario K5: JOINABLE with null launch_uri gets canJoinServer: false and j
                 }
 
                 if (sql.includes("FROM player_accounts a")) {
-                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, now_utc: new Date() }]];
+                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
                 }
 
                 if (sql.includes("FROM match_room_participants")) {
@@ -350,6 +393,8 @@ test("Scenario K5: JOINABLE with null launch_uri gets canJoinServer: false and j
         return null;
       },
     } as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   const snapshot = await repository.getById(roomId, playerAccountId);
@@ -393,7 +438,7 @@ test("Scenario K6: JOINABLE with whitespace-only launch_uri gets canJoinServer:
                 }
 
                 if (sql.includes("FROM player_accounts a")) {
-                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, now_utc: new Date() }]];
+                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
                 }
 
                 if (sql.includes("FROM match_room_participants")) {
@@ -424,6 +469,8 @@ test("Scenario K6: JOINABLE with whitespace-only launch_uri gets canJoinServer:
         return null;
       },
     } as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   const snapshot = await repository.getById(roomId, playerAccountId);
@@ -468,7 +515,7 @@ test("Scenario K2: JOINABLE non-participant viewer gets canJoinServer: false and
                 }
 
                 if (sql.includes("FROM player_accounts a")) {
-                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, now_utc: new Date() }]];
+                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
                 }
 
                 if (sql.includes("FROM match_room_participants")) {
@@ -488,6 +535,8 @@ test("Scenario K2: JOINABLE non-participant viewer gets canJoinServer: false and
         return null;
       },
     } as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   const snapshot = await repository.getById(roomId, nonParticipantId);
@@ -532,7 +581,7 @@ test("Scenario K3: PROVISIONING non-JOINABLE state gets canJoinServer: false and
                 }
 
                 if (sql.includes("FROM player_accounts a")) {
-                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, now_utc: new Date() }]];
+                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
                 }
 
                 if (sql.includes("FROM match_room_participants")) {
@@ -552,6 +601,8 @@ test("Scenario K3: PROVISIONING non-JOINABLE state gets canJoinServer: false and
         return null;
       },
     } as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   const snapshot = await repository.getById(roomId, playerAccountId);
@@ -595,7 +646,7 @@ test("Scenario K4: JOINABLE participant whose frozen Steam pair is no longer lin
                 }
 
                 if (sql.includes("FROM player_accounts a")) {
-                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, now_utc: new Date() }]];
+                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
                 }
 
                 if (sql.includes("FROM match_room_participants")) {
@@ -625,6 +676,8 @@ test("Scenario K4: JOINABLE participant whose frozen Steam pair is no longer lin
         return null;
       },
     } as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   const snapshot = await repository.getById(roomId, playerAccountId);
@@ -670,7 +723,7 @@ test("Scenario C: getById accepts and returns COMPLETED terminal lifecycle metad
                 }
 
                 if (sql.includes("FROM player_accounts a")) {
-                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, now_utc: new Date() }]];
+                  return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
                 }
 
                 if (sql.includes("FROM match_room_participants")) {
@@ -698,6 +751,8 @@ test("Scenario C: getById accepts and returns COMPLETED terminal lifecycle metad
         return null;
       },
     } as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
   );
 
   const snapshot = await repository.getById(roomId, playerAccountId);
@@ -709,3 +764,628 @@ test("Scenario C: getById accepts and returns COMPLETED terminal lifecycle metad
   assert.equal(snapshot.viewer.actions.canCancel, false);
   assert.equal(snapshot.viewer.actions.canJoinServer, false);
 });
+
+function lockedRoomRepository(status: string, executed: Array<{ sql: string; values: unknown[] }>, events: string[], assigned = false) {
+  return new MatchRoomRepository(
+    {
+      getPool() {
+        return {
+          async getConnection() {
+            return {
+              async beginTransaction() {},
+              async commit() { events.push("commit"); },
+              async rollback() { events.push("rollback"); },
+              release() {},
+              async execute(sql: string, values: unknown[]) {
+                executed.push({ sql, values });
+                if (sql.includes("FROM match_rooms WHERE id = ?")) {
+                  return [[{ id: "room-ops", creator_player_account_id: "creator", status, version: 4, confirmation_round: 1 }]];
+                }
+                if (sql.includes("JOIN match_server_resources sr")) return [assigned ? [{ id: "asg-1", bridge_node_key: "node-01", runtime_match_id: 1000001 }] : []];
+                return [{ affectedRows: 1 }];
+              },
+            };
+          },
+        };
+      },
+    } as any,
+    {} as any,
+    {} as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
+  );
+}
+
+test("Operations: forceCancel releases participants and outstanding commands and asks the bridge to free the server before auditing", async () => {
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const events: string[] = [];
+  const repository = lockedRoomRepository("PROVISIONING", executed, events, true);
+
+  await repository.forceCancel("room-ops", async () => { events.push("audit"); });
+
+  const statements = executed.map((q) => q.sql);
+  assert.ok(statements[0]!.includes("FOR UPDATE"));
+  assert.ok(statements.some((sql) => sql.includes("SET status = 'CANCELLED'")));
+  assert.ok(executed.some((q) => q.sql.includes("UPDATE match_room_participants") && q.values[0] === "ADMIN_FORCE_CANCEL"));
+  const failedCommands = statements.findIndex((sql) => sql.includes("UPDATE match_server_commands") && sql.includes("'PENDING', 'CLAIMED'"));
+  const insert = executed.findIndex((q) => q.sql.includes("INSERT INTO match_server_commands"));
+  assert.ok(failedCommands >= 0 && insert > failedCommands);
+  assert.deepEqual(executed[insert]!.values.slice(1), ["asg-1", "node-01", "RELEASE_SERVER", 1000001]);
+  assert.ok(!statements.some((sql) => sql.includes("UPDATE match_server_assignments")));
+  assert.deepEqual(events, ["audit", "commit"]);
+});
+
+test("Operations: forcing a JOINABLE room terminal aborts the live match and leaves the assignment to the acknowledgement", async () => {
+  for (const method of ["forceCancel", "forceFail", "forceComplete"] as const) {
+    const executed: Array<{ sql: string; values: unknown[] }> = [];
+    const repository = lockedRoomRepository("JOINABLE", executed, [], true);
+
+    await (method === "forceFail"
+      ? repository.forceFail("room-ops", "server_resource_unavailable", async () => {})
+      : repository[method]("room-ops", async () => {}));
+
+    const insert = executed.find((q) => q.sql.includes("INSERT INTO match_server_commands"));
+    assert.deepEqual(insert?.values.slice(1), ["asg-1", "node-01", "ABORT_MATCH", 1000001]);
+    assert.ok(!executed.some((q) => q.sql.includes("UPDATE match_server_assignments")));
+  }
+});
+
+test("Operations: forcing a room without a server assignment enqueues no bridge command", async () => {
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const repository = lockedRoomRepository("SETUP", executed, []);
+
+  await repository.forceCancel("room-ops", async () => {});
+
+  assert.ok(!executed.some((q) => q.sql.includes("INSERT INTO match_server_commands")));
+});
+
+test("Operations: forceFail persists the operator supplied failure reason", async () => {
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const repository = lockedRoomRepository("JOINABLE", executed, []);
+
+  await repository.forceFail("room-ops", "server_resource_unavailable", async () => {});
+
+  const update = executed.find((q) => q.sql.includes("SET status = 'FAILED'"));
+  assert.deepEqual(update?.values, ["server_resource_unavailable", "room-ops"]);
+});
+
+test("Operations: forced transitions reject rooms outside their legal source states without auditing", async () => {
+  const cases: Array<[string, "forceCancel" | "forceFail" | "forceComplete", string]> = [
+    ["COMPLETED", "forceCancel", "room_not_cancellable"],
+    ["FORMING", "forceFail", "room_not_failable"],
+    ["PROVISIONING", "forceComplete", "room_not_completable"],
+  ];
+
+  for (const [status, method, code] of cases) {
+    const executed: Array<{ sql: string; values: unknown[] }> = [];
+    const events: string[] = [];
+    const repository = lockedRoomRepository(status, executed, events);
+    const audit = async () => { events.push("audit"); };
+    const run = method === "forceFail"
+      ? repository.forceFail("room-ops", "prepare_match_failed", audit)
+      : repository[method]("room-ops", audit);
+
+    await assert.rejects(run, (error: any) => error.code === code);
+    assert.equal(executed.length, 1);
+    assert.ok(!events.includes("audit"));
+  }
+});
+
+function commandRoomRepository(status: string, pausedAt: Date | null, outstanding: boolean, executed: Array<{ sql: string; values: unknown[] }>) {
+  return new MatchRoomRepository(
+    {
+      getPool() {
+        return {
+          async getConnection() {
+            return {
+              async beginTransaction() {},
+              async commit() {},
+              async rollback() {},
+              release() {},
+              async execute(sql: string, values: unknown[]) {
+                executed.push({ sql, values });
+                if (sql.includes("FROM match_rooms WHERE id = ?")) {
+                  return [[{ id: "room-ops", creator_player_account_id: "creator", status, version: 4, confirmation_round: 1, paused_at: pausedAt }]];
+                }
+                if (sql.includes("JOIN match_server_resources sr")) return [[{ id: "asg-1", bridge_node_key: "node-01", runtime_match_id: 1000001 }]];
+                if (sql.includes("status IN ('PENDING', 'CLAIMED') LIMIT 1 FOR UPDATE")) return [outstanding ? [{ id: "cmd-1" }] : []];
+                return [{ affectedRows: 1 }];
+              },
+            };
+          },
+        };
+      },
+    } as any,
+    {} as any,
+    {} as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
+  );
+}
+
+test("Operations: enqueueServerCommand queues the command on the active assignment and audits it", async () => {
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const events: string[] = [];
+
+  await commandRoomRepository("JOINABLE", null, false, executed).enqueueServerCommand("room-ops", "PAUSE_MATCH", async () => { events.push("audit"); });
+
+  const insert = executed.find((q) => q.sql.includes("INSERT INTO match_server_commands"));
+  assert.deepEqual(insert?.values.slice(1), ["asg-1", "node-01", "PAUSE_MATCH", 1000001]);
+  assert.deepEqual(events, ["audit"]);
+});
+
+test("Operations: enqueueServerCommand enforces room state, pause state and one outstanding command", async () => {
+  const cases: Array<[string, Date | null, boolean, "ABORT_MATCH" | "PAUSE_MATCH" | "UNPAUSE_MATCH" | "RELEASE_SERVER", string]> = [
+    ["PROVISIONING", null, false, "ABORT_MATCH", "room_command_not_allowed"],
+    ["JOINABLE", new Date(), false, "PAUSE_MATCH", "room_command_not_allowed"],
+    ["JOINABLE", null, false, "UNPAUSE_MATCH", "room_command_not_allowed"],
+    ["JOINABLE", null, false, "RELEASE_SERVER", "room_command_not_allowed"],
+    ["JOINABLE", null, true, "ABORT_MATCH", "room_command_in_progress"],
+  ];
+
+  for (const [status, pausedAt, outstanding, commandType, code] of cases) {
+    const executed: Array<{ sql: string; values: unknown[] }> = [];
+    await assert.rejects(
+      commandRoomRepository(status, pausedAt, outstanding, executed).enqueueServerCommand("room-ops", commandType, async () => {}),
+      (error: any) => error.code === code,
+    );
+    assert.ok(!executed.some((q) => q.sql.includes("INSERT INTO match_server_commands")));
+  }
+});
+
+test("AUTO_BALANCE room completes the draft from ratings on the tenth confirmation", async () => {
+  const roomId = "room-auto";
+  const players = Array.from({ length: 10 }, (_, i) => `player-${i}`);
+  const executedQueries: Array<{ sql: string; values: unknown[] }> = [];
+
+  const repository = new MatchRoomRepository(
+    {
+      getPool() {
+        return {
+          async getConnection() {
+            return {
+              async beginTransaction() {},
+              async commit() {},
+              async rollback() {},
+              release() {},
+              async execute(sql: string, values: unknown[]) {
+                executedQueries.push({ sql, values });
+                if (sql.includes("FROM match_rooms WHERE id = ?")) {
+                  return [[{
+                    id: roomId,
+                    creator_player_account_id: players[0],
+                    team_selection_mode: "AUTO_BALANCE",
+                    status: "CONFIRMING",
+                    version: 3,
+                    confirmation_round: 1,
+                    confirmation_started_at: new Date(),
+                    confirmation_deadline_at: new Date(Date.now() + 30000),
+                    roster_locked_at: null,
+                    ready_at: null,
+                    confirmation_expired: 0,
+                  }]];
+                }
+                if (sql.includes("FROM match_room_participants WHERE room_id = ? AND player_account_id = ? AND released_at IS NULL LIMIT 1")) {
+                  return [[{ confirmed_round: null, confirmed_at: null }]];
+                }
+                if (sql.includes("SELECT COUNT(*) AS participant_count")) {
+                  return [[{ participant_count: 10 }]];
+                }
+                if (sql.includes("SELECT player_account_id FROM match_room_participants")) {
+                  return [players.map((player_account_id) => ({ player_account_id }))];
+                }
+                if (sql.includes("FROM competitive_match_result_players")) {
+                  // player-0 has a strong long history, everyone else has none.
+                  return [[{ player_account_id: "player-0", damage: 150 * 480, rounds_played: 480 }]];
+                }
+                return [{ affectedRows: 1 }];
+              },
+            };
+          },
+        };
+      },
+    } as any,
+    {
+      async findActivePoolOnConnection() {
+        return {
+          id: "pool-1",
+          key: "mix_5v5",
+          status: "ACTIVE",
+          version: 1,
+          maps: Array.from({ length: 7 }, (_, i) => ({ key: `de_map${i}`, displayName: `Map ${i}`, position: i + 1 })),
+        };
+      },
+    } as any,
+    {} as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
+  );
+
+  await repository.confirm(roomId, players[0]!);
+
+  const draftInsert = executedQueries.find((q) => q.sql.includes("INSERT INTO match_room_drafts"));
+  assert.ok(draftInsert);
+  assert.match(draftInsert.sql, /UTC_TIMESTAMP\(6\)\)/);
+
+  const assignments = executedQueries.filter((q) => q.sql.includes("INSERT INTO match_room_draft_assignments"));
+  assert.equal(assignments.length, 10);
+  for (const insert of assignments) assert.match(insert.sql, /'AUTO_BALANCE'/);
+
+  const teamOf = new Map(assignments.map((q) => [q.values[1], q.values[2]]));
+  assert.equal(new Set(players.map((p) => teamOf.get(p))).size, 2);
+  assert.equal([...teamOf.values()].filter((team) => team === "A").length, 5);
+
+  // The strongest player captains their side; the draft row records both captains.
+  const [, captainA, captainB] = draftInsert.values as string[];
+  assert.ok([captainA, captainB].includes("player-0"));
+  const captains = assignments.filter((q) => q.values[3] === 1).map((q) => q.values[1]);
+  assert.deepEqual(captains.sort(), [captainA, captainB].sort());
+  assert.equal(assignments.find((q) => q.values[1] === "player-0")?.values[4], 143.18);
+
+  assert.ok(executedQueries.some((q) => q.sql.includes("INSERT INTO match_room_map_vetos")));
+});
+
+function queueRepository(
+  options: { queued: string[]; ineligible?: string[]; lockAcquired?: number; joinedRoomDuringFormation?: string },
+  executed: Array<{ sql: string; values: unknown[] }>,
+  events: string[],
+) {
+  const removed = new Set<unknown>();
+  let joinedRoom = options.joinedRoomDuringFormation;
+  return new MatchRoomRepository(
+    {
+      getPool() {
+        return {
+          async getConnection() {
+            return {
+              async beginTransaction() { events.push("begin"); },
+              async commit() { events.push("commit"); },
+              async rollback() { events.push("rollback"); },
+              release() { events.push("release"); },
+              async execute(sql: string, values: unknown[] = []) {
+                executed.push({ sql, values });
+                if (sql.includes("GET_LOCK")) { events.push("lock"); return [[{ acquired: options.lockAcquired ?? 1 }]]; }
+                if (sql.includes("RELEASE_LOCK")) { events.push("unlock"); return [[{ released: 1 }]]; }
+                if (sql.includes("FROM player_accounts a")) {
+                  const disabled = options.ineligible?.includes(values[2] as string);
+                  return [[{ account_status: disabled ? "disabled" : "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
+                }
+                if (sql.includes("COUNT(*) AS participant_count FROM match_room_participants")) return [[{ participant_count: 0 }]];
+                if (sql.includes("FROM match_matchmaking_queue_entries WHERE status = 'QUEUED'")) {
+                  return [options.queued.map((player, index) => ({ id: `entry-${index}`, player_account_id: player })).filter((entry) => !removed.has(entry.id))];
+                }
+                if (sql.includes("SET status = 'REMOVED'")) removed.add(values[1]);
+                if (sql.includes("INSERT INTO match_room_participants") && values[2] === joinedRoom) {
+                  joinedRoom = undefined;
+                  throw Object.assign(new Error("dup"), { code: "ER_DUP_ENTRY", sqlMessage: "Duplicate entry 'x' for key 'match_room_participants.uniq_match_room_active_player'" });
+                }
+                return [{ affectedRows: 1 }];
+              },
+            };
+          },
+        };
+      },
+    } as any,
+    {} as any,
+    {} as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
+  );
+}
+
+test("Matchmaking: the tenth queued player forms a CONFIRMING room under the queue lock", async () => {
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const events: string[] = [];
+  const queued = Array.from({ length: 11 }, (_, index) => `player-${index}`);
+  const repository = queueRepository({ queued, ineligible: ["player-3"] }, executed, events);
+
+  await repository.enqueue("player-10");
+
+  assert.deepEqual(events, ["lock", "begin", "commit", "unlock", "release"]);
+  const room = executed.find((q) => q.sql.includes("INSERT INTO match_rooms"))!;
+  assert.equal(room.values[1], "player-0");
+  assert.ok(room.sql.includes("'CAPTAIN_DRAFT', 'FORMING'"));
+  const participants = executed.filter((q) => q.sql.includes("INSERT INTO match_room_participants")).map((q) => q.values[2]);
+  assert.deepEqual(participants, queued.filter((player) => player !== "player-3"));
+  assert.ok(executed.some((q) => q.sql.includes("SET status = 'CONFIRMING'") && q.values[0] === room.values[0]));
+  assert.ok(executed.some((q) => q.sql.includes("SET status = 'REMOVED'") && q.values[0] === "player_account_disabled" && q.values[1] === "entry-3"));
+  const matched = executed.find((q) => q.sql.includes("SET status = 'MATCHED'"))!;
+  assert.equal(matched.values[0], room.values[0]);
+  assert.equal(matched.values.length, 11);
+  assert.ok(!matched.values.includes("entry-3"));
+});
+
+test("Matchmaking: fewer than ten queued players leaves the queue waiting", async () => {
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const repository = queueRepository({ queued: Array.from({ length: 9 }, (_, index) => `player-${index}`) }, executed, []);
+
+  await repository.enqueue("player-8");
+
+  assert.ok(executed.some((q) => q.sql.includes("INSERT INTO match_matchmaking_queue_entries")));
+  assert.ok(!executed.some((q) => q.sql.includes("INSERT INTO match_rooms")));
+});
+
+test("Matchmaking: a player who joined a room while the queue was forming is removed and formation retried", async () => {
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const events: string[] = [];
+  const queued = Array.from({ length: 11 }, (_, index) => `player-${index}`);
+  const repository = queueRepository({ queued, joinedRoomDuringFormation: "player-4" }, executed, events);
+
+  await repository.enqueue("player-10");
+
+  assert.deepEqual(events, ["lock", "begin", "commit", "unlock", "release"]);
+  const rooms = executed.filter((q) => q.sql.includes("INSERT INTO match_rooms"));
+  assert.equal(rooms.length, 2);
+  const [discarded, formed] = rooms.map((q) => q.values[0]);
+  assert.ok(executed.some((q) => q.sql.includes("DELETE FROM match_room_participants") && q.values[0] === discarded));
+  assert.ok(executed.some((q) => q.sql.includes("DELETE FROM match_rooms") && q.values[0] === discarded));
+  assert.ok(executed.some((q) => q.sql.includes("SET status = 'REMOVED'") && q.values[0] === "already_in_active_room" && q.values[1] === "entry-4"));
+  const participants = executed.filter((q) => q.sql.includes("INSERT INTO match_room_participants") && q.values[1] === formed).map((q) => q.values[2]);
+  assert.deepEqual(participants, queued.filter((player) => player !== "player-4"));
+  const matched = executed.find((q) => q.sql.includes("SET status = 'MATCHED'"))!;
+  assert.equal(matched.values[0], formed);
+  assert.ok(!matched.values.includes("entry-4"));
+});
+
+test("Matchmaking: create and join reject players waiting in the queue", async () => {
+  const executed: string[] = [];
+  const repository = new MatchRoomRepository({
+    getPool() {
+      return {
+        async getConnection() {
+          return {
+            async beginTransaction() {}, async commit() {}, async rollback() {}, release() {},
+            async execute(sql: string) {
+              executed.push(sql);
+              if (sql.includes("FROM match_rooms WHERE id = ?")) return [[{ id: "room-1", creator_player_account_id: "creator", status: "FORMING", format_key: "mix_5v5", version: 1, confirmation_round: 0 }]];
+              if (sql.includes("FROM player_accounts a")) return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
+              if (sql.includes("FROM match_matchmaking_queue_entries WHERE player_account_id = ?")) {
+                assert.ok(sql.includes("FOR UPDATE"));
+                return [[{ id: "entry-1" }]];
+              }
+              return [[]];
+            },
+          };
+        },
+      };
+    },
+  } as any, {} as any, {} as any, MATCH_ROOM_FORMATS, MATCH_ROOM_CONFIG);
+
+  await assert.rejects(repository.create("player"), (error: unknown) => error instanceof MatchRoomError && error.code === "already_in_queue");
+  await assert.rejects(repository.join("room-1", "player"), (error: unknown) => error instanceof MatchRoomError && error.code === "already_in_queue");
+  assert.ok(!executed.some((sql) => sql.includes("INSERT INTO match_room")));
+});
+
+test("Entitlements: create requires mix.create and join/enqueue require mix.participate on the plan", async () => {
+  const eligibility: unknown[][] = [];
+  const repository = new MatchRoomRepository({
+    getPool() {
+      return {
+        async getConnection() {
+          return {
+            async beginTransaction() {}, async commit() {}, async rollback() {}, release() {},
+            async execute(sql: string, values: unknown[] = []) {
+              if (sql.includes("GET_LOCK")) return [[{ acquired: 1 }]];
+              if (sql.includes("FROM player_accounts a")) {
+                eligibility.push(values);
+                assert.ok(sql.includes("FROM membership_plan_entitlements pe"));
+                return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 0, now_utc: new Date() }]];
+              }
+              return [[]];
+            },
+          };
+        },
+      };
+    },
+  } as any, {} as any, {} as any, MATCH_ROOM_FORMATS, MATCH_ROOM_CONFIG);
+
+  await assert.rejects(repository.create("player"), (error: unknown) => error instanceof MatchRoomError && error.code === "entitlement_required:mix.create");
+  await assert.rejects(repository.enqueue("player"), (error: unknown) => error instanceof MatchRoomError && error.code === "entitlement_required:mix.participate");
+  assert.deepEqual(eligibility, [["mix.create", "mix.create", "player"], ["mix.participate", "mix.participate", "player"]]);
+});
+
+test("Entitlements: an active individual grant admits a player without membership, and only the plan needs one", async () => {
+  const rows: Record<string, Record<string, unknown>> = {
+    "granted-non-member": { membership_status: null, has_plan_entitlement: 0, has_entitlement_grant: 1 },
+    "granted-expired-member": { membership_status: "expired", has_plan_entitlement: 1, has_entitlement_grant: 1 },
+    "plan-only-expired-member": { membership_status: "expired", has_plan_entitlement: 1, has_entitlement_grant: 0 },
+    "non-member": { membership_status: null, has_plan_entitlement: 0, has_entitlement_grant: 0 },
+  };
+  const repository = new MatchRoomRepository({
+    getPool() {
+      return {
+        async getConnection() {
+          return {
+            async beginTransaction() {}, async commit() {}, async rollback() {}, release() {},
+            async execute(sql: string, values: unknown[] = []) {
+              if (sql.includes("FROM player_accounts a")) {
+                assert.ok(sql.includes("FROM player_entitlement_grants g"));
+                return [[{ account_status: "active", has_steam: 1, membership_expires_at: null, now_utc: new Date(), ...rows[values[2] as string] }]];
+              }
+              return [[]];
+            },
+          };
+        },
+      };
+    },
+  } as any, {} as any, {} as any, MATCH_ROOM_FORMATS, MATCH_ROOM_CONFIG);
+
+  assert.equal(typeof await repository.create("granted-non-member"), "string");
+  assert.equal(typeof await repository.create("granted-expired-member"), "string");
+  await assert.rejects(repository.create("plan-only-expired-member"), (error: unknown) => error instanceof MatchRoomError && error.code === "membership_expired");
+  await assert.rejects(repository.create("non-member"), (error: unknown) => error instanceof MatchRoomError && error.code === "membership_required");
+});
+
+test("Matchmaking: enqueue surfaces duplicate queue entries and a busy queue lock", async () => {
+  const events: string[] = [];
+  const duplicate = new MatchRoomRepository({
+    getPool() {
+      return {
+        async getConnection() {
+          return {
+            async beginTransaction() {}, async commit() {}, async rollback() { events.push("rollback"); }, release() {},
+            async execute(sql: string) {
+              if (sql.includes("GET_LOCK")) return [[{ acquired: 1 }]];
+              if (sql.includes("FROM player_accounts a")) return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
+              if (sql.includes("COUNT(*) AS participant_count")) return [[{ participant_count: 0 }]];
+              if (sql.includes("INSERT INTO match_matchmaking_queue_entries")) {
+                throw Object.assign(new Error("dup"), { code: "ER_DUP_ENTRY", sqlMessage: "Duplicate entry 'x' for key 'uniq_match_matchmaking_queue_active_player'" });
+              }
+              return [[]];
+            },
+          };
+        },
+      };
+    },
+  } as any, {} as any, {} as any, MATCH_ROOM_FORMATS, MATCH_ROOM_CONFIG);
+  await assert.rejects(duplicate.enqueue("player"), (error: unknown) => error instanceof MatchRoomError && error.code === "already_in_queue");
+  assert.deepEqual(events, ["rollback"]);
+
+  const busy = queueRepository({ queued: [], lockAcquired: 0 }, [], []);
+  await assert.rejects(busy.enqueue("player"), (error: unknown) => error instanceof MatchRoomError && error.code === "matchmaking_queue_busy");
+});
+
+function formatRoomRepository(
+  room: Record<string, unknown>,
+  players: string[],
+  assignments: Array<{ player_account_id: string; team: "A" | "B" }>,
+  executed: Array<{ sql: string; values: unknown[] }>,
+  poolRequests: string[],
+  mapCount: number,
+) {
+  return new MatchRoomRepository(
+    {
+      getPool() {
+        return {
+          async getConnection() {
+            return {
+              async beginTransaction() {}, async commit() {}, async rollback() {}, release() {},
+              async execute(sql: string, values: unknown[]) {
+                executed.push({ sql, values });
+                if (sql.includes("FROM match_rooms WHERE id = ?")) return [[room]];
+                if (sql.includes("FROM match_room_drafts WHERE room_id = ? FOR UPDATE")) {
+                  return [[{
+                    room_id: room.id, captain_a_player_account_id: players[0], captain_b_player_account_id: players[1],
+                    first_picker_player_account_id: players[0], current_picker_player_account_id: players[0],
+                    next_selection_order: 1, pick_deadline_at: new Date(Date.now() + 30000), completed_at: null, draft_expired: 0,
+                  }]];
+                }
+                if (sql.includes("FROM match_room_participants WHERE room_id = ? AND player_account_id = ? AND released_at IS NULL LIMIT 1")) {
+                  return [[{ confirmed_round: null, confirmed_at: null }]];
+                }
+                if (sql.includes("SELECT COUNT(*) AS participant_count")) return [[{ participant_count: players.length }]];
+                if (sql.includes("SELECT player_account_id FROM match_room_participants")) {
+                  return [players.map((player_account_id) => ({ player_account_id }))];
+                }
+                if (sql.includes("SELECT player_account_id, team FROM match_room_draft_assignments")) return [assignments];
+                return [{ affectedRows: 1 }];
+              },
+            };
+          },
+        };
+      },
+    } as any,
+    {
+      async findActivePoolOnConnection(_connection: unknown, poolKey: string) {
+        poolRequests.push(poolKey);
+        return {
+          id: `pool-${poolKey}`, key: poolKey, status: "ACTIVE", version: 1,
+          maps: Array.from({ length: mapCount }, (_, i) => ({ key: `de_map${i}`, displayName: `Map ${i}`, position: i + 1 })),
+        };
+      },
+    } as any,
+    {} as any,
+    MATCH_ROOM_FORMATS,
+    MATCH_ROOM_CONFIG,
+  );
+}
+
+test("Formats: wingman_2v2 draft completes after one pick and opens the veto on the wingman pool", async () => {
+  const players = ["captain-a", "captain-b", "player-3", "player-4"];
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const poolRequests: string[] = [];
+  const repository = formatRoomRepository(
+    { id: "room-wingman", creator_player_account_id: "captain-a", format_key: "wingman_2v2", status: "SETUP", version: 5, confirmation_round: 1 },
+    players,
+    [{ player_account_id: "captain-a", team: "A" }, { player_account_id: "captain-b", team: "B" }],
+    executed,
+    poolRequests,
+    4,
+  );
+
+  await repository.draftPick("room-wingman", "captain-a", "player-3");
+
+  const picks = executed.filter((q) => q.sql.includes("INSERT INTO match_room_draft_assignments"));
+  assert.deepEqual(picks.map((q) => q.values.slice(1, 4)), [["player-3", "A", 1], ["player-4", "B", 2]]);
+  assert.match(picks[1]!.sql, /'LAST_REMAINING'/);
+  assert.deepEqual(poolRequests, ["wingman_2v2"]);
+  assert.ok(executed.some((q) => q.sql.includes("INSERT INTO match_room_map_vetos") && q.values[1] === "pool-wingman_2v2"));
+});
+
+test("Formats: wingman_2v2 rejects a map pool that does not match its veto order", async () => {
+  const players = ["captain-a", "captain-b", "player-3", "player-4"];
+  const repository = formatRoomRepository(
+    { id: "room-wingman", creator_player_account_id: "captain-a", format_key: "wingman_2v2", status: "SETUP", version: 5, confirmation_round: 1 },
+    players,
+    [{ player_account_id: "captain-a", team: "A" }, { player_account_id: "captain-b", team: "B" }],
+    [],
+    [],
+    7,
+  );
+
+  await assert.rejects(repository.draftPick("room-wingman", "captain-a", "player-3"), /match_map_pool_invariant_violation/);
+});
+
+test("Formats: duel_1v1 skips the draft and starts the veto once both players confirm", async () => {
+  const players = ["player-1", "player-2"];
+  const executed: Array<{ sql: string; values: unknown[] }> = [];
+  const poolRequests: string[] = [];
+  const repository = formatRoomRepository(
+    {
+      id: "room-duel", creator_player_account_id: "player-1", format_key: "duel_1v1", team_selection_mode: "CAPTAIN_DRAFT",
+      status: "CONFIRMING", version: 3, confirmation_round: 1, confirmation_started_at: new Date(),
+      confirmation_deadline_at: new Date(Date.now() + 30000), confirmation_expired: 0,
+    },
+    players,
+    [],
+    executed,
+    poolRequests,
+    7,
+  );
+
+  await repository.confirm("room-duel", "player-2");
+
+  const draftInsert = executed.find((q) => q.sql.includes("INSERT INTO match_room_drafts"))!;
+  assert.match(draftInsert.sql, /completed_at/);
+  assert.equal(executed.filter((q) => q.sql.includes("INSERT INTO match_room_draft_assignments")).length, 1);
+  assert.deepEqual(poolRequests, ["mix_5v5"]);
+  assert.ok(executed.some((q) => q.sql.includes("INSERT INTO match_room_map_vetos")));
+});
+
+test("Formats: create rejects formats that are unknown or disabled in the catalogue", async () => {
+  const executed: string[] = [];
+  const repository = new MatchRoomRepository({
+    getPool() {
+      return {
+        async getConnection() {
+          return {
+            async beginTransaction() {}, async commit() {}, async rollback() {}, release() {},
+            async execute(sql: string) {
+              executed.push(sql);
+              if (sql.includes("FROM player_accounts a")) return [[{ account_status: "active", has_steam: 1, membership_status: "active", membership_expires_at: null, has_plan_entitlement: 1, now_utc: new Date() }]];
+              return [[]];
+            },
+          };
+        },
+      };
+    },
+  } as any, {} as any, {} as any, formatCatalog(["wingman_2v2"]), MATCH_ROOM_CONFIG);
+
+  for (const formatKey of ["wingman_2v2", "mix_6v6"]) {
+    await assert.rejects(
+      repository.create("player", "CAPTAIN_DRAFT", formatKey),
+      (error: unknown) => error instanceof MatchRoomError && error.code === "match_room_format_unavailable",
+    );
+  }
+  assert.ok(!executed.some((sql) => sql.includes("INSERT INTO match_room")));
+});
@@ -0,0 +1,55 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import {
+  MATCH_TEAM_BALANCE_PRIOR_RATING,
+  balanceMatchTeams,
+  computeMatchTeamBalanceRating,
+} from "../../../src/nest/match/team-balance/match-team-balance.js";
+
+test("balance rating falls back to the prior without history and shrinks short histories toward it", () => {
+  assert.equal(computeMatchTeamBalanceRating(0, 0), MATCH_TEAM_BALANCE_PRIOR_RATING);
+  // One 24-round match at 150 ADR moves a new player only part of the way.
+  assert.equal(computeMatchTeamBalanceRating(3600, 24), 100);
+  // A long history dominates the prior.
+  assert.ok(computeMatchTeamBalanceRating(120 * 2400, 2400) > 119);
+});
+
+test("balanceMatchTeams splits 10 players 5v5 minimizing the rating difference", () => {
+  const ratings = [140, 120, 110, 100, 95, 90, 85, 80, 70, 60];
+  const result = balanceMatchTeams(ratings.map((rating, i) => ({ playerAccountId: `p${i}`, rating })));
+
+  assert.equal(result.teamA.players.length, 5);
+  assert.equal(result.teamB.players.length, 5);
+  const ids = [...result.teamA.players, ...result.teamB.players].map((p) => p.playerAccountId).sort();
+  assert.deepEqual(ids, ratings.map((_, i) => `p${i}`).sort());
+  // Total is 950, so the best split is 475/475.
+  assert.equal(result.ratingDifference, 0);
+  assert.equal(result.teamA.totalRating, 475);
+  assert.equal(result.teamB.totalRating, 475);
+});
+
+test("each side's captain is its highest-rated player", () => {
+  const result = balanceMatchTeams([
+    { playerAccountId: "a", rating: 100 },
+    { playerAccountId: "b", rating: 90 },
+    { playerAccountId: "c", rating: 80 },
+    { playerAccountId: "d", rating: 70 },
+  ]);
+  for (const side of [result.teamA, result.teamB]) {
+    const top = Math.max(...side.players.map((p) => p.rating));
+    assert.equal(side.players.find((p) => p.playerAccountId === side.captainPlayerAccountId)?.rating, top);
+  }
+  assert.equal(result.ratingDifference, 0);
+});
+
+test("balanceMatchTeams rejects odd rosters and duplicate players", () => {
+  assert.throws(() => balanceMatchTeams([{ playerAccountId: "a", rating: 1 }]), TypeError);
+  assert.throws(
+    () => balanceMatchTeams([
+      { playerAccountId: "a", rating: 1 },
+      { playerAccountId: "a", rating: 2 },
+    ]),
+    TypeError,
+  );
+});
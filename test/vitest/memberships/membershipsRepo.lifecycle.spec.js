@@ -0,0 +1,254 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import { createMembershipsRepo } from "../../../memberships.repo.js";
+import { runWithAdvisoryLockTx } from "../../../src/db/advisoryTx.js";
+
+const EXPIRES_AT = new Date("2026-08-01T13:00:00.000Z");
+const LAPSED = Object.freeze({
+  id: "membership-1",
+  player_account_id: "account-1",
+  expires_at: EXPIRES_AT,
+});
+const DUE_REMINDER = Object.freeze({
+  id: "membership-2",
+  player_account_id: "account-2",
+  expires_at: EXPIRES_AT,
+  plan_name: "Member",
+  email: "player@example.com",
+});
+
+function normalizeSql(sql) {
+  return sql.replace(/\s+/g, " ").trim();
+}
+
+function createFakeConnection({
+  lockResult = 1,
+  lapsedRows = [LAPSED],
+  reminderRows = [DUE_REMINDER],
+  expireAffectedRows = 1,
+  reminderAffectedRows = 1,
+} = {}) {
+  const calls = [];
+
+  const conn = {
+    calls,
+    async execute(sql, params) {
+      const normalized = normalizeSql(sql);
+      calls.push({ type: "execute", sql: normalized, params });
+
+      if (normalized.startsWith("SELECT GET_LOCK")) {
+        return [[{ acquired: lockResult }]];
+      }
+      if (normalized.startsWith("SELECT RELEASE_LOCK")) {
+        return [[{ released: 1 }]];
+      }
+      if (normalized.startsWith("SELECT id, player_account_id, expires_at FROM player_memberships")) {
+        return [lapsedRows];
+      }
+      if (normalized.startsWith("SELECT m.id")) {
+        return [reminderRows];
+      }
+      if (normalized.startsWith("UPDATE player_memberships SET status = 'expired'")) {
+        return [{ affectedRows: expireAffectedRows }];
+      }
+      if (normalized.startsWith("UPDATE player_memberships SET expiry_reminder_sent_for")) {
+        return [{ affectedRows: reminderAffectedRows }];
+      }
+      if (
+        normalized.startsWith("INSERT INTO player_membership_events")
+        || normalized.startsWith("INSERT INTO admin_audit_log")
+      ) {
+        return [{ affectedRows: 1 }];
+      }
+
+      throw new Error(`Unexpected SQL in fake connection: ${normalized}`);
+    },
+    async beginTransaction() {
+      calls.push({ type: "begin" });
+    },
+    async commit() {
+      calls.push({ type: "commit" });
+    },
+    async rollback() {
+      calls.push({ type: "rollback" });
+    },
+    async end() {
+      calls.push({ type: "end" });
+    },
+  };
+
+  return conn;
+}
+
+function createSubject(conn) {
+  return createMembershipsRepo(
+    { database: "not-used" },
+    {
+      runWithAdvisoryLockTx: (options) =>
+        runWithAdvisoryLockTx({
+          ...options,
+          createConnection: async () => conn,
+        }),
+      async runInTx(_dbConfig, fn) {
+        await conn.beginTransaction();
+        const result = await fn(conn);
+        await conn.commit();
+        return result;
+      },
+    },
+  );
+}
+
+function executeCalls(conn, prefix) {
+  return conn.calls.filter(
+    (call) => call.type === "execute" && call.sql.startsWith(prefix),
+  );
+}
+
+test("reconcile materializa expired após a carência, registra evento e auditoria", async () => {
+  const conn = createFakeConnection({ reminderRows: [] });
+
+  const result = await createSubject(conn).reconcileMembershipLifecycle({
+    gracePeriodHours: 48,
+    reminderDays: 7,
+    batchSize: 50,
+  });
+
+  assert.deepEqual(result, {
+    ok: true,
+    outcome: "reconciled",
+    expired: 1,
+    reminders: [],
+    cleanupWarnings: [],
+  });
+
+  const [select] = executeCalls(conn, "SELECT id, player_account_id, expires_at");
+  assert.deepEqual(select.params, [48, 50]);
+  assert.match(select.sql, /expires_at <= UTC_TIMESTAMP\(\) - INTERVAL \? HOUR/);
+  assert.match(select.sql, /FOR UPDATE$/);
+
+  const [event] = executeCalls(conn, "INSERT INTO player_membership_events");
+  assert.match(event.sql, /'expired', 'active', 'expired'/);
+  assert.deepEqual(event.params, ["membership-1", "account-1", EXPIRES_AT, EXPIRES_AT]);
+
+  const [audit] = executeCalls(conn, "INSERT INTO admin_audit_log");
+  assert.deepEqual(audit.params, [
+    null,
+    "scripts/membership-lifecycle",
+    "SYSTEM",
+    "membership.auto_expire",
+    "system",
+    "membership",
+    "membership-1",
+  ]);
+  assert.equal(conn.calls.filter((call) => call.type === "commit").length, 1);
+});
+
+test("reconcile devolve os lembretes devidos sem marcar nem enviar", async () => {
+  const conn = createFakeConnection({ lapsedRows: [] });
+
+  const result = await createSubject(conn).reconcileMembershipLifecycle({
+    gracePeriodHours: 0,
+    reminderDays: 7,
+    batchSize: 50,
+  });
+
+  assert.deepEqual(result.reminders, [{
+    membershipId: "membership-2",
+    playerAccountId: "account-2",
+    email: "player@example.com",
+    planName: "Member",
+    expiresAt: EXPIRES_AT,
+  }]);
+
+  const [select] = executeCalls(conn, "SELECT m.id");
+  assert.deepEqual(select.params, [7, 50]);
+  assert.match(select.sql, /m\.expiry_reminder_sent_for <> m\.expires_at/);
+  assert.match(select.sql, /e\.verified_at IS NOT NULL/);
+  assert.doesNotMatch(select.sql, /FOR UPDATE/);
+
+  assert.equal(executeCalls(conn, "UPDATE player_memberships SET expiry_reminder_sent_for").length, 0);
+  assert.equal(executeCalls(conn, "INSERT INTO player_membership_events").length, 0);
+});
+
+test("recordExpiryReminderSent marca o lembrete entregue e registra o evento uma vez", async () => {
+  const reminder = {
+    membershipId: "membership-2",
+    playerAccountId: "account-2",
+    expiresAt: EXPIRES_AT,
+  };
+  const conn = createFakeConnection();
+
+  assert.equal(await createSubject(conn).recordExpiryReminderSent(reminder), true);
+
+  const [mark] = executeCalls(conn, "UPDATE player_memberships SET expiry_reminder_sent_for");
+  assert.deepEqual(mark.params, ["membership-2", EXPIRES_AT]);
+  assert.match(mark.sql, /expires_at = \?/);
+  assert.match(mark.sql, /expiry_reminder_sent_for <> expires_at/);
+
+  const [event] = executeCalls(conn, "INSERT INTO player_membership_events");
+  assert.match(event.sql, /'expiry_reminder'/);
+  assert.deepEqual(event.params, ["membership-2", "account-2", EXPIRES_AT, EXPIRES_AT]);
+  assert.equal(conn.calls.filter((call) => call.type === "commit").length, 1);
+
+  // Renewed or already recorded since it was listed: nothing to record.
+  const changed = createFakeConnection({ reminderAffectedRows: 0 });
+  assert.equal(await createSubject(changed).recordExpiryReminderSent(reminder), false);
+  assert.equal(executeCalls(changed, "INSERT INTO player_membership_events").length, 0);
+});
+
+test("reconcile sem lembretes habilitados não consulta candidatos", async () => {
+  const conn = createFakeConnection({ lapsedRows: [] });
+
+  const result = await createSubject(conn).reconcileMembershipLifecycle({
+    gracePeriodHours: 0,
+    reminderDays: null,
+    batchSize: 50,
+  });
+
+  assert.equal(result.outcome, "reconciled");
+  assert.equal(executeCalls(conn, "SELECT m.id").length, 0);
+});
+
+test("reconcile concorrente sai como skipped_busy e falhas fazem rollback", async () => {
+  const busy = createFakeConnection({ lockResult: 0 });
+
+  assert.deepEqual(
+    await createSubject(busy).reconcileMembershipLifecycle({
+      gracePeriodHours: 0,
+      batchSize: 50,
+    }),
+    { ok: true, outcome: "skipped_busy", cleanupWarnings: [] },
+  );
+  assert.equal(executeCalls(busy, "SELECT id").length, 0);
+
+  const raced = createFakeConnection({ expireAffectedRows: 0 });
+  const result = await createSubject(raced).reconcileMembershipLifecycle({
+    gracePeriodHours: 0,
+    batchSize: 50,
+  });
+
+  assert.deepEqual(result, {
+    ok: false,
+    error: "membership_auto_expire_failed",
+    cleanupWarnings: [],
+  });
+  assert.equal(raced.calls.filter((call) => call.type === "rollback").length, 1);
+  assert.equal(executeCalls(raced, "INSERT INTO player_membership_events").length, 0);
+});
+
+test("reconcile rejeita opções inválidas antes de abrir conexão", async () => {
+  const conn = createFakeConnection();
+  const repo = createSubject(conn);
+
+  for (const options of [
+    { gracePeriodHours: -1, batchSize: 50 },
+    { gracePeriodHours: 0, batchSize: 0 },
+    { gracePeriodHours: 0, batchSize: 50, reminderDays: 0 },
+  ]) {
+    await assert.rejects(repo.reconcileMembershipLifecycle(options), TypeError);
+  }
+
+  assert.equal(conn.calls.length, 0);
+});
@@ -0,0 +1,472 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+
+import {
+  PlayerAccountDeletionRepository,
+} from "../../../../src/nest/player/account/player-account-deletion.repository.js";
+import {
+  PlayerAccountDeletionService,
+} from "../../../../src/nest/player/account/player-account-deletion.service.js";
+import {
+  PlayerAccountDeletionSweeperService,
+} from "../../../../src/nest/player/account/player-account-deletion-sweeper.service.js";
+
+const PLAYER_ACCOUNT_ID =
+  "11111111-1111-4111-8111-111111111111";
+const REQUEST_ID =
+  "22222222-2222-4222-8222-222222222222";
+const RAW_TOKEN = "a".repeat(64);
+
+type Responder = (
+  sql: string,
+  params: unknown[],
+) => unknown;
+
+function normalize(sql: string): string {
+  return sql.replace(/\s+/g, " ").trim();
+}
+
+function createRepository(respond: Responder) {
+  const statements: Array<{
+    sql: string;
+    params: unknown[];
+  }> = [];
+  const events: string[] = [];
+
+  const run = async (
+    sql: string,
+    params: unknown[] = [],
+  ) => {
+    const normalized = normalize(sql);
+    statements.push({
+      sql: normalized,
+      params,
+    });
+    return [
+      respond(normalized, params) ?? {
+        affectedRows: 1,
+      },
+    ];
+  };
+
+  const connection = {
+    async beginTransaction() {
+      events.push("begin");
+    },
+    async commit() {
+      events.push("commit");
+    },
+    async rollback() {
+      events.push("rollback");
+    },
+    release() {
+      events.push("release");
+    },
+    execute: run,
+  };
+
+  const repository =
+    new PlayerAccountDeletionRepository({
+      getPool() {
+        return {
+          execute: run,
+          query: run,
+          async getConnection() {
+            return connection;
+          },
+        };
+      },
+    } as any);
+
+  return {
+    repository,
+    statements,
+    events,
+  };
+}
+
+test("createRequest - exige email verificado antes de abrir o pedido", async () => {
+  const { repository, statements } =
+    createRepository(() => []);
+
+  const result =
+    await repository.createRequest({
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      ttlMinutes: 60,
+    });
+
+  assert.deepEqual(result, {
+    ok: false,
+    error: "verified_email_required",
+  });
+  assert.equal(
+    statements.some((s) =>
+      s.sql.startsWith(
+        "INSERT INTO player_account_deletion_requests",
+      ),
+    ),
+    false,
+  );
+});
+
+test("createRequest - substitui o pedido pendente e guarda só o hash do token", async () => {
+  const { repository, statements } =
+    createRepository((sql) => {
+      if (sql.startsWith("SELECT ei.email")) {
+        return [{ email: "player@example.test" }];
+      }
+      if (sql.startsWith("SELECT id, confirmed_at")) {
+        return [{ id: REQUEST_ID, confirmed_at: null }];
+      }
+      return undefined;
+    });
+
+  const result =
+    await repository.createRequest({
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      ttlMinutes: 60,
+    });
+
+  assert.equal(result.ok, true);
+  if (!result.ok) return;
+
+  assert.equal(result.email, "player@example.test");
+  assert.match(result.rawToken, /^[0-9a-f]{64}$/);
+
+  const cancel = statements.find((s) =>
+    s.sql.startsWith(
+      "UPDATE player_account_deletion_requests SET cancelled_at",
+    ),
+  );
+  assert.deepEqual(cancel?.params, [REQUEST_ID]);
+
+  const insert = statements.find((s) =>
+    s.sql.startsWith(
+      "INSERT INTO player_account_deletion_requests",
+    ),
+  );
+  assert.equal(insert?.params[1], PLAYER_ACCOUNT_ID);
+  assert.equal(
+    insert?.params[2],
+    createHash("sha256")
+      .update(result.rawToken)
+      .digest("hex"),
+  );
+});
+
+test("createRequest - recusa quando a exclusão já foi confirmada", async () => {
+  const { repository } =
+    createRepository((sql) => {
+      if (sql.startsWith("SELECT ei.email")) {
+        return [{ email: "player@example.test" }];
+      }
+      if (sql.startsWith("SELECT id, confirmed_at")) {
+        return [
+          {
+            id: REQUEST_ID,
+            confirmed_at: "2026-10-01 10:00:00",
+          },
+        ];
+      }
+      return undefined;
+    });
+
+  assert.deepEqual(
+    await repository.createRequest({
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      ttlMinutes: 60,
+    }),
+    {
+      ok: false,
+      error:
+        "player_account_deletion_already_scheduled",
+    },
+  );
+});
+
+test("confirm - procura o token pelo hash e pela própria conta", async () => {
+  const { repository, statements } =
+    createRepository((sql) =>
+      sql.startsWith("SELECT id FROM player_account_deletion_requests")
+        ? [{ id: REQUEST_ID }]
+        : undefined,
+    );
+
+  const result =
+    await repository.confirm({
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      rawToken: RAW_TOKEN,
+      gracePeriodDays: 14,
+    });
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(statements[0].params, [
+    createHash("sha256")
+      .update(RAW_TOKEN)
+      .digest("hex"),
+    PLAYER_ACCOUNT_ID,
+  ]);
+  assert.match(
+    statements[1].sql,
+    /SET confirmed_at = UTC_TIMESTAMP\(\), scheduled_for = \?/,
+  );
+});
+
+test("purge - adia a exclusão enquanto o jogador ocupa uma sala ativa", async () => {
+  const { repository, statements, events } =
+    createRepository((sql) => {
+      if (sql.includes("FROM player_account_deletion_requests r")) {
+        return [
+          {
+            id: REQUEST_ID,
+            player_account_id: PLAYER_ACCOUNT_ID,
+          },
+        ];
+      }
+      if (sql.includes("FROM match_room_participants")) {
+        return [{ id: "participant-1" }];
+      }
+      return undefined;
+    });
+
+  assert.deepEqual(
+    await repository.purge(REQUEST_ID),
+    { outcome: "in_active_match" },
+  );
+  assert.equal(statements.length, 2);
+  assert.deepEqual(events, ["begin", "commit", "release"]);
+});
+
+test("purge - remove dados pessoais, anonimiza o roster e deixa a conta como tombstone", async () => {
+  const { repository, statements } =
+    createRepository((sql) => {
+      if (sql.includes("FROM player_account_deletion_requests r")) {
+        return [
+          {
+            id: REQUEST_ID,
+            player_account_id: PLAYER_ACCOUNT_ID,
+          },
+        ];
+      }
+      if (sql.includes("FROM match_room_participants")) {
+        return [];
+      }
+      if (sql.startsWith("SELECT steamid64 FROM player_steam_identities")) {
+        return [{ steamid64: "76561198000000001" }];
+      }
+      if (sql.includes("FROM player_profiles")) {
+        return [
+          {
+            avatar_url: "https://cdn.example/uploads/player-avatar-1.png",
+            banner_url: null,
+          },
+        ];
+      }
+      return undefined;
+    });
+
+  assert.deepEqual(
+    await repository.purge(REQUEST_ID),
+    {
+      outcome: "completed",
+      mediaUrls: ["https://cdn.example/uploads/player-avatar-1.png"],
+    },
+  );
+
+  const sql = statements.map((s) => s.sql);
+
+  const identitiesDeleted = sql.indexOf(
+    "DELETE FROM player_steam_identities WHERE player_account_id = ?",
+  );
+  const steamProfileDeleted = sql.indexOf(
+    "DELETE FROM steam_profiles WHERE steamid64 = ?",
+  );
+  assert.ok(steamProfileDeleted > identitiesDeleted);
+  assert.ok(identitiesDeleted >= 0);
+  assert.deepEqual(
+    statements[steamProfileDeleted].params,
+    ["76561198000000001"],
+  );
+
+  assert.ok(
+    sql.some((s) =>
+      s.startsWith("UPDATE competitive_match_roster") &&
+      s.includes("steam_personaname = NULL"),
+    ),
+  );
+  for (const table of [
+    "player_email_identities",
+    "player_steam_identities",
+    "player_profiles",
+    "player_sessions",
+    "player_totp_credentials",
+  ]) {
+    assert.ok(
+      sql.includes(
+        `DELETE FROM ${table} WHERE player_account_id = ?`,
+      ),
+      table,
+    );
+  }
+  assert.ok(
+    sql.some((s) =>
+      s.startsWith("UPDATE player_accounts") &&
+      s.includes("deleted_at = UTC_TIMESTAMP()"),
+    ),
+  );
+  assert.match(
+    sql[sql.length - 1],
+    /SET completed_at = UTC_TIMESTAMP\(\) WHERE id = \?/,
+  );
+});
+
+function createService(
+  overrides: Record<string, unknown> = {},
+  emailEnabled = true,
+) {
+  const delivered: unknown[] = [];
+
+  const service =
+    new PlayerAccountDeletionService(
+      {
+        playerEmailAuth: {
+          enabled: emailEnabled,
+        },
+        playerAccountDeletion: {
+          confirmationTtlMinutes: 60,
+          gracePeriodDays: 14,
+        },
+      } as any,
+      {
+        async findOpenRequest() {
+          return null;
+        },
+        async createRequest() {
+          return {
+            ok: true,
+            email: "player@example.test",
+            rawToken: RAW_TOKEN,
+            expiresAt: "2026-10-18 13:00:00",
+          };
+        },
+        async confirm() {
+          return {
+            ok: true,
+            scheduledFor: "2026-11-01 12:00:00",
+          };
+        },
+        async cancel() {
+          return true;
+        },
+        ...overrides,
+      } as any,
+      {
+        async deliver(input: unknown) {
+          delivered.push(input);
+        },
+      },
+    );
+
+  return { service, delivered };
+}
+
+test("service.request - envia o link de confirmação para o email verificado", async () => {
+  const { service, delivered } =
+    createService();
+
+  assert.deepEqual(
+    await service.request(PLAYER_ACCOUNT_ID),
+    {
+      ok: true,
+      confirmationExpiresAt:
+        "2026-10-18 13:00:00",
+    },
+  );
+  assert.deepEqual(delivered, [
+    {
+      email: "player@example.test",
+      rawToken: RAW_TOKEN,
+      expiresAt: "2026-10-18 13:00:00",
+    },
+  ]);
+});
+
+test("service.request - indisponível sem Player Email Auth", async () => {
+  const { service, delivered } =
+    createService({}, false);
+
+  assert.deepEqual(
+    await service.request(PLAYER_ACCOUNT_ID),
+    {
+      ok: false,
+      error: "account_deletion_unavailable",
+    },
+  );
+  assert.equal(delivered.length, 0);
+});
+
+test("service.confirm - valida o formato do token antes do banco", async () => {
+  let called = false;
+  const { service } = createService({
+    async confirm() {
+      called = true;
+      return { ok: true, scheduledFor: "x" };
+    },
+  });
+
+  assert.deepEqual(
+    await service.confirm(PLAYER_ACCOUNT_ID, {
+      token: "not-a-token",
+    }),
+    {
+      ok: false,
+      error: "invalid_deletion_confirmation",
+    },
+  );
+  assert.equal(called, false);
+});
+
+test("sweeper - remove as mídias do perfil só depois de um purge concluído", async () => {
+  const uploads = {
+    uploadDir: "/tmp/uploads",
+    publicBaseUrl: "https://cdn.example",
+    publicPath: "/uploads",
+  };
+  const removed: unknown[] = [];
+  const sweeper = new PlayerAccountDeletionSweeperService(
+    { uploads } as any,
+    {} as any,
+    {
+      async listDueRequestIds() {
+        return ["completed", "postponed"];
+      },
+      async purge(requestId: string) {
+        return requestId === "completed"
+          ? {
+              outcome: "completed",
+              mediaUrls: [
+                "https://cdn.example/uploads/player-avatar-1.png",
+                "https://cdn.example/uploads/player-banner-1.png",
+              ],
+            }
+          : { outcome: "in_active_match" };
+      },
+    } as any,
+    {
+      async removeManagedMediaUrl(config: unknown, mediaUrl: string) {
+        removed.push([config, mediaUrl]);
+      },
+    } as any,
+  );
+
+  assert.deepEqual(await sweeper.sweepOnce(), {
+    completed: 1,
+    postponed: 1,
+    errors: 0,
+  });
+  assert.deepEqual(removed, [
+    [uploads, "https://cdn.example/uploads/player-avatar-1.png"],
+    [uploads, "https://cdn.example/uploads/player-banner-1.png"],
+  ]);
+});
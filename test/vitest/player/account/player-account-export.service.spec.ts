@@ -0,0 +1,171 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import {
+  PlayerAccountExportService,
+} from "../../../../src/nest/player/account/player-account-export.service.js";
+import type {
+  PlayerMatchHistoryRecord,
+} from "../../../../src/nest/player/match-history/player-match-history.repository.js";
+
+const PLAYER_ACCOUNT_ID =
+  "11111111-1111-4111-8111-111111111111";
+const OTHER_ACCOUNT_ID =
+  "33333333-3333-4333-8333-333333333333";
+
+function statLine(
+  playerAccountId: string,
+  kills: number,
+) {
+  return {
+    playerAccountId,
+    team: "A" as const,
+    kills,
+    deaths: 10,
+    assists: 3,
+    headshotKills: 5,
+    damage: 1500,
+    mvps: 2,
+    score: 40,
+    roundsPlayed: 24,
+  };
+}
+
+function record(
+  roomId: string,
+): PlayerMatchHistoryRecord {
+  return {
+    roomId,
+    status: "COMPLETED",
+    failureReason: null as any,
+    createdAt: "2026-10-01 10:00:00",
+    readyAt: null,
+    completedAt: "2026-10-01 11:00:00",
+    failedAt: null,
+    cancelledAt: null,
+    endedAt: "2026-10-01 11:00:00",
+    cursor: {
+      endedAt: "2026-10-01 11:00:00.000000",
+      roomId,
+    },
+    competitiveMatchId: `cm-${roomId}`,
+    runtimeMatchId: 7,
+    map: {
+      key: "de_mirage",
+      displayName: "Mirage",
+    },
+    team: "A",
+    roster: [
+      { playerAccountId: PLAYER_ACCOUNT_ID, team: "A" },
+      { playerAccountId: OTHER_ACCOUNT_ID, team: "B" },
+    ],
+    result: {
+      competitiveMatchId: `cm-${roomId}`,
+      winnerTeam: "A",
+      seriesScore: { A: 1, B: 0 },
+      score: { A: 13, B: 11 },
+      startedAt: "2026-10-01 10:05:00",
+      endedAt: "2026-10-01 11:00:00",
+      durationSeconds: 3300,
+      players: [
+        statLine(PLAYER_ACCOUNT_ID, 21),
+        statLine(OTHER_ACCOUNT_ID, 9),
+      ],
+    },
+  };
+}
+
+const EXPORT_DATA = {
+  account: {
+    id: PLAYER_ACCOUNT_ID,
+    status: "active",
+    display_name: "Player",
+    created_at: "2026-01-01 00:00:00",
+    disabled_at: null,
+  },
+  identities: {
+    email: null,
+    steam: null,
+  },
+  profile: null,
+  membership: null,
+  sessions: [],
+};
+
+test("buildExport - pagina o histórico inteiro e mantém só a linha do próprio jogador", async () => {
+  const cursors: unknown[] = [];
+  const firstPage = Array.from(
+    { length: 100 },
+    (_, index) => record(`room-${index}`),
+  );
+
+  const service =
+    new PlayerAccountExportService(
+      {
+        async findExportData() {
+          return EXPORT_DATA;
+        },
+      },
+      {
+        async listForPlayer(_id, limit, cursor) {
+          assert.equal(limit, 100);
+          cursors.push(cursor);
+          return cursors.length === 1
+            ? firstPage
+            : [record("room-last")];
+        },
+      },
+    );
+
+  const archive =
+    await service.buildExport(
+      PLAYER_ACCOUNT_ID,
+    );
+
+  assert.ok(archive);
+  assert.equal(archive.format_version, 1);
+  assert.deepEqual(archive.account, EXPORT_DATA.account);
+  assert.equal(archive.match_history.length, 101);
+  assert.deepEqual(cursors, [
+    null,
+    firstPage[99].cursor,
+  ]);
+
+  const match = archive.match_history[100];
+  assert.equal(match.roster_size, 2);
+  assert.deepEqual(match.result?.stats, {
+    kills: 21,
+    deaths: 10,
+    assists: 3,
+    headshot_kills: 5,
+    damage: 1500,
+    mvps: 2,
+    score: 40,
+    rounds_played: 24,
+  });
+  assert.equal(
+    JSON.stringify(archive).includes(OTHER_ACCOUNT_ID),
+    false,
+  );
+});
+
+test("buildExport - retorna null quando a conta não existe mais", async () => {
+  const service =
+    new PlayerAccountExportService(
+      {
+        async findExportData() {
+          return null;
+        },
+      },
+      {
+        async listForPlayer() {
+          throw new Error("unexpected");
+        },
+      },
+    );
+
+  assert.equal(
+    await service.buildExport(PLAYER_ACCOUNT_ID),
+    null,
+  );
+});
@@ -43,6 +43,8 @@ function activeSummary() {
           "steam_link_required" as const,
       },
     },
+
+    rating: null,
   };
 }
 
@@ -88,6 +88,8 @@ test("repository - returns linked email and Steam identities", async () => {
         reason: null,
       },
     },
+
+    rating: null,
   });
 
   assert.match(
@@ -199,3 +201,45 @@ test("repository - missing account returns null", async () => {
 
   assert.equal(result, null);
 });
+
+test("repository - exposes the internal match rating when the player has one", async () => {
+  const {
+    repository,
+    getCapturedSql,
+  } = repositoryWithRows([
+    {
+      status: "active",
+      email: null,
+      email_verified_at: null,
+      steamid64:
+        "76561198104061513",
+      rating: 1016,
+      matches_played: 1,
+      wins: 1,
+      losses: 0,
+      season_id: null,
+      updated_at:
+        "2026-09-01 20:00:00",
+    },
+  ]);
+
+  const result =
+    await repository
+      .findByPlayerAccountId(
+        PLAYER_ACCOUNT_ID,
+      );
+
+  assert.deepEqual(result?.rating, {
+    rating: 1016,
+    matchesPlayed: 1,
+    wins: 1,
+    losses: 0,
+    seasonId: null,
+    updatedAt: "2026-09-01 20:00:00",
+  });
+
+  assert.match(
+    getCapturedSql(),
+    /LEFT JOIN player_match_ratings r/,
+  );
+});
@@ -8,6 +8,27 @@ import {
   PlayerEmailLinkConfirmService,
   type PlayerEmailLinkConfirmRepositoryPort,
 } from "../../../../src/nest/player/auth/player-email-link-confirm.service.js";
+import type {
+  PlayerSecurityEventInput,
+} from "../../../../src/nest/player/auth/player-security-event.service.js";
+
+const PLAYER_ACCOUNT_ID =
+  "11111111-1111-4111-8111-111111111111";
+
+const CLIENT = {
+  ip: "203.0.113.10",
+  userAgent: "Vitest",
+};
+
+function securityEvents(
+  recorded: PlayerSecurityEventInput[] = [],
+) {
+  return {
+    async record(input: PlayerSecurityEventInput) {
+      recorded.push(input);
+    },
+  };
+}
 
 function config(enabled = true): AppConfig {
   return {
@@ -29,26 +50,41 @@ test("PlayerEmailLinkConfirmService - confirma token válido", async () => {
 
         return {
           ok: true,
+          playerAccountId: PLAYER_ACCOUNT_ID,
           email: "player@example.com",
         };
       },
     };
 
+  const recorded: PlayerSecurityEventInput[] = [];
+
   const service =
     new PlayerEmailLinkConfirmService(
       config(),
       repository,
+      securityEvents(recorded),
     );
 
   assert.deepEqual(
     await service.confirm({
       token,
-    }),
+    }, CLIENT),
     {
       ok: true,
       email: "player@example.com",
     },
   );
+
+  assert.deepEqual(recorded, [
+    {
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      type: "email_linked",
+      client: CLIENT,
+      metadata: {
+        email: "player@example.com",
+      },
+    },
+  ]);
 });
 
 test("PlayerEmailLinkConfirmService - token malformado não acessa repository", async () => {
@@ -64,12 +100,13 @@ test("PlayerEmailLinkConfirmService - token malformado não acessa repository",
           throw new Error("unexpected");
         },
       },
+      securityEvents(),
     );
 
   assert.deepEqual(
     await service.confirm({
       token: "invalid",
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "invalid_link_intent",
@@ -92,12 +129,13 @@ test("PlayerEmailLinkConfirmService - intent expirado vira erro público genéri
           };
         },
       },
+      securityEvents(),
     );
 
   assert.deepEqual(
     await service.confirm({
       token: "a".repeat(64),
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "invalid_link_intent",
@@ -117,12 +155,13 @@ test("PlayerEmailLinkConfirmService - conflito não realiza merge", async () =>
           };
         },
       },
+      securityEvents(),
     );
 
   assert.deepEqual(
     await service.confirm({
       token: "a".repeat(64),
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "identity_conflict",
@@ -305,6 +305,7 @@ test("PlayerEmailLinkRepository - confirmLink cria email verificado na conta ori
     }),
     {
       ok: true,
+      playerAccountId: "account-id",
       email: "player@example.com",
     },
   );
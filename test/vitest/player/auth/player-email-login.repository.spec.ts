@@ -8,6 +8,11 @@ import {
   PlayerEmailLoginRepository,
 } from "../../../../src/nest/player/auth/player-email-login.repository.js";
 
+const CLIENT = {
+  ip: "203.0.113.7",
+  userAgent: "Mozilla/5.0 Test",
+};
+
 test("PlayerEmailLoginRepository - revalida conta ativa sob lock antes de criar sessão", async () => {
   const calls: string[] = [];
   const sql: string[] = [];
@@ -66,6 +71,7 @@ test("PlayerEmailLoginRepository - revalida conta ativa sob lock antes de criar
       playerEmailIdentityId: "identity-id",
       playerAccountId: "account-id",
       sessionTtlHours: 168,
+      client: CLIENT,
     });
 
   assert.equal(result.ok, true);
@@ -136,6 +142,7 @@ test("PlayerEmailLoginRepository - conta desabilitada durante a janela de login
       playerEmailIdentityId: "identity-id",
       playerAccountId: "account-id",
       sessionTtlHours: 168,
+      client: CLIENT,
     }),
     {
       ok: false,
@@ -8,7 +8,24 @@ import {
   PlayerEmailLoginService,
   type PlayerEmailLoginPasswordPort,
   type PlayerEmailLoginRepositoryPort,
+  type PlayerEmailLoginLockoutPort,
+  type PlayerEmailLoginTwoFactorPort,
 } from "../../../../src/nest/player/auth/player-email-login.service.js";
+import {
+  PlayerLoginLockoutService,
+} from "../../../../src/nest/player/auth/player-login-lockout.service.js";
+import {
+  PLAYER_LOGIN_LOCKOUT_POLICIES,
+  evaluateLoginFailure,
+} from "../../../../src/nest/player/security/player-login-lockout-policy.js";
+import type {
+  PlayerSecurityEventInput,
+} from "../../../../src/nest/player/auth/player-security-event.service.js";
+
+const CLIENT = {
+  ip: "203.0.113.7",
+  userAgent: "Mozilla/5.0 Test",
+};
 
 function buildConfig(enabled = true): AppConfig {
   return {
@@ -32,6 +49,83 @@ function passwordPort(
   };
 }
 
+function lockoutPort(
+  events: unknown[] = [],
+  retryAfterSeconds = 0,
+): PlayerEmailLoginLockoutPort {
+  return {
+    async check(context) {
+      events.push(["check", context]);
+
+      return retryAfterSeconds > 0
+        ? { ok: false, retryAfterSeconds }
+        : { ok: true };
+    },
+
+    async recordFailure(context) {
+      events.push(["failure", context]);
+    },
+
+    async recordSuccess(playerAccountId) {
+      events.push(["success", playerAccountId]);
+    },
+  };
+}
+
+function securityEventsPort(
+  recorded: PlayerSecurityEventInput[] = [],
+) {
+  return {
+    async record(input: PlayerSecurityEventInput) {
+      recorded.push(input);
+    },
+  };
+}
+
+function twoFactorPort(
+  enabled = false,
+): PlayerEmailLoginTwoFactorPort {
+  return {
+    async isEnabled() {
+      return enabled;
+    },
+
+    async createLoginChallenge(input) {
+      assert.equal(input.playerAccountId, "account-id");
+      assert.equal(input.playerEmailIdentityId, "identity-id");
+
+      return {
+        pendingToken: "PENDING",
+        expiresInSeconds: 300,
+      };
+    },
+
+    async findLoginChallengeSubject(pendingToken) {
+      return pendingToken === "PENDING"
+        ? {
+            playerAccountId: "account-id",
+            email: "player@example.com",
+          }
+        : null;
+    },
+
+    async completeLoginChallenge(pendingToken, body) {
+      assert.equal(pendingToken, "PENDING");
+
+      return (body as { code?: unknown }).code === "123456"
+        ? {
+            ok: true,
+            playerAccountId: "account-id",
+            playerEmailIdentityId: "identity-id",
+          }
+        : {
+            ok: false,
+            error: "invalid_two_factor_code",
+          };
+    },
+  };
+}
+
 test("PlayerEmailLoginService - autentica identidade verificada e ativa", async () => {
   const repository: PlayerEmailLoginRepositoryPort = {
     async findByEmail(email) {
@@ -48,6 +142,7 @@ test("PlayerEmailLoginService - autentica identidade verificada e ativa", async
 
     async recordLoginAndCreateSession(input) {
       assert.equal(input.sessionTtlHours, 168);
+      assert.deepEqual(input.client, CLIENT);
 
       return {
         ok: true,
@@ -56,22 +151,37 @@ test("PlayerEmailLoginService - autentica identidade verificada e ativa", async
     },
   };
 
+  const recorded: PlayerSecurityEventInput[] = [];
+
   const service = new PlayerEmailLoginService(
     buildConfig(),
     passwordPort(true),
     repository,
+    twoFactorPort(),
+    lockoutPort(),
+    securityEventsPort(recorded),
   );
 
   assert.deepEqual(
     await service.login({
       email: " Player@Example.COM ",
       password: "valid-password",
-    }),
+    }, CLIENT),
     {
       ok: true,
       rawSessionToken: "RAW_SESSION",
     },
   );
+  assert.deepEqual(recorded, [
+    {
+      playerAccountId: "account-id",
+      type: "login",
+      client: CLIENT,
+      metadata: {
+        method: "email",
+      },
+    },
+  ]);
 });
 
 test("PlayerEmailLoginService - identidade inexistente usa dummy e retorna invalid_credentials", async () => {
@@ -98,12 +208,15 @@ test("PlayerEmailLoginService - identidade inexistente usa dummy e retorna inval
     buildConfig(),
     passwordService,
     repository,
+    twoFactorPort(),
+    lockoutPort(),
+    securityEventsPort(),
   );
 
   const result = await service.login({
     email: "missing@example.com",
     password: "valid-password",
-  });
+  }, CLIENT);
 
   assert.equal(dummyHash, null);
 
@@ -134,13 +247,16 @@ test("PlayerEmailLoginService - senha incorreta não revela estado da conta", as
     buildConfig(),
     passwordPort(false),
     repository,
+    twoFactorPort(),
+    lockoutPort(),
+    securityEventsPort(),
   );
 
   assert.deepEqual(
     await service.login({
       email: "player@example.com",
       password: "wrong-password",
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "invalid_credentials",
@@ -169,13 +285,16 @@ test("PlayerEmailLoginService - senha correta exige email verificado", async ()
     buildConfig(),
     passwordPort(true),
     repository,
+    twoFactorPort(),
+    lockoutPort(),
+    securityEventsPort(),
   );
 
   assert.deepEqual(
     await service.login({
       email: "player@example.com",
       password: "valid-password",
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "email_not_verified",
@@ -204,16 +323,451 @@ test("PlayerEmailLoginService - conta disabled não recebe sessão", async () =>
     buildConfig(),
     passwordPort(true),
     repository,
+    twoFactorPort(),
+    lockoutPort(),
+    securityEventsPort(),
   );
 
   assert.deepEqual(
     await service.login({
       email: "player@example.com",
       password: "valid-password",
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "player_account_disabled",
     },
   );
 });
+
+function twoFactorRepository(
+  sessions: unknown[],
+): PlayerEmailLoginRepositoryPort {
+  return {
+    async findByEmail() {
+      return {
+        playerEmailIdentityId: "identity-id",
+        playerAccountId: "account-id",
+        passwordHash: "HASH",
+        verified: true,
+        accountStatus: "active",
+      };
+    },
+
+    async recordLoginAndCreateSession(input) {
+      sessions.push(input);
+
+      return {
+        ok: true,
+        rawSessionToken: "RAW_SESSION",
+      };
+    },
+  };
+}
+
+test("PlayerEmailLoginService - conta com 2FA recebe pending token e nenhuma sessão", async () => {
+  const sessions: unknown[] = [];
+
+  const service = new PlayerEmailLoginService(
+    buildConfig(),
+    passwordPort(true),
+    twoFactorRepository(sessions),
+    twoFactorPort(true),
+    lockoutPort(),
+    securityEventsPort(),
+  );
+
+  assert.deepEqual(
+    await service.login({
+      email: "player@example.com",
+      password: "valid-password",
+    }, CLIENT),
+    {
+      ok: true,
+      twoFactorRequired: true,
+      pendingToken: "PENDING",
+      expiresInSeconds: 300,
+    },
+  );
+  assert.equal(sessions.length, 0);
+});
+
+test("PlayerEmailLoginService - segundo passo só cria sessão com código válido", async () => {
+  const sessions: unknown[] = [];
+  const recorded: PlayerSecurityEventInput[] = [];
+
+  const service = new PlayerEmailLoginService(
+    buildConfig(),
+    passwordPort(true),
+    twoFactorRepository(sessions),
+    twoFactorPort(true),
+    lockoutPort(),
+    securityEventsPort(recorded),
+  );
+
+  assert.deepEqual(
+    await service.completeTwoFactorLogin({
+      pending_token: "PENDING",
+      code: "000000",
+    }, CLIENT),
+    {
+      ok: false,
+      error: "invalid_two_factor_code",
+    },
+  );
+  assert.equal(sessions.length, 0);
+
+  assert.deepEqual(
+    await service.completeTwoFactorLogin({
+      pending_token: "PENDING",
+      code: "123456",
+    }, CLIENT),
+    {
+      ok: true,
+      rawSessionToken: "RAW_SESSION",
+    },
+  );
+  assert.equal(sessions.length, 1);
+  assert.deepEqual(
+    recorded.map((event) => event.metadata),
+    [{ method: "email_totp" }],
+  );
+
+  assert.deepEqual(
+    await service.completeTwoFactorLogin({ code: "123456" }, CLIENT),
+    {
+      ok: false,
+      error: "invalid_request",
+    },
+  );
+});
+
+test("PlayerEmailLoginService - conta ou IP bloqueado recusa antes de verificar a senha", async () => {
+  let passwordChecked = false;
+
+  const service = new PlayerEmailLoginService(
+    buildConfig(),
+    {
+      async verifyPasswordOrDummy() {
+        passwordChecked = true;
+        return true;
+      },
+    },
+    twoFactorRepository([]),
+    twoFactorPort(),
+    lockoutPort([], 120),
+    securityEventsPort(),
+  );
+
+  assert.deepEqual(
+    await service.login({
+      email: "player@example.com",
+      password: "valid-password",
+    }, CLIENT),
+    {
+      ok: false,
+      error: "login_temporarily_locked",
+      retryAfterSeconds: 120,
+    },
+  );
+  assert.equal(passwordChecked, false);
+});
+
+test("PlayerEmailLoginService - senha errada conta falha por conta e IP; sucesso limpa a conta", async () => {
+  const events: unknown[] = [];
+
+  const failing = new PlayerEmailLoginService(
+    buildConfig(),
+    passwordPort(false),
+    twoFactorRepository([]),
+    twoFactorPort(),
+    lockoutPort(events),
+    securityEventsPort(),
+  );
+
+  await failing.login({
+    email: "player@example.com",
+    password: "wrong-password",
+  }, CLIENT);
+
+  assert.deepEqual(events, [
+    ["check", { playerAccountId: "account-id", email: "player@example.com", ip: CLIENT.ip }],
+    ["failure", { playerAccountId: "account-id", email: "player@example.com", ip: CLIENT.ip }],
+  ]);
+
+  events.length = 0;
+
+  const succeeding = new PlayerEmailLoginService(
+    buildConfig(),
+    passwordPort(true),
+    twoFactorRepository([]),
+    twoFactorPort(),
+    lockoutPort(events),
+    securityEventsPort(),
+  );
+
+  await succeeding.login({
+    email: "player@example.com",
+    password: "valid-password",
+  }, CLIENT);
+
+  assert.deepEqual(events.at(-1), ["success", "account-id"]);
+});
+
+test("PlayerEmailLoginService - senha correta com 2FA não limpa falhas antes do código", async () => {
+  const events: unknown[] = [];
+
+  const service = new PlayerEmailLoginService(
+    buildConfig(),
+    passwordPort(true),
+    twoFactorRepository([]),
+    twoFactorPort(true),
+    lockoutPort(events),
+    securityEventsPort(),
+  );
+
+  await service.login({
+    email: "player@example.com",
+    password: "valid-password",
+  }, CLIENT);
+
+  assert.equal(
+    events.some((event) => (event as unknown[])[0] === "success"),
+    false,
+  );
+
+  events.length = 0;
+
+  await service.completeTwoFactorLogin({
+    pending_token: "PENDING",
+    code: "123456",
+  }, CLIENT);
+
+  assert.deepEqual(events, [
+    ["check", { playerAccountId: "account-id", email: "player@example.com", ip: CLIENT.ip }],
+    ["success", "account-id"],
+  ]);
+});
+
+test("PlayerEmailLoginService - códigos 2FA errados contam no bloqueio até login_temporarily_locked", async () => {
+  const failures: unknown[] = [];
+  let accountFailures = 0;
+
+  const lockout: PlayerEmailLoginLockoutPort = {
+    async check(context) {
+      return context.playerAccountId === "account-id" &&
+        accountFailures >= 5
+        ? { ok: false, retryAfterSeconds: 900 }
+        : { ok: true };
+    },
+
+    async recordFailure(context) {
+      failures.push(context);
+
+      if (context.playerAccountId === "account-id") {
+        accountFailures += 1;
+      }
+    },
+
+    async recordSuccess() {
+      accountFailures = 0;
+    },
+  };
+
+  const sessions: unknown[] = [];
+
+  const service = new PlayerEmailLoginService(
+    buildConfig(),
+    passwordPort(true),
+    twoFactorRepository(sessions),
+    twoFactorPort(true),
+    lockout,
+    securityEventsPort(),
+  );
+
+  const results: unknown[] = [];
+
+  for (let attempt = 0; attempt < 6; attempt += 1) {
+    // A fresh password login must not reset the counter between guesses.
+    await service.login({
+      email: "player@example.com",
+      password: "valid-password",
+    }, CLIENT);
+
+    results.push(
+      await service.completeTwoFactorLogin({
+        pending_token: "PENDING",
+        code: "000000",
+      }, CLIENT),
+    );
+  }
+
+  assert.deepEqual(results.slice(0, 5), Array(5).fill({
+    ok: false,
+    error: "invalid_two_factor_code",
+  }));
+  assert.deepEqual(results[5], {
+    ok: false,
+    error: "login_temporarily_locked",
+    retryAfterSeconds: 900,
+  });
+  assert.deepEqual(failures[0], {
+    playerAccountId: "account-id",
+    email: "player@example.com",
+    ip: CLIENT.ip,
+  });
+  assert.equal(failures.length, 5);
+
+  assert.deepEqual(
+    await service.completeTwoFactorLogin({
+      pending_token: "PENDING",
+      code: "123456",
+    }, CLIENT),
+    {
+      ok: false,
+      error: "login_temporarily_locked",
+      retryAfterSeconds: 900,
+    },
+  );
+  assert.equal(sessions.length, 0);
+});
+
+test("PlayerEmailLoginService - senha correta em conta não verificada ou disabled não limpa falhas", async () => {
+  for (const identity of [
+    { verified: false, accountStatus: "active" as const },
+    { verified: true, accountStatus: "disabled" as const },
+  ]) {
+    const events: unknown[] = [];
+
+    const service = new PlayerEmailLoginService(
+      buildConfig(),
+      passwordPort(true),
+      {
+        async findByEmail() {
+          return {
+            playerEmailIdentityId: "identity-id",
+            playerAccountId: "account-id",
+            passwordHash: "HASH",
+            ...identity,
+          };
+        },
+
+        async recordLoginAndCreateSession() {
+          throw new Error("unexpected_session");
+        },
+      },
+      twoFactorPort(),
+      lockoutPort(events),
+      securityEventsPort(),
+    );
+
+    await service.login({
+      email: "player@example.com",
+      password: "valid-password",
+    }, CLIENT);
+
+    assert.equal(
+      events.some((event) => (event as unknown[])[0] === "success"),
+      false,
+    );
+  }
+});
+
+test("PlayerEmailLoginService - email conhecido e desconhecido recebem as mesmas respostas até o bloqueio", async () => {
+  // In-memory store with the real policy; delays and lockouts never expire.
+  const rows = new Map<string, { failedAttempts: number; lockoutCount: number; retryAfterSeconds: number }>();
+  const mails: unknown[] = [];
+
+  const lockout = new PlayerLoginLockoutService(
+    {
+      async findActiveBlocks(subjects) {
+        return subjects.flatMap((subject) => {
+          const row = rows.get(`${subject.scope}:${subject.subjectKey}`);
+
+          return row && row.retryAfterSeconds > 0
+            ? [{ scope: subject.scope, locked: true, retryAfterSeconds: row.retryAfterSeconds }]
+            : [];
+        });
+      },
+
+      async recordFailure(subject, policy) {
+        const key = `${subject.scope}:${subject.subjectKey}`;
+        const row = rows.get(key) ?? { failedAttempts: 0, lockoutCount: 0, retryAfterSeconds: 0 };
+        const outcome = evaluateLoginFailure(policy, {
+          failedAttempts: row.failedAttempts + 1,
+          lockoutCount: row.lockoutCount,
+        });
+
+        rows.set(key, {
+          failedAttempts: outcome.failedAttempts,
+          lockoutCount: outcome.lockoutCount,
+          retryAfterSeconds: Math.max(outcome.delaySeconds, outcome.lockSeconds),
+        });
+
+        return outcome;
+      },
+
+      async clearAccount() {},
+    },
+    {
+      async deliver(input) {
+        mails.push(input);
+      },
+    },
+  );
+
+  const service = new PlayerEmailLoginService(
+    buildConfig(),
+    passwordPort(false),
+    {
+      async findByEmail(email) {
+        return email === "player@example.com"
+          ? {
+              playerEmailIdentityId: "identity-id",
+              playerAccountId: "account-id",
+              passwordHash: "HASH",
+              verified: true,
+              accountStatus: "active",
+            }
+          : null;
+      },
+
+      async recordLoginAndCreateSession() {
+        throw new Error("unexpected_session");
+      },
+    },
+    twoFactorPort(),
+    lockout,
+    securityEventsPort(),
+  );
+
+  async function attempts(email: string, ip: string) {
+    const results: unknown[] = [];
+
+    for (let attempt = 0; attempt < PLAYER_LOGIN_LOCKOUT_POLICIES.account.lockAfter + 1; attempt += 1) {
+      // Each guess waits out the progressive delay, as a patient attacker would.
+      for (const row of rows.values()) {
+        if (row.failedAttempts > 0) {
+          row.retryAfterSeconds = 0;
+        }
+      }
+
+      results.push(
+        await service.login({ email, password: "wrong-password" }, { ...CLIENT, ip }),
+      );
+    }
+
+    return results;
+  }
+
+  const known = await attempts("player@example.com", "203.0.113.10");
+  const unknown = await attempts("missing@example.com", "203.0.113.11");
+
+  assert.deepEqual(unknown, known);
+  assert.deepEqual(known.at(-1), {
+    ok: false,
+    error: "login_temporarily_locked",
+    retryAfterSeconds: 15 * 60,
+  });
+  assert.deepEqual(mails, [{ email: "player@example.com", lockedMinutes: 15 }]);
+});
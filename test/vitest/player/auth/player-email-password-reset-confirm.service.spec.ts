@@ -9,6 +9,27 @@ import {
   type PasswordResetConfirmPasswordPort,
   type PasswordResetConfirmRepositoryPort,
 } from "../../../../src/nest/player/auth/player-email-password-reset-confirm.service.js";
+import type {
+  PlayerSecurityEventInput,
+} from "../../../../src/nest/player/auth/player-security-event.service.js";
+
+const PLAYER_ACCOUNT_ID =
+  "11111111-1111-4111-8111-111111111111";
+
+const CLIENT = {
+  ip: "203.0.113.10",
+  userAgent: "Vitest",
+};
+
+function securityEvents(
+  recorded: PlayerSecurityEventInput[] = [],
+) {
+  return {
+    async record(input: PlayerSecurityEventInput) {
+      recorded.push(input);
+    },
+  };
+}
 
 function config(enabled = true): AppConfig {
   return {
@@ -48,26 +69,41 @@ test("PasswordResetConfirmService - troca senha com token válido", async () =>
 
         return {
           ok: true,
+          playerAccountId: PLAYER_ACCOUNT_ID,
         };
       },
     };
 
+  const recorded: PlayerSecurityEventInput[] = [];
+
   const service =
     new PlayerEmailPasswordResetConfirmService(
       config(),
       passwordPort(),
       repository,
+      securityEvents(recorded),
     );
 
   assert.deepEqual(
     await service.confirm({
       token: "a".repeat(64),
       password: "new-valid-password",
-    }),
+    }, CLIENT),
     {
       ok: true,
     },
   );
+
+  assert.deepEqual(recorded, [
+    {
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      type: "password_changed",
+      client: CLIENT,
+      metadata: {
+        method: "password_reset",
+      },
+    },
+  ]);
 });
 
 test("PasswordResetConfirmService - token inválido é rejeitado antes do hash", async () => {
@@ -91,13 +127,14 @@ test("PasswordResetConfirmService - token inválido é rejeitado antes do hash",
           throw new Error("unexpected");
         },
       },
+      securityEvents(),
     );
 
   assert.deepEqual(
     await service.confirm({
       token: "invalid",
       password: "new-valid-password",
-    }),
+    }, CLIENT),
     {
       ok: false,
       error:
@@ -118,13 +155,14 @@ test("PasswordResetConfirmService - nova senha fora da política é rejeitada",
           throw new Error("unexpected");
         },
       },
+      securityEvents(),
     );
 
   assert.deepEqual(
     await service.confirm({
       token: "a".repeat(64),
       password: "short",
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "invalid_password",
@@ -142,13 +180,14 @@ test("PasswordResetConfirmService - feature desabilitada não processa reset", a
           throw new Error("unexpected");
         },
       },
+      securityEvents(),
     );
 
   assert.deepEqual(
     await service.confirm({
       token: "a".repeat(64),
       password: "new-valid-password",
-    }),
+    }, CLIENT),
     {
       ok: false,
       error:
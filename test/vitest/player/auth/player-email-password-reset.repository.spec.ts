@@ -71,6 +71,7 @@ test("PasswordResetRepository - confirm atualiza senha, invalida tokens e revoga
     }),
     {
       ok: true,
+      playerAccountId: "account-id",
     },
   );
 
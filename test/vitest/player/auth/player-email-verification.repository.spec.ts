@@ -9,6 +9,11 @@ import {
   PlayerEmailVerificationRepository,
 } from "../../../../src/nest/player/auth/player-email-verification.repository.js";
 
+const CLIENT = {
+  ip: "203.0.113.7",
+  userAgent: "Mozilla/5.0 Test",
+};
+
 test("PlayerEmailVerificationRepository - verifica e cria sessão na mesma transação", async () => {
   const calls: string[] = [];
   const executed: Array<{
@@ -79,6 +84,7 @@ test("PlayerEmailVerificationRepository - verifica e cria sessão na mesma trans
       .consumeVerificationAndCreateSession({
         rawToken,
         sessionTtlHours: 168,
+        client: CLIENT,
       });
 
   assert.equal(result.ok, true);
@@ -128,6 +134,9 @@ test("PlayerEmailVerificationRepository - verifica e cria sessão na mesma trans
     ),
     false,
   );
+
+  assert.equal(executed[3].params[3], CLIENT.ip);
+  assert.equal(executed[3].params[4], CLIENT.userAgent);
 });
 
 test("PlayerEmailVerificationRepository - token inválido não altera identidade nem cria sessão", async () => {
@@ -177,6 +186,7 @@ test("PlayerEmailVerificationRepository - token inválido não altera identidade
       .consumeVerificationAndCreateSession({
         rawToken: "a".repeat(64),
         sessionTtlHours: 168,
+        client: CLIENT,
       });
 
   assert.deepEqual(result, {
@@ -235,6 +245,7 @@ test("PlayerEmailVerificationRepository - conta desabilitada não recebe sessão
       .consumeVerificationAndCreateSession({
         rawToken: "a".repeat(64),
         sessionTtlHours: 168,
+        client: CLIENT,
       });
 
   assert.deepEqual(result, {
@@ -309,6 +320,7 @@ test("PlayerEmailVerificationRepository - falha na emissão da sessão faz rollb
         .consumeVerificationAndCreateSession({
           rawToken: "a".repeat(64),
           sessionTtlHours: 168,
+          client: CLIENT,
         }),
     /session_insert_failed/,
   );
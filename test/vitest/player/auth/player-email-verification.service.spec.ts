@@ -9,6 +9,11 @@ import {
   type PlayerEmailVerificationRepositoryPort,
 } from "../../../../src/nest/player/auth/player-email-verification.service.js";
 
+const CLIENT = {
+  ip: "203.0.113.7",
+  userAgent: "Mozilla/5.0 Test",
+};
+
 function buildConfig(enabled = true): AppConfig {
   return {
     playerAuth: {
@@ -52,11 +57,12 @@ test("PlayerEmailVerificationService - encaminha token válido e TTL da sessão"
 
   const result = await service.verify({
     token: "a".repeat(64),
-  });
+  }, CLIENT);
 
   assert.deepEqual(calls, [{
     rawToken: "a".repeat(64),
     sessionTtlHours: 168,
+    client: CLIENT,
   }]);
 
   assert.deepEqual(result, {
@@ -89,7 +95,7 @@ test("PlayerEmailVerificationService - rejeita token malformado antes do reposit
 
   const result = await service.verify({
     token: "invalid",
-  });
+  }, CLIENT);
 
   assert.deepEqual(result, {
     ok: false,
@@ -124,7 +130,7 @@ test("PlayerEmailVerificationService - feature desabilitada não acessa reposito
 
   const result = await service.verify({
     token: "a".repeat(64),
-  });
+  }, CLIENT);
 
   assert.deepEqual(result, {
     ok: false,
@@ -0,0 +1,162 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import {
+  PLAYER_LOGIN_LOCKOUT_POLICIES,
+  evaluateLoginFailure,
+} from "../../../../src/nest/player/security/player-login-lockout-policy.js";
+import {
+  PlayerLoginLockoutRepository,
+} from "../../../../src/nest/player/auth/player-login-lockout.repository.js";
+import {
+  PlayerLoginLockoutService,
+  type PlayerLoginLockoutRepositoryPort,
+} from "../../../../src/nest/player/auth/player-login-lockout.service.js";
+
+const ACCOUNT_ID = "11111111-1111-4111-8111-111111111111";
+const IP = "203.0.113.7";
+
+test("evaluateLoginFailure - atraso progressivo e bloqueio crescente por conta", () => {
+  const policy = PLAYER_LOGIN_LOCKOUT_POLICIES.account;
+
+  assert.deepEqual(
+    [1, 2, 3, 4, 5, 9].map((failedAttempts) =>
+      evaluateLoginFailure(policy, { failedAttempts, lockoutCount: 0 }).delaySeconds,
+    ),
+    [0, 0, 1, 2, 4, 30],
+  );
+
+  assert.deepEqual(
+    evaluateLoginFailure(policy, { failedAttempts: 10, lockoutCount: 0 }),
+    { failedAttempts: 0, lockoutCount: 1, delaySeconds: 0, lockSeconds: 15 * 60 },
+  );
+  assert.equal(
+    evaluateLoginFailure(policy, { failedAttempts: 10, lockoutCount: 2 }).lockSeconds,
+    60 * 60,
+  );
+  assert.equal(
+    evaluateLoginFailure(policy, { failedAttempts: 10, lockoutCount: 10 }).lockSeconds,
+    24 * 60 * 60,
+  );
+
+  assert.equal(
+    evaluateLoginFailure(PLAYER_LOGIN_LOCKOUT_POLICIES.ip, { failedAttempts: 10, lockoutCount: 0 }).lockSeconds,
+    0,
+  );
+});
+
+function createService(lockAccount: boolean) {
+  const failures: Array<{ scope: string; subjectKey: string; playerAccountId: string | null }> = [];
+  const mails: unknown[] = [];
+
+  const repository: PlayerLoginLockoutRepositoryPort = {
+    async findActiveBlocks(subjects) {
+      assert.deepEqual(subjects.map((subject) => subject.scope), ["account", "ip"]);
+      return [
+        { scope: "account", locked: false, retryAfterSeconds: 2 },
+        { scope: "ip", locked: true, retryAfterSeconds: 900 },
+      ];
+    },
+    async recordFailure(subject) {
+      failures.push(subject);
+      return {
+        failedAttempts: 0,
+        lockoutCount: 1,
+        delaySeconds: 0,
+        lockSeconds: subject.scope === "account" && lockAccount ? 15 * 60 : 0,
+      };
+    },
+    async clearAccount() {},
+  };
+
+  const service = new PlayerLoginLockoutService(repository, {
+    async deliver(input) {
+      mails.push(input);
+      throw new Error("smtp_down");
+    },
+  });
+
+  return { service, failures, mails };
+}
+
+test("PlayerLoginLockoutService - usa o maior bloqueio e nunca guarda o IP em claro", async () => {
+  const { service, failures, mails } = createService(false);
+
+  assert.deepEqual(
+    await service.check({ playerAccountId: ACCOUNT_ID, email: "player@example.com", ip: IP }),
+    { ok: false, retryAfterSeconds: 900 },
+  );
+
+  await service.recordFailure({ playerAccountId: ACCOUNT_ID, email: "player@example.com", ip: IP });
+
+  assert.equal(failures[0]!.subjectKey, ACCOUNT_ID);
+  assert.match(failures[1]!.subjectKey, /^[0-9a-f]{64}$/);
+  assert.notEqual(failures[1]!.subjectKey, IP);
+  assert.equal(mails.length, 0);
+});
+
+test("PlayerLoginLockoutService - novo bloqueio de conta envia email sem quebrar o login", async () => {
+  const { service, mails } = createService(true);
+
+  await service.recordFailure({ playerAccountId: ACCOUNT_ID, email: "player@example.com", ip: null });
+
+  assert.deepEqual(mails, [{ email: "player@example.com", lockedMinutes: 15 }]);
+});
+
+test("PlayerLoginLockoutService - email sem conta bloqueia pelo hash do email e não envia aviso", async () => {
+  const { service, failures, mails } = createService(true);
+
+  await service.recordFailure({ playerAccountId: null, email: "missing@example.com", ip: IP });
+
+  assert.equal(failures[0]!.scope, "account");
+  assert.match(failures[0]!.subjectKey, /^[0-9a-f]{64}$/);
+  assert.equal(failures[0]!.playerAccountId, null);
+  assert.deepEqual(mails, []);
+});
+
+test("PlayerLoginLockoutRepository - reinicia a série fora da janela e preserva bloqueio vigente", async () => {
+  const calls: Array<{ sql: string; params: unknown[] }> = [];
+
+  const connection = {
+    async beginTransaction() {},
+    async commit() {},
+    async rollback() {},
+    release() {},
+    async execute(statement: string, params: unknown[] = []) {
+      const sql = statement.replace(/\s+/g, " ").trim();
+      calls.push({ sql, params });
+
+      if (sql.startsWith("SELECT")) {
+        return [[{ failed_attempts: 9, lockout_count: 0, in_window: 1 }]];
+      }
+      return [{ affectedRows: 1 }];
+    },
+  };
+
+  const repository = new PlayerLoginLockoutRepository({
+    getPool: () => ({ getConnection: async () => connection }),
+  } as any);
+
+  const outcome = await repository.recordFailure(
+    { scope: "account", subjectKey: ACCOUNT_ID, playerAccountId: ACCOUNT_ID },
+    PLAYER_LOGIN_LOCKOUT_POLICIES.account,
+  );
+
+  assert.equal(outcome.lockSeconds, 15 * 60);
+  assert.match(calls[0]!.sql, /FOR UPDATE$/);
+  assert.deepEqual(calls[0]!.params, [900, "account", ACCOUNT_ID]);
+  assert.match(calls[1]!.sql, /ON DUPLICATE KEY UPDATE/);
+  assert.deepEqual(calls[1]!.params, [
+    "account",
+    ACCOUNT_ID,
+    ACCOUNT_ID,
+    0,
+    0,
+    0,
+    900,
+    900,
+    1,
+    1,
+    900,
+  ]);
+});
@@ -0,0 +1,124 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import type {
+  AppConfig,
+} from "../../../../src/nest/core/app-config.js";
+import {
+  PlayerSecurityEventService,
+  type PlayerSecurityEventRepositoryPort,
+} from "../../../../src/nest/player/auth/player-security-event.service.js";
+
+const ACCOUNT_ID = "11111111-1111-4111-8111-111111111111";
+const CLIENT = { ip: "203.0.113.7", userAgent: "Firefox" };
+
+function config(notificationsEnabled = true): AppConfig {
+  return {
+    playerEmailAuth: { enabled: true },
+    playerSecurityNotifications: { enabled: notificationsEnabled },
+  } as AppConfig;
+}
+
+function createService(options: {
+  notificationsEnabled?: boolean;
+  hasEarlierLogin?: boolean;
+  knownUserAgent?: boolean;
+  failInsert?: boolean;
+} = {}) {
+  const inserted: unknown[] = [];
+  const mails: unknown[] = [];
+
+  const repository: PlayerSecurityEventRepositoryPort = {
+    async insert(input) {
+      if (options.failInsert) throw new Error("db_down");
+      inserted.push(input);
+      return inserted.length;
+    },
+    async findLoginDeviceHistory(input) {
+      assert.equal(input.userAgent, CLIENT.userAgent);
+      assert.equal(input.beforeId, inserted.length);
+      return {
+        hasEarlierLogin: options.hasEarlierLogin ?? true,
+        knownUserAgent: options.knownUserAgent ?? false,
+      };
+    },
+    async findVerifiedEmail() {
+      return "player@example.com";
+    },
+  };
+
+  const service = new PlayerSecurityEventService(
+    config(options.notificationsEnabled),
+    repository,
+    {
+      async deliver(input) {
+        mails.push(input);
+      },
+    },
+  );
+
+  return { service, inserted, mails };
+}
+
+test("PlayerSecurityEventService - login de dispositivo novo grava evento e avisa por e-mail", async () => {
+  const { service, inserted, mails } = createService();
+
+  await service.record({
+    playerAccountId: ACCOUNT_ID,
+    type: "login",
+    client: CLIENT,
+    metadata: { method: "email" },
+  });
+
+  assert.deepEqual(inserted, [
+    {
+      playerAccountId: ACCOUNT_ID,
+      type: "login",
+      client: CLIENT,
+      metadata: { method: "email" },
+    },
+  ]);
+  assert.deepEqual(mails, [
+    {
+      email: "player@example.com",
+      type: "new_login",
+      ip: CLIENT.ip,
+      userAgent: CLIENT.userAgent,
+    },
+  ]);
+});
+
+test("PlayerSecurityEventService - primeiro login e dispositivo conhecido não geram e-mail", async () => {
+  const first = createService({ hasEarlierLogin: false });
+  await first.service.record({ playerAccountId: ACCOUNT_ID, type: "login", client: CLIENT });
+  assert.equal(first.inserted.length, 1);
+  assert.deepEqual(first.mails, []);
+
+  const known = createService({ knownUserAgent: true });
+  await known.service.record({ playerAccountId: ACCOUNT_ID, type: "login", client: CLIENT });
+  assert.deepEqual(known.mails, []);
+});
+
+test("PlayerSecurityEventService - Steam vinculada e senha alterada sempre avisam; vínculo de e-mail não", async () => {
+  const { service, mails } = createService();
+
+  await service.record({ playerAccountId: ACCOUNT_ID, type: "steam_linked", client: CLIENT });
+  await service.record({ playerAccountId: ACCOUNT_ID, type: "password_changed", client: CLIENT });
+  await service.record({ playerAccountId: ACCOUNT_ID, type: "email_linked", client: CLIENT });
+
+  assert.deepEqual(
+    mails.map((mail) => (mail as { type: string }).type),
+    ["steam_linked", "password_changed"],
+  );
+});
+
+test("PlayerSecurityEventService - notificações desligadas e falha de gravação não propagam", async () => {
+  const disabled = createService({ notificationsEnabled: false });
+  await disabled.service.record({ playerAccountId: ACCOUNT_ID, type: "password_changed", client: CLIENT });
+  assert.equal(disabled.inserted.length, 1);
+  assert.deepEqual(disabled.mails, []);
+
+  const failing = createService({ failInsert: true });
+  await failing.service.record({ playerAccountId: ACCOUNT_ID, type: "password_changed", client: CLIENT });
+  assert.deepEqual(failing.mails, []);
+});
@@ -0,0 +1,156 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+import { GUARDS_METADATA, PATH_METADATA } from "@nestjs/common/constants.js";
+
+import type { AppConfig } from "../../../../src/nest/core/app-config.js";
+import { PlayerAuthGuard } from "../../../../src/nest/player/auth/player-auth.guard.js";
+import {
+  PlayerSecuritySessionsController,
+  type PlayerSecuritySessionsRepositoryPort,
+} from "../../../../src/nest/player/auth/player-security-sessions.controller.js";
+import { PlayerCsrfGuard } from "../../../../src/nest/player/security/player-csrf.guard.js";
+
+const CURRENT = "11111111-1111-4111-8111-111111111111";
+const OTHER = "22222222-2222-4222-8222-222222222222";
+
+const REQUEST = {
+  player: {
+    via: "session" as const,
+    sessionId: CURRENT,
+    playerAccountId: "account-1",
+    steamid64: null,
+    displayName: null,
+    avatarMedium: null,
+    steamProfileUrl: null,
+    expiresAt: null,
+  },
+};
+
+function buildConfig(): AppConfig {
+  return {
+    playerAuth: {
+      cookieName: "hsc_player_session",
+      ttlHours: 168,
+      sameSite: "lax",
+    },
+    adminAuth: {
+      publicUrl: "https://api.example.com",
+    },
+  } as unknown as AppConfig;
+}
+
+function session(id: string) {
+  return {
+    id,
+    created_at: "2026-10-01 00:00:00",
+    last_seen_at: "2026-10-01 01:00:00",
+    expires_at: "2026-10-08 00:00:00",
+    created_ip: "203.0.113.7",
+    user_agent: "Mozilla/5.0",
+  };
+}
+
+function createController(repository: Partial<PlayerSecuritySessionsRepositoryPort>) {
+  const headers: Array<[string, string]> = [];
+
+  const controller = new PlayerSecuritySessionsController(
+    buildConfig(),
+    { getStatus: () => ({ ready: true }) },
+    repository as PlayerSecuritySessionsRepositoryPort,
+  );
+
+  return {
+    controller,
+    headers,
+    response: {
+      setHeader(name: string, value: string) {
+        headers.push([name, value]);
+      },
+    },
+  };
+}
+
+function assertHttpError(error: unknown, status: number, code: string): boolean {
+  assert.ok(error instanceof HttpException);
+  assert.equal(error.getStatus(), status);
+  assert.equal((error.getResponse() as { error?: unknown }).error, code);
+  return true;
+}
+
+test("rotas exigem sessão de player e mutações exigem CSRF", () => {
+  assert.equal(Reflect.getMetadata(PATH_METADATA, PlayerSecuritySessionsController), "player/security/sessions");
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, PlayerSecuritySessionsController), [PlayerAuthGuard]);
+
+  for (const handler of [
+    PlayerSecuritySessionsController.prototype.revoke,
+    PlayerSecuritySessionsController.prototype.revokeOthers,
+  ]) {
+    assert.ok(Reflect.getMetadata(GUARDS_METADATA, handler).includes(PlayerCsrfGuard));
+  }
+});
+
+test("lista sessões ativas da conta e marca a atual", async () => {
+  const { controller } = createController({
+    async listActiveSessionsForAccount(playerAccountId) {
+      assert.equal(playerAccountId, "account-1");
+      return [session(CURRENT), session(OTHER)];
+    },
+  });
+
+  const result = await controller.list(REQUEST);
+
+  assert.equal(result.count, 2);
+  assert.deepEqual(result.items.map((item) => [item.id, item.current]), [[CURRENT, true], [OTHER, false]]);
+  assert.equal(result.items[0]!.created_ip, "203.0.113.7");
+});
+
+test("revogar outra sessão mantém o cookie; revogar a atual limpa o cookie", async () => {
+  const revoked: string[] = [];
+  const { controller, headers, response } = createController({
+    async revokePlayerSessionForAccount(_playerAccountId, sessionId) {
+      revoked.push(sessionId);
+      return true;
+    },
+  });
+
+  assert.deepEqual(await controller.revoke(REQUEST, OTHER.toUpperCase(), response), {
+    ok: true,
+    revoked: true,
+    current: false,
+  });
+  assert.equal(headers.length, 0);
+
+  assert.deepEqual(await controller.revoke(REQUEST, CURRENT, response), {
+    ok: true,
+    revoked: true,
+    current: true,
+  });
+  assert.deepEqual(revoked, [OTHER, CURRENT]);
+  assert.equal(headers[0]![0], "Set-Cookie");
+  assert.match(headers[0]![1], /^hsc_player_session=;/);
+});
+
+test("revogar valida o id e responde 404 para sessão alheia ou inativa", async () => {
+  const { controller, response } = createController({
+    async revokePlayerSessionForAccount() {
+      return false;
+    },
+  });
+
+  await assert.rejects(controller.revoke(REQUEST, "nope", response), (e) => assertHttpError(e, 400, "invalid_session_id"));
+  await assert.rejects(controller.revoke(REQUEST, OTHER, response), (e) => assertHttpError(e, 404, "session_not_found"));
+  await assert.rejects(controller.revoke({}, OTHER, response), (e) => assertHttpError(e, 401, "invalid_session"));
+});
+
+test("sair de todos os outros dispositivos preserva a sessão atual", async () => {
+  const { controller } = createController({
+    async revokeOtherPlayerSessions(playerAccountId, currentSessionId) {
+      assert.equal(playerAccountId, "account-1");
+      assert.equal(currentSessionId, CURRENT);
+      return 2;
+    },
+  });
+
+  assert.deepEqual(await controller.revokeOthers(REQUEST), { ok: true, revoked_sessions: 2 });
+});
@@ -0,0 +1,111 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import type {
+  DatabaseService,
+} from "../../../../src/nest/database/database.service.js";
+import {
+  buildRequestClientMetadata,
+} from "../../../../src/nest/core/http/request-client-metadata.js";
+import {
+  PlayerSessionRepository,
+} from "../../../../src/nest/player/auth/player-session.repository.js";
+
+interface Call {
+  sql: string;
+  params: unknown[];
+}
+
+function createRepository(
+  respond: (sql: string) => unknown = () => ({ affectedRows: 1 }),
+) {
+  const calls: Call[] = [];
+
+  const databaseService = {
+    getPool() {
+      return {
+        async execute(statement: string, params: unknown[] = []) {
+          const sql = statement.replace(/\s+/g, " ").trim();
+          calls.push({ sql, params });
+          return [respond(sql)];
+        },
+      };
+    },
+  } as unknown as DatabaseService;
+
+  return {
+    repository: new PlayerSessionRepository(databaseService),
+    calls,
+  };
+}
+
+function sessionRow(lastSeenStale: number) {
+  return {
+    session_id: "session-1",
+    player_account_id: "account-1",
+    expires_at: "2026-12-31 00:00:00",
+    display_name: "Player",
+    steamid64: null,
+    personaname: null,
+    avatar_medium_url: null,
+    profile_url: null,
+    last_seen_stale: lastSeenStale,
+  };
+}
+
+test("buildRequestClientMetadata normaliza IP mapeado e limpa user agent", () => {
+  assert.deepEqual(
+    buildRequestClientMetadata("::ffff:203.0.113.7", "Mozilla/5.0\r\nInjected"),
+    { ip: "203.0.113.7", userAgent: "Mozilla/5.0Injected" },
+  );
+  assert.deepEqual(
+    buildRequestClientMetadata("2001:db8::1", "x".repeat(300)),
+    { ip: "2001:db8::1", userAgent: "x".repeat(255) },
+  );
+  assert.deepEqual(
+    buildRequestClientMetadata("not an ip", "   "),
+    { ip: null, userAgent: null },
+  );
+});
+
+test("createPlayerSessionForAccount grava IP, user agent e last_seen_at", async () => {
+  const { repository, calls } = createRepository();
+
+  const created = await repository.createPlayerSessionForAccount(
+    "account-1",
+    168,
+    { ip: "203.0.113.7", userAgent: "Mozilla/5.0" },
+  );
+
+  assert.equal(calls.length, 1);
+  assert.match(calls[0]!.sql, /created_ip, user_agent, last_seen_at/);
+  assert.deepEqual(calls[0]!.params.slice(3), ["203.0.113.7", "Mozilla/5.0", 168]);
+  assert.equal(calls[0]!.params.includes(created.rawToken), false);
+});
+
+test("findActivePlayerSessionByToken só atualiza last_seen_at quando está defasado", async () => {
+  const fresh = createRepository((sql) => sql.startsWith("SELECT") ? [sessionRow(0)] : { affectedRows: 1 });
+  const session = await fresh.repository.findActivePlayerSessionByToken("raw-token");
+
+  assert.equal(session?.sessionId, "session-1");
+  assert.equal(fresh.calls.length, 1);
+
+  const stale = createRepository((sql) => sql.startsWith("SELECT") ? [sessionRow(1)] : { affectedRows: 1 });
+  await stale.repository.findActivePlayerSessionByToken("raw-token");
+
+  assert.equal(stale.calls.length, 2);
+  assert.match(stale.calls[1]!.sql, /^UPDATE player_sessions SET last_seen_at = UTC_TIMESTAMP\(\) WHERE id = \?$/);
+  assert.deepEqual(stale.calls[1]!.params, ["session-1"]);
+});
+
+test("revogações ficam restritas à conta e preservam a sessão atual", async () => {
+  const { repository, calls } = createRepository(() => ({ affectedRows: 3 }));
+
+  assert.equal(await repository.revokePlayerSessionForAccount("account-1", "session-2"), true);
+  assert.match(calls[0]!.sql, /WHERE id = \? AND player_account_id = \? AND revoked_at IS NULL/);
+  assert.deepEqual(calls[0]!.params, ["session-2", "account-1"]);
+
+  assert.equal(await repository.revokeOtherPlayerSessions("account-1", "session-1"), 3);
+  assert.match(calls[1]!.sql, /WHERE player_account_id = \? AND id <> \? AND revoked_at IS NULL/);
+  assert.deepEqual(calls[1]!.params, ["account-1", "session-1"]);
+});
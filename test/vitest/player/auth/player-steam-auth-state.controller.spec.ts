@@ -154,6 +154,14 @@ function baseDependencies() {
         };
       },
     },
+
+    securityEvents: {
+      recorded: [] as unknown[],
+
+      async record(input: unknown) {
+        this.recorded.push(input);
+      },
+    },
   };
 }
 
@@ -193,6 +201,7 @@ test("Steam start binds random state to cookie and OpenID return_to", async () =
 
       deps.accountRepository as any,
       deps.sessionRepository as any,
+      deps.securityEvents as any,
     );
 
   const harness =
@@ -273,6 +282,7 @@ test("Steam callback rejects missing browser-bound state before OpenID verificat
 
       deps.accountRepository as any,
       deps.sessionRepository as any,
+      deps.securityEvents as any,
     );
 
   const harness =
@@ -331,6 +341,7 @@ test("Steam callback rejects state mismatch", async () => {
 
       deps.accountRepository as any,
       deps.sessionRepository as any,
+      deps.securityEvents as any,
     );
 
   const harness =
@@ -398,6 +409,7 @@ test("Steam callback verifies state-bound return_to and clears state on session
 
       deps.accountRepository as any,
       deps.sessionRepository as any,
+      deps.securityEvents as any,
     );
 
   const harness =
@@ -429,6 +441,24 @@ test("Steam callback verifies state-bound return_to and clears state on session
     200,
   );
 
+  assert.deepEqual(
+    deps.securityEvents.recorded,
+    [
+      {
+        playerAccountId:
+          "player-1",
+        type: "login",
+        client: {
+          ip: null,
+          userAgent: null,
+        },
+        metadata: {
+          method: "steam",
+        },
+      },
+    ],
+  );
+
   const setCookie =
     harness.headers.get(
       "Set-Cookie",
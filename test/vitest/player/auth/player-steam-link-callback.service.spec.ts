@@ -9,6 +9,27 @@ import {
   type PlayerSteamLinkCallbackOpenIdPort,
   type PlayerSteamLinkCallbackRepositoryPort,
 } from "../../../../src/nest/player/auth/player-steam-link-callback.service.js";
+import type {
+  PlayerSecurityEventInput,
+} from "../../../../src/nest/player/auth/player-security-event.service.js";
+
+const PLAYER_ACCOUNT_ID =
+  "11111111-1111-4111-8111-111111111111";
+
+const CLIENT = {
+  ip: "203.0.113.10",
+  userAgent: "Vitest",
+};
+
+function securityEvents(
+  recorded: PlayerSecurityEventInput[] = [],
+) {
+  return {
+    async record(input: PlayerSecurityEventInput) {
+      recorded.push(input);
+    },
+  };
+}
 
 function config(enabled = true): AppConfig {
   return {
@@ -51,27 +72,42 @@ test("PlayerSteamLinkCallbackService - valida OpenID com return_to contendo o me
 
         return {
           ok: true,
+          playerAccountId: PLAYER_ACCOUNT_ID,
         };
       },
     };
 
+  const recorded: PlayerSecurityEventInput[] = [];
+
   const service =
     new PlayerSteamLinkCallbackService(
       config(),
       openId,
       repository,
+      securityEvents(recorded),
     );
 
   assert.deepEqual(
     await service.callback({
       state,
-    }),
+    }, CLIENT),
     {
       ok: true,
       steamid64: "76561198000000000",
     },
   );
 
+  assert.deepEqual(recorded, [
+    {
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      type: "steam_linked",
+      client: CLIENT,
+      metadata: {
+        steamid64: "76561198000000000",
+      },
+    },
+  ]);
+
   const returnTo = new URL(expectedReturnTo);
 
   assert.equal(
@@ -94,12 +130,13 @@ test("PlayerSteamLinkCallbackService - state malformado não chama Steam nem rep
           throw new Error("unexpected");
         },
       },
+      securityEvents(),
     );
 
   assert.deepEqual(
     await service.callback({
       state: "invalid",
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "invalid_link_intent",
@@ -127,15 +164,17 @@ test("PlayerSteamLinkCallbackService - OpenID inválido não consome intent", as
 
           return {
             ok: true,
+            playerAccountId: PLAYER_ACCOUNT_ID,
           };
         },
       },
+      securityEvents(),
     );
 
   assert.deepEqual(
     await service.callback({
       state: "a".repeat(64),
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "steam_openid_invalid",
@@ -168,12 +207,13 @@ test("PlayerSteamLinkCallbackService - Steam já pertencente a outra conta produ
           };
         },
       },
+      securityEvents(),
     );
 
   assert.deepEqual(
     await service.callback({
       state: "a".repeat(64),
-    }),
+    }, CLIENT),
     {
       ok: false,
       error: "identity_conflict",
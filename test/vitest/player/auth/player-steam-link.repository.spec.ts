@@ -283,6 +283,7 @@ test("PlayerSteamLinkRepository - confirmLink anexa Steam à conta original e co
     }),
     {
       ok: true,
+      playerAccountId: "account-id",
     },
   );
 
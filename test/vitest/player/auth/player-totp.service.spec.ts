@@ -0,0 +1,329 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import type {
+  AppConfig,
+} from "../../../../src/nest/core/app-config.js";
+import {
+  decodeBase32,
+  encodeBase32,
+  generateTotp,
+  hashRecoveryCode,
+  openTotpSecret,
+  sealTotpSecret,
+  verifyTotp,
+} from "../../../../src/nest/core/security/totp.js";
+import {
+  PlayerTotpService,
+  type PlayerTotpRepositoryPort,
+} from "../../../../src/nest/player/auth/player-totp.service.js";
+import type {
+  PlayerTotpCredential,
+} from "../../../../src/nest/player/auth/player-totp.repository.js";
+
+const ACCOUNT_ID = "account-id";
+const CLIENT = { ip: "203.0.113.10", userAgent: null };
+const SEAL_KEY = Buffer.alloc(32, 7).toString("base64");
+
+function buildConfig(configured = true): AppConfig {
+  return {
+    totp: {
+      configured,
+      secretKey: configured ? SEAL_KEY : "",
+      issuer: "HSC",
+      challengeTtlMinutes: 5,
+    },
+  } as AppConfig;
+}
+
+function passwordPort(matches = true) {
+  return {
+    async verifyPasswordOrDummy(input: unknown) {
+      return matches && input === "valid-password";
+    },
+  };
+}
+
+function lockoutPort(retryAfterSeconds = 0) {
+  const failures: unknown[] = [];
+
+  return {
+    failures,
+    lockout: {
+      async check() {
+        return retryAfterSeconds > 0
+          ? { ok: false as const, retryAfterSeconds }
+          : { ok: true as const };
+      },
+      async recordFailure(context: unknown) {
+        failures.push(context);
+      },
+    },
+  };
+}
+
+function createRepository() {
+  const state: {
+    credential: (PlayerTotpCredential & { secret?: string }) | null;
+    recoveryHashes: string[];
+    usedSteps: number[];
+    challengeFailures: number;
+    challengeConsumed: boolean;
+  } = {
+    credential: null,
+    recoveryHashes: [],
+    usedSteps: [],
+    challengeFailures: 0,
+    challengeConsumed: false,
+  };
+
+  const repository: PlayerTotpRepositoryPort = {
+    async findCredential() {
+      return state.credential;
+    },
+    async findReauthIdentity() {
+      return { email: "player@example.com", passwordHash: "HASH" };
+    },
+    async savePendingCredential(_id, secretSealed) {
+      if (state.credential?.enabled) {
+        return false;
+      }
+      state.credential = {
+        secretSealed,
+        enabled: false,
+        lastUsedStep: null,
+        recoveryCodesRemaining: 0,
+      };
+      return true;
+    },
+    async enableCredential(input) {
+      if (!state.credential || state.credential.enabled) {
+        return false;
+      }
+      state.credential.enabled = true;
+      state.credential.lastUsedStep = input.usedStep;
+      state.recoveryHashes = [...input.recoveryCodeHashes];
+      state.credential.recoveryCodesRemaining = input.recoveryCodeHashes.length;
+      return true;
+    },
+    async consumeTotpStep(_id, step) {
+      const last = state.credential?.lastUsedStep ?? null;
+      if (last !== null && step <= last) {
+        return false;
+      }
+      state.credential!.lastUsedStep = step;
+      state.usedSteps.push(step);
+      return true;
+    },
+    async consumeRecoveryCode(_id, codeHash) {
+      const index = state.recoveryHashes.indexOf(codeHash);
+      if (index < 0) {
+        return false;
+      }
+      state.recoveryHashes.splice(index, 1);
+      return true;
+    },
+    async replaceRecoveryCodes(_id, codeHashes) {
+      state.recoveryHashes = [...codeHashes];
+    },
+    async deleteCredential() {
+      state.credential = null;
+      state.recoveryHashes = [];
+    },
+    async createLoginChallenge() {
+      return "PENDING";
+    },
+    async findActiveLoginChallenge(rawToken) {
+      return rawToken === "PENDING" && !state.challengeConsumed
+        ? { id: "challenge-id", playerAccountId: ACCOUNT_ID, playerEmailIdentityId: "identity-id", email: "player@example.com" }
+        : null;
+    },
+    async recordLoginChallengeFailure() {
+      state.challengeFailures += 1;
+    },
+    async consumeLoginChallenge() {
+      state.challengeConsumed = true;
+      return true;
+    },
+  };
+
+  return { repository, state };
+}
+
+function currentCode(secret: string, offsetSeconds = 0): string {
+  return generateTotp(decodeBase32(secret)!, Math.floor(Date.now() / 1000) + offsetSeconds);
+}
+
+test("totp - gera os vetores do RFC 6238 para SHA1, SHA256 e SHA512", () => {
+  const seeds = {
+    sha1: Buffer.from("12345678901234567890", "ascii"),
+    sha256: Buffer.from("12345678901234567890123456789012", "ascii"),
+    sha512: Buffer.from("1234567890123456789012345678901234567890123456789012345678901234", "ascii"),
+  } as const;
+
+  const vectors: Array<[number, string, string, string]> = [
+    [59, "94287082", "46119246", "90693936"],
+    [1111111109, "07081804", "68084774", "25091201"],
+    [1111111111, "14050471", "67062674", "99943326"],
+    [1234567890, "89005924", "91819424", "93441116"],
+    [2000000000, "69279037", "90698825", "38618901"],
+    [20000000000, "65353130", "77737706", "47863826"],
+  ];
+
+  for (const [time, sha1, sha256, sha512] of vectors) {
+    assert.equal(generateTotp(seeds.sha1, time, { digits: 8 }), sha1);
+    assert.equal(generateTotp(seeds.sha256, time, { digits: 8, algorithm: "sha256" }), sha256);
+    assert.equal(generateTotp(seeds.sha512, time, { digits: 8, algorithm: "sha512" }), sha512);
+  }
+});
+
+test("totp - base32, janela de verificação e selagem do segredo", () => {
+  const key = Buffer.from("12345678901234567890", "ascii");
+  const encoded = encodeBase32(key);
+
+  assert.equal(encoded, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.deepEqual(decodeBase32(encoded.toLowerCase()), key);
+  assert.equal(decodeBase32("not base32!"), null);
+
+  const now = 1_700_000_000;
+  const step = Math.floor(now / 30);
+
+  assert.equal(verifyTotp(key, generateTotp(key, now - 30), now), step - 1);
+  assert.equal(verifyTotp(key, generateTotp(key, now + 30), now), step + 1);
+  assert.equal(verifyTotp(key, generateTotp(key, now - 90), now), null);
+  assert.equal(verifyTotp(key, "12345", now), null);
+
+  const sealed = sealTotpSecret(encoded, SEAL_KEY);
+  assert.ok(!sealed.includes(encoded));
+  assert.equal(openTotpSecret(sealed, SEAL_KEY), encoded);
+  assert.equal(openTotpSecret(sealed, Buffer.alloc(32, 8).toString("base64")), null);
+
+  assert.equal(hashRecoveryCode("ABCDE-FGHJK"), hashRecoveryCode("abcdefghjk"));
+});
+
+test("PlayerTotpService - cadastro exige senha e só ativa com código válido", async () => {
+  const { repository, state } = createRepository();
+  const service = new PlayerTotpService(buildConfig(), passwordPort(), repository, lockoutPort().lockout);
+
+  assert.deepEqual(
+    await service.beginEnrollment(ACCOUNT_ID, { password: "wrong" }, CLIENT),
+    { ok: false, error: "invalid_credentials" },
+  );
+
+  const enrollment = await service.beginEnrollment(ACCOUNT_ID, { password: "valid-password" }, CLIENT);
+  assert.equal(enrollment.ok, true);
+  if (!enrollment.ok) return;
+
+  assert.match(enrollment.otpauthUri, /^otpauth:\/\/totp\/HSC:player%40example\.com\?secret=/);
+  assert.equal(state.credential?.enabled, false);
+
+  assert.deepEqual(
+    await service.confirmEnrollment(ACCOUNT_ID, { code: currentCode(enrollment.secret, 300) }),
+    { ok: false, error: "invalid_two_factor_code" },
+  );
+
+  const confirmed = await service.confirmEnrollment(ACCOUNT_ID, { code: currentCode(enrollment.secret) });
+  assert.equal(confirmed.ok, true);
+  if (!confirmed.ok) return;
+
+  assert.equal(confirmed.recoveryCodes.length, 10);
+  assert.equal(state.recoveryHashes.length, 10);
+  assert.ok(!state.recoveryHashes.includes(confirmed.recoveryCodes[0]!));
+  assert.deepEqual(
+    await service.beginEnrollment(ACCOUNT_ID, { password: "valid-password" }, CLIENT),
+    { ok: false, error: "totp_already_enabled" },
+  );
+
+  // Mesmo passo de tempo usado na confirmação não pode ser reutilizado.
+  assert.equal(
+    await service.verifySecondFactor(ACCOUNT_ID, { code: currentCode(enrollment.secret) }),
+    false,
+  );
+
+  assert.equal(
+    await service.verifySecondFactor(ACCOUNT_ID, { recovery_code: confirmed.recoveryCodes[0]!.toUpperCase() }),
+    true,
+  );
+  assert.equal(
+    await service.verifySecondFactor(ACCOUNT_ID, { recovery_code: confirmed.recoveryCodes[0] }),
+    false,
+  );
+
+  assert.deepEqual(
+    await service.disable(ACCOUNT_ID, { password: "valid-password", code: "abc" }, CLIENT),
+    { ok: false, error: "invalid_two_factor_code" },
+  );
+  assert.deepEqual(
+    await service.disable(ACCOUNT_ID, { password: "valid-password", recovery_code: confirmed.recoveryCodes[1] }, CLIENT),
+    { ok: true },
+  );
+  assert.equal(state.credential, null);
+});
+
+test("PlayerTotpService - desafio de login conta falhas e indisponível sem chave", async () => {
+  const { repository, state } = createRepository();
+  state.credential = {
+    secretSealed: sealTotpSecret("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ", SEAL_KEY),
+    enabled: true,
+    lastUsedStep: null,
+    recoveryCodesRemaining: 0,
+  };
+
+  const service = new PlayerTotpService(buildConfig(), passwordPort(), repository, lockoutPort().lockout);
+
+  assert.deepEqual(
+    await service.completeLoginChallenge("PENDING", { code: "abcdef" }),
+    { ok: false, error: "invalid_two_factor_code" },
+  );
+  assert.equal(state.challengeFailures, 1);
+
+  assert.deepEqual(
+    await service.completeLoginChallenge("PENDING", { code: currentCode("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ") }),
+    { ok: true, playerAccountId: ACCOUNT_ID, playerEmailIdentityId: "identity-id" },
+  );
+  assert.deepEqual(
+    await service.completeLoginChallenge("PENDING", {}),
+    { ok: false, error: "invalid_or_expired_challenge" },
+  );
+
+  const unavailable = new PlayerTotpService(buildConfig(false), passwordPort(), createRepository().repository, lockoutPort().lockout);
+  assert.deepEqual(
+    await unavailable.beginEnrollment(ACCOUNT_ID, { password: "valid-password" }, CLIENT),
+    { ok: false, error: "totp_unavailable" },
+  );
+});
+
+test("PlayerTotpService - reautenticação passa pelo lockout do login", async () => {
+  const { repository, state } = createRepository();
+  const { lockout, failures } = lockoutPort();
+  const service = new PlayerTotpService(buildConfig(), passwordPort(), repository, lockout);
+
+  assert.deepEqual(
+    await service.beginEnrollment(ACCOUNT_ID, { password: "wrong" }, CLIENT),
+    { ok: false, error: "invalid_credentials" },
+  );
+  assert.deepEqual(failures, [
+    { playerAccountId: ACCOUNT_ID, email: "player@example.com", ip: CLIENT.ip },
+  ]);
+
+  state.credential = {
+    secretSealed: sealTotpSecret("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ", SEAL_KEY),
+    enabled: true,
+    lastUsedStep: null,
+    recoveryCodesRemaining: 0,
+  };
+  const locked = new PlayerTotpService(buildConfig(), passwordPort(), repository, lockoutPort(90).lockout);
+
+  for (const result of [
+    await locked.beginEnrollment(ACCOUNT_ID, { password: "valid-password" }, CLIENT),
+    await locked.disable(ACCOUNT_ID, { password: "valid-password", code: "123456" }, CLIENT),
+    await locked.regenerateRecoveryCodes(ACCOUNT_ID, { password: "valid-password", code: "123456" }, CLIENT),
+  ]) {
+    assert.deepEqual(result, {
+      ok: false,
+      error: "login_temporarily_locked",
+      retryAfterSeconds: 90,
+    });
+  }
+  assert.equal(state.credential?.enabled, true);
+});
@@ -0,0 +1,207 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+import { GUARDS_METADATA, PATH_METADATA } from "@nestjs/common/constants.js";
+
+import type { AppConfig } from "../../../../src/nest/core/app-config.js";
+import { PlayerAuthGuard } from "../../../../src/nest/player/auth/player-auth.guard.js";
+import {
+  PlayerEmailLoginController,
+  type PlayerEmailLoginServicePort,
+} from "../../../../src/nest/player/auth/player-email-login.controller.js";
+import {
+  PlayerTwoFactorController,
+  type PlayerTwoFactorServicePort,
+} from "../../../../src/nest/player/auth/player-two-factor.controller.js";
+import { PlayerCsrfGuard } from "../../../../src/nest/player/security/player-csrf.guard.js";
+import { PlayerIpThrottlerGuard } from "../../../../src/nest/player/security/player-ip-throttler.guard.js";
+
+const REQUEST = {
+  player: {
+    via: "session" as const,
+    sessionId: "11111111-1111-4111-8111-111111111111",
+    playerAccountId: "account-1",
+    steamid64: null,
+    displayName: null,
+    avatarMedium: null,
+    steamProfileUrl: null,
+    expiresAt: null,
+  },
+};
+
+function buildConfig(): AppConfig {
+  return {
+    playerAuth: {
+      cookieName: "hsc_player_session",
+      ttlHours: 168,
+      sameSite: "lax",
+    },
+    adminAuth: {
+      publicUrl: "https://api.example.com",
+    },
+  } as unknown as AppConfig;
+}
+
+function createLoginController(service: Partial<PlayerEmailLoginServicePort>) {
+  const headers: Array<[string, string]> = [];
+
+  return {
+    controller: new PlayerEmailLoginController(
+      buildConfig(),
+      { getStatus: () => ({ ready: true }) },
+      service as PlayerEmailLoginServicePort,
+    ),
+    headers,
+    response: {
+      setHeader(name: string, value: string) {
+        headers.push([name, value]);
+      },
+    },
+  };
+}
+
+function createController(service: Partial<PlayerTwoFactorServicePort>) {
+  return new PlayerTwoFactorController(
+    { getStatus: () => ({ ready: true }) },
+    service as PlayerTwoFactorServicePort,
+  );
+}
+
+function assertHttpError(error: unknown, status: number, code: string): boolean {
+  assert.ok(error instanceof HttpException);
+  assert.equal(error.getStatus(), status);
+  assert.equal((error.getResponse() as { error?: unknown }).error, code);
+  return true;
+}
+
+test("login com 2FA não emite cookie e devolve pending token", async () => {
+  const { controller, headers, response } = createLoginController({
+    async login() {
+      return { ok: true, twoFactorRequired: true, pendingToken: "PENDING", expiresInSeconds: 300 };
+    },
+  });
+
+  assert.deepEqual(await controller.login({}, response), {
+    ok: true,
+    authenticated: false,
+    two_factor_required: true,
+    pending_token: "PENDING",
+    expires_in_seconds: 300,
+  });
+  assert.equal(headers.length, 0);
+});
+
+test("login/2fa exige CSRF, limita por IP e só emite cookie com código válido", async () => {
+  assert.deepEqual(
+    Reflect.getMetadata(GUARDS_METADATA, PlayerEmailLoginController.prototype.completeTwoFactor),
+    [PlayerCsrfGuard, PlayerIpThrottlerGuard],
+  );
+
+  const rejected = createLoginController({
+    async completeTwoFactorLogin() {
+      return { ok: false, error: "invalid_two_factor_code" };
+    },
+  });
+  await assert.rejects(
+    rejected.controller.completeTwoFactor({ pending_token: "PENDING", code: "000000" }, rejected.response),
+    (e) => assertHttpError(e, 401, "invalid_two_factor_code"),
+  );
+  assert.equal(rejected.headers.length, 0);
+
+  const accepted = createLoginController({
+    async completeTwoFactorLogin(_body, client) {
+      assert.deepEqual(client, { ip: "203.0.113.7", userAgent: "Mozilla/5.0" });
+      return { ok: true, rawSessionToken: "RAW_SESSION" };
+    },
+  });
+  const result = await accepted.controller.completeTwoFactor(
+    { pending_token: "PENDING", code: "123456" },
+    accepted.response,
+    "::ffff:203.0.113.7",
+    "Mozilla/5.0",
+  );
+  assert.equal(result.authenticated, true);
+  assert.match(accepted.headers[0]![1], /^hsc_player_session=RAW_SESSION;/);
+});
+
+test("login/2fa bloqueado responde 429 com Retry-After", async () => {
+  const { controller, headers, response } = createLoginController({
+    async completeTwoFactorLogin() {
+      return { ok: false, error: "login_temporarily_locked", retryAfterSeconds: 900 };
+    },
+  });
+
+  await assert.rejects(
+    controller.completeTwoFactor({ pending_token: "PENDING", code: "000000" }, response),
+    (e) => assertHttpError(e, 429, "login_temporarily_locked"),
+  );
+  assert.deepEqual(headers, [["Retry-After", "900"]]);
+});
+
+test("rotas de gestão de 2FA exigem sessão e mutações exigem CSRF", () => {
+  assert.equal(Reflect.getMetadata(PATH_METADATA, PlayerTwoFactorController), "player/security/2fa");
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, PlayerTwoFactorController), [PlayerAuthGuard]);
+
+  for (const handler of [
+    PlayerTwoFactorController.prototype.enroll,
+    PlayerTwoFactorController.prototype.confirm,
+    PlayerTwoFactorController.prototype.disable,
+    PlayerTwoFactorController.prototype.regenerateRecoveryCodes,
+  ]) {
+    assert.ok(Reflect.getMetadata(GUARDS_METADATA, handler).includes(PlayerCsrfGuard));
+  }
+});
+
+test("gestão de 2FA mapeia erros do serviço para status HTTP", async () => {
+  const controller = createController({
+    async beginEnrollment() {
+      return { ok: false, error: "totp_unavailable" };
+    },
+    async confirmEnrollment() {
+      return { ok: true, recoveryCodes: ["abcde-fghjk"] };
+    },
+    async disable() {
+      return { ok: false, error: "totp_not_enabled" };
+    },
+    async regenerateRecoveryCodes() {
+      return { ok: false, error: "invalid_credentials" };
+    },
+  });
+
+  await assert.rejects(controller.enroll(REQUEST, {}), (e) => assertHttpError(e, 501, "totp_unavailable"));
+  await assert.rejects(controller.disable(REQUEST, {}), (e) => assertHttpError(e, 409, "totp_not_enabled"));
+  await assert.rejects(
+    controller.regenerateRecoveryCodes(REQUEST, {}),
+    (e) => assertHttpError(e, 401, "invalid_credentials"),
+  );
+  assert.deepEqual(await controller.confirm(REQUEST, { code: "123456" }), {
+    ok: true,
+    enabled: true,
+    recovery_codes: ["abcde-fghjk"],
+  });
+  await assert.rejects(controller.status({}), (e) => assertHttpError(e, 401, "invalid_session"));
+});
+
+test("gestão de 2FA bloqueada pelo lockout responde 429 com Retry-After e repassa o IP", async () => {
+  const headers: Array<[string, string]> = [];
+  const clients: unknown[] = [];
+  const controller = createController({
+    async disable(_id, _body, client) {
+      clients.push(client);
+      return { ok: false, error: "login_temporarily_locked", retryAfterSeconds: 300 };
+    },
+  });
+
+  await assert.rejects(
+    controller.disable(
+      REQUEST,
+      { password: "x", code: "000000" },
+      { setHeader: (name: string, value: string) => headers.push([name, value]) },
+      "::ffff:203.0.113.7",
+      "Mozilla/5.0",
+    ),
+    (e) => assertHttpError(e, 429, "login_temporarily_locked"),
+  );
+  assert.deepEqual(headers, [["Retry-After", "300"]]);
+  assert.deepEqual(clients, [{ ip: "203.0.113.7", userAgent: "Mozilla/5.0" }]);
+});
@@ -0,0 +1,81 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException } from "@nestjs/common";
+import { Reflector } from "@nestjs/core";
+
+import { PlayerProfileMediaController } from "../../../../src/nest/player/profile/player-profile-media.controller.js";
+import { PlayerEntitlementGuard } from "../../../../src/nest/player/entitlements/player-entitlement.guard.js";
+
+const PLAYER_ACCOUNT_ID =
+  "11111111-1111-4111-8111-111111111111";
+
+function createGuard(granted: string[] | Error) {
+  const calls: string[] = [];
+
+  const guard = new PlayerEntitlementGuard(
+    {
+      async getEntitlementsForPlayerAccount(playerAccountId: string) {
+        calls.push(playerAccountId);
+        if (granted instanceof Error) throw granted;
+        return granted;
+      },
+    },
+    new Reflector(),
+  );
+
+  return { guard, calls };
+}
+
+function contextFor(handler: Function, player: unknown = { playerAccountId: PLAYER_ACCOUNT_ID }) {
+  return {
+    switchToHttp: () => ({ getRequest: () => ({ player }) }),
+    getHandler: () => handler,
+    getClass: () => PlayerProfileMediaController,
+  } as any;
+}
+
+function assertHttpError(status: number, error: string) {
+  return (thrown: unknown) =>
+    thrown instanceof HttpException &&
+    thrown.getStatus() === status &&
+    (thrown.getResponse() as { error: string }).error === error;
+}
+
+test("guard - upload de avatar exige profile.premium e responde entitlement_required", async () => {
+  const denied = createGuard(["mix.create", "server.join"]);
+  await assert.rejects(
+    denied.guard.canActivate(contextFor(PlayerProfileMediaController.prototype.uploadAvatar)),
+    assertHttpError(403, "entitlement_required:profile.premium"),
+  );
+  assert.deepEqual(denied.calls, [PLAYER_ACCOUNT_ID]);
+
+  const allowed = createGuard(["profile.premium"]);
+  assert.equal(
+    await allowed.guard.canActivate(contextFor(PlayerProfileMediaController.prototype.uploadBanner)),
+    true,
+  );
+});
+
+test("guard - rotas sem entitlement declarado passam sem consultar o banco", async () => {
+  const { guard, calls } = createGuard([]);
+  assert.equal(
+    await guard.canActivate(contextFor(PlayerProfileMediaController.prototype.removeAvatar)),
+    true,
+  );
+  assert.deepEqual(calls, []);
+});
+
+test("guard - sessão ausente e falha de leitura não liberam a rota", async () => {
+  await assert.rejects(
+    createGuard(["profile.premium"]).guard.canActivate(
+      contextFor(PlayerProfileMediaController.prototype.uploadAvatar, null),
+    ),
+    assertHttpError(401, "invalid_session"),
+  );
+  await assert.rejects(
+    createGuard(new Error("db_down")).guard.canActivate(
+      contextFor(PlayerProfileMediaController.prototype.uploadAvatar),
+    ),
+    assertHttpError(500, "player_entitlements_read_failed"),
+  );
+});
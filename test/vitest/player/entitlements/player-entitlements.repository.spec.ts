@@ -31,7 +31,10 @@ function createRepository(
         return [membershipRows, []];
       }
 
-      if (sql.includes("FROM membership_plan_entitlements")) {
+      if (
+        sql.includes("FROM membership_plan_entitlements") ||
+        sql.includes("FROM player_entitlement_grants")
+      ) {
         return [entitlementRows, []];
       }
 
@@ -50,6 +53,11 @@ function createRepository(
     repository:
       new PlayerEntitlementsRepository(
         databaseService as any,
+        {
+          membershipLifecycle: {
+            gracePeriodHours: 0,
+          },
+        } as any,
       ),
   };
 }
@@ -165,3 +173,26 @@ test("repository - returns empty array when plan_code has no mapped entitlements
 
   assert.deepEqual(result, []);
 });
+
+test("repository - reads only active individual grants of the player", async () => {
+  const { repository, calls } =
+    createRepository([], [
+      { entitlement_key: "profile.premium" },
+    ]);
+
+  const result =
+    await repository.findActiveGrantedEntitlements(
+      PLAYER_ACCOUNT_ID,
+    );
+
+  assert.deepEqual(result, ["profile.premium"]);
+  assert.deepEqual(
+    calls[0].parameters,
+    [PLAYER_ACCOUNT_ID],
+  );
+  assert.match(calls[0].sql, /revoked_at IS NULL/);
+  assert.match(
+    calls[0].sql,
+    /expires_at IS NULL OR player_entitlement_grants\.expires_at > UTC_TIMESTAMP\(\)/,
+  );
+});
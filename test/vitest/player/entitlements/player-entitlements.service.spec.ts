@@ -25,6 +25,7 @@ const MEMBER_ENTITLEMENTS = [
 function createService(options: {
   membership?: PlayerMembershipForEntitlements | null;
   planEntitlements?: Record<string, string[]>;
+  grantedEntitlements?: string[];
 }) {
   const repository = {
     async findMembershipByPlayerAccountId(
@@ -42,6 +43,11 @@ function createService(options: {
       }
       return [];
     },
+    async findActiveGrantedEntitlements(
+      _playerAccountId: string,
+    ): Promise<string[]> {
+      return options.grantedEntitlements ?? [];
+    },
   };
 
   return new PlayerEntitlementsService(repository as any);
@@ -237,3 +243,46 @@ test("service - hasEntitlement returns true when present and false when absent",
   assert.equal(hasMix, true);
   assert.equal(hasAdmin, false);
 });
+
+test("service - active grants are merged with the plan entitlements", async () => {
+  const service = createService({
+    membership: {
+      status: "active",
+      plan_code: "basic",
+    },
+    planEntitlements: {
+      basic: ["mix.participate", "server.join"],
+    },
+    grantedEntitlements: ["profile.premium", "server.join"],
+  });
+
+  const result = await service.getEntitlementsForPlayerAccount(
+    PLAYER_ACCOUNT_ID,
+  );
+
+  assert.deepEqual(result, [
+    "mix.participate",
+    "profile.premium",
+    "server.join",
+  ]);
+});
+
+test("service - grants apply without membership and survive an expired one", async () => {
+  for (const membership of [
+    null,
+    { status: "expired" as const, plan_code: "member" },
+  ]) {
+    const service = createService({
+      membership,
+      planEntitlements: {
+        member: MEMBER_ENTITLEMENTS,
+      },
+      grantedEntitlements: ["profile.premium"],
+    });
+
+    assert.deepEqual(
+      await service.getEntitlementsForPlayerAccount(PLAYER_ACCOUNT_ID),
+      ["profile.premium"],
+    );
+  }
+});
@@ -0,0 +1,75 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException, RequestMethod } from "@nestjs/common";
+import { GUARDS_METADATA, METHOD_METADATA, PATH_METADATA } from "@nestjs/common/constants.js";
+
+import { PlayerAuthGuard } from "../../../../src/nest/player/auth/player-auth.guard.js";
+import { PlayerMatchHistoryController } from "../../../../src/nest/player/match-history/player-match-history.controller.js";
+import { PlayerPublicMatchHistoryController } from "../../../../src/nest/player/match-history/player-public-match-history.controller.js";
+
+const PLAYER = { playerAccountId: "11111111-1111-4111-8111-111111111111" } as any;
+const PAGE = { items: [{ roomId: "room-1" }], nextCursor: "next" } as any;
+
+function rejectsWith(status: number, error: string) {
+  return (err: any) =>
+    err instanceof HttpException && err.getStatus() === status && (err.getResponse() as any).error === error;
+}
+
+test("private and public history are player-authenticated GET routes", () => {
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, PlayerMatchHistoryController), [PlayerAuthGuard]);
+  assert.equal(Reflect.getMetadata(PATH_METADATA, PlayerMatchHistoryController), "player/match-history");
+  assert.equal(Reflect.getMetadata(METHOD_METADATA, PlayerMatchHistoryController.prototype.list), RequestMethod.GET);
+
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, PlayerPublicMatchHistoryController), [PlayerAuthGuard]);
+  assert.equal(Reflect.getMetadata(PATH_METADATA, PlayerPublicMatchHistoryController), "player/profiles");
+  assert.equal(Reflect.getMetadata(PATH_METADATA, PlayerPublicMatchHistoryController.prototype.list), ":slug/match-history");
+  assert.equal(Reflect.getMetadata(METHOD_METADATA, PlayerPublicMatchHistoryController.prototype.list), RequestMethod.GET);
+});
+
+test("private history reads the session player with default limit and returns the page envelope", async () => {
+  let received: unknown[] | null = null;
+  const controller = new PlayerMatchHistoryController({
+    async listForPlayer(...args: unknown[]) {
+      received = args;
+      return { ok: true, page: PAGE };
+    },
+  } as any);
+
+  assert.deepEqual(await controller.list({ player: PLAYER }), {
+    ok: true, count: 1, items: PAGE.items, nextCursor: "next",
+  });
+  assert.deepEqual(received, [PLAYER.playerAccountId, 20, null]);
+
+  await controller.list({ player: PLAYER }, "5", " abc ");
+  assert.deepEqual(received, [PLAYER.playerAccountId, 5, "abc"]);
+});
+
+test("private history rejects invalid limits, invalid cursors and missing sessions", async () => {
+  const controller = new PlayerMatchHistoryController({
+    async listForPlayer() { return { ok: false, error: "invalid_cursor" }; },
+  } as any);
+
+  for (const limit of ["0", "51", "abc", "-1"]) {
+    await assert.rejects(controller.list({ player: PLAYER }, limit), rejectsWith(400, "invalid_limit"));
+  }
+  await assert.rejects(controller.list({ player: PLAYER }, undefined, "bad"), rejectsWith(400, "invalid_cursor"));
+  await assert.rejects(controller.list({}), rejectsWith(401, "invalid_session"));
+});
+
+test("public history maps hidden or unknown profiles to player_not_found and hides read failures", async () => {
+  let received: unknown[] | null = null;
+  const controller = new PlayerPublicMatchHistoryController({
+    async listForPublicProfile(...args: unknown[]) {
+      received = args;
+      return { ok: false, error: "player_not_found" };
+    },
+  } as any);
+
+  await assert.rejects(controller.list("private-player", "10"), rejectsWith(404, "player_not_found"));
+  assert.deepEqual(received, ["private-player", 10, null]);
+
+  const failing = new PlayerPublicMatchHistoryController({
+    async listForPublicProfile() { throw new Error("db down"); },
+  } as any);
+  await assert.rejects(failing.list("someone"), rejectsWith(500, "match_history_read_failed"));
+});
@@ -0,0 +1,99 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import { PlayerMatchHistoryRepository } from "../../../../src/nest/player/match-history/player-match-history.repository.js";
+
+const VIEWER = "11111111-1111-4111-8111-111111111111";
+const ROOM_ID = "aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa";
+
+function normalizeSql(sql: string): string {
+  return sql.replace(/\s+/g, " ").trim();
+}
+
+function createRepository(handler: (sql: string, values: unknown[]) => unknown) {
+  const queries: Array<{ sql: string; values: unknown[] }> = [];
+  const resultReads: string[] = [];
+  const pool = {
+    async execute(sql: string, values: unknown[]) {
+      queries.push({ sql: normalizeSql(sql), values });
+      return handler(normalizeSql(sql), values);
+    },
+  };
+  const repository = new PlayerMatchHistoryRepository(
+    { getPool: () => pool } as any,
+    {
+      async findResultOnConnection(_: unknown, id: string) {
+        resultReads.push(id);
+        return { competitiveMatchId: id, winnerTeam: "A", players: [] };
+      },
+    } as any,
+  );
+  return { repository, queries, resultReads };
+}
+
+test("history query filters terminal rooms the player ended in and pages by ended_at/id cursor", async () => {
+  const { repository, queries } = createRepository(() => [[]]);
+
+  await repository.listForPlayer(VIEWER, 21, { endedAt: "2026-08-16 15:10:00.123456", roomId: ROOM_ID });
+
+  const [page] = queries;
+  assert.ok(page.sql.includes("FROM match_room_participants p"));
+  assert.ok(page.sql.includes("p.release_reason NOT IN ('LEFT', 'CONFIRMATION_TIMEOUT')"));
+  assert.ok(page.sql.includes("mr.status IN ('COMPLETED', 'FAILED', 'CANCELLED')"));
+  assert.ok(page.sql.includes("(cm.id IS NULL OR r.player_account_id IS NOT NULL)"));
+  assert.ok(page.sql.includes("ORDER BY ended_at DESC, mr.id DESC LIMIT ?"));
+  assert.deepEqual(page.values, [VIEWER, "2026-08-16 15:10:00.123456", "2026-08-16 15:10:00.123456", ROOM_ID, 21]);
+  assert.equal(queries.length, 1);
+});
+
+test("history rows carry roster, cursor and results only for completed matches", async () => {
+  const { repository, queries, resultReads } = createRepository((sql) => {
+    if (sql.includes("FROM match_room_participants p")) {
+      return [[
+        {
+          room_id: ROOM_ID, room_status: "COMPLETED", failure_reason: null, created_at: "c", ready_at: "r",
+          completed_at: "done", failed_at: null, cancelled_at: null, ended_at: "done",
+          ended_at_cursor: "2026-08-16 15:10:00.123456", competitive_match_id: "match-1",
+          runtime_match_id: "1000001", map_key: "de_mirage", map_display_name: "Mirage", team: "B",
+        },
+        {
+          room_id: "room-2", room_status: "FAILED", failure_reason: "prepare_match_failed", created_at: "c", ready_at: "r",
+          completed_at: null, failed_at: "f", cancelled_at: null, ended_at: "f",
+          ended_at_cursor: "2026-08-15 10:00:00.000000", competitive_match_id: "match-2",
+          runtime_match_id: 1000000, map_key: "de_nuke", map_display_name: "Nuke", team: "A",
+        },
+        {
+          room_id: "room-3", room_status: "CANCELLED", failure_reason: null, created_at: "c", ready_at: null,
+          completed_at: null, failed_at: null, cancelled_at: "x", ended_at: "x",
+          ended_at_cursor: "2026-08-14 10:00:00.000000", competitive_match_id: null,
+          runtime_match_id: null, map_key: null, map_display_name: null, team: null,
+        },
+      ]];
+    }
+    if (sql.includes("FROM competitive_match_roster WHERE competitive_match_id IN (?, ?)")) {
+      return [[
+        { competitive_match_id: "match-1", player_account_id: VIEWER, team: "B" },
+        { competitive_match_id: "match-1", player_account_id: "other", team: "A" },
+      ]];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  const records = await repository.listForPlayer(VIEWER, 3, null);
+
+  assert.deepEqual(queries[0].values, [VIEWER, 3]);
+  assert.deepEqual(queries[1].values, ["match-1", "match-2"]);
+  assert.deepEqual(resultReads, ["match-1"]);
+  assert.deepEqual(records.map((item) => [item.roomId, item.runtimeMatchId, item.team, item.roster.length]), [
+    [ROOM_ID, 1000001, "B", 2], ["room-2", 1000000, "A", 0], ["room-3", null, null, 0],
+  ]);
+  assert.deepEqual(records[0].cursor, { endedAt: "2026-08-16 15:10:00.123456", roomId: ROOM_ID });
+  assert.equal(records[1].result, null);
+  assert.equal(records[2].map, null);
+});
+
+test("public profile lookup only matches visibility = public", async () => {
+  const { repository, queries } = createRepository(() => [[{ player_account_id: VIEWER }]]);
+  assert.equal(await repository.findPublicProfilePlayerAccountId("someone"), VIEWER);
+  assert.ok(queries[0].sql.includes("WHERE slug = ? AND visibility = 'public'"));
+});
@@ -0,0 +1,143 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+
+import {
+  PlayerMatchHistoryService,
+  decodePlayerMatchHistoryCursor,
+  encodePlayerMatchHistoryCursor,
+} from "../../../../src/nest/player/match-history/player-match-history.service.js";
+
+const VIEWER = "11111111-1111-4111-8111-111111111111";
+const MATE = "22222222-2222-4222-8222-222222222222";
+const RIVAL = "33333333-3333-4333-8333-333333333333";
+const ROOM_1 = "aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa";
+const ROOM_2 = "bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb";
+const ROOM_3 = "cccccccc-cccc-4ccc-8ccc-cccccccccccc";
+
+const VIEWER_LINE = {
+  playerAccountId: VIEWER, team: "A", kills: 18, deaths: 15, assists: 3, headshotKills: 8, damage: 1900, mvps: 2, score: 44, roundsPlayed: 23,
+};
+
+function record(overrides: Record<string, any>) {
+  return {
+    roomId: ROOM_1,
+    status: "COMPLETED",
+    failureReason: null,
+    createdAt: "2026-08-16T14:00:00.000Z",
+    readyAt: "2026-08-16T14:10:00.000Z",
+    completedAt: "2026-08-16T15:10:00.000Z",
+    failedAt: null,
+    cancelledAt: null,
+    endedAt: "2026-08-16T15:10:00.000Z",
+    cursor: { endedAt: "2026-08-16 15:10:00.123456", roomId: ROOM_1 },
+    competitiveMatchId: "match-1",
+    runtimeMatchId: 1000001,
+    map: { key: "de_mirage", displayName: "Mirage" },
+    team: "A",
+    roster: [
+      { playerAccountId: VIEWER, team: "A" },
+      { playerAccountId: MATE, team: "A" },
+      { playerAccountId: RIVAL, team: "B" },
+    ],
+    result: { competitiveMatchId: "match-1", winnerTeam: "A", players: [VIEWER_LINE] },
+    ...overrides,
+  };
+}
+
+function createService(records: any[], publicAccount: string | null = VIEWER) {
+  const calls: any[] = [];
+  const repository = {
+    async listForPlayer(...args: unknown[]) {
+      calls.push(["listForPlayer", ...args]);
+      return records;
+    },
+    async findPublicProfilePlayerAccountId(slug: string) {
+      calls.push(["findPublicProfilePlayerAccountId", slug]);
+      return publicAccount;
+    },
+  };
+  const presentation = {
+    async resolveByPlayerAccountIds(ids: string[]) {
+      calls.push(["resolveByPlayerAccountIds", ids]);
+      return new Map(ids.map((id) => [id, id === RIVAL ? null : { steam: { steamId64: `steam-${id}` }, profile: null }]));
+    },
+  };
+  return { service: new PlayerMatchHistoryService(repository as any, presentation as any), calls };
+}
+
+test("cursor round-trips and rejects tampered values", () => {
+  const cursor = { endedAt: "2026-08-16 15:10:00.123456", roomId: ROOM_1 };
+  assert.deepEqual(decodePlayerMatchHistoryCursor(encodePlayerMatchHistoryCursor(cursor)), cursor);
+  assert.equal(decodePlayerMatchHistoryCursor("not-a-cursor"), null);
+  assert.equal(
+    decodePlayerMatchHistoryCursor(Buffer.from(JSON.stringify(["2026-08-16", ROOM_1])).toString("base64url")),
+    null,
+  );
+});
+
+test("history pages with limit+1, emits nextCursor and resolves outcomes and teams", async () => {
+  const { service, calls } = createService([
+    record({}),
+    record({
+      roomId: ROOM_2, status: "FAILED", failureReason: "prepare_match_failed", completedAt: null,
+      result: null, cursor: { endedAt: "2026-08-15 10:00:00.000000", roomId: ROOM_2 },
+    }),
+    record({ roomId: ROOM_3, status: "CANCELLED", cursor: { endedAt: "2026-08-14 10:00:00.000000", roomId: ROOM_3 } }),
+  ]);
+
+  const result = await service.listForPlayer(VIEWER, 2, null);
+
+  assert.equal(result.ok, true);
+  if (!result.ok) return;
+  assert.deepEqual(calls[0], ["listForPlayer", VIEWER, 3, null]);
+  assert.deepEqual(result.page.items.map((item) => [item.roomId, item.outcome]), [[ROOM_1, "WIN"], [ROOM_2, "FAILED"]]);
+  assert.deepEqual(decodePlayerMatchHistoryCursor(result.page.nextCursor!), { endedAt: "2026-08-15 10:00:00.000000", roomId: ROOM_2 });
+
+  const [first] = result.page.items;
+  assert.deepEqual(first.stats, VIEWER_LINE);
+  assert.deepEqual(first.teams?.A.map((member) => member.playerAccountId), [VIEWER, MATE]);
+  assert.deepEqual(first.teams?.B, [{ playerAccountId: RIVAL, presentation: null }]);
+  assert.deepEqual(first.teams?.A[0].presentation, { steam: { steamId64: `steam-${VIEWER}` }, profile: null });
+  assert.equal(result.page.items[1].stats, null);
+});
+
+test("last page has no nextCursor and rooms without CompetitiveMatch have no teams", async () => {
+  const { service } = createService([
+    record({ status: "CANCELLED", competitiveMatchId: null, runtimeMatchId: null, map: null, team: null, roster: [], result: null }),
+  ]);
+
+  const result = await service.listForPlayer(VIEWER, 20, null);
+
+  assert.equal(result.ok, true);
+  if (!result.ok) return;
+  assert.equal(result.page.nextCursor, null);
+  assert.equal(result.page.items[0].teams, null);
+  assert.equal(result.page.items[0].outcome, "CANCELLED");
+});
+
+test("completed room without a result or team is UNDECIDED", async () => {
+  const { service } = createService([record({ result: null })]);
+  const result = await service.listForPlayer(VIEWER, 20, null);
+  assert.equal(result.ok && result.page.items[0].outcome, "UNDECIDED");
+});
+
+test("invalid cursor is rejected before reading the repository", async () => {
+  const { service, calls } = createService([]);
+  assert.deepEqual(await service.listForPlayer(VIEWER, 20, "garbage"), { ok: false, error: "invalid_cursor" });
+  assert.equal(calls.length, 0);
+});
+
+test("public history resolves only public profiles and reads that player's history", async () => {
+  const { service, calls } = createService([record({})]);
+  const result = await service.listForPublicProfile(" Public-Player ", 20, null);
+  assert.equal(result.ok, true);
+  assert.deepEqual(calls[0], ["findPublicProfilePlayerAccountId", "public-player"]);
+  assert.deepEqual(calls[1], ["listForPlayer", VIEWER, 21, null]);
+
+  const hidden = createService([], null);
+  assert.deepEqual(await hidden.service.listForPublicProfile("private-player", 20, null), { ok: false, error: "player_not_found" });
+
+  const invalid = createService([]);
+  assert.deepEqual(await invalid.service.listForPublicProfile("x", 20, null), { ok: false, error: "player_not_found" });
+  assert.equal(invalid.calls.length, 0);
+});
@@ -181,3 +181,53 @@ test("mapVetoBan validates body, enforces guards, and maps errors", async () =>
   assert.deepEqual(received, ["room", PLAYER.playerAccountId, "de_inferno"]);
   assert.deepEqual(result, { ok: true, matchRoom: SNAPSHOT });
 });
+
+test("create accepts an optional teamSelectionMode and formatKey and rejects anything else", async () => {
+  const received: Array<[string, string | undefined, string | undefined]> = [];
+  const controller = new PlayerMatchRoomController({
+    async create(id: string, mode?: string, formatKey?: string) { received.push([id, mode, formatKey]); return SNAPSHOT; },
+  } as any);
+
+  await controller.create({ player: PLAYER } as any);
+  await controller.create({ player: PLAYER } as any, {});
+  await controller.create({ player: PLAYER } as any, { teamSelectionMode: "AUTO_BALANCE" });
+  await controller.create({ player: PLAYER } as any, { formatKey: "wingman_2v2" });
+  await controller.create({ player: PLAYER } as any, { teamSelectionMode: "AUTO_BALANCE", formatKey: "duel_1v1" });
+  assert.deepEqual(received, [
+    [PLAYER.playerAccountId, "CAPTAIN_DRAFT", "mix_5v5"],
+    [PLAYER.playerAccountId, "CAPTAIN_DRAFT", "mix_5v5"],
+    [PLAYER.playerAccountId, "AUTO_BALANCE", "mix_5v5"],
+    [PLAYER.playerAccountId, "CAPTAIN_DRAFT", "wingman_2v2"],
+    [PLAYER.playerAccountId, "AUTO_BALANCE", "duel_1v1"],
+  ]);
+
+  for (const body of [
+    { teamSelectionMode: "RANDOM" }, { teamSelectionMode: "AUTO_BALANCE", extra: 1 }, { mode: "AUTO_BALANCE" }, [],
+    { formatKey: "Mix 6v6" }, { formatKey: null }, { teamSelectionMode: null },
+  ]) {
+    await assert.rejects(
+      controller.create({ player: PLAYER } as any, body),
+      (error: any) => error instanceof HttpException
+        && error.getStatus() === 400
+        && (error.getResponse() as any).error === "invalid_body",
+    );
+  }
+  assert.equal(received.length, 5);
+});
+
+test("formats lists the catalogue and create maps an unavailable format to 400", async () => {
+  const formats = [{ key: "wingman_2v2", capacity: 4, teamSize: 2 }];
+  const controller = new PlayerMatchRoomController({
+    async listFormats() { return formats; },
+    async create() { throw new MatchRoomError("match_room_format_unavailable"); },
+  } as any);
+
+  assert.equal(Reflect.getMetadata(PATH_METADATA, PlayerMatchRoomController.prototype.formats), "formats");
+  assert.deepEqual(await controller.formats(), { ok: true, formats });
+  await assert.rejects(
+    controller.create({ player: PLAYER } as any, { formatKey: "mix_6v6" }),
+    (error: any) => error instanceof HttpException
+      && error.getStatus() === 400
+      && (error.getResponse() as any).error === "match_room_format_unavailable",
+  );
+});
@@ -0,0 +1,53 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { HttpException, RequestMethod } from "@nestjs/common";
+import { GUARDS_METADATA, METHOD_METADATA, PATH_METADATA } from "@nestjs/common/constants.js";
+
+import { PlayerAuthGuard } from "../../../../src/nest/player/auth/player-auth.guard.js";
+import { PlayerCsrfGuard } from "../../../../src/nest/player/security/player-csrf.guard.js";
+import { PlayerAccountThrottlerGuard } from "../../../../src/nest/player/security/player-account-throttler.guard.js";
+import { PlayerMatchmakingController } from "../../../../src/nest/player/match-room/player-matchmaking.controller.js";
+import { MatchRoomError } from "../../../../src/nest/match/match-room.error.js";
+
+const PLAYER = { playerAccountId: "11111111-1111-4111-8111-111111111111" } as any;
+const QUEUE = { status: "QUEUED", queuedAt: "2026-01-01T00:00:00.000Z", position: 3, playersInQueue: 3, capacity: 10, roomId: null };
+
+test("queue routes are player-authenticated and mutations have CSRF and scoped throttling guards", () => {
+  assert.equal(Reflect.getMetadata(PATH_METADATA, PlayerMatchmakingController), "player/matchmaking");
+  assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, PlayerMatchmakingController), [PlayerAuthGuard]);
+  assert.equal(Reflect.getMetadata(METHOD_METADATA, PlayerMatchmakingController.prototype.status), RequestMethod.GET);
+  assert.equal(Reflect.getMetadata(METHOD_METADATA, PlayerMatchmakingController.prototype.enqueue), RequestMethod.POST);
+  assert.equal(Reflect.getMetadata(METHOD_METADATA, PlayerMatchmakingController.prototype.leave), RequestMethod.DELETE);
+  for (const name of ["status", "enqueue", "leave"] as const) {
+    assert.equal(Reflect.getMetadata(PATH_METADATA, PlayerMatchmakingController.prototype[name]), "queue");
+  }
+  for (const name of ["enqueue", "leave"] as const) {
+    assert.deepEqual(Reflect.getMetadata(GUARDS_METADATA, PlayerMatchmakingController.prototype[name]), [PlayerCsrfGuard, PlayerAccountThrottlerGuard]);
+  }
+});
+
+test("queue mutations use the authenticated actor and the queue envelope", async () => {
+  const calls: string[] = [];
+  const controller = new PlayerMatchmakingController({
+    async queueStatus(id: string) { calls.push(`status:${id}`); return QUEUE; },
+    async enqueue(id: string) { calls.push(`enqueue:${id}`); return QUEUE; },
+    async leaveQueue(id: string) { calls.push(`leave:${id}`); return { ...QUEUE, status: "IDLE", position: null, queuedAt: null }; },
+  } as any);
+  assert.deepEqual(await controller.enqueue({ player: PLAYER } as any), { ok: true, queue: QUEUE });
+  assert.deepEqual(await controller.status({ player: PLAYER } as any), { ok: true, queue: QUEUE });
+  assert.equal((await controller.leave({ player: PLAYER } as any)).queue.status, "IDLE");
+  assert.deepEqual(calls, [`enqueue:${PLAYER.playerAccountId}`, `status:${PLAYER.playerAccountId}`, `leave:${PLAYER.playerAccountId}`]);
+});
+
+test("queue errors map to the match room error envelope", async () => {
+  const controller = new PlayerMatchmakingController({
+    async enqueue() { throw new MatchRoomError("membership_required"); },
+    async leaveQueue() { throw new MatchRoomError("not_in_queue"); },
+  } as any);
+  await assert.rejects(controller.enqueue({ player: PLAYER } as any), (error: unknown) =>
+    error instanceof HttpException && error.getStatus() === 403 && (error.getResponse() as any).error === "membership_required");
+  await assert.rejects(controller.leave({ player: PLAYER } as any), (error: unknown) =>
+    error instanceof HttpException && error.getStatus() === 409 && (error.getResponse() as any).error === "not_in_queue");
+  await assert.rejects(controller.status({} as any), (error: unknown) =>
+    error instanceof HttpException && error.getStatus() === 401);
+});
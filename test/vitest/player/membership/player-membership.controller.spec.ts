@@ -184,3 +184,76 @@ test("controller - repository failure is sanitized", async () => {
       ),
   );
 });
+
+test("history - reads events for session account with one extra row", async () => {
+  let received: any = null;
+
+  const repository = {
+    async listEventsForAccount(input: unknown) {
+      received = input;
+
+      return [
+        { id: 9, type: "suspended" },
+        { id: 8, type: "granted" },
+      ];
+    },
+  };
+
+  const controller =
+    new PlayerMembershipController(
+      repository as any,
+    );
+
+  const result =
+    await controller.getMyMembershipHistory(
+      { player: PLAYER },
+      "1",
+    );
+
+  assert.deepEqual(received, {
+    playerAccountId: PLAYER_ACCOUNT_ID,
+    limit: 2,
+    beforeId: null,
+  });
+  assert.equal(result.count, 1);
+  assert.equal(result.nextCursor, "9");
+});
+
+test("history - invalid cursor returns 400 and repository failure is sanitized", async () => {
+  const controller =
+    new PlayerMembershipController(
+      {
+        async listEventsForAccount() {
+          throw new Error(
+            "sensitive database details",
+          );
+        },
+      } as any,
+    );
+
+  await assert.rejects(
+    controller.getMyMembershipHistory(
+      { player: PLAYER },
+      undefined,
+      "0",
+    ),
+    (error) =>
+      assertHttpError(
+        error,
+        HttpStatus.BAD_REQUEST,
+        "invalid_cursor",
+      ),
+  );
+
+  await assert.rejects(
+    controller.getMyMembershipHistory({
+      player: PLAYER,
+    }),
+    (error) =>
+      assertHttpError(
+        error,
+        HttpStatus.INTERNAL_SERVER_ERROR,
+        "player_membership_history_read_failed",
+      ),
+  );
+});
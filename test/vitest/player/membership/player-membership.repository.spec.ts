@@ -10,6 +10,7 @@ const PLAYER_ACCOUNT_ID =
 
 function createRepository(
   rows: unknown[],
+  gracePeriodHours = 0,
 ) {
   const calls: Array<{
     sql: string;
@@ -41,6 +42,11 @@ function createRepository(
     repository:
       new PlayerMembershipRepository(
         databaseService as any,
+        {
+          membershipLifecycle: {
+            gracePeriodHours,
+          },
+        } as any,
       ),
   };
 }
@@ -118,6 +124,34 @@ test("repository - expired expires_at is exposed as effective expired status", a
   );
 });
 
+test("repository - membership inside the grace period stays active", async () => {
+  const { repository } =
+    createRepository([
+      {
+        status: "active",
+        plan_code: "member",
+        started_at:
+          "2026-08-01 18:00:00",
+        expires_at:
+          "2026-08-07 17:59:59",
+        suspended_at: null,
+        cancelled_at: null,
+        now_utc:
+          "2026-08-08 17:59:58",
+      },
+    ], 24);
+
+  const result =
+    await repository.findByPlayerAccountId(
+      PLAYER_ACCOUNT_ID,
+    );
+
+  assert.equal(
+    result?.status,
+    "active",
+  );
+});
+
 test("repository - account without membership returns null", async () => {
   const { repository } =
     createRepository([]);
@@ -129,3 +163,60 @@ test("repository - account without membership returns null", async () => {
 
   assert.equal(result, null);
 });
+
+test("repository - history omits staff identity and reason note", async () => {
+  const { repository, calls } =
+    createRepository([
+      {
+        id: "5",
+        event_type: "suspended",
+        previous_status: "active",
+        new_status: "suspended",
+        previous_expires_at: null,
+        new_expires_at: null,
+        actor_type: "admin",
+        created_at:
+          "2026-08-07 18:10:00",
+      },
+    ]);
+
+  const events =
+    await repository.listEventsForAccount({
+      playerAccountId: PLAYER_ACCOUNT_ID,
+      limit: 21,
+      beforeId: 6,
+    });
+
+  assert.equal(calls.length, 1);
+  assert.ok(
+    calls[0].sql.includes(
+      "FROM player_membership_events",
+    ),
+  );
+  assert.equal(
+    calls[0].sql.includes("reason"),
+    false,
+  );
+  assert.equal(
+    calls[0].sql.includes("actor_user_id"),
+    false,
+  );
+  assert.deepEqual(
+    calls[0].parameters,
+    [PLAYER_ACCOUNT_ID, 6, 21],
+  );
+
+  assert.deepEqual(events, [
+    {
+      id: 5,
+      type: "suspended",
+      previous_status: "active",
+      new_status: "suspended",
+      previous_expires_at: null,
+      new_expires_at: null,
+      actor_type: "admin",
+      created_at:
+        "2026-08-07 18:10:00",
+    },
+  ]);
+});
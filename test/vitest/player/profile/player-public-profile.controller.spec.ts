@@ -24,6 +24,7 @@ const PROFILE = {
   preferredRole: "awper",
   preferredMap: "de_mirage",
   joinedAt: "2026-08-07 18:00:00",
+  rating: null,
 };
 
 test("PlayerPublicProfileController - registra GET /player/profiles/:slug", () => {
@@ -22,6 +22,9 @@ test("PlayerPublicProfileService - normaliza slug e retorna profile público", a
 
   const service =
     new PlayerPublicProfileService({
+      async findPublicRatingBySlug() {
+        return null;
+      },
       async findPublicProfileBySlug(
         slug,
       ) {
@@ -36,7 +39,10 @@ test("PlayerPublicProfileService - normaliza slug e retorna profile público", a
     ),
     {
       ok: true,
-      profile: PROFILE,
+      profile: {
+        ...PROFILE,
+        rating: null,
+      },
     },
   );
 
@@ -49,6 +55,9 @@ test("PlayerPublicProfileService - normaliza slug e retorna profile público", a
 test("PlayerPublicProfileService - private ou inexistente vira player_not_found", async () => {
   const service =
     new PlayerPublicProfileService({
+      async findPublicRatingBySlug() {
+        return null;
+      },
       async findPublicProfileBySlug() {
         return null;
       },
@@ -70,6 +79,9 @@ test("PlayerPublicProfileService - slug malformado não alcança repository", as
 
   const service =
     new PlayerPublicProfileService({
+      async findPublicRatingBySlug() {
+        return null;
+      },
       async findPublicProfileBySlug() {
         repositoryCalled = true;
         return PROFILE;
@@ -97,6 +109,9 @@ test("PlayerPublicProfileService - slug técnico não pode ser consultado", asyn
 
   const service =
     new PlayerPublicProfileService({
+      async findPublicRatingBySlug() {
+        return null;
+      },
       async findPublicProfileBySlug() {
         repositoryCalled = true;
         return PROFILE;
@@ -124,6 +139,9 @@ test("PlayerPublicProfileService - slug reservado não pode ser consultado", asy
 
   const service =
     new PlayerPublicProfileService({
+      async findPublicRatingBySlug() {
+        return null;
+      },
       async findPublicProfileBySlug() {
         repositoryCalled = true;
         return PROFILE;
@@ -145,3 +163,44 @@ test("PlayerPublicProfileService - slug reservado não pode ser consultado", asy
     false,
   );
 });
+
+test("PlayerPublicProfileService - inclui rating interno do profile público", async () => {
+  const rating = {
+    rating: 1042,
+    matchesPlayed: 3,
+    wins: 2,
+    losses: 1,
+    seasonId: 4,
+    updatedAt: "2026-09-01 20:00:00",
+  };
+  const ratingSlugs: string[] = [];
+
+  const service =
+    new PlayerPublicProfileService({
+      async findPublicProfileBySlug() {
+        return PROFILE;
+      },
+      async findPublicRatingBySlug(slug) {
+        ratingSlugs.push(slug);
+        return rating;
+      },
+    });
+
+  assert.deepEqual(
+    await service.getPublicProfileBySlug(
+      "Lavos",
+    ),
+    {
+      ok: true,
+      profile: {
+        ...PROFILE,
+        rating,
+      },
+    },
+  );
+
+  assert.deepEqual(
+    ratingSlugs,
+    ["lavos"],
+  );
+});
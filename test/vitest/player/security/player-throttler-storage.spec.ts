@@ -0,0 +1,279 @@
+import { describe, test } from "vitest";
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+
+import dotenv from "dotenv";
+import mysql from "mysql2/promise";
+
+import {
+  PlayerThrottlerStorage,
+  applyThrottlerHit,
+} from "../../../../src/nest/player/security/player-throttler-storage.js";
+
+const OPTIONS = {
+  ttlMs: 60_000,
+  limit: 3,
+  blockDurationMs: 120_000,
+};
+
+function database(
+  ready: boolean,
+  connection: unknown = null,
+) {
+  return {
+    getStatus() {
+      return {
+        ready,
+        error: null,
+      };
+    },
+
+    getPool() {
+      return {
+        async getConnection() {
+          return connection;
+        },
+      };
+    },
+  };
+}
+
+test("applyThrottlerHit - conta na janela, bloqueia acima do limite e recomeça ao expirar", () => {
+  const first =
+    applyThrottlerHit(null, OPTIONS);
+
+  assert.deepEqual(
+    first,
+    {
+      next: {
+        hits: 1,
+        expiresInMs: 60_000,
+        blockedForMs: null,
+      },
+      totalHits: 1,
+      timeToExpire: 60,
+      isBlocked: false,
+      timeToBlockExpire: 0,
+    },
+  );
+
+  const over =
+    applyThrottlerHit(
+      {
+        hits: 3,
+        expiresInMs: 30_500,
+        blockedForMs: null,
+      },
+      OPTIONS,
+    );
+
+  assert.equal(over.totalHits, 4);
+  assert.equal(over.timeToExpire, 31);
+  assert.equal(over.isBlocked, true);
+  assert.equal(over.timeToBlockExpire, 120);
+
+  const whileBlocked =
+    applyThrottlerHit(
+      {
+        hits: 4,
+        expiresInMs: -5_000,
+        blockedForMs: 90_000,
+      },
+      OPTIONS,
+    );
+
+  assert.equal(whileBlocked.totalHits, 4);
+  assert.equal(whileBlocked.isBlocked, true);
+  assert.equal(whileBlocked.timeToBlockExpire, 90);
+
+  for (const current of [
+    { hits: 2, expiresInMs: 0, blockedForMs: null },
+    { hits: 4, expiresInMs: 10_000, blockedForMs: -1 },
+  ]) {
+    const restarted =
+      applyThrottlerHit(current, OPTIONS);
+
+    assert.equal(restarted.totalHits, 1);
+    assert.equal(restarted.isBlocked, false);
+    assert.equal(restarted.next.expiresInMs, 60_000);
+  }
+});
+
+test("PlayerThrottlerStorage - trava a linha, aplica o hit e persiste a janela", async () => {
+  const calls: Array<{ sql: string; params: unknown[] }> = [];
+  let committed = 0;
+  let released = 0;
+
+  const connection = {
+    async beginTransaction() {},
+    async commit() {
+      committed += 1;
+    },
+    async rollback() {},
+    release() {
+      released += 1;
+    },
+    async execute(statement: string, params: unknown[] = []) {
+      const sql = statement.replace(/\s+/g, " ").trim();
+      calls.push({ sql, params });
+
+      if (sql.startsWith("SELECT")) {
+        return [[{ hits: 3, expires_in_ms: 30_000, blocked_for_ms: null }]];
+      }
+      return [{ affectedRows: 1 }];
+    },
+  };
+
+  const storage =
+    new PlayerThrottlerStorage(
+      database(true, connection) as any,
+    );
+
+  const record =
+    await storage.increment("tracker-key", 60_000, 3, 120_000, "default");
+
+  assert.deepEqual(record, {
+    totalHits: 4,
+    timeToExpire: 30,
+    isBlocked: true,
+    timeToBlockExpire: 120,
+  });
+
+  assert.match(calls[0]!.sql, /^INSERT INTO player_rate_limits .* ON DUPLICATE KEY UPDATE hits = hits$/);
+  assert.deepEqual(calls[0]!.params, ["default", "tracker-key"]);
+  assert.match(calls[2]!.sql, /^UPDATE player_rate_limits/);
+  assert.deepEqual(calls[2]!.params, [4, 30_000, 120_000, 120_000, "default", "tracker-key"]);
+  assert.equal(committed, 1);
+  assert.equal(released, 1);
+});
+
+test("PlayerThrottlerStorage - usa memória enquanto o banco não está pronto", async () => {
+  const storage =
+    new PlayerThrottlerStorage(
+      database(false) as any,
+    );
+
+  try {
+    const first =
+      await storage.increment("tracker-key", 60_000, 1, 60_000, "default");
+    const second =
+      await storage.increment("tracker-key", 60_000, 1, 60_000, "default");
+
+    assert.equal(first.isBlocked, false);
+    assert.equal(second.isBlocked, true);
+  } finally {
+    storage.onModuleDestroy();
+  }
+});
+
+/*
+ * Runs against the local MariaDB (ENV_FILE, default .env.local) with the
+ * migrations applied:
+ *
+ *   HSC_DB_TESTS=1 npx vitest run test/vitest/player/security/player-throttler-storage.spec.ts
+ */
+describe.skipIf(process.env.HSC_DB_TESTS !== "1")("PlayerThrottlerStorage no MariaDB local", () => {
+  test("duas instâncias compartilham contadores atômicos e a limpeza remove só o expirado", async () => {
+    dotenv.config({
+      path: process.env.ENV_FILE || ".env.local",
+      quiet: true,
+    });
+
+    const connection = {
+      host: process.env.DB_HOST || "127.0.0.1",
+      port: Number(process.env.DB_PORT || 3306),
+      user: process.env.DB_USER,
+      password: process.env.DB_PASS,
+      database: process.env.DB_NAME,
+      timezone: "Z",
+    };
+
+    assert.ok(
+      ["127.0.0.1", "localhost"].includes(connection.host),
+      "database tests require a local database",
+    );
+
+    const pools = [
+      mysql.createPool(connection),
+      mysql.createPool(connection),
+    ];
+
+    const [first, second] =
+      pools.map(
+        (pool) =>
+          new PlayerThrottlerStorage({
+            getStatus: () => ({ ready: true, error: null }),
+            getPool: () => pool,
+          } as any),
+      );
+
+    const key =
+      `test-${randomUUID()}`;
+
+    try {
+      const records =
+        await Promise.all(
+          Array.from({ length: 12 }, (_, index) =>
+            (index % 2 === 0 ? first! : second!)
+              .increment(key, 60_000, 10, 60_000, "default"),
+          ),
+        );
+
+      assert.deepEqual(
+        records
+          .map((record) => record.totalHits)
+          .sort((a, b) => a - b),
+        [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 11],
+      );
+      assert.equal(
+        records.filter((record) => record.isBlocked).length,
+        2,
+      );
+
+      await pools[0]!.execute(
+        `
+          UPDATE player_rate_limits
+          SET expires_at = DATE_SUB(UTC_TIMESTAMP(3), INTERVAL 1 SECOND)
+          WHERE throttler_key = ?
+        `,
+        [key],
+      );
+
+      await first!.sweepExpired();
+
+      const [kept] =
+        await pools[0]!.query<mysql.RowDataPacket[]>(
+          "SELECT hits FROM player_rate_limits WHERE throttler_key = ?",
+          [key],
+        );
+
+      assert.equal(kept.length, 1, "a blocked key outlives its window");
+
+      await pools[0]!.execute(
+        `
+          UPDATE player_rate_limits
+          SET blocked_until = DATE_SUB(UTC_TIMESTAMP(3), INTERVAL 1 SECOND)
+          WHERE throttler_key = ?
+        `,
+        [key],
+      );
+
+      await first!.sweepExpired();
+
+      const [swept] =
+        await pools[0]!.query<mysql.RowDataPacket[]>(
+          "SELECT hits FROM player_rate_limits WHERE throttler_key = ?",
+          [key],
+        );
+
+      assert.equal(swept.length, 0);
+    } finally {
+      await pools[0]!.execute(
+        "DELETE FROM player_rate_limits WHERE throttler_key = ?",
+        [key],
+      );
+
+      await Promise.all(pools.map((pool) => pool.end()));
+    }
+  });
+});
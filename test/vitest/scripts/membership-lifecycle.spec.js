@@ -0,0 +1,212 @@
+import { test } from "vitest";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+
+import { main } from "../../../scripts/membership-lifecycle.js";
+
+const VALID_DB_CONFIG = Object.freeze({
+  host: "db.internal",
+  port: 3306,
+  user: "secret-user",
+  password: "secret-password",
+  database: "secret-database",
+  timezone: "Z",
+});
+
+const EXPIRES_AT = new Date("2026-08-10T18:30:00.000Z");
+
+function createStream() {
+  let output = "";
+  return {
+    write(chunk) {
+      output += String(chunk);
+      return true;
+    },
+    output() {
+      return output;
+    },
+  };
+}
+
+function parseSingleJsonLine(stream) {
+  const lines = stream.output().split("\n");
+  assert.equal(lines.length, 2);
+  assert.equal(lines[1], "");
+  return JSON.parse(lines[0]);
+}
+
+function appConfig({
+  remindersEnabled = true,
+  emailAuthEnabled = true,
+} = {}) {
+  return {
+    playerEmailAuth: { enabled: emailAuthEnabled },
+    membershipLifecycle: {
+      gracePeriodHours: 24,
+      remindersEnabled,
+      reminderDays: 5,
+      reminderSubject: "Sua membership vai expirar",
+      batchSize: 100,
+    },
+  };
+}
+
+function createHarness({
+  result = { ok: true, outcome: "reconciled", expired: 0, reminders: [], cleanupWarnings: [] },
+  config = appConfig(),
+  sendMail = async () => {},
+} = {}) {
+  const stdout = createStream();
+  const stderr = createStream();
+  const reconcileOptions = [];
+  const sentMessages = [];
+  const recordedReminders = [];
+
+  const dependencies = {
+    loadEnvFn() {},
+    buildDbConfigFn() {
+      return VALID_DB_CONFIG;
+    },
+    buildAppConfigFn() {
+      if (config instanceof Error) throw config;
+      return config;
+    },
+    createMembershipsRepoFn(dbConfig) {
+      assert.equal(dbConfig, VALID_DB_CONFIG);
+      return {
+        async reconcileMembershipLifecycle(options) {
+          reconcileOptions.push(options);
+          if (result instanceof Error) throw result;
+          return result;
+        },
+        async recordExpiryReminderSent(reminder) {
+          recordedReminders.push(reminder.membershipId);
+          return true;
+        },
+      };
+    },
+    createSendMailFn() {
+      return async (message) => {
+        sentMessages.push(message);
+        await sendMail(message);
+      };
+    },
+    stdout,
+    stderr,
+  };
+
+  return { dependencies, stdout, stderr, reconcileOptions, sentMessages, recordedReminders };
+}
+
+test("importar o módulo não executa main", () => {
+  const moduleUrl = new URL(
+    "../../../scripts/membership-lifecycle.js",
+    import.meta.url,
+  ).href;
+  const probe = spawnSync(
+    process.execPath,
+    ["--input-type=module", "--eval", `
+      const module = await import(${JSON.stringify(moduleUrl)});
+      if (typeof module.main !== "function") process.exitCode = 9;
+    `],
+    { encoding: "utf8" },
+  );
+
+  assert.equal(probe.status, 0);
+  assert.equal(probe.stdout, "");
+  assert.equal(probe.stderr, "");
+});
+
+test("reconciled repassa a configuração, envia lembretes e resume a execução", async () => {
+  let attempts = 0;
+  const harness = createHarness({
+    result: {
+      ok: true,
+      outcome: "reconciled",
+      expired: 3,
+      reminders: [
+        { membershipId: "m-1", email: "a@example.com", planName: "Member", expiresAt: EXPIRES_AT },
+        { membershipId: "m-2", email: "b@example.com", planName: "VIP", expiresAt: EXPIRES_AT },
+      ],
+      cleanupWarnings: [],
+    },
+    sendMail: async () => {
+      attempts += 1;
+      if (attempts === 2) throw new Error("smtp secret failure");
+    },
+  });
+
+  assert.equal(await main(harness.dependencies), 0);
+  assert.deepEqual(harness.reconcileOptions, [{
+    gracePeriodHours: 24,
+    reminderDays: 5,
+    batchSize: 100,
+  }]);
+  assert.deepEqual(parseSingleJsonLine(harness.stdout), {
+    ok: true,
+    outcome: "reconciled",
+    expired: 3,
+    remindersSent: 1,
+    reminderFailures: 1,
+    cleanupWarningCount: 0,
+  });
+  assert.equal(harness.sentMessages[0].to, "a@example.com");
+  assert.equal(harness.sentMessages[0].subject, "Sua membership vai expirar");
+  assert.match(harness.sentMessages[0].text, /Member expira em 2026-08-10 18:30 UTC/);
+  // Only the delivered reminder is recorded; m-2 stays due for the next run.
+  assert.deepEqual(harness.recordedReminders, ["m-1"]);
+  assert.equal(harness.stderr.output(), "");
+});
+
+test("lembretes ficam desligados sem a flag ou sem Player Email Auth", async () => {
+  for (const config of [
+    appConfig({ remindersEnabled: false }),
+    appConfig({ emailAuthEnabled: false }),
+  ]) {
+    const harness = createHarness({ config });
+
+    assert.equal(await main(harness.dependencies), 0);
+    assert.equal(harness.reconcileOptions[0].reminderDays, null);
+  }
+});
+
+test("skipped_busy é sucesso e erros do repositório são sanitizados", async () => {
+  const busy = createHarness({
+    result: { ok: true, outcome: "skipped_busy", cleanupWarnings: [{ stage: "x" }] },
+  });
+  assert.equal(await main(busy.dependencies), 0);
+  assert.deepEqual(parseSingleJsonLine(busy.stdout), {
+    ok: true,
+    outcome: "skipped_busy",
+    cleanupWarningCount: 1,
+  });
+
+  const stable = createHarness({
+    result: { ok: false, error: "membership_auto_expire_failed", cleanupWarnings: [] },
+  });
+  assert.equal(await main(stable.dependencies), 1);
+  assert.equal(parseSingleJsonLine(stable.stderr).error, "membership_auto_expire_failed");
+
+  const unknown = createHarness({
+    result: { ok: false, error: "ER_SECRET_FAILURE", cleanupWarnings: [] },
+  });
+  assert.equal(await main(unknown.dependencies), 1);
+  assert.equal(parseSingleJsonLine(unknown.stderr).error, "tx_failed");
+
+  const thrown = createHarness({ result: new Error("secret-password leaked") });
+  assert.equal(await main(thrown.dependencies), 1);
+  assert.equal(parseSingleJsonLine(thrown.stderr).error, "internal_error");
+  assert.doesNotMatch(thrown.stderr.output(), /secret/);
+});
+
+test("configuração inválida retorna dois sem chamar o repositório", async () => {
+  const harness = createHarness({ config: new Error("MEMBERSHIP_EXPIRY_GRACE_HOURS") });
+
+  assert.equal(await main(harness.dependencies), 2);
+  assert.deepEqual(parseSingleJsonLine(harness.stderr), {
+    ok: false,
+    error: "invalid_configuration",
+    cleanupWarningCount: 0,
+  });
+  assert.equal(harness.reconcileOptions.length, 0);
+});